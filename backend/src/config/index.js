@@ -2,6 +2,8 @@
  * Configuration settings for 11Wire backend
  */
 
+const os = require('os');
+
 const config = {
   port: process.env.PORT || 3000,
   
@@ -33,6 +35,8 @@ const config = {
   // ElevenLabs credentials
   elevenLabs: {
     apiKey: process.env.ELEVENLABS_API_KEY,
+    // Voice agent for inbound calls to numbers whose route and campaign name none
+    defaultVoiceAgentId: process.env.ELEVENLABS_DEFAULT_AGENT_ID || 'default-voice-agent',
     webhook: {
       signingSecret: process.env.ELEVENLABS_WEBHOOK_SECRET || '',
       // URL for receiving webhook callbacks from ElevenLabs (async STT)
@@ -42,9 +46,105 @@ const config = {
       allowedIPs: process.env.ELEVENLABS_WEBHOOK_IPS ? 
         process.env.ELEVENLABS_WEBHOOK_IPS.split(',') : 
         ['34.232.126.174', '52.202.195.162', '35.173.222.126']
+    },
+    // Speech-to-text for live calls: 'streaming' sends caller audio over a realtime socket and
+    // falls back to the async webhook path per utterance; 'async' only uses the webhook path
+    // Media stream bridge: 'pipeline' (STT, conversation API and TTS per turn) or
+    // 'conversational' (one Conversational AI agent socket per call, falling back to the pipeline)
+    bridgeMode: process.env.ELEVENLABS_BRIDGE_MODE || 'pipeline',
+    stt: {
+      mode: process.env.ELEVENLABS_STT_MODE || 'streaming',
+      realtimeUrl: process.env.ELEVENLABS_STT_REALTIME_URL || 'wss://api.elevenlabs.io/v1/speech-to-text/realtime',
+      realtimeModelId: process.env.ELEVENLABS_STT_REALTIME_MODEL || 'scribe_v2_realtime',
+      // How long to wait for the final transcript of an utterance before submitting it to the webhook path
+      finalTimeoutMs: parseInt(process.env.ELEVENLABS_STT_FINAL_TIMEOUT_MS || '2000', 10),
+      // Silence that ends a caller's turn
+      endSilenceMs: parseInt(process.env.STT_VAD_END_SILENCE_MS || '700', 10)
     }
   },
   
+  // Server tools ElevenLabs agents call during a conversation (/api/agent-tools)
+  agentTools: {
+    // Shared secret the tool requests are signed with
+    signingSecret: process.env.AGENT_TOOLS_SIGNING_SECRET || '',
+    // Signed requests older than this are refused, so a captured request cannot be replayed later
+    toleranceSeconds: parseInt(process.env.AGENT_TOOLS_SIGNATURE_TOLERANCE_SECONDS || '300', 10)
+  },
+
+  // WebSocket gateway for call audio (/stream)
+  streamGateway: {
+    // Signs the token in each <Stream> URL, so only SignalWire can open a call's stream
+    tokenSecret: process.env.STREAM_TOKEN_SECRET || '',
+    // How long a <Stream> URL stays valid after the TwiML is generated
+    tokenTtlSeconds: parseInt(process.env.STREAM_TOKEN_TTL_SECONDS || '3600', 10),
+    // How long a supervisor's listen token stays valid; each one opens a single listen socket
+    listenTokenTtlSeconds: parseInt(process.env.LISTEN_TOKEN_TTL_SECONDS || '60', 10)
+  },
+
+  // Opt-out capture
+  optOut: {
+    // Keypad digit that removes the caller from the call list in the inbound IVR menus
+    dtmfDigit: process.env.OPT_OUT_DTMF_DIGIT || '9'
+  },
+
+  // Inbound call flows built in the flow editor
+  callFlows: {
+    // How long a webhook node waits for its endpoint before taking its fallback
+    webhookTimeoutMs: parseInt(process.env.CALL_FLOW_WEBHOOK_TIMEOUT_MS || '5000', 10)
+  },
+
+  // Caller ID health scoring
+  callerIdHealth: {
+    windowDays: parseInt(process.env.CALLER_ID_HEALTH_WINDOW_DAYS || '7', 10),
+    // Numbers are only scored, and retired, once they have this many finished calls in the window
+    minCalls: parseInt(process.env.CALLER_ID_HEALTH_MIN_CALLS || '30', 10),
+    retireThreshold: parseInt(process.env.CALLER_ID_RETIRE_THRESHOLD || '40', 10),
+    // Answer rate that earns the full answer-rate share of the score
+    expectedAnswerRate: parseFloat(process.env.CALLER_ID_EXPECTED_ANSWER_RATE || '0.25'),
+    // Answered calls shorter than this count as hangups on sight
+    shortCallSeconds: parseInt(process.env.CALLER_ID_SHORT_CALL_SECONDS || '6', 10),
+    checkIntervalMinutes: parseInt(process.env.CALLER_ID_HEALTH_INTERVAL_MINUTES || '60', 10)
+  },
+
+  // Outbound call limits; workspaces and campaigns can override them in settings.callLimits
+  callLimits: {
+    // Per SignalWire account (workspace)
+    account: {
+      cps: parseFloat(process.env.CALL_LIMIT_ACCOUNT_CPS || '10'),
+      maxConcurrent: parseInt(process.env.CALL_LIMIT_ACCOUNT_CONCURRENT || '100', 10)
+    },
+    // Per campaign
+    campaign: {
+      cps: parseFloat(process.env.CALL_LIMIT_CAMPAIGN_CPS || '5'),
+      maxConcurrent: parseInt(process.env.CALL_LIMIT_CAMPAIGN_CONCURRENT || '50', 10)
+    },
+    // Per caller ID; carriers flag numbers that dial faster than about one call a second
+    callerId: {
+      cps: parseFloat(process.env.CALL_LIMIT_CALLER_ID_CPS || '1'),
+      maxConcurrent: parseInt(process.env.CALL_LIMIT_CALLER_ID_CONCURRENT || '10', 10)
+    },
+    // How long a dial waits for capacity before it is refused
+    maxWaitSeconds: parseInt(process.env.CALL_LIMIT_MAX_WAIT_SECONDS || '30', 10),
+    // Live call slots are freed after this long if the call's end is never reported
+    callTimeoutMinutes: parseInt(process.env.CALL_LIMIT_CALL_TIMEOUT_MINUTES || '60', 10)
+  },
+
+  // This process as a dialing worker; several workers may share one database
+  worker: {
+    // Set WORKER_ID to keep the same identity across restarts
+    id: process.env.WORKER_ID || `${os.hostname()}:${process.pid}`,
+    // Leader leases lapse after this long unless renewed
+    leaseSeconds: parseInt(process.env.WORKER_LEASE_SECONDS || '90', 10),
+    // Claimed queue items that have not been dialed after this long are released
+    claimTimeoutSeconds: parseInt(process.env.WORKER_CLAIM_TIMEOUT_SECONDS || '300', 10)
+  },
+
+  // Scheduler recovery after a restart
+  schedulerRecovery: {
+    // In-flight queue calls with no final status after this long are treated as lost
+    staleCallMinutes: parseInt(process.env.SCHEDULER_STALE_CALL_MINUTES || '60', 10)
+  },
+
   // Logging
   logging: {
     level: process.env.LOG_LEVEL || 'info'
@@ -52,8 +152,12 @@ const config = {
   
   // Security
   security: {
+    // The development fallback is public; production refuses to start without JWT_SECRET
     jwtSecret: process.env.JWT_SECRET || 'dev-secret-key',
-    jwtExpiresIn: '1d'
+    jwtExpiresIn: process.env.JWT_EXPIRES_IN || '1d',
+    refreshTokenExpiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '7d',
+    passwordResetExpiresMs: 60 * 60 * 1000, // 1 hour
+    bcryptSaltRounds: 10
   },
   
   // API rate limiting
@@ -63,4 +167,13 @@ const config = {
   }
 };
 
+// Secrets with no safe default, required when NODE_ENV is production
+const PRODUCTION_SECRETS = ['JWT_SECRET', 'STREAM_TOKEN_SECRET', 'AGENT_TOOLS_SIGNING_SECRET'];
+
+/**
+ * Production secrets that are not set
+ * @returns {string[]} Environment variable names
+ */
+config.getMissingProductionSecrets = () => PRODUCTION_SECRETS.filter(name => !process.env[name]);
+
 module.exports = config;
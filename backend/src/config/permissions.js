@@ -0,0 +1,82 @@
+/**
+ * Role permission matrix for 11Wire
+ * Maps each User.role to the permissions it grants
+ */
+
+const PERMISSIONS = {
+  CAMPAIGNS_READ: 'campaigns:read',
+  CAMPAIGNS_WRITE: 'campaigns:write',
+  CAMPAIGNS_START: 'campaigns:start',
+  CAMPAIGNS_DELETE: 'campaigns:delete',
+  CALLS_WRITE: 'calls:write',
+  CALLS_LISTEN: 'calls:listen',
+  CONTACTS_READ: 'contacts:read',
+  CONTACTS_WRITE: 'contacts:write',
+  CONTACTS_IMPORT: 'contacts:import',
+  CONTACTS_DELETE: 'contacts:delete',
+  RECORDINGS_READ: 'recordings:read',
+  RECORDINGS_WRITE: 'recordings:write',
+  RECORDINGS_DELETE: 'recordings:delete',
+  AGENTS_READ: 'agents:read',
+  AGENTS_WRITE: 'agents:write',
+  QUEUE_READ: 'queue:read',
+  QUEUE_MANAGE: 'queue:manage',
+  DNC_READ: 'dnc:read',
+  DNC_WRITE: 'dnc:write',
+  PHONE_NUMBERS_READ: 'phone-numbers:read',
+  PHONE_NUMBERS_WRITE: 'phone-numbers:write',
+  CALL_FLOWS_READ: 'call-flows:read',
+  CALL_FLOWS_WRITE: 'call-flows:write',
+  INBOUND_ROUTES_READ: 'inbound-routes:read',
+  INBOUND_ROUTES_WRITE: 'inbound-routes:write',
+  BUSINESS_SCHEDULES_READ: 'business-schedules:read',
+  BUSINESS_SCHEDULES_WRITE: 'business-schedules:write'
+};
+
+// Plain users get read-only dashboards
+const READ_ONLY = [
+  PERMISSIONS.CAMPAIGNS_READ,
+  PERMISSIONS.CONTACTS_READ,
+  PERMISSIONS.RECORDINGS_READ,
+  PERMISSIONS.AGENTS_READ,
+  PERMISSIONS.QUEUE_READ,
+  PERMISSIONS.DNC_READ,
+  PERMISSIONS.PHONE_NUMBERS_READ,
+  PERMISSIONS.CALL_FLOWS_READ,
+  PERMISSIONS.INBOUND_ROUTES_READ,
+  PERMISSIONS.BUSINESS_SCHEDULES_READ
+];
+
+const ROLE_PERMISSIONS = {
+  // Admins are granted everything, including permissions added later
+  admin: Object.values(PERMISSIONS),
+  // Managers run campaigns day to day but cannot destroy recordings
+  manager: Object.values(PERMISSIONS).filter(p => p !== PERMISSIONS.RECORDINGS_DELETE),
+  user: READ_ONLY
+};
+
+/**
+ * Get the permissions granted to a role
+ * @param {string} role - User role
+ * @returns {string[]} Granted permissions (empty for unknown roles)
+ */
+const getPermissionsForRole = (role) => {
+  return ROLE_PERMISSIONS[role] || [];
+};
+
+/**
+ * Check whether a role grants a permission
+ * @param {string} role - User role
+ * @param {string} permission - Permission to check
+ * @returns {boolean}
+ */
+const roleHasPermission = (role, permission) => {
+  return role === 'admin' || getPermissionsForRole(role).includes(permission);
+};
+
+module.exports = {
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  getPermissionsForRole,
+  roleHasPermission
+};
@@ -0,0 +1,69 @@
+/**
+ * Agent Tool Controller
+ * Serves the server tools ElevenLabs voice agents call during a conversation
+ */
+
+const agentToolsService = require('../services/agent-tools.service');
+const { InvalidCallbackError } = require('../services/callback.service');
+const logger = require('../utils/logger');
+
+const { InvalidAgentToolRequestError, AgentToolNotAllowedError } = agentToolsService;
+
+/**
+ * Run a tool and answer the agent
+ * Rejections carry the reason in `error`, which the agent can relay to the callee.
+ */
+const runTool = async (tool, req, res) => {
+  try {
+    const data = await agentToolsService.invokeTool(tool, req.body || {});
+
+    res.status(200).json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    if (error instanceof AgentToolNotAllowedError) {
+      return res.status(403).json({
+        success: false,
+        error: error.message
+      });
+    }
+    if (error instanceof InvalidAgentToolRequestError || error instanceof InvalidCallbackError) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+        errors: error.errors
+      });
+    }
+    logger.error(`Error running agent tool ${tool}: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: `Failed to run ${tool}`
+    });
+  }
+};
+
+/**
+ * Look up the callee's contact details and custom fields
+ */
+exports.lookupContact = (req, res) => runTool('lookup_contact', req, res);
+
+/**
+ * Update the callee's contact status and notes
+ */
+exports.updateContact = (req, res) => runTool('update_contact', req, res);
+
+/**
+ * Book an appointment slot for the callee
+ */
+exports.bookAppointment = (req, res) => runTool('book_appointment', req, res);
+
+/**
+ * Look up the outcome of the previous call with the callee
+ */
+exports.getPreviousOutcome = (req, res) => runTool('previous_outcome', req, res);
+
+/**
+ * Book a callback the callee asked for
+ */
+exports.scheduleCallback = (req, res) => runTool('schedule_callback', req, res);
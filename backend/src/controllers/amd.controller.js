@@ -3,8 +3,10 @@
  * Endpoints for managing AMD features
  */
 
+const db = require('../models');
 const amdService = require('../services/amd.service');
 const signalwireService = require('../services/signalwire.service');
+const pacingService = require('../services/pacing.service');
 const logger = require('../utils/logger');
 
 /**
@@ -15,7 +17,15 @@ exports.enableAmdForCall = async (req, res) => {
     const { callSid } = req.params;
     const amdOptions = req.body;
     
-    const result = await amdService.enableAmdForCall(callSid, amdOptions);
+    const callLog = await db.CallLog.findOne({ where: { callSid, workspaceId: req.user.workspaceId } });
+    if (!callLog) {
+      return res.status(404).json({
+        success: false,
+        error: 'Call not found'
+      });
+    }
+    
+    const result = await amdService.enableAmdForCall(callSid, amdOptions, callLog.workspaceId);
     
     if (!result.success) {
       return res.status(400).json({
@@ -198,6 +208,7 @@ exports.handleAmdWebhook = async (req, res) => {
     
     // Process AMD result
     const amdResult = amdService.processAmdResult(callData);
+    await pacingService.recordAmdResult(CallSid, amdResult);
     
     // Get hostname for webhook URLs
     const hostname = process.env.PUBLIC_HOSTNAME || `http://localhost:${process.env.PORT || 3000}`;
@@ -0,0 +1,406 @@
+/**
+ * Auth Controller
+ * Handles user registration, login, token refresh and password resets
+ */
+const { Op } = require('sequelize');
+const db = require('../models');
+const logger = require('../utils/logger');
+const eventEmitter = require('../utils/event-emitter');
+const authService = require('../services/auth.service');
+const workspaceService = require('../services/workspace.service');
+const { getPermissionsForRole } = require('../config/permissions');
+
+// Fields a user may change on their own profile
+const PROFILE_FIELDS = ['firstName', 'lastName', 'email'];
+
+/**
+ * Build the common success payload for login/register/refresh
+ */
+const buildAuthResponse = (user, message) => {
+  return {
+    success: true,
+    message,
+    user: user.toJSON(),
+    ...authService.issueTokens(user)
+  };
+};
+
+/**
+ * Map Sequelize validation errors to a 400 response
+ * @returns {boolean} True when a response was sent
+ */
+const handleValidationError = (error, res) => {
+  if (error.name === 'SequelizeValidationError') {
+    res.status(400).json({
+      success: false,
+      message: error.errors.map(e => e.message).join(', ')
+    });
+    return true;
+  }
+
+  if (error.name === 'SequelizeUniqueConstraintError') {
+    res.status(409).json({
+      success: false,
+      message: 'A user with this email already exists'
+    });
+    return true;
+  }
+
+  return false;
+};
+
+/**
+ * Register a new user
+ * The very first account becomes the admin of the default workspace. Every later account
+ * gets a fresh workspace of its own (as its admin), named after workspaceName or the user.
+ * Nobody can join the default workspace by signing up, since it owns the global credentials.
+ */
+exports.register = async (req, res) => {
+  try {
+    const { firstName, lastName, email, password, workspaceName } = req.body;
+
+    if (!firstName || !lastName || !email || !password) {
+      return res.status(400).json({
+        success: false,
+        message: 'firstName, lastName, email and password are required'
+      });
+    }
+
+    const existingUsers = await db.User.count();
+
+    const workspace = existingUsers === 0
+      ? await workspaceService.ensureDefaultWorkspace()
+      : await workspaceService.createWorkspace({ name: workspaceName || `${firstName} ${lastName}'s Workspace` });
+
+    const user = await db.User.create({
+      firstName,
+      lastName,
+      email: email.toLowerCase(),
+      password,
+      role: 'admin',
+      workspaceId: workspace.id,
+      lastLogin: new Date()
+    });
+
+    logger.info(`Registered new user: ${user.id} (${user.role})`);
+    res.status(201).json(buildAuthResponse(user, 'User registered successfully'));
+  } catch (error) {
+    if (handleValidationError(error, res)) {
+      return;
+    }
+    logger.error(`Error registering user: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to register user'
+    });
+  }
+};
+
+/**
+ * Log in with email and password
+ */
+exports.login = async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    if (!email || !password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email and password are required'
+      });
+    }
+
+    const user = await db.User.findOne({ where: { email: email.toLowerCase() } });
+
+    // Same response for unknown email and wrong password to avoid account enumeration
+    if (!user || !(await user.validatePassword(password))) {
+      logger.warn(`Failed login attempt for ${email}`);
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid email or password',
+        error: 'invalid_credentials'
+      });
+    }
+
+    if (user.status !== 'active') {
+      return res.status(403).json({
+        success: false,
+        message: 'Account is not active',
+        error: 'account_inactive'
+      });
+    }
+
+    await user.update({ lastLogin: new Date() });
+
+    logger.info(`User logged in: ${user.id}`);
+    res.status(200).json(buildAuthResponse(user, 'Login successful'));
+  } catch (error) {
+    logger.error(`Error logging in: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to log in'
+    });
+  }
+};
+
+/**
+ * Exchange a refresh token for a new token pair
+ */
+exports.refreshToken = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Refresh token is required'
+      });
+    }
+
+    let payload;
+    try {
+      payload = authService.verifyRefreshToken(refreshToken);
+    } catch (error) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid refresh token',
+        error: 'jwt_invalid'
+      });
+    }
+
+    const user = await db.User.findByPk(payload.sub);
+
+    if (!authService.isTokenCurrent(payload, user)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid refresh token',
+        error: 'jwt_invalid'
+      });
+    }
+
+    res.status(200).json(buildAuthResponse(user, 'Token refreshed'));
+  } catch (error) {
+    logger.error(`Error refreshing token: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to refresh token'
+    });
+  }
+};
+
+/**
+ * Log out by revoking every token issued to the user
+ */
+exports.logout = async (req, res) => {
+  try {
+    await db.User.increment('tokenVersion', { where: { id: req.user.id } });
+
+    logger.info(`User logged out: ${req.user.id}`);
+    res.status(200).json({
+      success: true,
+      message: 'Logout successful'
+    });
+  } catch (error) {
+    logger.error(`Error logging out: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to log out'
+    });
+  }
+};
+
+/**
+ * Verify the current access token
+ * validateToken has already done the work by the time this runs
+ */
+exports.verify = (req, res) => {
+  res.status(200).json({
+    success: true,
+    user: req.user,
+    permissions: getPermissionsForRole(req.user.role)
+  });
+};
+
+/**
+ * Get the current user's profile
+ */
+exports.getProfile = async (req, res) => {
+  try {
+    const user = await db.User.findByPk(req.user.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      user: user.toJSON(),
+      permissions: getPermissionsForRole(user.role)
+    });
+  } catch (error) {
+    logger.error(`Error retrieving profile: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve profile'
+    });
+  }
+};
+
+/**
+ * Update the current user's profile
+ * Password changes require the current password and revoke existing tokens
+ */
+exports.updateProfile = async (req, res) => {
+  try {
+    const user = await db.User.findByPk(req.user.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const updates = {};
+    PROFILE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        updates[field] = field === 'email' ? req.body[field].toLowerCase() : req.body[field];
+      }
+    });
+
+    const { currentPassword, newPassword } = req.body;
+    if (newPassword) {
+      if (!(await user.validatePassword(currentPassword))) {
+        return res.status(401).json({
+          success: false,
+          message: 'Current password is incorrect',
+          error: 'invalid_credentials'
+        });
+      }
+      updates.password = newPassword;
+      updates.tokenVersion = user.tokenVersion + 1;
+    }
+
+    await user.update(updates);
+
+    logger.info(`Updated profile for user: ${user.id}`);
+    const response = newPassword
+      ? buildAuthResponse(user, 'Profile updated successfully')
+      : { success: true, message: 'Profile updated successfully', user: user.toJSON() };
+
+    res.status(200).json(response);
+  } catch (error) {
+    if (handleValidationError(error, res)) {
+      return;
+    }
+    logger.error(`Error updating profile: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update profile'
+    });
+  }
+};
+
+/**
+ * Request a password reset
+ * Always answers with the same message so callers cannot probe which emails exist.
+ * The raw token is published on the event bus for the mailer to deliver.
+ */
+exports.requestPasswordReset = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is required'
+      });
+    }
+
+    const user = await db.User.findOne({ where: { email: email.toLowerCase() } });
+
+    if (user && user.status === 'active') {
+      const { token, tokenHash, expiresAt } = authService.createPasswordResetToken();
+
+      await user.update({
+        resetPasswordToken: tokenHash,
+        resetPasswordExpires: expiresAt
+      });
+
+      eventEmitter.emit('auth:password-reset-requested', {
+        userId: user.id,
+        email: user.email,
+        token,
+        expiresAt
+      });
+
+      logger.info(`Password reset requested for user: ${user.id}`);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'If that account exists, password reset instructions have been sent'
+    });
+  } catch (error) {
+    logger.error(`Error requesting password reset: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to request password reset'
+    });
+  }
+};
+
+/**
+ * Reset a password using a reset token
+ */
+exports.resetPassword = async (req, res) => {
+  try {
+    const { token, newPassword } = req.body;
+
+    if (!token || !newPassword) {
+      return res.status(400).json({
+        success: false,
+        message: 'Token and newPassword are required'
+      });
+    }
+
+    const user = await db.User.findOne({
+      where: {
+        resetPasswordToken: authService.hashResetToken(token),
+        resetPasswordExpires: { [Op.gt]: new Date() }
+      }
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password reset token is invalid or has expired'
+      });
+    }
+
+    await user.update({
+      password: newPassword,
+      resetPasswordToken: null,
+      resetPasswordExpires: null,
+      tokenVersion: user.tokenVersion + 1
+    });
+
+    logger.info(`Password reset completed for user: ${user.id}`);
+    res.status(200).json({
+      success: true,
+      message: 'Password reset successful'
+    });
+  } catch (error) {
+    if (handleValidationError(error, res)) {
+      return;
+    }
+    logger.error(`Error resetting password: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reset password'
+    });
+  }
+};
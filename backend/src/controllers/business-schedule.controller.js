@@ -0,0 +1,143 @@
+/**
+ * Business Schedule Controller
+ * Manages the named business hours and holiday calendars used by inbound routes, call flows and campaigns
+ */
+
+const businessScheduleService = require('../services/business-schedule.service');
+const logger = require('../utils/logger');
+
+const { InvalidScheduleError } = businessScheduleService;
+
+const invalidSchedule = (res, error) => res.status(400).json({
+  success: false,
+  error: error.message,
+  errors: error.errors
+});
+
+const scheduleNotFound = (res) => res.status(404).json({
+  success: false,
+  error: 'Schedule not found'
+});
+
+/**
+ * List the workspace's schedules
+ */
+exports.getSchedules = async (req, res) => {
+  try {
+    const schedules = await businessScheduleService.listSchedules(req.user.workspaceId);
+
+    res.status(200).json({
+      success: true,
+      count: schedules.length,
+      data: schedules
+    });
+  } catch (error) {
+    logger.error(`Error listing business schedules: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve business schedules'
+    });
+  }
+};
+
+/**
+ * Get a single schedule and whether it is open right now
+ */
+exports.getScheduleById = async (req, res) => {
+  try {
+    const schedule = await businessScheduleService.getScheduleById(req.params.id, req.user.workspaceId);
+    if (!schedule) {
+      return scheduleNotFound(res);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...schedule.toJSON(),
+        isOpenNow: businessScheduleService.isOpen(schedule)
+      }
+    });
+  } catch (error) {
+    logger.error(`Error retrieving business schedule: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve business schedule'
+    });
+  }
+};
+
+/**
+ * Create a schedule
+ */
+exports.createSchedule = async (req, res) => {
+  try {
+    const schedule = await businessScheduleService.createSchedule(req.body, req.user.workspaceId);
+
+    res.status(201).json({
+      success: true,
+      data: schedule
+    });
+  } catch (error) {
+    if (error instanceof InvalidScheduleError) {
+      return invalidSchedule(res, error);
+    }
+    logger.error(`Error creating business schedule: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create business schedule'
+    });
+  }
+};
+
+/**
+ * Update a schedule's name, timezone, weekly hours or holidays
+ */
+exports.updateSchedule = async (req, res) => {
+  try {
+    const schedule = await businessScheduleService.getScheduleById(req.params.id, req.user.workspaceId);
+    if (!schedule) {
+      return scheduleNotFound(res);
+    }
+
+    await businessScheduleService.updateSchedule(schedule, req.body);
+
+    res.status(200).json({
+      success: true,
+      data: schedule
+    });
+  } catch (error) {
+    if (error instanceof InvalidScheduleError) {
+      return invalidSchedule(res, error);
+    }
+    logger.error(`Error updating business schedule: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update business schedule'
+    });
+  }
+};
+
+/**
+ * Delete a schedule; the routes and call flows using it become always open
+ */
+exports.deleteSchedule = async (req, res) => {
+  try {
+    const schedule = await businessScheduleService.getScheduleById(req.params.id, req.user.workspaceId);
+    if (!schedule) {
+      return scheduleNotFound(res);
+    }
+
+    await businessScheduleService.deleteSchedule(schedule);
+
+    res.status(200).json({
+      success: true,
+      message: 'Business schedule deleted'
+    });
+  } catch (error) {
+    logger.error(`Error deleting business schedule: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete business schedule'
+    });
+  }
+};
@@ -0,0 +1,291 @@
+/**
+ * Call Flow Controller
+ * Manages versioned inbound IVR flows and serves the SignalWire webhooks that run them
+ */
+
+const callFlowService = require('../services/call-flow.service');
+const callFlowInterpreter = require('../services/call-flow-interpreter.service');
+const signalwireService = require('../services/signalwire.service');
+const db = require('../models');
+const logger = require('../utils/logger');
+const { findScopedByPk } = require('../utils/workspace-scope');
+
+const { InvalidCallFlowError } = callFlowService;
+
+const invalidFlow = (res, error) => res.status(400).json({
+  success: false,
+  error: error.message,
+  errors: error.errors
+});
+
+const flowNotFound = (res) => res.status(404).json({
+  success: false,
+  error: 'Call flow not found'
+});
+
+const scheduleNotFound = (res) => res.status(404).json({
+  success: false,
+  error: 'Schedule not found'
+});
+
+/**
+ * Whether a business schedule sent with a flow is missing from the caller's workspace
+ */
+const isUnknownSchedule = async (data, workspaceId) => {
+  return !!data.scheduleId && !(await findScopedByPk(db.BusinessSchedule, data.scheduleId, workspaceId));
+};
+
+/**
+ * A flow with the definition of one of its versions (the active one unless another is asked for)
+ */
+const withDefinition = async (flow, versionNumber) => {
+  const version = await callFlowService.getVersion(flow.id, versionNumber || flow.activeVersion);
+  return {
+    ...flow.toJSON(),
+    version: version ? version.version : null,
+    definition: version ? version.definition : null
+  };
+};
+
+/**
+ * List the workspace's call flows
+ */
+exports.getFlows = async (req, res) => {
+  try {
+    const flows = await callFlowService.listFlows(req.user.workspaceId);
+
+    res.status(200).json({
+      success: true,
+      count: flows.length,
+      data: flows
+    });
+  } catch (error) {
+    logger.error(`Error listing call flows: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve call flows'
+    });
+  }
+};
+
+/**
+ * Get a call flow with the definition of its active version
+ */
+exports.getFlowById = async (req, res) => {
+  try {
+    const flow = await callFlowService.getFlowById(req.params.id, req.user.workspaceId);
+    if (!flow) {
+      return flowNotFound(res);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: await withDefinition(flow)
+    });
+  } catch (error) {
+    logger.error(`Error retrieving call flow: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve call flow'
+    });
+  }
+};
+
+/**
+ * Create a call flow; its definition becomes version 1
+ */
+exports.createFlow = async (req, res) => {
+  try {
+    if (await isUnknownSchedule(req.body, req.user.workspaceId)) {
+      return scheduleNotFound(res);
+    }
+
+    const { flow, version } = await callFlowService.createFlow(req.body, req.user.workspaceId, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      data: await withDefinition(flow, version.version)
+    });
+  } catch (error) {
+    if (error instanceof InvalidCallFlowError) {
+      return invalidFlow(res, error);
+    }
+    logger.error(`Error creating call flow: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create call flow'
+    });
+  }
+};
+
+/**
+ * Rename a call flow, or save a new version when a definition is sent
+ */
+exports.updateFlow = async (req, res) => {
+  try {
+    const flow = await callFlowService.getFlowById(req.params.id, req.user.workspaceId);
+    if (!flow) {
+      return flowNotFound(res);
+    }
+
+    if (await isUnknownSchedule(req.body, req.user.workspaceId)) {
+      return scheduleNotFound(res);
+    }
+
+    const { version } = await callFlowService.updateFlow(flow, req.body, req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: await withDefinition(flow, version ? version.version : null)
+    });
+  } catch (error) {
+    if (error instanceof InvalidCallFlowError) {
+      return invalidFlow(res, error);
+    }
+    logger.error(`Error updating call flow: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update call flow'
+    });
+  }
+};
+
+/**
+ * Delete a call flow; its numbers go back to the default inbound routing
+ */
+exports.deleteFlow = async (req, res) => {
+  try {
+    const flow = await callFlowService.getFlowById(req.params.id, req.user.workspaceId);
+    if (!flow) {
+      return flowNotFound(res);
+    }
+
+    await callFlowService.deleteFlow(flow);
+
+    res.status(200).json({
+      success: true,
+      message: 'Call flow deleted'
+    });
+  } catch (error) {
+    logger.error(`Error deleting call flow: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete call flow'
+    });
+  }
+};
+
+/**
+ * List a call flow's versions
+ */
+exports.getVersions = async (req, res) => {
+  try {
+    const flow = await callFlowService.getFlowById(req.params.id, req.user.workspaceId);
+    if (!flow) {
+      return flowNotFound(res);
+    }
+
+    const versions = await callFlowService.listVersions(flow.id);
+
+    res.status(200).json({
+      success: true,
+      count: versions.length,
+      data: versions
+    });
+  } catch (error) {
+    logger.error(`Error listing call flow versions: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve call flow versions'
+    });
+  }
+};
+
+/**
+ * Get one version of a call flow
+ */
+exports.getVersion = async (req, res) => {
+  try {
+    const flow = await callFlowService.getFlowById(req.params.id, req.user.workspaceId);
+    const version = flow ? await callFlowService.getVersion(flow.id, req.params.version) : null;
+    if (!version) {
+      return res.status(404).json({
+        success: false,
+        error: 'Call flow version not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: version
+    });
+  } catch (error) {
+    logger.error(`Error retrieving call flow version: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve call flow version'
+    });
+  }
+};
+
+/**
+ * Make a saved version the one new calls run
+ */
+exports.activateVersion = async (req, res) => {
+  try {
+    const flow = await callFlowService.getFlowById(req.params.id, req.user.workspaceId);
+    const version = flow ? await callFlowService.activateVersion(flow, req.params.version) : null;
+    if (!version) {
+      return res.status(404).json({
+        success: false,
+        error: 'Call flow version not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `Call flow now runs version ${version.version}`,
+      data: flow
+    });
+  } catch (error) {
+    logger.error(`Error activating call flow version: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to activate call flow version'
+    });
+  }
+};
+
+/**
+ * Send a step of a call flow to SignalWire
+ */
+const sendStep = async (req, res, step) => {
+  const { flowId, version, nodeId } = req.params;
+
+  try {
+    const context = await callFlowInterpreter.loadContext(flowId, version);
+    if (!context) {
+      throw new Error(`Call flow ${flowId} version ${version} not found`);
+    }
+
+    res.set('Content-Type', 'text/xml');
+    res.send(await step(context, nodeId, req.body || {}));
+  } catch (error) {
+    logger.error(`Error running call flow ${flowId} node ${nodeId}: ${error.message}`);
+
+    res.set('Content-Type', 'text/xml');
+    res.send(signalwireService.generateTwiML({
+      say: { text: 'We\'re sorry, but there was an error processing your call. Please try again later.' }
+    }));
+  }
+};
+
+/**
+ * Webhook: run a call flow node
+ */
+exports.handleFlowNode = (req, res) => sendStep(req, res, callFlowInterpreter.renderNode);
+
+/**
+ * Webhook: a call flow node finished (keys pressed, transfer ended, voicemail recorded)
+ */
+exports.handleFlowNodeResult = (req, res) => sendStep(req, res, callFlowInterpreter.handleNodeResult);
@@ -4,6 +4,7 @@
  */
 
 const callQueueService = require('../services/call-queue.service');
+const campaignService = require('../services/campaign.service');
 const logger = require('../utils/logger');
 
 /**
@@ -13,7 +14,7 @@ const logger = require('../utils/logger');
  */
 const addToQueue = async (req, res) => {
   try {
-    const callData = req.body;
+    const callData = { ...req.body, workspaceId: req.user.workspaceId };
     
     // Validate required fields
     if (!callData.toNumber || !callData.fromNumber) {
@@ -23,6 +24,17 @@ const addToQueue = async (req, res) => {
       });
     }
     
+    // Only queue against campaigns the caller's workspace owns
+    if (callData.campaignId) {
+      const campaign = await campaignService.getCampaignById(callData.campaignId, req.user.workspaceId);
+      if (!campaign) {
+        return res.status(404).json({
+          success: false,
+          message: `Campaign ${callData.campaignId} not found`
+        });
+      }
+    }
+    
     // Add to queue
     const queueItem = await callQueueService.addToQueue(callData);
     
@@ -50,7 +62,7 @@ const getQueueItems = async (req, res) => {
     const { status, campaignId, limit = 100, offset = 0 } = req.query;
     
     // Build filters
-    const filters = {};
+    const filters = { workspaceId: req.user.workspaceId };
     if (status) filters.status = status;
     if (campaignId) filters.campaignId = campaignId;
     
@@ -85,7 +97,7 @@ const getQueueItem = async (req, res) => {
     const { id } = req.params;
     
     // Get queue item
-    const queueItem = await callQueueService.getQueueItemById(id);
+    const queueItem = await callQueueService.getQueueItemById(id, req.user.workspaceId);
     
     if (!queueItem) {
       return res.status(404).json({
@@ -126,7 +138,7 @@ const updatePriority = async (req, res) => {
     }
     
     // Update priority
-    const updatedItem = await callQueueService.updateQueueItemPriority(id, priority);
+    const updatedItem = await callQueueService.updateQueueItemPriority(id, priority, req.user.workspaceId);
     
     return res.json({
       success: true,
@@ -152,7 +164,7 @@ const cancelQueuedCall = async (req, res) => {
     const { id } = req.params;
     
     // Cancel call
-    const canceledItem = await callQueueService.cancelQueuedCall(id);
+    const canceledItem = await callQueueService.cancelQueuedCall(id, req.user.workspaceId);
     
     return res.json({
       success: true,
@@ -178,7 +190,7 @@ const processQueue = async (req, res) => {
     const { batchSize = 5, campaignId } = req.body;
     
     // Build filters
-    const filters = {};
+    const filters = { workspaceId: req.user.workspaceId };
     if (campaignId) filters.campaignId = campaignId;
     
     // Process queue
@@ -211,7 +223,7 @@ const getQueueStats = async (req, res) => {
     const { campaignId } = req.query;
     
     // Build filters
-    const filters = {};
+    const filters = { workspaceId: req.user.workspaceId };
     if (campaignId) filters.campaignId = campaignId;
     
     // Get stats
@@ -17,7 +17,7 @@ const startRecording = async (req, res) => {
     const options = req.body || {};
     
     // Start the recording
-    const result = await callRecordingService.startCallRecording(callSid, options);
+    const result = await callRecordingService.startCallRecording(callSid, options, req.user.workspaceId);
     
     res.status(200).json({
       success: true,
@@ -44,7 +44,7 @@ const stopRecording = async (req, res) => {
     const { callSid } = req.params;
     
     // Stop the recording
-    const result = await callRecordingService.stopCallRecording(callSid);
+    const result = await callRecordingService.stopCallRecording(callSid, req.user.workspaceId);
     
     res.status(200).json({
       success: true,
@@ -93,7 +93,7 @@ const getRecording = async (req, res) => {
     const { id } = req.params;
     
     // Get recording
-    const recording = await callRecordingService.getRecordingById(id);
+    const recording = await callRecordingService.getRecordingById(id, req.user.workspaceId);
     
     if (!recording) {
       return res.status(404).json({
@@ -126,7 +126,7 @@ const getRecordingsForCall = async (req, res) => {
     const { callSid } = req.params;
     
     // Get recordings
-    const recordings = await callRecordingService.getRecordingsForCall(callSid);
+    const recordings = await callRecordingService.getRecordingsForCall(callSid, req.user.workspaceId);
     
     res.status(200).json({
       success: true,
@@ -154,7 +154,11 @@ const listRecordings = async (req, res) => {
     const offset = (page - 1) * limit;
     
     // Get recordings
-    const result = await callRecordingService.listRecordings(filters, limit, offset);
+    const result = await callRecordingService.listRecordings(
+      { ...filters, workspaceId: req.user.workspaceId },
+      limit,
+      offset
+    );
     
     res.status(200).json({
       success: true,
@@ -185,7 +189,7 @@ const deleteRecording = async (req, res) => {
     const { id } = req.params;
     
     // Delete recording
-    const result = await callRecordingService.deleteRecording(id);
+    const result = await callRecordingService.deleteRecording(id, req.user.workspaceId);
     
     res.status(200).json({
       success: true,
@@ -220,7 +224,8 @@ const getRecordingStats = async (req, res) => {
     // Get stats
     const stats = await callRecordingService.getRecordingStats({
       ...filters,
-      ...dateFilters
+      ...dateFilters,
+      workspaceId: req.user.workspaceId
     });
     
     res.status(200).json({
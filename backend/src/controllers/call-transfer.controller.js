@@ -3,9 +3,30 @@
  * Handles API endpoints for call transfer operations
  */
 
+const db = require('../models');
 const transferService = require('../services/call-transfer.service');
 const logger = require('../utils/logger');
 
+/**
+ * Find a call in the requesting user's workspace
+ * @param {string} callSid - Call SID
+ * @param {string} workspaceId - Workspace ID
+ * @returns {Promise<Object|null>} Call log or null
+ */
+const findWorkspaceCall = (callSid, workspaceId) => {
+  return db.CallLog.findOne({ where: { callSid, workspaceId } });
+};
+
+/**
+ * Send the 404 for a call outside the user's workspace
+ */
+const callNotFound = (res, callSid) => {
+  return res.status(404).json({
+    success: false,
+    message: `Call log not found for SID: ${callSid}`
+  });
+};
+
 /**
  * Initiate a call transfer
  * @param {Object} req - Express request object
@@ -32,12 +53,17 @@ const initiateTransfer = async (req, res) => {
       });
     }
     
+    if (!(await findWorkspaceCall(callSid, req.user.workspaceId))) {
+      return callNotFound(res, callSid);
+    }
+    
     // Initiate the transfer
     const result = await transferService.initiateTransfer(
       callSid, 
       targetEndpoint, 
       transferType || 'warm', 
-      metadata || {}
+      metadata || {},
+      req.user.workspaceId
     );
     
     return res.status(200).json({
@@ -71,11 +97,16 @@ const completeTransfer = async (req, res) => {
       });
     }
     
+    if (!(await findWorkspaceCall(callSid, req.user.workspaceId))) {
+      return callNotFound(res, callSid);
+    }
+    
     // Complete the transfer
     const result = await transferService.completeTransfer(
       callSid,
       success !== false, // default to true if not explicitly false
-      details || {}
+      details || {},
+      req.user.workspaceId
     );
     
     return res.status(200).json({
@@ -108,7 +139,7 @@ const getPendingTransfers = async (req, res) => {
     }
     
     // Get pending transfers
-    const pendingTransfers = await transferService.getPendingTransfers(filters);
+    const pendingTransfers = await transferService.getPendingTransfers(filters, req.user.workspaceId);
     
     return res.status(200).json({
       success: true,
@@ -141,10 +172,15 @@ const rejectTransfer = async (req, res) => {
       });
     }
     
+    if (!(await findWorkspaceCall(callSid, req.user.workspaceId))) {
+      return callNotFound(res, callSid);
+    }
+    
     // Reject the transfer
     const result = await transferService.rejectTransfer(
       callSid,
-      reason || 'Agent rejected transfer'
+      reason || 'Agent rejected transfer',
+      req.user.workspaceId
     );
     
     return res.status(200).json({
@@ -179,7 +215,7 @@ const getTransferStatus = async (req, res) => {
     
     // Find the call log
     const callLog = await db.CallLog.findOne({
-      where: { callSid },
+      where: { callSid, workspaceId: req.user.workspaceId },
       attributes: [
         'callSid',
         'transferStatus',
@@ -4,13 +4,19 @@
  */
 
 const callHandlingService = require('../services/call-handling.service');
+const inboundRoutingService = require('../services/inbound-routing.service');
 const signalwireService = require('../services/signalwire.service');
 const elevenlabsService = require('../services/elevenlabs.service');
-const websocketServerService = require('../services/websocket-server.service');
+const streamGatewayService = require('../services/stream-gateway.service');
+const callListenService = require('../services/call-listen.service');
 const audioBridgeService = require('../services/audio-bridge.service');
 const db = require('../models');
 const { Op } = require('sequelize');
 const logger = require('../utils/logger');
+const workspaceService = require('../services/workspace.service');
+const { DoNotCallError } = require('../services/dnc.service');
+const { CallLimitError } = require('../services/call-limiter.service');
+const { findScopedByPk } = require('../utils/workspace-scope');
 
 /**
  * Initiate an outbound call
@@ -19,16 +25,33 @@ exports.initiateCall = async (req, res) => {
   try {
     const { to, from, voiceAgentId, scriptId, campaignId } = req.body;
     
-    // Validate required fields
-    if (!to || !from || !voiceAgentId) {
+    // Validate required fields; without from, the caller ID comes from the number pool
+    if (!to || !voiceAgentId) {
       return res.status(400).json({ 
         success: false, 
         error: 'Missing required fields'
       });
     }
     
-    // Get campaign data if provided
-    const campaignData = campaignId ? { id: campaignId } : {};
+    // Campaign (if any) must belong to the caller's workspace
+    let campaign = null;
+    if (campaignId) {
+      campaign = await findScopedByPk(db.Campaign, campaignId, req.user.workspaceId);
+      if (!campaign) {
+        return res.status(404).json({
+          success: false,
+          error: 'Campaign not found'
+        });
+      }
+    }
+    
+    // Campaign data also tells SignalWire which workspace account to dial from
+    const campaignData = {
+      id: campaignId || null,
+      workspaceId: req.user.workspaceId,
+      // An explicit from is honoured; otherwise the campaign's strategy (or local presence) applies
+      callerIdStrategy: from ? 'fixed' : (campaign && campaign.settings ? campaign.settings.callerIdStrategy : undefined)
+    };
     
     // Initiate the call
     const result = await callHandlingService.initiateOutboundCall(
@@ -44,6 +67,20 @@ exports.initiateCall = async (req, res) => {
       call: result
     });
   } catch (error) {
+    if (error instanceof DoNotCallError) {
+      return res.status(403).json({
+        success: false,
+        error: error.message,
+        code: error.code
+      });
+    }
+    if (error instanceof CallLimitError) {
+      return res.status(429).json({
+        success: false,
+        error: error.message,
+        code: error.code
+      });
+    }
     logger.error(`Error initiating call: ${error.message}`);
     res.status(500).json({
       success: false,
@@ -84,7 +121,7 @@ exports.getCallDetails = async (req, res) => {
         // It's a callSid
         logger.debug(`Looking up call by SID: ${id}`);
         callLog = await db.CallLog.findOne({
-          where: { callSid: id },
+          where: { callSid: id, workspaceId: req.user.workspaceId },
           include: [
             {
               model: db.Contact,
@@ -107,7 +144,7 @@ exports.getCallDetails = async (req, res) => {
         // Convert to proper ID type
         const numericId = parseInt(id, 10);
         
-        callLog = await db.CallLog.findByPk(numericId, {
+        callLog = await findScopedByPk(db.CallLog, numericId, req.user.workspaceId, {
           include: [
             {
               model: db.Contact,
@@ -131,9 +168,9 @@ exports.getCallDetails = async (req, res) => {
       // Try a simplified lookup without associations
       try {
         if (isNaN(id)) {
-          callLog = await db.CallLog.findOne({ where: { callSid: id } });
+          callLog = await db.CallLog.findOne({ where: { callSid: id, workspaceId: req.user.workspaceId } });
         } else {
-          callLog = await db.CallLog.findByPk(parseInt(id, 10));
+          callLog = await findScopedByPk(db.CallLog, parseInt(id, 10), req.user.workspaceId);
         }
       } catch (fallbackError) {
         logger.error(`Fallback lookup also failed: ${fallbackError.message}`);
@@ -149,11 +186,19 @@ exports.getCallDetails = async (req, res) => {
       });
     }
     
+    // The SignalWire lookup goes through the global account, which only the default workspace owns
+    if (!(await workspaceService.isDefaultWorkspace(req.user.workspaceId))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Call not found'
+      });
+    }
+    
     logger.debug(`Call not found in database, trying SignalWire API: ${id}`);
     
     // If not in our database, try SignalWire API
     try {
-      const call = await signalwireService.getCallDetails(id);
+      const call = await signalwireService.getCallDetails(id, req.user.workspaceId);
       
       // Transform to match our format
       const transformedCall = {
@@ -193,6 +238,77 @@ exports.getCallDetails = async (req, res) => {
   }
 };
 
+/**
+ * List who listened in to a call, newest first
+ */
+exports.getListenSessions = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const callLog = isNaN(id)
+      ? await db.CallLog.findOne({ where: { callSid: id, workspaceId: req.user.workspaceId } })
+      : await findScopedByPk(db.CallLog, parseInt(id, 10), req.user.workspaceId);
+
+    if (!callLog) {
+      return res.status(404).json({
+        success: false,
+        error: 'Call not found'
+      });
+    }
+
+    const listenSessions = await callListenService.listListenSessions(callLog.callSid, req.user.workspaceId);
+
+    res.status(200).json({
+      success: true,
+      listenSessions
+    });
+  } catch (error) {
+    logger.error(`Error listing listen sessions: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list listen sessions'
+    });
+  }
+};
+
+/**
+ * Issue a single-use token to listen to a call
+ * The browser opens /stream/listen/:callSid with it instead of the user's access token.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.createListenToken = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const callLog = isNaN(id)
+      ? await db.CallLog.findOne({ where: { callSid: id, workspaceId: req.user.workspaceId } })
+      : await findScopedByPk(db.CallLog, parseInt(id, 10), req.user.workspaceId);
+
+    if (!callLog) {
+      return res.status(404).json({
+        success: false,
+        error: 'Call not found'
+      });
+    }
+
+    // The token carries the user's token version, so signing out everywhere revokes it too
+    const user = await db.User.findByPk(req.user.id, { attributes: ['id', 'tokenVersion'] });
+    const { token, expiresAt } = streamGatewayService.createListenToken(callLog.callSid, user);
+
+    res.status(201).json({
+      success: true,
+      callSid: callLog.callSid,
+      token,
+      expiresAt
+    });
+  } catch (error) {
+    logger.error(`Error issuing listen token: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to issue listen token'
+    });
+  }
+};
+
 /**
  * End active call
  */
@@ -200,7 +316,16 @@ exports.endCall = async (req, res) => {
   try {
     const { id } = req.params;
     
-    const result = await signalwireService.endCall(id);
+    // Only calls this workspace placed or received can be ended, on its own SignalWire project
+    const callLog = await db.CallLog.findOne({ where: { callSid: id, workspaceId: req.user.workspaceId } });
+    if (!callLog) {
+      return res.status(404).json({
+        success: false,
+        error: 'Call not found'
+      });
+    }
+    
+    const result = await signalwireService.endCall(id, callLog.workspaceId);
     
     res.status(200).json({
       success: true,
@@ -279,7 +404,7 @@ exports.getRecentCalls = async (req, res) => {
     } = req.query;
     
     // Build where clause
-    const whereClause = {};
+    const whereClause = { workspaceId: req.user.workspaceId };
     
     if (status) whereClause.status = status;
     if (from) whereClause.from = { [Op.iLike]: `%${from}%` };
@@ -325,7 +450,7 @@ exports.getRecentCalls = async (req, res) => {
     
     // If we have few or no results from our database, also fetch from SignalWire
     // This helps during transition to new call logging system
-    if (count < parseInt(limit)) {
+    if (count < parseInt(limit) && await workspaceService.isDefaultWorkspace(req.user.workspaceId)) {
       try {
         const swFilters = {
           limit: parseInt(limit) - count
@@ -393,7 +518,10 @@ exports.handleInboundCall = async (req, res) => {
     const callData = req.body;
     logger.info(`Received inbound call webhook: ${JSON.stringify(callData)}`);
     
-    const twiml = await callHandlingService.handleInboundCall(callData);
+    // Routed numbers and numbers with a call flow are answered from the routing table;
+    // the rest go straight to the voice agent
+    const twiml = await inboundRoutingService.renderInboundCall(callData) ||
+      await callHandlingService.handleInboundCall(callData);
     
     // Respond with TwiML
     res.set('Content-Type', 'text/xml');
@@ -485,6 +613,14 @@ exports.handleStatusWebhook = async (req, res) => {
         }
         
         if (callLog) {
+          // Keep the SIP code of failed calls; caller ID health scoring counts carrier rejections
+          if (statusData.SipResponseCode) {
+            updates.callData = {
+              ...(callLog.callData || {}),
+              sipResponseCode: parseInt(statusData.SipResponseCode, 10)
+            };
+          }
+
           // Update existing log
           await callLog.update(updates);
           logger.debug(`Updated call log for ${CallSid}`);
@@ -586,8 +722,8 @@ exports.handleStreamWebhook = async (req, res) => {
       });
     }
     
-    // Generate TwiML to initiate streaming to our WebSocket server
-    const wsUrl = `${req.protocol}://${req.get('host')}/stream`;
+    // Stream to the gateway, with a token that authorizes this call's stream
+    const wsUrl = streamGatewayService.buildStreamUrl(CallSid, `${req.protocol}://${req.get('host')}`);
     
     // Get the voice agent ID associated with this call
     let voiceAgentId = req.query.VoiceAgentId || 'default-voice-agent';
@@ -636,7 +772,7 @@ exports.getCallStatistics = async (req, res) => {
     const { campaignId, startDate, endDate } = req.query;
     
     // Build where clause for filtering
-    const whereClause = {};
+    const whereClause = { workspaceId: req.user.workspaceId };
     
     if (campaignId) {
       whereClause.campaignId = campaignId;
@@ -706,12 +842,16 @@ exports.getCallStatistics = async (req, res) => {
       `SELECT EXTRACT(HOUR FROM "startTime") as hour, COUNT(*) as count 
       FROM call_logs 
       WHERE "startTime" IS NOT NULL 
+      AND "workspaceId" = :workspaceId 
       ${campaignId ? 'AND "campaignId" = ' + parseInt(campaignId) : ''} 
       ${startDate ? 'AND "startTime" >= \'' + startDate + '\'' : ''} 
       ${endDate ? 'AND "startTime" <= \'' + endDate + '\'' : ''} 
       GROUP BY hour 
       ORDER BY hour ASC`,
-      { type: db.sequelize.QueryTypes.SELECT }
+      {
+        replacements: { workspaceId: req.user.workspaceId },
+        type: db.sequelize.QueryTypes.SELECT
+      }
     );
     
     res.status(200).json({
@@ -3,16 +3,42 @@
  * Endpoints for managing campaign call scheduling
  */
 
+const db = require('../models');
 const campaignSchedulerService = require('../services/campaign-scheduler.service');
+const promptVariablesService = require('../services/prompt-variables.service');
+const agentConfigService = require('../services/agent-config.service');
 const logger = require('../utils/logger');
 
+/**
+ * Check a campaign's contacts against the config version its calls will run
+ */
+const checkPromptVariables = async (campaign) => {
+  const agentConfig = await agentConfigService.getConfigForCall(campaign.voiceAgentId, campaign.agentVersion);
+  return promptVariablesService.checkCampaignContacts(campaign, agentConfig);
+};
+
 /**
  * Start a campaign scheduler
+ * Refuses while contacts lack variables the agent's prompt requires, unless allowMissingVariables is set.
  */
 exports.startCampaign = async (req, res) => {
   try {
     const { campaignId } = req.params;
-    const { settings } = req.body;
+    const { settings, allowMissingVariables } = req.body;
+
+    if (allowMissingVariables !== true) {
+      const campaign = await db.Campaign.findByPk(campaignId);
+      const check = campaign ? await checkPromptVariables(campaign) : null;
+
+      if (check && check.total > 0) {
+        return res.status(400).json({
+          success: false,
+          error: `${check.total} contacts lack required prompt variables`,
+          errors: check.contacts.map(contact => `Contact ${contact.contactId} is missing ${contact.missing.join(', ')}`),
+          data: check
+        });
+      }
+    }
     
     const result = await campaignSchedulerService.startCampaign(campaignId, settings);
     
@@ -45,7 +71,7 @@ exports.pauseCampaign = async (req, res) => {
   try {
     const { campaignId } = req.params;
     
-    const result = campaignSchedulerService.pauseCampaign(campaignId);
+    const result = await campaignSchedulerService.pauseCampaign(campaignId);
     
     // Check if campaign not found
     if (result.status === 'not_found') {
@@ -139,7 +165,7 @@ exports.getCampaignStatus = async (req, res) => {
   try {
     const { campaignId } = req.params;
     
-    const result = campaignSchedulerService.getCampaignStatus(campaignId);
+    const result = await campaignSchedulerService.getCampaignStatus(campaignId);
     
     // Check if campaign not found
     if (result.status === 'not_found') {
@@ -168,7 +194,7 @@ exports.getCampaignStatus = async (req, res) => {
  */
 exports.getAllActiveCampaigns = async (req, res) => {
   try {
-    const result = campaignSchedulerService.getAllActiveCampaigns();
+    const result = await campaignSchedulerService.getAllActiveCampaigns(req.user.workspaceId);
     
     res.status(200).json({
       success: true,
@@ -216,3 +242,33 @@ exports.updateCampaignSettings = async (req, res) => {
     });
   }
 };
+
+/**
+ * Get the contacts that lack variables the campaign agent's prompt requires
+ */
+exports.getPromptVariableCheck = async (req, res) => {
+  try {
+    const campaign = await db.Campaign.findByPk(req.params.campaignId);
+
+    if (!campaign) {
+      return res.status(404).json({
+        success: false,
+        error: 'Campaign not found'
+      });
+    }
+
+    const check = await checkPromptVariables(campaign);
+
+    res.status(200).json({
+      success: true,
+      data: check
+    });
+  } catch (error) {
+    logger.error(`Error checking campaign prompt variables: ${error.message}`);
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to check prompt variables'
+    });
+  }
+};
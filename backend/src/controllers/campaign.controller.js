@@ -4,13 +4,36 @@
  */
 const logger = require('../utils/logger');
 const campaignService = require('../services/campaign.service');
+const retryPolicyService = require('../services/retry-policy.service');
+const businessScheduleService = require('../services/business-schedule.service');
+
+/**
+ * Problems with the retry policy in a campaign payload, if it has one
+ */
+const getRetryPolicyErrors = (campaignData) => {
+  const policy = campaignData.settings && campaignData.settings.retryPolicy;
+  return policy === undefined ? [] : retryPolicyService.validateRetryPolicy(policy);
+};
+
+/**
+ * Whether the holiday calendar in a campaign payload is missing from the caller's workspace
+ */
+const isUnknownSchedule = async (campaignData, workspaceId) => {
+  const scheduleId = campaignData.settings && campaignData.settings.scheduleId;
+  return !!scheduleId && !(await businessScheduleService.getScheduleById(scheduleId, workspaceId));
+};
+
+const scheduleNotFound = (res) => res.status(404).json({
+  success: false,
+  error: 'Schedule not found'
+});
 
 /**
  * Get all campaigns with optional filtering
  */
 exports.getCampaigns = async (req, res) => {
   try {
-    const filters = { status: req.query.status };
+    const filters = { status: req.query.status, workspaceId: req.user.workspaceId };
     const result = await campaignService.getAllCampaigns(filters);
     
     logger.info(`Retrieved ${result.length} campaigns`);
@@ -33,7 +56,7 @@ exports.getCampaigns = async (req, res) => {
 exports.getCampaignById = async (req, res) => {
   try {
     const { id } = req.params;
-    const campaign = await campaignService.getCampaignById(id);
+    const campaign = await campaignService.getCampaignById(id, req.user.workspaceId);
     
     if (!campaign) {
       return res.status(404).json({
@@ -73,8 +96,20 @@ exports.createCampaign = async (req, res) => {
       });
     }
     
+    const retryPolicyErrors = getRetryPolicyErrors(campaignData);
+    if (retryPolicyErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid retry policy: ${retryPolicyErrors.join('; ')}`
+      });
+    }
+    
+    if (await isUnknownSchedule(campaignData, req.user.workspaceId)) {
+      return scheduleNotFound(res);
+    }
+    
     // Create campaign using service
-    const newCampaign = await campaignService.createCampaign(campaignData);
+    const newCampaign = await campaignService.createCampaign(campaignData, req.user.workspaceId);
     
     logger.info(`Created new campaign: ${newCampaign.id}`);
     res.status(201).json({
@@ -107,8 +142,20 @@ exports.updateCampaign = async (req, res) => {
     const { id } = req.params;
     const updatedFields = req.body;
     
+    const retryPolicyErrors = getRetryPolicyErrors(updatedFields);
+    if (retryPolicyErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid retry policy: ${retryPolicyErrors.join('; ')}`
+      });
+    }
+    
+    if (await isUnknownSchedule(updatedFields, req.user.workspaceId)) {
+      return scheduleNotFound(res);
+    }
+    
     // Update campaign using service
-    const updatedCampaign = await campaignService.updateCampaign(id, updatedFields);
+    const updatedCampaign = await campaignService.updateCampaign(id, updatedFields, req.user.workspaceId);
     
     if (!updatedCampaign) {
       return res.status(404).json({
@@ -139,7 +186,7 @@ exports.deleteCampaign = async (req, res) => {
     const { id } = req.params;
     
     // Delete campaign using service
-    const deleted = await campaignService.deleteCampaign(id);
+    const deleted = await campaignService.deleteCampaign(id, req.user.workspaceId);
     
     if (!deleted) {
       return res.status(404).json({
@@ -180,7 +227,7 @@ exports.updateCampaignStatus = async (req, res) => {
     }
     
     // Update campaign status using service
-    const updatedCampaign = await campaignService.updateCampaignStatus(id, status);
+    const updatedCampaign = await campaignService.updateCampaignStatus(id, status, req.user.workspaceId);
     
     if (!updatedCampaign) {
       return res.status(404).json({
@@ -218,7 +265,7 @@ exports.updateCampaignStatus = async (req, res) => {
 exports.getCampaignStats = async (req, res) => {
   try {
     // Get campaign statistics using service
-    const stats = await campaignService.getCampaignStats();
+    const stats = await campaignService.getCampaignStats(req.user.workspaceId);
     
     logger.info('Retrieved campaign statistics');
     res.status(200).json({
@@ -242,7 +289,7 @@ exports.processCampaign = async (req, res) => {
     const { id } = req.params;
     
     // Process campaign using service
-    const result = await campaignService.processCampaign(id);
+    const result = await campaignService.processCampaign(id, req.user.workspaceId);
     
     if (result) {
       logger.info(`Manually processed campaign: ${id}`);
@@ -4,12 +4,15 @@
  */
 
 const db = require('../models');
+const contactService = require('../services/contact.service');
 const { Op } = require('sequelize');
 const csv = require('csv-parser');
 const fs = require('fs');
 const path = require('path');
 const logger = require('../utils/logger');
 const { createTempFile } = require('../utils/file-helpers');
+const { findScopedByPk } = require('../utils/workspace-scope');
+const { isValidTimezone } = require('../utils/timezone');
 
 /**
  * Get all contacts with pagination and filtering
@@ -28,7 +31,7 @@ exports.getContacts = async (req, res) => {
     } = req.query;
 
     // Prepare filter conditions
-    const whereClause = {};
+    const whereClause = { workspaceId: req.user.workspaceId };
     
     if (campaignId) {
       whereClause.campaignId = campaignId;
@@ -58,7 +61,7 @@ exports.getContacts = async (req, res) => {
     // Use a simplified query with explicitly defined attributes
     // that we know exist in the database
     const { count, rows: contacts } = await db.Contact.findAndCountAll({
-      attributes: ['id', 'firstName', 'lastName', 'phone', 'email', 'status', 'notes', 'customFields', 'sourceType', 'campaignId', 'createdAt', 'updatedAt'],
+      attributes: ['id', 'workspaceId', 'firstName', 'lastName', 'phone', 'email', 'timezone', 'status', 'callAttempts', 'lastCallOutcome', 'lastCallAt', 'nextRetryAt', 'notes', 'optedOut', 'optedOutAt', 'optOutEvidence', 'customFields', 'sourceType', 'campaignId', 'createdAt', 'updatedAt'],
       where: whereClause,
       limit: parseInt(limit),
       offset,
@@ -105,8 +108,8 @@ exports.getContactById = async (req, res) => {
     
     logger.debug('Getting contact by ID:', { contactId });
     
-    const contact = await db.Contact.findByPk(contactId, {
-      attributes: ['id', 'firstName', 'lastName', 'phone', 'email', 'status', 'notes', 'customFields', 'sourceType', 'campaignId', 'createdAt', 'updatedAt'],
+    const contact = await findScopedByPk(db.Contact, contactId, req.user.workspaceId, {
+      attributes: ['id', 'workspaceId', 'firstName', 'lastName', 'phone', 'email', 'timezone', 'status', 'callAttempts', 'lastCallOutcome', 'lastCallAt', 'nextRetryAt', 'notes', 'optedOut', 'optedOutAt', 'optOutEvidence', 'customFields', 'sourceType', 'campaignId', 'createdAt', 'updatedAt'],
       include: [
         {
           model: db.Campaign,
@@ -140,6 +143,37 @@ exports.getContactById = async (req, res) => {
   }
 };
 
+/**
+ * Get a contact's timeline of calls, callbacks and opt-out
+ */
+exports.getContactTimeline = async (req, res) => {
+  try {
+    const { contactId } = req.params;
+    
+    const contact = await findScopedByPk(db.Contact, contactId, req.user.workspaceId);
+    if (!contact) {
+      return res.status(404).json({
+        success: false,
+        message: `Contact with id ${contactId} not found`
+      });
+    }
+    
+    const events = await contactService.getContactTimeline(contact);
+    
+    res.status(200).json({
+      success: true,
+      count: events.length,
+      data: events
+    });
+  } catch (error) {
+    logger.error(`Error getting contact timeline: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve contact timeline'
+    });
+  }
+};
+
 /**
  * Create a new contact
  */
@@ -151,6 +185,7 @@ exports.createContact = async (req, res) => {
       lastName, 
       phone, 
       email,
+      timezone,
       customFields
     } = req.body;
     
@@ -162,9 +197,16 @@ exports.createContact = async (req, res) => {
       });
     }
     
+    if (timezone && !isValidTimezone(timezone)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid timezone: ${timezone}`
+      });
+    }
+    
     // Check if campaign exists if campaignId is provided
     if (campaignId) {
-      const campaign = await db.Campaign.findByPk(campaignId);
+      const campaign = await findScopedByPk(db.Campaign, campaignId, req.user.workspaceId);
       if (!campaign) {
         return res.status(404).json({
           success: false,
@@ -175,11 +217,13 @@ exports.createContact = async (req, res) => {
     
     // Create the contact
     const contact = await db.Contact.create({
+      workspaceId: req.user.workspaceId,
       campaignId,
       firstName,
       lastName,
       phone,
       email,
+      timezone: timezone || null,
       customFields,
       sourceType: 'manual'
     });
@@ -209,13 +253,14 @@ exports.updateContact = async (req, res) => {
       lastName, 
       phone, 
       email,
+      timezone,
       status,
       notes,
       customFields
     } = req.body;
     
     // Find contact
-    const contact = await db.Contact.findByPk(contactId);
+    const contact = await findScopedByPk(db.Contact, contactId, req.user.workspaceId);
     
     if (!contact) {
       return res.status(404).json({
@@ -224,9 +269,16 @@ exports.updateContact = async (req, res) => {
       });
     }
     
+    if (timezone && !isValidTimezone(timezone)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid timezone: ${timezone}`
+      });
+    }
+    
     // Check if campaign exists if campaignId is changing
     if (campaignId && campaignId !== contact.campaignId) {
-      const campaign = await db.Campaign.findByPk(campaignId);
+      const campaign = await findScopedByPk(db.Campaign, campaignId, req.user.workspaceId);
       if (!campaign) {
         return res.status(404).json({
           success: false,
@@ -242,6 +294,7 @@ exports.updateContact = async (req, res) => {
       lastName: lastName !== undefined ? lastName : contact.lastName,
       phone: phone || contact.phone,
       email: email !== undefined ? email : contact.email,
+      timezone: timezone !== undefined ? timezone || null : contact.timezone,
       status: status || contact.status,
       notes: notes !== undefined ? notes : contact.notes,
       customFields: customFields || contact.customFields
@@ -268,7 +321,7 @@ exports.deleteContact = async (req, res) => {
     const { contactId } = req.params;
     
     // Find contact
-    const contact = await db.Contact.findByPk(contactId);
+    const contact = await findScopedByPk(db.Contact, contactId, req.user.workspaceId);
     
     if (!contact) {
       return res.status(404).json({
@@ -310,7 +363,7 @@ exports.uploadContacts = async (req, res) => {
     
     // Check if campaign exists if campaignId is provided
     if (campaignId) {
-      const campaign = await db.Campaign.findByPk(campaignId);
+      const campaign = await findScopedByPk(db.Campaign, campaignId, req.user.workspaceId);
       if (!campaign) {
         return res.status(404).json({
           success: false,
@@ -337,11 +390,13 @@ exports.uploadContacts = async (req, res) => {
             });
           } else {
             results.push({
+              workspaceId: req.user.workspaceId,
               campaignId: campaignId || null,
               firstName: data.firstName || data.first_name || '',
               lastName: data.lastName || data.last_name || '',
               phone: data.phone,
               email: data.email || '',
+              timezone: isValidTimezone(data.timezone) ? data.timezone : null,
               customFields: {},
               sourceType: 'csv'
             });
@@ -384,7 +439,10 @@ exports.getContactStats = async (req, res) => {
   try {
     const { campaignId } = req.query;
     
-    const whereClause = campaignId ? { campaignId } : {};
+    const whereClause = { workspaceId: req.user.workspaceId };
+    if (campaignId) {
+      whereClause.campaignId = campaignId;
+    }
     
     // Get counts by status using only fields known to exist in database
     const statusCounts = await db.Contact.findAll({
@@ -424,10 +482,11 @@ exports.getContactStats = async (req, res) => {
 /**
  * Import helper utility - used for testing and development
  */
-exports.importContactsFromArray = async (contactsArray, campaignId = null) => {
+exports.importContactsFromArray = async (contactsArray, campaignId = null, workspaceId = null) => {
   try {
     const formattedContacts = contactsArray.map(contact => ({
       ...contact,
+      workspaceId,
       campaignId,
       sourceType: 'api',
       customFields: contact.customFields || {}
@@ -4,6 +4,7 @@
  */
 
 const { Conversation, CallRecording, Campaign } = require('../models');
+const agentToolsService = require('../services/agent-tools.service');
 const logger = require('../utils/logger');
 const { Op } = require('sequelize');
 
@@ -27,7 +28,7 @@ const getConversations = async (req, res) => {
     const offset = (page - 1) * limit;
     
     // Build where clause based on filters
-    const where = {};
+    const where = { workspace_id: req.user.workspaceId };
     
     if (campaign_id) {
       where.campaign_id = campaign_id;
@@ -115,7 +116,8 @@ const getConversationById = async (req, res) => {
       ]
     });
 
-    if (!conversation) {
+    // Conversations from other workspaces are reported as missing
+    if (!conversation || conversation.workspace_id !== req.user.workspaceId) {
       logger.warn(`Conversation with ID ${id} not found`);
       return res.status(404).json({
         success: false,
@@ -138,6 +140,40 @@ const getConversationById = async (req, res) => {
   }
 };
 
+/**
+ * Get the agent tool calls made during a conversation
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+const getConversationToolCalls = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const conversation = await Conversation.findByPk(id);
+
+    if (!conversation || conversation.workspace_id !== req.user.workspaceId) {
+      return res.status(404).json({
+        success: false,
+        error: 'Conversation not found'
+      });
+    }
+
+    const toolCalls = await agentToolsService.listToolCalls(conversation);
+
+    return res.status(200).json({
+      success: true,
+      count: toolCalls.length,
+      data: toolCalls
+    });
+  } catch (error) {
+    logger.error(`Error retrieving conversation tool calls: ${error.message}`);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve conversation tool calls'
+    });
+  }
+};
+
 /**
  * Update conversation metadata
  * @param {Object} req - Express request
@@ -157,7 +193,7 @@ const updateConversationMetadata = async (req, res) => {
 
     const conversation = await Conversation.findByPk(id);
 
-    if (!conversation) {
+    if (!conversation || conversation.workspace_id !== req.user.workspaceId) {
       logger.warn(`Conversation with ID ${id} not found`);
       return res.status(404).json({
         success: false,
@@ -202,7 +238,9 @@ const getConversationStats = async (req, res) => {
     const { campaign_id, start_date, end_date } = req.query;
 
     // Build filter conditions
-    const whereConditions = {};
+    const whereConditions = { workspace_id: req.user.workspaceId };
+    // workspaceId comes from the verified user record, never from the request
+    const workspaceFilter = "AND workspace_id = '" + req.user.workspaceId + "'";
     if (campaign_id) whereConditions.campaign_id = campaign_id;
     if (start_date) whereConditions.createdAt = { [Op.gte]: new Date(start_date) };
     if (end_date) {
@@ -234,6 +272,7 @@ const getConversationStats = async (req, res) => {
         COUNT(*) as count
       FROM conversations
       WHERE metadata->>'outcome' IS NOT NULL
+      ${workspaceFilter}
       ${campaign_id ? "AND campaign_id = '" + campaign_id + "'" : ""}
       ${start_date ? "AND created_at >= '" + start_date + "'" : ""}
       ${end_date ? "AND created_at < '" + new Date(new Date(end_date).setDate(new Date(end_date).getDate() + 1)).toISOString().split('T')[0] + "'" : ""}
@@ -268,7 +307,8 @@ const getConversationStats = async (req, res) => {
         SELECT jsonb_array_elements_text(metadata->'topics') as topic
         FROM conversations
         WHERE metadata->'topics' IS NOT NULL AND jsonb_array_length(metadata->'topics') > 0
-        ${campaign_id ? "AND campaign_id = '" + campaign_id + "'" : ""}
+        ${workspaceFilter}
+      ${campaign_id ? "AND campaign_id = '" + campaign_id + "'" : ""}
         ${start_date ? "AND created_at >= '" + start_date + "'" : ""}
         ${end_date ? "AND created_at < '" + new Date(new Date(end_date).setDate(new Date(end_date).getDate() + 1)).toISOString().split('T')[0] + "'" : ""}
       ) AS topics
@@ -292,6 +332,7 @@ const getConversationStats = async (req, res) => {
         AVG((metadata->'sentiment'->>'neutral')::float) as avg_neutral
       FROM conversations
       WHERE metadata->'sentiment' IS NOT NULL
+      ${workspaceFilter}
       ${campaign_id ? "AND campaign_id = '" + campaign_id + "'" : ""}
       ${start_date ? "AND created_at >= '" + start_date + "'" : ""}
       ${end_date ? "AND created_at < '" + new Date(new Date(end_date).setDate(new Date(end_date).getDate() + 1)).toISOString().split('T')[0] + "'" : ""}
@@ -312,6 +353,7 @@ const getConversationStats = async (req, res) => {
         AVG(duration_seconds) as avg_duration
       FROM conversations
       WHERE created_at IS NOT NULL
+      ${workspaceFilter}
       ${campaign_id ? "AND campaign_id = '" + campaign_id + "'" : ""}
       ${start_date ? "AND created_at >= '" + start_date + "'" : ""}
       ${end_date ? "AND created_at < '" + new Date(new Date(end_date).setDate(new Date(end_date).getDate() + 1)).toISOString().split('T')[0] + "'" : ""}
@@ -361,6 +403,7 @@ const getConversationStats = async (req, res) => {
 module.exports = {
   getConversations,
   getConversationById,
+  getConversationToolCalls,
   updateConversationMetadata,
   getConversationStats
 };
@@ -0,0 +1,287 @@
+/**
+ * Do-Not-Call Controller
+ * Manages the workspace and global suppression lists
+ */
+
+const fs = require('fs');
+const csv = require('csv-parser');
+const dncService = require('../services/dnc.service');
+const workspaceService = require('../services/workspace.service');
+const logger = require('../utils/logger');
+
+/**
+ * Global entries affect every workspace, so only admins of the default (platform) workspace manage them
+ */
+const canManageGlobal = async (user) => {
+  return user.role === 'admin' && await workspaceService.isDefaultWorkspace(user.workspaceId);
+};
+
+const forbiddenGlobal = (res) => res.status(403).json({
+  success: false,
+  message: 'Only platform administrators can manage global do-not-call entries',
+  error: 'forbidden'
+});
+
+/**
+ * List entries visible to the caller's workspace (its own plus global ones)
+ */
+exports.getEntries = async (req, res) => {
+  try {
+    const { page = 1, limit = 50, search, scope = 'all', includeExpired } = req.query;
+    const pageSize = Math.min(parseInt(limit) || 50, 500);
+    const offset = (Math.max(parseInt(page) || 1, 1) - 1) * pageSize;
+
+    const { rows, count } = await dncService.listEntries({
+      workspaceId: req.user.workspaceId,
+      scope,
+      search,
+      includeExpired: includeExpired === 'true'
+    }, pageSize, offset);
+
+    res.status(200).json({
+      success: true,
+      count: rows.length,
+      total: count,
+      page: parseInt(page) || 1,
+      pages: Math.ceil(count / pageSize),
+      data: rows
+    });
+  } catch (error) {
+    logger.error(`Error listing do-not-call entries: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve do-not-call entries'
+    });
+  }
+};
+
+/**
+ * Check whether a number is currently blocked for the caller's workspace
+ */
+exports.checkNumber = async (req, res) => {
+  try {
+    const entry = await dncService.findBlockingEntry(req.params.phoneNumber, req.user.workspaceId);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        phoneNumber: dncService.normalizePhoneNumber(req.params.phoneNumber),
+        blocked: !!entry,
+        entry
+      }
+    });
+  } catch (error) {
+    logger.error(`Error checking do-not-call list: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to check do-not-call list'
+    });
+  }
+};
+
+/**
+ * Get a single entry
+ */
+exports.getEntryById = async (req, res) => {
+  try {
+    const entry = await dncService.getEntryById(req.params.id, req.user.workspaceId);
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        error: 'Do-not-call entry not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: entry
+    });
+  } catch (error) {
+    logger.error(`Error retrieving do-not-call entry: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve do-not-call entry'
+    });
+  }
+};
+
+/**
+ * Add a number to the workspace list, or to the global list with scope=global
+ */
+exports.createEntry = async (req, res) => {
+  try {
+    const { phoneNumber, reason, expiresAt, notes, scope } = req.body;
+
+    if (!phoneNumber || !dncService.normalizePhoneNumber(phoneNumber)) {
+      return res.status(400).json({
+        success: false,
+        error: 'A valid phoneNumber is required'
+      });
+    }
+
+    if (expiresAt && isNaN(new Date(expiresAt).getTime())) {
+      return res.status(400).json({
+        success: false,
+        error: 'expiresAt must be a valid date'
+      });
+    }
+
+    const isGlobal = scope === 'global';
+    if (isGlobal && !(await canManageGlobal(req.user))) {
+      return forbiddenGlobal(res);
+    }
+
+    const { entry, created } = await dncService.addEntry({
+      phoneNumber,
+      reason,
+      expiresAt,
+      notes,
+      source: 'manual',
+      createdBy: req.user.id
+    }, isGlobal ? null : req.user.workspaceId);
+
+    res.status(created ? 201 : 200).json({
+      success: true,
+      message: created ? 'Number added to do-not-call list' : 'Existing do-not-call entry updated',
+      data: entry
+    });
+  } catch (error) {
+    logger.error(`Error creating do-not-call entry: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create do-not-call entry'
+    });
+  }
+};
+
+/**
+ * Import numbers from a CSV file (columns: phone or phoneNumber, reason, expiresAt, notes)
+ */
+exports.importEntries = async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({
+      success: false,
+      error: 'No file uploaded'
+    });
+  }
+
+  const csvFilePath = req.file.path;
+
+  try {
+    const isGlobal = req.body.scope === 'global';
+    if (isGlobal && !(await canManageGlobal(req.user))) {
+      return forbiddenGlobal(res);
+    }
+
+    const rows = [];
+    await new Promise((resolve, reject) => {
+      fs.createReadStream(csvFilePath)
+        .pipe(csv())
+        .on('data', (data) => {
+          rows.push({
+            phoneNumber: data.phoneNumber || data.phone || data.phone_number,
+            reason: data.reason || null,
+            expiresAt: data.expiresAt || data.expires_at || null,
+            notes: data.notes || null
+          });
+        })
+        .on('end', resolve)
+        .on('error', reject);
+    });
+
+    const result = await dncService.importEntries(rows, isGlobal ? null : req.user.workspaceId, {
+      source: 'csv',
+      createdBy: req.user.id
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Imported ${result.imported} numbers, updated ${result.updated}`,
+      ...result
+    });
+  } catch (error) {
+    logger.error(`Error importing do-not-call list: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to import do-not-call list'
+    });
+  } finally {
+    fs.unlink(csvFilePath, () => {});
+  }
+};
+
+/**
+ * Update an entry's reason, notes or expiry
+ */
+exports.updateEntry = async (req, res) => {
+  try {
+    const entry = await dncService.getEntryById(req.params.id, req.user.workspaceId);
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        error: 'Do-not-call entry not found'
+      });
+    }
+
+    if (!entry.workspaceId && !(await canManageGlobal(req.user))) {
+      return forbiddenGlobal(res);
+    }
+
+    const { reason, notes, expiresAt } = req.body;
+    if (expiresAt && isNaN(new Date(expiresAt).getTime())) {
+      return res.status(400).json({
+        success: false,
+        error: 'expiresAt must be a valid date'
+      });
+    }
+
+    await dncService.updateEntry(entry, { reason, notes, expiresAt });
+
+    res.status(200).json({
+      success: true,
+      data: entry
+    });
+  } catch (error) {
+    logger.error(`Error updating do-not-call entry: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update do-not-call entry'
+    });
+  }
+};
+
+/**
+ * Remove a number from the list
+ */
+exports.deleteEntry = async (req, res) => {
+  try {
+    const entry = await dncService.getEntryById(req.params.id, req.user.workspaceId);
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        error: 'Do-not-call entry not found'
+      });
+    }
+
+    if (!entry.workspaceId && !(await canManageGlobal(req.user))) {
+      return forbiddenGlobal(res);
+    }
+
+    await entry.destroy();
+    logger.info(`User ${req.user.id} removed ${entry.phoneNumber} from do-not-call list`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Number removed from do-not-call list'
+    });
+  } catch (error) {
+    logger.error(`Error deleting do-not-call entry: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete do-not-call entry'
+    });
+  }
+};
@@ -5,15 +5,29 @@
 
 const db = require('../models');
 const elevenlabsService = require('../services/elevenlabs.service');
+const agentConfigService = require('../services/agent-config.service');
+const workspaceService = require('../services/workspace.service');
+const { findScopedByPk } = require('../utils/workspace-scope');
 const logger = require('../utils/logger');
 const { Op } = require('sequelize');
 
+const { InvalidAgentConfigError } = agentConfigService;
+
 /**
  * List all available ElevenLabs voice agents
  */
 exports.listVoiceAgents = async (req, res) => {
   try {
-    const agents = await elevenlabsService.getAvailableVoiceAgents();
+    const apiKey = await workspaceService.getElevenLabsApiKey(req.user.workspaceId);
+    
+    if (!apiKey) {
+      return res.status(400).json({
+        success: false,
+        error: 'ElevenLabs is not configured for this workspace'
+      });
+    }
+    
+    const agents = await elevenlabsService.getAvailableVoiceAgents(apiKey);
     
     res.status(200).json({
       success: true,
@@ -38,7 +52,7 @@ exports.getAgentConfig = async (req, res) => {
     
     // Try to get config from our database first
     const agentConfig = await db.AgentConfig.findOne({
-      where: { agentId }
+      where: { agentId, workspaceId: req.user.workspaceId }
     });
     
     if (agentConfig) {
@@ -48,8 +62,9 @@ exports.getAgentConfig = async (req, res) => {
       });
     }
     
-    // If not in our database, try to get from ElevenLabs
-    const agent = await elevenlabsService.getVoiceAgentById(agentId);
+    // If not in our database, try to get from ElevenLabs with the workspace's own key
+    const apiKey = await workspaceService.getElevenLabsApiKey(req.user.workspaceId);
+    const agent = apiKey ? await elevenlabsService.getVoiceAgentById(agentId, apiKey) : null;
     
     if (!agent) {
       return res.status(404).json({
@@ -78,13 +93,32 @@ exports.getAgentConfig = async (req, res) => {
   }
 };
 
+/**
+ * Point the agent at a new webhook URL in ElevenLabs
+ * Failures are logged; the config is kept locally either way.
+ */
+const syncWebhookUrl = async (agentId, previousUrl, webhookUrl, workspaceId) => {
+  if (webhookUrl === previousUrl) {
+    return;
+  }
+  
+  try {
+    const apiKey = await workspaceService.getElevenLabsApiKey(workspaceId);
+    await elevenlabsService.updateAgentWebhook(agentId, webhookUrl, apiKey);
+    logger.info(`Updated webhook URL for agent ${agentId} to ${webhookUrl}`);
+  } catch (webhookError) {
+    logger.error(`Failed to update webhook URL in ElevenLabs: ${webhookError.message}`);
+  }
+};
+
 /**
  * Create or update agent configuration
+ * Every change is saved as a new version with its author and diff.
  */
 exports.saveAgentConfig = async (req, res) => {
   try {
     const { agentId } = req.params;
-    const { name, description, isActive, settings, promptSettings, webhookUrl } = req.body;
+    const { notes } = req.body;
     
     // Validate required fields
     if (!agentId) {
@@ -94,61 +128,132 @@ exports.saveAgentConfig = async (req, res) => {
       });
     }
     
-    // Check if config exists
-    let agentConfig = await db.AgentConfig.findOne({
-      where: { agentId }
+    const existing = await agentConfigService.getConfig(agentId, req.user.workspaceId);
+    const previousUrl = existing ? existing.webhookUrl : null;
+    
+    const { config, version, created } = await agentConfigService.saveConfig(req.body, {
+      agentId,
+      workspaceId: req.user.workspaceId,
+      userId: req.user.id,
+      notes
+    });
+    
+    if (req.body.webhookUrl !== undefined) {
+      await syncWebhookUrl(agentId, previousUrl, config.webhookUrl, req.user.workspaceId);
+    }
+    
+    res.status(created ? 201 : 200).json({
+      success: true,
+      message: created ? 'Agent configuration created' : 'Agent configuration updated',
+      config,
+      version
+    });
+  } catch (error) {
+    if (error instanceof InvalidAgentConfigError) {
+      return res.status(400).json({
+        success: false,
+        error: error.errors[0],
+        errors: error.errors
+      });
+    }
+    logger.error(`Error saving agent config: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to save agent configuration'
     });
+  }
+};
+
+/**
+ * List an agent's configuration versions with their authors and diffs
+ */
+exports.getAgentVersions = async (req, res) => {
+  try {
+    const agentConfig = await agentConfigService.getConfig(req.params.agentId, req.user.workspaceId);
     
-    // If it doesn't exist, create it
     if (!agentConfig) {
-      agentConfig = await db.AgentConfig.create({
-        agentId,
-        name: name || 'Unnamed Agent',
-        description: description || '',
-        isActive: isActive !== undefined ? isActive : true,
-        settings: settings || {},
-        promptSettings: promptSettings || {},
-        webhookUrl: webhookUrl || null
+      return res.status(404).json({
+        success: false,
+        error: 'Agent configuration not found'
       });
-      
-      return res.status(201).json({
-        success: true,
-        message: 'Agent configuration created',
-        config: agentConfig
+    }
+    
+    const versions = await agentConfigService.listVersions(agentConfig.id);
+    
+    res.status(200).json({
+      success: true,
+      count: versions.length,
+      versions
+    });
+  } catch (error) {
+    logger.error(`Error listing agent config versions: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve agent configuration versions'
+    });
+  }
+};
+
+/**
+ * Get one version of an agent's configuration
+ */
+exports.getAgentVersion = async (req, res) => {
+  try {
+    const agentConfig = await agentConfigService.getConfig(req.params.agentId, req.user.workspaceId);
+    const version = agentConfig ? await agentConfigService.getVersion(agentConfig.id, req.params.version) : null;
+    
+    if (!version) {
+      return res.status(404).json({
+        success: false,
+        error: 'Agent configuration version not found'
       });
     }
     
-    // Update existing config
-    await agentConfig.update({
-      name: name !== undefined ? name : agentConfig.name,
-      description: description !== undefined ? description : agentConfig.description,
-      isActive: isActive !== undefined ? isActive : agentConfig.isActive,
-      settings: settings !== undefined ? settings : agentConfig.settings,
-      promptSettings: promptSettings !== undefined ? promptSettings : agentConfig.promptSettings,
-      webhookUrl: webhookUrl !== undefined ? webhookUrl : agentConfig.webhookUrl
+    res.status(200).json({
+      success: true,
+      version
+    });
+  } catch (error) {
+    logger.error(`Error retrieving agent config version: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve agent configuration version'
     });
+  }
+};
+
+/**
+ * Roll an agent back to an earlier version; the restored config is saved as a new version
+ */
+exports.rollbackAgentConfig = async (req, res) => {
+  try {
+    const { agentId } = req.params;
+    const agentConfig = await agentConfigService.getConfig(agentId, req.user.workspaceId);
+    const previousUrl = agentConfig ? agentConfig.webhookUrl : null;
+    const result = agentConfig ? await agentConfigService.rollback(agentConfig, req.params.version, req.user.id) : null;
     
-    // If new webhook URL, update the actual agent configuration in ElevenLabs
-    if (webhookUrl !== undefined && webhookUrl !== agentConfig.webhookUrl) {
-      try {
-        await elevenlabsService.updateAgentWebhook(agentId, webhookUrl);
-        logger.info(`Updated webhook URL for agent ${agentId} to ${webhookUrl}`);
-      } catch (webhookError) {
-        logger.error(`Failed to update webhook URL in ElevenLabs: ${webhookError.message}`);
-        // Continue anyway, we'll store our config locally
-      }
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: 'Agent configuration version not found'
+      });
     }
     
+    await syncWebhookUrl(agentId, previousUrl, result.config.webhookUrl, req.user.workspaceId);
+    
     res.status(200).json({
       success: true,
-      message: 'Agent configuration updated',
-      config: agentConfig
+      message: result.version
+        ? `Agent configuration rolled back to version ${result.restored.version} as version ${result.version.version}`
+        : `Agent configuration already matches version ${result.restored.version}`,
+      config: result.config,
+      version: result.version
     });
   } catch (error) {
-    logger.error(`Error saving agent config: ${error.message}`);
+    logger.error(`Error rolling back agent config: ${error.message}`);
     res.status(500).json({
       success: false,
-      error: 'Failed to save agent configuration'
+      error: 'Failed to roll back agent configuration'
     });
   }
 };
@@ -186,7 +291,7 @@ exports.listConfiguredAgents = async (req, res) => {
     }
     
     const { active } = req.query;
-    const whereClause = {};
+    const whereClause = { workspaceId: req.user.workspaceId };
     
     // Filter by active status if requested
     if (active !== undefined) {
@@ -237,7 +342,7 @@ exports.deleteAgentConfig = async (req, res) => {
     
     // Check if config exists
     const agentConfig = await db.AgentConfig.findOne({
-      where: { agentId }
+      where: { agentId, workspaceId: req.user.workspaceId }
     });
     
     if (!agentConfig) {
@@ -247,8 +352,8 @@ exports.deleteAgentConfig = async (req, res) => {
       });
     }
     
-    // Delete the config
-    await agentConfig.destroy();
+    // Delete the config and its versions
+    await agentConfigService.deleteConfig(agentConfig);
     
     res.status(200).json({
       success: true,
@@ -265,14 +370,16 @@ exports.deleteAgentConfig = async (req, res) => {
 
 /**
  * Assign an agent to a campaign
+ * `version` in the body pins the campaign to that config version; without it the campaign follows the latest.
  */
 exports.assignAgentToCampaign = async (req, res) => {
   try {
     const { agentId, campaignId } = req.params;
+    const { version } = req.body || {};
     
     // Validate agent exists
     const agentConfig = await db.AgentConfig.findOne({
-      where: { agentId }
+      where: { agentId, workspaceId: req.user.workspaceId }
     });
     
     if (!agentConfig) {
@@ -283,7 +390,7 @@ exports.assignAgentToCampaign = async (req, res) => {
     }
     
     // Validate campaign exists
-    const campaign = await db.Campaign.findByPk(campaignId);
+    const campaign = await findScopedByPk(db.Campaign, campaignId, req.user.workspaceId);
     
     if (!campaign) {
       return res.status(404).json({
@@ -292,19 +399,32 @@ exports.assignAgentToCampaign = async (req, res) => {
       });
     }
     
+    const pinned = version !== undefined && version !== null
+      ? await agentConfigService.getVersion(agentConfig.id, version)
+      : null;
+    
+    if (version !== undefined && version !== null && !pinned) {
+      return res.status(404).json({
+        success: false,
+        error: 'Agent configuration version not found'
+      });
+    }
+    
     // Update campaign with agent ID
     await campaign.update({
       voiceAgentId: agentId,
-      agentSettings: agentConfig.settings || {}
+      agentVersion: pinned ? pinned.version : null,
+      agentSettings: (pinned ? pinned.snapshot.settings : agentConfig.settings) || {}
     });
     
     res.status(200).json({
       success: true,
-      message: 'Agent assigned to campaign',
+      message: pinned ? `Agent version ${pinned.version} assigned to campaign` : 'Agent assigned to campaign',
       campaign: {
         id: campaign.id,
         name: campaign.name,
         voiceAgentId: campaign.voiceAgentId,
+        agentVersion: campaign.agentVersion,
         agentSettings: campaign.agentSettings
       }
     });
@@ -327,7 +447,8 @@ exports.getAgentMetrics = async (req, res) => {
     
     // Build where clause
     const whereClause = {
-      voiceAgentId: agentId
+      voiceAgentId: agentId,
+      workspaceId: req.user.workspaceId
     };
     
     // Add date filtering if provided
@@ -390,6 +511,9 @@ exports.getAgentMetrics = async (req, res) => {
       group: ['campaignId', 'campaign.id', 'campaign.name']
     });
     
+    // Outcomes per config version, to compare prompt changes
+    const versionMetrics = await agentConfigService.getVersionMetrics(whereClause);
+    
     res.status(200).json({
       success: true,
       agentId,
@@ -401,7 +525,8 @@ exports.getAgentMetrics = async (req, res) => {
         campaignId: item.campaignId,
         campaignName: item.campaign?.name || 'Unknown Campaign',
         callCount: parseInt(item.dataValues.count)
-      }))
+      })),
+      versions: versionMetrics
     });
   } catch (error) {
     logger.error(`Error getting agent metrics: ${error.message}`);
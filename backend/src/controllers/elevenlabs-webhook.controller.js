@@ -8,6 +8,8 @@ const router = express.Router();
 const logger = require('../utils/logger');
 const { Campaign, Conversation, CallRecording } = require('../models');
 const storageService = require('../services/storage.service');
+const workspaceService = require('../services/workspace.service');
+const optOutService = require('../services/opt-out.service');
 const config = require('../config');
 const { v4: uuidv4 } = require('uuid');
 
@@ -172,8 +174,15 @@ const processTranscriptionWebhook = async (data) => {
       (messagesText.length > 200 ? 
         `${messagesText.substring(0, 197)}...` : messagesText);
     
+    // Webhooks carry no user, so attribute the conversation via its campaign or call
+    const workspaceId = await workspaceService.resolveWorkspaceForCall({
+      callSid: call_id,
+      campaignId
+    });
+    
     // Store conversation in database
     const conversationRecord = await Conversation.create({
+      workspace_id: workspaceId,
       call_id,
       agent_id,
       campaign_id: campaignId,
@@ -212,6 +221,24 @@ const processTranscriptionWebhook = async (data) => {
     }
     
     logger.info(`Stored conversation record for call ${call_id}`);
+    
+    // Honour "take me off your list" requests made to the agent
+    const optOut = optOutService.findOptOutInTranscript(conversation.messages);
+    if (optOut) {
+      try {
+        await optOutService.recordOptOut({
+          source: 'transcript',
+          callSid: call_id,
+          workspaceId,
+          contactId: metadata?.contact_id,
+          snippet: optOut.snippet,
+          timeInCallSecs: optOut.timeInCallSecs
+        });
+      } catch (error) {
+        logger.error(`Error recording opt-out for call ${call_id}: ${error.message}`);
+      }
+    }
+    
     return conversationRecord;
   } catch (error) {
     logger.error(`Error processing ElevenLabs transcription webhook: ${error.message}`);
@@ -315,7 +342,13 @@ const processAudioWebhook = async (data) => {
     logger.info(`Stored audio file: ${storageResult.path} (${storageResult.sizeBytes} bytes)`);
     
     // Create database record for the audio recording
+    const workspaceId = await workspaceService.resolveWorkspaceForCall({
+      callSid: call_id,
+      campaignId
+    });
+    
     const recordingRecord = await CallRecording.create({
+      workspaceId,
       call_id,
       campaign_id: campaignId,
       storage_path: storageResult.path,
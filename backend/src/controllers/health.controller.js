@@ -10,6 +10,7 @@ const { performance } = require('perf_hooks');
 // Import service instances we want to monitor
 const elevenlabsService = require('../services/elevenlabs.service');
 const audioBridgeService = require('../services/audio-bridge.service');
+const streamGatewayService = require('../services/stream-gateway.service');
 
 /**
  * @route GET /api/health
@@ -47,6 +48,12 @@ router.get('/', async (req, res) => {
       logger.error(`Error checking audio bridge health: ${error.message}`);
     }
     
+    // Stream gateway connection counts
+    services.streamGateway = {
+      status: 'healthy',
+      ...streamGatewayService.getMetrics()
+    };
+    
     // Check ElevenLabs API status
     try {
       const elevenlabsHealth = await elevenlabsService.checkApiHealth();
@@ -101,4 +108,17 @@ router.get('/audio-bridge', async (req, res) => {
   }
 });
 
+/**
+ * @route GET /api/health/stream-gateway
+ * @desc Get stream gateway connection and traffic metrics
+ * @access Public
+ */
+router.get('/stream-gateway', (req, res) => {
+  return res.json({
+    status: 'healthy',
+    timestamp: new Date().toISOString(),
+    ...streamGatewayService.getMetrics()
+  });
+});
+
 module.exports = router;
@@ -5,9 +5,11 @@
  */
 
 const signalWireService = require('../services/signalwire.service');
+const inboundRoutingService = require('../services/inbound-routing.service');
 const campaignService = require('../services/campaign.service');
 const agentService = require('../services/agent.service');
 const contactService = require('../services/contact.service');
+const optOutService = require('../services/opt-out.service');
 const logger = require('../utils/logger');
 const { validateSignature } = require('../middleware/signalwire-webhook');
 const config = require('../config');
@@ -24,6 +26,13 @@ const handleInboundCall = async (req, res) => {
     // Log the incoming call
     logger.info(`Incoming call received: ${CallSid} from ${From} to ${To}, status: ${CallStatus}`);
     
+    // A route or call flow for the dialed number replaces the built-in menus below
+    const routedXml = await inboundRoutingService.renderInboundCall(req.body);
+    if (routedXml) {
+      res.type('text/xml');
+      return res.send(routedXml);
+    }
+    
     // Look up if this caller exists in our contacts database
     const contact = await contactService.findContactByPhone(From);
     
@@ -143,7 +152,7 @@ const generateCallFlowXml = async (flow, callData) => {
 };
 
 /**
- * Generate a campaign-specific XML flow
+ * Generate a campaign-specific XML flow (numbers without a call flow)
  * @param {Object} flow - Flow information
  * @param {Object} callData - Call data
  * @returns {string} XML response
@@ -159,7 +168,8 @@ const generateCampaignFlow = (flow, callData) => {
       numDigits: 1,
       timeout: 5,
       action: `${baseUrl}/api/calls/inbound/handle-campaign-input?campaignId=${flow.id}&callSid=${callSid}`,
-      say: 'Press 1 to speak with an agent. Press 2 to leave a voicemail. Press 3 for more information.'
+      say: 'Press 1 to speak with an agent. Press 2 to leave a voicemail. Press 3 for more information. ' +
+        `Press ${config.optOut.dtmfDigit} to stop receiving calls from us.`
     }
   };
   
@@ -210,7 +220,7 @@ const generateReturnCallFlow = (flow, callData) => {
 };
 
 /**
- * Generate the main IVR XML flow
+ * Generate the main IVR XML flow (numbers without a call flow)
  * @param {Object} flow - Flow information
  * @param {Object} callData - Call data
  * @returns {string} XML response
@@ -225,11 +235,38 @@ const generateMainIvrFlow = (flow, callData) => {
       numDigits: 1,
       timeout: 5,
       action: `${baseUrl}/api/calls/inbound/handle-ivr-input?callSid=${callSid}`,
-      say: 'Press 1 for sales. Press 2 for support. Press 3 for billing. Press 0 to speak with an operator.'
+      say: 'Press 1 for sales. Press 2 for support. Press 3 for billing. Press 0 to speak with an operator. ' +
+        `Press ${config.optOut.dtmfDigit} to stop receiving calls from us.`
     }
   });
 };
 
+/**
+ * Opt the caller out after they pressed the opt-out digit
+ * @param {Object} req - Express request object from a gather callback
+ * @returns {Promise<string>} XML response confirming the opt-out
+ */
+const handleOptOutDigit = async (req) => {
+  const { CallSid, Digits, From } = req.body;
+  const callSid = CallSid || req.query.callSid;
+  
+  try {
+    await optOutService.recordOptOut({
+      source: 'dtmf',
+      callSid,
+      phoneNumber: From,
+      digit: Digits
+    });
+  } catch (error) {
+    logger.error(`Error recording opt-out for call ${callSid}: ${error.message}`);
+  }
+  
+  return signalWireService.generateTwiML({
+    say: 'You have been removed from our call list and will not be called again. Goodbye.',
+    hangup: true
+  });
+};
+
 /**
  * Handle user input from the main IVR menu
  * @param {Object} req - Express request object
@@ -242,6 +279,11 @@ const handleIvrInput = async (req, res) => {
     
     logger.info(`IVR input received: ${Digits} for call ${CallSid || callSid}`);
     
+    if (Digits === config.optOut.dtmfDigit) {
+      res.type('text/xml');
+      return res.send(await handleOptOutDigit(req));
+    }
+    
     let xmlResponse;
     
     // Process user input
@@ -318,6 +360,11 @@ const handleCampaignInput = async (req, res) => {
     
     logger.info(`Campaign input received: ${Digits} for call ${CallSid || callSid} campaign ${campaignId}`);
     
+    if (Digits === config.optOut.dtmfDigit) {
+      res.type('text/xml');
+      return res.send(await handleOptOutDigit(req));
+    }
+    
     // Get campaign details
     const campaign = await campaignService.getCampaignById(campaignId);
     if (!campaign) {
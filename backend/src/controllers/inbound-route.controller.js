@@ -0,0 +1,194 @@
+/**
+ * Inbound Route Controller
+ * Manages the inbound routing table and serves the voicemail webhook of after-hours and fallback behaviors
+ */
+
+const db = require('../models');
+const inboundRouteService = require('../services/inbound-route.service');
+const inboundRoutingService = require('../services/inbound-routing.service');
+const signalwireService = require('../services/signalwire.service');
+const logger = require('../utils/logger');
+const { findScopedByPk } = require('../utils/workspace-scope');
+
+const { InvalidInboundRouteError } = inboundRouteService;
+
+const invalidRoute = (res, error) => res.status(400).json({
+  success: false,
+  error: error.message,
+  errors: error.errors
+});
+
+const routeNotFound = (res) => res.status(404).json({
+  success: false,
+  error: 'Inbound route not found'
+});
+
+/**
+ * The call flow, campaign and schedule a route points to must belong to the caller's workspace
+ * @returns {Promise<string|null>} Error message, or null when they do
+ */
+const checkReferences = async (data, workspaceId) => {
+  if (data.callFlowId && !(await findScopedByPk(db.CallFlow, data.callFlowId, workspaceId))) {
+    return 'Call flow not found';
+  }
+  if (data.campaignId && !(await findScopedByPk(db.Campaign, data.campaignId, workspaceId))) {
+    return 'Campaign not found';
+  }
+  if (data.scheduleId && !(await findScopedByPk(db.BusinessSchedule, data.scheduleId, workspaceId))) {
+    return 'Schedule not found';
+  }
+  return null;
+};
+
+/**
+ * List the workspace's inbound routes
+ */
+exports.getRoutes = async (req, res) => {
+  try {
+    const routes = await inboundRouteService.listRoutes(req.user.workspaceId);
+
+    res.status(200).json({
+      success: true,
+      count: routes.length,
+      data: routes
+    });
+  } catch (error) {
+    logger.error(`Error listing inbound routes: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve inbound routes'
+    });
+  }
+};
+
+/**
+ * Get a single inbound route
+ */
+exports.getRouteById = async (req, res) => {
+  try {
+    const route = await inboundRouteService.getRouteById(req.params.id, req.user.workspaceId);
+    if (!route) {
+      return routeNotFound(res);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: route
+    });
+  } catch (error) {
+    logger.error(`Error retrieving inbound route: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve inbound route'
+    });
+  }
+};
+
+/**
+ * Add an inbound route
+ */
+exports.createRoute = async (req, res) => {
+  try {
+    const referenceError = await checkReferences(req.body, req.user.workspaceId);
+    if (referenceError) {
+      return res.status(404).json({
+        success: false,
+        error: referenceError
+      });
+    }
+
+    const route = await inboundRouteService.createRoute(req.body, req.user.workspaceId);
+
+    res.status(201).json({
+      success: true,
+      data: route
+    });
+  } catch (error) {
+    if (error instanceof InvalidInboundRouteError) {
+      return invalidRoute(res, error);
+    }
+    logger.error(`Error creating inbound route: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create inbound route'
+    });
+  }
+};
+
+/**
+ * Update an inbound route
+ */
+exports.updateRoute = async (req, res) => {
+  try {
+    const route = await inboundRouteService.getRouteById(req.params.id, req.user.workspaceId);
+    if (!route) {
+      return routeNotFound(res);
+    }
+
+    const referenceError = await checkReferences(req.body, req.user.workspaceId);
+    if (referenceError) {
+      return res.status(404).json({
+        success: false,
+        error: referenceError
+      });
+    }
+
+    await inboundRouteService.updateRoute(route, req.body);
+
+    res.status(200).json({
+      success: true,
+      data: route
+    });
+  } catch (error) {
+    if (error instanceof InvalidInboundRouteError) {
+      return invalidRoute(res, error);
+    }
+    logger.error(`Error updating inbound route: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update inbound route'
+    });
+  }
+};
+
+/**
+ * Delete an inbound route; the number goes back to the default inbound handling
+ */
+exports.deleteRoute = async (req, res) => {
+  try {
+    const route = await inboundRouteService.getRouteById(req.params.id, req.user.workspaceId);
+    if (!route) {
+      return routeNotFound(res);
+    }
+
+    await route.destroy();
+
+    res.status(200).json({
+      success: true,
+      message: 'Inbound route deleted'
+    });
+  } catch (error) {
+    logger.error(`Error deleting inbound route: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete inbound route'
+    });
+  }
+};
+
+/**
+ * Webhook: a caller left a voicemail through an after-hours or fallback behavior
+ */
+exports.handleVoicemail = async (req, res) => {
+  try {
+    res.set('Content-Type', 'text/xml');
+    res.send(await inboundRoutingService.handleVoicemail(req.body || {}));
+  } catch (error) {
+    logger.error(`Error storing voicemail for call ${req.body && req.body.CallSid}: ${error.message}`);
+
+    res.set('Content-Type', 'text/xml');
+    res.send(signalwireService.generateTwiML({
+      say: { text: 'We\'re sorry, but there was an error saving your message. Please try again later.' }
+    }));
+  }
+};
@@ -0,0 +1,277 @@
+/**
+ * Phone Number Controller
+ * Manages the caller ID number pool
+ */
+
+const db = require('../models');
+const phoneNumberService = require('../services/phone-number.service');
+const callerIdHealthService = require('../services/caller-id-health.service');
+const logger = require('../utils/logger');
+const { findScopedByPk } = require('../utils/workspace-scope');
+
+/**
+ * A dedicated campaign must belong to the caller's workspace
+ */
+const campaignInWorkspace = async (campaignId, workspaceId) => {
+  if (!campaignId) {
+    return true;
+  }
+  return !!(await findScopedByPk(db.Campaign, campaignId, workspaceId));
+};
+
+/**
+ * An assigned call flow must belong to the caller's workspace
+ */
+const callFlowInWorkspace = async (callFlowId, workspaceId) => {
+  if (!callFlowId) {
+    return true;
+  }
+  return !!(await findScopedByPk(db.CallFlow, callFlowId, workspaceId));
+};
+
+/**
+ * List the workspace's pool numbers
+ */
+exports.getNumbers = async (req, res) => {
+  try {
+    const { status, campaignId, areaCode, state } = req.query;
+    const numbers = await phoneNumberService.listNumbers({
+      workspaceId: req.user.workspaceId,
+      status,
+      campaignId,
+      areaCode,
+      state
+    });
+
+    const now = new Date();
+    res.status(200).json({
+      success: true,
+      count: numbers.length,
+      data: numbers.map(number => ({
+        ...number.toJSON(),
+        callsToday: number.getCallsToday(now),
+        available: phoneNumberService.isAvailable(number, now)
+      }))
+    });
+  } catch (error) {
+    logger.error(`Error listing phone numbers: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve phone numbers'
+    });
+  }
+};
+
+/**
+ * Health scores of the workspace's pool numbers
+ */
+exports.getNumberHealth = async (req, res) => {
+  try {
+    const report = await callerIdHealthService.getHealthReport(req.user.workspaceId);
+
+    res.status(200).json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    logger.error(`Error retrieving caller ID health: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve caller ID health'
+    });
+  }
+};
+
+/**
+ * Rescore the workspace's numbers now instead of waiting for the scheduled check
+ */
+exports.checkNumberHealth = async (req, res) => {
+  try {
+    const result = await callerIdHealthService.evaluateAll(req.user.workspaceId);
+    const report = await callerIdHealthService.getHealthReport(req.user.workspaceId);
+
+    res.status(200).json({
+      success: true,
+      message: `Scored ${result.checked} numbers, retired ${result.retired.length}`,
+      retired: result.retired,
+      data: report
+    });
+  } catch (error) {
+    logger.error(`Error checking caller ID health: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to check caller ID health'
+    });
+  }
+};
+
+/**
+ * Get a single pool number
+ */
+exports.getNumberById = async (req, res) => {
+  try {
+    const number = await phoneNumberService.getNumberById(req.params.id, req.user.workspaceId);
+
+    if (!number) {
+      return res.status(404).json({
+        success: false,
+        error: 'Phone number not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...number.toJSON(),
+        callsToday: number.getCallsToday(),
+        available: phoneNumberService.isAvailable(number)
+      }
+    });
+  } catch (error) {
+    logger.error(`Error retrieving phone number: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve phone number'
+    });
+  }
+};
+
+/**
+ * Add a number to the pool
+ */
+exports.createNumber = async (req, res) => {
+  try {
+    if (!(await campaignInWorkspace(req.body.campaignId, req.user.workspaceId))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Campaign not found'
+      });
+    }
+
+    if (!(await callFlowInWorkspace(req.body.callFlowId, req.user.workspaceId))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Call flow not found'
+      });
+    }
+
+    const number = await phoneNumberService.addNumber(req.body, req.user.workspaceId);
+
+    res.status(201).json({
+      success: true,
+      data: number
+    });
+  } catch (error) {
+    if (/required|Invalid|must be|already in the pool/.test(error.message)) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+    logger.error(`Error creating phone number: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to add phone number'
+    });
+  }
+};
+
+/**
+ * Import the numbers the workspace owns in SignalWire
+ */
+exports.syncNumbers = async (req, res) => {
+  try {
+    const result = await phoneNumberService.syncFromSignalWire(req.user.workspaceId);
+
+    res.status(200).json({
+      success: true,
+      message: `Added ${result.added} numbers from SignalWire`,
+      ...result
+    });
+  } catch (error) {
+    logger.error(`Error syncing phone numbers: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to sync phone numbers from SignalWire'
+    });
+  }
+};
+
+/**
+ * Update a number's tags, limits, status or call flow
+ */
+exports.updateNumber = async (req, res) => {
+  try {
+    const number = await phoneNumberService.getNumberById(req.params.id, req.user.workspaceId);
+
+    if (!number) {
+      return res.status(404).json({
+        success: false,
+        error: 'Phone number not found'
+      });
+    }
+
+    if (!(await campaignInWorkspace(req.body.campaignId, req.user.workspaceId))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Campaign not found'
+      });
+    }
+
+    if (!(await callFlowInWorkspace(req.body.callFlowId, req.user.workspaceId))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Call flow not found'
+      });
+    }
+
+    await phoneNumberService.updateNumber(number, req.body);
+
+    res.status(200).json({
+      success: true,
+      data: number
+    });
+  } catch (error) {
+    if (/Invalid|must be/.test(error.message)) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+    logger.error(`Error updating phone number: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update phone number'
+    });
+  }
+};
+
+/**
+ * Remove a number from the pool (call logs keep the number they used)
+ */
+exports.deleteNumber = async (req, res) => {
+  try {
+    const number = await phoneNumberService.getNumberById(req.params.id, req.user.workspaceId);
+
+    if (!number) {
+      return res.status(404).json({
+        success: false,
+        error: 'Phone number not found'
+      });
+    }
+
+    await db.CallLog.update({ phoneNumberId: null }, { where: { phoneNumberId: number.id } });
+    await number.destroy();
+
+    res.status(200).json({
+      success: true,
+      message: 'Phone number removed from pool'
+    });
+  } catch (error) {
+    logger.error(`Error deleting phone number: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete phone number'
+    });
+  }
+};
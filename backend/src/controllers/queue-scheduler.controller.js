@@ -4,6 +4,7 @@
  */
 
 const queueSchedulerService = require('../services/queue-scheduler.service');
+const callLimiterService = require('../services/call-limiter.service');
 const logger = require('../utils/logger');
 
 /**
@@ -172,7 +173,7 @@ const processGlobalQueue = async (req, res) => {
 };
 
 /**
- * Get status of all active schedulers
+ * Get status of all active schedulers, with live utilization of the outbound call limits
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
@@ -180,10 +181,14 @@ const getSchedulerStatuses = async (req, res) => {
   try {
     // Get statuses
     const statuses = queueSchedulerService.getSchedulerStatuses();
+    const callLimits = await callLimiterService.getUtilization(req.user && req.user.workspaceId);
     
     res.status(200).json({
       success: true,
-      data: statuses
+      data: {
+        schedulers: statuses,
+        callLimits
+      }
     });
   } catch (error) {
     logger.error(`Error getting scheduler statuses: ${error.message}`);
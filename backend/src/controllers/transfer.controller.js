@@ -25,7 +25,7 @@ const initiateTransfer = async (req, res) => {
     }
 
     // Retrieve the call log to update
-    const callLog = await CallLog.findOne({ where: { callSid } });
+    const callLog = await CallLog.findOne({ where: { callSid, workspaceId: req.user.workspaceId } });
     
     if (!callLog) {
       return res.status(404).json({
@@ -47,7 +47,8 @@ const initiateTransfer = async (req, res) => {
     const transferResult = await signalwireService.transferCall(
       callSid,
       targetEndpoint,
-      transferOptions
+      transferOptions,
+      callLog.workspaceId
     );
 
     // Update call log with transfer details
@@ -97,7 +98,7 @@ const completeTransfer = async (req, res) => {
     }
 
     // Retrieve the call log to update
-    const callLog = await CallLog.findOne({ where: { callSid } });
+    const callLog = await CallLog.findOne({ where: { callSid, workspaceId: req.user.workspaceId } });
     
     if (!callLog) {
       return res.status(404).json({
@@ -159,7 +160,7 @@ const cancelTransfer = async (req, res) => {
     }
 
     // Retrieve the call log to update
-    const callLog = await CallLog.findOne({ where: { callSid } });
+    const callLog = await CallLog.findOne({ where: { callSid, workspaceId: req.user.workspaceId } });
     
     if (!callLog) {
       return res.status(404).json({
@@ -258,6 +259,7 @@ const getPendingTransfers = async (req, res) => {
     // Find all call logs with in-progress transfers
     const pendingTransfers = await CallLog.findAll({
       where: {
+        workspaceId: req.user.workspaceId,
         transferStatus: 'in-progress'
       },
       order: [['transferTime', 'DESC']]
@@ -297,7 +299,7 @@ const getTransferHistory = async (req, res) => {
 
     // Get the call log with transfer details
     const callLog = await CallLog.findOne({
-      where: { callSid },
+      where: { callSid, workspaceId: req.user.workspaceId },
       attributes: [
         'id',
         'callSid',
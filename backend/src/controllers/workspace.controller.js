@@ -0,0 +1,162 @@
+/**
+ * Workspace Controller
+ * Lets workspace admins manage their workspace, its credentials and its members
+ */
+const db = require('../models');
+const logger = require('../utils/logger');
+const workspaceService = require('../services/workspace.service');
+const signalwireService = require('../services/signalwire.service');
+
+const MEMBER_ROLES = ['admin', 'manager', 'user'];
+
+/**
+ * Get the caller's workspace
+ */
+exports.getCurrentWorkspace = async (req, res) => {
+  try {
+    const workspace = await workspaceService.getWorkspaceById(req.user.workspaceId);
+
+    if (!workspace) {
+      return res.status(404).json({
+        success: false,
+        error: 'Workspace not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: workspace
+    });
+  } catch (error) {
+    logger.error(`Error retrieving workspace: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve workspace'
+    });
+  }
+};
+
+/**
+ * Update the caller's workspace (name, settings, SignalWire/ElevenLabs credentials)
+ */
+exports.updateCurrentWorkspace = async (req, res) => {
+  try {
+    const { name, settings, signalWireCredentials, elevenLabsCredentials } = req.body;
+
+    const workspace = await workspaceService.updateWorkspace(req.user.workspaceId, {
+      name,
+      settings,
+      signalWireCredentials,
+      elevenLabsCredentials
+    });
+
+    if (!workspace) {
+      return res.status(404).json({
+        success: false,
+        error: 'Workspace not found'
+      });
+    }
+
+    // Drop the cached SignalWire client so the next call uses the new credentials
+    if (signalWireCredentials) {
+      signalwireService.resetVoiceClient(workspace.id);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: workspace
+    });
+  } catch (error) {
+    if (error.name === 'SequelizeValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: error.errors.map(e => e.message).join(', ')
+      });
+    }
+    logger.error(`Error updating workspace: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update workspace'
+    });
+  }
+};
+
+/**
+ * List the members of the caller's workspace
+ */
+exports.getMembers = async (req, res) => {
+  try {
+    const users = await db.User.findAll({
+      where: { workspaceId: req.user.workspaceId },
+      order: [['createdAt', 'ASC']]
+    });
+
+    res.status(200).json({
+      success: true,
+      count: users.length,
+      data: users
+    });
+  } catch (error) {
+    logger.error(`Error listing workspace members: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list workspace members'
+    });
+  }
+};
+
+/**
+ * Create a user account inside the caller's workspace
+ */
+exports.addMember = async (req, res) => {
+  try {
+    const { firstName, lastName, email, password, role = 'user' } = req.body;
+
+    if (!firstName || !lastName || !email || !password) {
+      return res.status(400).json({
+        success: false,
+        error: 'firstName, lastName, email and password are required'
+      });
+    }
+
+    if (!MEMBER_ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        error: `Role must be one of: ${MEMBER_ROLES.join(', ')}`
+      });
+    }
+
+    const user = await db.User.create({
+      firstName,
+      lastName,
+      email: email.toLowerCase(),
+      password,
+      role,
+      workspaceId: req.user.workspaceId
+    });
+
+    logger.info(`User ${req.user.id} added ${user.id} (${role}) to workspace ${req.user.workspaceId}`);
+    res.status(201).json({
+      success: true,
+      data: user
+    });
+  } catch (error) {
+    if (error.name === 'SequelizeValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: error.errors.map(e => e.message).join(', ')
+      });
+    }
+    if (error.name === 'SequelizeUniqueConstraintError') {
+      return res.status(409).json({
+        success: false,
+        error: 'A user with this email already exists'
+      });
+    }
+    logger.error(`Error adding workspace member: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to add workspace member'
+    });
+  }
+};
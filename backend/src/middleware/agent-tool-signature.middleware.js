@@ -0,0 +1,89 @@
+/**
+ * Agent Tool Signature Middleware
+ * Verifies that /api/agent-tools requests were signed with the shared agent tools secret
+ */
+
+const crypto = require('crypto');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+/**
+ * Signature of a request body sent at a given time
+ * @param {string} timestamp - Unix time in seconds, as sent
+ * @param {string|Buffer} body - Request body, exactly as sent
+ * @param {string} secret - Signing secret
+ * @returns {string} Hex HMAC-SHA256 of `${timestamp}.${body}`
+ */
+const signPayload = (timestamp, body, secret) => crypto
+  .createHmac('sha256', secret)
+  .update(`${timestamp}.`)
+  .update(body)
+  .digest('hex');
+
+/**
+ * express.json() verify hook keeping the body as received, so signatures are checked
+ * against the bytes that were signed rather than a re-serialization of the parsed JSON
+ */
+const captureRawBody = (req, res, buf) => {
+  req.rawBody = buf;
+};
+
+/**
+ * Read a `t=<unix seconds>,v0=<hex>` signature header
+ * @returns {Object|null} { timestamp, signature }
+ */
+const parseSignatureHeader = (header) => {
+  const parts = String(header || '').split(',').reduce((acc, part) => {
+    const [key, value] = part.split('=');
+    return key && value ? { ...acc, [key.trim()]: value.trim() } : acc;
+  }, {});
+  return parts.t && parts.v0 ? { timestamp: parts.t, signature: parts.v0 } : null;
+};
+
+const rejectSignature = (res, reason) => {
+  logger.warn(`Rejected agent tool request: ${reason}`);
+  return res.status(401).json({
+    success: false,
+    error: 'Invalid agent tool signature'
+  });
+};
+
+/**
+ * Reject agent tool requests without a valid, recent `x-agent-tools-signature`
+ * Without a configured secret, requests are only accepted outside production.
+ */
+const verifyAgentToolSignature = (req, res, next) => {
+  const { signingSecret, toleranceSeconds } = config.agentTools;
+
+  if (!signingSecret) {
+    if (process.env.NODE_ENV === 'production') {
+      return rejectSignature(res, 'no signing secret configured');
+    }
+    return next();
+  }
+
+  const header = parseSignatureHeader(req.headers['x-agent-tools-signature']);
+  if (!header) {
+    return rejectSignature(res, 'signature missing');
+  }
+
+  const age = Math.abs(Date.now() / 1000 - parseInt(header.timestamp, 10));
+  if (!(age <= toleranceSeconds)) {
+    return rejectSignature(res, `signature timestamp ${header.timestamp} outside tolerance`);
+  }
+
+  const expected = signPayload(header.timestamp, req.rawBody || '', signingSecret);
+  const valid = header.signature.length === expected.length &&
+    crypto.timingSafeEqual(Buffer.from(header.signature), Buffer.from(expected));
+  if (!valid) {
+    return rejectSignature(res, 'signature mismatch');
+  }
+
+  next();
+};
+
+module.exports = {
+  signPayload,
+  captureRawBody,
+  verifyAgentToolSignature
+};
@@ -6,7 +6,37 @@
 
 const jwt = require('jsonwebtoken');
 const logger = require('../utils/logger');
-const config = require('../config');
+const db = require('../models');
+const authService = require('../services/auth.service');
+const workspaceService = require('../services/workspace.service');
+const { roleHasPermission } = require('../config/permissions');
+
+/**
+ * Send a 401 response in the documented auth error format
+ */
+const sendUnauthorized = (res, message, error) => {
+  return res.status(401).json({
+    success: false,
+    message,
+    error
+  });
+};
+
+/**
+ * Extract a bearer token from the Authorization header
+ * @param {Object} req - Express request object
+ * @returns {string|null} Token or null when missing
+ */
+const getBearerToken = (req) => {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    return null;
+  }
+
+  return token;
+};
 
 /**
  * Middleware to validate JWT tokens
@@ -14,44 +44,116 @@ const config = require('../config');
  * @param {Object} res - Express response object
  * @param {Function} next - Express next function
  */
-const validateToken = (req, res, next) => {
-  // For development, allow requests through without authentication
-  // In a production environment, this should properly validate JWT tokens
-  logger.debug('Authentication middleware bypassed for development');
-  
-  // Add a placeholder user to the request
-  req.user = {
-    id: 'dev-user',
-    role: 'admin',
-    email: 'dev@example.com'
-  };
-  
-  next();
+const validateToken = async (req, res, next) => {
+  const token = getBearerToken(req);
+
+  if (!token) {
+    return sendUnauthorized(res, 'Authentication required', 'auth_required');
+  }
+
+  let payload;
+  try {
+    payload = authService.verifyAccessToken(token);
+  } catch (error) {
+    if (error instanceof jwt.TokenExpiredError) {
+      return sendUnauthorized(res, 'Token expired', 'jwt_expired');
+    }
+    logger.warn(`Rejected invalid token: ${error.message}`);
+    return sendUnauthorized(res, 'Invalid token', 'jwt_invalid');
+  }
+
+  try {
+    const user = await db.User.findByPk(payload.sub);
+
+    if (!authService.isTokenCurrent(payload, user)) {
+      return sendUnauthorized(res, 'Invalid token', 'jwt_invalid');
+    }
+
+    // Every query downstream is scoped by workspace, so a user without one can do nothing
+    if (!user.workspaceId) {
+      logger.warn(`User ${user.id} has no workspace assigned`);
+      return res.status(403).json({
+        success: false,
+        message: 'No workspace assigned to this account',
+        error: 'workspace_required'
+      });
+    }
+
+    req.user = {
+      id: user.id,
+      role: user.role,
+      email: user.email,
+      workspaceId: user.workspaceId
+    };
+
+    next();
+  } catch (error) {
+    logger.error(`Error validating token: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Send a 403 response in the documented auth error format
+ */
+const sendForbidden = (req, res, message, required) => {
+  logger.warn(`Forbidden: user ${req.user ? req.user.id : 'anonymous'} ${req.method} ${req.originalUrl} (requires ${required})`);
+
+  return res.status(403).json({
+    success: false,
+    message,
+    error: 'forbidden',
+    required
+  });
 };
 
 /**
  * Check if the user has admin privileges
+ * Must run after validateToken
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  * @param {Function} next - Express next function
  */
 const requireAdmin = (req, res, next) => {
-  // For development, allow all requests through as admin
-  // In a production environment, this should properly check user roles
-  logger.debug('Admin access granted for development');
+  if (!req.user || req.user.role !== 'admin') {
+    return sendForbidden(req, res, 'Admin access required', 'role:admin');
+  }
+
   next();
 };
 
+/**
+ * Check the user is a platform admin: an admin of the default workspace
+ * Guards operations that act on every workspace at once, such as the global scheduler.
+ * Must run after validateToken
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const requirePlatformAdmin = async (req, res, next) => {
+  try {
+    if (!req.user || req.user.role !== 'admin' || !(await workspaceService.isDefaultWorkspace(req.user.workspaceId))) {
+      return sendForbidden(req, res, 'Platform admin access required', 'role:platform-admin');
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Check if the user has specific permission
- * @param {string} permission - Permission to check
+ * Must run after validateToken
+ * @param {string} permission - Permission to check (see config/permissions.js)
  * @returns {Function} Middleware function
  */
 const hasPermission = (permission) => {
   return (req, res, next) => {
-    // For development, grant all permissions
-    // In a production environment, this should properly check user permissions
-    logger.debug(`Permission '${permission}' granted for development`);
+    if (!req.user || !roleHasPermission(req.user.role, permission)) {
+      return sendForbidden(req, res, 'Insufficient permissions', permission);
+    }
+
     next();
   };
 };
@@ -59,5 +161,6 @@ const hasPermission = (permission) => {
 module.exports = {
   validateToken,
   requireAdmin,
+  requirePlatformAdmin,
   hasPermission
 };
@@ -0,0 +1,42 @@
+/**
+ * Workspace Middleware
+ *
+ * Guards routes that address a campaign by ID so callers can only reach their own workspace's data
+ */
+
+const db = require('../models');
+const logger = require('../utils/logger');
+
+/**
+ * 404 unless req.params.campaignId belongs to the caller's workspace
+ * Works as route middleware or as a router.param handler. Must run after validateToken.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const requireWorkspaceCampaign = async (req, res, next) => {
+  try {
+    const { campaignId } = req.params;
+    const campaign = await db.Campaign.findOne({
+      where: { id: campaignId, workspaceId: req.user.workspaceId },
+      attributes: ['id']
+    });
+
+    // 404 rather than 403 so other tenants' campaign IDs are not disclosed
+    if (!campaign) {
+      return res.status(404).json({
+        success: false,
+        error: 'Campaign not found'
+      });
+    }
+
+    next();
+  } catch (error) {
+    logger.error(`Error checking campaign workspace: ${error.message}`);
+    next(error);
+  }
+};
+
+module.exports = {
+  requireWorkspaceCampaign
+};
@@ -0,0 +1,92 @@
+/**
+ * AgentConfigVersion Model
+ * One saved revision of a voice agent's configuration; never updated once written
+ */
+
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class AgentConfigVersion extends Model {
+    static associate(models) {
+      AgentConfigVersion.belongsTo(models.AgentConfig, {
+        foreignKey: 'agentConfigId',
+        as: 'agentConfig'
+      });
+
+      AgentConfigVersion.belongsTo(models.User, {
+        foreignKey: 'createdBy',
+        as: 'author'
+      });
+    }
+  }
+
+  AgentConfigVersion.init({
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    agentConfigId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'agent_configs',
+        key: 'id'
+      }
+    },
+    version: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    snapshot: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      comment: 'Config as saved: { name, description, settings, promptSettings, webhookUrl, allowedTools }'
+    },
+    diff: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: [],
+      comment: 'Changes from the previous version: [{ path, before, after }]'
+    },
+    notes: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      comment: 'What changed in this version'
+    },
+    restoredFrom: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: 'Version this one rolled back to'
+    },
+    createdBy: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      allowNull: false
+    }
+  }, {
+    sequelize,
+    modelName: 'AgentConfigVersion',
+    tableName: 'agent_config_versions',
+    timestamps: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ['agentConfigId', 'version']
+      }
+    ]
+  });
+
+  return AgentConfigVersion;
+};
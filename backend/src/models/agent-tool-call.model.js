@@ -0,0 +1,109 @@
+/**
+ * AgentToolCall Model
+ * One invocation of an agent server tool during a conversation, kept as an audit trail
+ */
+
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class AgentToolCall extends Model {
+    static associate(models) {
+      AgentToolCall.belongsTo(models.CallLog, {
+        foreignKey: 'callLogId',
+        as: 'callLog'
+      });
+    }
+  }
+
+  AgentToolCall.init({
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    workspaceId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'workspaces',
+        key: 'id'
+      },
+      comment: 'Owning workspace'
+    },
+    conversationId: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      comment: 'ElevenLabs conversation the tool was called in'
+    },
+    callSid: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    callLogId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'call_logs',
+        key: 'id'
+      }
+    },
+    agentId: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      comment: 'ElevenLabs voice agent ID'
+    },
+    tool: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    status: {
+      type: DataTypes.ENUM('succeeded', 'failed', 'denied'),
+      allowNull: false,
+      comment: 'denied when the agent may not use the tool'
+    },
+    request: {
+      type: DataTypes.JSONB,
+      defaultValue: {},
+      comment: 'Parameters the agent sent'
+    },
+    response: {
+      type: DataTypes.JSONB,
+      allowNull: true,
+      comment: 'Data returned to the agent'
+    },
+    error: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    durationMs: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      allowNull: false
+    }
+  }, {
+    sequelize,
+    modelName: 'AgentToolCall',
+    tableName: 'agent_tool_calls',
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['workspaceId']
+      },
+      {
+        fields: ['conversationId']
+      },
+      {
+        fields: ['callSid']
+      }
+    ]
+  });
+
+  return AgentToolCall;
+};
@@ -1,6 +1,6 @@
 /**
  * AgentConfig Model
- * Stores ElevenLabs voice agent configurations
+ * Stores ElevenLabs voice agent configurations; every save is also kept as an immutable AgentConfigVersion
  */
 
 const { Model } = require('sequelize');
@@ -8,7 +8,10 @@ const { Model } = require('sequelize');
 module.exports = (sequelize, DataTypes) => {
   class AgentConfig extends Model {
     static associate(models) {
-      // Define associations if needed
+      AgentConfig.hasMany(models.AgentConfigVersion, {
+        foreignKey: 'agentConfigId',
+        as: 'versions'
+      });
     }
   }
 
@@ -18,6 +21,15 @@ module.exports = (sequelize, DataTypes) => {
       primaryKey: true,
       autoIncrement: true
     },
+    workspaceId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'workspaces',
+        key: 'id'
+      },
+      comment: 'Owning workspace'
+    },
     agentId: {
       type: DataTypes.STRING,
       allowNull: false,
@@ -51,6 +63,18 @@ module.exports = (sequelize, DataTypes) => {
       allowNull: true,
       comment: 'Webhook URL for agent callbacks'
     },
+    allowedTools: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: [],
+      comment: 'Agent tools (/api/agent-tools) the agent may call during a conversation'
+    },
+    latestVersion: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      comment: 'Highest AgentConfigVersion saved; the fields above hold that version'
+    },
     createdAt: {
       type: DataTypes.DATE,
       allowNull: false
@@ -65,6 +89,9 @@ module.exports = (sequelize, DataTypes) => {
     tableName: 'agent_configs',
     timestamps: true,
     indexes: [
+      {
+        fields: ['workspaceId']
+      },
       {
         fields: ['agentId']
       },
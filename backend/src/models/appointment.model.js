@@ -0,0 +1,108 @@
+/**
+ * Appointment Model
+ * A slot a voice agent booked with a contact during a call
+ */
+
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class Appointment extends Model {
+    static associate(models) {
+      Appointment.belongsTo(models.Contact, {
+        foreignKey: 'contactId',
+        as: 'contact'
+      });
+
+      Appointment.belongsTo(models.CallLog, {
+        foreignKey: 'callLogId',
+        as: 'sourceCall'
+      });
+    }
+  }
+
+  Appointment.init({
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    workspaceId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'workspaces',
+        key: 'id'
+      },
+      comment: 'Owning workspace'
+    },
+    contactId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'contacts',
+        key: 'id'
+      }
+    },
+    callLogId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'call_logs',
+        key: 'id'
+      },
+      comment: 'Call on which the appointment was booked'
+    },
+    agentId: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      comment: 'ElevenLabs voice agent whose calendar holds the slot'
+    },
+    startTime: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    endTime: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    timezone: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      comment: 'Timezone the contact was offered the slot in'
+    },
+    status: {
+      type: DataTypes.ENUM('booked', 'canceled'),
+      defaultValue: 'booked'
+    },
+    notes: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      allowNull: false
+    }
+  }, {
+    sequelize,
+    modelName: 'Appointment',
+    tableName: 'appointments',
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['workspaceId']
+      },
+      {
+        fields: ['contactId']
+      },
+      {
+        fields: ['agentId', 'startTime']
+      }
+    ]
+  });
+
+  return Appointment;
+};
@@ -0,0 +1,87 @@
+/**
+ * BusinessSchedule Model
+ * Named weekly opening hours in a timezone, with holiday exceptions. Inbound routes and call flows
+ * use them to decide when callers get after-hours handling; campaigns use their holidays to skip dialing.
+ */
+
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class BusinessSchedule extends Model {
+    static associate(models) {
+      BusinessSchedule.belongsTo(models.Workspace, {
+        foreignKey: 'workspaceId',
+        as: 'workspace'
+      });
+
+      BusinessSchedule.hasMany(models.InboundRoute, {
+        foreignKey: 'scheduleId',
+        as: 'inboundRoutes'
+      });
+
+      BusinessSchedule.hasMany(models.CallFlow, {
+        foreignKey: 'scheduleId',
+        as: 'callFlows'
+      });
+    }
+  }
+
+  BusinessSchedule.init({
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    workspaceId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'workspaces',
+        key: 'id'
+      },
+      comment: 'Owning workspace'
+    },
+    name: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    timezone: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      defaultValue: 'America/New_York',
+      comment: 'IANA timezone the hours and holiday dates are in'
+    },
+    weeklyHours: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: {},
+      comment: 'Open ranges per weekday, { "1": [{ "start": "09:00", "end": "17:00" }] }; 0 is Sunday'
+    },
+    holidays: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: [],
+      comment: '[{ date: YYYY-MM-DD, name, hours }]; closed all day unless hours are given'
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      allowNull: false
+    }
+  }, {
+    sequelize,
+    modelName: 'BusinessSchedule',
+    tableName: 'business_schedules',
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['workspaceId']
+      }
+    ]
+  });
+
+  return BusinessSchedule;
+};
@@ -0,0 +1,81 @@
+/**
+ * CallFlowVersion Model
+ * One saved revision of a call flow's node graph; never updated once written
+ */
+
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class CallFlowVersion extends Model {
+    static associate(models) {
+      CallFlowVersion.belongsTo(models.CallFlow, {
+        foreignKey: 'callFlowId',
+        as: 'callFlow'
+      });
+
+      CallFlowVersion.belongsTo(models.User, {
+        foreignKey: 'createdBy',
+        as: 'author'
+      });
+    }
+  }
+
+  CallFlowVersion.init({
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    callFlowId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'call_flows',
+        key: 'id'
+      }
+    },
+    version: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    definition: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      comment: 'Node graph: { startNodeId, nodes: [{ id, type, position, ... }] }'
+    },
+    notes: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      comment: 'What changed in this version'
+    },
+    createdBy: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      allowNull: false
+    }
+  }, {
+    sequelize,
+    modelName: 'CallFlowVersion',
+    tableName: 'call_flow_versions',
+    timestamps: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ['callFlowId', 'version']
+      }
+    ]
+  });
+
+  return CallFlowVersion;
+};
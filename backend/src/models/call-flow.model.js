@@ -0,0 +1,102 @@
+/**
+ * CallFlow Model
+ * Inbound IVR flow built in the flow editor; its graph lives in immutable CallFlowVersion rows
+ */
+
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class CallFlow extends Model {
+    static associate(models) {
+      CallFlow.belongsTo(models.Workspace, {
+        foreignKey: 'workspaceId',
+        as: 'workspace'
+      });
+
+      CallFlow.hasMany(models.CallFlowVersion, {
+        foreignKey: 'callFlowId',
+        as: 'versions'
+      });
+
+      CallFlow.hasMany(models.PhoneNumber, {
+        foreignKey: 'callFlowId',
+        as: 'phoneNumbers'
+      });
+
+      CallFlow.belongsTo(models.BusinessSchedule, {
+        foreignKey: 'scheduleId',
+        as: 'schedule'
+      });
+    }
+  }
+
+  CallFlow.init({
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    workspaceId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'workspaces',
+        key: 'id'
+      },
+      comment: 'Owning workspace'
+    },
+    name: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    description: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    latestVersion: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      comment: 'Highest version saved'
+    },
+    activeVersion: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: 'Version new inbound calls run; calls in progress stay on the version they started'
+    },
+    scheduleId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'business_schedules',
+        key: 'id'
+      },
+      comment: 'Hours the flow runs; outside them callers get afterHours'
+    },
+    afterHours: {
+      type: DataTypes.JSONB,
+      allowNull: true,
+      comment: '{ action: voicemail|message|agent|forward, message, voiceAgentId, forwardTo }'
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      allowNull: false
+    }
+  }, {
+    sequelize,
+    modelName: 'CallFlow',
+    tableName: 'call_flows',
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['workspaceId']
+      }
+    ]
+  });
+
+  return CallFlow;
+};
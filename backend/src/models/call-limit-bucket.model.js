@@ -0,0 +1,84 @@
+/**
+ * CallLimitBucket Model
+ * Dial rate token bucket of one outbound call limit scope, shared by every worker.
+ * Dials lock the rows they draw from, so workers take turns on the same tokens.
+ */
+
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class CallLimitBucket extends Model {}
+
+  CallLimitBucket.init({
+    id: {
+      type: DataTypes.STRING,
+      primaryKey: true,
+      comment: '`${scope}:${key}`'
+    },
+    scope: {
+      type: DataTypes.ENUM('account', 'campaign', 'callerId'),
+      allowNull: false
+    },
+    key: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      comment: 'Workspace ID, campaign ID or caller ID number'
+    },
+    workspaceId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'workspaces',
+        key: 'id'
+      },
+      comment: 'Workspace whose dials use the bucket'
+    },
+    cps: {
+      type: DataTypes.FLOAT,
+      allowNull: false,
+      defaultValue: 0,
+      comment: 'Limit the last dial resolved; 0 means no limit'
+    },
+    maxConcurrent: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      comment: 'Limit the last dial resolved; 0 means no limit'
+    },
+    tokens: {
+      type: DataTypes.FLOAT,
+      allowNull: false,
+      defaultValue: 1,
+      comment: 'Dials the bucket can take as of refilledAt'
+    },
+    refilledAt: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    totalDials: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      allowNull: false
+    }
+  }, {
+    sequelize,
+    modelName: 'CallLimitBucket',
+    tableName: 'call_limit_buckets',
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['workspaceId']
+      }
+    ]
+  });
+
+  return CallLimitBucket;
+};
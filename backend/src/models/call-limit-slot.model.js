@@ -0,0 +1,68 @@
+/**
+ * CallLimitSlot Model
+ * A live call slot one dial holds under one outbound call limit scope.
+ * A dial takes a slot in every bucket it touches; any worker frees them by call SID.
+ */
+
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class CallLimitSlot extends Model {}
+
+  CallLimitSlot.init({
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    permitId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      comment: 'Dial holding the slot; one permit has a slot per bucket'
+    },
+    bucketId: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      references: {
+        model: 'call_limit_buckets',
+        key: 'id'
+      }
+    },
+    callSid: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      comment: 'Set once the call is placed'
+    },
+    expiresAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      comment: 'The slot stops counting here if the call end is never reported'
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      allowNull: false
+    }
+  }, {
+    sequelize,
+    modelName: 'CallLimitSlot',
+    tableName: 'call_limit_slots',
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['bucketId', 'expiresAt']
+      },
+      {
+        fields: ['permitId']
+      },
+      {
+        fields: ['callSid']
+      }
+    ]
+  });
+
+  return CallLimitSlot;
+};
@@ -0,0 +1,119 @@
+/**
+ * CallListenSession Model
+ * One supervisor listening in to a live call, kept as an audit trail
+ */
+
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class CallListenSession extends Model {
+    static associate(models) {
+      CallListenSession.belongsTo(models.CallLog, {
+        foreignKey: 'callLogId',
+        as: 'callLog'
+      });
+      CallListenSession.belongsTo(models.User, {
+        foreignKey: 'userId',
+        as: 'user'
+      });
+    }
+  }
+
+  CallListenSession.init({
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    workspaceId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'workspaces',
+        key: 'id'
+      },
+      comment: 'Owning workspace'
+    },
+    callSid: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    callLogId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'call_logs',
+        key: 'id'
+      }
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      },
+      comment: 'Supervisor who listened'
+    },
+    track: {
+      type: DataTypes.ENUM('mixed', 'inbound', 'outbound'),
+      allowNull: false,
+      comment: 'inbound is the caller, outbound the agent'
+    },
+    listenTokenId: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      unique: true,
+      comment: 'Listen token the supervisor connected with; each token opens one listen'
+    },
+    startedAt: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    endedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'Null while the supervisor is still listening'
+    },
+    durationMs: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    bytesSent: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0,
+      comment: 'PCM audio sent to the browser'
+    },
+    endReason: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      comment: 'stopped when the supervisor left, call_ended when the call stream closed'
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      allowNull: false
+    }
+  }, {
+    sequelize,
+    modelName: 'CallListenSession',
+    tableName: 'call_listen_sessions',
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['workspaceId']
+      },
+      {
+        fields: ['callSid']
+      },
+      {
+        fields: ['userId']
+      }
+    ]
+  });
+
+  return CallListenSession;
+};
@@ -18,6 +18,11 @@ module.exports = (sequelize, DataTypes) => {
         foreignKey: 'campaignId',
         as: 'campaign'
       });
+      
+      CallQueue.belongsTo(models.CallLog, {
+        foreignKey: 'callLogId',
+        as: 'sourceCall'
+      });
     }
   }
 
@@ -27,6 +32,15 @@ module.exports = (sequelize, DataTypes) => {
       primaryKey: true,
       autoIncrement: true
     },
+    workspaceId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'workspaces',
+        key: 'id'
+      },
+      comment: 'Owning workspace'
+    },
     toNumber: {
       type: DataTypes.STRING,
       allowNull: false,
@@ -61,6 +75,21 @@ module.exports = (sequelize, DataTypes) => {
       },
       comment: 'Associated contact ID'
     },
+    type: {
+      type: DataTypes.ENUM('call', 'callback'),
+      allowNull: false,
+      defaultValue: 'call',
+      comment: 'callback when the callee asked to be called back'
+    },
+    callLogId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'call_logs',
+        key: 'id'
+      },
+      comment: 'Call on which the callback was requested'
+    },
     queuePosition: {
       type: DataTypes.INTEGER,
       allowNull: true,
@@ -115,6 +144,16 @@ module.exports = (sequelize, DataTypes) => {
       allowNull: true,
       comment: 'Call SID after the call is initiated'
     },
+    claimedBy: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      comment: 'Worker that last claimed the item for dialing'
+    },
+    claimedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'When the item was last claimed'
+    },
     createdAt: {
       type: DataTypes.DATE,
       allowNull: false
@@ -129,6 +168,9 @@ module.exports = (sequelize, DataTypes) => {
     tableName: 'call_queues',
     timestamps: true,
     indexes: [
+      {
+        fields: ['workspaceId']
+      },
       {
         fields: ['status']
       },
@@ -141,6 +183,9 @@ module.exports = (sequelize, DataTypes) => {
       {
         fields: ['contactId']
       },
+      {
+        fields: ['type']
+      },
       {
         fields: ['entryTime']
       },
@@ -13,6 +13,15 @@ module.exports = (sequelize) => {
       primaryKey: true,
       autoIncrement: true
     },
+    workspaceId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'workspaces',
+        key: 'id'
+      },
+      comment: 'Owning workspace'
+    },
     callSid: {
       type: DataTypes.STRING,
       allowNull: false,
@@ -105,6 +114,10 @@ module.exports = (sequelize) => {
         name: 'idx_recordings_campaign_id',
         fields: ['campaign_id']
       },
+      {
+        name: 'idx_recordings_workspace_id',
+        fields: ['workspace_id']
+      },
       {
         name: 'idx_recordings_status',
         fields: ['status']
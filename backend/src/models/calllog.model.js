@@ -18,6 +18,11 @@ module.exports = (sequelize, DataTypes) => {
         foreignKey: 'campaignId',
         as: 'campaign'
       });
+      
+      CallLog.belongsTo(models.PhoneNumber, {
+        foreignKey: 'phoneNumberId',
+        as: 'callerIdNumber'
+      });
     }
   }
 
@@ -27,6 +32,15 @@ module.exports = (sequelize, DataTypes) => {
       primaryKey: true,
       autoIncrement: true
     },
+    workspaceId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'workspaces',
+        key: 'id'
+      },
+      comment: 'Owning workspace'
+    },
     callSid: {
       type: DataTypes.STRING,
       allowNull: false,
@@ -60,8 +74,17 @@ module.exports = (sequelize, DataTypes) => {
       type: DataTypes.STRING,
       allowNull: false
     },
+    phoneNumberId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'phone_numbers',
+        key: 'id'
+      },
+      comment: 'Pool number presented as caller ID'
+    },
     status: {
-      type: DataTypes.STRING, // queued, ringing, in-progress, completed, busy, failed, no-answer, canceled
+      type: DataTypes.STRING, // queued, ringing, in-progress, completed, busy, failed, no-answer, canceled, blocked-dnc
       allowNull: false
     },
     duration: {
@@ -82,6 +105,11 @@ module.exports = (sequelize, DataTypes) => {
       allowNull: true,
       comment: 'ElevenLabs voice agent ID used for this call'
     },
+    agentVersion: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: 'Agent config version the call ran'
+    },
     recordingUrl: {
       type: DataTypes.STRING,
       allowNull: true
@@ -150,6 +178,9 @@ module.exports = (sequelize, DataTypes) => {
     tableName: 'call_logs',
     timestamps: true,
     indexes: [
+      {
+        fields: ['workspaceId']
+      },
       {
         fields: ['callSid']
       },
@@ -173,6 +204,9 @@ module.exports = (sequelize, DataTypes) => {
       },
       {
         fields: ['transferTime']
+      },
+      {
+        fields: ['voiceAgentId', 'agentVersion']
       }
     ]
   });
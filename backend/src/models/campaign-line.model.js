@@ -0,0 +1,98 @@
+/**
+ * CampaignLine Model
+ * A call a campaign scheduler placed, from dial until it ends, and its outcome afterwards.
+ * Live lines count against the campaign's concurrency and pacing; any worker updates or ends them by call SID.
+ * Ended lines are the recent outcomes predictive pacing computes its rates from.
+ */
+
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class CampaignLine extends Model {}
+
+  CampaignLine.init({
+    callSid: {
+      type: DataTypes.STRING,
+      primaryKey: true
+    },
+    campaignId: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      references: {
+        model: 'campaigns',
+        key: 'id'
+      }
+    },
+    state: {
+      type: DataTypes.ENUM('ringing', 'connected', 'machine'),
+      allowNull: false,
+      defaultValue: 'ringing'
+    },
+    transferAgents: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: 'Agents the campaign paced for when the call was dialed; null when it is not paced'
+    },
+    abandoned: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      comment: 'A person answered while every agent was busy'
+    },
+    dialedAt: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    connectedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    expiresAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      comment: 'The line stops counting here if the call end is never reported'
+    },
+    endedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    human: {
+      type: DataTypes.BOOLEAN,
+      allowNull: true,
+      comment: 'Outcome: the call reached a person'
+    },
+    machine: {
+      type: DataTypes.BOOLEAN,
+      allowNull: true,
+      comment: 'Outcome: the call reached an answering machine'
+    },
+    handleTimeSec: {
+      type: DataTypes.FLOAT,
+      allowNull: true,
+      comment: 'Outcome: seconds a person was on the call'
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      allowNull: false
+    }
+  }, {
+    sequelize,
+    modelName: 'CampaignLine',
+    tableName: 'campaign_lines',
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['campaignId', 'endedAt']
+      },
+      {
+        fields: ['campaignId', 'expiresAt']
+      }
+    ]
+  });
+
+  return CampaignLine;
+};
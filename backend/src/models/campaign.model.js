@@ -11,6 +11,15 @@ module.exports = (sequelize, DataTypes) => {
       defaultValue: () => `camp-${Date.now()}`,
       allowNull: false
     },
+    workspaceId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'workspaces',
+        key: 'id'
+      },
+      comment: 'Owning workspace'
+    },
     name: {
       type: DataTypes.STRING,
       allowNull: false
@@ -40,6 +49,11 @@ module.exports = (sequelize, DataTypes) => {
       type: DataTypes.STRING,
       allowNull: false
     },
+    agentVersion: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: 'Agent config version the campaign is pinned to; null follows the latest'
+    },
     scriptId: {
       type: DataTypes.STRING,
       allowNull: false
@@ -85,6 +99,10 @@ module.exports = (sequelize, DataTypes) => {
       {
         name: 'campaigns_voice_agent_idx',
         fields: ['voiceAgentId']
+      },
+      {
+        name: 'campaigns_workspace_idx',
+        fields: ['workspaceId']
       }
     ]
   });
@@ -4,6 +4,7 @@
  */
 
 const { Model } = require('sequelize');
+const { isValidTimezone } = require('../utils/timezone');
 
 module.exports = (sequelize, DataTypes) => {
   class Contact extends Model {
@@ -22,6 +23,15 @@ module.exports = (sequelize, DataTypes) => {
       primaryKey: true,
       autoIncrement: true
     },
+    workspaceId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'workspaces',
+        key: 'id'
+      },
+      comment: 'Owning workspace'
+    },
     campaignId: {
       type: DataTypes.STRING,
       allowNull: true,
@@ -46,14 +56,61 @@ module.exports = (sequelize, DataTypes) => {
       type: DataTypes.STRING,
       allowNull: true
     },
+    timezone: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      comment: 'IANA timezone; inferred from the phone number when empty',
+      validate: {
+        isTimezone(value) {
+          if (value && !isValidTimezone(value)) {
+            throw new Error(`Invalid timezone: ${value}`);
+          }
+        }
+      }
+    },
     status: {
       type: DataTypes.ENUM('pending', 'called', 'completed', 'failed', 'no_answer'),
       defaultValue: 'pending'
     },
+    callAttempts: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      comment: 'Campaign calls placed to this contact'
+    },
+    lastCallOutcome: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      comment: 'Final status of the last campaign call'
+    },
+    lastCallAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    nextRetryAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'Earliest time the campaign retry policy allows the next call'
+    },
     notes: {
       type: DataTypes.TEXT,
       allowNull: true
     },
+    optedOut: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      comment: 'Contact asked not to be called again'
+    },
+    optedOutAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    optOutEvidence: {
+      type: DataTypes.JSONB,
+      allowNull: true,
+      comment: 'How the opt-out was captured: source, callSid, snippet or digit, detectedAt'
+    },
     customFields: {
       type: DataTypes.JSONB,
       defaultValue: {}
@@ -12,6 +12,15 @@ module.exports = (sequelize) => {
       primaryKey: true,
       autoIncrement: true
     },
+    workspace_id: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'workspaces',
+        key: 'id'
+      },
+      comment: 'Owning workspace'
+    },
     call_id: {
       type: DataTypes.STRING,
       allowNull: false,
@@ -73,6 +82,10 @@ module.exports = (sequelize) => {
       {
         name: 'idx_conversations_campaign_id',
         fields: ['campaign_id']
+      },
+      {
+        name: 'idx_conversations_workspace_id',
+        fields: ['workspace_id']
       }
     ]
   });
@@ -0,0 +1,97 @@
+/**
+ * DncEntry Model
+ * Do-not-call suppression list. Entries without a workspace apply to every workspace.
+ */
+
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class DncEntry extends Model {
+    static associate(models) {
+      DncEntry.belongsTo(models.Workspace, {
+        foreignKey: 'workspaceId',
+        as: 'workspace'
+      });
+    }
+
+    /**
+     * Whether the entry has passed its expiry date
+     * @returns {boolean}
+     */
+    isExpired() {
+      return !!this.expiresAt && new Date(this.expiresAt) <= new Date();
+    }
+  }
+
+  DncEntry.init({
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    workspaceId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'workspaces',
+        key: 'id'
+      },
+      comment: 'Owning workspace; null for global entries'
+    },
+    phoneNumber: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      comment: 'Suppressed number in E.164 format'
+    },
+    reason: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      comment: 'Why the number is suppressed (e.g. customer request, litigator)'
+    },
+    source: {
+      type: DataTypes.STRING, // 'manual', 'csv', 'api', 'opt-out'
+      allowNull: false,
+      defaultValue: 'manual'
+    },
+    expiresAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'When the suppression lapses; null means never'
+    },
+    notes: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    createdBy: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      comment: 'User who added the entry'
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      allowNull: false
+    }
+  }, {
+    sequelize,
+    modelName: 'DncEntry',
+    tableName: 'dnc_entries',
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['phoneNumber']
+      },
+      {
+        fields: ['workspaceId']
+      },
+      {
+        fields: ['expiresAt']
+      }
+    ]
+  });
+
+  return DncEntry;
+};
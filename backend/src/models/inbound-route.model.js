@@ -0,0 +1,128 @@
+/**
+ * InboundRoute Model
+ * Routing table entry for a dialed number: who answers, when, and what happens after hours or on failure
+ */
+
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class InboundRoute extends Model {
+    static associate(models) {
+      InboundRoute.belongsTo(models.Workspace, {
+        foreignKey: 'workspaceId',
+        as: 'workspace'
+      });
+
+      InboundRoute.belongsTo(models.CallFlow, {
+        foreignKey: 'callFlowId',
+        as: 'callFlow'
+      });
+
+      InboundRoute.belongsTo(models.Campaign, {
+        foreignKey: 'campaignId',
+        as: 'campaign'
+      });
+
+      InboundRoute.belongsTo(models.BusinessSchedule, {
+        foreignKey: 'scheduleId',
+        as: 'schedule'
+      });
+    }
+  }
+
+  InboundRoute.init({
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    workspaceId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'workspaces',
+        key: 'id'
+      },
+      comment: 'Owning workspace'
+    },
+    phoneNumber: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      unique: true,
+      comment: 'Dialed number in E.164 format'
+    },
+    name: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    voiceAgentId: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      comment: 'Voice agent that answers during business hours when no call flow is set'
+    },
+    callFlowId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'call_flows',
+        key: 'id'
+      },
+      comment: 'Call flow run during business hours'
+    },
+    campaignId: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      references: {
+        model: 'campaigns',
+        key: 'id'
+      },
+      comment: 'Campaign inbound calls to this number belong to'
+    },
+    scheduleId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'business_schedules',
+        key: 'id'
+      },
+      comment: 'Business hours; null when the number is always open'
+    },
+    afterHours: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: { action: 'voicemail' },
+      comment: '{ action: voicemail|message|agent|forward, message, voiceAgentId, forwardTo }'
+    },
+    fallback: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: { action: 'message' },
+      comment: '{ action: voicemail|message|forward, message, forwardTo }; used when the route cannot be served'
+    },
+    isActive: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      allowNull: false
+    }
+  }, {
+    sequelize,
+    modelName: 'InboundRoute',
+    tableName: 'inbound_routes',
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['workspaceId']
+      }
+    ]
+  });
+
+  return InboundRoute;
+};
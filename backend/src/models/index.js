@@ -45,14 +45,30 @@ const db = {
 };
 
 // Import model definitions
+db.Workspace = require('./workspace.model')(sequelize, Sequelize);
+db.User = require('./user.model')(sequelize, Sequelize);
 db.Campaign = require('./campaign.model')(sequelize, Sequelize);
 db.Conversation = require('./conversation.model')(sequelize, Sequelize);
 db.CallRecording = require('./call-recording.model')(sequelize, Sequelize);
 db.Contact = require('./contact.model')(sequelize, Sequelize);
 db.CallLog = require('./calllog.model')(sequelize, Sequelize);
 db.AgentConfig = require('./agentconfig.model')(sequelize, Sequelize);
+db.AgentConfigVersion = require('./agent-config-version.model')(sequelize, Sequelize);
 db.CallQueue = require('./call-queue.model')(sequelize, Sequelize);
+db.DncEntry = require('./dnc-entry.model')(sequelize, Sequelize);
+db.PhoneNumber = require('./phone-number.model')(sequelize, Sequelize);
 db.SttRequestMapping = require('./stt-request-mapping.model')(sequelize, Sequelize);
+db.SchedulerState = require('./scheduler-state.model')(sequelize, Sequelize);
+db.CallLimitBucket = require('./call-limit-bucket.model')(sequelize, Sequelize);
+db.CallLimitSlot = require('./call-limit-slot.model')(sequelize, Sequelize);
+db.CampaignLine = require('./campaign-line.model')(sequelize, Sequelize);
+db.CallFlow = require('./call-flow.model')(sequelize, Sequelize);
+db.CallFlowVersion = require('./call-flow-version.model')(sequelize, Sequelize);
+db.BusinessSchedule = require('./business-schedule.model')(sequelize, Sequelize);
+db.InboundRoute = require('./inbound-route.model')(sequelize, Sequelize);
+db.AgentToolCall = require('./agent-tool-call.model')(sequelize, Sequelize);
+db.Appointment = require('./appointment.model')(sequelize, Sequelize);
+db.CallListenSession = require('./call-listen-session.model')(sequelize, Sequelize);
 
 // All associations are defined in the model files via associate() methods
 // Don't define associations directly here to avoid conflicts
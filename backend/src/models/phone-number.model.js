@@ -0,0 +1,190 @@
+/**
+ * PhoneNumber Model
+ * Caller ID pool: numbers owned in SignalWire that outbound calls can present
+ */
+
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class PhoneNumber extends Model {
+    static associate(models) {
+      PhoneNumber.belongsTo(models.Workspace, {
+        foreignKey: 'workspaceId',
+        as: 'workspace'
+      });
+
+      PhoneNumber.belongsTo(models.Campaign, {
+        foreignKey: 'campaignId',
+        as: 'campaign'
+      });
+
+      PhoneNumber.belongsTo(models.CallFlow, {
+        foreignKey: 'callFlowId',
+        as: 'callFlow'
+      });
+
+      PhoneNumber.hasMany(models.CallLog, {
+        foreignKey: 'phoneNumberId',
+        as: 'calls'
+      });
+    }
+
+    /**
+     * Calls placed today (UTC); the counter resets on the first use of a new day
+     * @param {Date} [now] - Current time
+     * @returns {number}
+     */
+    getCallsToday(now = new Date()) {
+      return this.usageDate === now.toISOString().slice(0, 10) ? this.callsToday : 0;
+    }
+  }
+
+  PhoneNumber.init({
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    workspaceId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'workspaces',
+        key: 'id'
+      },
+      comment: 'Owning workspace'
+    },
+    phoneNumber: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      comment: 'Number in E.164 format'
+    },
+    signalWireId: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      comment: 'SignalWire phone number ID'
+    },
+    friendlyName: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    areaCode: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      comment: 'NANP area code, derived from the number'
+    },
+    state: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      comment: 'Two-letter state/province the number presents as local to'
+    },
+    campaignId: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      references: {
+        model: 'campaigns',
+        key: 'id'
+      },
+      comment: 'Dedicated campaign; null means shared by all campaigns in the workspace'
+    },
+    callFlowId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'call_flows',
+        key: 'id'
+      },
+      comment: 'Call flow that answers inbound calls to this number'
+    },
+    status: {
+      type: DataTypes.ENUM('active', 'paused', 'retired'),
+      allowNull: false,
+      defaultValue: 'active'
+    },
+    dailyCap: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      defaultValue: 100,
+      comment: 'Most calls per UTC day; null means no cap'
+    },
+    cooldownSeconds: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 30,
+      comment: 'Minimum gap between two calls from this number'
+    },
+    callsToday: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    usageDate: {
+      type: DataTypes.DATEONLY,
+      allowNull: true,
+      comment: 'UTC day callsToday counts'
+    },
+    totalCalls: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    lastUsedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    healthScore: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: '0-100 reputation score from recent call outcomes; null until enough calls'
+    },
+    healthStats: {
+      type: DataTypes.JSONB,
+      allowNull: true,
+      comment: 'Call counts and rates behind the last score'
+    },
+    healthCheckedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    healthResetAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'Calls before this time are left out of the score (set when a retired number is reactivated)'
+    },
+    retiredAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    retiredReason: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      allowNull: false
+    }
+  }, {
+    sequelize,
+    modelName: 'PhoneNumber',
+    tableName: 'phone_numbers',
+    timestamps: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ['workspaceId', 'phoneNumber']
+      },
+      {
+        fields: ['areaCode']
+      },
+      {
+        fields: ['campaignId']
+      }
+    ]
+  });
+
+  return PhoneNumber;
+};
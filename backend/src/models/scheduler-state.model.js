@@ -0,0 +1,130 @@
+/**
+ * SchedulerState Model
+ * Persisted state of campaign and queue schedulers, so running schedulers can be resumed after a restart
+ */
+
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class SchedulerState extends Model {
+    static associate(models) {
+      SchedulerState.belongsTo(models.Campaign, {
+        foreignKey: 'campaignId',
+        as: 'campaign'
+      });
+    }
+
+    /**
+     * Whether the scheduler should be brought back on boot
+     * @returns {boolean}
+     */
+    isResumable() {
+      return ['running', 'paused'].includes(this.status);
+    }
+  }
+
+  SchedulerState.init({
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    schedulerType: {
+      type: DataTypes.ENUM('campaign', 'queue', 'job'),
+      allowNull: false,
+      comment: 'campaign = CampaignScheduler, queue = call queue scheduler, job = singleton background job'
+    },
+    schedulerKey: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      comment: 'Campaign ID, "global" for the global queue scheduler, or a job name'
+    },
+    campaignId: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      references: {
+        model: 'campaigns',
+        key: 'id'
+      }
+    },
+    workspaceId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'workspaces',
+        key: 'id'
+      },
+      comment: 'Owning workspace'
+    },
+    status: {
+      type: DataTypes.ENUM('running', 'paused', 'stopped', 'completed'),
+      allowNull: false,
+      defaultValue: 'running'
+    },
+    batchIndex: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      comment: 'Batches processed so far'
+    },
+    counters: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: {},
+      comment: 'Running totals (processed, successful, failed, blocked)'
+    },
+    settings: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: {},
+      comment: 'Settings the scheduler was started with, including later updates'
+    },
+    startedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    lastBatchAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    ownerId: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      comment: 'Worker holding the leader lease; only the owner runs the scheduler'
+    },
+    leaseExpiresAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'When the lease lapses unless the owner renews it'
+    },
+    resumedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'When the scheduler was last restored after a restart'
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      allowNull: false
+    }
+  }, {
+    sequelize,
+    modelName: 'SchedulerState',
+    tableName: 'scheduler_states',
+    timestamps: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ['schedulerType', 'schedulerKey']
+      },
+      {
+        fields: ['status']
+      }
+    ]
+  });
+
+  return SchedulerState;
+};
@@ -4,6 +4,9 @@
  * Defines the schema for user accounts in the system
  */
 
+const bcrypt = require('bcryptjs');
+const config = require('../config');
+
 module.exports = (sequelize, DataTypes) => {
   const User = sequelize.define('User', {
     id: {
@@ -11,6 +14,15 @@ module.exports = (sequelize, DataTypes) => {
       defaultValue: DataTypes.UUIDV4,
       primaryKey: true
     },
+    workspaceId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'workspaces',
+        key: 'id'
+      },
+      comment: 'Owning workspace'
+    },
     firstName: {
       type: DataTypes.STRING,
       allowNull: false,
@@ -60,10 +72,23 @@ module.exports = (sequelize, DataTypes) => {
     resetPasswordExpires: {
       type: DataTypes.DATE,
       allowNull: true
+    },
+    tokenVersion: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0 // Bumped on logout/password change to revoke issued tokens
     }
   }, {
     tableName: 'users',
-    timestamps: true // Automatically add createdAt and updatedAt timestamps
+    timestamps: true, // Automatically add createdAt and updatedAt timestamps
+    hooks: {
+      // Hash the password whenever it is set or changed
+      beforeSave: async (user) => {
+        if (user.changed('password')) {
+          user.password = await bcrypt.hash(user.password, config.security.bcryptSaltRounds);
+        }
+      }
+    }
   });
   
   // Define associations
@@ -74,9 +99,16 @@ module.exports = (sequelize, DataTypes) => {
   };
   
   // Instance methods
+  User.prototype.validatePassword = function(candidate) {
+    return bcrypt.compare(candidate || '', this.password);
+  };
+
   User.prototype.toJSON = function() {
     const values = { ...this.get() };
     delete values.password; // Don't expose password in JSON responses
+    delete values.resetPasswordToken;
+    delete values.resetPasswordExpires;
+    delete values.tokenVersion;
     return values;
   };
   
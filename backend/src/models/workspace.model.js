@@ -0,0 +1,120 @@
+/**
+ * Workspace Model
+ * A tenant in 11Wire. Every user, campaign, contact and call belongs to exactly
+ * one workspace, and each workspace carries its own telephony/AI credentials.
+ */
+
+const { Model } = require('sequelize');
+
+// Credential keys that must never be returned by the API
+const SECRET_KEYS = {
+  signalWireCredentials: ['apiToken'],
+  elevenLabsCredentials: ['apiKey']
+};
+
+/**
+ * Replace secret values with a masked hint (last 4 characters)
+ */
+const maskCredentials = (credentials, secretKeys) => {
+  if (!credentials) {
+    return credentials;
+  }
+
+  const masked = { ...credentials };
+  secretKeys.forEach(key => {
+    if (masked[key]) {
+      masked[key] = `****${String(masked[key]).slice(-4)}`;
+    }
+  });
+  return masked;
+};
+
+module.exports = (sequelize, DataTypes) => {
+  class Workspace extends Model {
+    static associate(models) {
+      Workspace.hasMany(models.User, {
+        foreignKey: 'workspaceId',
+        as: 'users'
+      });
+
+      Workspace.hasMany(models.Campaign, {
+        foreignKey: 'workspaceId',
+        as: 'campaigns'
+      });
+    }
+
+    toJSON() {
+      const values = { ...this.get() };
+      Object.keys(SECRET_KEYS).forEach(field => {
+        values[field] = maskCredentials(values[field], SECRET_KEYS[field]);
+      });
+      return values;
+    }
+  }
+
+  Workspace.init({
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    name: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      validate: {
+        notEmpty: { msg: 'Workspace name is required' }
+      }
+    },
+    slug: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      unique: true
+    },
+    status: {
+      type: DataTypes.ENUM('active', 'suspended'),
+      defaultValue: 'active'
+    },
+    isDefault: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      comment: 'Default workspace falls back to the global SignalWire/ElevenLabs config'
+    },
+    signalWireCredentials: {
+      type: DataTypes.JSONB,
+      allowNull: true,
+      comment: 'SignalWire projectId, spaceUrl and apiToken'
+    },
+    elevenLabsCredentials: {
+      type: DataTypes.JSONB,
+      allowNull: true,
+      comment: 'ElevenLabs apiKey'
+    },
+    settings: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: {}
+    },
+    createdAt: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    updatedAt: {
+      type: DataTypes.DATE,
+      allowNull: false
+    }
+  }, {
+    sequelize,
+    modelName: 'Workspace',
+    tableName: 'workspaces',
+    timestamps: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ['slug']
+      }
+    ]
+  });
+
+  return Workspace;
+};
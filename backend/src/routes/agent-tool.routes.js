@@ -0,0 +1,28 @@
+/**
+ * Agent tool API endpoints, called by ElevenLabs voice agents during a conversation
+ * Requests are signed with the agent tools secret instead of carrying a user token.
+ */
+
+const express = require('express');
+const router = express.Router();
+const agentToolController = require('../controllers/agent-tool.controller');
+const { verifyAgentToolSignature } = require('../middleware/agent-tool-signature.middleware');
+
+router.use(verifyAgentToolSignature);
+
+// POST to look up the callee's contact record
+router.post('/lookup-contact', agentToolController.lookupContact);
+
+// POST to update the callee's status and notes
+router.post('/update-contact', agentToolController.updateContact);
+
+// POST to book an appointment slot
+router.post('/book-appointment', agentToolController.bookAppointment);
+
+// POST to look up the previous call's outcome
+router.post('/previous-outcome', agentToolController.getPreviousOutcome);
+
+// POST to book a callback
+router.post('/schedule-callback', agentToolController.scheduleCallback);
+
+module.exports = router;
@@ -5,29 +5,40 @@
 const express = require('express');
 const router = express.Router();
 const agentController = require('../controllers/elevenlabs-agent.controller');
+const { hasPermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/permissions');
 
 // GET all configured voice agents
-router.get('/', agentController.listConfiguredAgents);
+router.get('/', hasPermission(PERMISSIONS.AGENTS_READ), agentController.listConfiguredAgents);
 
 // GET all available voice agents from ElevenLabs
-router.get('/available', agentController.listVoiceAgents);
+router.get('/available', hasPermission(PERMISSIONS.AGENTS_READ), agentController.listVoiceAgents);
 
 // GET a single voice agent by ID
-router.get('/:agentId', agentController.getAgentConfig);
+router.get('/:agentId', hasPermission(PERMISSIONS.AGENTS_READ), agentController.getAgentConfig);
 
 // POST to create a new voice agent configuration
-router.post('/:agentId', agentController.saveAgentConfig);
+router.post('/:agentId', hasPermission(PERMISSIONS.AGENTS_WRITE), agentController.saveAgentConfig);
 
 // PUT to update voice agent configuration
-router.put('/:agentId', agentController.saveAgentConfig);
+router.put('/:agentId', hasPermission(PERMISSIONS.AGENTS_WRITE), agentController.saveAgentConfig);
 
 // DELETE a voice agent configuration
-router.delete('/:agentId', agentController.deleteAgentConfig);
+router.delete('/:agentId', hasPermission(PERMISSIONS.AGENTS_WRITE), agentController.deleteAgentConfig);
 
 // GET agent metrics/performance data
-router.get('/:agentId/metrics', agentController.getAgentMetrics);
+router.get('/:agentId/metrics', hasPermission(PERMISSIONS.AGENTS_READ), agentController.getAgentMetrics);
 
-// POST to assign agent to a campaign
-router.post('/:agentId/assign/:campaignId', agentController.assignAgentToCampaign);
+// GET the saved versions of an agent configuration
+router.get('/:agentId/versions', hasPermission(PERMISSIONS.AGENTS_READ), agentController.getAgentVersions);
+
+// GET one version of an agent configuration
+router.get('/:agentId/versions/:version', hasPermission(PERMISSIONS.AGENTS_READ), agentController.getAgentVersion);
+
+// POST to roll an agent configuration back to a version
+router.post('/:agentId/versions/:version/rollback', hasPermission(PERMISSIONS.AGENTS_WRITE), agentController.rollbackAgentConfig);
+
+// POST to assign agent to a campaign (optionally pinned to a version)
+router.post('/:agentId/assign/:campaignId', hasPermission(PERMISSIONS.AGENTS_WRITE), agentController.assignAgentToCampaign);
 
 module.exports = router;
@@ -4,58 +4,35 @@
 
 const express = require('express');
 const router = express.Router();
-// const authController = require('../controllers/auth.controller'); // Will implement later
+const authController = require('../controllers/auth.controller');
+const { validateToken } = require('../middleware/auth');
 
 // POST user login
-router.post('/login', (req, res) => {
-  // Placeholder - will implement controller
-  res.status(200).json({
-    message: 'User login - To be implemented',
-    body: req.body
-  });
-});
+router.post('/login', authController.login);
 
 // POST user registration
-router.post('/register', (req, res) => {
-  // Placeholder - will implement controller
-  res.status(201).json({
-    message: 'User registration - To be implemented',
-    body: req.body
-  });
-});
-
-// POST logout
-router.post('/logout', (req, res) => {
-  // Placeholder - will implement controller
-  res.status(200).json({
-    message: 'User logout - To be implemented'
-  });
-});
+router.post('/register', authController.register);
+
+// POST exchange a refresh token for a new token pair
+router.post('/refresh-token', authController.refreshToken);
+
+// POST logout (revokes all tokens issued to the user)
+router.post('/logout', validateToken, authController.logout);
+
+// GET verify the current access token
+router.get('/verify', validateToken, authController.verify);
 
 // GET current user profile
-router.get('/me', (req, res) => {
-  // Placeholder - will implement controller
-  res.status(200).json({
-    message: 'Get current user profile - To be implemented'
-  });
-});
+router.get('/me', validateToken, authController.getProfile);
 
 // PUT update user profile
-router.put('/me', (req, res) => {
-  // Placeholder - will implement controller
-  res.status(200).json({
-    message: 'Update user profile - To be implemented',
-    body: req.body
-  });
-});
+router.put('/me', validateToken, authController.updateProfile);
 
 // POST password reset request
-router.post('/password-reset', (req, res) => {
-  // Placeholder - will implement controller
-  res.status(200).json({
-    message: 'Password reset request - To be implemented',
-    body: req.body
-  });
-});
+router.post('/password-reset', authController.requestPasswordReset);
+router.post('/forgot-password', authController.requestPasswordReset);
+
+// POST complete a password reset with the emailed token
+router.post('/reset-password', authController.resetPassword);
 
 module.exports = router;
@@ -0,0 +1,26 @@
+/**
+ * Business schedule API endpoints
+ */
+
+const express = require('express');
+const router = express.Router();
+const businessScheduleController = require('../controllers/business-schedule.controller');
+const { hasPermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/permissions');
+
+// GET business schedules
+router.get('/', hasPermission(PERMISSIONS.BUSINESS_SCHEDULES_READ), businessScheduleController.getSchedules);
+
+// GET a single schedule, with whether it is open right now
+router.get('/:id', hasPermission(PERMISSIONS.BUSINESS_SCHEDULES_READ), businessScheduleController.getScheduleById);
+
+// POST to create a schedule
+router.post('/', hasPermission(PERMISSIONS.BUSINESS_SCHEDULES_WRITE), businessScheduleController.createSchedule);
+
+// PUT to change a schedule's hours or holidays
+router.put('/:id', hasPermission(PERMISSIONS.BUSINESS_SCHEDULES_WRITE), businessScheduleController.updateSchedule);
+
+// DELETE a schedule
+router.delete('/:id', hasPermission(PERMISSIONS.BUSINESS_SCHEDULES_WRITE), businessScheduleController.deleteSchedule);
+
+module.exports = router;
@@ -0,0 +1,35 @@
+/**
+ * Call flow API endpoints
+ */
+
+const express = require('express');
+const router = express.Router();
+const callFlowController = require('../controllers/call-flow.controller');
+const { hasPermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/permissions');
+
+// GET call flows
+router.get('/', hasPermission(PERMISSIONS.CALL_FLOWS_READ), callFlowController.getFlows);
+
+// GET a call flow with its active definition
+router.get('/:id', hasPermission(PERMISSIONS.CALL_FLOWS_READ), callFlowController.getFlowById);
+
+// POST to create a call flow
+router.post('/', hasPermission(PERMISSIONS.CALL_FLOWS_WRITE), callFlowController.createFlow);
+
+// PUT to rename a call flow or save a new version
+router.put('/:id', hasPermission(PERMISSIONS.CALL_FLOWS_WRITE), callFlowController.updateFlow);
+
+// DELETE a call flow
+router.delete('/:id', hasPermission(PERMISSIONS.CALL_FLOWS_WRITE), callFlowController.deleteFlow);
+
+// GET a call flow's versions
+router.get('/:id/versions', hasPermission(PERMISSIONS.CALL_FLOWS_READ), callFlowController.getVersions);
+
+// GET one version
+router.get('/:id/versions/:version', hasPermission(PERMISSIONS.CALL_FLOWS_READ), callFlowController.getVersion);
+
+// POST to run a saved version for new calls (roll back or forward)
+router.post('/:id/versions/:version/activate', hasPermission(PERMISSIONS.CALL_FLOWS_WRITE), callFlowController.activateVersion);
+
+module.exports = router;
@@ -5,26 +5,28 @@
 const express = require('express');
 const router = express.Router();
 const callQueueController = require('../controllers/call-queue.controller');
+const { hasPermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/permissions');
 
 // Add a call to the queue
-router.post('/', callQueueController.addToQueue);
+router.post('/', hasPermission(PERMISSIONS.QUEUE_MANAGE), callQueueController.addToQueue);
 
 // Get queue items with filtering
-router.get('/', callQueueController.getQueueItems);
+router.get('/', hasPermission(PERMISSIONS.QUEUE_READ), callQueueController.getQueueItems);
 
 // Get a single queue item
-router.get('/:id', callQueueController.getQueueItem);
+router.get('/:id', hasPermission(PERMISSIONS.QUEUE_READ), callQueueController.getQueueItem);
 
 // Update queue item priority
-router.put('/:id/priority', callQueueController.updatePriority);
+router.put('/:id/priority', hasPermission(PERMISSIONS.QUEUE_MANAGE), callQueueController.updatePriority);
 
 // Cancel a queued call
-router.put('/:id/cancel', callQueueController.cancelQueuedCall);
+router.put('/:id/cancel', hasPermission(PERMISSIONS.QUEUE_MANAGE), callQueueController.cancelQueuedCall);
 
 // Process the queue (execute calls)
-router.post('/process', callQueueController.processQueue);
+router.post('/process', hasPermission(PERMISSIONS.QUEUE_MANAGE), callQueueController.processQueue);
 
 // Get queue statistics
-router.get('/stats', callQueueController.getQueueStats);
+router.get('/stats', hasPermission(PERMISSIONS.QUEUE_READ), callQueueController.getQueueStats);
 
 module.exports = router;
@@ -6,46 +6,62 @@
 const express = require('express');
 const router = express.Router();
 const callRecordingController = require('../controllers/call-recording.controller');
+const { validateToken, hasPermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/permissions');
 
 // Get recording statistics
 router.get(
   '/stats',
+  validateToken,
+  hasPermission(PERMISSIONS.RECORDINGS_READ),
   callRecordingController.getRecordingStats
 );
 
 // List recordings (with filtering)
 router.get(
   '/',
+  validateToken,
+  hasPermission(PERMISSIONS.RECORDINGS_READ),
   callRecordingController.listRecordings
 );
 
 // Get a specific recording by ID
 router.get(
   '/:id',
+  validateToken,
+  hasPermission(PERMISSIONS.RECORDINGS_READ),
   callRecordingController.getRecording
 );
 
 // Get all recordings for a call
 router.get(
   '/call/:callSid',
+  validateToken,
+  hasPermission(PERMISSIONS.RECORDINGS_READ),
   callRecordingController.getRecordingsForCall
 );
 
 // Start recording a call
 router.post(
   '/call/:callSid/start',
+  validateToken,
+  hasPermission(PERMISSIONS.RECORDINGS_WRITE),
   callRecordingController.startRecording
 );
 
 // Stop recording a call
 router.post(
   '/call/:callSid/stop',
+  validateToken,
+  hasPermission(PERMISSIONS.RECORDINGS_WRITE),
   callRecordingController.stopRecording
 );
 
 // Delete a recording
 router.delete(
   '/:id',
+  validateToken,
+  hasPermission(PERMISSIONS.RECORDINGS_DELETE),
   callRecordingController.deleteRecording
 );
 
@@ -7,30 +7,41 @@ const router = express.Router();
 const callController = require('../controllers/call.controller');
 const amdController = require('../controllers/amd.controller');
 const transferController = require('../controllers/call-transfer.controller');
+const callFlowController = require('../controllers/call-flow.controller');
+const inboundRouteController = require('../controllers/inbound-route.controller');
+const { validateToken, hasPermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/permissions');
+const { requireWorkspaceCampaign } = require('../middleware/workspace.middleware');
 
 // GET all calls (with pagination and filtering)
-router.get('/', callController.getRecentCalls);
+router.get('/', validateToken, callController.getRecentCalls);
 
 // GET call statistics
-router.get('/stats', callController.getCallStatistics);
+router.get('/stats', validateToken, callController.getCallStatistics);
 
 // GET a single call by ID
-router.get('/:id', callController.getCallDetails);
+router.get('/:id', validateToken, callController.getCallDetails);
+
+// GET who listened in to a call (audit trail)
+router.get('/:id/listen-sessions', validateToken, hasPermission(PERMISSIONS.CALLS_LISTEN), callController.getListenSessions);
+
+// POST for a single-use token to listen in to a call over the stream gateway
+router.post('/:id/listen-token', validateToken, hasPermission(PERMISSIONS.CALLS_LISTEN), callController.createListenToken);
 
 // POST to start a new outbound call
-router.post('/outbound', callController.initiateCall);
+router.post('/outbound', validateToken, hasPermission(PERMISSIONS.CALLS_WRITE), callController.initiateCall);
 
 // POST to start a batch of outbound calls for a campaign
-router.post('/campaign/:campaignId/process', callController.processCampaignCalls);
+router.post('/campaign/:campaignId/process', validateToken, hasPermission(PERMISSIONS.CALLS_WRITE), requireWorkspaceCampaign, callController.processCampaignCalls);
 
 // PUT to end an ongoing call
-router.put('/:id/end', callController.endCall);
+router.put('/:id/end', validateToken, hasPermission(PERMISSIONS.CALLS_WRITE), callController.endCall);
 
 // GET call statistics
-router.get('/stats', callController.getCallStatistics);
+router.get('/stats', validateToken, callController.getCallStatistics);
 
 // GET available voice agents (from ElevenLabs)
-router.get('/voice-agents', callController.getVoiceAgents);
+router.get('/voice-agents', validateToken, callController.getVoiceAgents);
 
 // ===== SignalWire Webhook Routes =====
 
@@ -49,10 +60,17 @@ router.post('/webhook/recording', callController.handleRecordingWebhook);
 // Webhook for real-time audio streaming
 router.post('/webhook/stream', callController.handleStreamWebhook);
 
+// Webhooks that run the call flow assigned to the dialed number, one node per request
+router.post('/inbound/flows/:flowId/versions/:version/nodes/:nodeId', callFlowController.handleFlowNode);
+router.post('/inbound/flows/:flowId/versions/:version/nodes/:nodeId/result', callFlowController.handleFlowNodeResult);
+
+// Voicemail left through an after-hours or fallback behavior
+router.post('/inbound/voicemail', inboundRouteController.handleVoicemail);
+
 // ===== Answering Machine Detection Routes =====
 
 // Enable AMD for an existing call
-router.post('/:callSid/amd/enable', amdController.enableAmdForCall);
+router.post('/:callSid/amd/enable', validateToken, hasPermission(PERMISSIONS.CALLS_WRITE), amdController.enableAmdForCall);
 
 // AMD webhook handler (automatic human/machine handling)
 router.post('/webhook/amd', amdController.handleAmdWebhook);
@@ -72,18 +90,18 @@ router.post('/twiml/wait-for-beep', amdController.generateWaitForBeepTwiML);
 // ===== Call Transfer Routes =====
 
 // Initiate a call transfer
-router.post('/transfer', transferController.initiateTransfer);
+router.post('/transfer', validateToken, hasPermission(PERMISSIONS.CALLS_WRITE), transferController.initiateTransfer);
 
 // Get pending transfers
-router.get('/transfers', transferController.getPendingTransfers);
+router.get('/transfers', validateToken, transferController.getPendingTransfers);
 
 // Get status of a specific transfer
-router.get('/transfer/:callSid', transferController.getTransferStatus);
+router.get('/transfer/:callSid', validateToken, transferController.getTransferStatus);
 
 // Complete a transfer
-router.put('/transfer/:callSid/complete', transferController.completeTransfer);
+router.put('/transfer/:callSid/complete', validateToken, hasPermission(PERMISSIONS.CALLS_WRITE), transferController.completeTransfer);
 
 // Reject a transfer
-router.put('/transfer/:callSid/reject', transferController.rejectTransfer);
+router.put('/transfer/:callSid/reject', validateToken, hasPermission(PERMISSIONS.CALLS_WRITE), transferController.rejectTransfer);
 
 module.exports = router;
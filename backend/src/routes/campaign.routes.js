@@ -7,55 +7,61 @@ const express = require('express');
 const router = express.Router();
 const campaignController = require('../controllers/campaign.controller');
 const campaignSchedulerController = require('../controllers/campaign-scheduler.controller');
+const { hasPermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/permissions');
+const { requireWorkspaceCampaign } = require('../middleware/workspace.middleware');
+
+// Scheduler routes address campaigns by ID, so check ownership before any handler runs
+router.param('campaignId', requireWorkspaceCampaign);
 
 /**
  * @route   GET /api/campaigns
  * @desc    Get all campaigns with optional filtering
  * @access  Private
  */
-router.get('/', campaignController.getCampaigns);
+router.get('/', hasPermission(PERMISSIONS.CAMPAIGNS_READ), campaignController.getCampaigns);
 
 /**
  * @route   GET /api/campaigns/stats
  * @desc    Get campaign statistics
  * @access  Private
  */
-router.get('/stats', campaignController.getCampaignStats);
+router.get('/stats', hasPermission(PERMISSIONS.CAMPAIGNS_READ), campaignController.getCampaignStats);
 
 /**
  * @route   GET /api/campaigns/:id
  * @desc    Get campaign by ID
  * @access  Private
  */
-router.get('/:id', campaignController.getCampaignById);
+router.get('/:id', hasPermission(PERMISSIONS.CAMPAIGNS_READ), campaignController.getCampaignById);
 
 /**
  * @route   POST /api/campaigns
  * @desc    Create a new campaign
  * @access  Private
  */
-router.post('/', campaignController.createCampaign);
+router.post('/', hasPermission(PERMISSIONS.CAMPAIGNS_WRITE), campaignController.createCampaign);
 
 /**
  * @route   PUT /api/campaigns/:id
  * @desc    Update an existing campaign
  * @access  Private
  */
-router.put('/:id', campaignController.updateCampaign);
+router.put('/:id', hasPermission(PERMISSIONS.CAMPAIGNS_WRITE), campaignController.updateCampaign);
 
 /**
  * @route   DELETE /api/campaigns/:id
  * @desc    Delete a campaign
  * @access  Private
  */
-router.delete('/:id', campaignController.deleteCampaign);
+router.delete('/:id', hasPermission(PERMISSIONS.CAMPAIGNS_DELETE), campaignController.deleteCampaign);
 
 /**
  * @route   PATCH /api/campaigns/:id/status
  * @desc    Update campaign status (start, pause, resume, complete)
  * @access  Private
  */
-router.patch('/:id/status', campaignController.updateCampaignStatus);
+router.patch('/:id/status', hasPermission(PERMISSIONS.CAMPAIGNS_START), campaignController.updateCampaignStatus);
 
 // ===== Campaign Scheduler Routes =====
 
@@ -64,48 +70,55 @@ router.patch('/:id/status', campaignController.updateCampaignStatus);
  * @desc    Start a campaign scheduler
  * @access  Private
  */
-router.post('/:campaignId/scheduler/start', campaignSchedulerController.startCampaign);
+router.post('/:campaignId/scheduler/start', hasPermission(PERMISSIONS.CAMPAIGNS_START), campaignSchedulerController.startCampaign);
 
 /**
  * @route   POST /api/campaigns/:campaignId/scheduler/pause
  * @desc    Pause a campaign scheduler
  * @access  Private
  */
-router.post('/:campaignId/scheduler/pause', campaignSchedulerController.pauseCampaign);
+router.post('/:campaignId/scheduler/pause', hasPermission(PERMISSIONS.CAMPAIGNS_START), campaignSchedulerController.pauseCampaign);
 
 /**
  * @route   POST /api/campaigns/:campaignId/scheduler/resume
  * @desc    Resume a campaign scheduler
  * @access  Private
  */
-router.post('/:campaignId/scheduler/resume', campaignSchedulerController.resumeCampaign);
+router.post('/:campaignId/scheduler/resume', hasPermission(PERMISSIONS.CAMPAIGNS_START), campaignSchedulerController.resumeCampaign);
 
 /**
  * @route   POST /api/campaigns/:campaignId/scheduler/stop
  * @desc    Stop a campaign scheduler
  * @access  Private
  */
-router.post('/:campaignId/scheduler/stop', campaignSchedulerController.stopCampaign);
+router.post('/:campaignId/scheduler/stop', hasPermission(PERMISSIONS.CAMPAIGNS_START), campaignSchedulerController.stopCampaign);
 
 /**
  * @route   GET /api/campaigns/:campaignId/scheduler/status
  * @desc    Get campaign scheduler status
  * @access  Private
  */
-router.get('/:campaignId/scheduler/status', campaignSchedulerController.getCampaignStatus);
+router.get('/:campaignId/scheduler/status', hasPermission(PERMISSIONS.CAMPAIGNS_READ), campaignSchedulerController.getCampaignStatus);
+
+/**
+ * @route   GET /api/campaigns/:campaignId/prompt-variables
+ * @desc    List contacts lacking the prompt variables the campaign agent requires
+ * @access  Private
+ */
+router.get('/:campaignId/prompt-variables', hasPermission(PERMISSIONS.CAMPAIGNS_READ), campaignSchedulerController.getPromptVariableCheck);
 
 /**
  * @route   GET /api/campaigns/scheduler/active
  * @desc    Get all active campaign schedulers
  * @access  Private
  */
-router.get('/scheduler/active', campaignSchedulerController.getAllActiveCampaigns);
+router.get('/scheduler/active', hasPermission(PERMISSIONS.CAMPAIGNS_READ), campaignSchedulerController.getAllActiveCampaigns);
 
 /**
  * @route   PUT /api/campaigns/:campaignId/scheduler/settings
  * @desc    Update campaign scheduler settings
  * @access  Private
  */
-router.put('/:campaignId/scheduler/settings', campaignSchedulerController.updateCampaignSettings);
+router.put('/:campaignId/scheduler/settings', hasPermission(PERMISSIONS.CAMPAIGNS_START), campaignSchedulerController.updateCampaignSettings);
 
 module.exports = router;
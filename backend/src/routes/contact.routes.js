@@ -5,6 +5,8 @@
 const express = require('express');
 const router = express.Router();
 const contactController = require('../controllers/contact.controller');
+const { hasPermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/permissions');
 const multer = require('multer');
 const path = require('path');
 
@@ -30,27 +32,30 @@ const upload = multer({
 });
 
 // GET all contacts (with pagination and filtering)
-router.get('/', contactController.getContacts);
+router.get('/', hasPermission(PERMISSIONS.CONTACTS_READ), contactController.getContacts);
 
 // GET contact statistics
-router.get('/stats', contactController.getContactStats);
+router.get('/stats', hasPermission(PERMISSIONS.CONTACTS_READ), contactController.getContactStats);
 
 // GET a single contact by ID
-router.get('/:contactId', contactController.getContactById);
+router.get('/:contactId', hasPermission(PERMISSIONS.CONTACTS_READ), contactController.getContactById);
+
+// GET a contact's timeline of calls and callbacks
+router.get('/:contactId/timeline', hasPermission(PERMISSIONS.CONTACTS_READ), contactController.getContactTimeline);
 
 // POST to create a new contact
-router.post('/', contactController.createContact);
+router.post('/', hasPermission(PERMISSIONS.CONTACTS_WRITE), contactController.createContact);
 
 // POST to upload contacts via CSV
-router.post('/upload', upload.single('file'), contactController.uploadContacts);
+router.post('/upload', hasPermission(PERMISSIONS.CONTACTS_IMPORT), upload.single('file'), contactController.uploadContacts);
 
 // PUT to update a contact
-router.put('/:contactId', contactController.updateContact);
+router.put('/:contactId', hasPermission(PERMISSIONS.CONTACTS_WRITE), contactController.updateContact);
 
 // DELETE a contact
-router.delete('/:contactId', contactController.deleteContact);
+router.delete('/:contactId', hasPermission(PERMISSIONS.CONTACTS_DELETE), contactController.deleteContact);
 
 // GET contact statistics
-router.get('/stats', contactController.getContactStats);
+router.get('/stats', hasPermission(PERMISSIONS.CONTACTS_READ), contactController.getContactStats);
 
 module.exports = router;
@@ -21,6 +21,13 @@ router.get('/', conversationController.getConversations);
  */
 router.get('/:id', conversationController.getConversationById);
 
+/**
+ * @route GET /api/conversations/:id/tool-calls
+ * @desc Get the agent tool calls made during a conversation
+ * @access Private
+ */
+router.get('/:id/tool-calls', conversationController.getConversationToolCalls);
+
 /**
  * @route PUT /api/conversations/:id/metadata
  * @desc Update conversation metadata
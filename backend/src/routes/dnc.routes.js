@@ -0,0 +1,55 @@
+/**
+ * Do-not-call list API endpoints
+ */
+
+const express = require('express');
+const router = express.Router();
+const dncController = require('../controllers/dnc.controller');
+const { hasPermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/permissions');
+const multer = require('multer');
+const path = require('path');
+
+// Configure multer for CSV uploads
+const storage = multer.diskStorage({
+  destination: function(req, file, cb) {
+    cb(null, '/tmp'); // Temporary storage
+  },
+  filename: function(req, file, cb) {
+    cb(null, 'dnc-' + Date.now() + path.extname(file.originalname));
+  }
+});
+
+const upload = multer({
+  storage: storage,
+  fileFilter: function(req, file, cb) {
+    // Accept only CSV files
+    if (file.mimetype !== 'text/csv' && !file.originalname.endsWith('.csv')) {
+      return cb(new Error('Only CSV files are allowed'));
+    }
+    cb(null, true);
+  }
+});
+
+// GET entries visible to the workspace (own + global)
+router.get('/', hasPermission(PERMISSIONS.DNC_READ), dncController.getEntries);
+
+// GET whether a number is currently blocked
+router.get('/check/:phoneNumber', hasPermission(PERMISSIONS.DNC_READ), dncController.checkNumber);
+
+// GET a single entry
+router.get('/:id', hasPermission(PERMISSIONS.DNC_READ), dncController.getEntryById);
+
+// POST to add a number
+router.post('/', hasPermission(PERMISSIONS.DNC_WRITE), dncController.createEntry);
+
+// POST to import numbers from CSV
+router.post('/import', hasPermission(PERMISSIONS.DNC_WRITE), upload.single('file'), dncController.importEntries);
+
+// PUT to update reason, notes or expiry
+router.put('/:id', hasPermission(PERMISSIONS.DNC_WRITE), dncController.updateEntry);
+
+// DELETE to remove a number
+router.delete('/:id', hasPermission(PERMISSIONS.DNC_WRITE), dncController.deleteEntry);
+
+module.exports = router;
@@ -0,0 +1,26 @@
+/**
+ * Inbound routing table API endpoints
+ */
+
+const express = require('express');
+const router = express.Router();
+const inboundRouteController = require('../controllers/inbound-route.controller');
+const { hasPermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/permissions');
+
+// GET inbound routes
+router.get('/', hasPermission(PERMISSIONS.INBOUND_ROUTES_READ), inboundRouteController.getRoutes);
+
+// GET a single route
+router.get('/:id', hasPermission(PERMISSIONS.INBOUND_ROUTES_READ), inboundRouteController.getRouteById);
+
+// POST to route a number
+router.post('/', hasPermission(PERMISSIONS.INBOUND_ROUTES_WRITE), inboundRouteController.createRoute);
+
+// PUT to change a route's agent, flow, hours or after-hours behavior
+router.put('/:id', hasPermission(PERMISSIONS.INBOUND_ROUTES_WRITE), inboundRouteController.updateRoute);
+
+// DELETE a route
+router.delete('/:id', hasPermission(PERMISSIONS.INBOUND_ROUTES_WRITE), inboundRouteController.deleteRoute);
+
+module.exports = router;
@@ -4,6 +4,7 @@
 
 const express = require('express');
 const router = express.Router();
+const { validateToken } = require('../middleware/auth');
 
 // Import route modules
 const callRoutes = require('./call.routes');
@@ -18,6 +19,13 @@ const queueSchedulerRoutes = require('./queue-scheduler.routes');
 const transferRoutes = require('./transfer.routes');
 const conversationRoutes = require('./conversation.routes');
 const healthRoutes = require('./health.routes');
+const workspaceRoutes = require('./workspace.routes');
+const dncRoutes = require('./dnc.routes');
+const phoneNumberRoutes = require('./phone-number.routes');
+const callFlowRoutes = require('./call-flow.routes');
+const inboundRouteRoutes = require('./inbound-route.routes');
+const businessScheduleRoutes = require('./business-schedule.routes');
+const agentToolRoutes = require('./agent-tool.routes');
 
 // API health check
 router.get('/', (req, res) => {
@@ -25,17 +33,26 @@ router.get('/', (req, res) => {
 });
 
 // Mount routes
+// calls and call-recordings also serve SignalWire webhooks, so they apply auth per route
 router.use('/calls', callRoutes);
-router.use('/call-queue', callQueueRoutes);
+router.use('/call-queue', validateToken, callQueueRoutes);
 router.use('/call-recordings', callRecordingRoutes);
-router.use('/contacts', contactRoutes);
+router.use('/contacts', validateToken, contactRoutes);
 router.use('/webhooks', webhookRoutes);
-router.use('/agents', agentRoutes);
+router.use('/agents', validateToken, agentRoutes);
 router.use('/auth', authRoutes);
-router.use('/campaigns', campaignRoutes);
-router.use('/queue-scheduler', queueSchedulerRoutes);
+router.use('/campaigns', validateToken, campaignRoutes);
+router.use('/queue-scheduler', validateToken, queueSchedulerRoutes);
 router.use('/transfer', transferRoutes);
-router.use('/conversations', conversationRoutes);
+router.use('/conversations', validateToken, conversationRoutes);
 router.use('/health', healthRoutes);
+router.use('/workspaces', validateToken, workspaceRoutes);
+router.use('/dnc', validateToken, dncRoutes);
+router.use('/phone-numbers', validateToken, phoneNumberRoutes);
+router.use('/call-flows', validateToken, callFlowRoutes);
+router.use('/inbound-routes', validateToken, inboundRouteRoutes);
+router.use('/business-schedules', validateToken, businessScheduleRoutes);
+// Called by voice agents mid-call; requests are signed rather than authenticated
+router.use('/agent-tools', agentToolRoutes);
 
 module.exports = router;
@@ -0,0 +1,35 @@
+/**
+ * Caller ID number pool API endpoints
+ */
+
+const express = require('express');
+const router = express.Router();
+const phoneNumberController = require('../controllers/phone-number.controller');
+const { hasPermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/permissions');
+
+// GET pool numbers
+router.get('/', hasPermission(PERMISSIONS.PHONE_NUMBERS_READ), phoneNumberController.getNumbers);
+
+// POST to import numbers owned in SignalWire
+router.post('/sync', hasPermission(PERMISSIONS.PHONE_NUMBERS_WRITE), phoneNumberController.syncNumbers);
+
+// GET health scores
+router.get('/health', hasPermission(PERMISSIONS.PHONE_NUMBERS_READ), phoneNumberController.getNumberHealth);
+
+// POST to rescore numbers now
+router.post('/health/check', hasPermission(PERMISSIONS.PHONE_NUMBERS_WRITE), phoneNumberController.checkNumberHealth);
+
+// GET a single number
+router.get('/:id', hasPermission(PERMISSIONS.PHONE_NUMBERS_READ), phoneNumberController.getNumberById);
+
+// POST to add a number
+router.post('/', hasPermission(PERMISSIONS.PHONE_NUMBERS_WRITE), phoneNumberController.createNumber);
+
+// PUT to update tags, limits, status or assigned call flow
+router.put('/:id', hasPermission(PERMISSIONS.PHONE_NUMBERS_WRITE), phoneNumberController.updateNumber);
+
+// DELETE to remove a number from the pool
+router.delete('/:id', hasPermission(PERMISSIONS.PHONE_NUMBERS_WRITE), phoneNumberController.deleteNumber);
+
+module.exports = router;
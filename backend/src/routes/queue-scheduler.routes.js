@@ -6,46 +6,60 @@
 const express = require('express');
 const router = express.Router();
 const queueSchedulerController = require('../controllers/queue-scheduler.controller');
+const { hasPermission, requirePlatformAdmin } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/permissions');
+const { requireWorkspaceCampaign } = require('../middleware/workspace.middleware');
+
+router.param('campaignId', requireWorkspaceCampaign);
 
 // Get status of all active schedulers
 router.get(
   '/status',
+  hasPermission(PERMISSIONS.QUEUE_READ),
   queueSchedulerController.getSchedulerStatuses
 );
 
+// The global scheduler dials for every workspace, so only platform admins may drive it
+
 // Start global scheduler
 router.post(
   '/global/start',
+  requirePlatformAdmin,
   queueSchedulerController.startGlobalScheduler
 );
 
 // Stop global scheduler
 router.post(
   '/global/stop',
+  requirePlatformAdmin,
   queueSchedulerController.stopGlobalScheduler
 );
 
 // Process global queue manually
 router.post(
   '/global/process',
+  requirePlatformAdmin,
   queueSchedulerController.processGlobalQueue
 );
 
 // Start campaign scheduler
 router.post(
   '/campaign/:campaignId/start',
+  hasPermission(PERMISSIONS.QUEUE_MANAGE),
   queueSchedulerController.startCampaignScheduler
 );
 
 // Stop campaign scheduler
 router.post(
   '/campaign/:campaignId/stop',
+  hasPermission(PERMISSIONS.QUEUE_MANAGE),
   queueSchedulerController.stopCampaignScheduler
 );
 
 // Process campaign queue manually
 router.post(
   '/campaign/:campaignId/process',
+  hasPermission(PERMISSIONS.QUEUE_MANAGE),
   queueSchedulerController.processQueueForCampaign
 );
 
@@ -6,19 +6,20 @@
 const express = require('express');
 const router = express.Router();
 const transferController = require('../controllers/transfer.controller');
-const { validateToken } = require('../middleware/auth');
+const { validateToken, hasPermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/permissions');
 
 // Apply authentication middleware to all routes
 router.use(validateToken);
 
 // POST /api/transfer/initiate - Start a call transfer
-router.post('/initiate', transferController.initiateTransfer);
+router.post('/initiate', hasPermission(PERMISSIONS.CALLS_WRITE), transferController.initiateTransfer);
 
 // POST /api/transfer/complete - Complete a transfer
-router.post('/complete', transferController.completeTransfer);
+router.post('/complete', hasPermission(PERMISSIONS.CALLS_WRITE), transferController.completeTransfer);
 
 // POST /api/transfer/cancel - Cancel a transfer
-router.post('/cancel', transferController.cancelTransfer);
+router.post('/cancel', hasPermission(PERMISSIONS.CALLS_WRITE), transferController.cancelTransfer);
 
 // POST /api/transfer/twiml - Generate TwiML for a transfer
 router.post('/twiml', transferController.generateTransferTwiML);
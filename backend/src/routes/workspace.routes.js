@@ -0,0 +1,23 @@
+/**
+ * Workspace management API endpoints
+ * Everything operates on the caller's own workspace
+ */
+
+const express = require('express');
+const router = express.Router();
+const workspaceController = require('../controllers/workspace.controller');
+const { requireAdmin } = require('../middleware/auth');
+
+// GET the current workspace (credentials are masked)
+router.get('/current', workspaceController.getCurrentWorkspace);
+
+// PUT update workspace name, settings and SignalWire/ElevenLabs credentials
+router.put('/current', requireAdmin, workspaceController.updateCurrentWorkspace);
+
+// GET members of the current workspace
+router.get('/current/users', requireAdmin, workspaceController.getMembers);
+
+// POST add a user to the current workspace
+router.post('/current/users', requireAdmin, workspaceController.addMember);
+
+module.exports = router;
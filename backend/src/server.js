@@ -15,8 +15,17 @@ const logger = require('./utils/logger');
 const routes = require('./routes');
 const db = require('./models');
 const { runSeeders } = require('./utils/seeders');
-const websocketServer = require('./services/websocket-server.service');
+const streamGateway = require('./services/stream-gateway.service');
 const scheduledJobs = require('./services/scheduled-jobs.service');
+const schedulerRecovery = require('./services/scheduler-recovery.service');
+
+// Refuse to start in production with secrets that would fall back to public defaults
+if (process.env.NODE_ENV === 'production') {
+  const missingSecrets = config.getMissingProductionSecrets();
+  if (missingSecrets.length > 0) {
+    throw new Error(`Missing required production secrets: ${missingSecrets.join(', ')}`);
+  }
+}
 
 // Initialize Sentry first for error tracking
 initSentry();
@@ -37,7 +46,8 @@ const { performanceMonitor } = require('./middleware/performance-monitor.middlew
 app.use(performanceMonitor);
 
 // Standard middleware
-app.use(express.json());
+const { captureRawBody } = require('./middleware/agent-tool-signature.middleware');
+app.use(express.json({ verify: captureRawBody }));
 app.use(express.urlencoded({ extended: true }));
 app.use(morgan('combined', { stream: logger.stream }));
 
@@ -82,8 +92,8 @@ const startServer = () => {
   // Create HTTP server
   const server = http.createServer(app);
   
-  // Initialize WebSocket server for audio streaming
-  websocketServer.initializeWebSocketServer(server);
+  // Initialize the stream gateway for call audio, monitors and the test harness
+  streamGateway.initializeStreamGateway(server);
   
   // Initialize scheduled jobs for maintenance tasks
   scheduledJobs.initScheduledJobs();
@@ -92,7 +102,7 @@ const startServer = () => {
   server.listen(PORT, () => {
     logger.info(`Server running on port ${PORT}`);
     logger.info(`Environment: ${process.env.NODE_ENV || 'development'}`);
-    logger.info(`WebSocket server initialized for audio streaming on /stream`);
+    logger.info(`Stream gateway listening on /stream`);
   });
 };
 
@@ -116,6 +126,11 @@ db.testConnection()
   })
   .then(() => {
     startServer();
+    
+    // Resume campaigns and queue schedulers that were running before this restart
+    schedulerRecovery.reconcileOnBoot().catch(err => {
+      logger.error(`Scheduler state reconciliation failed: ${err.message}`);
+    });
   })
   .catch(err => {
     logger.error(`Database initialization error: ${err.message}`);
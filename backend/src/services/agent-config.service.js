@@ -0,0 +1,351 @@
+/**
+ * Agent Config Service
+ * Saves voice agent configurations as immutable versions with their author and diff,
+ * rolls agents back to earlier versions and resolves the version a call runs.
+ */
+
+const { Op } = require('sequelize');
+const db = require('../models');
+const logger = require('../utils/logger');
+const promptVariablesService = require('./prompt-variables.service');
+const { SENSITIVITY_PRESETS } = require('../utils/voice-activity-detector');
+
+// Fields each version captures; isActive is an on/off switch, not part of the config
+const VERSIONED_FIELDS = ['name', 'description', 'settings', 'promptSettings', 'webhookUrl', 'allowedTools'];
+
+const DEFAULTS = {
+  name: 'Unnamed Agent',
+  description: '',
+  settings: {},
+  promptSettings: {},
+  webhookUrl: null,
+  allowedTools: []
+};
+
+/**
+ * Error for agent configurations that fail validation
+ */
+class InvalidAgentConfigError extends Error {
+  constructor(errors) {
+    super(`Invalid agent configuration: ${errors.join('; ')}`);
+    this.name = 'InvalidAgentConfigError';
+    this.code = 'INVALID_AGENT_CONFIG';
+    this.errors = errors;
+  }
+}
+
+/**
+ * Problems with the barge-in settings of an agent
+ * @param {Object} settings - Agent settings
+ * @returns {string[]} Validation errors (empty when valid)
+ */
+const validateBargeInSettings = (settings) => {
+  const errors = [];
+  if (settings.interruptible !== undefined && typeof settings.interruptible !== 'boolean') {
+    errors.push('settings.interruptible must be true or false');
+  }
+  if (settings.bargeInSensitivity !== undefined && !SENSITIVITY_PRESETS[settings.bargeInSensitivity]) {
+    errors.push(`settings.bargeInSensitivity must be one of ${Object.keys(SENSITIVITY_PRESETS).join(', ')}`);
+  }
+  return errors;
+};
+
+/**
+ * Problems with the tools, prompt variables and settings of a config payload
+ * @param {Object} data - { allowedTools, promptSettings, settings }
+ * @returns {string[]} Validation errors (empty when valid)
+ */
+const validateConfig = (data) => {
+  // Required here: agent tools load the call queue, which loads call handling, which loads this module
+  const agentToolsService = require('./agent-tools.service');
+
+  return [
+    ...(data.allowedTools !== undefined ? agentToolsService.validateAllowedTools(data.allowedTools) : []),
+    ...(data.promptSettings ? promptVariablesService.validatePromptSettings(data.promptSettings) : []),
+    ...(data.settings ? validateBargeInSettings(data.settings) : [])
+  ];
+};
+
+/**
+ * The versioned fields of a config
+ * @param {Object} config - AgentConfig instance or snapshot
+ * @returns {Object}
+ */
+const snapshotOf = (config) => VERSIONED_FIELDS.reduce((snapshot, field) => {
+  snapshot[field] = config[field] !== undefined ? config[field] : DEFAULTS[field];
+  return snapshot;
+}, {});
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Changes between two snapshots, down to the keys of JSON fields
+ * Lists are compared whole.
+ * @param {Object} before - Previous snapshot ({} for the first version)
+ * @param {Object} after - New snapshot
+ * @param {string} [prefix] - Path of the objects being compared
+ * @returns {Array} [{ path, before, after }]
+ */
+const diffSnapshots = (before, after, prefix = '') => {
+  const keys = Array.from(new Set([...Object.keys(before || {}), ...Object.keys(after || {})]));
+
+  return keys.reduce((changes, key) => {
+    const path = prefix ? `${prefix}.${key}` : key;
+    const previous = before ? before[key] : undefined;
+    const next = after ? after[key] : undefined;
+
+    if (isPlainObject(previous) && isPlainObject(next)) {
+      return changes.concat(diffSnapshots(previous, next, path));
+    }
+    if (JSON.stringify(previous) !== JSON.stringify(next)) {
+      changes.push({
+        path,
+        before: previous === undefined ? null : previous,
+        after: next === undefined ? null : next
+      });
+    }
+    return changes;
+  }, []);
+};
+
+/**
+ * Get a workspace's config for an agent
+ * @param {string} agentId - ElevenLabs agent ID
+ * @param {string} workspaceId - Workspace ID
+ * @returns {Promise<Object|null>}
+ */
+const getConfig = (agentId, workspaceId) => db.AgentConfig.findOne({ where: { agentId, workspaceId } });
+
+/**
+ * Get one version of an agent's config
+ * @param {number} agentConfigId - AgentConfig ID
+ * @param {number|string} version - Version number
+ * @returns {Promise<Object|null>}
+ */
+const getVersion = async (agentConfigId, version) => {
+  const number = parseInt(version, 10);
+  if (!Number.isInteger(number)) {
+    return null;
+  }
+  return db.AgentConfigVersion.findOne({ where: { agentConfigId, version: number } });
+};
+
+/**
+ * List an agent's versions, newest first, with their authors and diffs
+ * @param {number} agentConfigId - AgentConfig ID
+ * @returns {Promise<Array>}
+ */
+const listVersions = (agentConfigId) => {
+  return db.AgentConfigVersion.findAll({
+    where: { agentConfigId },
+    include: [{ model: db.User, as: 'author', attributes: ['id', 'firstName', 'lastName', 'email'] }],
+    order: [['version', 'DESC']]
+  });
+};
+
+/**
+ * Create or update an agent's config, writing a new version when a versioned field changes
+ * @param {Object} data - Config fields; fields left out keep their current values
+ * @param {Object} options - { agentId, workspaceId, userId, notes, restoredFrom }
+ * @returns {Promise<Object>} { config, version, created } (version is null when nothing versioned changed)
+ * @throws {InvalidAgentConfigError}
+ */
+const saveConfig = async (data, options) => {
+  const errors = validateConfig(data);
+  if (errors.length > 0) {
+    throw new InvalidAgentConfigError(errors);
+  }
+
+  const { agentId, workspaceId, userId, notes, restoredFrom } = options;
+
+  return db.sequelize.transaction(async (transaction) => {
+    // Lock the config so two saves cannot claim the same version number
+    let config = await db.AgentConfig.findOne({
+      where: { agentId, workspaceId },
+      lock: transaction.LOCK.UPDATE,
+      transaction
+    });
+    const created = !config;
+    const before = config ? snapshotOf(config) : {};
+
+    const fields = VERSIONED_FIELDS.reduce((values, field) => {
+      if (data[field] !== undefined) {
+        values[field] = data[field];
+      }
+      return values;
+    }, {});
+    if (data.isActive !== undefined) {
+      fields.isActive = data.isActive;
+    }
+
+    if (created) {
+      config = await db.AgentConfig.create({
+        ...DEFAULTS,
+        ...fields,
+        name: fields.name || DEFAULTS.name,
+        agentId,
+        workspaceId
+      }, { transaction });
+    } else {
+      await config.update(fields, { transaction });
+    }
+
+    const after = snapshotOf(config);
+    const diff = diffSnapshots(before, after);
+    if (!created && diff.length === 0) {
+      return { config, version: null, created };
+    }
+
+    const version = await db.AgentConfigVersion.create({
+      agentConfigId: config.id,
+      version: config.latestVersion + 1,
+      snapshot: after,
+      diff,
+      notes: notes || null,
+      restoredFrom: restoredFrom || null,
+      createdBy: userId || null
+    }, { transaction });
+    await config.update({ latestVersion: version.version }, { transaction });
+
+    logger.info(`Saved version ${version.version} of agent ${agentId} (${diff.length} changes)`);
+    return { config, version, created };
+  });
+};
+
+/**
+ * Roll an agent back to an earlier version
+ * The old config is saved again as a new version, so history is never rewritten.
+ * @param {Object} config - AgentConfig instance
+ * @param {number|string} versionNumber - Version to restore
+ * @param {string} [userId] - Author
+ * @returns {Promise<Object|null>} { config, version, restored }, or null when the version does not exist
+ *   (version is null when the config already matched the restored one)
+ */
+const rollback = async (config, versionNumber, userId) => {
+  const target = await getVersion(config.id, versionNumber);
+  if (!target) {
+    return null;
+  }
+
+  const result = await saveConfig(snapshotOf(target.snapshot), {
+    agentId: config.agentId,
+    workspaceId: config.workspaceId,
+    userId,
+    notes: `Rollback to version ${target.version}`,
+    restoredFrom: target.version
+  });
+
+  return { config: result.config, version: result.version, restored: target };
+};
+
+/**
+ * The config a call runs: the pinned version when there is one, otherwise the latest
+ * @param {string} agentId - ElevenLabs agent ID
+ * @param {number} [pinnedVersion] - Version the campaign is pinned to
+ * @returns {Promise<Object|null>} Plain config with its `version`, or null when the agent has no config
+ */
+const getConfigForCall = async (agentId, pinnedVersion = null) => {
+  const config = await db.AgentConfig.findOne({ where: { agentId } });
+  if (!config) {
+    return null;
+  }
+
+  const current = {
+    id: config.id,
+    agentId: config.agentId,
+    workspaceId: config.workspaceId,
+    isActive: config.isActive,
+    ...snapshotOf(config),
+    version: config.latestVersion || null
+  };
+  if (!pinnedVersion || pinnedVersion === config.latestVersion) {
+    return current;
+  }
+
+  const pinned = await getVersion(config.id, pinnedVersion);
+  if (!pinned) {
+    logger.warn(`Agent ${agentId} has no version ${pinnedVersion}; using the latest`);
+    return current;
+  }
+  return { ...current, ...snapshotOf(pinned.snapshot), version: pinned.version };
+};
+
+/**
+ * Call outcomes of each version of an agent
+ * @param {Object} where - CallLog filter (agent, workspace and dates)
+ * @returns {Promise<Array>} [{ version, totalCalls, byStatus, averageDuration, appointmentsBooked, conversionRate }]
+ */
+const getVersionMetrics = async (where) => {
+  const rows = await db.CallLog.findAll({
+    attributes: [
+      'agentVersion',
+      'status',
+      [db.sequelize.fn('COUNT', db.sequelize.col('id')), 'count'],
+      [db.sequelize.fn('SUM', db.sequelize.col('duration')), 'totalDuration'],
+      [db.sequelize.fn('COUNT', db.sequelize.col('duration')), 'timedCalls']
+    ],
+    where,
+    group: ['agentVersion', 'status'],
+    raw: true
+  });
+
+  const appointments = await db.Appointment.findAll({
+    attributes: ['callLogId'],
+    where: { status: 'booked', callLogId: { [Op.ne]: null } },
+    include: [{ model: db.CallLog, as: 'sourceCall', attributes: ['agentVersion'], where, required: true }],
+    raw: true
+  });
+
+  const byVersion = new Map();
+  const entryFor = (version) => {
+    if (!byVersion.has(version)) {
+      byVersion.set(version, { version, totalCalls: 0, byStatus: {}, totalDuration: 0, timedCalls: 0, appointmentsBooked: 0 });
+    }
+    return byVersion.get(version);
+  };
+
+  rows.forEach((row) => {
+    const entry = entryFor(row.agentVersion);
+    const count = parseInt(row.count, 10);
+    entry.totalCalls += count;
+    entry.byStatus[row.status] = count;
+    entry.totalDuration += parseFloat(row.totalDuration) || 0;
+    entry.timedCalls += parseInt(row.timedCalls, 10) || 0;
+  });
+  appointments.forEach((appointment) => {
+    entryFor(appointment['sourceCall.agentVersion']).appointmentsBooked += 1;
+  });
+
+  return Array.from(byVersion.values())
+    .sort((a, b) => (b.version || 0) - (a.version || 0))
+    .map(({ totalDuration, timedCalls, ...entry }) => ({
+      ...entry,
+      averageDuration: timedCalls ? Math.round(totalDuration / timedCalls) : 0,
+      conversionRate: entry.totalCalls ? Math.round((entry.appointmentsBooked / entry.totalCalls) * 1000) / 1000 : 0
+    }));
+};
+
+/**
+ * Delete an agent's config and its versions
+ * @param {Object} config - AgentConfig instance
+ */
+const deleteConfig = async (config) => {
+  await db.sequelize.transaction(async (transaction) => {
+    await db.AgentConfigVersion.destroy({ where: { agentConfigId: config.id }, transaction });
+    await config.destroy({ transaction });
+  });
+};
+
+module.exports = {
+  VERSIONED_FIELDS,
+  InvalidAgentConfigError,
+  diffSnapshots,
+  getConfig,
+  getVersion,
+  listVersions,
+  saveConfig,
+  rollback,
+  getConfigForCall,
+  getVersionMetrics,
+  deleteConfig
+};
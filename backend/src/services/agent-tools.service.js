@@ -0,0 +1,369 @@
+/**
+ * Agent Tools Service
+ * Server tools ElevenLabs voice agents call during a live conversation: contact lookup, CRM write-back,
+ * appointment booking and the previous call's outcome. Each agent may only use the tools its AgentConfig
+ * allows, and every invocation is recorded against the conversation.
+ */
+
+const { Op } = require('sequelize');
+const db = require('../models');
+const logger = require('../utils/logger');
+const contactService = require('./contact.service');
+const callbackService = require('./callback.service');
+const agentConfigService = require('./agent-config.service');
+const businessScheduleService = require('./business-schedule.service');
+const { resolveTimezone } = require('./calling-window.service');
+const { isValidTimezone, parseDateTimeInZone, describeLocalTime } = require('../utils/timezone');
+const { scopeWhere } = require('../utils/workspace-scope');
+
+// Tool names as listed in AgentConfig.allowedTools
+const AGENT_TOOLS = ['lookup_contact', 'update_contact', 'book_appointment', 'previous_outcome', 'schedule_callback'];
+
+// Contact statuses an agent may set
+const CONTACT_STATUSES = ['pending', 'called', 'completed', 'failed', 'no_answer'];
+
+const DEFAULT_APPOINTMENT_MINUTES = 30;
+const MAX_APPOINTMENT_MINUTES = 240;
+
+/**
+ * Thrown when a tool request is missing or has invalid parameters
+ */
+class InvalidAgentToolRequestError extends Error {
+  constructor(errors) {
+    super(`Invalid tool request: ${errors.join('; ')}`);
+    this.name = 'InvalidAgentToolRequestError';
+    this.code = 'INVALID_AGENT_TOOL_REQUEST';
+    this.errors = errors;
+  }
+}
+
+/**
+ * Thrown when the agent on the call may not use the tool
+ */
+class AgentToolNotAllowedError extends Error {
+  constructor(tool, agentId) {
+    super(`Agent ${agentId || '(unknown)'} may not use the ${tool} tool`);
+    this.name = 'AgentToolNotAllowedError';
+    this.code = 'AGENT_TOOL_NOT_ALLOWED';
+  }
+}
+
+/**
+ * Validate an AgentConfig.allowedTools value
+ * @param {*} tools - Tool names
+ * @returns {string[]} Validation errors (empty when valid)
+ */
+const validateAllowedTools = (tools) => {
+  if (!Array.isArray(tools)) {
+    return ['allowedTools must be a list of tool names'];
+  }
+  return tools
+    .filter(tool => !AGENT_TOOLS.includes(tool))
+    .map(tool => `allowedTools has unknown tool ${tool}; use ${AGENT_TOOLS.join(', ')}`);
+};
+
+/**
+ * The call, callee and agent a tool request was made from
+ * The agent is the one the call was placed with, so a request cannot borrow another agent's tools.
+ * A call placed without an agent has no tools at all.
+ */
+const resolveContext = async (params) => {
+  const callSid = params.call_sid || params.callSid;
+  if (!callSid) {
+    throw new InvalidAgentToolRequestError(['call_sid is required']);
+  }
+
+  const callLog = await db.CallLog.findOne({
+    where: { callSid },
+    include: [{ model: db.Contact, as: 'contact' }]
+  });
+  if (!callLog) {
+    throw new InvalidAgentToolRequestError([`Call ${callSid} not found`]);
+  }
+
+  const calleeNumber = callLog.direction === 'outbound' ? callLog.to : callLog.from;
+  const contact = callLog.contact || await contactService.getContactByPhone(calleeNumber, callLog.workspaceId);
+  const agentId = callLog.voiceAgentId || null;
+  // Tools follow the config version the call runs, which a campaign may have pinned
+  const agentConfig = agentId
+    ? await agentConfigService.getConfigForCall(agentId, callLog.agentVersion)
+    : null;
+
+  return { callLog, contact, calleeNumber, agentId, agentConfig, workspaceId: callLog.workspaceId };
+};
+
+const requireContact = (context) => {
+  if (!context.contact) {
+    throw new InvalidAgentToolRequestError([`No contact is on file for ${context.calleeNumber}`]);
+  }
+  return context.contact;
+};
+
+/**
+ * lookup_contact: the callee's details and custom fields
+ */
+const lookupContact = async (context) => {
+  const { contact } = context;
+  if (!contact) {
+    return { found: false, phone: context.calleeNumber };
+  }
+
+  return {
+    found: true,
+    firstName: contact.firstName,
+    lastName: contact.lastName,
+    phone: contact.phone,
+    email: contact.email,
+    timezone: contact.timezone,
+    status: contact.status,
+    notes: contact.notes,
+    callAttempts: contact.callAttempts,
+    lastCallOutcome: contact.lastCallOutcome,
+    customFields: contact.customFields || {}
+  };
+};
+
+/**
+ * update_contact: set the contact's status and add to its notes
+ * Notes are appended with the time they were taken, so the agent cannot erase what is there.
+ */
+const updateContact = async (context, params, now) => {
+  const contact = requireContact(context);
+  const errors = [];
+  if (params.status === undefined && !params.notes) {
+    errors.push('status or notes is required');
+  }
+  if (params.status !== undefined && !CONTACT_STATUSES.includes(params.status)) {
+    errors.push(`status must be one of ${CONTACT_STATUSES.join(', ')}`);
+  }
+  if (errors.length > 0) {
+    throw new InvalidAgentToolRequestError(errors);
+  }
+
+  const fields = {};
+  if (params.status !== undefined) {
+    fields.status = params.status;
+  }
+  if (params.notes) {
+    const entry = `[${now.toISOString()} voice agent] ${String(params.notes).trim()}`;
+    fields.notes = contact.notes ? `${contact.notes}\n${entry}` : entry;
+  }
+  await contact.update(fields);
+
+  return { updated: Object.keys(fields), status: contact.status };
+};
+
+/**
+ * book_appointment: take a slot on the agent's calendar for the callee
+ * The slot must be free on the agent's calendar and, when the agent has settings.appointmentScheduleId,
+ * within that schedule's open hours.
+ */
+const bookAppointment = async (context, params, now) => {
+  const { callLog, contact, agentId, agentConfig, workspaceId } = context;
+  const settings = (agentConfig && agentConfig.settings) || {};
+  const startValue = params.start_time || params.startTime;
+  const minutes = parseInt(params.duration_minutes || params.durationMinutes || settings.appointmentDurationMinutes || DEFAULT_APPOINTMENT_MINUTES, 10);
+
+  const campaign = callLog.campaignId ? await db.Campaign.findByPk(callLog.campaignId) : null;
+  const timezone = isValidTimezone(params.timezone)
+    ? params.timezone
+    : resolveTimezone(contact || { phone: context.calleeNumber }, campaign);
+
+  const startTime = startValue ? parseDateTimeInZone(startValue, timezone) : null;
+  const errors = [];
+  if (!startValue) {
+    errors.push('start_time is required');
+  } else if (!startTime) {
+    errors.push(`start_time must be a date and time such as 2026-10-20T15:00, got ${startValue}`);
+  } else if (startTime <= now) {
+    errors.push('start_time is in the past');
+  }
+  if (!(minutes > 0 && minutes <= MAX_APPOINTMENT_MINUTES)) {
+    errors.push(`duration_minutes must be between 1 and ${MAX_APPOINTMENT_MINUTES}`);
+  }
+  if (errors.length > 0) {
+    throw new InvalidAgentToolRequestError(errors);
+  }
+
+  const endTime = new Date(startTime.getTime() + minutes * 60 * 1000);
+
+  if (settings.appointmentScheduleId) {
+    const schedule = await businessScheduleService.getScheduleById(settings.appointmentScheduleId, workspaceId);
+    const lastMinute = new Date(endTime.getTime() - 60 * 1000);
+    if (schedule && !(businessScheduleService.isOpen(schedule, startTime) && businessScheduleService.isOpen(schedule, lastMinute))) {
+      throw new InvalidAgentToolRequestError([`${describeLocalTime(startTime, timezone)} is outside appointment hours`]);
+    }
+  }
+
+  const clash = await db.Appointment.findOne({
+    where: {
+      workspaceId,
+      agentId,
+      status: 'booked',
+      startTime: { [Op.lt]: endTime },
+      endTime: { [Op.gt]: startTime }
+    }
+  });
+  if (clash) {
+    throw new InvalidAgentToolRequestError([`${describeLocalTime(startTime, timezone)} is already booked`]);
+  }
+
+  const appointment = await db.Appointment.create({
+    workspaceId,
+    contactId: contact ? contact.id : null,
+    callLogId: callLog.id,
+    agentId,
+    startTime,
+    endTime,
+    timezone,
+    notes: params.note ? String(params.note).trim() : null
+  });
+
+  return {
+    appointmentId: appointment.id,
+    startTime: startTime.toISOString(),
+    endTime: endTime.toISOString(),
+    timezone,
+    localTime: describeLocalTime(startTime, timezone)
+  };
+};
+
+/**
+ * previous_outcome: how the last call with the callee before this one went
+ */
+const getPreviousOutcome = async (context) => {
+  const { callLog, contact, calleeNumber, workspaceId } = context;
+
+  const previous = await db.CallLog.findOne({
+    where: {
+      workspaceId,
+      callSid: { [Op.ne]: callLog.callSid },
+      [Op.or]: [{ to: calleeNumber }, { from: calleeNumber }]
+    },
+    order: [['createdAt', 'DESC']]
+  });
+  if (!previous) {
+    return { found: false };
+  }
+
+  const conversation = await db.Conversation.findOne({
+    where: { call_id: previous.callSid },
+    attributes: ['summary', 'call_success']
+  });
+
+  return {
+    found: true,
+    callSid: previous.callSid,
+    at: (previous.startTime || previous.createdAt).toISOString(),
+    direction: previous.direction,
+    status: previous.status,
+    duration: previous.duration,
+    outcome: contact ? contact.lastCallOutcome : null,
+    summary: conversation ? conversation.summary : null,
+    notes: previous.notes
+  };
+};
+
+/**
+ * schedule_callback: the callee asked to be called back later
+ */
+const scheduleCallback = async (context, params, now) => {
+  const { queueItem, timezone, localTime } = await callbackService.scheduleCallback({
+    callSid: context.callLog.callSid,
+    callbackTime: params.callback_time || params.callbackTime,
+    timezone: params.timezone,
+    note: params.note
+  }, now);
+
+  return {
+    queueId: queueItem.id,
+    scheduledTime: new Date(queueItem.scheduledTime).toISOString(),
+    timezone,
+    localTime
+  };
+};
+
+const HANDLERS = {
+  lookup_contact: lookupContact,
+  update_contact: updateContact,
+  book_appointment: bookAppointment,
+  previous_outcome: getPreviousOutcome,
+  schedule_callback: scheduleCallback
+};
+
+/**
+ * Record a tool invocation; a failure to record never fails the tool
+ */
+const recordToolCall = async (fields) => {
+  try {
+    await db.AgentToolCall.create(fields);
+  } catch (error) {
+    logger.error(`Error recording ${fields.tool} tool call for ${fields.callSid}: ${error.message}`);
+  }
+};
+
+/**
+ * Run a tool for the agent on a call
+ * @param {string} tool - One of AGENT_TOOLS
+ * @param {Object} params - Request body: call_sid, conversation_id and the tool's parameters
+ * @param {Date} [now] - Reference time
+ * @returns {Promise<Object>} Data for the agent
+ * @throws {InvalidAgentToolRequestError|AgentToolNotAllowedError|InvalidCallbackError}
+ */
+const invokeTool = async (tool, params = {}, now = new Date()) => {
+  const startedAt = Date.now();
+  const record = {
+    tool,
+    conversationId: params.conversation_id || params.conversationId || null,
+    callSid: params.call_sid || params.callSid || null,
+    request: params
+  };
+
+  try {
+    const context = await resolveContext(params);
+    Object.assign(record, {
+      workspaceId: context.workspaceId,
+      callLogId: context.callLog.id,
+      agentId: context.agentId
+    });
+
+    const allowed = context.agentConfig && (context.agentConfig.allowedTools || []).includes(tool);
+    if (!allowed) {
+      throw new AgentToolNotAllowedError(tool, context.agentId);
+    }
+
+    const data = await HANDLERS[tool](context, params, now);
+    await recordToolCall({ ...record, status: 'succeeded', response: data, durationMs: Date.now() - startedAt });
+    logger.info(`Agent ${context.agentId} ran ${tool} on call ${record.callSid}`);
+    return data;
+  } catch (error) {
+    const status = error instanceof AgentToolNotAllowedError ? 'denied' : 'failed';
+    await recordToolCall({ ...record, status, error: error.message, durationMs: Date.now() - startedAt });
+    throw error;
+  }
+};
+
+/**
+ * Tool calls made in a conversation, oldest first
+ * Conversations are matched on their ElevenLabs conversation ID or the call they were on.
+ * @param {Object} conversation - Conversation record
+ * @returns {Promise<Array>} AgentToolCall records
+ */
+const listToolCalls = (conversation) => db.AgentToolCall.findAll({
+  where: scopeWhere({
+    [Op.or]: [
+      { conversationId: conversation.call_id },
+      { callSid: conversation.call_id }
+    ]
+  }, conversation.workspace_id),
+  order: [['createdAt', 'ASC']]
+});
+
+module.exports = {
+  AGENT_TOOLS,
+  InvalidAgentToolRequestError,
+  AgentToolNotAllowedError,
+  validateAllowedTools,
+  invokeTool,
+  listToolCalls
+};
@@ -185,9 +185,10 @@ const handleAmdResult = async (callSid, answeredBy, humanCallback, machineCallba
  * Update call with AMD parameters
  * @param {string} callSid - Call SID
  * @param {Object} amdOptions - AMD configuration options
+ * @param {string} [workspaceId] - Workspace that owns the call
  * @returns {Object} Call update result
  */
-const enableAmdForCall = async (callSid, amdOptions = {}) => {
+const enableAmdForCall = async (callSid, amdOptions = {}, workspaceId) => {
   try {
     const amdConfig = getAmdConfig(amdOptions);
     
@@ -200,7 +201,8 @@ const enableAmdForCall = async (callSid, amdOptions = {}) => {
         machineDetectionSpeechThreshold: amdConfig.machineDetectionSpeechThreshold,
         machineDetectionSpeechEndThreshold: amdConfig.machineDetectionSpeechEndThreshold,
         machineDetectionSilenceTimeout: amdConfig.machineDetectionSilenceTimeout
-      }
+      },
+      workspaceId
     );
     
     logger.info(`Enabled AMD for call ${callSid}`);
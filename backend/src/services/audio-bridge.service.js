@@ -6,12 +6,17 @@
 const WebSocket = require('ws');
 const logger = require('../utils/logger');
 const config = require('../config');
+const db = require('../models');
 const elevenlabsService = require('./elevenlabs.service');
+const callEventsService = require('./call-events.service');
 const wav = require('wav');
 const pcmUtil = require('pcm-util');
 const { Readable } = require('stream');
 const { performance } = require('perf_hooks');
 const { ULawDecoder, ALawDecoder, decodeULaw, decodeALaw } = require('../utils/audio-codecs');
+const { VoiceActivityDetector, SENSITIVITY_PRESETS } = require('../utils/voice-activity-detector');
+const agentConfigService = require('./agent-config.service');
+const callListenService = require('./call-listen.service');
 const { 
   AudioBridgeError, 
   AudioFormatError, 
@@ -42,6 +47,16 @@ const ERROR_THRESHOLD_CRITICAL = 0.20; // 20% error rate triggers critical
 const PERFORMANCE_THRESHOLD_WARNING = 2000; // 2 second average processing time triggers warning
 const PERFORMANCE_THRESHOLD_CRITICAL = 5000; // 5 second average processing time triggers critical
 
+// Barge-in: bytes of reply audio per millisecond of playback, by ElevenLabs output format
+const PLAYBACK_BYTES_PER_MS = {
+  pcm_mulaw: 8,
+  pcm_alaw: 8,
+  pcm_16000: 32,
+  mp3_44100: 16
+};
+// Speaking rate used to place the cut in a reply whose audio has not all arrived
+const MS_PER_CHARACTER = 65;
+
 // Track service-wide metrics for health monitoring
 let serviceHealthMetrics = {
   activeCallsCount: 0,
@@ -52,9 +67,54 @@ let serviceHealthMetrics = {
   failedTranscriptions: 0,
   avgResponseTimeMs: 0,
   lastHealthCheck: null,
-  status: 'initializing'
+  status: 'initializing',
+  // Per speech-to-text mode: time from the end of the caller's turn (or its async submission)
+  // to the final transcript and to the first audio of the reply
+  turnLatency: {
+    streaming: { turns: 0, avgTranscriptMs: 0, avgResponseMs: 0, lastResponseMs: null },
+    async: { turns: 0, avgTranscriptMs: 0, avgResponseMs: 0, lastResponseMs: null }
+  },
+  // Utterances the streaming path handed to the async webhook path
+  sttFallbacks: 0,
+  // Replies cut off because the caller talked over the agent
+  bargeIns: 0
 };
 
+/**
+ * Add a finished turn to the service-wide latency averages
+ * @param {string} mode - 'streaming' or 'async'
+ * @param {number|null} transcriptMs - Turn end to final transcript
+ * @param {number} responseMs - Turn end to first reply audio
+ */
+const recordTurnLatency = (mode, transcriptMs, responseMs) => {
+  const stats = serviceHealthMetrics.turnLatency[mode];
+  if (!stats) {
+    return;
+  }
+  
+  stats.turns++;
+  if (transcriptMs !== null) {
+    stats.avgTranscriptMs += (transcriptMs - stats.avgTranscriptMs) / stats.turns;
+  }
+  stats.avgResponseMs += (responseMs - stats.avgResponseMs) / stats.turns;
+  stats.lastResponseMs = Math.round(responseMs);
+};
+
+/**
+ * Turn latency averages rounded for reporting
+ * @returns {Object}
+ */
+const summarizeTurnLatency = () => Object.entries(serviceHealthMetrics.turnLatency)
+  .reduce((summary, [mode, stats]) => {
+    summary[mode] = {
+      turns: stats.turns,
+      avgTranscriptMs: Math.round(stats.avgTranscriptMs),
+      avgResponseMs: Math.round(stats.avgResponseMs),
+      lastResponseMs: stats.lastResponseMs
+    };
+    return summary;
+  }, {});
+
 // Store active audio bridge sessions
 const activeBridges = new Map();
 
@@ -76,6 +136,30 @@ class AudioBridgeSession {
     this.lastTranscriptionTime = 0;
     this.transcriptionQueue = [];
     this.mediaFormat = null;
+    // Prompt and first message resolved for the contact when the call was placed
+    this.dynamicVariables = {};
+    this.agentPrompt = null;
+    this.firstMessage = null;
+    // Speech-to-text path: 'streaming' (realtime socket with endpointing) or 'async' (webhook)
+    this.sttMode = 'async';
+    this.sttStream = null;
+    this.vad = null;
+    this.utteranceChunks = [];
+    this.pendingUtterance = null;
+    this.finalTranscriptTimer = null;
+    this.partialTranscript = '';
+    // Turn being answered: when the caller's turn ended and how long its transcript took
+    this.turnStartedAt = null;
+    this.turnTranscriptMs = null;
+    this.turnSource = null;
+    this.turnLatencies = [];
+    // Barge-in: the reply being played and the detector listening for the caller talking over it
+    this.streamSid = null;
+    this.bargeIn = { enabled: true, sensitivity: 'medium' };
+    this.bargeInVad = null;
+    this.playback = null;
+    this.responseGeneration = 0;
+    this.bargeIns = 0;
   }
 
   /**
@@ -94,14 +178,30 @@ class AudioBridgeSession {
       if (metadata && metadata.voiceAgentId) {
         this.voiceAgentId = metadata.voiceAgentId;
       }
+      if (metadata && metadata.streamSid) {
+        this.streamSid = metadata.streamSid;
+      }
       
       // Log session initialization
       logger.info(`Audio bridge session initialized for call ${this.callSid}`);
       logger.debug(`Media format: ${JSON.stringify(this.mediaFormat)}`);
       
+      await this.loadAgentVariables();
+      this.initializeBargeIn();
+      
       // Initialize connections to ElevenLabs services
       await this.initializeElevenLabsConnections();
       
+      // Open with the agent's first message, already filled in for the contact
+      if (this.firstMessage) {
+        const contextEntry = {
+          role: 'assistant',
+          content: this.firstMessage
+        };
+        this.conversationContext.push(contextEntry);
+        await this.streamResponseToCall(this.firstMessage, contextEntry);
+      }
+      
       return true;
     } catch (error) {
       logger.error(`Error initializing audio bridge: ${error.message}`);
@@ -109,6 +209,149 @@ class AudioBridgeSession {
     }
   }
 
+  /**
+   * Load the prompt variables resolved for the contact when the call was placed,
+   * and the barge-in settings of the agent version the call runs
+   */
+  async loadAgentVariables() {
+    try {
+      const callLog = await db.CallLog.findOne({
+        where: { callSid: this.callSid },
+        attributes: ['callData', 'agentVersion']
+      });
+      const agentVariables = callLog && callLog.callData && callLog.callData.agentVariables;
+      
+      if (agentVariables) {
+        this.dynamicVariables = agentVariables.dynamicVariables || {};
+        this.agentPrompt = agentVariables.prompt || null;
+        this.firstMessage = agentVariables.firstMessage || null;
+      }
+      
+      const agentConfig = await agentConfigService.getConfigForCall(this.voiceAgentId, callLog && callLog.agentVersion);
+      const settings = (agentConfig && agentConfig.settings) || {};
+      this.bargeIn = {
+        enabled: settings.interruptible !== false,
+        sensitivity: SENSITIVITY_PRESETS[settings.bargeInSensitivity] ? settings.bargeInSensitivity : 'medium'
+      };
+    } catch (error) {
+      logger.error(`Error loading prompt variables for call ${this.callSid}: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Start listening for the caller talking over the agent
+   * Detection needs decoded PCM, so calls without a known media format cannot barge in.
+   */
+  initializeBargeIn() {
+    if (!this.bargeIn.enabled || !this.mediaFormat) {
+      return;
+    }
+    
+    this.bargeInVad = new VoiceActivityDetector({
+      sampleRate: this.getTargetFormat().sampleRate,
+      ...SENSITIVITY_PRESETS[this.bargeIn.sensitivity]
+    });
+    logger.debug(`Barge-in enabled for call ${this.callSid} (${this.bargeIn.sensitivity} sensitivity)`);
+  }
+  
+  /**
+   * Whether reply audio is still playing to the caller
+   * SignalWire plays audio in real time from when the first chunk arrives, so playback ends
+   * once the audio sent so far has had time to play out.
+   * @returns {boolean}
+   */
+  isAgentSpeaking() {
+    const playback = this.playback;
+    if (!playback) {
+      return false;
+    }
+    if (!playback.done) {
+      return true;
+    }
+    return !!playback.firstChunkAt &&
+      Date.now() < playback.firstChunkAt + playback.bytesSent / playback.bytesPerMs;
+  }
+  
+  /**
+   * Feed caller audio to the barge-in detector and cut the reply off when the caller starts talking over it
+   * @param {Buffer} pcm - 16-bit PCM at the target sample rate
+   */
+  detectBargeIn(pcm) {
+    if (!this.bargeInVad) {
+      return;
+    }
+    
+    const speechStarted = this.bargeInVad.process(pcm).some(event => event.type === 'speech_start');
+    if (speechStarted && this.isAgentSpeaking()) {
+      this.interruptResponse();
+    }
+  }
+  
+  /**
+   * The part of a reply the caller heard before it was cut off, ending on a whole word
+   * @param {Object} playback - Reply being played
+   * @returns {string}
+   */
+  spokenText(playback) {
+    const sentMs = playback.bytesSent / playback.bytesPerMs;
+    const heardMs = playback.firstChunkAt ? Math.min(Date.now() - playback.firstChunkAt, sentMs) : 0;
+    // Until all the audio has arrived, the length of the reply is estimated from its text
+    const totalMs = playback.done ? sentMs : Math.max(sentMs, playback.text.length * MS_PER_CHARACTER);
+    if (!totalMs || heardMs >= totalMs) {
+      return totalMs ? playback.text : '';
+    }
+    
+    const cut = Math.floor(playback.text.length * heardMs / totalMs);
+    const wordEnd = playback.text.lastIndexOf(' ', cut);
+    return wordEnd > 0 ? playback.text.slice(0, wordEnd).trim() : '';
+  }
+  
+  /**
+   * Stop the reply being played because the caller started talking over it
+   * Audio SignalWire has buffered is cleared, the TTS socket is closed, the assistant turn is
+   * trimmed to what the caller heard, and replies still being generated are dropped.
+   * The caller's new utterance then goes through speech-to-text as usual.
+   */
+  interruptResponse() {
+    const playback = this.playback;
+    this.playback = null;
+    this.responseGeneration++;
+    this.bargeIns++;
+    serviceHealthMetrics.bargeIns++;
+    
+    // Drop the reply audio SignalWire has not played yet
+    if (this.signalwireSocket && this.signalwireSocket.readyState === WebSocket.OPEN) {
+      this.signalwireSocket.send(JSON.stringify({
+        event: 'clear',
+        streamSid: this.streamSid
+      }));
+    }
+    callListenService.clearOutbound(this.callSid);
+    
+    // Stop generating the rest of the reply
+    const ttsSocket = playback.socket;
+    if (ttsSocket && ttsSocket.readyState === WebSocket.OPEN) {
+      ttsSocket.close();
+    } else if (ttsSocket && ttsSocket.readyState === WebSocket.CONNECTING) {
+      ttsSocket.once('open', () => ttsSocket.close());
+    }
+    if (this.elevenlabsTtsSocket === ttsSocket) {
+      this.elevenlabsTtsSocket = null;
+    }
+    
+    // The conversation continues from what the caller actually heard
+    const spoken = this.spokenText(playback);
+    if (playback.contextEntry) {
+      if (spoken) {
+        playback.contextEntry.content = spoken;
+      } else {
+        this.conversationContext = this.conversationContext.filter(entry => entry !== playback.contextEntry);
+      }
+    }
+    
+    logger.info(`Caller barged in on call ${this.callSid} after "${spoken}"`);
+  }
+
   /**
    * Initialize connections to ElevenLabs services (STT and TTS)
    */
@@ -163,6 +406,11 @@ class AudioBridgeSession {
       eventEmitter.on('stt-result', this.sttResultHandler);
       
       logger.info(`Async STT initialized for call ${this.callSid}`);
+      
+      // The webhook path above stays ready as the fallback for streaming
+      if (config.elevenLabs.stt.mode === 'streaming') {
+        await this.initializeStreamingSpeechToText();
+      }
       return true;
     } catch (error) {
       logger.error(`Error initializing async STT: ${error.message}`);
@@ -170,6 +418,196 @@ class AudioBridgeSession {
     }
   }
   
+  /**
+   * Open the realtime STT socket and the endpointer that commits each utterance
+   * When it cannot open, the call stays on the async webhook path.
+   * @returns {Promise<boolean>} Whether streaming is in use
+   */
+  async initializeStreamingSpeechToText() {
+    try {
+      // The endpointer needs decoded PCM, which takes a known media format
+      if (!this.mediaFormat) {
+        throw new Error('no media format to decode caller audio');
+      }
+      
+      const { sampleRate } = this.getTargetFormat();
+      this.vad = new VoiceActivityDetector({
+        sampleRate,
+        endSilenceMs: config.elevenLabs.stt.endSilenceMs
+      });
+      this.sttStream = await elevenlabsService.openSpeechToTextStream({
+        onPartial: (text) => this.handlePartialTranscript(text),
+        onFinal: (text) => this.handleStreamingTranscript(text),
+        onError: (error) => this.fallBackToAsyncStt(error.message),
+        onClose: () => this.fallBackToAsyncStt('socket closed')
+      }, { sampleRate });
+      
+      this.sttMode = 'streaming';
+      logger.info(`Streaming STT initialized for call ${this.callSid}`);
+      return true;
+    } catch (error) {
+      logger.warn(`Streaming STT unavailable for call ${this.callSid}, using async STT: ${error.message}`);
+      this.sttStream = null;
+      this.sttMode = 'async';
+      return false;
+    }
+  }
+  
+  /**
+   * Send caller audio to the realtime socket and commit each utterance when the endpointer hears it end
+   * @param {Buffer} pcm - 16-bit PCM at the target sample rate
+   */
+  processStreamingAudio(pcm) {
+    this.sttStream.sendAudio(pcm);
+    
+    const wasInSpeech = this.vad.inSpeech;
+    const events = this.vad.process(pcm);
+    
+    // Keep the utterance's audio in case the webhook path has to transcribe it
+    if (wasInSpeech || this.vad.inSpeech || events.length > 0) {
+      this.utteranceChunks.push(pcm);
+    }
+    
+    events.forEach((event) => {
+      if (event.type === 'speech_end') {
+        this.endUtterance(event);
+      }
+    });
+  }
+  
+  /**
+   * Commit an utterance and start timing the turn
+   * @param {Object} event - speech_end event from the endpointer
+   */
+  endUtterance(event) {
+    this.sttStream.commit();
+    this.turnStartedAt = performance.now();
+    this.turnTranscriptMs = null;
+    
+    const audio = Buffer.concat(this.utteranceChunks);
+    this.pendingUtterance = this.pendingUtterance ? Buffer.concat([this.pendingUtterance, audio]) : audio;
+    this.utteranceChunks = [];
+    
+    logger.debug(`End of utterance on call ${this.callSid} after ${event.durationMs}ms (${event.reason})`);
+    
+    // No final transcript in time: the webhook path transcribes the utterance instead
+    clearTimeout(this.finalTranscriptTimer);
+    this.finalTranscriptTimer = setTimeout(() => {
+      this.finalTranscriptTimer = null;
+      logger.warn(`No streaming transcript for call ${this.callSid} within ${config.elevenLabs.stt.finalTimeoutMs}ms, submitting the utterance to async STT`);
+      this.submitUtteranceToWebhook();
+    }, config.elevenLabs.stt.finalTimeoutMs);
+  }
+  
+  /**
+   * Hand the utterance awaiting a transcript (or the one in progress) to the async webhook path
+   * @returns {Promise<boolean>} Whether audio was submitted
+   */
+  async submitUtteranceToWebhook() {
+    clearTimeout(this.finalTranscriptTimer);
+    this.finalTranscriptTimer = null;
+    
+    const audio = this.pendingUtterance ||
+      (this.utteranceChunks.length > 0 ? Buffer.concat(this.utteranceChunks) : null);
+    this.pendingUtterance = null;
+    this.utteranceChunks = [];
+    
+    if (!audio || audio.length === 0) {
+      return false;
+    }
+    
+    serviceHealthMetrics.sttFallbacks++;
+    this.turnStartedAt = this.turnStartedAt || performance.now();
+    const result = await this.submitAudioForTranscription(audio, { converted: true });
+    return !!result;
+  }
+  
+  /**
+   * Switch the call to the async webhook path after the realtime socket fails
+   * @param {string} reason - Why streaming stopped
+   */
+  fallBackToAsyncStt(reason) {
+    if (!this.isActive || this.sttMode !== 'streaming') {
+      return;
+    }
+    
+    logger.warn(`Streaming STT stopped for call ${this.callSid} (${reason}), falling back to async STT`);
+    this.sttMode = 'async';
+    
+    const stream = this.sttStream;
+    this.sttStream = null;
+    if (stream) {
+      stream.close();
+    }
+    
+    this.submitUtteranceToWebhook();
+  }
+  
+  /**
+   * Publish a partial transcript as soon as the realtime socket sends it
+   * @param {string} text - Transcript so far
+   */
+  handlePartialTranscript(text) {
+    this.partialTranscript = text;
+    callEventsService.processTranscriptUpdate(this.callSid, {
+      role: 'user',
+      text,
+      final: false,
+      source: 'streaming'
+    });
+  }
+  
+  /**
+   * Answer the final transcript of a committed utterance
+   * @param {string} text - Final transcript
+   */
+  async handleStreamingTranscript(text) {
+    clearTimeout(this.finalTranscriptTimer);
+    this.finalTranscriptTimer = null;
+    this.pendingUtterance = null;
+    this.partialTranscript = '';
+    
+    if (this.turnStartedAt) {
+      this.turnTranscriptMs = performance.now() - this.turnStartedAt;
+      this.turnSource = 'streaming';
+    }
+    
+    const transcript = text.trim();
+    if (!transcript) {
+      return;
+    }
+    
+    callEventsService.processTranscriptUpdate(this.callSid, {
+      role: 'user',
+      text: transcript,
+      final: true,
+      source: 'streaming'
+    });
+    await this.handleTranscription({ transcription: transcript, finalized: true });
+  }
+  
+  /**
+   * Record how long the turn took, once the first audio of the reply goes out
+   */
+  recordTurnLatency() {
+    const responseMs = performance.now() - this.turnStartedAt;
+    const mode = this.turnSource || this.sttMode;
+    recordTurnLatency(mode, this.turnTranscriptMs, responseMs);
+    
+    this.turnLatencies.push({
+      mode,
+      transcriptMs: this.turnTranscriptMs !== null ? Math.round(this.turnTranscriptMs) : null,
+      responseMs: Math.round(responseMs)
+    });
+    if (this.turnLatencies.length > 20) {
+      this.turnLatencies.shift();
+    }
+    
+    this.turnStartedAt = null;
+    this.turnTranscriptMs = null;
+    this.turnSource = null;
+  }
+
   /**
    * Handle STT result from webhook
    * @param {Object} result - STT result from webhook
@@ -185,19 +623,16 @@ class AudioBridgeSession {
       
       logger.info(`Processing STT result for call ${this.callSid}: ${text.substring(0, 50)}${text.length > 50 ? '...' : ''}`);
       
-      // Process transcription result
-      const transcriptionResult = {
-        text,
-        language: language || 'en',
-        final: true
-      };
+      if (this.turnStartedAt) {
+        this.turnTranscriptMs = performance.now() - this.turnStartedAt;
+        this.turnSource = 'async';
+      }
       
       // Handle the transcription like we would from WebSocket
       this.handleTranscription({
-        type: 'transcript',
-        text,
+        transcription: text,
         language: language || 'en',
-        is_final: true
+        finalized: true
       });
     } catch (error) {
       logger.error(`Error handling STT result: ${error.message}`);
@@ -205,7 +640,7 @@ class AudioBridgeSession {
   }
 
   /**
-   * Process incoming audio from SignalWire and collect for async STT
+   * Process incoming audio from SignalWire: stream it to realtime STT, or collect it for async STT
    * @param {Object} mediaChunk - Media chunk from SignalWire
    */
   async processSignalWireAudio(mediaChunk) {
@@ -245,8 +680,15 @@ class AudioBridgeSession {
         // Use non-blocking processing when possible
         const processedAudio = this.processAudioForElevenLabs(audioBuffer);
         
-        // Add to collection for async submission
-        if (processedAudio?.length > 0) { // Use optional chaining for performance
+        // The caller talking over a reply cuts it off
+        if (processedAudio?.length > 0) {
+          this.detectBargeIn(processedAudio);
+        }
+        
+        // Streaming: the endpointer decides when the utterance goes to STT
+        if (processedAudio?.length > 0 && this.sttMode === 'streaming') {
+          this.processStreamingAudio(processedAudio);
+        } else if (processedAudio?.length > 0) { // Add to collection for async submission
           // Use fixed-size circular buffer to prevent memory growth
           if (!this.maxBufferSize) {
             this.maxBufferSize = 500; // Max number of chunks to store (about 10s of audio)
@@ -368,6 +810,10 @@ class AudioBridgeSession {
         this.totalAudioBytes = 0;
         this.lastSttSubmission = now;
         
+        // The reply to this audio is timed from its submission
+        this.turnStartedAt = performance.now();
+        this.turnTranscriptMs = null;
+        
         logger.info(`Submitting ${chunksCount} audio chunks (${sizeToSubmit} bytes) for async STT - call ${this.callSid}`);
         
         try {
@@ -466,9 +912,10 @@ class AudioBridgeSession {
   /**
    * Submit audio for async transcription
    * @param {Buffer} audioBuffer - Audio buffer to transcribe
+   * @param {Object} [options] - { converted: true when the audio is already 16 kHz PCM }
    * @returns {Promise<Object|null>} Response from ElevenLabs or null on error
    */
-  async submitAudioForTranscription(audioBuffer) {
+  async submitAudioForTranscription(audioBuffer, options = {}) {
     // Performance monitoring
     const startTime = performance.now();
     const submissionId = Date.now().toString(36) + Math.random().toString(36).substring(2, 7);
@@ -529,8 +976,10 @@ class AudioBridgeSession {
       const targetFormat = this.getTargetFormat();
       
       // Convert audio to proper format for ElevenLabs
-      logger.debug(`Converting audio from ${sourceFormat.codec || 'unknown'} to WAV for STT submission`);
-      processedAudio = await this.convertAudioFormat(audioBuffer, sourceFormat, targetFormat);
+      if (!options.converted) {
+        logger.debug(`Converting audio from ${sourceFormat.codec || 'unknown'} to WAV for STT submission`);
+        processedAudio = await this.convertAudioFormat(audioBuffer, sourceFormat, targetFormat);
+      }
       
       // Use the async STT method from ElevenLabs service with timeout
       try {
@@ -1178,20 +1627,29 @@ class AudioBridgeSession {
       }
       
       this.transcriptionInProgress = true;
+      const generation = this.responseGeneration;
       
       // Generate response using ElevenLabs conversational API
       const response = await elevenlabsService.generateConversationalResponse(
         userInput, 
         this.voiceAgentId,
-        this.conversationContext
+        this.conversationContext,
+        {
+          systemPrompt: this.agentPrompt,
+          dynamicVariables: this.dynamicVariables
+        }
       );
       
-      // Add AI response to conversation context
-      if (response && response.text) {
-        this.conversationContext.push({
+      // A barge-in while generating makes the reply stale; the caller's new utterance is answered instead
+      if (generation !== this.responseGeneration) {
+        logger.info(`Dropping reply interrupted by the caller on call ${this.callSid}`);
+      } else if (response && response.text) {
+        // Add AI response to conversation context
+        const contextEntry = {
           role: 'assistant',
           content: response.text
-        });
+        };
+        this.conversationContext.push(contextEntry);
         
         // Trim conversation context if it gets too long
         if (this.conversationContext.length > 20) {
@@ -1199,7 +1657,7 @@ class AudioBridgeSession {
         }
         
         // Stream the response back to the call
-        await this.streamResponseToCall(response.text);
+        await this.streamResponseToCall(response.text, contextEntry);
       }
       
       this.transcriptionInProgress = false;
@@ -1218,14 +1676,32 @@ class AudioBridgeSession {
   /**
    * Stream AI response back to the call
    * @param {string} responseText - Text to convert to speech
+   * @param {Object} [contextEntry] - Assistant turn in conversationContext, trimmed if the caller barges in
    */
-  async streamResponseToCall(responseText) {
+  async streamResponseToCall(responseText, contextEntry = null) {
+    const outputFormat = this.getElevenLabsCompatibleFormat(this.mediaFormat);
+    const playback = {
+      text: responseText,
+      contextEntry,
+      socket: null,
+      bytesPerMs: PLAYBACK_BYTES_PER_MS[outputFormat] || PLAYBACK_BYTES_PER_MS.mp3_44100,
+      bytesSent: 0,
+      firstChunkAt: null,
+      done: false
+    };
+    this.playback = playback;
+    
     try {
       // Use ElevenLabs to generate streaming audio
       const ws = await elevenlabsService.streamSpeechRealTime(
         responseText,
         this.voiceAgentId,
         (audioChunk) => {
+          // Audio still arriving for a reply the caller cut off is dropped
+          if (this.playback !== playback) {
+            return;
+          }
+          
           // Send audio chunk to SignalWire if connection is open
           if (this.signalwireSocket && 
               this.signalwireSocket.readyState === WebSocket.OPEN) {
@@ -1241,18 +1717,37 @@ class AudioBridgeSession {
             };
             
             this.signalwireSocket.send(JSON.stringify(signalwireAudioMessage));
+            callListenService.publishAudio(this.callSid, 'outbound', audioChunk, outputFormat);
+            playback.firstChunkAt = playback.firstChunkAt || Date.now();
+            playback.bytesSent += audioChunk.length;
+            
+            // First audio of a reply closes the turn
+            if (this.turnStartedAt) {
+              this.recordTurnLatency();
+            }
           }
         },
         () => {
+          playback.done = true;
           logger.info(`Finished streaming response for call ${this.callSid}`);
         },
-        { output_format: this.getElevenLabsCompatibleFormat(this.mediaFormat) }
+        { output_format: outputFormat }
       );
       
-      // Store the TTS socket for cleanup
-      this.elevenlabsTtsSocket = ws;
+      // Store the TTS socket for cleanup and barge-in
+      playback.socket = ws;
+      if (this.playback === playback) {
+        this.elevenlabsTtsSocket = ws;
+      } else if (ws.readyState === WebSocket.OPEN) {
+        ws.close();
+      } else {
+        ws.once('open', () => ws.close());
+      }
     } catch (error) {
       logger.error(`Error streaming response to call: ${error.message}`);
+      if (this.playback === playback) {
+        this.playback = null;
+      }
     }
   }
 
@@ -1289,6 +1784,19 @@ class AudioBridgeSession {
       logger.info(`Closing audio bridge for call ${this.callSid}`);
       this.isActive = false;
       
+      // Stop streaming STT and the webhook fallback
+      clearTimeout(this.finalTranscriptTimer);
+      this.finalTranscriptTimer = null;
+      if (this.sttStream) {
+        this.sttStream.close();
+        this.sttStream = null;
+      }
+      if (this.sttResultHandler) {
+        const eventEmitter = require('../utils/event-emitter');
+        eventEmitter.removeListener('stt-result', this.sttResultHandler);
+        this.sttResultHandler = null;
+      }
+      
       // Close ElevenLabs STT connection if open
       if (this.elevenlabsSttSocket && 
           this.elevenlabsSttSocket.readyState === WebSocket.OPEN) {
@@ -1381,6 +1889,7 @@ const getHealthStatus = async () => {
       successRate: serviceHealthMetrics.totalTranscriptionRequests > 0 ?
         (serviceHealthMetrics.successfulTranscriptions / serviceHealthMetrics.totalTranscriptionRequests) : 1,
       avgResponseTimeMs: Math.round(serviceHealthMetrics.avgResponseTimeMs),
+      turnLatency: summarizeTurnLatency(),
       timestamp: new Date().toISOString()
     };
   } catch (error) {
@@ -1414,6 +1923,9 @@ const getDetailedHealthStatus = async () => {
         transcriptionRequests: bridge.pendingSttRequests?.length || 0,
         avgProcessingTime: bridge.sttSubmissionTimes?.length > 0 ? 
           bridge.sttSubmissionTimes.reduce((a, b) => a + b, 0) / bridge.sttSubmissionTimes.length : 0,
+        sttMode: bridge.sttMode,
+        recentTurns: bridge.turnLatencies,
+        bargeIns: bridge.bargeIns,
         errors: bridge.sttErrors || { count: 0 }
       });
     });
@@ -1431,7 +1943,10 @@ const getDetailedHealthStatus = async () => {
           failedTranscriptions: serviceHealthMetrics.failedTranscriptions,
           successRate: serviceHealthMetrics.totalTranscriptionRequests > 0 ?
             (serviceHealthMetrics.successfulTranscriptions / serviceHealthMetrics.totalTranscriptionRequests) : 1,
-          avgResponseTimeMs: Math.round(serviceHealthMetrics.avgResponseTimeMs)
+          avgResponseTimeMs: Math.round(serviceHealthMetrics.avgResponseTimeMs),
+          turnLatency: summarizeTurnLatency(),
+          sttFallbacks: serviceHealthMetrics.sttFallbacks,
+          bargeIns: serviceHealthMetrics.bargeIns
         },
         activeCalls: callMetrics,
         errorDistribution: _collectErrorDistribution()
@@ -0,0 +1,101 @@
+/**
+ * Auth Service
+ * Handles JWT issuing/verification and password reset tokens
+ */
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const config = require('../config');
+
+const ACCESS_TOKEN_TYPE = 'access';
+const REFRESH_TOKEN_TYPE = 'refresh';
+
+/**
+ * Sign a token of the given type for a user
+ */
+const signToken = (user, type, expiresIn) => {
+  const payload = {
+    sub: user.id,
+    email: user.email,
+    role: user.role,
+    type,
+    ver: user.tokenVersion || 0
+  };
+
+  return jwt.sign(payload, config.security.jwtSecret, { expiresIn });
+};
+
+/**
+ * Issue an access/refresh token pair for a user
+ * @param {Object} user - User model instance
+ * @returns {Object} Tokens and access token expiry
+ */
+const issueTokens = (user) => {
+  const token = signToken(user, ACCESS_TOKEN_TYPE, config.security.jwtExpiresIn);
+  const refreshToken = signToken(user, REFRESH_TOKEN_TYPE, config.security.refreshTokenExpiresIn);
+  const { exp } = jwt.decode(token);
+
+  return {
+    token,
+    refreshToken,
+    expiresAt: new Date(exp * 1000).toISOString()
+  };
+};
+
+/**
+ * Verify a token and make sure it is of the expected type
+ * Throws the underlying jsonwebtoken error (TokenExpiredError, JsonWebTokenError)
+ */
+const verifyToken = (token, expectedType) => {
+  const payload = jwt.verify(token, config.security.jwtSecret);
+
+  if (payload.type !== expectedType) {
+    throw new jwt.JsonWebTokenError(`Expected ${expectedType} token`);
+  }
+
+  return payload;
+};
+
+const verifyAccessToken = (token) => verifyToken(token, ACCESS_TOKEN_TYPE);
+
+const verifyRefreshToken = (token) => verifyToken(token, REFRESH_TOKEN_TYPE);
+
+/**
+ * Check that a verified token payload still matches the stored user
+ * (account is active and the token has not been revoked)
+ */
+const isTokenCurrent = (payload, user) => {
+  return !!user &&
+    user.status === 'active' &&
+    (user.tokenVersion || 0) === (payload.ver || 0);
+};
+
+/**
+ * Hash a password reset token for storage
+ * Only the hash is persisted so a database leak does not expose usable tokens
+ */
+const hashResetToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+/**
+ * Generate a password reset token
+ * @returns {Object} Raw token (sent to the user), its hash and expiry
+ */
+const createPasswordResetToken = () => {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  return {
+    token,
+    tokenHash: hashResetToken(token),
+    expiresAt: new Date(Date.now() + config.security.passwordResetExpiresMs)
+  };
+};
+
+module.exports = {
+  issueTokens,
+  verifyAccessToken,
+  verifyRefreshToken,
+  isTokenCurrent,
+  hashResetToken,
+  createPasswordResetToken
+};
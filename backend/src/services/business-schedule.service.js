@@ -0,0 +1,351 @@
+/**
+ * Business Schedule Service
+ * Named weekly hours with holiday exceptions. Decides whether a schedule is open at a given instant,
+ * and which dates a campaign's calendar closes for outbound dialing.
+ * Also validates the after-hours behaviors that routes and call flows attach to a schedule.
+ */
+
+const db = require('../models');
+const logger = require('../utils/logger');
+const { isValidTimezone, getLocalMinutes, getLocalDay, getLocalDate } = require('../utils/timezone');
+const { scopeWhere, findScopedByPk } = require('../utils/workspace-scope');
+
+// What a caller gets outside a schedule's hours
+const AFTER_HOURS_ACTIONS = ['voicemail', 'message', 'agent', 'forward'];
+
+// 'HH:MM'; 24:00 ends a range at midnight
+const TIME_PATTERN = /^(([01]\d|2[0-3]):[0-5]\d|24:00)$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_HOLIDAYS = 366;
+
+/**
+ * Thrown when schedule fields fail validation
+ */
+class InvalidScheduleError extends Error {
+  constructor(errors) {
+    super(`Invalid schedule: ${errors.join('; ')}`);
+    this.name = 'InvalidScheduleError';
+    this.code = 'INVALID_SCHEDULE';
+    this.errors = errors;
+  }
+}
+
+/**
+ * Minutes since midnight of an 'HH:MM' time
+ */
+const toMinutes = (value) => {
+  const [hours, minutes] = value.split(':');
+  return parseInt(hours, 10) * 60 + parseInt(minutes, 10);
+};
+
+/**
+ * Check a list of open ranges
+ * @param {Array} ranges - [{ start, end }]
+ * @param {string} field - Field name used in messages
+ * @returns {Array<string>} Problems found
+ */
+const validateRanges = (ranges, field) => {
+  if (!Array.isArray(ranges)) {
+    return [`${field} must be a list of { start, end } ranges`];
+  }
+
+  const errors = [];
+  ranges.forEach((range, index) => {
+    if (!range || !TIME_PATTERN.test(range.start || '') || !TIME_PATTERN.test(range.end || '')) {
+      errors.push(`${field}[${index}] start and end must be HH:MM`);
+    } else if (toMinutes(range.start) >= toMinutes(range.end)) {
+      errors.push(`${field}[${index}] must end after it starts; split overnight hours at 24:00`);
+    }
+  });
+  return errors;
+};
+
+/**
+ * Check a schedule's fields
+ * @param {Object} data - { name, timezone, weeklyHours, holidays }
+ * @param {boolean} [partial] - Only check the fields present (updates)
+ * @returns {Array<string>} Problems found
+ */
+const validateSchedule = (data, partial = false) => {
+  const errors = [];
+
+  if ((!partial || data.name !== undefined) && !String(data.name || '').trim()) {
+    errors.push('name is required');
+  }
+
+  if ((!partial || data.timezone !== undefined) && !isValidTimezone(data.timezone)) {
+    errors.push(`timezone is not a valid timezone: ${data.timezone}`);
+  }
+
+  if (data.weeklyHours !== undefined) {
+    if (!data.weeklyHours || typeof data.weeklyHours !== 'object' || Array.isArray(data.weeklyHours)) {
+      errors.push('weeklyHours must map weekdays 0-6 to open ranges');
+    } else {
+      Object.entries(data.weeklyHours).forEach(([day, ranges]) => {
+        if (!/^[0-6]$/.test(day)) {
+          errors.push(`weeklyHours has unknown weekday ${day}; use 0 (Sunday) to 6 (Saturday)`);
+        } else {
+          errors.push(...validateRanges(ranges, `weeklyHours.${day}`));
+        }
+      });
+    }
+  }
+
+  if (data.holidays !== undefined) {
+    if (!Array.isArray(data.holidays) || data.holidays.length > MAX_HOLIDAYS) {
+      errors.push(`holidays must be a list of at most ${MAX_HOLIDAYS} dates`);
+    } else {
+      const seen = new Set();
+      data.holidays.forEach((holiday, index) => {
+        const date = holiday && holiday.date;
+        if (!DATE_PATTERN.test(date || '') || isNaN(Date.parse(`${date}T00:00:00Z`))) {
+          errors.push(`holidays[${index}].date must be YYYY-MM-DD`);
+          return;
+        }
+        if (seen.has(date)) {
+          errors.push(`holidays lists ${date} more than once`);
+        }
+        seen.add(date);
+        if (holiday.hours !== undefined && holiday.hours !== null) {
+          errors.push(...validateRanges(holiday.hours, `holidays[${index}].hours`));
+        }
+      });
+    }
+  }
+
+  return errors;
+};
+
+/**
+ * Stored form of the schedule fields present in a request
+ */
+const buildScheduleFields = (data) => {
+  const fields = {};
+  if (data.name !== undefined) {
+    fields.name = String(data.name).trim();
+  }
+  if (data.timezone !== undefined) {
+    fields.timezone = data.timezone;
+  }
+  if (data.weeklyHours !== undefined) {
+    fields.weeklyHours = Object.entries(data.weeklyHours).reduce((hours, [day, ranges]) => {
+      if (ranges.length > 0) {
+        hours[day] = ranges.map(({ start, end }) => ({ start, end }));
+      }
+      return hours;
+    }, {});
+  }
+  if (data.holidays !== undefined) {
+    fields.holidays = data.holidays
+      .map(({ date, name, hours }) => ({
+        date,
+        ...(name ? { name: String(name).trim() } : {}),
+        ...(hours ? { hours: hours.map(({ start, end }) => ({ start, end })) } : {})
+      }))
+      .sort((a, b) => a.date.localeCompare(b.date));
+  }
+  return fields;
+};
+
+/**
+ * Check an after-hours or fallback behavior
+ * @param {Object} behavior - { action, message, voiceAgentId, forwardTo }
+ * @param {Array<string>} actions - Allowed actions
+ * @param {string} field - Field name used in messages
+ * @returns {Array<string>} Problems found
+ */
+const validateBehavior = (behavior, actions, field) => {
+  if (!behavior || typeof behavior !== 'object' || !actions.includes(behavior.action)) {
+    return [`${field}.action must be one of ${actions.join(', ')}`];
+  }
+  if (behavior.action === 'forward' && !String(behavior.forwardTo || '').replace(/\D/g, '')) {
+    return [`${field}.forwardTo is required to forward calls`];
+  }
+  return [];
+};
+
+/**
+ * Keep only the fields a behavior uses
+ * @param {Object} behavior - Validated behavior
+ * @param {Function} normalizeNumber - Formats forwardTo as E.164
+ * @returns {Object}
+ */
+const buildBehavior = (behavior, normalizeNumber) => {
+  const result = { action: behavior.action };
+  if (behavior.message) {
+    result.message = String(behavior.message).trim();
+  }
+  if (behavior.action === 'agent' && behavior.voiceAgentId) {
+    result.voiceAgentId = String(behavior.voiceAgentId);
+  }
+  if (behavior.action === 'forward') {
+    result.forwardTo = normalizeNumber(String(behavior.forwardTo));
+  }
+  return result;
+};
+
+/**
+ * Holiday entry for a local date
+ * @param {Object} schedule - BusinessSchedule
+ * @param {string} date - 'YYYY-MM-DD'
+ * @returns {Object|undefined}
+ */
+const findHoliday = (schedule, date) => (schedule.holidays || []).find(holiday => holiday.date === date);
+
+/**
+ * Whether a schedule is open at an instant
+ * A holiday replaces the weekday's hours with its own, or closes the whole day when it has none.
+ * @param {Object} schedule - BusinessSchedule
+ * @param {Date} [now] - Reference time
+ * @returns {boolean}
+ */
+const isOpen = (schedule, now = new Date()) => {
+  if (!isValidTimezone(schedule.timezone)) {
+    logger.warn(`Schedule ${schedule.id} has invalid timezone ${schedule.timezone}; treating it as open`);
+    return true;
+  }
+
+  const holiday = findHoliday(schedule, getLocalDate(now, schedule.timezone));
+  const ranges = holiday
+    ? holiday.hours || []
+    : (schedule.weeklyHours || {})[getLocalDay(now, schedule.timezone)] || [];
+  const minutes = getLocalMinutes(now, schedule.timezone);
+
+  return ranges.some(range => minutes >= toMinutes(range.start) && minutes < toMinutes(range.end));
+};
+
+/**
+ * Whether the schedule with an ID is open; no schedule means always open
+ * @param {number|null} scheduleId - BusinessSchedule ID
+ * @param {Date} [now] - Reference time
+ * @returns {Promise<boolean>}
+ */
+const isScheduleOpen = async (scheduleId, now = new Date()) => {
+  if (!scheduleId) {
+    return true;
+  }
+
+  const schedule = await db.BusinessSchedule.findByPk(scheduleId);
+  if (!schedule) {
+    logger.warn(`Schedule ${scheduleId} not found; treating it as open`);
+    return true;
+  }
+  return isOpen(schedule, now);
+};
+
+/**
+ * Whether an instant falls on a holiday the schedule is closed all day for
+ * Dates are read in the given timezone, so outbound calls skip holidays in the callee's local calendar.
+ * @param {Object|null} schedule - BusinessSchedule
+ * @param {Date} date - Instant to check
+ * @param {string} [timezone] - Timezone the date is read in; defaults to the schedule's
+ * @returns {boolean}
+ */
+const isClosedHoliday = (schedule, date, timezone) => {
+  if (!schedule) {
+    return false;
+  }
+  const zone = isValidTimezone(timezone) ? timezone : schedule.timezone;
+  const holiday = findHoliday(schedule, getLocalDate(date, zone));
+  return !!holiday && !(holiday.hours && holiday.hours.length > 0);
+};
+
+/**
+ * Load the holiday calendar a campaign dials by (settings.scheduleId)
+ * @param {Object} campaign - Campaign
+ * @returns {Promise<Object|null>}
+ */
+const getCampaignSchedule = async (campaign) => {
+  const scheduleId = campaign && campaign.settings && campaign.settings.scheduleId;
+  if (!scheduleId) {
+    return null;
+  }
+  return findScopedByPk(db.BusinessSchedule, scheduleId, campaign.workspaceId);
+};
+
+/**
+ * List a workspace's schedules
+ * @param {string} workspaceId - Workspace ID
+ * @returns {Promise<Array>}
+ */
+const listSchedules = (workspaceId) => {
+  return db.BusinessSchedule.findAll({
+    where: scopeWhere({}, workspaceId),
+    order: [['name', 'ASC']]
+  });
+};
+
+/**
+ * Get a schedule owned by a workspace
+ * @param {number} id - BusinessSchedule ID
+ * @param {string} [workspaceId] - Workspace to restrict to
+ * @returns {Promise<Object|null>}
+ */
+const getScheduleById = (id, workspaceId) => findScopedByPk(db.BusinessSchedule, id, workspaceId);
+
+/**
+ * Create a schedule
+ * @param {Object} data - { name, timezone, weeklyHours, holidays }
+ * @param {string} workspaceId - Owning workspace
+ * @returns {Promise<Object>} Created schedule
+ * @throws {InvalidScheduleError}
+ */
+const createSchedule = async (data, workspaceId) => {
+  const errors = validateSchedule(data);
+  if (errors.length > 0) {
+    throw new InvalidScheduleError(errors);
+  }
+
+  return db.BusinessSchedule.create({
+    weeklyHours: {},
+    holidays: [],
+    ...buildScheduleFields(data),
+    workspaceId
+  });
+};
+
+/**
+ * Update a schedule; routes and flows using it pick up the change on their next call
+ * @param {Object} schedule - BusinessSchedule instance
+ * @param {Object} data - Fields to change
+ * @returns {Promise<Object>} Updated schedule
+ * @throws {InvalidScheduleError}
+ */
+const updateSchedule = async (schedule, data) => {
+  const errors = validateSchedule(data, true);
+  if (errors.length > 0) {
+    throw new InvalidScheduleError(errors);
+  }
+
+  await schedule.update(buildScheduleFields(data));
+  return schedule;
+};
+
+/**
+ * Delete a schedule; routes and flows using it become always open
+ * @param {Object} schedule - BusinessSchedule instance
+ */
+const deleteSchedule = async (schedule) => {
+  await db.sequelize.transaction(async (transaction) => {
+    await db.InboundRoute.update({ scheduleId: null }, { where: { scheduleId: schedule.id }, transaction });
+    await db.CallFlow.update({ scheduleId: null }, { where: { scheduleId: schedule.id }, transaction });
+    await schedule.destroy({ transaction });
+  });
+};
+
+module.exports = {
+  AFTER_HOURS_ACTIONS,
+  InvalidScheduleError,
+  validateSchedule,
+  validateBehavior,
+  buildBehavior,
+  isOpen,
+  isScheduleOpen,
+  isClosedHoliday,
+  getCampaignSchedule,
+  listSchedules,
+  getScheduleById,
+  createSchedule,
+  updateSchedule,
+  deleteSchedule
+};
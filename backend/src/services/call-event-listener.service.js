@@ -7,6 +7,8 @@
 const signalWireService = require('./signalwire.service');
 const callLogService = require('./call-log.service');
 const callSchedulerService = require('./call-scheduler.service');
+const callLimiterService = require('./call-limiter.service');
+const pacingService = require('./pacing.service');
 const db = require('../models');
 const logger = require('../utils/logger');
 const config = require('../config');
@@ -148,7 +150,9 @@ const handleCallEvent = async (eventType, call) => {
     });
     
     // Get full call details from SignalWire if needed
-    const callDetails = call.direction ? call : await signalWireService.getCallDetails(call.id);
+    const callDetails = call.direction
+      ? call
+      : await signalWireService.getCallDetails(call.id, callLog && callLog.workspaceId);
     
     // Process based on event type
     switch (eventType) {
@@ -191,6 +195,7 @@ const handleCallEvent = async (eventType, call) => {
       
       case 'call.answered':
         // Call has been answered
+        await pacingService.recordCallAnswered(call.id);
         if (callLog) {
           await callLog.update({
             status: 'answered',
@@ -208,6 +213,8 @@ const handleCallEvent = async (eventType, call) => {
       
       case 'call.ended':
         // Call has ended
+        await callLimiterService.releaseCall(call.id);
+        
         if (callLog) {
           // Update the call log
           await callLog.update({
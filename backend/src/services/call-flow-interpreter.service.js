@@ -0,0 +1,314 @@
+/**
+ * Call Flow Interpreter Service
+ * Turns call flow nodes into SignalWire XML, one webhook round trip per node.
+ * Step URLs carry the flow version, so a call keeps running the version it started on
+ * even when the flow is edited mid-call.
+ */
+
+const axios = require('axios');
+const db = require('../models');
+const logger = require('../utils/logger');
+const signalwireService = require('./signalwire.service');
+const callFlowService = require('./call-flow.service');
+const optOutService = require('./opt-out.service');
+const streamGatewayService = require('./stream-gateway.service');
+const config = require('../config');
+
+// Most webhook nodes followed within one request, so a webhook loop cannot hold the call
+const MAX_WEBHOOK_HOPS = 10;
+
+/**
+ * Escape text placed in XML
+ * @param {*} value - Text
+ * @returns {string}
+ */
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+const getBaseUrl = () => process.env.PUBLIC_HOSTNAME || `http://localhost:${config.port}`;
+
+/**
+ * URL SignalWire requests to run a node, or to report the outcome of one
+ * @param {Object} context - Flow context
+ * @param {string} nodeId - Node ID
+ * @param {boolean} [result] - Outcome callback rather than entry
+ * @returns {string}
+ */
+const nodeUrl = (context, nodeId, result = false) => {
+  return `${getBaseUrl()}/api/calls/inbound/flows/${context.flowId}/versions/${context.version}` +
+    `/nodes/${encodeURIComponent(nodeId)}${result ? '/result' : ''}`;
+};
+
+/**
+ * Spoken prompt of a node
+ */
+const promptOf = (node, fallback) => {
+  const text = node.text || fallback;
+  return text ? { text: escapeXml(text), voice: node.voice, language: node.language } : undefined;
+};
+
+/**
+ * Flow context used while interpreting a call
+ * @param {Object} flow - CallFlow instance
+ * @param {Object} version - CallFlowVersion instance
+ * @returns {Object} { flowId, version, workspaceId, definition }
+ */
+const buildContext = (flow, version) => ({
+  flowId: flow.id,
+  version: version.version,
+  workspaceId: flow.workspaceId,
+  definition: version.definition
+});
+
+/**
+ * Load the context of a step request
+ * @param {number} flowId - CallFlow ID
+ * @param {number} version - Version number
+ * @returns {Promise<Object|null>}
+ */
+const loadContext = async (flowId, version) => {
+  const flow = await db.CallFlow.findByPk(flowId);
+  const flowVersion = flow ? await callFlowService.getVersion(flow.id, version) : null;
+  return flowVersion ? buildContext(flow, flowVersion) : null;
+};
+
+/**
+ * Call a webhook node's endpoint and pick the branch named in its response
+ * The endpoint gets the call details and answers JSON such as { "branch": "vip" }.
+ * @param {Object} context - Flow context
+ * @param {Object} node - Webhook node
+ * @param {Object} callData - SignalWire webhook fields
+ * @returns {Promise<string|undefined>} Next node ID
+ */
+const runWebhook = async (context, node, callData) => {
+  const payload = {
+    callSid: callData.CallSid,
+    from: callData.From,
+    to: callData.To,
+    digits: callData.Digits,
+    flowId: context.flowId,
+    version: context.version,
+    nodeId: node.id
+  };
+
+  try {
+    const isGet = String(node.method || 'POST').toUpperCase() === 'GET';
+    const response = await axios.request({
+      method: isGet ? 'get' : 'post',
+      url: node.url,
+      timeout: config.callFlows.webhookTimeoutMs,
+      ...(isGet ? { params: payload } : { data: payload })
+    });
+
+    const value = response.data ? response.data[node.field || 'branch'] : undefined;
+    if (value !== undefined && value !== null && node.branches && node.branches[String(value)]) {
+      return node.branches[String(value)];
+    }
+  } catch (error) {
+    logger.warn(`Call flow ${context.flowId} webhook node ${node.id} failed: ${error.message}`);
+  }
+
+  return node.next;
+};
+
+/**
+ * Render a node as XML
+ * Webhook nodes have no XML of their own; they are resolved here and the node they pick is rendered.
+ * @param {Object} context - Flow context
+ * @param {string} nodeId - Node to run
+ * @param {Object} callData - SignalWire webhook fields
+ * @returns {Promise<string>} XML response
+ */
+const renderNode = async (context, nodeId, callData = {}) => {
+  let node = callFlowService.findNode(context.definition, nodeId);
+
+  for (let hops = 0; node && node.type === 'webhook'; hops++) {
+    if (hops >= MAX_WEBHOOK_HOPS) {
+      logger.warn(`Call flow ${context.flowId} followed ${MAX_WEBHOOK_HOPS} webhook nodes in a row; ending call`);
+      node = null;
+      break;
+    }
+    node = callFlowService.findNode(context.definition, await runWebhook(context, node, callData));
+  }
+
+  if (!node) {
+    return signalwireService.generateTwiML({});
+  }
+
+  const resultUrl = nodeUrl(context, node.id, true);
+  const continueTo = node.next ? { url: nodeUrl(context, node.next) } : undefined;
+
+  switch (node.type) {
+    case 'say':
+      return signalwireService.generateTwiML({
+        say: promptOf(node),
+        redirect: continueTo,
+        hangup: !continueTo
+      });
+
+    case 'play':
+      return signalwireService.generateTwiML({
+        play: { url: escapeXml(node.url), loop: node.loop || 1 },
+        redirect: continueTo,
+        hangup: !continueTo
+      });
+
+    case 'gather':
+      // With no input the call falls through to the redirect, which reports an empty result
+      return signalwireService.generateTwiML({
+        say: promptOf(node),
+        gather: { numDigits: node.numDigits || 1, timeout: node.timeout || 5, action: resultUrl },
+        redirect: { url: resultUrl },
+        hangup: false
+      });
+
+    case 'agent':
+      return signalwireService.generateTwiML({
+        say: promptOf(node),
+        stream: {
+          url: streamGatewayService.buildStreamUrl(callData.CallSid || ''),
+          track: 'both',
+          customParameters: {
+            voiceAgentId: escapeXml(node.agentId),
+            callSid: escapeXml(callData.CallSid || ''),
+            callFlowId: context.flowId
+          }
+        },
+        hangup: false
+      });
+
+    case 'transfer':
+      return signalwireService.generateTwiML({
+        say: promptOf(node),
+        dial: {
+          number: escapeXml(node.number),
+          timeout: node.timeout || 30,
+          callerId: node.callerId ? escapeXml(node.callerId) : undefined,
+          action: resultUrl
+        },
+        hangup: false
+      });
+
+    case 'voicemail':
+      return signalwireService.generateTwiML({
+        say: promptOf(node, 'Please leave a message after the tone.'),
+        record: { action: resultUrl, maxLength: node.maxLength || 120 }
+      });
+
+    default:
+      logger.warn(`Call flow ${context.flowId} has a node of unknown type ${node.type}`);
+      return signalwireService.generateTwiML({});
+  }
+};
+
+/**
+ * Continue a call after a node reports its outcome (keys pressed, transfer result, recording)
+ * @param {Object} context - Flow context
+ * @param {string} nodeId - Node that finished
+ * @param {Object} callData - SignalWire webhook fields
+ * @returns {Promise<string>} XML response
+ */
+const handleNodeResult = async (context, nodeId, callData = {}) => {
+  const node = callFlowService.findNode(context.definition, nodeId);
+  if (!node) {
+    return signalwireService.generateTwiML({});
+  }
+
+  switch (node.type) {
+    case 'gather': {
+      const digits = callData.Digits;
+      if (digits && node.branches && node.branches[digits]) {
+        return renderNode(context, node.branches[digits], callData);
+      }
+
+      // The opt-out digit works in every menu unless the flow gives it a branch of its own
+      if (digits && digits === config.optOut.dtmfDigit) {
+        try {
+          await optOutService.recordOptOut({
+            source: 'dtmf',
+            callSid: callData.CallSid,
+            phoneNumber: callData.From,
+            workspaceId: context.workspaceId,
+            digit: digits
+          });
+        } catch (error) {
+          logger.error(`Error recording opt-out for call ${callData.CallSid}: ${error.message}`);
+        }
+        return signalwireService.generateTwiML({
+          say: { text: 'You have been removed from our call list and will not be called again. Goodbye.' }
+        });
+      }
+
+      if (node.next) {
+        return renderNode(context, node.next, callData);
+      }
+
+      // No fallback: play the menu again
+      return signalwireService.generateTwiML({
+        say: digits ? { text: 'Sorry, I did not understand your selection.' } : undefined,
+        redirect: { url: nodeUrl(context, node.id) },
+        hangup: false
+      });
+    }
+
+    case 'transfer':
+      if (callData.DialCallStatus !== 'completed' && node.next) {
+        return renderNode(context, node.next, callData);
+      }
+      return signalwireService.generateTwiML({});
+
+    case 'voicemail':
+      if (callData.RecordingUrl && callData.CallSid) {
+        await db.CallLog.update(
+          { recordingUrl: callData.RecordingUrl },
+          { where: { callSid: callData.CallSid } }
+        );
+        logger.info(`Voicemail recorded on call ${callData.CallSid} by call flow ${context.flowId}`);
+      }
+      if (node.next) {
+        return renderNode(context, node.next, callData);
+      }
+      return signalwireService.generateTwiML({
+        say: { text: 'Thank you for your message. We will get back to you as soon as possible.' }
+      });
+
+    default:
+      return renderNode(context, node.next, callData);
+  }
+};
+
+/**
+ * Start a flow at its active version
+ * @param {Object} active - { flow, version } from callFlowService.getActiveFlow
+ * @param {Object} callData - SignalWire inbound call webhook fields
+ * @returns {Promise<string>} XML response
+ */
+const startFlow = (active, callData) => {
+  const context = buildContext(active.flow, active.version);
+  logger.info(`Inbound call ${callData.CallSid} to ${callData.To} runs call flow ${context.flowId} v${context.version}`);
+  return renderNode(context, context.definition.startNodeId, callData);
+};
+
+/**
+ * Start the flow assigned to the dialed number
+ * @param {Object} callData - SignalWire inbound call webhook fields
+ * @returns {Promise<string|null>} XML response, or null when the number has no flow
+ */
+const renderFlowForNumber = async (callData) => {
+  const assigned = await callFlowService.getFlowForNumber(callData.To);
+  return assigned ? startFlow(assigned, callData) : null;
+};
+
+module.exports = {
+  escapeXml,
+  getBaseUrl,
+  loadContext,
+  renderNode,
+  handleNodeResult,
+  startFlow,
+  renderFlowForNumber
+};
@@ -0,0 +1,415 @@
+/**
+ * Call Flow Service
+ * Stores inbound IVR flows as versioned node graphs and validates them before they are saved.
+ * Every save writes a new immutable version; the flow's activeVersion is the one new calls run.
+ */
+
+const { Op } = require('sequelize');
+const db = require('../models');
+const logger = require('../utils/logger');
+const signalwireService = require('./signalwire.service');
+const businessScheduleService = require('./business-schedule.service');
+const { scopeWhere, findScopedByPk } = require('../utils/workspace-scope');
+
+// Node types and the fields each one requires
+// Every node may have `next`, the node that follows it (or, for branching nodes, the fallback)
+const NODE_TYPES = {
+  say: ['text'],
+  play: ['url'],
+  gather: [],
+  agent: ['agentId'],
+  transfer: ['number'],
+  voicemail: [],
+  webhook: ['url']
+};
+
+// Node types that branch on a value, keyed by that value in `branches`
+const BRANCHING_TYPES = ['gather', 'webhook'];
+
+const NODE_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+const DIGITS_PATTERN = /^[0-9*#]{1,10}$/;
+const MAX_NODES = 200;
+
+/**
+ * Thrown when a flow definition does not describe a runnable graph
+ */
+class InvalidCallFlowError extends Error {
+  constructor(errors) {
+    super(`Invalid call flow: ${errors.join('; ')}`);
+    this.name = 'InvalidCallFlowError';
+    this.code = 'INVALID_CALL_FLOW';
+    this.errors = errors;
+  }
+}
+
+/**
+ * Check a flow definition
+ * @param {Object} definition - { startNodeId, nodes: [{ id, type, next, branches, ... }] }
+ * @returns {Array<string>} Problems found; empty when the flow can run
+ */
+const validateDefinition = (definition) => {
+  if (!definition || typeof definition !== 'object' || !Array.isArray(definition.nodes)) {
+    return ['definition.nodes must be an array'];
+  }
+
+  const { nodes, startNodeId } = definition;
+  const errors = [];
+
+  if (nodes.length === 0) {
+    return ['A call flow needs at least one node'];
+  }
+  if (nodes.length > MAX_NODES) {
+    return [`A call flow can have at most ${MAX_NODES} nodes`];
+  }
+
+  const ids = new Set();
+  nodes.forEach((node, index) => {
+    if (!node || !NODE_ID_PATTERN.test(node.id || '')) {
+      errors.push(`Node ${index + 1} has an invalid id`);
+      return;
+    }
+    if (ids.has(node.id)) {
+      errors.push(`Node id ${node.id} is used more than once`);
+    }
+    ids.add(node.id);
+  });
+
+  if (!ids.has(startNodeId)) {
+    errors.push('startNodeId must be the id of a node');
+  }
+
+  const checkTarget = (node, target, label) => {
+    if (target !== undefined && target !== null && target !== '' && !ids.has(target)) {
+      errors.push(`Node ${node.id}: ${label} points to missing node ${target}`);
+    }
+  };
+
+  nodes.forEach(node => {
+    if (!node || !node.id) {
+      return;
+    }
+
+    const required = NODE_TYPES[node.type];
+    if (!required) {
+      errors.push(`Node ${node.id}: unknown type ${node.type}`);
+      return;
+    }
+
+    required.forEach(field => {
+      if (!node[field] || !String(node[field]).trim()) {
+        errors.push(`Node ${node.id}: ${field} is required`);
+      }
+    });
+
+    if (['play', 'webhook'].includes(node.type) && node.url && !/^https?:\/\//.test(node.url)) {
+      errors.push(`Node ${node.id}: url must start with http:// or https://`);
+    }
+
+    if (node.type === 'gather' || node.type === 'voicemail' || node.type === 'transfer') {
+      const limits = { gather: ['numDigits', 'timeout'], voicemail: ['maxLength'], transfer: ['timeout'] }[node.type];
+      limits.forEach(field => {
+        if (node[field] !== undefined && (!Number.isInteger(node[field]) || node[field] < 1)) {
+          errors.push(`Node ${node.id}: ${field} must be a positive integer`);
+        }
+      });
+    }
+
+    checkTarget(node, node.next, 'next');
+
+    if (node.branches !== undefined) {
+      if (!BRANCHING_TYPES.includes(node.type)) {
+        errors.push(`Node ${node.id}: ${node.type} nodes cannot branch`);
+      } else if (typeof node.branches !== 'object' || Array.isArray(node.branches)) {
+        errors.push(`Node ${node.id}: branches must map values to node ids`);
+      } else {
+        Object.entries(node.branches).forEach(([value, target]) => {
+          if (node.type === 'gather' && !DIGITS_PATTERN.test(value)) {
+            errors.push(`Node ${node.id}: branch key ${value} must be keypad digits`);
+          }
+          checkTarget(node, target, `branch ${value}`);
+        });
+      }
+    }
+  });
+
+  return errors;
+};
+
+/**
+ * Throw unless a definition is valid
+ * @param {Object} definition - Flow definition
+ * @throws {InvalidCallFlowError}
+ */
+const assertValidDefinition = (definition) => {
+  const errors = validateDefinition(definition);
+  if (errors.length > 0) {
+    throw new InvalidCallFlowError(errors);
+  }
+};
+
+/**
+ * Find a node of a definition
+ * @param {Object} definition - Flow definition
+ * @param {string} nodeId - Node ID
+ * @returns {Object|null}
+ */
+const findNode = (definition, nodeId) => {
+  return ((definition && definition.nodes) || []).find(node => node.id === nodeId) || null;
+};
+
+/**
+ * List a workspace's call flows with the numbers assigned to each
+ * @param {string} workspaceId - Workspace ID
+ * @returns {Promise<Array>}
+ */
+const listFlows = (workspaceId) => {
+  return db.CallFlow.findAll({
+    where: scopeWhere({}, workspaceId),
+    include: [{
+      model: db.PhoneNumber,
+      as: 'phoneNumbers',
+      attributes: ['id', 'phoneNumber', 'friendlyName']
+    }],
+    order: [['name', 'ASC']]
+  });
+};
+
+/**
+ * Get a call flow owned by a workspace
+ * @param {number} id - CallFlow ID
+ * @param {string} [workspaceId] - Workspace to restrict to
+ * @returns {Promise<Object|null>}
+ */
+const getFlowById = (id, workspaceId) => findScopedByPk(db.CallFlow, id, workspaceId);
+
+/**
+ * Get one version of a flow
+ * @param {number} callFlowId - CallFlow ID
+ * @param {number|string} version - Version number
+ * @returns {Promise<Object|null>}
+ */
+const getVersion = async (callFlowId, version) => {
+  const number = parseInt(version, 10);
+  if (!Number.isInteger(number)) {
+    return null;
+  }
+  return db.CallFlowVersion.findOne({ where: { callFlowId, version: number } });
+};
+
+/**
+ * List a flow's versions, newest first, without their definitions
+ * @param {number} callFlowId - CallFlow ID
+ * @returns {Promise<Array>}
+ */
+const listVersions = (callFlowId) => {
+  return db.CallFlowVersion.findAll({
+    where: { callFlowId },
+    attributes: ['id', 'callFlowId', 'version', 'notes', 'createdBy', 'createdAt'],
+    order: [['version', 'DESC']]
+  });
+};
+
+/**
+ * Write a new version of a flow
+ * @param {Object} flow - CallFlow instance
+ * @param {Object} data - { definition, notes, activate }
+ * @param {string} [userId] - Author
+ * @returns {Promise<Object>} Created CallFlowVersion
+ */
+const saveVersion = async (flow, data, userId) => {
+  assertValidDefinition(data.definition);
+
+  return db.sequelize.transaction(async (transaction) => {
+    // Lock the flow so two saves cannot claim the same version number
+    await flow.reload({ lock: transaction.LOCK.UPDATE, transaction });
+    const version = flow.latestVersion + 1;
+
+    const created = await db.CallFlowVersion.create({
+      callFlowId: flow.id,
+      version,
+      definition: data.definition,
+      notes: data.notes || null,
+      createdBy: userId || null
+    }, { transaction });
+
+    await flow.update({
+      latestVersion: version,
+      activeVersion: data.activate === false && flow.activeVersion ? flow.activeVersion : version
+    }, { transaction });
+
+    return created;
+  });
+};
+
+/**
+ * Validate and normalize a flow's schedule and after-hours behavior
+ * @param {Object} data - { scheduleId, afterHours }
+ * @returns {Object} Fields to store
+ * @throws {InvalidCallFlowError}
+ */
+const buildHoursFields = (data) => {
+  const fields = {};
+  if (data.scheduleId !== undefined) {
+    fields.scheduleId = data.scheduleId || null;
+  }
+
+  if (data.afterHours !== undefined && data.afterHours !== null) {
+    const errors = businessScheduleService.validateBehavior(
+      data.afterHours, businessScheduleService.AFTER_HOURS_ACTIONS, 'afterHours'
+    );
+    // A flow has no agent of its own to fall back on
+    if (errors.length === 0 && data.afterHours.action === 'agent' && !data.afterHours.voiceAgentId) {
+      errors.push('afterHours.voiceAgentId is required');
+    }
+    if (errors.length > 0) {
+      throw new InvalidCallFlowError(errors);
+    }
+    fields.afterHours = businessScheduleService.buildBehavior(data.afterHours, signalwireService.formatPhoneNumber);
+  } else if (data.afterHours === null) {
+    fields.afterHours = null;
+  }
+
+  return fields;
+};
+
+/**
+ * Create a flow with its first version
+ * @param {Object} data - { name, description, definition, notes, scheduleId, afterHours }
+ * @param {string} workspaceId - Owning workspace
+ * @param {string} [userId] - Author
+ * @returns {Promise<Object>} { flow, version }
+ */
+const createFlow = async (data, workspaceId, userId) => {
+  if (!data.name || !String(data.name).trim()) {
+    throw new InvalidCallFlowError(['name is required']);
+  }
+  assertValidDefinition(data.definition);
+  const hoursFields = buildHoursFields(data);
+
+  const flow = await db.CallFlow.create({
+    ...hoursFields,
+    workspaceId,
+    name: String(data.name).trim(),
+    description: data.description || null
+  });
+  const version = await saveVersion(flow, { definition: data.definition, notes: data.notes }, userId);
+
+  logger.info(`Created call flow ${flow.id} (${flow.name}) for workspace ${workspaceId}`);
+  return { flow, version };
+};
+
+/**
+ * Update a flow's details and hours, and save a new version when a definition is given
+ * @param {Object} flow - CallFlow instance
+ * @param {Object} data - { name, description, scheduleId, afterHours, definition, notes, activate }
+ * @param {string} [userId] - Author
+ * @returns {Promise<Object>} { flow, version } (version is null when only details changed)
+ */
+const updateFlow = async (flow, data, userId) => {
+  const fields = buildHoursFields(data);
+  if (data.name !== undefined) {
+    if (!data.name || !String(data.name).trim()) {
+      throw new InvalidCallFlowError(['name is required']);
+    }
+    fields.name = String(data.name).trim();
+  }
+  if (data.description !== undefined) {
+    fields.description = data.description || null;
+  }
+
+  const version = data.definition !== undefined ? await saveVersion(flow, data, userId) : null;
+  if (Object.keys(fields).length > 0) {
+    await flow.update(fields);
+  }
+
+  return { flow, version };
+};
+
+/**
+ * Make an existing version the one new calls run, e.g. to roll back
+ * @param {Object} flow - CallFlow instance
+ * @param {number} version - Version number
+ * @returns {Promise<Object|null>} The version, or null when it does not exist
+ */
+const activateVersion = async (flow, version) => {
+  const target = await getVersion(flow.id, version);
+  if (!target) {
+    return null;
+  }
+
+  await flow.update({ activeVersion: target.version });
+  logger.info(`Call flow ${flow.id} now runs version ${target.version}`);
+  return target;
+};
+
+/**
+ * Delete a flow and its versions; numbers it was assigned to fall back to the default routing
+ * @param {Object} flow - CallFlow instance
+ */
+const deleteFlow = async (flow) => {
+  await db.sequelize.transaction(async (transaction) => {
+    await db.PhoneNumber.update({ callFlowId: null }, { where: { callFlowId: flow.id }, transaction });
+    await db.InboundRoute.update({ callFlowId: null }, { where: { callFlowId: flow.id }, transaction });
+    await db.CallFlowVersion.destroy({ where: { callFlowId: flow.id }, transaction });
+    await flow.destroy({ transaction });
+  });
+};
+
+/**
+ * Load a flow together with its active version
+ * @param {Object|number} flow - CallFlow instance or ID
+ * @returns {Promise<Object|null>} { flow, version }, or null when the flow has no active version
+ */
+const getActiveFlow = async (flow) => {
+  const instance = typeof flow === 'object' ? flow : await db.CallFlow.findByPk(flow);
+  if (!instance || !instance.activeVersion) {
+    return null;
+  }
+
+  const version = await getVersion(instance.id, instance.activeVersion);
+  if (!version) {
+    logger.warn(`Call flow ${instance.id} has no version ${instance.activeVersion}`);
+    return null;
+  }
+
+  return { flow: instance, version };
+};
+
+/**
+ * Find the flow that answers calls to a dialed number
+ * @param {string} dialedNumber - Number that was called
+ * @returns {Promise<Object|null>} { flow, version, phoneNumber }, or null when no flow is assigned
+ */
+const getFlowForNumber = async (dialedNumber) => {
+  if (!dialedNumber) {
+    return null;
+  }
+
+  const phoneNumber = await db.PhoneNumber.findOne({
+    where: {
+      phoneNumber: signalwireService.formatPhoneNumber(String(dialedNumber)),
+      callFlowId: { [Op.ne]: null }
+    },
+    include: [{ model: db.CallFlow, as: 'callFlow' }]
+  });
+
+  const active = phoneNumber && phoneNumber.callFlow ? await getActiveFlow(phoneNumber.callFlow) : null;
+  return active ? { ...active, phoneNumber } : null;
+};
+
+module.exports = {
+  NODE_TYPES,
+  InvalidCallFlowError,
+  validateDefinition,
+  findNode,
+  listFlows,
+  getFlowById,
+  getVersion,
+  listVersions,
+  createFlow,
+  updateFlow,
+  activateVersion,
+  deleteFlow,
+  getActiveFlow,
+  getFlowForNumber
+};
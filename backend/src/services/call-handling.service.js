@@ -7,6 +7,14 @@ const db = require('../models');
 const logger = require('../utils/logger');
 const signalwireService = require('./signalwire.service');
 const elevenlabsService = require('./elevenlabs.service');
+const dncService = require('./dnc.service');
+const phoneNumberService = require('./phone-number.service');
+const callLimiterService = require('./call-limiter.service');
+const pacingService = require('./pacing.service');
+const inboundRouteService = require('./inbound-route.service');
+const campaignService = require('./campaign.service');
+const promptVariablesService = require('./prompt-variables.service');
+const agentConfigService = require('./agent-config.service');
 const config = require('../config');
 
 /**
@@ -46,15 +54,45 @@ class CallSession {
 // Store active call sessions (in-memory for now, consider Redis for production)
 const activeCalls = new Map();
 
+/**
+ * Resolve the agent config version a call runs and its prompt variables for the contact
+ * Campaigns pinned to a version run that version; everything else runs the latest.
+ * A failure only costs the call its personalisation, never the call itself.
+ * @returns {Promise<Object>} { agentVersion, agentVariables } (agentVariables is
+ *   { dynamicVariables, prompt, firstMessage, missing }, or null without a contact)
+ */
+const resolveAgent = async (voiceAgentId, campaignData) => {
+  try {
+    const campaign = campaignData.id ? await db.Campaign.findByPk(campaignData.id) : null;
+    const agentConfig = await agentConfigService.getConfigForCall(voiceAgentId, campaign && campaign.agentVersion);
+    const agentVersion = agentConfig ? agentConfig.version : null;
+    
+    const contact = campaignData.contactId ? await db.Contact.findByPk(campaignData.contactId) : null;
+    if (!contact) {
+      return { agentVersion, agentVariables: null };
+    }
+    
+    const resolved = await promptVariablesService.resolveForCall({ agentConfig, contact, campaign });
+    if (resolved.missing.length > 0) {
+      logger.warn(`Contact ${contact.id} is called without required prompt variables: ${resolved.missing.join(', ')}`);
+    }
+    return { agentVersion, agentVariables: resolved };
+  } catch (error) {
+    logger.error(`Error resolving agent for call to contact ${campaignData.contactId}: ${error.message}`);
+    return { agentVersion: null, agentVariables: null };
+  }
+};
+
 /**
  * Initialize a new outbound call
  * @param {string} to - Destination phone number
- * @param {string} from - Caller ID to use
+ * @param {string} [from] - Caller ID to use; used as is only when the workspace has no number pool
  * @param {string} voiceAgentId - Voice agent ID to use
  * @param {string} scriptId - Script ID to use
- * @param {Object} campaignData - Associated campaign data
+ * @param {Object} campaignData - Associated campaign data ({ id, workspaceId, contactId, callerIdStrategy, calleeState })
  * @param {string} [phoneNumberId] - Optional phone number ID (required for trial accounts)
  * @returns {Object} Call initialization response
+ * @throws {DoNotCallError} If the number is on the workspace or global do-not-call list
  */
 const initiateOutboundCall = async (to, from, voiceAgentId, scriptId, campaignData = {}, phoneNumberId = null) => {
   try {
@@ -67,22 +105,80 @@ const initiateOutboundCall = async (to, from, voiceAgentId, scriptId, campaignDa
       voiceAgentId,
       scriptId,
       campaignId: campaignData.id || null,
+      workspaceId: campaignData.workspaceId || null,
       callType: 'outbound'
     };
     
+    // Never dial suppressed numbers; the blocked attempt is logged for compliance
+    const dncEntry = await dncService.screenOutboundCall({
+      to,
+      from,
+      workspaceId: metadata.workspaceId,
+      campaignId: metadata.campaignId,
+      contactId: campaignData.contactId || null,
+      voiceAgentId
+    });
+    
+    if (dncEntry) {
+      throw new dncService.DoNotCallError(to, dncEntry);
+    }
+    
+    // Present a local number from the workspace's pool when one is available
+    const callerId = await phoneNumberService.selectCallerId({
+      to,
+      from,
+      workspaceId: metadata.workspaceId,
+      campaignId: metadata.campaignId,
+      strategy: campaignData.callerIdStrategy,
+      calleeState: campaignData.calleeState
+    });
+    if (!callerId) {
+      throw new Error('No caller ID available: the workspace has no pool numbers and no from number was given');
+    }
+    const callerNumber = callerId.number;
+    const fromNumber = callerId.from;
+    
+    const { agentVersion, agentVariables } = await resolveAgent(voiceAgentId, campaignData);
+    
     // Make the call
     const call = await signalwireService.makeOutboundCall(
       to,
-      from,
+      fromNumber,
       webhookBaseUrl,
       metadata,
-      phoneNumberId // Pass phone number ID for trial accounts
+      phoneNumberId || (callerNumber && callerNumber.signalWireId) // Pass phone number ID for trial accounts
     );
     
+    // Only a placed call counts against the number's daily cap and cooldown
+    if (callerNumber) {
+      await phoneNumberService.recordUsage(callerNumber);
+    }
+    
     // Initialize call session
     const session = new CallSession(call.sid, 'outbound', to, voiceAgentId);
     activeCalls.set(call.sid, session);
     
+    // Record the call up front so status webhooks update a row that already carries its workspace
+    try {
+      await db.CallLog.create({
+        callSid: call.sid,
+        workspaceId: metadata.workspaceId,
+        campaignId: metadata.campaignId,
+        contactId: campaignData.contactId || null,
+        direction: 'outbound',
+        from: fromNumber,
+        to,
+        phoneNumberId: callerNumber ? callerNumber.id : null,
+        status: call.status || 'queued',
+        voiceAgentId,
+        agentVersion,
+        startTime: new Date(),
+        ...(agentVariables ? { callData: { agentVariables } } : {})
+      });
+    } catch (logError) {
+      logger.error(`Error creating call log for ${call.sid}: ${logError.message}`);
+    }
+    
     // Log call start
     logger.info(`Initiated outbound call to ${to} with SID: ${call.sid}`);
     
@@ -91,7 +187,8 @@ const initiateOutboundCall = async (to, from, voiceAgentId, scriptId, campaignDa
       status: call.status,
       direction: 'outbound',
       to,
-      from
+      from: fromNumber,
+      phoneNumberId: callerNumber ? callerNumber.id : null
     };
   } catch (error) {
     logger.error(`Error initiating outbound call: ${error.message}`);
@@ -102,16 +199,15 @@ const initiateOutboundCall = async (to, from, voiceAgentId, scriptId, campaignDa
 /**
  * Handle an inbound call
  * @param {Object} callData - Call data from SignalWire webhook
+ * @param {Object} [options] - { voiceAgentId } to answer with a given agent instead of the dialed number's
  * @returns {string} TwiML response
  */
-const handleInboundCall = async (callData) => {
+const handleInboundCall = async (callData, options = {}) => {
   try {
     // Extract call details
     const { CallSid, From, To } = callData;
     
-    // For inbound calls, we'll need to determine which voice agent to use
-    // This could be based on the dialed number or other routing rules
-    const voiceAgentId = await determineVoiceAgent(To);
+    const voiceAgentId = options.voiceAgentId || await determineVoiceAgent(To);
     
     // Initialize call session
     const session = new CallSession(CallSid, 'inbound', From, voiceAgentId);
@@ -158,6 +254,38 @@ const handleInboundCall = async (callData) => {
   }
 };
 
+/**
+ * Opt the caller out after they pressed the opt-out digit
+ * @param {string} callSid - Call SID
+ * @param {string} digit - Digit pressed
+ * @param {string} [from] - Caller number
+ * @returns {Promise<string>} TwiML confirming the opt-out
+ */
+const handleOptOutDigit = async (callSid, digit, from) => {
+  // Required here: opt-out loads the call scheduler, which loads the campaign scheduler, which loads this module
+  const optOutService = require('./opt-out.service');
+  
+  try {
+    const callLog = await db.CallLog.findOne({ where: { callSid }, attributes: ['workspaceId'] });
+    
+    // The call log knows which party is the callee; the caller's number is only a fallback without one
+    await optOutService.recordOptOut({
+      source: 'dtmf',
+      callSid,
+      phoneNumber: callLog ? undefined : from,
+      workspaceId: callLog ? callLog.workspaceId : null,
+      digit
+    });
+  } catch (error) {
+    logger.error(`Error recording opt-out for call ${callSid}: ${error.message}`);
+  }
+  
+  return signalwireService.generateTwiML({
+    say: { text: 'You have been removed from our call list and will not be called again. Goodbye.' },
+    hangup: true
+  });
+};
+
 /**
  * Handle user speech/input from call
  * @param {Object} callData - Call data from SignalWire webhook
@@ -166,7 +294,12 @@ const handleInboundCall = async (callData) => {
 const handleGather = async (callData) => {
   try {
     // Extract call details and user input
-    const { CallSid, SpeechResult, Digits } = callData;
+    const { CallSid, SpeechResult, Digits, From } = callData;
+    
+    // The opt-out digit ends the call, even when the session was lost
+    if (Digits && !SpeechResult && Digits === config.optOut.dtmfDigit) {
+      return handleOptOutDigit(CallSid, Digits, From);
+    }
     
     // Get the active call session
     const session = activeCalls.get(CallSid);
@@ -283,6 +416,10 @@ const handleCallStatus = async (statusData) => {
   try {
     const { CallSid, CallStatus, CallDuration, AnsweredBy } = statusData;
     
+    // An ended call frees its slots under the outbound call limits, and its campaign line
+    await callLimiterService.recordCallStatus(CallSid, CallStatus);
+    await pacingService.recordCallStatus(CallSid, CallStatus, { duration: CallDuration });
+    
     // Get the active call session
     const session = activeCalls.get(CallSid);
     
@@ -372,13 +509,22 @@ const processCampaignCalls = async (campaignId) => {
 
 /**
  * Determine which voice agent to use for an inbound call
+ * The dialed number's route names one; otherwise the agent of the campaign the number belongs to.
  * @param {string} toNumber - Number that was called
  * @returns {string} Voice agent ID to use
  */
 const determineVoiceAgent = async (toNumber) => {
-  // In a real implementation, lookup the voice agent based on the dialed number
-  // For now, return a default
-  return 'default-voice-agent';
+  const route = await inboundRouteService.findRouteForNumber(toNumber);
+  if (route && route.voiceAgentId) {
+    return route.voiceAgentId;
+  }
+
+  const campaign = await campaignService.findCampaignByPhoneNumber(toNumber);
+  if (campaign && campaign.voiceAgentId) {
+    return campaign.voiceAgentId;
+  }
+
+  return config.elevenLabs.defaultVoiceAgentId;
 };
 
 /**
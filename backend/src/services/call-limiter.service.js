@@ -0,0 +1,378 @@
+/**
+ * Call Limiter Service
+ * Shared calls-per-second and concurrent-call limits in front of every outbound dial.
+ * Each account (workspace), campaign and caller ID gets a token bucket for its dial rate and
+ * a count of its live calls; a dial waits until every bucket it touches has room.
+ * Buckets and live call slots are rows in the database: a dial locks the bucket rows it draws from,
+ * so every worker enforces the same limits and any worker can free a call's slots.
+ */
+
+const { Op } = require('sequelize');
+const { v4: uuidv4 } = require('uuid');
+const db = require('../models');
+const logger = require('../utils/logger');
+const config = require('../config');
+const { scopeWhere } = require('../utils/workspace-scope');
+
+// Call statuses after which the call no longer holds a line
+const FINAL_CALL_STATUSES = ['completed', 'busy', 'failed', 'no-answer', 'no_answer', 'canceled'];
+
+// How often a dial blocked on concurrency checks again
+const CONCURRENCY_POLL_MS = 500;
+
+/**
+ * Thrown when a dial waited maxWaitSeconds without its limits making room
+ */
+class CallLimitError extends Error {
+  constructor(scope, key) {
+    super(`Outbound call limit reached for ${scope} ${key}`);
+    this.name = 'CallLimitError';
+    this.code = 'CALL_LIMIT_REACHED';
+    this.scope = scope;
+    this.key = key;
+  }
+}
+
+/**
+ * Merge limit settings; later sources win and 0 means unlimited
+ * @param {...Object} sources - Objects with cps and/or maxConcurrent
+ * @returns {Object} { cps, maxConcurrent }
+ */
+const mergeLimits = (...sources) => {
+  const limits = { cps: 0, maxConcurrent: 0 };
+
+  sources.forEach(source => {
+    if (!source) {
+      return;
+    }
+    if (source.cps !== undefined && source.cps !== null) {
+      limits.cps = Math.max(0, parseFloat(source.cps) || 0);
+    }
+    if (source.maxConcurrent !== undefined && source.maxConcurrent !== null) {
+      limits.maxConcurrent = Math.max(0, parseInt(source.maxConcurrent, 10) || 0);
+    }
+  });
+
+  return limits;
+};
+
+/**
+ * Resolve the limits that apply to a dial
+ * Campaign settings.callLimits override the workspace's, which override the config defaults.
+ * @param {Object} target
+ * @param {string} [target.workspaceId] - Account the call is placed from
+ * @param {string} [target.campaignId] - Campaign the call belongs to
+ * @param {string} [target.callerId] - Caller ID presented
+ * @returns {Promise<Array>} [{ scope, key, limits }]
+ */
+const resolveLimits = async ({ workspaceId, campaignId, callerId }) => {
+  const [workspace, campaign] = await Promise.all([
+    workspaceId ? db.Workspace.findByPk(workspaceId, { attributes: ['id', 'settings'] }) : null,
+    campaignId ? db.Campaign.findByPk(campaignId, { attributes: ['id', 'settings'] }) : null
+  ]);
+  const workspaceLimits = ((workspace && workspace.settings) || {}).callLimits || {};
+  const campaignLimits = ((campaign && campaign.settings) || {}).callLimits || {};
+
+  const scopes = [{
+    scope: 'account',
+    key: workspaceId || 'default',
+    limits: mergeLimits(config.callLimits.account, workspaceLimits)
+  }];
+
+  if (campaignId) {
+    scopes.push({
+      scope: 'campaign',
+      key: campaignId,
+      limits: mergeLimits(config.callLimits.campaign, workspaceLimits.campaign, campaignLimits)
+    });
+  }
+
+  if (callerId) {
+    scopes.push({
+      scope: 'callerId',
+      key: callerId,
+      limits: mergeLimits(config.callLimits.callerId, workspaceLimits.callerId, campaignLimits.callerId)
+    });
+  }
+
+  return scopes;
+};
+
+/**
+ * Add the tokens earned since the last refill; a bucket holds one second of calls at most
+ * @returns {number} Tokens available at now
+ */
+const refill = (bucket, now) => {
+  if (!bucket.cps) {
+    return bucket.tokens;
+  }
+  const capacity = Math.max(1, bucket.cps);
+  return Math.min(capacity, bucket.tokens + (now - new Date(bucket.refilledAt).getTime()) / 1000 * bucket.cps);
+};
+
+/**
+ * How long a bucket needs before it can take another call
+ * @param {Object} bucket - { cps, maxConcurrent, tokens, activeCalls }
+ * @returns {number} Milliseconds; 0 when it has room now
+ */
+const getWaitMs = (bucket) => {
+  if (bucket.maxConcurrent && bucket.activeCalls >= bucket.maxConcurrent) {
+    return CONCURRENCY_POLL_MS;
+  }
+  if (bucket.cps && bucket.tokens < 1) {
+    return Math.ceil((1 - bucket.tokens) / bucket.cps * 1000);
+  }
+  return 0;
+};
+
+/**
+ * Count the unexpired live call slots of some buckets
+ * @returns {Promise<Map>} bucketId -> live calls
+ */
+const countLiveSlots = async (bucketIds, now, transaction) => {
+  if (bucketIds.length === 0) {
+    return new Map();
+  }
+
+  const counts = await db.CallLimitSlot.count({
+    where: { bucketId: bucketIds, expiresAt: { [Op.gt]: now } },
+    group: ['bucketId'],
+    transaction
+  });
+  return new Map(counts.map(row => [row.bucketId, parseInt(row.count, 10)]));
+};
+
+/**
+ * Claim a token and a live call slot in every bucket of a dial, if all of them have room
+ * The bucket rows are locked in id order, so concurrent dials on shared buckets queue up
+ * instead of deadlocking.
+ * @returns {Promise<Object>} { waitMs: 0 } once claimed, or { waitMs, blocked } to try again later
+ */
+const tryClaim = (scopes, workspaceId, permitId) => db.sequelize.transaction(async (transaction) => {
+  const now = new Date();
+  const ids = scopes.map(({ scope, key }) => `${scope}:${key}`);
+
+  // New buckets start full
+  await db.CallLimitBucket.bulkCreate(scopes.map(({ scope, key, limits }) => ({
+    id: `${scope}:${key}`,
+    scope,
+    key,
+    workspaceId: workspaceId || null,
+    cps: limits.cps,
+    maxConcurrent: limits.maxConcurrent,
+    tokens: Math.max(1, limits.cps),
+    refilledAt: now
+  })), { ignoreDuplicates: true, transaction });
+
+  const rows = await db.CallLimitBucket.findAll({
+    where: { id: ids },
+    order: [['id', 'ASC']],
+    lock: transaction.LOCK.UPDATE,
+    transaction
+  });
+
+  // Slots of calls whose end was never reported stop counting once they expire
+  const expired = await db.CallLimitSlot.destroy({
+    where: { bucketId: ids, expiresAt: { [Op.lte]: now } },
+    transaction
+  });
+  if (expired > 0) {
+    logger.warn(`Released ${expired} call limit slots: no call end reported`);
+  }
+
+  const live = await countLiveSlots(ids, now, transaction);
+  const buckets = rows.map(row => {
+    const { limits } = scopes[ids.indexOf(row.id)];
+    return {
+      row,
+      scope: row.scope,
+      key: row.key,
+      cps: limits.cps,
+      maxConcurrent: limits.maxConcurrent,
+      tokens: refill({ cps: limits.cps, tokens: row.tokens, refilledAt: row.refilledAt }, now.getTime()),
+      activeCalls: live.get(row.id) || 0
+    };
+  });
+
+  const waitMs = Math.max(0, ...buckets.map(getWaitMs));
+  if (waitMs > 0) {
+    return { waitMs, blocked: buckets.find(bucket => getWaitMs(bucket) > 0) };
+  }
+
+  await Promise.all(buckets.map(bucket => bucket.row.update({
+    workspaceId: workspaceId || bucket.row.workspaceId,
+    cps: bucket.cps,
+    maxConcurrent: bucket.maxConcurrent,
+    tokens: bucket.cps ? bucket.tokens - 1 : bucket.tokens,
+    refilledAt: now,
+    totalDials: bucket.row.totalDials + 1
+  }, { transaction })));
+
+  const expiresAt = new Date(now.getTime() + config.callLimits.callTimeoutMinutes * 60000);
+  await db.CallLimitSlot.bulkCreate(ids.map(bucketId => ({ permitId, bucketId, expiresAt })), { transaction });
+
+  return { waitMs: 0 };
+});
+
+/**
+ * A dial's claim on its buckets: one token each and one live call slot each
+ */
+class CallPermit {
+  constructor(id) {
+    this.id = id;
+    this.callSid = null;
+    this.released = false;
+  }
+
+  /**
+   * Hold the live call slots until the call ends
+   * @param {string} callSid - SID of the placed call
+   */
+  async bind(callSid) {
+    this.callSid = callSid;
+    await db.CallLimitSlot.update({ callSid }, { where: { permitId: this.id } });
+  }
+
+  /**
+   * Free the live call slots
+   */
+  async release() {
+    if (this.released) {
+      return;
+    }
+    this.released = true;
+
+    await db.CallLimitSlot.destroy({ where: { permitId: this.id } });
+  }
+}
+
+/**
+ * Create a limiter
+ * Limiters share their buckets and slots through the database; only the count of dials
+ * waiting for room is kept per limiter, as those dials live in this process.
+ * @returns {Object} { acquire, releaseCall, recordCallStatus, getUtilization }
+ */
+const createCallLimiter = () => {
+  // `${scope}:${key}` -> dials of this limiter waiting for room
+  const waiting = new Map();
+
+  const addWaiting = (ids, delta) => ids.forEach(id => {
+    const count = (waiting.get(id) || 0) + delta;
+    if (count > 0) {
+      waiting.set(id, count);
+    } else {
+      waiting.delete(id);
+    }
+  });
+
+  /**
+   * Wait for room under every limit that applies to a dial, then claim it
+   * @param {Object} target - { workspaceId, campaignId, callerId }
+   * @returns {Promise<CallPermit>} Bind it to the call SID once placed, or release it if the dial fails
+   * @throws {CallLimitError} If there is no room within maxWaitSeconds
+   */
+  const acquire = async (target = {}) => {
+    const scopes = await resolveLimits(target);
+    const ids = scopes.map(({ scope, key }) => `${scope}:${key}`);
+    const permitId = uuidv4();
+    const deadline = Date.now() + config.callLimits.maxWaitSeconds * 1000;
+
+    addWaiting(ids, 1);
+    try {
+      for (;;) {
+        const { waitMs, blocked } = await tryClaim(scopes, target.workspaceId, permitId);
+        if (!waitMs) {
+          break;
+        }
+
+        if (Date.now() + waitMs > deadline) {
+          logger.warn(`Outbound call refused: ${blocked.scope} ${blocked.key} stayed at its limit`);
+          throw new CallLimitError(blocked.scope, blocked.key);
+        }
+
+        await new Promise(resolve => setTimeout(resolve, Math.min(waitMs, 1000)));
+      }
+    } finally {
+      addWaiting(ids, -1);
+    }
+
+    return new CallPermit(permitId);
+  };
+
+  /**
+   * Free a call's live slots, whichever worker placed it
+   * @param {string} callSid - Call SID
+   * @returns {Promise<boolean>} Whether the call held slots
+   */
+  const releaseCall = async (callSid) => {
+    if (!callSid) {
+      return false;
+    }
+    const released = await db.CallLimitSlot.destroy({ where: { callSid } });
+    return released > 0;
+  };
+
+  /**
+   * Free a call's live slots once a status update says it has ended
+   * @param {string} callSid - Call SID
+   * @param {string} status - Reported call status
+   * @returns {Promise<boolean>} Whether slots were freed
+   */
+  const recordCallStatus = async (callSid, status) => {
+    if (!callSid || !FINAL_CALL_STATUSES.includes(String(status || '').toLowerCase())) {
+      return false;
+    }
+    return releaseCall(callSid);
+  };
+
+  /**
+   * Live utilization of every limit
+   * waitingDials counts the dials waiting in this process only.
+   * @param {string} [workspaceId] - Only limits of this workspace's calls
+   * @returns {Promise<Object>} { liveCalls, waitingDials, limits }
+   */
+  const getUtilization = async (workspaceId) => {
+    const now = new Date();
+    const rows = await db.CallLimitBucket.findAll({
+      where: scopeWhere({}, workspaceId),
+      order: [['id', 'ASC']]
+    });
+    const live = await countLiveSlots(rows.map(row => row.id), now);
+
+    const limits = rows.map(row => {
+      const activeCalls = live.get(row.id) || 0;
+      const tokens = refill(row, now.getTime());
+      return {
+        scope: row.scope,
+        key: row.key,
+        cps: row.cps || null,
+        maxConcurrent: row.maxConcurrent || null,
+        activeCalls,
+        waitingDials: waiting.get(row.id) || 0,
+        availableTokens: row.cps ? Math.max(0, Math.round(tokens * 100) / 100) : null,
+        utilization: row.maxConcurrent ? Math.round(activeCalls / row.maxConcurrent * 100) / 100 : null,
+        totalDials: row.totalDials
+      };
+    });
+
+    const accounts = limits.filter(limit => limit.scope === 'account');
+    return {
+      liveCalls: accounts.reduce((sum, limit) => sum + limit.activeCalls, 0),
+      waitingDials: accounts.reduce((sum, limit) => sum + limit.waitingDials, 0),
+      limits
+    };
+  };
+
+  return {
+    acquire,
+    releaseCall,
+    recordCallStatus,
+    getUtilization
+  };
+};
+
+module.exports = {
+  CallLimitError,
+  createCallLimiter,
+  ...createCallLimiter()
+};
@@ -0,0 +1,302 @@
+/**
+ * Call Listen Service
+ * Lets supervisors listen in to live calls from the browser.
+ * The stream gateway publishes the caller's audio and the bridges publish the agent's. Each
+ * listener hears one track, or both mixed, as 16-bit PCM at 8 kHz, and every listen is audited.
+ */
+
+const db = require('../models');
+const logger = require('../utils/logger');
+const { ULawDecoder, ALawDecoder, resamplePcm } = require('../utils/audio-codecs');
+const { scopeWhere } = require('../utils/workspace-scope');
+
+// inbound is the caller, outbound the agent
+const LISTEN_TRACKS = ['mixed', 'inbound', 'outbound'];
+
+const LISTEN_SAMPLE_RATE = 8000;
+
+// Agent audio arrives faster than it plays; a mixed listener queues at most this much of it
+const MAX_QUEUED_OUTBOUND_BYTES = LISTEN_SAMPLE_RATE * 2 * 30;
+
+// Output format names the pipeline bridge uses for telephony audio
+const FORMAT_ALIASES = {
+  pcm_mulaw: 'ulaw_8000',
+  pcm_alaw: 'alaw_8000'
+};
+
+const ulawDecoder = new ULawDecoder({ sampleRate: 8000, channels: 1, bitDepth: 8 });
+const alawDecoder = new ALawDecoder({ sampleRate: 8000, channels: 1, bitDepth: 8 });
+
+// Listeners by call SID
+const listeners = new Map();
+
+/**
+ * Format name of a call's audio
+ * @param {Object} mediaFormat - SignalWire media format from the stream's start event
+ * @returns {string} ulaw_8000, alaw_8000 or pcm_<rate>
+ */
+const callAudioFormat = (mediaFormat) => {
+  const encoding = (mediaFormat && mediaFormat.encoding) || 'audio/x-mulaw';
+  if (encoding.includes('mulaw')) {
+    return 'ulaw_8000';
+  }
+  if (encoding.includes('alaw')) {
+    return 'alaw_8000';
+  }
+  return `pcm_${mediaFormat.sampleRate || 16000}`;
+};
+
+/**
+ * Convert audio to what listeners hear
+ * @param {Buffer} audio - Audio in the given format
+ * @param {string} format - ulaw_8000, alaw_8000, pcm_<rate> or an alias
+ * @returns {Buffer|null} 16-bit PCM at 8 kHz, or null for formats that cannot be decoded here (MP3)
+ */
+const toListenPcm = (audio, format) => {
+  const name = FORMAT_ALIASES[format] || format;
+  if (name === 'ulaw_8000') {
+    return ulawDecoder.decode(audio);
+  }
+  if (name === 'alaw_8000') {
+    return alawDecoder.decode(audio);
+  }
+
+  const match = /^pcm_(\d+)$/.exec(name);
+  return match ? resamplePcm(audio, parseInt(match[1], 10), LISTEN_SAMPLE_RATE) : null;
+};
+
+/**
+ * Add two PCM signals, clipping to 16 bits
+ * @param {Buffer} base - Audio that sets the length
+ * @param {Buffer} overlay - Audio mixed in; zero-padded when shorter
+ * @returns {Buffer}
+ */
+const mixPcm = (base, overlay) => {
+  const mixed = Buffer.alloc(base.length);
+  for (let offset = 0; offset + 1 < base.length; offset += 2) {
+    const extra = offset + 1 < overlay.length ? overlay.readInt16LE(offset) : 0;
+    mixed.writeInt16LE(Math.max(-32768, Math.min(32767, base.readInt16LE(offset) + extra)), offset);
+  }
+  return mixed;
+};
+
+/**
+ * Take queued agent audio off a mixed listener's queue
+ * @param {Object} listener - Listener
+ * @param {number} bytes - How much to take
+ * @returns {Buffer} Up to `bytes` of PCM
+ */
+const takeQueuedOutbound = (listener, bytes) => {
+  const taken = [];
+  let remaining = bytes;
+
+  while (remaining > 0 && listener.outboundQueue.length > 0) {
+    const chunk = listener.outboundQueue[0];
+    if (chunk.length <= remaining) {
+      taken.push(listener.outboundQueue.shift());
+      remaining -= chunk.length;
+    } else {
+      taken.push(chunk.subarray(0, remaining));
+      listener.outboundQueue[0] = chunk.subarray(remaining);
+      remaining = 0;
+    }
+  }
+
+  const audio = Buffer.concat(taken);
+  listener.queuedBytes -= audio.length;
+  return audio;
+};
+
+/**
+ * Send audio to a listener
+ * @param {Object} listener - Listener
+ * @param {Buffer} pcm - 16-bit PCM at 8 kHz
+ */
+const sendAudio = (listener, pcm) => {
+  listener.send(pcm);
+  listener.bytesSent += pcm.length;
+};
+
+/**
+ * Give one track's audio to a listener
+ * Mixed listeners are paced by the caller's audio, which SignalWire sends in real time, silence
+ * included: each caller frame is sent with the same length of queued agent audio mixed in.
+ * @param {Object} listener - Listener
+ * @param {string} track - inbound or outbound
+ * @param {Buffer} pcm - 16-bit PCM at 8 kHz
+ */
+const deliver = (listener, track, pcm) => {
+  if (listener.track === track) {
+    sendAudio(listener, pcm);
+    return;
+  }
+  if (listener.track !== 'mixed') {
+    return;
+  }
+
+  if (track === 'outbound') {
+    listener.outboundQueue.push(pcm);
+    listener.queuedBytes += pcm.length;
+    while (listener.queuedBytes > MAX_QUEUED_OUTBOUND_BYTES) {
+      listener.queuedBytes -= listener.outboundQueue.shift().length;
+    }
+    return;
+  }
+
+  sendAudio(listener, mixPcm(pcm, takeQueuedOutbound(listener, pcm.length)));
+};
+
+/**
+ * Whether anyone is listening to a call
+ * Publishers check this before decoding audio nobody will hear.
+ * @param {string} callSid - Call SID
+ * @returns {boolean}
+ */
+const hasListeners = (callSid) => listeners.has(callSid);
+
+/**
+ * Publish a chunk of call audio to the call's listeners
+ * @param {string} callSid - Call SID
+ * @param {string} track - inbound (caller) or outbound (agent)
+ * @param {Buffer} audio - Audio chunk
+ * @param {string} format - Format of the chunk
+ */
+const publishAudio = (callSid, track, audio, format) => {
+  const callListeners = listeners.get(callSid);
+  if (!callListeners || !audio || audio.length === 0) {
+    return;
+  }
+
+  const pcm = toListenPcm(audio, format);
+  if (!pcm) {
+    return;
+  }
+
+  callListeners.forEach(listener => deliver(listener, track, pcm));
+};
+
+/**
+ * Drop agent audio that will no longer be played, after the caller barged in
+ * @param {string} callSid - Call SID
+ */
+const clearOutbound = (callSid) => {
+  const callListeners = listeners.get(callSid);
+  if (!callListeners) {
+    return;
+  }
+
+  callListeners.forEach((listener) => {
+    listener.outboundQueue = [];
+    listener.queuedBytes = 0;
+    // Browsers buffer ahead; an agent-only listener has already been sent the cut-off audio
+    if (listener.track === 'outbound') {
+      listener.send({ type: 'clear' });
+    }
+  });
+};
+
+/**
+ * Start forking a call's audio to a supervisor
+ * The audit record is written before any audio is sent.
+ * @param {Object} options
+ * @param {string} options.callSid - Call SID
+ * @param {number} [options.callLogId] - CallLog ID
+ * @param {string} options.workspaceId - Workspace the call belongs to
+ * @param {string} options.userId - Supervisor listening
+ * @param {string} options.track - mixed, inbound or outbound
+ * @param {string} [options.listenTokenId] - Listen token used; a token already recorded is refused
+ * @param {Function} options.send - Sends a Buffer of audio or a JSON message to the browser
+ * @returns {Promise<Object>} The listener, for stopListening()
+ */
+const startListening = async ({ callSid, callLogId = null, workspaceId, userId, track, listenTokenId = null, send }) => {
+  const startedAt = Date.now();
+  const audit = await db.CallListenSession.create({
+    workspaceId,
+    callSid,
+    callLogId,
+    userId,
+    track,
+    listenTokenId,
+    startedAt: new Date(startedAt)
+  });
+
+  const listener = {
+    callSid,
+    userId,
+    track,
+    send,
+    audit,
+    startedAt,
+    bytesSent: 0,
+    outboundQueue: [],
+    queuedBytes: 0
+  };
+
+  if (!listeners.has(callSid)) {
+    listeners.set(callSid, new Set());
+  }
+  listeners.get(callSid).add(listener);
+
+  logger.info(`User ${userId} started listening to call ${callSid} (${track})`);
+  return listener;
+};
+
+/**
+ * Stop forking audio to a supervisor and close the audit record
+ * @param {Object} listener - Listener from startListening()
+ * @param {string} [endReason] - stopped or call_ended
+ * @returns {Promise<boolean>} Whether the listener was still listening
+ */
+const stopListening = async (listener, endReason = 'stopped') => {
+  const callListeners = listeners.get(listener.callSid);
+  if (!callListeners || !callListeners.delete(listener)) {
+    return false;
+  }
+  if (callListeners.size === 0) {
+    listeners.delete(listener.callSid);
+  }
+
+  const durationMs = Date.now() - listener.startedAt;
+  try {
+    await listener.audit.update({
+      endedAt: new Date(),
+      durationMs,
+      bytesSent: listener.bytesSent,
+      endReason
+    });
+  } catch (error) {
+    logger.error(`Error closing listen audit ${listener.audit.id} for call ${listener.callSid}: ${error.message}`);
+  }
+
+  logger.info(`User ${listener.userId} stopped listening to call ${listener.callSid} after ${Math.round(durationMs / 1000)}s (${endReason})`);
+  return true;
+};
+
+/**
+ * Who listened to a call, newest first
+ * @param {string} callSid - Call SID
+ * @param {string} [workspaceId] - Workspace to restrict to
+ * @returns {Promise<Array>} CallListenSession records with the listening user
+ */
+const listListenSessions = (callSid, workspaceId) => db.CallListenSession.findAll({
+  where: scopeWhere({ callSid }, workspaceId),
+  attributes: { exclude: ['listenTokenId'] },
+  include: [{
+    model: db.User,
+    as: 'user',
+    attributes: ['id', 'firstName', 'lastName', 'email']
+  }],
+  order: [['startedAt', 'DESC']]
+});
+
+module.exports = {
+  LISTEN_TRACKS,
+  LISTEN_SAMPLE_RATE,
+  callAudioFormat,
+  hasListeners,
+  publishAudio,
+  clearOutbound,
+  startListening,
+  stopListening,
+  listListenSessions
+};
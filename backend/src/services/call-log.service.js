@@ -36,6 +36,7 @@ const createCallLog = async (callData) => {
       metadata: callData.metadata || {},
       amdResult: callData.amdResult || null,
       amdDuration: callData.amdDuration || null,
+      workspaceId: callData.workspaceId || null,
       campaignId: callData.campaignId || null,
       contactId: callData.contactId || null,
       userId: callData.userId || null
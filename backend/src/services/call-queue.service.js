@@ -7,6 +7,12 @@ const db = require('../models');
 const { Op } = require('sequelize');
 const logger = require('../utils/logger');
 const callHandlingService = require('./call-handling.service');
+const callingWindowService = require('./calling-window.service');
+const businessScheduleService = require('./business-schedule.service');
+const { DoNotCallError } = require('./dnc.service');
+const { CallLimitError } = require('./call-limiter.service');
+const { findScopedByPk } = require('../utils/workspace-scope');
+const config = require('../config');
 
 /**
  * Add a call to the queue
@@ -14,12 +20,15 @@ const callHandlingService = require('./call-handling.service');
  * @param {string} callData.toNumber - Destination phone number
  * @param {string} callData.fromNumber - Caller ID to use
  * @param {number} [callData.priority=5] - Priority (1-10, higher is more important)
+ * @param {string} [callData.workspaceId] - Owning workspace
  * @param {string} [callData.campaignId] - Associated campaign ID
  * @param {number} [callData.contactId] - Associated contact ID
  * @param {string} [callData.voiceAgentId] - Voice agent to use
  * @param {string} [callData.scriptId] - Script to use
  * @param {Object} [callData.metadata] - Additional call metadata
  * @param {Date} [callData.scheduledTime] - When to process this call (null = ASAP)
+ * @param {string} [callData.type='call'] - 'callback' for a callback the callee asked for
+ * @param {number} [callData.callLogId] - Call the callback was requested on
  * @returns {Promise<Object>} Created queue item
  */
 const addToQueue = async (callData) => {
@@ -31,12 +40,15 @@ const addToQueue = async (callData) => {
       toNumber: callData.toNumber,
       fromNumber: callData.fromNumber,
       priority: callData.priority || 5,
+      workspaceId: callData.workspaceId || null,
       campaignId: callData.campaignId || null,
       contactId: callData.contactId || null,
       voiceAgentId: callData.voiceAgentId || null,
       scriptId: callData.scriptId || null,
       metadata: callData.metadata || {},
       scheduledTime: callData.scheduledTime || null,
+      type: callData.type || 'call',
+      callLogId: callData.callLogId || null,
       status: 'waiting'
     });
     
@@ -52,10 +64,52 @@ const addToQueue = async (callData) => {
 };
 
 /**
- * Get next call(s) from the queue to process
+ * Claim waiting queue items for this worker
+ * The rows are locked with FOR UPDATE SKIP LOCKED and flipped to processing in the same
+ * transaction, so workers sharing the database never claim the same item.
+ * @param {Object} where - Conditions on the items; only waiting items are claimed
+ * @param {Array} order - Claim order
+ * @param {number} limit - Most items to claim
+ * @returns {Promise<Array>} Claimed queue items
+ */
+const claimQueueItems = async (where, order, limit) => {
+  return db.sequelize.transaction(async (transaction) => {
+    const items = await db.CallQueue.findAll({
+      where: { ...where, status: 'waiting' },
+      order,
+      limit,
+      transaction,
+      lock: transaction.LOCK.UPDATE,
+      skipLocked: true
+    });
+    
+    if (items.length === 0) {
+      return [];
+    }
+    
+    const claim = {
+      status: 'processing',
+      claimedBy: config.worker.id,
+      claimedAt: new Date()
+    };
+    await db.CallQueue.update(claim, {
+      where: { id: items.map(item => item.id) },
+      transaction
+    });
+    
+    items.forEach(item => item.set(claim));
+    return items;
+  });
+};
+
+/**
+ * Claim the next call(s) from the queue to process
+ * Claimed items are processing; put back any that are not dialed.
  * @param {number} [limit=1] - Number of calls to retrieve
  * @param {Object} [filters] - Optional filters
  * @param {string} [filters.campaignId] - Filter by campaign
+ * @param {string} [filters.workspaceId] - Filter by workspace
+ * @param {string} [filters.type] - Only 'call' or 'callback' items
  * @returns {Promise<Array>} Array of queue items to process
  */
 const getNextFromQueue = async (limit = 1, filters = {}) => {
@@ -76,24 +130,38 @@ const getNextFromQueue = async (limit = 1, filters = {}) => {
       whereClause.campaignId = filters.campaignId;
     }
     
-    // Get items ordered by priority (desc) and queue position (asc)
+    if (filters.workspaceId) {
+      whereClause.workspaceId = filters.workspaceId;
+    }
+    
+    if (filters.type) {
+      whereClause.type = filters.type;
+    }
+    
+    // Claim items ordered by priority (desc) and queue position (asc)
+    const order = [
+      ['priority', 'DESC'],
+      ['queuePosition', 'ASC']
+    ];
+    const claimed = await claimQueueItems(whereClause, order, limit);
+    
+    if (claimed.length === 0) {
+      return [];
+    }
+    
     const queueItems = await db.CallQueue.findAll({
-      where: whereClause,
-      order: [
-        ['priority', 'DESC'],
-        ['queuePosition', 'ASC']
-      ],
-      limit: limit,
+      where: { id: claimed.map(item => item.id) },
+      order,
       include: [
         {
           model: db.Contact,
           as: 'contact',
-          attributes: ['id', 'firstName', 'lastName', 'phone', 'email']
+          attributes: ['id', 'firstName', 'lastName', 'phone', 'email', 'timezone']
         },
         {
           model: db.Campaign,
           as: 'campaign',
-          attributes: ['id', 'name', 'status']
+          attributes: ['id', 'name', 'status', 'settings']
         }
       ]
     });
@@ -149,20 +217,59 @@ const processQueue = async (batchSize = 5, filters = {}) => {
     
     if (queueItems.length === 0) {
       logger.info('No calls in queue to process');
-      return { processed: 0, success: 0, failed: 0 };
+      return { processed: 0, success: 0, failed: 0, deferred: 0, blocked: 0 };
     }
     
     logger.info(`Found ${queueItems.length} calls to process`);
     
     const results = {
-      processed: queueItems.length,
+      processed: 0,
       success: 0,
       failed: 0,
+      deferred: 0,
+      blocked: 0,
       calls: []
     };
     
+    // Holiday calendars of the campaigns in this batch, loaded once each
+    const holidaySchedules = new Map();
+    
     // Process each call
     for (const item of queueItems) {
+      if (item.campaign && !holidaySchedules.has(item.campaign.id)) {
+        holidaySchedules.set(item.campaign.id, await businessScheduleService.getCampaignSchedule(item.campaign));
+      }
+      
+      // Only dial inside the callee's local calling window and off holidays; otherwise push to the next legal slot
+      const window = callingWindowService.checkCallingWindow(
+        item.contact || { phone: item.toNumber },
+        item.campaign,
+        new Date(),
+        item.campaign ? holidaySchedules.get(item.campaign.id) : null
+      );
+      
+      if (!window.allowed) {
+        await updateQueueItemStatus(item.id, 'waiting', {
+          scheduledTime: window.nextSlot,
+          metadata: {
+            ...(item.metadata || {}),
+            deferredReason: window.holiday ? 'holiday' : 'outside_calling_window',
+            timezone: window.timezone
+          }
+        });
+        
+        logger.info(`Deferred queue item ${item.id} to ${window.nextSlot && window.nextSlot.toISOString()} (${window.timezone})`);
+        results.deferred++;
+        results.calls.push({
+          queueId: item.id,
+          status: 'deferred',
+          scheduledTime: window.nextSlot
+        });
+        continue;
+      }
+      
+      results.processed++;
+      
       try {
         // Update status to processing
         await updateQueueItemStatus(item.id, 'processing', {
@@ -176,7 +283,12 @@ const processQueue = async (batchSize = 5, filters = {}) => {
           item.fromNumber,
           item.voiceAgentId,
           item.scriptId,
-          item.campaignId ? { id: item.campaignId } : {},
+          {
+            id: item.campaignId || null,
+            workspaceId: item.workspaceId,
+            contactId: item.contactId,
+            callerIdStrategy: item.campaign && item.campaign.settings ? item.campaign.settings.callerIdStrategy : undefined
+          },
           null // phoneNumberId
         );
         
@@ -192,6 +304,37 @@ const processQueue = async (batchSize = 5, filters = {}) => {
           status: 'success'
         });
       } catch (error) {
+        if (error instanceof DoNotCallError) {
+          // Suppressed numbers are never retried
+          await updateQueueItemStatus(item.id, 'canceled', {
+            metadata: { ...(item.metadata || {}), canceledReason: 'do_not_call' }
+          });
+          
+          results.blocked++;
+          results.calls.push({
+            queueId: item.id,
+            status: 'blocked',
+            error: error.message
+          });
+          continue;
+        }
+        
+        if (error instanceof CallLimitError) {
+          // No line was free in time; the item goes back without using up an attempt
+          await updateQueueItemStatus(item.id, 'waiting', {
+            attempts: item.attempts,
+            metadata: { ...(item.metadata || {}), deferredReason: 'call_limit' }
+          });
+          
+          results.deferred++;
+          results.calls.push({
+            queueId: item.id,
+            status: 'deferred',
+            error: error.message
+          });
+          continue;
+        }
+        
         logger.error(`Error processing queue item ${item.id}: ${error.message}`);
         
         // Update with failure
@@ -206,7 +349,7 @@ const processQueue = async (batchSize = 5, filters = {}) => {
       }
     }
     
-    logger.info(`Queue processing complete. Success: ${results.success}, Failed: ${results.failed}`);
+    logger.info(`Queue processing complete. Success: ${results.success}, Failed: ${results.failed}, Deferred: ${results.deferred}, Blocked: ${results.blocked}`);
     return results;
   } catch (error) {
     logger.error(`Error processing queue: ${error.message}`);
@@ -217,11 +360,12 @@ const processQueue = async (batchSize = 5, filters = {}) => {
 /**
  * Cancel a queued call
  * @param {number} queueId - Queue item ID
+ * @param {string} [workspaceId] - Restrict to this workspace
  * @returns {Promise<Object>} Canceled queue item
  */
-const cancelQueuedCall = async (queueId) => {
+const cancelQueuedCall = async (queueId, workspaceId) => {
   try {
-    const queueItem = await db.CallQueue.findByPk(queueId);
+    const queueItem = await findScopedByPk(db.CallQueue, queueId, workspaceId);
     
     if (!queueItem) {
       throw new Error(`Queue item ${queueId} not found`);
@@ -248,11 +392,12 @@ const cancelQueuedCall = async (queueId) => {
  * Update priority for a queued call
  * @param {number} queueId - Queue item ID
  * @param {number} priority - New priority (1-10)
+ * @param {string} [workspaceId] - Restrict to this workspace
  * @returns {Promise<Object>} Updated queue item
  */
-const updateQueueItemPriority = async (queueId, priority) => {
+const updateQueueItemPriority = async (queueId, priority, workspaceId) => {
   try {
-    const queueItem = await db.CallQueue.findByPk(queueId);
+    const queueItem = await findScopedByPk(db.CallQueue, queueId, workspaceId);
     
     if (!queueItem) {
       throw new Error(`Queue item ${queueId} not found`);
@@ -322,6 +467,10 @@ const getQueueStats = async (filters = {}) => {
       whereClause.campaignId = filters.campaignId;
     }
     
+    if (filters.workspaceId) {
+      whereClause.workspaceId = filters.workspaceId;
+    }
+    
     // Get total counts by status
     const countsByStatus = await db.CallQueue.findAll({
       attributes: [
@@ -349,7 +498,8 @@ const getQueueStats = async (filters = {}) => {
       `SELECT AVG(EXTRACT(EPOCH FROM (updated_at - entry_time))) as avg_wait_time 
       FROM call_queues 
       WHERE status = 'completed'
-      ${filters.campaignId ? 'AND campaign_id = :campaignId' : ''}`,
+      ${filters.campaignId ? 'AND campaign_id = :campaignId' : ''}
+      ${filters.workspaceId ? 'AND "workspaceId" = :workspaceId' : ''}`,
       { 
         replacements: filters,
         type: db.sequelize.QueryTypes.SELECT 
@@ -414,11 +564,12 @@ const getQueueItems = async (filters = {}, limit = 100, offset = 0) => {
 /**
  * Get a queue item by ID
  * @param {number} id - Queue item ID
+ * @param {string} [workspaceId] - Restrict to this workspace
  * @returns {Promise<Object>} Queue item
  */
-const getQueueItemById = async (id) => {
+const getQueueItemById = async (id, workspaceId) => {
   try {
-    const queueItem = await db.CallQueue.findByPk(id, {
+    const queueItem = await findScopedByPk(db.CallQueue, id, workspaceId, {
       include: [
         {
           model: db.Contact,
@@ -443,6 +594,7 @@ const getQueueItemById = async (id) => {
 module.exports = {
   addToQueue,
   getNextFromQueue,
+  claimQueueItems,
   updateQueueItemStatus,
   processQueue,
   cancelQueuedCall,
@@ -10,6 +10,7 @@ const db = require('../models');
 const logger = require('../utils/logger');
 const signalwireService = require('./signalwire.service');
 const config = require('../config');
+const { scopeWhere, findScopedByPk } = require('../utils/workspace-scope');
 
 // Local storage path for recordings (should use cloud storage in production)
 const RECORDINGS_DIR = process.env.RECORDINGS_DIR || path.join(__dirname, '../../recordings');
@@ -27,12 +28,19 @@ if (!fs.existsSync(RECORDINGS_DIR)) {
  * @param {boolean} [options.dual=false] - Whether to record both sides separately
  * @param {number} [options.maxDuration=3600] - Max recording duration in seconds
  * @param {boolean} [options.transcribe=false] - Whether to transcribe the recording
+ * @param {string} [workspaceId] - Workspace that must own the call
  * @returns {Promise<Object>} Recording details
  */
-const startCallRecording = async (callSid, options = {}) => {
+const startCallRecording = async (callSid, options = {}, workspaceId = null) => {
   try {
     logger.info(`Starting recording for call: ${callSid}`);
     
+    const callLog = await db.CallLog.findOne({ where: scopeWhere({ callSid }, workspaceId) });
+    if (workspaceId && !callLog) {
+      throw new Error(`Call ${callSid} not found`);
+    }
+    const callWorkspaceId = callLog ? callLog.workspaceId : workspaceId;
+    
     // Set default options
     const recordingOptions = {
       dual: options.dual || false,
@@ -41,10 +49,11 @@ const startCallRecording = async (callSid, options = {}) => {
     };
     
     // Call SignalWire API to start recording
-    const recording = await signalwireService.startRecording(callSid, recordingOptions);
+    const recording = await signalwireService.startRecording(callSid, recordingOptions, callWorkspaceId);
     
     // Create recording record in database
     const callRecording = await db.CallRecording.create({
+      workspaceId: callWorkspaceId,
       recordingSid: recording.sid,
       callSid,
       status: 'in-progress',
@@ -74,18 +83,19 @@ const startCallRecording = async (callSid, options = {}) => {
 /**
  * Stop an active call recording
  * @param {string} callSid - Call SID to stop recording
+ * @param {string} [workspaceId] - Restrict to this workspace
  * @returns {Promise<Object>} Updated recording details
  */
-const stopCallRecording = async (callSid) => {
+const stopCallRecording = async (callSid, workspaceId) => {
   try {
     logger.info(`Stopping recording for call: ${callSid}`);
     
     // Find active recording for this call
     const callRecording = await db.CallRecording.findOne({
-      where: {
+      where: scopeWhere({
         callSid,
         status: 'in-progress'
-      }
+      }, workspaceId)
     });
     
     if (!callRecording) {
@@ -93,7 +103,7 @@ const stopCallRecording = async (callSid) => {
     }
     
     // Stop recording via SignalWire API
-    const result = await signalwireService.stopRecording(callSid, callRecording.recordingSid);
+    const result = await signalwireService.stopRecording(callSid, callRecording.workspaceId);
     
     // Update recording record
     await callRecording.update({
@@ -233,11 +243,12 @@ const downloadRecording = async (recordingId, url) => {
 /**
  * Get recording details by ID
  * @param {number} recordingId - Recording ID
+ * @param {string} [workspaceId] - Restrict to this workspace
  * @returns {Promise<Object>} Recording details
  */
-const getRecordingById = async (recordingId) => {
+const getRecordingById = async (recordingId, workspaceId) => {
   try {
-    const recording = await db.CallRecording.findByPk(recordingId, {
+    const recording = await findScopedByPk(db.CallRecording, recordingId, workspaceId, {
       include: [
         {
           model: db.CallLog,
@@ -261,12 +272,13 @@ const getRecordingById = async (recordingId) => {
 /**
  * Get recordings for a specific call
  * @param {string} callSid - Call SID
+ * @param {string} [workspaceId] - Restrict to this workspace
  * @returns {Promise<Array>} Array of recording objects
  */
-const getRecordingsForCall = async (callSid) => {
+const getRecordingsForCall = async (callSid, workspaceId) => {
   try {
     const recordings = await db.CallRecording.findAll({
-      where: { callSid },
+      where: scopeWhere({ callSid }, workspaceId),
       order: [['startTime', 'DESC']]
     });
     
@@ -310,12 +322,13 @@ const listRecordings = async (filters = {}, limit = 50, offset = 0) => {
 /**
  * Delete a recording (both database record and file)
  * @param {number} recordingId - Recording ID
+ * @param {string} [workspaceId] - Restrict to this workspace
  * @returns {Promise<boolean>} Success status
  */
-const deleteRecording = async (recordingId) => {
+const deleteRecording = async (recordingId, workspaceId) => {
   try {
     // Get recording
-    const recording = await db.CallRecording.findByPk(recordingId);
+    const recording = await findScopedByPk(db.CallRecording, recordingId, workspaceId);
     
     if (!recording) {
       throw new Error(`Recording ${recordingId} not found`);
@@ -356,7 +369,8 @@ const getRecordingStats = async (filters = {}) => {
       `SELECT SUM(duration) as totalDuration FROM call_recordings
        WHERE duration IS NOT NULL
        ${filters.startTime ? 'AND start_time >= :startTime' : ''}
-       ${filters.endTime ? 'AND start_time <= :endTime' : ''}`,
+       ${filters.endTime ? 'AND start_time <= :endTime' : ''}
+       ${filters.workspaceId ? 'AND workspace_id = :workspaceId' : ''}`,
       {
         replacements: filters,
         type: db.sequelize.QueryTypes.SELECT
@@ -368,7 +382,8 @@ const getRecordingStats = async (filters = {}) => {
       `SELECT AVG(duration) as avgDuration FROM call_recordings
        WHERE duration IS NOT NULL
        ${filters.startTime ? 'AND start_time >= :startTime' : ''}
-       ${filters.endTime ? 'AND start_time <= :endTime' : ''}`,
+       ${filters.endTime ? 'AND start_time <= :endTime' : ''}
+       ${filters.workspaceId ? 'AND workspace_id = :workspaceId' : ''}`,
       {
         replacements: filters,
         type: db.sequelize.QueryTypes.SELECT
@@ -8,6 +8,14 @@ const signalWireService = require('./signalwire.service');
 const campaignService = require('./campaign.service');
 const contactService = require('./contact.service');
 const callLogService = require('./call-log.service');
+const callLimiterService = require('./call-limiter.service');
+const { CallLimitError } = callLimiterService;
+const callQueueService = require('./call-queue.service');
+const dncService = require('./dnc.service');
+const pacingService = require('./pacing.service');
+const phoneNumberService = require('./phone-number.service');
+const retryPolicyService = require('./retry-policy.service');
+const campaignScheduler = require('./campaign-scheduler.service');
 const db = require('../models');
 const logger = require('../utils/logger');
 const config = require('../config');
@@ -23,9 +31,7 @@ const { CallLog, Contact, Campaign } = db;
  * @param {number} options.maxConcurrent - Maximum concurrent calls (default: 5)
  * @param {number} options.callDelay - Delay between calls in ms (default: 2000)
  * @param {boolean} options.useAmd - Use Answering Machine Detection (default: true)
- * @param {number} options.maxRetries - Maximum retry attempts (default: 3)
- * @param {number} options.retryDelayMinutes - Delay between retries in minutes (default: 60)
- * @param {Object} options.retryOn - Status codes to retry on (default: busy, no-answer, failed)
+ * Retries follow the campaign's retry policy (Campaign.settings.retryPolicy).
  * @returns {Object} Schedule result
  */
 const scheduleBatchCalls = async (campaignId, contactIds, options = {}) => {
@@ -43,14 +49,7 @@ const scheduleBatchCalls = async (campaignId, contactIds, options = {}) => {
     const defaultOptions = {
       maxConcurrent: 5,
       callDelay: 2000, // 2 seconds between each call
-      useAmd: true,
-      maxRetries: 3,
-      retryDelayMinutes: 60,
-      retryOn: {
-        busy: true,
-        'no-answer': true,
-        failed: true
-      }
+      useAmd: true
     };
     
     // Merge with provided options
@@ -99,7 +98,6 @@ const createCallQueueEntries = async (campaignId, contacts, options) => {
     // Get campaign caller ID
     const campaign = await Campaign.findByPk(campaignId);
     const from = campaign.callerId || config.defaultCallerId;
-    const phoneNumberId = campaign.phoneNumberId || null;
     
     // Current time
     const now = new Date();
@@ -115,18 +113,17 @@ const createCallQueueEntries = async (campaignId, contacts, options) => {
       
       // Create queue entry
       const queueEntry = await db.CallQueue.create({
+        workspaceId: campaign.workspaceId,
         campaignId,
         contactId: contact.id,
-        phoneNumber: contact.phone,
-        callerId: from,
-        phoneNumberId,
-        status: 'scheduled',
+        toNumber: contact.phone,
+        fromNumber: from,
+        status: 'waiting',
         priority: 1, // Default priority
         scheduledTime,
         attempts: 0,
-        maxAttempts: options.maxRetries,
-        useAmd: options.useAmd,
         metadata: {
+          useAmd: options.useAmd,
           contactName: contact.name,
           contactEmail: contact.email,
           campaignName: campaign.name
@@ -144,6 +141,21 @@ const createCallQueueEntries = async (campaignId, contacts, options) => {
   }
 };
 
+/**
+ * Put back a queue entry the outbound call limits left no room for
+ * The attempt counted before dialing is given back, since no call was placed.
+ * @param {Object} entry - Queue entry
+ * @returns {Promise<Object>}
+ */
+const deferForCallLimit = (entry) => {
+  logger.info(`Deferred queue entry ${entry.id}: outbound call limit reached`);
+  return entry.update({
+    status: 'waiting',
+    attempts: Math.max(0, entry.attempts - 1),
+    metadata: { ...(entry.metadata || {}), deferredReason: 'call_limit' }
+  });
+};
+
 /**
  * Initiate first batch of calls from the queue
  * @param {string} campaignId - Campaign ID
@@ -152,21 +164,20 @@ const createCallQueueEntries = async (campaignId, contacts, options) => {
  */
 const initiateFirstBatch = async (campaignId, maxConcurrent) => {
   try {
-    // Find queue entries that are ready to be called
-    const queueEntries = await db.CallQueue.findAll({
-      where: {
+    // Claim queue entries that are ready to be called
+    const queueEntries = await callQueueService.claimQueueItems(
+      {
         campaignId,
-        status: 'scheduled',
         scheduledTime: {
           [db.Sequelize.Op.lte]: new Date() // Only get entries scheduled now or in the past
         }
       },
-      order: [
+      [
         ['priority', 'DESC'], // Higher priority first
         ['scheduledTime', 'ASC'] // Earlier scheduled time first
       ],
-      limit: maxConcurrent
-    });
+      maxConcurrent
+    );
     
     if (queueEntries.length === 0) {
       logger.info(`No calls to initiate for campaign ${campaignId}`);
@@ -182,22 +193,56 @@ const initiateFirstBatch = async (campaignId, maxConcurrent) => {
     
     for (const entry of queueEntries) {
       try {
-        // Update entry status
-        await entry.update({ status: 'in-progress', startTime: new Date() });
+        // Suppressed numbers are logged and dropped from the queue
+        const dncEntry = await dncService.screenOutboundCall({
+          to: entry.toNumber,
+          from: entry.fromNumber,
+          workspaceId: campaign.workspaceId,
+          campaignId,
+          contactId: entry.contactId
+        });
+        if (dncEntry) {
+          await entry.update({ status: 'canceled' });
+          continue;
+        }
+        
+        // Update entry status and count the attempt the retry policy limits
+        await entry.update({
+          status: 'processing',
+          attempts: entry.attempts + 1,
+          lastAttemptTime: new Date()
+        });
+        
+        const callerId = await phoneNumberService.selectCallerId({
+          to: entry.toNumber,
+          from: entry.fromNumber,
+          workspaceId: campaign.workspaceId,
+          campaignId,
+          strategy: (campaign.settings || {}).callerIdStrategy
+        });
+        if (!callerId) {
+          throw new Error('No caller ID available: the workspace has no pool numbers and the entry has no from number');
+        }
+        const fromNumber = callerId.from;
         
         // Initiate call
         const callResult = await signalWireService.makeOutboundCall(
-          entry.phoneNumber,
-          entry.callerId,
+          entry.toNumber,
+          fromNumber,
           webhookUrl,
           {
             campaignId,
+            workspaceId: campaign.workspaceId,
             contactId: entry.contactId,
             queueId: entry.id,
-            useAmd: entry.useAmd
+            useAmd: (entry.metadata || {}).useAmd,
+            attempt: entry.attempts
           },
-          entry.phoneNumberId
+          callerId.number ? callerId.number.signalWireId : null
         );
+        if (callerId.number) {
+          await phoneNumberService.recordUsage(callerId.number);
+        }
         
         // Update queue entry with call SID
         await entry.update({ callSid: callResult.id });
@@ -205,23 +250,34 @@ const initiateFirstBatch = async (campaignId, maxConcurrent) => {
         // Create call log entry
         await CallLog.create({
           callSid: callResult.id,
+          workspaceId: campaign.workspaceId,
           campaignId,
           contactId: entry.contactId,
-          phoneNumber: entry.phoneNumber,
           direction: 'outbound',
+          from: fromNumber,
+          to: entry.toNumber,
+          phoneNumberId: callerId.number ? callerId.number.id : null,
           status: 'initiated',
           startTime: new Date(),
-          metadata: entry.metadata
+          callData: {
+            ...entry.metadata,
+            attempt: entry.attempts
+          }
         });
         
         initiatedCalls.push({
           queueId: entry.id,
           callSid: callResult.id,
-          phoneNumber: entry.phoneNumber
+          phoneNumber: entry.toNumber
         });
         
-        logger.info(`Initiated call to ${entry.phoneNumber} for campaign ${campaignId}, call SID: ${callResult.id}`);
+        logger.info(`Initiated call to ${entry.toNumber} for campaign ${campaignId}, call SID: ${callResult.id}`);
       } catch (error) {
+        if (error instanceof CallLimitError) {
+          await deferForCallLimit(entry);
+          continue;
+        }
+        
         logger.error(`Error initiating call for queue entry ${entry.id}: ${error.message}`);
         
         // Mark as failed and eligible for retry
@@ -274,7 +330,7 @@ const processCallQueue = async (campaignId = null) => {
       const activeCalls = await db.CallQueue.count({
         where: {
           campaignId: campaign.id,
-          status: 'in-progress'
+          status: 'processing'
         }
       });
       
@@ -287,55 +343,80 @@ const processCallQueue = async (campaignId = null) => {
         continue;
       }
       
-      // Find queue entries ready for calling or retrying
+      // Claim queue entries ready for calling or retrying; retries wait with a later scheduledTime
       const now = new Date();
-      const queueEntries = await db.CallQueue.findAll({
-        where: {
+      const queueEntries = await callQueueService.claimQueueItems(
+        {
           campaignId: campaign.id,
-          status: ['scheduled', 'retry'],
           scheduledTime: {
             [db.Sequelize.Op.lte]: now
-          },
-          attempts: {
-            [db.Sequelize.Op.lt]: db.Sequelize.col('maxAttempts')
           }
         },
-        order: [
+        [
           ['priority', 'DESC'], // Higher priority first
           ['scheduledTime', 'ASC'] // Earlier scheduled time first
         ],
-        limit: availableSlots
-      });
+        availableSlots
+      );
       
       results.processed += queueEntries.length;
       
       // Initiate calls for each queue entry
       for (const entry of queueEntries) {
         try {
+          // Suppressed numbers are logged and dropped from the queue
+          const dncEntry = await dncService.screenOutboundCall({
+            to: entry.toNumber,
+            from: entry.fromNumber,
+            workspaceId: campaign.workspaceId,
+            campaignId: campaign.id,
+            contactId: entry.contactId
+          });
+          if (dncEntry) {
+            await entry.update({ status: 'canceled' });
+            continue;
+          }
+          
           // Update entry status and increment attempt counter
           await entry.update({ 
-            status: 'in-progress', 
-            startTime: now,
+            status: 'processing', 
+            lastAttemptTime: now,
             attempts: entry.attempts + 1
           });
           
           // Get campaign webhook
           const webhookUrl = campaign.webhookUrl || `${config.publicUrl}/api/calls/webhook`;
           
+          const callerId = await phoneNumberService.selectCallerId({
+            to: entry.toNumber,
+            from: entry.fromNumber,
+            workspaceId: campaign.workspaceId,
+            campaignId: campaign.id,
+            strategy: (campaign.settings || {}).callerIdStrategy
+          });
+          if (!callerId) {
+            throw new Error('No caller ID available: the workspace has no pool numbers and the entry has no from number');
+          }
+          const fromNumber = callerId.from;
+          
           // Initiate call
           const callResult = await signalWireService.makeOutboundCall(
-            entry.phoneNumber,
-            entry.callerId,
+            entry.toNumber,
+            fromNumber,
             webhookUrl,
             {
               campaignId: campaign.id,
+              workspaceId: campaign.workspaceId,
               contactId: entry.contactId,
               queueId: entry.id,
-              useAmd: entry.useAmd,
+              useAmd: (entry.metadata || {}).useAmd,
               attempt: entry.attempts
             },
-            entry.phoneNumberId
+            callerId.number ? callerId.number.signalWireId : null
           );
+          if (callerId.number) {
+            await phoneNumberService.recordUsage(callerId.number);
+          }
           
           // Update queue entry with call SID
           await entry.update({ callSid: callResult.id });
@@ -343,13 +424,16 @@ const processCallQueue = async (campaignId = null) => {
           // Create or update call log
           await CallLog.create({
             callSid: callResult.id,
+            workspaceId: campaign.workspaceId,
             campaignId: campaign.id,
             contactId: entry.contactId,
-            phoneNumber: entry.phoneNumber,
             direction: 'outbound',
+            from: fromNumber,
+            to: entry.toNumber,
+            phoneNumberId: callerId.number ? callerId.number.id : null,
             status: 'initiated',
             startTime: now,
-            metadata: {
+            callData: {
               ...entry.metadata,
               attempt: entry.attempts
             }
@@ -362,8 +446,13 @@ const processCallQueue = async (campaignId = null) => {
             results.initiated++;
           }
           
-          logger.info(`Initiated call to ${entry.phoneNumber} for campaign ${campaign.id}, attempt ${entry.attempts}, call SID: ${callResult.id}`);
+          logger.info(`Initiated call to ${entry.toNumber} for campaign ${campaign.id}, attempt ${entry.attempts}, call SID: ${callResult.id}`);
         } catch (error) {
+          if (error instanceof CallLimitError) {
+            await deferForCallLimit(entry);
+            continue;
+          }
+          
           logger.error(`Error initiating call for queue entry ${entry.id}: ${error.message}`);
           
           // Mark as failed and eligible for retry
@@ -389,12 +478,22 @@ const processCallQueue = async (campaignId = null) => {
  */
 const handleCallCompletion = async (callSid, status, callDetails = {}) => {
   try {
+    // Free the campaign line and record its outcome for pacing
+    await pacingService.recordCallEnded(callSid, status, callDetails);
+    await callLimiterService.releaseCall(callSid);
+    
     // Find the queue entry for this call
     const queueEntry = await db.CallQueue.findOne({
       where: { callSid }
     });
     
     if (!queueEntry) {
+      // Campaign scheduler calls track attempts on the contact instead of a queue entry
+      const decision = await campaignScheduler.handleCallOutcome(callSid, status, callDetails);
+      if (decision) {
+        return { success: true, status, retry: decision.retry, retryTime: decision.retryAt || null };
+      }
+      
       logger.warn(`No queue entry found for call ${callSid}`);
       return { success: false, reason: 'No queue entry found' };
     }
@@ -402,7 +501,7 @@ const handleCallCompletion = async (callSid, status, callDetails = {}) => {
     // Update call log
     await CallLog.update({
       status,
-      endTime: new Date(),
+      endTime: callDetails.endTime || new Date(),
       duration: callDetails.duration || 0,
       recordingUrl: callDetails.recordingUrl,
       transcription: callDetails.transcription,
@@ -415,18 +514,21 @@ const handleCallCompletion = async (callSid, status, callDetails = {}) => {
       where: { callSid }
     });
     
-    // Determine if we need to retry
-    const needsRetry = shouldRetryCall(status, queueEntry);
+    // Let the campaign's retry policy decide whether to call again
+    const decision = await getRetryDecision(queueEntry, status, callDetails);
     
-    if (needsRetry) {
-      return await scheduleRetry(queueEntry, status, callDetails);
+    if (decision.retry) {
+      return await scheduleRetry(queueEntry, decision, status, callDetails);
     } else {
       // Mark as completed
       await queueEntry.update({ 
         status: status === 'completed' ? 'completed' : 'failed',
-        endTime: new Date(),
-        result: status,
-        resultDetails: callDetails
+        metadata: {
+          ...(queueEntry.metadata || {}),
+          result: status,
+          resultDetails: callDetails,
+          retryStoppedReason: decision.disposition ? decision.reason : undefined
+        }
       });
       
       return { 
@@ -464,14 +566,18 @@ const handleCallFailure = async (queueEntry, status, reason) => {
       });
     }
     
-    // Check if we should retry
-    if (queueEntry.attempts >= queueEntry.maxAttempts) {
+    const decision = await getRetryDecision(queueEntry, status);
+    
+    if (!decision.retry) {
       // No more retries - mark as failed
       await queueEntry.update({
         status: 'failed',
-        endTime: new Date(),
-        result: status,
-        resultDetails: { reason }
+        metadata: {
+          ...(queueEntry.metadata || {}),
+          result: status,
+          resultDetails: { reason },
+          retryStoppedReason: decision.reason
+        }
       });
       
       return { 
@@ -479,11 +585,11 @@ const handleCallFailure = async (queueEntry, status, reason) => {
         status, 
         reason,
         retry: false,
-        message: 'Maximum retry attempts reached' 
+        message: decision.reason === 'max_attempts' ? 'Maximum retry attempts reached' : 'Not retried'
       };
     } else {
       // Schedule retry
-      return await scheduleRetry(queueEntry, status, { reason });
+      return await scheduleRetry(queueEntry, decision, status, { reason });
     }
   } catch (error) {
     logger.error(`Error handling call failure for queue ${queueEntry.id}: ${error.message}`);
@@ -492,66 +598,58 @@ const handleCallFailure = async (queueEntry, status, reason) => {
 };
 
 /**
- * Determine if a call should be retried based on its status
- * @param {string} status - Call status
+ * Apply the campaign's retry policy to a queue entry's latest attempt
  * @param {Object} queueEntry - Queue entry
- * @returns {boolean} True if the call should be retried
+ * @param {string} status - Call status
+ * @param {Object} [details] - { answeredBy, machineDetection }
+ * @returns {Promise<Object>} Retry decision from retryPolicyService.evaluateRetry
  */
-const shouldRetryCall = (status, queueEntry) => {
-  // Don't retry if max attempts reached
-  if (queueEntry.attempts >= queueEntry.maxAttempts) {
-    return false;
-  }
-  
-  // Statuses that are eligible for retry
-  const retryStatuses = ['busy', 'no-answer', 'failed', 'machine'];
-  
-  // Don't retry successful calls or answering machine if not configured
-  if (status === 'completed') {
-    return false;
-  }
+const getRetryDecision = async (queueEntry, status, details = {}) => {
+  const campaign = queueEntry.campaignId ? await Campaign.findByPk(queueEntry.campaignId) : null;
+  const contact = queueEntry.contactId
+    ? await Contact.findByPk(queueEntry.contactId, { attributes: ['id', 'phone', 'timezone', 'optedOut'] })
+    : null;
   
-  // Don't retry machine detection unless configured
-  if (status === 'machine' && !queueEntry.retryOnMachine) {
-    return false;
+  // Never call back someone who opted out during the call
+  if (contact && contact.optedOut) {
+    return { retry: false, disposition: null, reason: 'opted_out' };
   }
   
-  return retryStatuses.includes(status);
+  return retryPolicyService.evaluateRetry(campaign, {
+    status,
+    details,
+    attempts: queueEntry.attempts,
+    contact: contact || { phone: queueEntry.toNumber }
+  });
 };
 
 /**
- * Schedule a retry for a failed call
+ * Put a queue entry back in the queue for its next attempt
  * @param {Object} queueEntry - Queue entry
+ * @param {Object} decision - Retry decision with retryAt and delayMinutes
  * @param {string} status - Status of the failed call
  * @param {Object} details - Details about the failure
  * @returns {Object} Retry information
  */
-const scheduleRetry = async (queueEntry, status, details = {}) => {
+const scheduleRetry = async (queueEntry, decision, status, details = {}) => {
   try {
-    // Get campaign retry settings
-    const campaign = await Campaign.findByPk(queueEntry.campaignId);
-    
-    // Calculate retry delay - exponential backoff with campaign settings
-    const retryDelayMinutes = campaign.retryDelayMinutes || 60;
-    const exponentialFactor = campaign.retryExponentialFactor || 1.5;
-    const baseDelay = retryDelayMinutes * 60 * 1000; // Convert to ms
-    const attemptFactor = Math.pow(exponentialFactor, queueEntry.attempts);
-    const retryDelay = baseDelay * attemptFactor;
-    
-    // Calculate next attempt time
     const now = new Date();
-    const retryTime = new Date(now.getTime() + retryDelay);
     
-    // Update queue entry
+    // Waiting entries are picked up again once scheduledTime passes
     await queueEntry.update({
-      status: 'retry',
-      scheduledTime: retryTime,
-      lastAttemptStatus: status,
-      lastAttemptTime: now,
-      lastAttemptDetails: details
+      status: 'waiting',
+      scheduledTime: decision.retryAt,
+      callSid: null,
+      metadata: {
+        ...(queueEntry.metadata || {}),
+        lastAttemptStatus: status,
+        lastAttemptDisposition: decision.disposition,
+        lastAttemptAt: now.toISOString(),
+        lastAttemptDetails: details
+      }
     });
     
-    logger.info(`Scheduled retry #${queueEntry.attempts + 1} for ${queueEntry.phoneNumber} at ${retryTime}, campaign ${queueEntry.campaignId}`);
+    logger.info(`Scheduled retry #${queueEntry.attempts + 1} (${decision.disposition}) for ${queueEntry.toNumber} at ${decision.retryAt.toISOString()}, campaign ${queueEntry.campaignId}`);
     
     return {
       success: true,
@@ -559,8 +657,8 @@ const scheduleRetry = async (queueEntry, status, details = {}) => {
       queueId: queueEntry.id,
       retry: true,
       nextAttempt: queueEntry.attempts + 1,
-      retryTime,
-      delay: retryDelay / 60000 // Return delay in minutes
+      retryTime: decision.retryAt,
+      delay: decision.delayMinutes
     };
   } catch (error) {
     logger.error(`Error scheduling retry for queue ${queueEntry.id}: ${error.message}`);
@@ -574,6 +672,7 @@ const scheduleRetry = async (queueEntry, status, details = {}) => {
  * @param {string} filter.campaignId - Cancel by campaign ID
  * @param {Array<string>} filter.contactIds - Cancel by contact IDs
  * @param {Array<string>} filter.queueIds - Cancel specific queue entries
+ * @param {string} [filter.reason] - Recorded as metadata.canceledReason (default 'cancelled_by_user')
  * @returns {Object} Cancellation results
  */
 const cancelScheduledCalls = async (filter) => {
@@ -593,23 +692,29 @@ const cancelScheduledCalls = async (filter) => {
       whereClause.id = filter.queueIds;
     }
     
-    // Only cancel calls that are scheduled or pending retry
-    whereClause.status = ['scheduled', 'retry'];
+    // Only cancel calls that have not been dialed yet
+    whereClause.status = 'waiting';
     
-    // Cancel the calls
-    const cancelCount = await db.CallQueue.update({
-      status: 'cancelled',
-      result: 'cancelled',
-      resultDetails: { reason: 'Cancelled by user' }
-    }, {
-      where: whereClause
-    });
+    const entries = await db.CallQueue.findAll({ where: whereClause });
+    const reason = filter.reason || 'cancelled_by_user';
+    
+    // Update one by one so the reason is merged into each entry's metadata
+    for (const entry of entries) {
+      await entry.update({
+        status: 'canceled',
+        metadata: {
+          ...(entry.metadata || {}),
+          canceledReason: reason,
+          canceledAt: new Date().toISOString()
+        }
+      });
+    }
     
-    logger.info(`Cancelled ${cancelCount[0]} scheduled calls with filter: ${JSON.stringify(filter)}`);
+    logger.info(`Cancelled ${entries.length} scheduled calls with filter: ${JSON.stringify(filter)}`);
     
     return {
       success: true,
-      cancelledCalls: cancelCount[0],
+      cancelledCalls: entries.length,
       filter
     };
   } catch (error) {
@@ -640,12 +745,12 @@ const getCallQueueStatus = async (campaignId) => {
       acc[item.status] = parseInt(item.getDataValue('count'), 10);
       return acc;
     }, {
-      scheduled: 0,
-      'in-progress': 0,
+      waiting: 0,
+      processing: 0,
       completed: 0,
       failed: 0,
-      retry: 0,
-      cancelled: 0
+      canceled: 0,
+      abandoned: 0
     });
     
     // Calculate total
@@ -655,7 +760,7 @@ const getCallQueueStatus = async (campaignId) => {
     const nextScheduled = await db.CallQueue.findOne({
       where: {
         campaignId,
-        status: ['scheduled', 'retry']
+        status: 'waiting'
       },
       order: [['scheduledTime', 'ASC']]
     });
@@ -6,6 +6,7 @@
 const db = require('../models');
 const signalwireService = require('./signalwire.service');
 const logger = require('../utils/logger');
+const { scopeWhere } = require('../utils/workspace-scope');
 
 /**
  * Initiate a call transfer
@@ -13,15 +14,16 @@ const logger = require('../utils/logger');
  * @param {string} targetEndpoint - Agent/endpoint to transfer to (SIP URI or phone number)
  * @param {string} transferType - Type of transfer ('warm' or 'cold')
  * @param {Object} metadata - Additional transfer metadata
+ * @param {string} [workspaceId] - Restrict to this workspace
  * @returns {Promise<Object>} Transfer result
  */
-const initiateTransfer = async (callSid, targetEndpoint, transferType = 'warm', metadata = {}) => {
+const initiateTransfer = async (callSid, targetEndpoint, transferType = 'warm', metadata = {}, workspaceId) => {
   try {
     logger.info(`Initiating ${transferType} transfer for call ${callSid} to ${targetEndpoint}`);
     
     // Find the call log
     const callLog = await db.CallLog.findOne({
-      where: { callSid }
+      where: scopeWhere({ callSid }, workspaceId)
     });
     
     if (!callLog) {
@@ -44,7 +46,7 @@ const initiateTransfer = async (callSid, targetEndpoint, transferType = 'warm',
       transferResult = await announceTransfer(callSid, targetEndpoint, metadata);
     } else {
       // For cold transfer, directly transfer the call
-      transferResult = await executeTransfer(callSid, targetEndpoint, metadata);
+      transferResult = await executeTransfer(callSid, targetEndpoint, metadata, callLog.workspaceId);
     }
     
     return {
@@ -58,7 +60,7 @@ const initiateTransfer = async (callSid, targetEndpoint, transferType = 'warm',
     
     // Update call log with failure status
     try {
-      const callLog = await db.CallLog.findOne({ where: { callSid } });
+      const callLog = await db.CallLog.findOne({ where: scopeWhere({ callSid }, workspaceId) });
       if (callLog) {
         await callLog.update({
           transferStatus: 'failed',
@@ -130,14 +132,15 @@ const announceTransfer = async (callSid, targetEndpoint, metadata = {}) => {
  * @param {string} callSid - Call SID
  * @param {string} targetEndpoint - Target agent/endpoint
  * @param {Object} metadata - Additional metadata
+ * @param {string} [workspaceId] - Workspace that owns the call
  * @returns {Promise<Object>} Transfer execution result
  */
-const executeTransfer = async (callSid, targetEndpoint, metadata = {}) => {
+const executeTransfer = async (callSid, targetEndpoint, metadata = {}, workspaceId) => {
   try {
     logger.info(`Executing transfer for call ${callSid} to ${targetEndpoint}`);
     
     // Update call status to in-progress transfer
-    const callLog = await db.CallLog.findOne({ where: { callSid } });
+    const callLog = await db.CallLog.findOne({ where: scopeWhere({ callSid }, workspaceId) });
     await callLog.update({ transferStatus: 'in-progress' });
     
     // Use SignalWire to execute the transfer
@@ -145,7 +148,8 @@ const executeTransfer = async (callSid, targetEndpoint, metadata = {}) => {
     const result = await signalwireService.transferCall(
       callSid,
       targetEndpoint,
-      metadata
+      metadata,
+      callLog.workspaceId
     );
     
     return result;
@@ -160,14 +164,15 @@ const executeTransfer = async (callSid, targetEndpoint, metadata = {}) => {
  * @param {string} callSid - Call SID
  * @param {boolean} success - Whether transfer was successful
  * @param {Object} details - Additional details about the completed transfer
+ * @param {string} [workspaceId] - Restrict to this workspace
  * @returns {Promise<Object>} Updated call log
  */
-const completeTransfer = async (callSid, success = true, details = {}) => {
+const completeTransfer = async (callSid, success = true, details = {}, workspaceId) => {
   try {
     logger.info(`Completing transfer for call ${callSid}, success: ${success}`);
     
     // Find and update the call log
-    const callLog = await db.CallLog.findOne({ where: { callSid } });
+    const callLog = await db.CallLog.findOne({ where: scopeWhere({ callSid }, workspaceId) });
     
     if (!callLog) {
       throw new Error(`Call log not found for SID: ${callSid}`);
@@ -192,9 +197,10 @@ const completeTransfer = async (callSid, success = true, details = {}) => {
 /**
  * Get pending transfers
  * @param {Object} filters - Optional filters
+ * @param {string} [workspaceId] - Restrict to this workspace
  * @returns {Promise<Array>} Pending transfers
  */
-const getPendingTransfers = async (filters = {}) => {
+const getPendingTransfers = async (filters = {}, workspaceId) => {
   try {
     // Build where clause
     const whereClause = {
@@ -210,7 +216,7 @@ const getPendingTransfers = async (filters = {}) => {
     
     // Get pending transfers
     const pendingTransfers = await db.CallLog.findAll({
-      where: whereClause,
+      where: scopeWhere(whereClause, workspaceId),
       include: [
         { model: db.Contact, as: 'contact' }
       ],
@@ -228,14 +234,15 @@ const getPendingTransfers = async (filters = {}) => {
  * Reject a transfer request
  * @param {string} callSid - Call SID
  * @param {string} reason - Reason for rejection
+ * @param {string} [workspaceId] - Restrict to this workspace
  * @returns {Promise<Object>} Updated call log
  */
-const rejectTransfer = async (callSid, reason = 'Agent rejected transfer') => {
+const rejectTransfer = async (callSid, reason = 'Agent rejected transfer', workspaceId) => {
   try {
     logger.info(`Rejecting transfer for call ${callSid}: ${reason}`);
     
     // Find the call log
-    const callLog = await db.CallLog.findOne({ where: { callSid } });
+    const callLog = await db.CallLog.findOne({ where: scopeWhere({ callSid }, workspaceId) });
     
     if (!callLog) {
       throw new Error(`Call log not found for SID: ${callSid}`);
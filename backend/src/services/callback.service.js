@@ -0,0 +1,146 @@
+/**
+ * Callback Service
+ * Books the callbacks callees ask for during a call ("call me back tomorrow at 3"). A callback is a
+ * call queue entry linked to the call it was requested on, due at a time read in the callee's timezone
+ * and queued ahead of fresh leads.
+ */
+
+const db = require('../models');
+const logger = require('../utils/logger');
+const callQueueService = require('./call-queue.service');
+const contactService = require('./contact.service');
+const { resolveTimezone } = require('./calling-window.service');
+const { isValidTimezone, parseDateTimeInZone, describeLocalTime } = require('../utils/timezone');
+
+// Highest queue priority, so due callbacks are dialed before anything else
+const CALLBACK_PRIORITY = 10;
+
+// Furthest ahead a callback can be booked
+const MAX_CALLBACK_DAYS = 90;
+
+/**
+ * Thrown when a callback request cannot be booked
+ */
+class InvalidCallbackError extends Error {
+  constructor(errors) {
+    super(`Invalid callback: ${errors.join('; ')}`);
+    this.name = 'InvalidCallbackError';
+    this.code = 'INVALID_CALLBACK';
+    this.errors = errors;
+  }
+}
+
+/**
+ * Read the requested callback time
+ * Local times ('2026-10-20T15:00') are in the callee's timezone; times with an offset are taken as is.
+ * @param {string} value - Requested time
+ * @param {string} timezone - Callee's timezone
+ * @returns {Date|null} Null when the value is not a date and time
+ */
+const parseCallbackTime = (value, timezone) => parseDateTimeInZone(value, timezone);
+
+/**
+ * Book a callback requested during a call
+ * A callee with a callback already waiting has it moved to the new time rather than getting a second one.
+ * @param {Object} request
+ * @param {string} request.callSid - Call the callee asked on
+ * @param {string} request.callbackTime - When to call back; local to the callee unless it has an offset
+ * @param {string} [request.timezone] - Callee's timezone, when they named one
+ * @param {string} [request.note] - What the callback is about
+ * @param {Date} [now] - Reference time
+ * @returns {Promise<Object>} { queueItem, timezone, localTime }
+ * @throws {InvalidCallbackError}
+ */
+const scheduleCallback = async ({ callSid, callbackTime, timezone, note }, now = new Date()) => {
+  const missing = [];
+  if (!callSid) {
+    missing.push('callSid is required');
+  }
+  if (!callbackTime) {
+    missing.push('callbackTime is required');
+  }
+  if (missing.length > 0) {
+    throw new InvalidCallbackError(missing);
+  }
+
+  const callLog = await db.CallLog.findOne({
+    where: { callSid },
+    include: [{ model: db.Contact, as: 'contact' }]
+  });
+  if (!callLog) {
+    throw new InvalidCallbackError([`Call ${callSid} not found`]);
+  }
+
+  // The callee is whoever the agent was talking to
+  const outbound = callLog.direction === 'outbound';
+  const calleeNumber = outbound ? callLog.to : callLog.from;
+  const ourNumber = outbound ? callLog.from : callLog.to;
+  const contact = callLog.contact || await contactService.getContactByPhone(calleeNumber, callLog.workspaceId);
+  const campaign = callLog.campaignId ? await db.Campaign.findByPk(callLog.campaignId) : null;
+
+  const zone = isValidTimezone(timezone)
+    ? timezone
+    : resolveTimezone(contact || { phone: calleeNumber }, campaign);
+
+  const scheduledTime = parseCallbackTime(callbackTime, zone);
+  if (!scheduledTime) {
+    throw new InvalidCallbackError([`callbackTime must be a date and time such as 2026-10-20T15:00, got ${callbackTime}`]);
+  }
+  if (scheduledTime <= now) {
+    throw new InvalidCallbackError(['callbackTime is in the past']);
+  }
+  if (scheduledTime - now > MAX_CALLBACK_DAYS * 24 * 60 * 60 * 1000) {
+    throw new InvalidCallbackError([`callbackTime is more than ${MAX_CALLBACK_DAYS} days away`]);
+  }
+
+  const localTime = describeLocalTime(scheduledTime, zone);
+  const fields = {
+    type: 'callback',
+    callLogId: callLog.id,
+    toNumber: calleeNumber,
+    fromNumber: ourNumber,
+    priority: CALLBACK_PRIORITY,
+    workspaceId: callLog.workspaceId,
+    campaignId: callLog.campaignId,
+    contactId: contact ? contact.id : null,
+    voiceAgentId: callLog.voiceAgentId,
+    scheduledTime,
+    metadata: {
+      timezone: zone,
+      localTime,
+      requestedAt: now.toISOString(),
+      ...(note ? { note: String(note).trim() } : {})
+    }
+  };
+
+  const existing = await db.CallQueue.findOne({
+    where: {
+      type: 'callback',
+      status: 'waiting',
+      toNumber: calleeNumber,
+      workspaceId: callLog.workspaceId
+    }
+  });
+
+  const queueItem = existing
+    ? await existing.update(fields)
+    : await callQueueService.addToQueue(fields);
+
+  await callLog.update({
+    callData: {
+      ...(callLog.callData || {}),
+      callback: { queueId: queueItem.id, scheduledTime: scheduledTime.toISOString(), timezone: zone }
+    }
+  });
+
+  logger.info(`Callback ${queueItem.id} for call ${callSid} booked for ${scheduledTime.toISOString()} (${localTime}, ${zone})`);
+
+  return { queueItem, timezone: zone, localTime };
+};
+
+module.exports = {
+  CALLBACK_PRIORITY,
+  InvalidCallbackError,
+  parseCallbackTime,
+  scheduleCallback
+};
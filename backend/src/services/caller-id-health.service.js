@@ -0,0 +1,240 @@
+/**
+ * Caller ID Health Service
+ * Scores each pool number from its recent call outcomes and retires numbers that carriers
+ * or callees have started to block
+ */
+
+const { Op } = require('sequelize');
+const db = require('../models');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { scopeWhere } = require('../utils/workspace-scope');
+
+// Final statuses; calls still ringing or in progress are scored once they end
+const FINISHED_STATUSES = ['completed', 'busy', 'no-answer', 'failed', 'canceled'];
+
+// SIP responses carriers send when they reject a call rather than the callee
+// 403 forbidden, 404 not found, 480 unavailable, 488 not acceptable, 503 unavailable,
+// 603 decline, 607 unwanted, 608 rejected (network spam blocking)
+const CARRIER_FAILURE_CODES = [403, 404, 480, 488, 503, 603, 607, 608];
+
+// Weight of each signal in the 0-100 score
+const SCORE_WEIGHTS = {
+  answerRate: 50,
+  shortHangups: 25,
+  carrierFailures: 25
+};
+
+/**
+ * Resolve health settings, falling back to config
+ * @param {Object} [overrides] - Settings to override
+ * @returns {Object}
+ */
+const getHealthSettings = (overrides = {}) => ({
+  ...config.callerIdHealth,
+  ...overrides
+});
+
+/**
+ * SIP response code of a call, when SignalWire reported one
+ * @param {Object} callLog - CallLog row
+ * @returns {number|null}
+ */
+const getSipResponseCode = (callLog) => {
+  const data = callLog.callData || {};
+  const code = parseInt(data.sipResponseCode || data.SipResponseCode, 10);
+  return Number.isInteger(code) ? code : null;
+};
+
+/**
+ * Count answered calls, short hangups and carrier failures
+ * @param {Array} callLogs - Finished outbound CallLog rows
+ * @param {Object} settings - Health settings
+ * @returns {Object} Counts and rates
+ */
+const summarizeCalls = (callLogs, settings) => {
+  const stats = {
+    calls: callLogs.length,
+    answered: 0,
+    shortHangups: 0,
+    carrierFailures: 0
+  };
+
+  callLogs.forEach(callLog => {
+    const code = getSipResponseCode(callLog);
+
+    if (callLog.status === 'completed' && callLog.duration > 0) {
+      stats.answered++;
+      if (callLog.duration < settings.shortCallSeconds) {
+        stats.shortHangups++;
+      }
+    } else if (callLog.status === 'failed' || (code && CARRIER_FAILURE_CODES.includes(code))) {
+      stats.carrierFailures++;
+    }
+  });
+
+  stats.answerRate = stats.calls ? stats.answered / stats.calls : 0;
+  stats.shortHangupRate = stats.answered ? stats.shortHangups / stats.answered : 0;
+  stats.carrierFailureRate = stats.calls ? stats.carrierFailures / stats.calls : 0;
+  return stats;
+};
+
+/**
+ * Score call outcomes from 0 (burned) to 100 (healthy)
+ * @param {Object} stats - Output of summarizeCalls
+ * @param {Object} settings - Health settings
+ * @returns {number|null} Score, or null when there are too few calls to judge
+ */
+const computeScore = (stats, settings) => {
+  if (stats.calls < settings.minCalls) {
+    return null;
+  }
+
+  const answerShare = settings.expectedAnswerRate > 0
+    ? Math.min(1, stats.answerRate / settings.expectedAnswerRate)
+    : 1;
+
+  return Math.round(
+    SCORE_WEIGHTS.answerRate * answerShare +
+    SCORE_WEIGHTS.shortHangups * (1 - stats.shortHangupRate) +
+    SCORE_WEIGHTS.carrierFailures * (1 - stats.carrierFailureRate)
+  );
+};
+
+/**
+ * Recompute a number's score and retire it when the score falls below the threshold
+ * @param {Object} number - PhoneNumber instance
+ * @param {Object} [overrides] - Health settings to override
+ * @returns {Promise<Object>} { number, score, stats, retired }
+ */
+const evaluateNumber = async (number, overrides = {}) => {
+  const settings = getHealthSettings(overrides);
+  const now = new Date();
+
+  let since = new Date(now.getTime() - settings.windowDays * 24 * 60 * 60 * 1000);
+  if (number.healthResetAt && new Date(number.healthResetAt) > since) {
+    since = new Date(number.healthResetAt);
+  }
+
+  // Calls placed before the pool recorded phoneNumberId are matched on the from number
+  const callLogs = await db.CallLog.findAll({
+    where: scopeWhere({
+      direction: 'outbound',
+      status: { [Op.in]: FINISHED_STATUSES },
+      createdAt: { [Op.gte]: since },
+      [Op.or]: [
+        { phoneNumberId: number.id },
+        { phoneNumberId: null, from: number.phoneNumber }
+      ]
+    }, number.workspaceId),
+    attributes: ['status', 'duration', 'callData']
+  });
+
+  const stats = summarizeCalls(callLogs, settings);
+  const score = computeScore(stats, settings);
+  const updates = {
+    healthScore: score,
+    healthStats: { ...stats, since },
+    healthCheckedAt: now
+  };
+
+  const retired = score !== null && score < settings.retireThreshold && number.status === 'active';
+  if (retired) {
+    updates.status = 'retired';
+    updates.retiredAt = now;
+    updates.retiredReason = `Health score ${score} below ${settings.retireThreshold}`;
+    logger.warn(`Retiring caller ID ${number.phoneNumber}: score ${score} (answer rate ${(stats.answerRate * 100).toFixed(1)}%, ${stats.carrierFailures} carrier failures, ${stats.shortHangups} short hangups over ${stats.calls} calls)`);
+  }
+
+  await number.update(updates);
+  return { number, score, stats, retired };
+};
+
+/**
+ * Score every number still in rotation
+ * @param {string} [workspaceId] - Restrict to one workspace; all workspaces when omitted
+ * @param {Object} [overrides] - Health settings to override
+ * @returns {Promise<Object>} { checked, retired }
+ */
+const evaluateAll = async (workspaceId, overrides = {}) => {
+  const numbers = await db.PhoneNumber.findAll({
+    where: scopeWhere({ status: { [Op.in]: ['active', 'paused'] } }, workspaceId)
+  });
+
+  const result = { checked: 0, retired: [] };
+
+  for (const number of numbers) {
+    try {
+      const evaluation = await evaluateNumber(number, overrides);
+      result.checked++;
+      if (evaluation.retired) {
+        result.retired.push(number.phoneNumber);
+      }
+    } catch (error) {
+      logger.error(`Error scoring caller ID ${number.phoneNumber}: ${error.message}`);
+    }
+  }
+
+  if (result.retired.length > 0) {
+    logger.info(`Caller ID health check retired ${result.retired.length} of ${result.checked} numbers`);
+  }
+  return result;
+};
+
+/**
+ * Health of a workspace's pool
+ * @param {string} [workspaceId] - Workspace ID
+ * @returns {Promise<Object>} { threshold, summary, numbers }
+ */
+const getHealthReport = async (workspaceId) => {
+  const settings = getHealthSettings();
+  const numbers = await db.PhoneNumber.findAll({
+    where: scopeWhere({}, workspaceId),
+    attributes: [
+      'id', 'phoneNumber', 'friendlyName', 'areaCode', 'state', 'campaignId', 'status',
+      'healthScore', 'healthStats', 'healthCheckedAt', 'retiredAt', 'retiredReason', 'lastUsedAt'
+    ],
+    order: [[db.sequelize.literal('"healthScore" IS NULL'), 'ASC'], ['healthScore', 'ASC'], ['phoneNumber', 'ASC']]
+  });
+
+  // At risk: still dialing, within 20 points of being retired
+  const atRiskBelow = Math.min(100, settings.retireThreshold + 20);
+  const summary = {
+    total: numbers.length,
+    healthy: 0,
+    atRisk: 0,
+    unscored: 0,
+    retired: 0
+  };
+
+  numbers.forEach(number => {
+    if (number.status === 'retired') {
+      summary.retired++;
+    } else if (number.healthScore === null) {
+      summary.unscored++;
+    } else if (number.healthScore < atRiskBelow) {
+      summary.atRisk++;
+    } else {
+      summary.healthy++;
+    }
+  });
+
+  return {
+    threshold: settings.retireThreshold,
+    atRiskBelow,
+    minCalls: settings.minCalls,
+    windowDays: settings.windowDays,
+    summary,
+    numbers
+  };
+};
+
+module.exports = {
+  CARRIER_FAILURE_CODES,
+  getHealthSettings,
+  summarizeCalls,
+  computeScore,
+  evaluateNumber,
+  evaluateAll,
+  getHealthReport
+};
@@ -0,0 +1,194 @@
+/**
+ * Calling Window Service
+ * Decides whether a contact may be dialed right now in their local time,
+ * and when the next legal slot is if not
+ */
+
+const { isValidTimezone, getLocalMinutes, getLocalDay, inferTimezoneFromPhone } = require('../utils/timezone');
+const { isClosedHoliday } = require('./business-schedule.service');
+
+// Used when neither the contact, its number nor the campaign tells us where the callee is
+const DEFAULT_TIMEZONE = 'America/New_York';
+
+// Matches the campaign model's default settings
+const DEFAULT_CALL_HOURS_START = '09:00';
+const DEFAULT_CALL_HOURS_END = '17:00';
+
+const MINUTES_PER_DAY = 24 * 60;
+
+// Window openings skipped at most while looking past a run of holidays
+const MAX_HOLIDAY_SKIPS = 31;
+
+/**
+ * Parse 'HH:MM' into minutes since midnight
+ * @param {string} value - Time of day
+ * @param {string} fallback - Used when value is missing or malformed
+ * @returns {number}
+ */
+const parseTimeOfDay = (value, fallback) => {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(value || '').trim());
+  if (!match || parseInt(match[1], 10) > 24 || parseInt(match[2], 10) > 59) {
+    return parseTimeOfDay(fallback, DEFAULT_CALL_HOURS_START);
+  }
+  return Math.min(parseInt(match[1], 10) * 60 + parseInt(match[2], 10), MINUTES_PER_DAY);
+};
+
+/**
+ * Build the calling window for a campaign from its settings
+ * @param {Object} [campaign] - Campaign (or plain object) with settings.callHoursStart/End
+ * @returns {Object} { start, end } in minutes since local midnight
+ */
+const getCallingWindow = (campaign) => {
+  const settings = (campaign && campaign.settings) || {};
+  return {
+    start: parseTimeOfDay(settings.callHoursStart, DEFAULT_CALL_HOURS_START),
+    end: parseTimeOfDay(settings.callHoursEnd, DEFAULT_CALL_HOURS_END)
+  };
+};
+
+/**
+ * Work out a contact's timezone: stored value first, then the phone number, then the campaign
+ * @param {Object} target - { timezone, phone }
+ * @param {Object} [campaign] - Campaign whose settings.timezone is the last resort
+ * @returns {string} IANA timezone
+ */
+const resolveTimezone = (target = {}, campaign) => {
+  if (isValidTimezone(target.timezone)) {
+    return target.timezone;
+  }
+
+  const inferred = inferTimezoneFromPhone(target.phone);
+  if (inferred) {
+    return inferred;
+  }
+
+  const campaignTimezone = campaign && campaign.settings && campaign.settings.timezone;
+  return isValidTimezone(campaignTimezone) ? campaignTimezone : DEFAULT_TIMEZONE;
+};
+
+/**
+ * Check whether a local time falls inside a window (windows may wrap past midnight)
+ * A window whose start equals its end covers the whole day.
+ * @param {number} minutes - Minutes since local midnight
+ * @param {Object} window - { start, end }
+ * @returns {boolean}
+ */
+const isInWindow = (minutes, window) => {
+  if (window.start === window.end) {
+    return true;
+  }
+  if (window.start < window.end) {
+    return minutes >= window.start && minutes < window.end;
+  }
+  return minutes >= window.start || minutes < window.end;
+};
+
+/**
+ * Find the next time the window opens in a timezone
+ * @param {string} timezone - IANA timezone
+ * @param {Object} window - { start, end }
+ * @param {Date} now - Reference time
+ * @returns {Date}
+ */
+const getNextWindowStart = (timezone, window, now) => {
+  const base = new Date(now);
+  base.setUTCSeconds(0, 0);
+
+  let wait = window.start - getLocalMinutes(base, timezone);
+  if (wait <= 0) {
+    wait += MINUTES_PER_DAY;
+  }
+  const slot = new Date(base.getTime() + wait * 60000);
+
+  // A DST change between now and the slot shifts local time; nudge back onto the window start
+  let drift = window.start - getLocalMinutes(slot, timezone);
+  if (drift > MINUTES_PER_DAY / 2) {
+    drift -= MINUTES_PER_DAY;
+  } else if (drift < -MINUTES_PER_DAY / 2) {
+    drift += MINUTES_PER_DAY;
+  }
+  return new Date(slot.getTime() + drift * 60000);
+};
+
+/**
+ * Check whether a contact may be called now, in their local time
+ * Holidays the campaign's calendar is closed for are read in the contact's local date and skipped.
+ * @param {Object} target - Contact or { timezone, phone }
+ * @param {Object} [campaign] - Campaign providing callHoursStart/End and a fallback timezone
+ * @param {Date} [now] - Reference time (defaults to now)
+ * @param {Object} [schedule] - BusinessSchedule whose holidays the campaign skips
+ * @returns {Object} { allowed, timezone, nextSlot, holiday } - nextSlot is null when allowed
+ */
+const checkCallingWindow = (target, campaign, now = new Date(), schedule = null) => {
+  const timezone = resolveTimezone(target, campaign);
+  const window = getCallingWindow(campaign);
+  const holiday = isClosedHoliday(schedule, now, timezone);
+  const allowed = !holiday && isInWindow(getLocalMinutes(now, timezone), window);
+
+  let nextSlot = null;
+  if (!allowed) {
+    nextSlot = getNextWindowStart(timezone, window, now);
+    for (let i = 0; i < MAX_HOLIDAY_SKIPS && isClosedHoliday(schedule, nextSlot, timezone); i++) {
+      nextSlot = getNextWindowStart(timezone, window, nextSlot);
+    }
+  }
+
+  return {
+    allowed,
+    timezone,
+    nextSlot,
+    holiday
+  };
+};
+
+/**
+ * Find the first time at or after a given instant that falls inside a window on an allowed local weekday
+ * @param {string} timezone - IANA timezone
+ * @param {Object} window - { start, end } in minutes since local midnight
+ * @param {Array<number>} [allowedDays] - Local weekdays, 0 (Sunday) - 6; all days when empty
+ * @param {Date} [from] - Earliest acceptable time
+ * @returns {Date}
+ */
+const getNextAllowedSlot = (timezone, window, allowedDays, from = new Date()) => {
+  const days = Array.isArray(allowedDays) && allowedDays.length > 0 ? allowedDays : null;
+  let slot = new Date(from);
+
+  // A week of window openings always reaches an allowed day
+  for (let i = 0; i < 8; i++) {
+    const dayAllowed = !days || days.includes(getLocalDay(slot, timezone));
+    if (dayAllowed && isInWindow(getLocalMinutes(slot, timezone), window)) {
+      return slot;
+    }
+    slot = getNextWindowStart(timezone, window, slot);
+  }
+
+  return slot;
+};
+
+/**
+ * Check whether a timezone is currently inside an account-level quiet period
+ * @param {string} timezone - IANA timezone
+ * @param {number} quietHoursStart - Hour quiet time starts (e.g. 20)
+ * @param {number} quietHoursEnd - Hour quiet time ends (e.g. 8)
+ * @param {Date} [now] - Reference time
+ * @returns {boolean}
+ */
+const isQuietTime = (timezone, quietHoursStart, quietHoursEnd, now = new Date()) => {
+  if (quietHoursStart === quietHoursEnd) {
+    return false;
+  }
+  const zone = isValidTimezone(timezone) ? timezone : DEFAULT_TIMEZONE;
+  return isInWindow(getLocalMinutes(now, zone), {
+    start: quietHoursStart * 60,
+    end: quietHoursEnd * 60
+  });
+};
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  getCallingWindow,
+  resolveTimezone,
+  checkCallingWindow,
+  getNextAllowedSlot,
+  isQuietTime
+};
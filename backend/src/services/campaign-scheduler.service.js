@@ -4,8 +4,16 @@
  */
 
 const db = require('../models');
+const { Op } = require('sequelize');
 const logger = require('../utils/logger');
 const callHandlingService = require('./call-handling.service');
+const callingWindowService = require('./calling-window.service');
+const businessScheduleService = require('./business-schedule.service');
+const { CallLimitError } = require('./call-limiter.service');
+const { DoNotCallError } = require('./dnc.service');
+const pacingService = require('./pacing.service');
+const retryPolicyService = require('./retry-policy.service');
+const schedulerStateService = require('./scheduler-state.service');
 const signalwireService = require('./signalwire.service');
 const config = require('../config');
 
@@ -28,6 +36,7 @@ class CampaignScheduler {
     this.batchDelayMs = settings.batchDelayMs || DEFAULT_BATCH_DELAY_MS;
     this.callDelayMs = settings.callDelayMs || DEFAULT_CALL_DELAY_MS;
     this.maxConcurrentCalls = settings.maxConcurrentCalls || MAX_CONCURRENT_CALLS;
+    this.startSettings = settings;
     
     this.isRunning = false;
     this.isPaused = false;
@@ -35,7 +44,15 @@ class CampaignScheduler {
     this.processedContacts = 0;
     this.successfulCalls = 0;
     this.failedCalls = 0;
-    this.activeCalls = new Set();
+    this.blockedCalls = 0;
+    // Calls handed to the dialer that have no call SID yet; placed calls are campaign lines in the database
+    this.pendingDials = 0;
+    // Set when Campaign.settings.pacingMode picks preview, progressive or predictive
+    this.pacing = null;
+    // BusinessSchedule whose closed holidays the campaign skips
+    this.holidaySchedule = null;
+    // contactId -> Date the contact's calling window next opens
+    this.deferredContacts = new Map();
     this.intervalId = null;
     this.lastExecutionTime = null;
     this.campaignData = null;
@@ -43,9 +60,12 @@ class CampaignScheduler {
   
   /**
    * Start the campaign scheduler
+   * @param {Object} [options]
+   * @param {boolean} [options.resume] - Restoring a scheduler that was running before a restart
+   * @param {boolean} [options.paused] - Restore it paused
    * @returns {Object} Status information
    */
-  async start() {
+  async start({ resume = false, paused = false } = {}) {
     if (this.isRunning) {
       return {
         status: 'already_running',
@@ -61,7 +81,9 @@ class CampaignScheduler {
         throw new Error(`Campaign ${this.campaignId} not found`);
       }
       
-      if (this.campaignData.status !== 'active') {
+      // A restored campaign is still in_progress from before the restart
+      const startableStatuses = resume ? ['active', 'in_progress'] : ['active'];
+      if (!startableStatuses.includes(this.campaignData.status)) {
         return {
           status: 'not_active',
           message: `Campaign ${this.campaignId} is not active`
@@ -69,28 +91,40 @@ class CampaignScheduler {
       }
       
       // Update campaign status to 'in_progress'
-      await this.campaignData.update({
+      await this.campaignData.update(resume ? { status: 'in_progress' } : {
         status: 'in_progress',
         startedAt: new Date()
       });
       
+      // Holidays the campaign's calendar closes for are skipped like hours outside the calling window
+      this.holidaySchedule = await businessScheduleService.getCampaignSchedule(this.campaignData);
+      
+      // Without a pacing mode the fixed batch and concurrency settings apply
+      const pacingSettings = pacingService.getPacingSettings(this.campaignData, this.startSettings);
+      if (pacingSettings.mode) {
+        this.pacing = pacingService.createController(this.campaignId, pacingSettings);
+      }
+      
       // Start processing batches
       this.isRunning = true;
-      this.isPaused = false;
+      this.isPaused = paused;
       this.lastExecutionTime = Date.now();
       
       // Schedule the first batch
       this.scheduleBatch();
       
-      logger.info(`Started campaign scheduler for campaign ${this.campaignId}`);
+      await this.persistState(resume ? { resumedAt: new Date() } : { startedAt: new Date() });
+      
+      logger.info(`${resume ? 'Resumed' : 'Started'} campaign scheduler for campaign ${this.campaignId}`);
       
       return {
-        status: 'started',
+        status: resume ? 'resumed' : 'started',
         campaignId: this.campaignId,
         settings: {
           batchSize: this.batchSize,
           batchDelayMs: this.batchDelayMs,
-          callDelayMs: this.callDelayMs
+          callDelayMs: this.callDelayMs,
+          pacingMode: pacingSettings.mode
         }
       };
     } catch (error) {
@@ -101,9 +135,9 @@ class CampaignScheduler {
   
   /**
    * Pause the campaign scheduler
-   * @returns {Object} Status information
+   * @returns {Promise<Object>} Status information
    */
-  pause() {
+  async pause() {
     if (!this.isRunning) {
       return {
         status: 'not_running',
@@ -126,6 +160,9 @@ class CampaignScheduler {
       this.intervalId = null;
     }
     
+    this.persistState();
+    schedulerStateService.releaseLease('campaign', this.campaignId);
+    
     logger.info(`Paused campaign scheduler for campaign ${this.campaignId}`);
     
     return {
@@ -134,7 +171,7 @@ class CampaignScheduler {
       processedContacts: this.processedContacts,
       successfulCalls: this.successfulCalls,
       failedCalls: this.failedCalls,
-      activeCalls: this.activeCalls.size
+      activeCalls: await pacingService.countLiveLines(this.campaignId)
     };
   }
   
@@ -163,6 +200,8 @@ class CampaignScheduler {
     // Schedule the next batch
     this.scheduleBatch();
     
+    this.persistState();
+    
     logger.info(`Resumed campaign scheduler for campaign ${this.campaignId}`);
     
     return {
@@ -193,16 +232,18 @@ class CampaignScheduler {
     this.isRunning = false;
     this.isPaused = false;
     
-    // End any active calls
-    const activeCallSids = Array.from(this.activeCalls);
+    this.pacing = null;
+    
+    // End any active calls; their lines go with the rest of the campaign's
+    const activeCallSids = await pacingService.getLiveCallSids(this.campaignId);
     for (const callSid of activeCallSids) {
       try {
-        await signalwireService.endCall(callSid);
-        this.activeCalls.delete(callSid);
+        await signalwireService.endCall(callSid, this.campaignData && this.campaignData.workspaceId);
       } catch (error) {
         logger.error(`Error ending call ${callSid}: ${error.message}`);
       }
     }
+    await pacingService.clearLines(this.campaignId);
     
     // Update campaign status
     if (this.campaignData) {
@@ -213,11 +254,15 @@ class CampaignScheduler {
         stats: {
           processed: this.processedContacts,
           successful: this.successfulCalls,
-          failed: this.failedCalls
+          failed: this.failedCalls,
+          blocked: this.blockedCalls
         }
       });
     }
     
+    await this.persistState({ status: markComplete ? 'completed' : 'stopped' });
+    await schedulerStateService.releaseLease('campaign', this.campaignId);
+    
     logger.info(`Stopped campaign scheduler for campaign ${this.campaignId}`);
     
     return {
@@ -229,6 +274,78 @@ class CampaignScheduler {
     };
   }
   
+  /**
+   * Save the scheduler's status, batch cursor, counters and settings
+   * @param {Object} [fields] - Extra state fields, or a status override
+   * @returns {Promise<Object|null>}
+   */
+  persistState(fields = {}) {
+    return schedulerStateService.saveState('campaign', this.campaignId, {
+      campaignId: this.campaignId,
+      workspaceId: this.campaignData ? this.campaignData.workspaceId : null,
+      status: this.isRunning ? (this.isPaused ? 'paused' : 'running') : 'stopped',
+      batchIndex: this.currentBatchIndex,
+      counters: {
+        processed: this.processedContacts,
+        successful: this.successfulCalls,
+        failed: this.failedCalls,
+        blocked: this.blockedCalls
+      },
+      settings: {
+        ...this.startSettings,
+        batchSize: this.batchSize,
+        batchDelayMs: this.batchDelayMs,
+        callDelayMs: this.callDelayMs,
+        maxConcurrentCalls: this.maxConcurrentCalls
+      },
+      ...fields
+    });
+  }
+  
+  /**
+   * Take or renew this worker's lease on the campaign
+   * The lease outlives a few batch delays, so a slow batch does not lose it.
+   * @returns {Promise<boolean>}
+   */
+  holdsLease() {
+    const ttlMs = Math.max(config.worker.leaseSeconds * 1000, this.batchDelayMs * 3);
+    return schedulerStateService.acquireLease('campaign', this.campaignId, ttlMs);
+  }
+  
+  /**
+   * Follow the saved state while another worker runs the campaign
+   * Keeps counters current and picks up a pause or stop made through another worker.
+   */
+  async syncFromSavedState() {
+    const state = await schedulerStateService.getState('campaign', this.campaignId);
+    if (!state) {
+      return;
+    }
+    
+    this.restoreState(state);
+    
+    if (state.status === 'paused') {
+      this.isPaused = true;
+    } else if (['stopped', 'completed'].includes(state.status)) {
+      this.isRunning = false;
+      this.isPaused = false;
+      this.pacing = null;
+    }
+  }
+  
+  /**
+   * Pick up the batch cursor and counters saved before a restart
+   * @param {Object} state - SchedulerState row
+   */
+  restoreState(state) {
+    const counters = state.counters || {};
+    this.currentBatchIndex = state.batchIndex || 0;
+    this.processedContacts = counters.processed || 0;
+    this.successfulCalls = counters.successful || 0;
+    this.failedCalls = counters.failed || 0;
+    this.blockedCalls = counters.blocked || 0;
+  }
+  
   /**
    * Schedule the next batch of calls
    */
@@ -267,10 +384,32 @@ class CampaignScheduler {
     }
     
     try {
+      // Every worker that restored the campaign runs this loop; only the lease holder dials
+      if (!await this.holdsLease()) {
+        await this.syncFromSavedState();
+        return;
+      }
+      
+      // Callbacks the campaign's callees asked for go ahead of fresh leads
+      await this.dialDueCallbacks();
+      
       // Get batch of contacts to call
       const contacts = await this.getContactBatch();
       
       if (contacts.length === 0) {
+        // Contacts waiting for their local calling window keep the campaign alive
+        if (this.deferredContacts.size > 0) {
+          logger.debug(`${this.deferredContacts.size} contacts deferred to their calling window for campaign ${this.campaignId}`);
+          return;
+        }
+        
+        // So do contacts the retry policy will call again later
+        const nextRetry = await this.getNextRetryTime();
+        if (nextRetry) {
+          logger.debug(`Next retry for campaign ${this.campaignId} is due at ${nextRetry.toISOString()}`);
+          return;
+        }
+        
         logger.info(`No more contacts to call for campaign ${this.campaignId}`);
         
         // Check if this was the last batch
@@ -286,13 +425,21 @@ class CampaignScheduler {
       
       // Process each contact with delay
       for (const contact of contacts) {
-        // Check if we should stop
-        if (!this.isRunning || this.isPaused) {
+        // Check if we should stop, or whether another worker took the campaign over
+        if (!this.isRunning || this.isPaused || !await this.holdsLease()) {
           break;
         }
         
-        // Wait if we've reached max concurrent calls
-        while (this.activeCalls.size >= this.maxConcurrentCalls) {
+        // Skip contacts outside their local calling window, or on a holiday, until it next opens
+        const window = callingWindowService.checkCallingWindow(contact, this.campaignData, new Date(), this.holidaySchedule);
+        if (!window.allowed) {
+          this.deferredContacts.set(contact.id, window.nextSlot);
+          logger.info(`Deferred contact ${contact.id} to ${window.nextSlot.toISOString()} (${window.timezone})`);
+          continue;
+        }
+        
+        // Wait until concurrency and pacing allow another call
+        while (!await this.hasDialCapacity()) {
           await new Promise(resolve => setTimeout(resolve, 1000));
           
           // Check again if we should stop
@@ -302,16 +449,27 @@ class CampaignScheduler {
         }
         
         // Make the call
+        this.pendingDials++;
         this.makeCall(contact)
           .then(() => {
             this.successfulCalls++;
+            this.processedContacts++;
           })
           .catch(error => {
+            // The contact is back in the batch pool and is not counted yet
+            if (error instanceof CallLimitError) {
+              return;
+            }
+            this.processedContacts++;
+            if (error instanceof DoNotCallError) {
+              this.blockedCalls++;
+              return;
+            }
             this.failedCalls++;
             logger.error(`Error making call to ${contact.phone}: ${error.message}`);
           })
           .finally(() => {
-            this.processedContacts++;
+            this.pendingDials--;
           });
         
         // Add delay between calls
@@ -328,44 +486,127 @@ class CampaignScheduler {
             processed: this.processedContacts,
             successful: this.successfulCalls,
             failed: this.failedCalls,
+            blocked: this.blockedCalls,
             batches: this.currentBatchIndex
           }
         });
       }
+      
+      await this.persistState({ lastBatchAt: new Date() });
     } catch (error) {
       logger.error(`Error processing batch for campaign ${this.campaignId}: ${error.message}`);
       throw error;
     }
   }
   
+  /**
+   * Whether another call may be placed now
+   * maxConcurrentCalls is always a hard cap; a pacing mode can hold dialing below it
+   * @returns {Promise<boolean>}
+   */
+  async hasDialCapacity() {
+    if (await pacingService.countLiveLines(this.campaignId) + this.pendingDials >= this.maxConcurrentCalls) {
+      return false;
+    }
+    
+    if (this.pacing) {
+      return await this.pacing.getDialCapacity() - this.pendingDials > 0;
+    }
+    
+    return true;
+  }
+  
+  /**
+   * Dial the campaign's due callbacks, up to the free concurrency
+   * They stay call queue items, so the queue applies the calling window and records the outcome.
+   * Their calls count as active calls, so the contacts dialed after them only get the lines left.
+   * @returns {Promise<number>} Callbacks dialed
+   */
+  async dialDueCallbacks() {
+    const capacity = this.maxConcurrentCalls - await pacingService.countLiveLines(this.campaignId) - this.pendingDials;
+    if (capacity <= 0) {
+      return 0;
+    }
+    
+    const due = await db.CallQueue.count({
+      where: {
+        campaignId: this.campaignId,
+        type: 'callback',
+        status: 'waiting',
+        scheduledTime: { [Op.lte]: new Date() }
+      }
+    });
+    if (due === 0) {
+      return 0;
+    }
+    
+    // Required here: the call queue loads call handling, which loads this module
+    const callQueueService = require('./call-queue.service');
+    const results = await callQueueService.processQueue(Math.min(due, capacity), {
+      campaignId: this.campaignId,
+      type: 'callback'
+    });
+    await Promise.all((results.calls || [])
+      .filter(call => call.callSid)
+      .map(call => this.trackActiveCall(call.callSid)));
+    
+    logger.info(`Dialed ${results.success} due callbacks for campaign ${this.campaignId}`);
+    return results.success;
+  }
+  
+  /**
+   * When the earliest scheduled retry of the campaign is due
+   * @returns {Promise<Date|null>}
+   */
+  async getNextRetryTime() {
+    const contact = await db.Contact.findOne({
+      where: {
+        campaignId: this.campaignId,
+        status: 'pending',
+        optedOut: false,
+        nextRetryAt: { [Op.gt]: new Date() }
+      },
+      attributes: ['nextRetryAt'],
+      order: [['nextRetryAt', 'ASC']]
+    });
+    return contact ? contact.nextRetryAt : null;
+  }
+  
   /**
    * Get a batch of contacts to call
+   * Pending contacts of the campaign whose retry is due, skipping any still deferred to a later calling window
    * @returns {Array} Batch of contacts
    */
   async getContactBatch() {
     try {
-      // In a real implementation, we would:
-      // 1. Query the database for contacts associated with the campaign
-      // 2. Filter by batch index and size
-      // 3. Apply any campaign-specific filtering rules
-      
-      // For now, simulate retrieving contacts with mock data
-      // if there are no more contacts, return an empty array
+      const now = new Date();
       
-      // Simulate end of contacts after 5 batches
-      if (this.currentBatchIndex >= 5) {
-        return [];
+      // Forget deferrals whose window has opened so those contacts are picked up again
+      for (const [contactId, until] of this.deferredContacts.entries()) {
+        if (until <= now) {
+          this.deferredContacts.delete(contactId);
+        }
       }
       
-      // Mock contact data
-      const mockContacts = Array.from({ length: this.batchSize }, (_, i) => ({
-        id: `contact-${this.currentBatchIndex}-${i}`,
-        name: `Contact ${this.currentBatchIndex * this.batchSize + i}`,
-        phone: `+1555${String(this.currentBatchIndex).padStart(3, '0')}${String(i).padStart(4, '0')}`,
-        email: `contact${this.currentBatchIndex * this.batchSize + i}@example.com`
-      }));
+      const where = {
+        campaignId: this.campaignId,
+        status: 'pending',
+        optedOut: false,
+        [Op.or]: [
+          { nextRetryAt: null },
+          { nextRetryAt: { [Op.lte]: now } }
+        ]
+      };
+      
+      if (this.deferredContacts.size > 0) {
+        where.id = { [Op.notIn]: Array.from(this.deferredContacts.keys()) };
+      }
       
-      return mockContacts;
+      return await db.Contact.findAll({
+        where,
+        order: [['id', 'ASC']],
+        limit: this.batchSize
+      });
     } catch (error) {
       logger.error(`Error getting contact batch: ${error.message}`);
       return [];
@@ -380,42 +621,76 @@ class CampaignScheduler {
   async makeCall(contact) {
     try {
       // Get needed campaign settings for the call
-      const voiceAgentId = this.campaignData.agentId || 'default-voice-agent';
+      const voiceAgentId = this.campaignData.voiceAgentId || 'default-voice-agent';
       const fromNumber = this.campaignData.callerIdNumber || config.defaultCallerId;
       const scriptId = this.campaignData.scriptId;
       
+      // Mark the contact up front so the next batch doesn't pick it again
+      await contact.update({
+        status: 'called',
+        callAttempts: (contact.callAttempts || 0) + 1,
+        lastCallAt: new Date(),
+        nextRetryAt: null
+      });
+      
       // Initiate the call
       const callResult = await callHandlingService.initiateOutboundCall(
         contact.phone,
         fromNumber,
         voiceAgentId,
         scriptId,
-        { id: this.campaignId }
+        {
+          id: this.campaignId,
+          workspaceId: this.campaignData.workspaceId,
+          contactId: contact.id,
+          callerIdStrategy: (this.campaignData.settings || {}).callerIdStrategy,
+          calleeState: (contact.customFields || {}).state
+        }
       );
       
-      // Track the active call
-      this.activeCalls.add(callResult.callSid);
-      
-      // Set up callback to remove from active calls when completed
-      // This would be handled by the call status webhook in a real implementation
-      setTimeout(() => {
-        this.activeCalls.delete(callResult.callSid);
-      }, 120000); // Assume call lasts at most 2 minutes for this mock implementation
+      await this.trackActiveCall(callResult.callSid);
       
       logger.info(`Call initiated to ${contact.phone} with SID: ${callResult.callSid}`);
       
       return callResult;
     } catch (error) {
       logger.error(`Error making call to ${contact.phone}: ${error.message}`);
+      if (error instanceof DoNotCallError) {
+        await contact.update({ status: 'failed' }).catch(() => {});
+      } else if (error instanceof CallLimitError) {
+        // No call was placed, so the contact goes back without using up an attempt
+        await contact.update({
+          status: 'pending',
+          callAttempts: Math.max(0, contact.callAttempts - 1)
+        }).catch(() => {});
+      } else {
+        // A call that never got placed is retried like a failed one
+        await applyCallOutcome(contact, this.campaignData, 'failed').catch(() => {});
+      }
       throw error;
     }
   }
   
+  /**
+   * Count a placed call against the campaign's concurrency and pacing until it ends
+   * The line is freed by the call's completion event, on whichever worker receives it.
+   * @param {string} callSid - Call SID
+   */
+  async trackActiveCall(callSid) {
+    try {
+      await pacingService.trackCall(this.campaignId, callSid, this.pacing && this.pacing.settings);
+    } catch (error) {
+      logger.error(`Error tracking call ${callSid} for campaign ${this.campaignId}: ${error.message}`);
+    }
+  }
+  
   /**
    * Get status information for the scheduler
-   * @returns {Object} Status information
+   * @returns {Promise<Object>} Status information
    */
-  getStatus() {
+  async getStatus() {
+    const activeCalls = await pacingService.getLiveCallSids(this.campaignId);
+    
     return {
       campaignId: this.campaignId,
       isRunning: this.isRunning,
@@ -424,8 +699,11 @@ class CampaignScheduler {
       processedContacts: this.processedContacts,
       successfulCalls: this.successfulCalls,
       failedCalls: this.failedCalls,
-      activeCalls: Array.from(this.activeCalls),
-      activeCallCount: this.activeCalls.size,
+      blockedCalls: this.blockedCalls,
+      activeCalls,
+      activeCallCount: activeCalls.length,
+      deferredContacts: this.deferredContacts.size,
+      pacing: this.pacing ? await this.pacing.getStats() : null,
       settings: {
         batchSize: this.batchSize,
         batchDelayMs: this.batchDelayMs,
@@ -436,6 +714,76 @@ class CampaignScheduler {
   }
 }
 
+// Contact status once the retry policy has no further attempts for an outcome
+const FINAL_CONTACT_STATUS = {
+  busy: 'failed',
+  failed: 'failed',
+  'no-answer': 'no_answer',
+  voicemail: 'no_answer'
+};
+
+/**
+ * Record a finished call on its contact and schedule the next attempt if the campaign's retry policy allows one
+ * @param {Object} contact - Contact instance
+ * @param {Object} campaign - Campaign whose retry policy applies
+ * @param {string} status - Final call status
+ * @param {Object} [details] - { answeredBy, machineDetection }
+ * @returns {Promise<Object>} Retry decision
+ */
+const applyCallOutcome = async (contact, campaign, status, details = {}) => {
+  const decision = retryPolicyService.evaluateRetry(campaign, {
+    status,
+    details,
+    attempts: contact.callAttempts || 1,
+    contact
+  });
+
+  if (decision.retry) {
+    await contact.update({
+      status: 'pending',
+      lastCallOutcome: status,
+      nextRetryAt: decision.retryAt
+    });
+    logger.info(`Contact ${contact.id} will be retried (${decision.disposition}) at ${decision.retryAt.toISOString()}, attempt ${(contact.callAttempts || 1) + 1}`);
+  } else {
+    await contact.update({
+      status: decision.disposition ? FINAL_CONTACT_STATUS[decision.disposition] : 'completed',
+      lastCallOutcome: status,
+      nextRetryAt: null
+    });
+  }
+
+  return decision;
+};
+
+/**
+ * Apply the retry policy to a finished campaign call
+ * Called for calls placed by a CampaignScheduler, which have no call queue entry.
+ * @param {string} callSid - Call SID
+ * @param {string} status - Final call status
+ * @param {Object} [details] - { answeredBy, machineDetection }
+ * @returns {Promise<Object|null>} Retry decision, or null when the call is not a campaign call
+ */
+const handleCallOutcome = async (callSid, status, details = {}) => {
+  const callLog = await db.CallLog.findOne({
+    where: { callSid },
+    attributes: ['contactId', 'campaignId']
+  });
+  if (!callLog || !callLog.contactId || !callLog.campaignId) {
+    return null;
+  }
+
+  const contact = await db.Contact.findByPk(callLog.contactId);
+  if (!contact || contact.campaignId !== callLog.campaignId || contact.status !== 'called') {
+    return null;
+  }
+
+  const scheduler = activeSchedules.get(callLog.campaignId);
+  const campaign = (scheduler && scheduler.campaignData) || await db.Campaign.findByPk(callLog.campaignId);
+
+  return applyCallOutcome(contact, campaign, status, details);
+};
+
 /**
  * Start a campaign scheduler
  * @param {string} campaignId - Campaign ID
@@ -473,10 +821,36 @@ const startCampaign = async (campaignId, settings = {}) => {
   }
 };
 
+/**
+ * Bring back a campaign scheduler from the state it saved before a restart
+ * @param {Object} state - SchedulerState row for the campaign
+ * @returns {Object} Status information
+ */
+const restoreCampaign = async (state) => {
+  const campaignId = state.schedulerKey;
+  
+  if (activeSchedules.has(campaignId) && activeSchedules.get(campaignId).isRunning) {
+    return {
+      status: 'already_running',
+      campaignId
+    };
+  }
+  
+  const scheduler = new CampaignScheduler(campaignId, state.settings || {});
+  scheduler.restoreState(state);
+  
+  const result = await scheduler.start({ resume: true, paused: state.status === 'paused' });
+  if (result.status === 'resumed') {
+    activeSchedules.set(campaignId, scheduler);
+  }
+  
+  return result;
+};
+
 /**
  * Pause a campaign scheduler
  * @param {string} campaignId - Campaign ID
- * @returns {Object} Status information
+ * @returns {Promise<Object>} Status information
  */
 const pauseCampaign = (campaignId) => {
   const scheduler = activeSchedules.get(campaignId);
@@ -536,9 +910,9 @@ const stopCampaign = async (campaignId, markComplete = false) => {
 /**
  * Get campaign scheduler status
  * @param {string} campaignId - Campaign ID
- * @returns {Object} Status information
+ * @returns {Promise<Object>} Status information
  */
-const getCampaignStatus = (campaignId) => {
+const getCampaignStatus = async (campaignId) => {
   const scheduler = activeSchedules.get(campaignId);
   
   if (!scheduler) {
@@ -550,23 +924,28 @@ const getCampaignStatus = (campaignId) => {
   
   return {
     status: scheduler.isRunning ? (scheduler.isPaused ? 'paused' : 'running') : 'stopped',
-    ...scheduler.getStatus()
+    ...(await scheduler.getStatus())
   };
 };
 
 /**
  * Get all active campaign schedulers
- * @returns {Array} Array of campaign status information
+ * @param {string} [workspaceId] - Only include campaigns owned by this workspace
+ * @returns {Promise<Array>} Array of campaign status information
  */
-const getAllActiveCampaigns = () => {
+const getAllActiveCampaigns = async (workspaceId) => {
   const campaigns = [];
   
   for (const [campaignId, scheduler] of activeSchedules.entries()) {
+    if (workspaceId && (!scheduler.campaignData || scheduler.campaignData.workspaceId !== workspaceId)) {
+      continue;
+    }
+    
     campaigns.push({
       campaignId,
       status: scheduler.isRunning ? (scheduler.isPaused ? 'paused' : 'running') : 'stopped',
       processedContacts: scheduler.processedContacts,
-      activeCallCount: scheduler.activeCalls.size
+      activeCallCount: await pacingService.countLiveLines(campaignId)
     });
   }
   
@@ -606,6 +985,24 @@ const updateCampaignSettings = (campaignId, settings) => {
     scheduler.maxConcurrentCalls = settings.maxConcurrentCalls;
   }
   
+  // Kept with the start settings so a restored scheduler picks them up
+  scheduler.startSettings = { ...scheduler.startSettings, ...settings };
+  
+  // Pacing changes apply to the running scheduler; turning pacing on or off takes a restart
+  if (scheduler.pacing) {
+    const pacingSettings = pacingService.getPacingSettings(scheduler.campaignData, {
+      pacingMode: scheduler.pacing.settings.mode,
+      ...settings
+    });
+    if (pacingSettings.mode) {
+      scheduler.pacing.updateSettings(pacingSettings);
+    }
+  }
+  
+  if (scheduler.isRunning) {
+    scheduler.persistState();
+  }
+  
   return {
     status: 'updated',
     campaignId,
@@ -613,17 +1010,21 @@ const updateCampaignSettings = (campaignId, settings) => {
       batchSize: scheduler.batchSize,
       batchDelayMs: scheduler.batchDelayMs,
       callDelayMs: scheduler.callDelayMs,
-      maxConcurrentCalls: scheduler.maxConcurrentCalls
+      maxConcurrentCalls: scheduler.maxConcurrentCalls,
+      pacing: scheduler.pacing ? scheduler.pacing.settings : null
     }
   };
 };
 
 module.exports = {
   startCampaign,
+  restoreCampaign,
   pauseCampaign,
   resumeCampaign,
   stopCampaign,
   getCampaignStatus,
   getAllActiveCampaigns,
-  updateCampaignSettings
+  updateCampaignSettings,
+  handleCallOutcome,
+  CampaignScheduler
 };
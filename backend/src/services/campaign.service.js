@@ -5,22 +5,25 @@
 const logger = require('../utils/logger');
 const db = require('../models');
 const { Op } = require('sequelize');
+const { scopeWhere, findScopedByPk } = require('../utils/workspace-scope');
+const inboundRouteService = require('./inbound-route.service');
 
 /**
  * Get all campaigns with optional filtering
+ * @param {Object} filters - { status, workspaceId }
  */
 const getAllCampaigns = async (filters = {}) => {
   try {
-    const { status } = filters;
+    const { status, workspaceId } = filters;
     
     // Build query options
-    const queryOptions = {};
+    const queryOptions = {
+      where: scopeWhere({}, workspaceId)
+    };
     
     // Filter by status if provided
     if (status && status !== 'all') {
-      queryOptions.where = {
-        status: status
-      };
+      queryOptions.where.status = status;
     }
     
     // Get campaigns from database
@@ -36,10 +39,12 @@ const getAllCampaigns = async (filters = {}) => {
 
 /**
  * Get a campaign by ID
+ * @param {string} id - Campaign ID
+ * @param {string} [workspaceId] - Restrict to this workspace
  */
-const getCampaignById = async (id) => {
+const getCampaignById = async (id, workspaceId) => {
   try {
-    const campaign = await db.Campaign.findByPk(id);
+    const campaign = await findScopedByPk(db.Campaign, id, workspaceId);
     return campaign ? campaign.toJSON() : null;
   } catch (error) {
     logger.error(`Error in campaign service - getCampaignById: ${error.message}`);
@@ -49,8 +54,10 @@ const getCampaignById = async (id) => {
 
 /**
  * Create a new campaign
+ * @param {Object} campaignData - Campaign fields
+ * @param {string} workspaceId - Owning workspace
  */
-const createCampaign = async (campaignData) => {
+const createCampaign = async (campaignData, workspaceId) => {
   try {
     const { 
       name, 
@@ -71,6 +78,7 @@ const createCampaign = async (campaignData) => {
     // Create campaign in database
     const campaign = await db.Campaign.create({
       id: `camp-${Date.now()}`,
+      workspaceId,
       name,
       description,
       status: 'active', // Default status
@@ -103,10 +111,10 @@ const createCampaign = async (campaignData) => {
 /**
  * Update a campaign
  */
-const updateCampaign = async (id, updatedFields) => {
+const updateCampaign = async (id, updatedFields, workspaceId) => {
   try {
     // Find campaign
-    const campaign = await db.Campaign.findByPk(id);
+    const campaign = await findScopedByPk(db.Campaign, id, workspaceId);
     if (!campaign) {
       return null;
     }
@@ -114,6 +122,7 @@ const updateCampaign = async (id, updatedFields) => {
     // Remove non-updatable fields
     const sanitizedFields = { ...updatedFields };
     delete sanitizedFields.id; // Don't allow changing the ID
+    delete sanitizedFields.workspaceId; // Campaigns never move between workspaces
     
     // Update campaign
     await campaign.update(sanitizedFields);
@@ -129,10 +138,10 @@ const updateCampaign = async (id, updatedFields) => {
 /**
  * Delete a campaign
  */
-const deleteCampaign = async (id) => {
+const deleteCampaign = async (id, workspaceId) => {
   try {
     // Find campaign
-    const campaign = await db.Campaign.findByPk(id);
+    const campaign = await findScopedByPk(db.Campaign, id, workspaceId);
     if (!campaign) {
       return false;
     }
@@ -149,7 +158,7 @@ const deleteCampaign = async (id) => {
 /**
  * Update campaign status
  */
-const updateCampaignStatus = async (id, status) => {
+const updateCampaignStatus = async (id, status, workspaceId) => {
   try {
     // Validate status
     const validStatuses = ['active', 'paused', 'completed', 'failed'];
@@ -158,7 +167,7 @@ const updateCampaignStatus = async (id, status) => {
     }
     
     // Find campaign
-    const campaign = await db.Campaign.findByPk(id);
+    const campaign = await findScopedByPk(db.Campaign, id, workspaceId);
     if (!campaign) {
       return null;
     }
@@ -177,17 +186,17 @@ const updateCampaignStatus = async (id, status) => {
 /**
  * Get campaign statistics
  */
-const getCampaignStats = async () => {
+const getCampaignStats = async (workspaceId) => {
   try {
     // Get counts by status
-    const total = await db.Campaign.count();
-    const active = await db.Campaign.count({ where: { status: 'active' } });
-    const paused = await db.Campaign.count({ where: { status: 'paused' } });
-    const completed = await db.Campaign.count({ where: { status: 'completed' } });
-    const failed = await db.Campaign.count({ where: { status: 'failed' } });
+    const total = await db.Campaign.count({ where: scopeWhere({}, workspaceId) });
+    const active = await db.Campaign.count({ where: scopeWhere({ status: 'active' }, workspaceId) });
+    const paused = await db.Campaign.count({ where: scopeWhere({ status: 'paused' }, workspaceId) });
+    const completed = await db.Campaign.count({ where: scopeWhere({ status: 'completed' }, workspaceId) });
+    const failed = await db.Campaign.count({ where: scopeWhere({ status: 'failed' }, workspaceId) });
     
     // Get all campaigns to aggregate call stats
-    const campaigns = await db.Campaign.findAll();
+    const campaigns = await db.Campaign.findAll({ where: scopeWhere({}, workspaceId) });
     
     // Aggregate call stats
     const calls = {
@@ -215,10 +224,10 @@ const getCampaignStats = async () => {
  * Process campaign (schedule calls and track progress)
  * This would be triggered by a scheduler in a real application
  */
-const processCampaign = async (id) => {
+const processCampaign = async (id, workspaceId) => {
   try {
     // Find campaign
-    const campaign = await db.Campaign.findByPk(id);
+    const campaign = await findScopedByPk(db.Campaign, id, workspaceId);
     if (!campaign) {
       throw new Error('Campaign not found');
     }
@@ -266,9 +275,38 @@ const processCampaign = async (id) => {
   }
 };
 
+/**
+ * Find the campaign inbound calls to a number belong to
+ * The number's inbound route decides; otherwise a pool number dedicated to a campaign.
+ * @param {string} dialedNumber - Number that was called
+ * @returns {Promise<Object|null>} Campaign
+ */
+const findCampaignByPhoneNumber = async (dialedNumber) => {
+  try {
+    const phoneNumber = inboundRouteService.normalizeNumber(dialedNumber);
+    if (!phoneNumber) {
+      return null;
+    }
+
+    const route = await inboundRouteService.findRouteForNumber(phoneNumber);
+    if (route && route.campaignId) {
+      return findScopedByPk(db.Campaign, route.campaignId, route.workspaceId);
+    }
+
+    const number = await db.PhoneNumber.findOne({
+      where: { phoneNumber, campaignId: { [Op.ne]: null } }
+    });
+    return number ? findScopedByPk(db.Campaign, number.campaignId, number.workspaceId) : null;
+  } catch (error) {
+    logger.error(`Error in campaign service - findCampaignByPhoneNumber: ${error.message}`);
+    throw error;
+  }
+};
+
 module.exports = {
   getAllCampaigns,
   getCampaignById,
+  findCampaignByPhoneNumber,
   createCampaign,
   updateCampaign,
   deleteCampaign,
@@ -7,6 +7,7 @@
 const db = require('../models');
 const logger = require('../utils/logger');
 const { Contact } = db;
+const { scopeWhere } = require('../utils/workspace-scope');
 
 /**
  * Create a new contact
@@ -16,6 +17,7 @@ const { Contact } = db;
 const createContact = async (contactData) => {
   try {
     const contact = await Contact.create({
+      workspaceId: contactData.workspaceId || null,
       firstName: contactData.firstName,
       lastName: contactData.lastName,
       phone: contactData.phone,
@@ -60,12 +62,13 @@ const getContactById = async (contactId) => {
 /**
  * Get a contact by phone number
  * @param {string} phone - Phone number
+ * @param {string} [workspaceId] - Restrict to this workspace
  * @returns {Object} Contact or null if not found
  */
-const getContactByPhone = async (phone) => {
+const getContactByPhone = async (phone, workspaceId) => {
   try {
     const contact = await Contact.findOne({
-      where: { phone }
+      where: scopeWhere({ phone }, workspaceId)
     });
     return contact;
   } catch (error) {
@@ -152,6 +155,74 @@ const listContacts = async (filters = {}, options = {}) => {
   }
 };
 
+/**
+ * A contact's history, newest first: calls, the callbacks and appointments they asked for and their opt-out
+ * @param {Object} contact - Contact record
+ * @returns {Promise<Array>} Timeline events, each with a type and the time it happened or is due
+ */
+const getContactTimeline = async (contact) => {
+  try {
+    const [calls, callbacks, appointments] = await Promise.all([
+      db.CallLog.findAll({
+        where: { contactId: contact.id },
+        attributes: ['id', 'callSid', 'direction', 'status', 'duration', 'startTime', 'createdAt', 'campaignId'],
+        order: [['createdAt', 'DESC']],
+        limit: 200
+      }),
+      db.CallQueue.findAll({
+        where: { contactId: contact.id, type: 'callback' },
+        order: [['scheduledTime', 'DESC']]
+      }),
+      db.Appointment.findAll({
+        where: { contactId: contact.id },
+        order: [['startTime', 'DESC']]
+      })
+    ]);
+
+    const events = [
+      ...calls.map(call => ({
+        type: 'call',
+        at: call.startTime || call.createdAt,
+        callLogId: call.id,
+        callSid: call.callSid,
+        direction: call.direction,
+        status: call.status,
+        duration: call.duration,
+        campaignId: call.campaignId
+      })),
+      ...callbacks.map(callback => ({
+        type: 'callback',
+        at: callback.scheduledTime,
+        queueId: callback.id,
+        callLogId: callback.callLogId,
+        status: callback.status,
+        timezone: callback.metadata && callback.metadata.timezone,
+        localTime: callback.metadata && callback.metadata.localTime,
+        note: callback.metadata && callback.metadata.note
+      })),
+      ...appointments.map(appointment => ({
+        type: 'appointment',
+        at: appointment.startTime,
+        appointmentId: appointment.id,
+        callLogId: appointment.callLogId,
+        status: appointment.status,
+        endTime: appointment.endTime,
+        timezone: appointment.timezone,
+        note: appointment.notes
+      }))
+    ];
+
+    if (contact.optedOut && contact.optedOutAt) {
+      events.push({ type: 'opt_out', at: contact.optedOutAt });
+    }
+
+    return events.sort((a, b) => new Date(b.at) - new Date(a.at));
+  } catch (error) {
+    logger.error(`Error getting contact timeline: ${error.message}`);
+    throw error;
+  }
+};
+
 /**
  * Import contacts in bulk
  * @param {Array} contacts - Array of contact data objects
@@ -171,7 +242,7 @@ const bulkImportContacts = async (contacts, options = {}) => {
       try {
         // Check for duplicates if enabled
         if (options.checkDuplicates && contactData.phone) {
-          const existing = await getContactByPhone(contactData.phone);
+          const existing = await getContactByPhone(contactData.phone, options.workspaceId);
           
           if (existing) {
             if (options.updateExisting) {
@@ -197,6 +268,7 @@ const bulkImportContacts = async (contacts, options = {}) => {
         // Create new contact
         await createContact({
           ...contactData,
+          workspaceId: options.workspaceId || null,
           campaignId: options.campaignId || null
         });
         
@@ -224,5 +296,6 @@ module.exports = {
   updateContact,
   deleteContact,
   listContacts,
+  getContactTimeline,
   bulkImportContacts
 };
@@ -0,0 +1,482 @@
+/**
+ * Conversational Bridge Service
+ * Bridges a SignalWire media stream to one ElevenLabs Conversational AI agent socket per call.
+ * The agent does its own speech recognition, turn taking and speech, so the bridge only relays
+ * audio both ways and forwards the agent's events (transcripts, tool calls, interruptions)
+ * to the live call view.
+ */
+
+const WebSocket = require('ws');
+const logger = require('../utils/logger');
+const db = require('../models');
+const elevenlabsService = require('./elevenlabs.service');
+const callEventsService = require('./call-events.service');
+const agentToolsService = require('./agent-tools.service');
+const callListenService = require('./call-listen.service');
+const { ULawDecoder, encodeULaw, resamplePcm } = require('../utils/audio-codecs');
+
+// SignalWire streams telephone audio as 8 kHz μ-law
+const CALL_AUDIO_FORMAT = 'ulaw_8000';
+const CALL_SAMPLE_RATE = 8000;
+
+// Store active conversational bridge sessions
+const activeSessions = new Map();
+
+/**
+ * Sample rate of an ElevenLabs PCM audio format such as pcm_16000
+ * @param {string} format - ElevenLabs audio format
+ * @returns {number|null} Sample rate, or null when the format is not PCM
+ */
+const pcmSampleRate = (format) => {
+  const match = /^pcm_(\d+)$/.exec(format || '');
+  return match ? parseInt(match[1], 10) : null;
+};
+
+/**
+ * Conversational Bridge Session Class
+ * Relays one call's audio to and from its ElevenLabs agent
+ */
+class ConversationalBridgeSession {
+  constructor(callSid, agentId) {
+    this.callSid = callSid;
+    this.agentId = agentId;
+    // Workspace of the call, whose ElevenLabs key signs the agent socket
+    this.workspaceId = null;
+    this.signalwireSocket = null;
+    this.agentSocket = null;
+    this.streamSid = null;
+    this.isActive = false;
+    this.conversationId = null;
+    // Audio formats the agent expects and sends, from its conversation metadata
+    this.agentInputFormat = null;
+    this.agentOutputFormat = null;
+    this.decoder = new ULawDecoder({ sampleRate: CALL_SAMPLE_RATE, channels: 1, bitDepth: 8 });
+    this.sessionStartTime = Date.now();
+    this.chunksReceived = 0;
+    this.chunksSent = 0;
+    this.interruptions = 0;
+  }
+
+  /**
+   * Open the agent socket for the call
+   * @param {WebSocket} signalwireSocket - WebSocket connection from SignalWire
+   * @param {Object} mediaFormat - Media format information from SignalWire
+   * @param {Object} metadata - Stream custom parameters and streamSid
+   * @returns {Promise<boolean>} Whether the agent socket opened; the caller falls back to the pipeline bridge if not
+   */
+  async initialize(signalwireSocket, mediaFormat, metadata = {}) {
+    try {
+      this.signalwireSocket = signalwireSocket;
+      this.streamSid = metadata.streamSid || null;
+      if (metadata.voiceAgentId) {
+        this.agentId = metadata.voiceAgentId;
+      }
+
+      if (mediaFormat && mediaFormat.encoding && !mediaFormat.encoding.includes('mulaw')) {
+        throw new Error(`unsupported call audio ${mediaFormat.encoding}; the agent bridge relays μ-law`);
+      }
+
+      const dynamicVariables = await this.loadDynamicVariables();
+      const signedUrl = await elevenlabsService.getConversationSignedUrl(this.agentId, this.workspaceId);
+      this.agentSocket = await this.openAgentSocket(signedUrl);
+      this.isActive = true;
+
+      // The agent fills {{variables}} in its prompt and first message from these
+      this.sendToAgent({
+        type: 'conversation_initiation_client_data',
+        dynamic_variables: dynamicVariables
+      });
+
+      logger.info(`Conversational bridge opened for call ${this.callSid} with agent ${this.agentId}`);
+      return true;
+    } catch (error) {
+      logger.error(`Error opening conversational bridge for call ${this.callSid}: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * The prompt variables resolved for the contact when the call was placed, plus the call SID
+   * so the agent's server tools can name the call they run on
+   * Also records the call's workspace.
+   * @returns {Promise<Object>}
+   */
+  async loadDynamicVariables() {
+    const variables = { call_sid: this.callSid };
+
+    try {
+      const callLog = await db.CallLog.findOne({
+        where: { callSid: this.callSid },
+        attributes: ['workspaceId', 'callData']
+      });
+      this.workspaceId = callLog ? callLog.workspaceId : null;
+      const agentVariables = callLog && callLog.callData && callLog.callData.agentVariables;
+
+      return { ...((agentVariables && agentVariables.dynamicVariables) || {}), ...variables };
+    } catch (error) {
+      logger.error(`Error loading prompt variables for call ${this.callSid}: ${error.message}`);
+      return variables;
+    }
+  }
+
+  /**
+   * Connect to the agent and route its messages
+   * @param {string} url - Signed conversation URL
+   * @returns {Promise<WebSocket>} The socket, once open
+   */
+  openAgentSocket(url) {
+    return new Promise((resolve, reject) => {
+      const ws = new WebSocket(url);
+      let opened = false;
+
+      ws.on('open', () => {
+        opened = true;
+        resolve(ws);
+      });
+
+      ws.on('message', (data) => {
+        let message;
+        try {
+          message = JSON.parse(data.toString());
+        } catch (parseError) {
+          logger.warn(`Unreadable agent message on call ${this.callSid}: ${parseError.message}`);
+          return;
+        }
+        this.handleAgentMessage(message).catch((error) => {
+          logger.error(`Error handling agent ${message.type} on call ${this.callSid}: ${error.message}`);
+        });
+      });
+
+      ws.on('error', (error) => {
+        logger.error(`Agent socket error on call ${this.callSid}: ${error.message}`);
+        if (!opened) {
+          reject(error);
+        }
+      });
+
+      ws.on('close', (code, reason) => {
+        if (opened) {
+          this.handleAgentClose(code, reason ? reason.toString() : '');
+        }
+      });
+    });
+  }
+
+  /**
+   * Send a message to the agent if its socket is open
+   * @param {Object} message - Conversational AI client message
+   */
+  sendToAgent(message) {
+    if (this.agentSocket && this.agentSocket.readyState === WebSocket.OPEN) {
+      this.agentSocket.send(JSON.stringify(message));
+    }
+  }
+
+  /**
+   * Send a message to SignalWire if the stream is open
+   * @param {Object} message - SignalWire stream message
+   */
+  sendToCall(message) {
+    if (this.signalwireSocket && this.signalwireSocket.readyState === WebSocket.OPEN) {
+      this.signalwireSocket.send(JSON.stringify(message));
+    }
+  }
+
+  /**
+   * Relay caller audio to the agent
+   * Audio that arrives before the agent has named its input format is dropped; the agent
+   * speaks first, so this is only the line noise of the first few hundred milliseconds.
+   * @param {Object} mediaChunk - SignalWire media payload
+   */
+  async processSignalWireAudio(mediaChunk) {
+    if (!this.isActive || !this.agentInputFormat || !mediaChunk || !mediaChunk.payload) {
+      return;
+    }
+    if (mediaChunk.track && mediaChunk.track !== 'inbound') {
+      return;
+    }
+
+    this.chunksReceived++;
+
+    if (this.agentInputFormat === CALL_AUDIO_FORMAT) {
+      this.sendToAgent({ user_audio_chunk: mediaChunk.payload });
+      return;
+    }
+
+    const sampleRate = pcmSampleRate(this.agentInputFormat);
+    const pcm = this.decoder.decode(Buffer.from(mediaChunk.payload, 'base64'));
+    this.sendToAgent({ user_audio_chunk: resamplePcm(pcm, CALL_SAMPLE_RATE, sampleRate).toString('base64') });
+  }
+
+  /**
+   * Play agent audio to the caller
+   * @param {string} audioBase64 - Agent audio in its output format
+   */
+  playAgentAudio(audioBase64) {
+    let payload = audioBase64;
+
+    if (this.agentOutputFormat !== CALL_AUDIO_FORMAT) {
+      const sampleRate = pcmSampleRate(this.agentOutputFormat);
+      const pcm = resamplePcm(Buffer.from(audioBase64, 'base64'), sampleRate, CALL_SAMPLE_RATE);
+      payload = encodeULaw(pcm).toString('base64');
+    }
+
+    this.chunksSent++;
+    this.sendToCall({
+      event: 'media',
+      streamSid: this.streamSid,
+      media: { payload }
+    });
+    if (callListenService.hasListeners(this.callSid)) {
+      callListenService.publishAudio(this.callSid, 'outbound', Buffer.from(payload, 'base64'), CALL_AUDIO_FORMAT);
+    }
+  }
+
+  /**
+   * Route one message from the agent
+   * @param {Object} message - Conversational AI server message
+   */
+  async handleAgentMessage(message) {
+    switch (message.type) {
+      case 'conversation_initiation_metadata':
+        await this.handleConversationStarted(message.conversation_initiation_metadata_event || {});
+        break;
+
+      case 'audio':
+        if (message.audio_event && message.audio_event.audio_base_64) {
+          this.playAgentAudio(message.audio_event.audio_base_64);
+        }
+        break;
+
+      case 'ping':
+        this.sendToAgent({ type: 'pong', event_id: message.ping_event && message.ping_event.event_id });
+        break;
+
+      case 'interruption':
+        // The caller talked over the agent: drop the reply audio SignalWire has not played yet
+        this.interruptions++;
+        this.sendToCall({ event: 'clear', streamSid: this.streamSid });
+        callListenService.clearOutbound(this.callSid);
+        callEventsService.createCustomEvent(this.callSid, 'agent_interruption', {
+          conversationId: this.conversationId
+        });
+        break;
+
+      case 'user_transcript':
+        this.forwardTranscript('user', message.user_transcription_event && message.user_transcription_event.user_transcript);
+        break;
+
+      case 'agent_response':
+        this.forwardTranscript('assistant', message.agent_response_event && message.agent_response_event.agent_response);
+        break;
+
+      case 'agent_response_correction': {
+        // What the agent actually said before it was interrupted
+        const correction = message.agent_response_correction_event || {};
+        this.forwardTranscript('assistant', correction.corrected_agent_response, { correction: true });
+        break;
+      }
+
+      case 'client_tool_call':
+        await this.handleClientToolCall(message.client_tool_call || {});
+        break;
+
+      case 'agent_tool_response': {
+        // A server tool the agent ran itself, e.g. one of the /api/agent-tools endpoints
+        const toolResponse = message.agent_tool_response || {};
+        callEventsService.createCustomEvent(this.callSid, 'agent_tool_call', {
+          conversationId: this.conversationId,
+          tool: toolResponse.tool_name,
+          toolCallId: toolResponse.tool_call_id,
+          toolType: toolResponse.tool_type || 'server',
+          isError: !!toolResponse.is_error
+        });
+        break;
+      }
+
+      default:
+        // vad_score, internal_tentative_agent_response and other progress events are not forwarded
+        break;
+    }
+  }
+
+  /**
+   * Record the agent conversation and the audio formats it uses
+   * @param {Object} event - conversation_initiation_metadata_event
+   */
+  async handleConversationStarted(event) {
+    this.conversationId = event.conversation_id || null;
+    this.agentInputFormat = event.user_input_audio_format || CALL_AUDIO_FORMAT;
+    this.agentOutputFormat = event.agent_output_audio_format || CALL_AUDIO_FORMAT;
+
+    const unsupported = [this.agentInputFormat, this.agentOutputFormat]
+      .filter(format => format !== CALL_AUDIO_FORMAT && !pcmSampleRate(format));
+    if (unsupported.length > 0) {
+      logger.error(`Agent ${this.agentId} uses ${unsupported.join(', ')} audio; set it to ulaw_8000 or PCM for telephony`);
+      await this.close();
+      return;
+    }
+
+    logger.info(`Agent conversation ${this.conversationId} started on call ${this.callSid} (in ${this.agentInputFormat}, out ${this.agentOutputFormat})`);
+    callEventsService.createCustomEvent(this.callSid, 'agent_conversation_started', {
+      conversationId: this.conversationId,
+      agentId: this.agentId
+    });
+
+    // Link the call to the conversation so post-call data can be matched to it
+    try {
+      const callLog = await db.CallLog.findOne({ where: { callSid: this.callSid } });
+      if (callLog) {
+        await callLog.update({
+          callData: { ...(callLog.callData || {}), elevenLabsConversationId: this.conversationId }
+        });
+      }
+    } catch (error) {
+      logger.error(`Error recording conversation ${this.conversationId} for call ${this.callSid}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Publish a finished turn to the live call view
+   * @param {string} role - 'user' or 'assistant'
+   * @param {string} text - What was said
+   * @param {Object} [extra] - Additional transcript fields
+   */
+  forwardTranscript(role, text, extra = {}) {
+    if (!text) {
+      return;
+    }
+
+    callEventsService.processTranscriptUpdate(this.callSid, {
+      role,
+      text,
+      final: true,
+      source: 'agent',
+      conversationId: this.conversationId,
+      ...extra
+    });
+  }
+
+  /**
+   * Run a client tool the agent asked for and send back its result
+   * Client tools map onto the agent tools; the agent must be allowed the tool in its config.
+   * @param {Object} toolCall - { tool_name, tool_call_id, parameters }
+   */
+  async handleClientToolCall(toolCall) {
+    const { tool_name: tool, tool_call_id: toolCallId, parameters = {} } = toolCall;
+
+    callEventsService.createCustomEvent(this.callSid, 'agent_tool_call', {
+      conversationId: this.conversationId,
+      tool,
+      toolCallId,
+      toolType: 'client',
+      parameters
+    });
+
+    let result;
+    let isError = false;
+    if (!agentToolsService.AGENT_TOOLS.includes(tool)) {
+      result = `Unknown tool ${tool}`;
+      isError = true;
+    } else {
+      try {
+        result = await agentToolsService.invokeTool(tool, {
+          ...parameters,
+          call_sid: this.callSid,
+          conversation_id: this.conversationId
+        });
+      } catch (error) {
+        result = error.message;
+        isError = true;
+      }
+    }
+
+    this.sendToAgent({
+      type: 'client_tool_result',
+      tool_call_id: toolCallId,
+      result: typeof result === 'string' ? result : JSON.stringify(result),
+      is_error: isError
+    });
+  }
+
+  /**
+   * The agent ended the conversation (or its socket dropped)
+   * @param {number} code - Close code
+   * @param {string} reason - Close reason
+   */
+  handleAgentClose(code, reason) {
+    logger.info(`Agent conversation ${this.conversationId} closed on call ${this.callSid} (${code}${reason ? `: ${reason}` : ''})`);
+    this.isActive = false;
+    this.agentSocket = null;
+
+    callEventsService.createCustomEvent(this.callSid, 'agent_conversation_ended', {
+      conversationId: this.conversationId,
+      code,
+      reason
+    });
+  }
+
+  /**
+   * Close the agent socket
+   */
+  async close() {
+    try {
+      logger.info(`Closing conversational bridge for call ${this.callSid}`);
+      this.isActive = false;
+
+      const socket = this.agentSocket;
+      this.agentSocket = null;
+      if (socket && socket.readyState === WebSocket.OPEN) {
+        socket.close(1000, 'Call ended');
+      }
+
+      // SignalWire socket should be closed by the caller
+      this.signalwireSocket = null;
+      return true;
+    } catch (error) {
+      logger.error(`Error closing conversational bridge: ${error.message}`);
+      return false;
+    }
+  }
+}
+
+/**
+ * Create a new conversational bridge session
+ * @param {string} callSid - Call SID
+ * @param {string} agentId - ElevenLabs agent ID
+ * @returns {ConversationalBridgeSession} New session
+ */
+const createConversationalBridge = (callSid, agentId) => {
+  const session = new ConversationalBridgeSession(callSid, agentId);
+  activeSessions.set(callSid, session);
+  return session;
+};
+
+/**
+ * Get an existing conversational bridge session
+ * @param {string} callSid - Call SID
+ * @returns {ConversationalBridgeSession|null} Session or null if not found
+ */
+const getConversationalBridge = (callSid) => {
+  return activeSessions.get(callSid) || null;
+};
+
+/**
+ * Close and remove a conversational bridge session
+ * @param {string} callSid - Call SID
+ * @returns {Promise<boolean>} Success status
+ */
+const closeConversationalBridge = async (callSid) => {
+  const session = activeSessions.get(callSid);
+  if (!session) return true;
+
+  activeSessions.delete(callSid);
+  return session.close();
+};
+
+module.exports = {
+  createConversationalBridge,
+  getConversationalBridge,
+  closeConversationalBridge,
+  activeSessions
+};
@@ -0,0 +1,268 @@
+/**
+ * Do-Not-Call Service
+ * Maintains the suppression list and screens outbound numbers against it
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { Op } = require('sequelize');
+const db = require('../models');
+const logger = require('../utils/logger');
+const { formatPhoneNumber } = require('./signalwire.service');
+
+// CallLog status written for every suppressed dial attempt
+const BLOCKED_CALL_STATUS = 'blocked-dnc';
+
+/**
+ * Thrown when an outbound call is refused because the number is suppressed
+ */
+class DoNotCallError extends Error {
+  constructor(phoneNumber, entry) {
+    super(`${phoneNumber} is on the do-not-call list`);
+    this.name = 'DoNotCallError';
+    this.code = 'DNC_BLOCKED';
+    this.phoneNumber = phoneNumber;
+    this.entryId = entry ? entry.id : null;
+  }
+}
+
+/**
+ * Normalize a number the same way it is dialed, so lookups match regardless of formatting
+ * @param {string} phoneNumber - Raw phone number
+ * @returns {string|null} E.164 number or null if empty
+ */
+const normalizePhoneNumber = (phoneNumber) => {
+  if (!phoneNumber || !String(phoneNumber).replace(/\D/g, '')) {
+    return null;
+  }
+  return formatPhoneNumber(String(phoneNumber).trim());
+};
+
+/**
+ * Where clause for entries that are still in force
+ */
+const activeWhere = () => ({
+  [Op.or]: [
+    { expiresAt: null },
+    { expiresAt: { [Op.gt]: new Date() } }
+  ]
+});
+
+/**
+ * Find the active entry suppressing a number for a workspace (its own entries or global ones)
+ * @param {string} phoneNumber - Number to check
+ * @param {string} [workspaceId] - Workspace placing the call
+ * @returns {Promise<Object|null>} Matching entry or null
+ */
+const findBlockingEntry = async (phoneNumber, workspaceId) => {
+  const normalized = normalizePhoneNumber(phoneNumber);
+  if (!normalized) {
+    return null;
+  }
+
+  return db.DncEntry.findOne({
+    where: {
+      phoneNumber: normalized,
+      workspaceId: workspaceId
+        ? { [Op.or]: [{ [Op.eq]: workspaceId }, { [Op.is]: null }] }
+        : null,
+      ...activeWhere()
+    },
+    order: [['createdAt', 'ASC']]
+  });
+};
+
+/**
+ * Check a number before dialing; suppressed attempts are written to CallLog for auditing
+ * @param {Object} call - { to, from, workspaceId, campaignId, contactId, voiceAgentId }
+ * @returns {Promise<Object|null>} Blocking entry, or null if the call may proceed
+ */
+const screenOutboundCall = async (call) => {
+  const entry = await findBlockingEntry(call.to, call.workspaceId);
+
+  if (!entry) {
+    return null;
+  }
+
+  logger.warn(`Blocked outbound call to ${call.to}: do-not-call entry ${entry.id}`);
+
+  try {
+    await db.CallLog.create({
+      callSid: `dnc-${uuidv4()}`,
+      workspaceId: call.workspaceId || null,
+      campaignId: call.campaignId || null,
+      contactId: call.contactId || null,
+      direction: 'outbound',
+      from: call.from || '',
+      to: call.to,
+      status: BLOCKED_CALL_STATUS,
+      voiceAgentId: call.voiceAgentId || null,
+      startTime: new Date(),
+      endTime: new Date(),
+      duration: 0,
+      callData: {
+        dncEntryId: entry.id,
+        dncScope: entry.workspaceId ? 'workspace' : 'global',
+        dncReason: entry.reason || null
+      }
+    });
+  } catch (error) {
+    logger.error(`Error logging blocked call to ${call.to}: ${error.message}`);
+  }
+
+  return entry;
+};
+
+/**
+ * List entries visible to a workspace
+ * @param {Object} filters - { workspaceId, scope ('workspace'|'global'|'all'), search, includeExpired }
+ * @param {number} [limit=50] - Page size
+ * @param {number} [offset=0] - Page offset
+ * @returns {Promise<{rows: Array, count: number}>}
+ */
+const listEntries = async (filters = {}, limit = 50, offset = 0) => {
+  const where = {};
+
+  if (filters.scope === 'global') {
+    where.workspaceId = null;
+  } else if (filters.scope === 'workspace') {
+    where.workspaceId = filters.workspaceId;
+  } else {
+    where.workspaceId = { [Op.or]: [{ [Op.eq]: filters.workspaceId }, { [Op.is]: null }] };
+  }
+
+  if (filters.search) {
+    where.phoneNumber = { [Op.iLike]: `%${String(filters.search).replace(/[^\d+]/g, '')}%` };
+  }
+
+  if (!filters.includeExpired) {
+    Object.assign(where, activeWhere());
+  }
+
+  return db.DncEntry.findAndCountAll({
+    where,
+    limit,
+    offset,
+    order: [['createdAt', 'DESC']]
+  });
+};
+
+/**
+ * Get an entry visible to a workspace
+ * @param {number} id - Entry ID
+ * @param {string} workspaceId - Caller's workspace
+ * @returns {Promise<Object|null>}
+ */
+const getEntryById = async (id, workspaceId) => {
+  const entry = await db.DncEntry.findByPk(id);
+  if (!entry || (entry.workspaceId && entry.workspaceId !== workspaceId)) {
+    return null;
+  }
+  return entry;
+};
+
+/**
+ * Add a number to the list, or refresh the existing entry for the same number and scope
+ * @param {Object} data - { phoneNumber, reason, expiresAt, notes, source, createdBy }
+ * @param {string|null} workspaceId - Owning workspace; null for a global entry
+ * @returns {Promise<{entry: Object, created: boolean}>}
+ */
+const addEntry = async (data, workspaceId) => {
+  const phoneNumber = normalizePhoneNumber(data.phoneNumber);
+  if (!phoneNumber) {
+    throw new Error('A valid phone number is required');
+  }
+
+  const values = {
+    reason: data.reason || null,
+    source: data.source || 'manual',
+    expiresAt: data.expiresAt || null,
+    notes: data.notes || null,
+    createdBy: data.createdBy || null
+  };
+
+  const existing = await db.DncEntry.findOne({
+    where: { phoneNumber, workspaceId: workspaceId || null }
+  });
+
+  if (existing) {
+    await existing.update(values);
+    return { entry: existing, created: false };
+  }
+
+  const entry = await db.DncEntry.create({
+    ...values,
+    phoneNumber,
+    workspaceId: workspaceId || null
+  });
+
+  logger.info(`Added ${phoneNumber} to ${workspaceId ? `workspace ${workspaceId}` : 'global'} do-not-call list`);
+  return { entry, created: true };
+};
+
+/**
+ * Update an entry's reason, notes or expiry
+ * @param {Object} entry - DncEntry instance
+ * @param {Object} data - Fields to update
+ * @returns {Promise<Object>}
+ */
+const updateEntry = async (entry, data) => {
+  const updates = {};
+  ['reason', 'notes', 'expiresAt'].forEach(field => {
+    if (data[field] !== undefined) {
+      updates[field] = data[field] || null;
+    }
+  });
+
+  await entry.update(updates);
+  return entry;
+};
+
+/**
+ * Import many numbers at once (e.g. from CSV)
+ * @param {Array<Object>} rows - { phoneNumber, reason, expiresAt, notes }
+ * @param {string|null} workspaceId - Owning workspace; null for global entries
+ * @param {Object} [options] - { source, createdBy }
+ * @returns {Promise<Object>} { imported, updated, errors }
+ */
+const importEntries = async (rows, workspaceId, options = {}) => {
+  const result = { imported: 0, updated: 0, errors: [] };
+
+  for (let i = 0; i < rows.length; i++) {
+    const row = rows[i];
+    try {
+      if (row.expiresAt && isNaN(new Date(row.expiresAt).getTime())) {
+        throw new Error(`Invalid expiry date: ${row.expiresAt}`);
+      }
+
+      const { created } = await addEntry({
+        ...row,
+        source: options.source || 'csv',
+        createdBy: options.createdBy
+      }, workspaceId);
+
+      if (created) {
+        result.imported++;
+      } else {
+        result.updated++;
+      }
+    } catch (error) {
+      result.errors.push({ row: i + 1, error: error.message });
+    }
+  }
+
+  logger.info(`Imported do-not-call list: ${result.imported} added, ${result.updated} updated, ${result.errors.length} errors`);
+  return result;
+};
+
+module.exports = {
+  BLOCKED_CALL_STATUS,
+  DoNotCallError,
+  normalizePhoneNumber,
+  findBlockingEntry,
+  screenOutboundCall,
+  listEntries,
+  getEntryById,
+  addEntry,
+  updateEntry,
+  importEntries
+};
@@ -13,6 +13,7 @@ const logger = require('../utils/logger');
 const wav = require('wav');
 const { Readable } = require('stream');
 const { SttRequestMapping } = require('../models');
+const workspaceService = require('./workspace.service');
 
 /**
  * Get the call ID associated with a request ID
@@ -61,13 +62,14 @@ logger.debug(`ElevenLabs service initialized, API key status: ${apiKey ? 'presen
 
 /**
  * Get available voice models
+ * @param {string} [keyOverride] - Workspace API key (defaults to the global key)
  * @returns {Array} Available voices
  */
-const getVoices = async () => {
+const getVoices = async (keyOverride) => {
   try {
     const response = await axios.get(`${API_BASE_URL}/voices`, {
       headers: {
-        'xi-api-key': apiKey
+        'xi-api-key': keyOverride || apiKey
       }
     });
     
@@ -194,14 +196,17 @@ const saveAudioToFile = async (audioBuffer, filePath) => {
  * @param {string} voiceId - ID of the voice to use
  * @param {function} onChunk - Callback for audio chunks
  * @param {function} onDone - Callback when streaming is complete
- * @param {Object} options - Additional options for streaming
+ * @param {Object} options - Additional options for streaming; options.keyOverride is a workspace API key
  */
 const streamSpeechRealTime = async (text, voiceId, onChunk, onDone, options = {}) => {
   try {
+    const { keyOverride, ...speechOptions } = options;
+    const streamApiKey = keyOverride || apiKey;
+    
     // Validate voiceId
     if (!voiceId || voiceId === 'default-voice-id') {
       logger.info('No valid voice ID provided for streaming, fetching a default voice...');
-      const voices = await getVoices();
+      const voices = await getVoices(streamApiKey);
       if (!voices || !voices.length) {
         throw new Error('No voices available from ElevenLabs API');
       }
@@ -218,7 +223,7 @@ const streamSpeechRealTime = async (text, voiceId, onChunk, onDone, options = {}
     
     const streamOptions = {
       ...defaultOptions,
-      ...options
+      ...speechOptions
     };
     
     // Prepare the request payload
@@ -229,7 +234,7 @@ const streamSpeechRealTime = async (text, voiceId, onChunk, onDone, options = {}
     };
     
     // Initialize WebSocket connection with API key in query parameter
-    const ws = new WebSocket(`${WEBSOCKET_URL}/${voiceId}/stream-input?xi-api-key=${apiKey}`);
+    const ws = new WebSocket(`${WEBSOCKET_URL}/${voiceId}/stream-input?xi-api-key=${streamApiKey}`);
     
     // WebSocket event handlers
     ws.on('open', () => {
@@ -266,6 +271,135 @@ const streamSpeechRealTime = async (text, voiceId, onChunk, onDone, options = {}
   }
 };
 
+/**
+ * Open a realtime speech-to-text socket for a live call
+ * Audio is sent as 16-bit PCM; the caller decides where an utterance ends and commits it.
+ * @param {Object} handlers - { onPartial(text), onFinal(text), onError(error), onClose() }
+ * @param {Object} options - { sampleRate, languageCode }
+ * @returns {Promise<Object>} { socket, sendAudio(pcm, commit), commit(), close() }, once the socket is open
+ */
+const openSpeechToTextStream = (handlers = {}, options = {}) => {
+  const sttConfig = config.elevenLabs.stt;
+  const sampleRate = options.sampleRate || 16000;
+  const params = new URLSearchParams({
+    model_id: sttConfig.realtimeModelId,
+    audio_format: `pcm_${sampleRate}`,
+    commit_strategy: 'manual'
+  });
+  if (options.languageCode) {
+    params.set('language_code', options.languageCode);
+  }
+  
+  return new Promise((resolve, reject) => {
+    if (!apiKey) {
+      reject(new Error('ElevenLabs API key is not configured'));
+      return;
+    }
+    
+    const ws = new WebSocket(`${sttConfig.realtimeUrl}?${params.toString()}`, {
+      headers: { 'xi-api-key': apiKey }
+    });
+    let opened = false;
+    
+    const send = (message) => {
+      if (ws.readyState === WebSocket.OPEN) {
+        ws.send(JSON.stringify(message));
+      }
+    };
+    
+    const stream = {
+      socket: ws,
+      sendAudio: (pcm, commit = false) => send({
+        message_type: 'input_audio_chunk',
+        audio_base_64: pcm.toString('base64'),
+        commit,
+        sample_rate: sampleRate
+      }),
+      commit: () => send({
+        message_type: 'input_audio_chunk',
+        audio_base_64: '',
+        commit: true,
+        sample_rate: sampleRate
+      }),
+      close: () => {
+        if (ws.readyState === WebSocket.OPEN || ws.readyState === WebSocket.CONNECTING) {
+          ws.close();
+        }
+      }
+    };
+    
+    ws.on('open', () => {
+      opened = true;
+      logger.info('Realtime speech-to-text socket opened');
+      resolve(stream);
+    });
+    
+    ws.on('message', (data) => {
+      let message;
+      try {
+        message = JSON.parse(data.toString());
+      } catch (parseError) {
+        logger.warn(`Unreadable realtime STT message: ${parseError.message}`);
+        return;
+      }
+      
+      if (message.message_type === 'partial_transcript') {
+        if (message.text && handlers.onPartial) handlers.onPartial(message.text);
+      } else if (message.message_type === 'committed_transcript' ||
+                 message.message_type === 'committed_transcript_with_timestamps') {
+        if (handlers.onFinal) handlers.onFinal(message.text || '');
+      } else if (message.message_type && message.message_type.includes('error')) {
+        const error = new Error(message.error || message.message || message.message_type);
+        logger.error(`Realtime STT error: ${error.message}`);
+        if (handlers.onError) handlers.onError(error);
+      }
+    });
+    
+    ws.on('error', (error) => {
+      logger.error(`Realtime STT socket error: ${error.message}`);
+      if (!opened) {
+        reject(error);
+      } else if (handlers.onError) {
+        handlers.onError(error);
+      }
+    });
+    
+    ws.on('close', () => {
+      logger.info('Realtime speech-to-text socket closed');
+      if (opened && handlers.onClose) handlers.onClose();
+    });
+  });
+};
+
+/**
+ * Get a signed URL for a Conversational AI agent socket
+ * Signed URLs keep the API key off the socket and work for private agents.
+ * The URL is signed with the key of the workspace that owns the agent.
+ * @param {string} agentId - ElevenLabs agent ID
+ * @param {string} [workspaceId] - Workspace the call belongs to (none means the default workspace)
+ * @returns {Promise<string>} Signed wss:// URL, valid for a few minutes
+ */
+const getConversationSignedUrl = async (agentId, workspaceId) => {
+  try {
+    const workspaceApiKey = await workspaceService.getElevenLabsApiKey(workspaceId);
+    if (!workspaceApiKey) {
+      throw new Error(`No ElevenLabs API key configured for workspace ${workspaceId}`);
+    }
+    
+    const response = await axios.get(`${API_BASE_URL}/convai/conversation/get-signed-url`, {
+      params: { agent_id: agentId },
+      headers: {
+        'xi-api-key': workspaceApiKey
+      }
+    });
+    
+    return response.data.signed_url;
+  } catch (error) {
+    logger.error(`Error getting signed conversation URL for agent ${agentId}: ${error.message}`);
+    throw error;
+  }
+};
+
 /**
  * Get the list of available voice clones or custom voices
  * @returns {Array} Available voice clones
@@ -290,14 +424,17 @@ const getVoiceClones = async () => {
  * @param {string} prompt - Conversation context or prompt
  * @param {string} voiceId - ID of the voice to use
  * @param {Array} history - Previous conversation history
+ * @param {Object} [options] - { systemPrompt, dynamicVariables } resolved for the contact on the call
  * @returns {Object} Response including audio and transcript
  */
-const generateConversationalResponse = async (prompt, voiceId, history = []) => {
+const generateConversationalResponse = async (prompt, voiceId, history = [], options = {}) => {
   try {
     const response = await axios.post(`${API_BASE_URL}/conversation`, {
       prompt,
       voice_id: voiceId,
-      history
+      history,
+      ...(options.systemPrompt ? { system_prompt: options.systemPrompt } : {}),
+      ...(options.dynamicVariables ? { dynamic_variables: options.dynamicVariables } : {})
     }, {
       headers: {
         'xi-api-key': apiKey,
@@ -315,15 +452,16 @@ const generateConversationalResponse = async (prompt, voiceId, history = []) =>
 
 /**
  * Get available voice agents for automated calling
+ * @param {string} [keyOverride] - Workspace API key (defaults to the global key)
  * @returns {Array} Available voice agents
  */
-const getAvailableVoiceAgents = async () => {
+const getAvailableVoiceAgents = async (keyOverride) => {
   try {
     logger.info('Getting available voice agents from ElevenLabs API');
     
     const response = await axios.get(`${API_BASE_URL}/conversation/agents`, {
       headers: {
-        'xi-api-key': apiKey,
+        'xi-api-key': keyOverride || apiKey,
         'Content-Type': 'application/json'
       }
     });
@@ -343,15 +481,16 @@ const getAvailableVoiceAgents = async () => {
 /**
  * Get a specific voice agent by ID
  * @param {string} agentId - ID of the agent to fetch
+ * @param {string} [keyOverride] - Workspace API key (defaults to the global key)
  * @returns {Object} Agent details
  */
-const getVoiceAgentById = async (agentId) => {
+const getVoiceAgentById = async (agentId, keyOverride) => {
   try {
     logger.info(`Getting voice agent by ID from ElevenLabs API: ${agentId}`);
     
     const response = await axios.get(`${API_BASE_URL}/conversation/agents/${agentId}`, {
       headers: {
-        'xi-api-key': apiKey,
+        'xi-api-key': keyOverride || apiKey,
         'Content-Type': 'application/json'
       }
     });
@@ -375,14 +514,15 @@ const getVoiceAgentById = async (agentId) => {
  * Update webhook URL for a voice agent
  * @param {string} agentId - ID of the agent to update
  * @param {string} webhookUrl - New webhook URL
+ * @param {string} [keyOverride] - Workspace API key (defaults to the global key)
  * @returns {Object} Updated agent details
  */
-const updateAgentWebhook = async (agentId, webhookUrl) => {
+const updateAgentWebhook = async (agentId, webhookUrl, keyOverride) => {
   try {
     logger.info(`Updating webhook for agent ${agentId} to ${webhookUrl}`);
     
     // First get current agent configuration
-    const agent = await getVoiceAgentById(agentId);
+    const agent = await getVoiceAgentById(agentId, keyOverride);
     
     if (!agent) {
       throw new Error(`Agent with ID ${agentId} not found`);
@@ -399,7 +539,7 @@ const updateAgentWebhook = async (agentId, webhookUrl) => {
       webhook_config: webhookConfig
     }, {
       headers: {
-        'xi-api-key': apiKey,
+        'xi-api-key': keyOverride || apiKey,
         'Content-Type': 'application/json'
       }
     });
@@ -705,6 +845,8 @@ module.exports = {
   generateSpeech,
   saveAudioToFile,
   streamSpeechRealTime,
+  openSpeechToTextStream,
+  getConversationSignedUrl,
   getVoiceClones,
   generateConversationalResponse,
   getAvailableVoiceAgents,
@@ -0,0 +1,181 @@
+/**
+ * Inbound Route Service
+ * Routing table for inbound calls, keyed by the dialed number. Each route names who answers during
+ * business hours (a call flow or a voice agent), the schedule those hours come from, what happens
+ * after hours, and a fallback for when the route cannot be served.
+ */
+
+const db = require('../models');
+const signalwireService = require('./signalwire.service');
+const { AFTER_HOURS_ACTIONS, validateBehavior, buildBehavior } = require('./business-schedule.service');
+const { scopeWhere, findScopedByPk } = require('../utils/workspace-scope');
+
+// What a call gets when its route has nothing that can answer it
+const FALLBACK_ACTIONS = ['voicemail', 'message', 'forward'];
+
+/**
+ * Thrown when route fields fail validation
+ */
+class InvalidInboundRouteError extends Error {
+  constructor(errors) {
+    super(`Invalid inbound route: ${errors.join('; ')}`);
+    this.name = 'InvalidInboundRouteError';
+    this.code = 'INVALID_INBOUND_ROUTE';
+    this.errors = errors;
+  }
+}
+
+/**
+ * Normalize a dialed number to the E.164 form routes are stored under
+ * @param {string} phoneNumber - Number as dialed or entered
+ * @returns {string|null}
+ */
+const normalizeNumber = (phoneNumber) => {
+  if (!phoneNumber || !String(phoneNumber).replace(/\D/g, '')) {
+    return null;
+  }
+  return signalwireService.formatPhoneNumber(String(phoneNumber));
+};
+
+/**
+ * Validate and normalize writable fields
+ * @param {Object} data - Request fields
+ * @param {Object} [route] - Route being updated, for checks that span fields
+ * @returns {Object} Fields to store
+ * @throws {InvalidInboundRouteError}
+ */
+const buildRouteFields = (data, route) => {
+  const fields = {};
+  const errors = [];
+
+  if (data.phoneNumber !== undefined) {
+    fields.phoneNumber = normalizeNumber(data.phoneNumber);
+    if (!fields.phoneNumber) {
+      errors.push('A valid phoneNumber is required');
+    }
+  }
+
+  ['name', 'voiceAgentId', 'callFlowId', 'campaignId', 'scheduleId'].forEach(field => {
+    if (data[field] !== undefined) {
+      fields[field] = data[field] || null;
+    }
+  });
+
+  if (data.afterHours !== undefined) {
+    errors.push(...validateBehavior(data.afterHours, AFTER_HOURS_ACTIONS, 'afterHours'));
+    fields.afterHours = data.afterHours && buildBehavior(data.afterHours, normalizeNumber);
+  }
+
+  if (data.fallback !== undefined) {
+    errors.push(...validateBehavior(data.fallback, FALLBACK_ACTIONS, 'fallback'));
+    fields.fallback = data.fallback && buildBehavior(data.fallback, normalizeNumber);
+  }
+
+  if (data.isActive !== undefined) {
+    fields.isActive = !!data.isActive;
+  }
+
+  // An after-hours agent needs an agent of its own or the route's
+  const afterHours = fields.afterHours || (route && route.afterHours);
+  const voiceAgentId = fields.voiceAgentId !== undefined ? fields.voiceAgentId : route && route.voiceAgentId;
+  if (errors.length === 0 && afterHours && afterHours.action === 'agent' && !afterHours.voiceAgentId && !voiceAgentId) {
+    errors.push('afterHours.voiceAgentId is required when the route has no voice agent');
+  }
+
+  if (errors.length > 0) {
+    throw new InvalidInboundRouteError(errors);
+  }
+  return fields;
+};
+
+/**
+ * List a workspace's routes
+ * @param {string} workspaceId - Workspace ID
+ * @returns {Promise<Array>}
+ */
+const listRoutes = (workspaceId) => {
+  return db.InboundRoute.findAll({
+    where: scopeWhere({}, workspaceId),
+    include: [
+      { model: db.CallFlow, as: 'callFlow', attributes: ['id', 'name', 'activeVersion'] },
+      { model: db.Campaign, as: 'campaign', attributes: ['id', 'name'] },
+      { model: db.BusinessSchedule, as: 'schedule', attributes: ['id', 'name', 'timezone'] }
+    ],
+    order: [['phoneNumber', 'ASC']]
+  });
+};
+
+/**
+ * Get a route owned by a workspace
+ * @param {number} id - InboundRoute ID
+ * @param {string} [workspaceId] - Workspace to restrict to
+ * @returns {Promise<Object|null>}
+ */
+const getRouteById = (id, workspaceId) => findScopedByPk(db.InboundRoute, id, workspaceId);
+
+/**
+ * Make sure no other route answers the number
+ * @throws {InvalidInboundRouteError}
+ */
+const assertNumberFree = async (phoneNumber, routeId) => {
+  const existing = await db.InboundRoute.findOne({ where: { phoneNumber } });
+  if (existing && existing.id !== routeId) {
+    throw new InvalidInboundRouteError([`${phoneNumber} already has a route`]);
+  }
+};
+
+/**
+ * Add a route
+ * @param {Object} data - Route fields
+ * @param {string} workspaceId - Owning workspace
+ * @returns {Promise<Object>} Created route
+ * @throws {InvalidInboundRouteError}
+ */
+const createRoute = async (data, workspaceId) => {
+  const fields = buildRouteFields({ ...data, phoneNumber: data.phoneNumber || '' });
+  await assertNumberFree(fields.phoneNumber);
+
+  return db.InboundRoute.create({ ...fields, workspaceId });
+};
+
+/**
+ * Update a route
+ * @param {Object} route - InboundRoute instance
+ * @param {Object} data - Fields to change
+ * @returns {Promise<Object>} Updated route
+ * @throws {InvalidInboundRouteError}
+ */
+const updateRoute = async (route, data) => {
+  const fields = buildRouteFields(data, route);
+  if (fields.phoneNumber && fields.phoneNumber !== route.phoneNumber) {
+    await assertNumberFree(fields.phoneNumber, route.id);
+  }
+
+  await route.update(fields);
+  return route;
+};
+
+/**
+ * Find the active route for a dialed number
+ * @param {string} dialedNumber - Number that was called
+ * @returns {Promise<Object|null>}
+ */
+const findRouteForNumber = async (dialedNumber) => {
+  const phoneNumber = normalizeNumber(dialedNumber);
+  if (!phoneNumber) {
+    return null;
+  }
+  return db.InboundRoute.findOne({ where: { phoneNumber, isActive: true } });
+};
+
+module.exports = {
+  AFTER_HOURS_ACTIONS,
+  FALLBACK_ACTIONS,
+  InvalidInboundRouteError,
+  normalizeNumber,
+  listRoutes,
+  getRouteById,
+  createRoute,
+  updateRoute,
+  findRouteForNumber
+};
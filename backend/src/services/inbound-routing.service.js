@@ -0,0 +1,154 @@
+/**
+ * Inbound Routing Service
+ * Answers inbound calls from the routing table: the route's call flow or voice agent while its
+ * schedule is open, its after-hours behavior otherwise, and its fallback when neither can answer.
+ * Numbers without a route keep the call flow assigned in the number pool, if any.
+ * A call flow with a schedule of its own applies it too, whichever way the call reached it.
+ */
+
+const db = require('../models');
+const logger = require('../utils/logger');
+const signalwireService = require('./signalwire.service');
+const inboundRouteService = require('./inbound-route.service');
+const businessScheduleService = require('./business-schedule.service');
+const callFlowService = require('./call-flow.service');
+const callFlowInterpreter = require('./call-flow-interpreter.service');
+const callHandlingService = require('./call-handling.service');
+
+const { escapeXml, getBaseUrl } = callFlowInterpreter;
+
+const DEFAULT_MESSAGES = {
+  afterHours: 'Thank you for calling. We are closed right now. Please call back during business hours.',
+  fallback: 'We are sorry, but we cannot take your call right now. Please try again later.',
+  voicemail: 'Please leave a message after the tone.'
+};
+
+/**
+ * Render an after-hours or fallback behavior
+ * @param {Object} behavior - { action, message, voiceAgentId, forwardTo }
+ * @param {Object} callData - SignalWire inbound call webhook fields
+ * @param {string} kind - 'afterHours' or 'fallback'
+ * @param {string} [voiceAgentId] - Agent used when an agent behavior names none
+ * @returns {Promise<string>} XML response
+ */
+const renderBehavior = async (behavior, callData, kind, voiceAgentId) => {
+  const action = behavior && behavior.action;
+  const message = behavior && behavior.message;
+
+  switch (action) {
+    case 'agent':
+      return callHandlingService.handleInboundCall(callData, {
+        voiceAgentId: behavior.voiceAgentId || voiceAgentId
+      });
+
+    case 'forward':
+      return signalwireService.generateTwiML({
+        say: message ? { text: escapeXml(message) } : undefined,
+        dial: { number: escapeXml(behavior.forwardTo), callerId: escapeXml(callData.To || '') }
+      });
+
+    case 'voicemail':
+      return signalwireService.generateTwiML({
+        say: { text: escapeXml(message || DEFAULT_MESSAGES.voicemail) },
+        record: { action: `${getBaseUrl()}/api/calls/inbound/voicemail`, maxLength: 120 }
+      });
+
+    default:
+      return signalwireService.generateTwiML({
+        say: { text: escapeXml(message || DEFAULT_MESSAGES[kind]) }
+      });
+  }
+};
+
+/**
+ * Start a call flow, or its after-hours behavior when the flow's own schedule is closed
+ * @param {Object} active - { flow, version } from callFlowService
+ * @param {Object} callData - SignalWire inbound call webhook fields
+ * @param {Date} now - Reference time
+ * @returns {Promise<string>} XML response
+ */
+const renderFlow = async (active, callData, now) => {
+  if (!await businessScheduleService.isScheduleOpen(active.flow.scheduleId, now)) {
+    logger.info(`Inbound call ${callData.CallSid} reached call flow ${active.flow.id} after hours`);
+    return renderBehavior(active.flow.afterHours, callData, 'afterHours');
+  }
+  return callFlowInterpreter.startFlow(active, callData);
+};
+
+/**
+ * Answer a call during business hours with the route's call flow, then its voice agent
+ * @param {Object} route - InboundRoute
+ * @param {Object} callData - SignalWire inbound call webhook fields
+ * @param {Date} now - Reference time
+ * @returns {Promise<string|null>} XML response, or null when the route has nothing that can answer
+ */
+const renderOpenRoute = async (route, callData, now) => {
+  if (route.callFlowId) {
+    const active = await callFlowService.getActiveFlow(route.callFlowId);
+    if (active) {
+      return renderFlow(active, callData, now);
+    }
+    logger.warn(`Inbound route ${route.id} call flow ${route.callFlowId} has no active version`);
+  }
+
+  if (route.voiceAgentId) {
+    return callHandlingService.handleInboundCall(callData, { voiceAgentId: route.voiceAgentId });
+  }
+
+  return null;
+};
+
+/**
+ * Answer an inbound call from the routing table
+ * @param {Object} callData - SignalWire inbound call webhook fields
+ * @param {Date} [now] - Reference time for business hours
+ * @returns {Promise<string|null>} XML response, or null when neither a route nor a pool flow answers the number
+ */
+const renderInboundCall = async (callData, now = new Date()) => {
+  const route = await inboundRouteService.findRouteForNumber(callData.To);
+  if (!route) {
+    const assigned = await callFlowService.getFlowForNumber(callData.To);
+    return assigned ? renderFlow(assigned, callData, now) : null;
+  }
+
+  try {
+    if (!await businessScheduleService.isScheduleOpen(route.scheduleId, now)) {
+      logger.info(`Inbound call ${callData.CallSid} to ${callData.To} is after hours; ${route.afterHours.action}`);
+      return await renderBehavior(route.afterHours, callData, 'afterHours', route.voiceAgentId);
+    }
+
+    const xml = await renderOpenRoute(route, callData, now);
+    if (xml) {
+      return xml;
+    }
+    logger.warn(`Inbound route ${route.id} for ${route.phoneNumber} has no call flow or voice agent to answer`);
+  } catch (error) {
+    logger.error(`Error routing inbound call ${callData.CallSid} to ${callData.To}: ${error.message}`);
+  }
+
+  return renderBehavior(route.fallback, callData, 'fallback');
+};
+
+/**
+ * Store a voicemail left through an after-hours or fallback behavior and end the call
+ * @param {Object} callData - SignalWire recording callback fields
+ * @returns {Promise<string>} XML response
+ */
+const handleVoicemail = async (callData) => {
+  if (callData.RecordingUrl && callData.CallSid) {
+    await db.CallLog.update(
+      { recordingUrl: callData.RecordingUrl },
+      { where: { callSid: callData.CallSid } }
+    );
+    logger.info(`Voicemail recorded on inbound call ${callData.CallSid}`);
+  }
+
+  return signalwireService.generateTwiML({
+    say: { text: 'Thank you for your message. We will get back to you as soon as possible.' }
+  });
+};
+
+module.exports = {
+  renderInboundCall,
+  handleVoicemail
+};
@@ -9,18 +9,19 @@ const audioBridgeService = require('./audio-bridge.service');
 const callEventListenerService = require('./call-event-listener.service');
 const callEventsService = require('./call-events.service');
 const callHandlingService = require('./call-handling.service');
+const callListenService = require('./call-listen.service');
 const callQueueService = require('./call-queue.service');
 const callRecordingService = require('./call-recording.service');
 const callSchedulerService = require('./call-scheduler.service');
 const callTransferService = require('./call-transfer.service');
 const campaignSchedulerService = require('./campaign-scheduler.service');
 const campaignService = require('./campaign.service');
+const conversationalBridgeService = require('./conversational-bridge.service');
 const elevenlabsService = require('./elevenlabs.service');
-const mediaStreamService = require('./media-stream.service');
 const queueSchedulerService = require('./queue-scheduler.service');
 const signalwireService = require('./signalwire.service');
 const storageService = require('./storage.service');
-const websocketServerService = require('./websocket-server.service');
+const streamGatewayService = require('./stream-gateway.service');
 
 module.exports = {
   amdService,
@@ -29,16 +30,17 @@ module.exports = {
   callEventListenerService,
   callEventsService,
   callHandlingService,
+  callListenService,
   callQueueService,
   callRecordingService,
   callSchedulerService,
   callTransferService,
   campaignSchedulerService,
   campaignService,
+  conversationalBridgeService,
   elevenlabsService,
-  mediaStreamService,
   queueSchedulerService,
   signalwireService,
   storageService,
-  websocketServerService
+  streamGatewayService
 };
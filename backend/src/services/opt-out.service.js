@@ -0,0 +1,196 @@
+/**
+ * Opt-Out Service
+ * Detects "don't call me" requests during calls and suppresses the caller
+ */
+
+const db = require('../models');
+const logger = require('../utils/logger');
+const contactService = require('./contact.service');
+const dncService = require('./dnc.service');
+const { cancelScheduledCalls } = require('./call-scheduler.service');
+
+// Phrases a callee uses to ask not to be called again
+const OPT_OUT_PATTERNS = [
+  /\b(take|remove|delete|drop)\s+(me|my\s+number)\s+(off|from)\s+(of\s+)?(your|the|this)?\s*(call(ing)?\s+|contact\s+|mailing\s+)?list\b/gi,
+  /\b(stop|quit)\s+call(ing)?\s+me\b/gi,
+  /\b(don'?t|do\s+not|never)\s+call\s+(me|this\s+number|here)(\s+again|\s+anymore|\s+back)?\b/gi,
+  // Only the imperative form: "am I on your do not call list?" is a question, not an opt-out
+  /\b(put|add|place)\s+(me|my\s+number)\s+(on|to)\s+(your|the)\s+do[\s-]not[\s-]call\b/gi,
+  /\b(unsubscribe|opt\s*me\s+out)\b/gi
+];
+
+// Negation just before a phrase: "please don't take me off your list", "I never said stop calling me"
+const NEGATED_PREFIX = /\b(don'?t|do\s+not|didn'?t|did\s+not|won'?t|wouldn'?t|not|never)\s+((ever\s+)?(said|say|asked|ask|meant|mean|told\s+you|tell\s+you|want(ed)?(\s+you)?)\s+(to\s+)?)?$/i;
+
+// Time or channel right after a phrase, which limits the request rather than opting out:
+// "don't call me before 5pm", "unsubscribe from emails only"
+const QUALIFIED_SUFFIX = /^\s*,?\s*(before|after|until|till|between|during|tonight|tomorrow|at\s+(\d|work|night|home|dinner|lunch|noon)|in\s+the\s+(morning|afternoon|evening)|this\s+(morning|afternoon|evening|week(end)?)|on\s+(the\s+)?(weekends?|weekdays?|(mon|tues|wednes|thurs|fri|satur|sun)days?)|((from|to|by|via|on|for)\s+(the\s+|your\s+|my\s+)?)?(e-?mails?|texts?|sms|newsletters?|mail|cell|mobile|work\s+(phone|number)))\b/i;
+
+// Transcript roles spoken by the callee rather than the agent
+const CALLEE_ROLES = ['user', 'customer', 'caller'];
+
+// Characters of context kept around a matched phrase
+const SNIPPET_CONTEXT = 60;
+
+/**
+ * Find an opt-out phrase in a piece of text
+ * Phrases that are negated, or limited to a time or channel, are not opt-outs
+ * @param {string} text - Spoken text
+ * @returns {string|null} Snippet around the matched phrase, or null
+ */
+const detectOptOut = (text) => {
+  if (!text || typeof text !== 'string') {
+    return null;
+  }
+
+  for (const pattern of OPT_OUT_PATTERNS) {
+    for (const match of text.matchAll(pattern)) {
+      const end = match.index + match[0].length;
+      if (NEGATED_PREFIX.test(text.substring(0, match.index)) || QUALIFIED_SUFFIX.test(text.substring(end))) {
+        continue;
+      }
+
+      return text.substring(Math.max(0, match.index - SNIPPET_CONTEXT), Math.min(text.length, end + SNIPPET_CONTEXT)).trim();
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Scan a conversation transcript for a callee opt-out request
+ * Agent turns are ignored so "I can take you off our list" does not count
+ * @param {Array<Object>} messages - Transcript messages ({ role, content, time_in_call_secs })
+ * @returns {Object|null} { snippet, messageIndex, timeInCallSecs } of the first match, or null
+ */
+const findOptOutInTranscript = (messages) => {
+  if (!Array.isArray(messages)) {
+    return null;
+  }
+
+  for (let i = 0; i < messages.length; i++) {
+    const msg = messages[i];
+    if (!msg || !CALLEE_ROLES.includes(msg.role)) {
+      continue;
+    }
+
+    const snippet = detectOptOut(msg.content || msg.message);
+    if (snippet) {
+      return {
+        snippet,
+        messageIndex: i,
+        timeInCallSecs: msg.time_in_call_secs ?? null
+      };
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Work out which contact and number a call was with from its log
+ * @param {string} callSid - Call SID
+ * @returns {Promise<Object>} { contactId, phoneNumber, workspaceId, campaignId }
+ */
+const resolveCallParty = async (callSid) => {
+  if (!callSid) {
+    return {};
+  }
+
+  const callLog = await db.CallLog.findOne({
+    where: { callSid },
+    attributes: ['id', 'workspaceId', 'campaignId', 'contactId', 'direction', 'from', 'to']
+  });
+
+  if (!callLog) {
+    return {};
+  }
+
+  return {
+    contactId: callLog.contactId,
+    phoneNumber: callLog.direction === 'inbound' ? callLog.from : callLog.to,
+    workspaceId: callLog.workspaceId,
+    campaignId: callLog.campaignId
+  };
+};
+
+/**
+ * Record an opt-out: flag the contact, cancel their pending calls and add the number to the DNC list
+ * @param {Object} optOut - Opt-out details
+ * @param {string} optOut.source - 'transcript' or 'dtmf'
+ * @param {string} [optOut.callSid] - Call the request was made on
+ * @param {string} [optOut.contactId] - Contact, if already known
+ * @param {string} [optOut.phoneNumber] - Callee number, used when the contact is not known
+ * @param {string} [optOut.workspaceId] - Workspace the call belongs to
+ * @param {string} [optOut.snippet] - Transcript excerpt containing the request
+ * @param {number} [optOut.timeInCallSecs] - When in the call the request was made
+ * @param {string} [optOut.digit] - Keypad digit pressed
+ * @returns {Promise<Object>} { contactId, phoneNumber, cancelledCalls, dncEntryId }
+ */
+const recordOptOut = async (optOut) => {
+  const party = await resolveCallParty(optOut.callSid);
+  const workspaceId = optOut.workspaceId || party.workspaceId || null;
+  const phoneNumber = optOut.phoneNumber || party.phoneNumber || null;
+
+  let contact = null;
+  const contactId = optOut.contactId || party.contactId;
+  if (contactId) {
+    contact = await contactService.getContactById(contactId);
+  } else if (phoneNumber) {
+    contact = await contactService.getContactByPhone(phoneNumber, workspaceId);
+  }
+
+  const evidence = {
+    source: optOut.source,
+    callSid: optOut.callSid || null,
+    detectedAt: new Date().toISOString(),
+    ...(optOut.snippet ? { snippet: optOut.snippet } : {}),
+    ...(optOut.timeInCallSecs != null ? { timeInCallSecs: optOut.timeInCallSecs } : {}),
+    ...(optOut.digit ? { digit: optOut.digit } : {})
+  };
+
+  const result = {
+    contactId: contact ? contact.id : null,
+    phoneNumber: phoneNumber || (contact ? contact.phone : null),
+    cancelledCalls: 0,
+    dncEntryId: null
+  };
+
+  if (contact) {
+    // Keep the evidence of the first request if the contact repeats it on a later call
+    if (!contact.optedOut) {
+      await contact.update({
+        optedOut: true,
+        optedOutAt: new Date(),
+        optOutEvidence: evidence
+      });
+    }
+
+    const cancellation = await cancelScheduledCalls({
+      contactIds: [contact.id],
+      reason: 'opt_out'
+    });
+    result.cancelledCalls = cancellation.cancelledCalls;
+  }
+
+  if (result.phoneNumber) {
+    const { entry } = await dncService.addEntry({
+      phoneNumber: result.phoneNumber,
+      reason: 'Opted out during call',
+      source: 'opt-out',
+      notes: evidence.snippet
+        ? `Call ${evidence.callSid}: "${evidence.snippet}"`
+        : `Call ${evidence.callSid}: pressed ${evidence.digit}`
+    }, contact ? contact.workspaceId : workspaceId);
+    result.dncEntryId = entry.id;
+  }
+
+  logger.info(`Recorded ${optOut.source} opt-out for ${result.phoneNumber || 'unknown number'} on call ${optOut.callSid}`);
+  return result;
+};
+
+module.exports = {
+  detectOptOut,
+  findOptOutInTranscript,
+  recordOptOut
+};
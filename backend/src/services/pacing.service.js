@@ -0,0 +1,371 @@
+/**
+ * Pacing Service
+ * Decides how many lines a campaign may dial, from live answer rate, handle time and agent capacity.
+ * A campaign's lines are rows in the database: any worker can mark a call answered or ended by call SID,
+ * and the worker running the campaign sees it on its next dial.
+ */
+
+const { Op } = require('sequelize');
+const db = require('../models');
+const logger = require('../utils/logger');
+
+const PACING_MODES = ['preview', 'progressive', 'predictive'];
+
+// Default pacing settings, overridden by Campaign.settings
+const DEFAULT_PACING = {
+  transferAgents: 1,   // Agents available to take answered calls
+  maxAbandonRate: 3,   // Percent of answered calls allowed to find no free agent
+  maxDialRatio: 3,     // Most lines dialed per free agent in predictive mode
+  statsWindow: 100     // Recent calls used to compute rates
+};
+
+// Calls needed before predictive trusts its answer rate; until then it dials progressively
+const MIN_PREDICTIVE_SAMPLE = 20;
+
+// How far ahead predictive expects connected calls to free their agent
+const LOOKAHEAD_SEC = 15;
+
+// A line stops counting this long after its dial if the call end is never reported
+const LINE_TIMEOUT_MS = 3600000;
+
+// Call statuses after which the call no longer holds a line
+const FINAL_CALL_STATUSES = ['completed', 'busy', 'failed', 'no-answer', 'no_answer', 'canceled'];
+
+const toPositiveNumber = (value, fallback) => {
+  const number = parseFloat(value);
+  return Number.isFinite(number) && number > 0 ? number : fallback;
+};
+
+/**
+ * Read pacing settings for a campaign
+ * @param {Object} campaign - Campaign with a settings object
+ * @param {Object} [overrides] - Scheduler start settings taking precedence
+ * @returns {Object} { mode, transferAgents, maxAbandonRate, maxDialRatio, statsWindow }; mode is null when pacing is off
+ */
+const getPacingSettings = (campaign, overrides = {}) => {
+  const settings = { ...((campaign && campaign.settings) || {}), ...overrides };
+
+  return {
+    mode: PACING_MODES.includes(settings.pacingMode) ? settings.pacingMode : null,
+    transferAgents: Math.floor(toPositiveNumber(settings.transferAgents, DEFAULT_PACING.transferAgents)),
+    maxAbandonRate: toPositiveNumber(settings.maxAbandonRate, DEFAULT_PACING.maxAbandonRate),
+    maxDialRatio: Math.max(1, toPositiveNumber(settings.maxDialRatio, DEFAULT_PACING.maxDialRatio)),
+    statsWindow: DEFAULT_PACING.statsWindow
+  };
+};
+
+/**
+ * Where clause for a campaign's lines that are still live
+ * @param {string} campaignId - Campaign ID
+ * @param {Date} now - Current time
+ * @returns {Object}
+ */
+const liveWhere = (campaignId, now) => ({
+  campaignId,
+  endedAt: null,
+  expiresAt: { [Op.gt]: now }
+});
+
+const countState = (lines, state) => lines.filter(line => line.state === state).length;
+
+/**
+ * Lines predictive mode wants in flight
+ * Overdials by the inverse answer rate, counting agents expected to free up soon,
+ * and backs off toward progressive as the abandon rate nears its cap
+ */
+const getPredictiveLines = (settings, stats, freeAgents, connected) => {
+  if (stats.sampleSize < MIN_PREDICTIVE_SAMPLE || stats.abandonRate >= settings.maxAbandonRate) {
+    return freeAgents;
+  }
+
+  const freeingSoon = stats.averageHandleTime
+    ? connected * Math.min(1, LOOKAHEAD_SEC / stats.averageHandleTime)
+    : 0;
+  const expectedFreeAgents = freeAgents + freeingSoon;
+
+  const fullRatio = stats.answerRate > 0
+    ? Math.min(settings.maxDialRatio, 1 / stats.answerRate)
+    : settings.maxDialRatio;
+  const headroom = 1 - stats.abandonRate / settings.maxAbandonRate;
+  const dialRatio = 1 + (fullRatio - 1) * headroom;
+
+  return expectedFreeAgents * dialRatio;
+};
+
+/**
+ * Paces one campaign's dialing from its lines in the database
+ */
+class PacingController {
+  constructor(campaignId, settings) {
+    this.campaignId = campaignId;
+    this.settings = settings;
+  }
+
+  /**
+   * Update pacing settings on a running campaign
+   * @param {Object} settings - Partial settings
+   */
+  updateSettings(settings) {
+    this.settings = { ...this.settings, ...settings };
+  }
+
+  /**
+   * The campaign's live lines and most recent outcomes
+   * @returns {Promise<Object>} { lines, outcomes }
+   */
+  async loadLines() {
+    const [lines, outcomes] = await Promise.all([
+      db.CampaignLine.findAll({
+        where: liveWhere(this.campaignId, new Date()),
+        attributes: ['callSid', 'state']
+      }),
+      db.CampaignLine.findAll({
+        where: { campaignId: this.campaignId, endedAt: { [Op.ne]: null } },
+        attributes: ['human', 'machine', 'abandoned', 'handleTimeSec'],
+        order: [['endedAt', 'DESC']],
+        limit: this.settings.statsWindow
+      })
+    ]);
+    return { lines, outcomes };
+  }
+
+  /**
+   * Rates over the recent outcome window
+   * @param {Object} [loaded] - From loadLines(), to save loading them again
+   * @returns {Promise<Object>} Pacing statistics
+   */
+  async getStats(loaded) {
+    const { lines, outcomes } = loaded || await this.loadLines();
+    const attempts = outcomes.length;
+    const humans = outcomes.filter(outcome => outcome.human);
+    const abandoned = humans.filter(outcome => outcome.abandoned).length;
+    const handleTimes = humans.map(outcome => outcome.handleTimeSec).filter(time => time > 0);
+
+    return {
+      mode: this.settings.mode,
+      transferAgents: this.settings.transferAgents,
+      maxAbandonRate: this.settings.maxAbandonRate,
+      sampleSize: attempts,
+      answerRate: attempts > 0 ? humans.length / attempts : null,
+      machineRate: attempts > 0 ? outcomes.filter(outcome => outcome.machine).length / attempts : null,
+      abandonRate: humans.length > 0 ? (abandoned / humans.length) * 100 : 0,
+      averageHandleTime: handleTimes.length > 0
+        ? handleTimes.reduce((sum, time) => sum + time, 0) / handleTimes.length
+        : null,
+      ringingLines: countState(lines, 'ringing'),
+      connectedLines: countState(lines, 'connected')
+    };
+  }
+
+  /**
+   * Number of new calls the campaign may place right now
+   * @returns {Promise<number>}
+   */
+  async getDialCapacity() {
+    const loaded = await this.loadLines();
+    const ringing = countState(loaded.lines, 'ringing');
+    const connected = countState(loaded.lines, 'connected');
+    const freeAgents = Math.max(0, this.settings.transferAgents - connected);
+
+    switch (this.settings.mode) {
+      case 'preview':
+        // One call at a time, and only once an agent is free for it
+        return ringing === 0 && freeAgents > 0 ? 1 : 0;
+
+      case 'progressive':
+        return Math.max(0, freeAgents - ringing);
+
+      case 'predictive': {
+        const stats = await this.getStats(loaded);
+        return Math.max(0, Math.floor(getPredictiveLines(this.settings, stats, freeAgents, connected)) - ringing);
+      }
+
+      default:
+        return Infinity;
+    }
+  }
+}
+
+/**
+ * Create the pacing controller for a campaign
+ * @param {string} campaignId - Campaign ID
+ * @param {Object} settings - From getPacingSettings
+ * @returns {PacingController}
+ */
+const createController = (campaignId, settings) => {
+  logger.info(`Pacing campaign ${campaignId} in ${settings.mode} mode with ${settings.transferAgents} agents`);
+  return new PacingController(campaignId, settings);
+};
+
+/**
+ * Register a dialed call as one of its campaign's lines
+ * @param {string} campaignId - Campaign ID
+ * @param {string} callSid - Call SID
+ * @param {Object} [settings] - Pacing settings when the campaign paces its dialing
+ * @returns {Promise<Object>} CampaignLine row
+ */
+const trackCall = (campaignId, callSid, settings = null) => {
+  const now = new Date();
+  return db.CampaignLine.create({
+    callSid,
+    campaignId,
+    state: 'ringing',
+    transferAgents: settings && settings.mode ? settings.transferAgents : null,
+    dialedAt: now,
+    expiresAt: new Date(now.getTime() + LINE_TIMEOUT_MS)
+  });
+};
+
+/**
+ * Live lines of a campaign
+ * @param {string} campaignId - Campaign ID
+ * @returns {Promise<string[]>} Call SIDs
+ */
+const getLiveCallSids = async (campaignId) => {
+  const lines = await db.CampaignLine.findAll({
+    where: liveWhere(campaignId, new Date()),
+    attributes: ['callSid']
+  });
+  return lines.map(line => line.callSid);
+};
+
+/**
+ * Number of live lines a campaign holds
+ * @param {string} campaignId - Campaign ID
+ * @returns {Promise<number>}
+ */
+const countLiveLines = (campaignId) => db.CampaignLine.count({ where: liveWhere(campaignId, new Date()) });
+
+/**
+ * Drop a campaign's lines and outcomes when it stops
+ * @param {string} campaignId - Campaign ID
+ * @returns {Promise<number>} Rows removed
+ */
+const clearLines = (campaignId) => db.CampaignLine.destroy({ where: { campaignId } });
+
+/**
+ * Feed an answered call into pacing. A person answering while every agent is busy is an abandon.
+ * @param {string} callSid - Call SID
+ * @returns {Promise<boolean>} Whether the call holds a campaign line
+ */
+const recordCallAnswered = async (callSid) => {
+  const line = await db.CampaignLine.findOne({ where: { callSid, endedAt: null }, attributes: ['campaignId'] });
+  if (!line) {
+    return false;
+  }
+
+  // Locking the campaign's live lines makes calls answered together take the free agents one at a time
+  return db.sequelize.transaction(async (transaction) => {
+    const lines = await db.CampaignLine.findAll({
+      where: liveWhere(line.campaignId, new Date()),
+      order: [['callSid', 'ASC']],
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+    const answered = lines.find(candidate => candidate.callSid === callSid);
+    if (!answered) {
+      return false;
+    }
+
+    if (answered.state !== 'connected') {
+      await answered.update({
+        state: 'connected',
+        connectedAt: new Date(),
+        abandoned: answered.transferAgents ? countState(lines, 'connected') >= answered.transferAgents : false
+      }, { transaction });
+    }
+    return true;
+  });
+};
+
+/**
+ * Feed an answering machine detection result into pacing
+ * A machine never occupies an agent.
+ * @param {string} callSid - Call SID
+ * @param {Object} amdResult - From amdService.processAmdResult
+ * @returns {Promise<boolean>} Whether the call holds a campaign line
+ */
+const recordAmdResult = async (callSid, amdResult) => {
+  if (amdResult.isMachine) {
+    const [updated] = await db.CampaignLine.update(
+      { state: 'machine', abandoned: false },
+      { where: { callSid, endedAt: null } }
+    );
+    return updated > 0;
+  }
+  if (amdResult.isHuman) {
+    return recordCallAnswered(callSid);
+  }
+  return false;
+};
+
+/**
+ * Free a finished call's line and record its outcome
+ * Only the most recent outcomes a campaign paces by are kept.
+ * @param {string} callSid - Call SID
+ * @param {string} status - Final call status
+ * @param {Object} [details] - { duration } in seconds
+ * @returns {Promise<boolean>} Whether the call held a campaign line; false once it has been freed
+ */
+const recordCallEnded = (callSid, status, details = {}) => db.sequelize.transaction(async (transaction) => {
+  const line = await db.CampaignLine.findOne({
+    where: { callSid, endedAt: null },
+    transaction,
+    lock: transaction.LOCK.UPDATE
+  });
+  if (!line) {
+    return false;
+  }
+
+  const now = new Date();
+  const machine = line.state === 'machine';
+  const human = !machine && (line.state === 'connected' || status === 'completed');
+  let handleTimeSec = null;
+  if (human) {
+    handleTimeSec = details.duration
+      ? Number(details.duration)
+      : (now - new Date(line.connectedAt || line.dialedAt)) / 1000;
+  }
+  await line.update({ endedAt: now, human, machine, handleTimeSec }, { transaction });
+
+  const stale = await db.CampaignLine.findAll({
+    where: { campaignId: line.campaignId, endedAt: { [Op.ne]: null } },
+    attributes: ['callSid'],
+    order: [['endedAt', 'DESC']],
+    offset: DEFAULT_PACING.statsWindow,
+    transaction
+  });
+  if (stale.length > 0) {
+    await db.CampaignLine.destroy({ where: { callSid: stale.map(row => row.callSid) }, transaction });
+  }
+  return true;
+});
+
+/**
+ * Free the line of a call whose status webhook reports it ended
+ * @param {string} callSid - Call SID
+ * @param {string} status - Reported call status
+ * @param {Object} [details] - { duration } in seconds
+ * @returns {Promise<boolean>} Whether a line was freed
+ */
+const recordCallStatus = async (callSid, status, details = {}) => {
+  if (!FINAL_CALL_STATUSES.includes(status)) {
+    return false;
+  }
+  return recordCallEnded(callSid, status, details);
+};
+
+module.exports = {
+  PACING_MODES,
+  PacingController,
+  getPacingSettings,
+  createController,
+  trackCall,
+  getLiveCallSids,
+  countLiveLines,
+  clearLines,
+  recordCallAnswered,
+  recordAmdResult,
+  recordCallEnded,
+  recordCallStatus
+};
@@ -0,0 +1,336 @@
+/**
+ * Phone Number Service
+ * Manages the caller ID pool and picks the number each outbound call presents
+ */
+
+const { Op } = require('sequelize');
+const db = require('../models');
+const logger = require('../utils/logger');
+const signalwireService = require('./signalwire.service');
+const { CallLimitError } = require('./call-limiter.service');
+const { scopeWhere, findScopedByPk } = require('../utils/workspace-scope');
+
+// How a campaign chooses its caller ID
+// local: callee's area code, then state, then least recently used
+// round-robin: least recently used number
+// fixed: the number the caller passed in, while it is available
+const CALLER_ID_STRATEGIES = ['local', 'round-robin', 'fixed'];
+
+const STATE_PATTERN = /^[A-Z]{2}$/;
+
+/**
+ * Area code of a NANP number
+ * @param {string} phoneNumber - Phone number in any format
+ * @returns {string|null} Three-digit area code, or null for non-NANP numbers
+ */
+const getAreaCode = (phoneNumber) => {
+  if (!phoneNumber) {
+    return null;
+  }
+  const formatted = signalwireService.formatPhoneNumber(String(phoneNumber));
+  return /^\+1\d{10}$/.test(formatted) ? formatted.substring(2, 5) : null;
+};
+
+/**
+ * Whether a number can place a call now: active, under its daily cap and past its cooldown
+ * @param {Object} number - PhoneNumber instance
+ * @param {Date} [now] - Current time
+ * @returns {boolean}
+ */
+const isAvailable = (number, now = new Date()) => {
+  if (number.status !== 'active') {
+    return false;
+  }
+
+  if (number.dailyCap !== null && number.dailyCap !== undefined && number.getCallsToday(now) >= number.dailyCap) {
+    return false;
+  }
+
+  if (number.lastUsedAt && number.cooldownSeconds > 0) {
+    const readyAt = new Date(number.lastUsedAt).getTime() + number.cooldownSeconds * 1000;
+    if (readyAt > now.getTime()) {
+      return false;
+    }
+  }
+
+  return true;
+};
+
+/**
+ * Count a call against a number's daily cap and restart its cooldown
+ * Call only once the dial has been placed, so refused or failed dials cost the number nothing.
+ * @param {Object} number - PhoneNumber instance
+ * @param {Date} [now] - Current time
+ * @returns {Promise<Object>} Updated instance
+ */
+const recordUsage = async (number, now = new Date()) => {
+  await number.update({
+    callsToday: number.getCallsToday(now) + 1,
+    usageDate: now.toISOString().slice(0, 10),
+    totalCalls: (number.totalCalls || 0) + 1,
+    lastUsedAt: now
+  });
+  return number;
+};
+
+/**
+ * Pick the caller ID for an outbound call
+ * Numbers dedicated to the campaign are used when it has any, otherwise the workspace's shared numbers.
+ * A requested number that is retired, capped, cooling down or not in the pool is swapped for one from the pool.
+ * The caller records usage with recordUsage() once the dial succeeds.
+ * @param {Object} call - Call details
+ * @param {string} call.to - Callee number
+ * @param {string} [call.from] - Caller ID requested by the caller
+ * @param {string} [call.workspaceId] - Workspace placing the call
+ * @param {string} [call.campaignId] - Campaign placing the call
+ * @param {string} [call.strategy] - One of CALLER_ID_STRATEGIES
+ * @param {string} [call.calleeState] - Callee's two-letter state, when known
+ * @returns {Promise<Object|null>} { from, number, match }; number is null when the workspace has no pool
+ *   numbers, and the result is null when it has none and no from was given
+ * @throws {CallLimitError} When the pool has numbers but all are retired, capped or cooling down
+ */
+const selectCallerId = async (call) => {
+  const now = new Date();
+  let strategy = CALLER_ID_STRATEGIES.includes(call.strategy) ? call.strategy : null;
+  if (!strategy) {
+    // Campaigns use local presence; one-off calls keep the number they asked for
+    strategy = call.campaignId || !call.from ? 'local' : 'fixed';
+  }
+
+  if (strategy === 'fixed' && call.from) {
+    const number = await db.PhoneNumber.findOne({
+      where: scopeWhere({ phoneNumber: signalwireService.formatPhoneNumber(call.from) }, call.workspaceId)
+    });
+    if (number && isAvailable(number, now)) {
+      return { from: call.from, number, match: 'fixed' };
+    }
+    if (number) {
+      logger.warn(`Requested caller ID ${number.phoneNumber} is ${number.status === 'active' ? 'capped or cooling down' : number.status}; picking from the pool`);
+    }
+    // A number outside the pool is only dialed with when the workspace has no pool
+  }
+
+  const numbers = await db.PhoneNumber.findAll({
+    where: scopeWhere({
+      status: 'active',
+      campaignId: call.campaignId
+        ? { [Op.or]: [{ [Op.eq]: call.campaignId }, { [Op.is]: null }] }
+        : null
+    }, call.workspaceId),
+    order: [
+      [db.sequelize.literal('"lastUsedAt" IS NOT NULL'), 'ASC'],
+      ['lastUsedAt', 'ASC'],
+      ['id', 'ASC']
+    ]
+  });
+
+  // Workspaces without a pool dial with the number they were given
+  if (numbers.length === 0) {
+    return call.from ? { from: call.from, number: null, match: 'unpooled' } : null;
+  }
+
+  const dedicated = numbers.filter(number => call.campaignId && number.campaignId === call.campaignId);
+  const pool = (dedicated.length > 0 ? dedicated : numbers).filter(number => isAvailable(number, now));
+
+  if (pool.length === 0) {
+    logger.warn(`No caller ID available for campaign ${call.campaignId || '-'}: all ${numbers.length} numbers capped or cooling down`);
+    throw new CallLimitError('caller-id pool', call.campaignId || call.workspaceId);
+  }
+
+  let chosen = null;
+  let match = 'round-robin';
+
+  if (strategy === 'local') {
+    const areaCode = getAreaCode(call.to);
+    chosen = areaCode ? pool.find(number => number.areaCode === areaCode) : null;
+    if (chosen) {
+      match = 'area-code';
+    } else if (call.calleeState) {
+      chosen = pool.find(number => number.state === String(call.calleeState).toUpperCase());
+      if (chosen) {
+        match = 'state';
+      }
+    }
+  }
+
+  // Least recently used first, so numbers take turns
+  chosen = chosen || pool[0];
+
+  logger.debug(`Selected caller ID ${chosen.phoneNumber} (${match}) for call to ${call.to}`);
+  return { from: chosen.phoneNumber, number: chosen, match };
+};
+
+/**
+ * Validate and normalize writable fields
+ * @param {Object} data - Request fields
+ * @returns {Object} Fields to store
+ */
+const buildNumberFields = (data) => {
+  const fields = {};
+
+  if (data.state !== undefined) {
+    const state = data.state ? String(data.state).toUpperCase() : null;
+    if (state && !STATE_PATTERN.test(state)) {
+      throw new Error(`Invalid state: ${data.state}`);
+    }
+    fields.state = state;
+  }
+
+  ['dailyCap', 'cooldownSeconds'].forEach(field => {
+    if (data[field] !== undefined) {
+      if (data[field] === null && field === 'dailyCap') {
+        fields[field] = null;
+        return;
+      }
+      const value = parseInt(data[field], 10);
+      if (!Number.isInteger(value) || value < 0) {
+        throw new Error(`${field} must be a non-negative integer`);
+      }
+      fields[field] = value;
+    }
+  });
+
+  if (data.status !== undefined) {
+    if (!['active', 'paused', 'retired'].includes(data.status)) {
+      throw new Error(`Invalid status: ${data.status}`);
+    }
+    fields.status = data.status;
+  }
+
+  ['friendlyName', 'campaignId', 'signalWireId', 'callFlowId'].forEach(field => {
+    if (data[field] !== undefined) {
+      fields[field] = data[field] || null;
+    }
+  });
+
+  return fields;
+};
+
+/**
+ * List pool numbers
+ * @param {Object} filters - { workspaceId, status, campaignId, areaCode, state }
+ * @returns {Promise<Array>}
+ */
+const listNumbers = async (filters = {}) => {
+  const where = {};
+  ['status', 'campaignId', 'areaCode'].forEach(field => {
+    if (filters[field]) {
+      where[field] = filters[field];
+    }
+  });
+  if (filters.state) {
+    where.state = String(filters.state).toUpperCase();
+  }
+
+  return db.PhoneNumber.findAll({
+    where: scopeWhere(where, filters.workspaceId),
+    include: [{ model: db.CallFlow, as: 'callFlow', attributes: ['id', 'name', 'activeVersion'] }],
+    order: [['areaCode', 'ASC'], ['phoneNumber', 'ASC']]
+  });
+};
+
+/**
+ * Get a pool number owned by a workspace
+ * @param {number} id - PhoneNumber ID
+ * @param {string} [workspaceId] - Workspace to restrict to
+ * @returns {Promise<Object|null>}
+ */
+const getNumberById = (id, workspaceId) => findScopedByPk(db.PhoneNumber, id, workspaceId);
+
+/**
+ * Add a number to a workspace's pool
+ * @param {Object} data - { phoneNumber, signalWireId, friendlyName, state, campaignId, dailyCap, cooldownSeconds }
+ * @param {string} workspaceId - Owning workspace
+ * @returns {Promise<Object>} Created number
+ */
+const addNumber = async (data, workspaceId) => {
+  if (!data.phoneNumber || !String(data.phoneNumber).replace(/\D/g, '')) {
+    throw new Error('A valid phoneNumber is required');
+  }
+
+  const phoneNumber = signalwireService.formatPhoneNumber(String(data.phoneNumber));
+  const existing = await db.PhoneNumber.findOne({ where: { workspaceId, phoneNumber } });
+  if (existing) {
+    throw new Error(`${phoneNumber} is already in the pool`);
+  }
+
+  return db.PhoneNumber.create({
+    ...buildNumberFields(data),
+    workspaceId,
+    phoneNumber,
+    areaCode: getAreaCode(phoneNumber)
+  });
+};
+
+/**
+ * Update a pool number's tags, limits or status
+ * @param {Object} number - PhoneNumber instance
+ * @param {Object} data - Fields to update
+ * @returns {Promise<Object>}
+ */
+const updateNumber = async (number, data) => {
+  const fields = buildNumberFields(data);
+
+  if (fields.status && fields.status !== number.status) {
+    if (fields.status === 'retired') {
+      fields.retiredAt = new Date();
+      fields.retiredReason = data.retiredReason || 'Retired manually';
+    } else if (number.status === 'retired') {
+      // Give a reactivated number a clean slate, or the next health check retires it again
+      fields.retiredAt = null;
+      fields.retiredReason = null;
+      fields.healthResetAt = new Date();
+      fields.healthScore = null;
+    }
+  }
+
+  await number.update(fields);
+  return number;
+};
+
+/**
+ * Add the numbers a workspace owns in SignalWire to its pool; existing entries keep their tags
+ * @param {string} workspaceId - Workspace ID
+ * @returns {Promise<Object>} { added, existing }
+ */
+const syncFromSignalWire = async (workspaceId) => {
+  const owned = await signalwireService.listOwnedPhoneNumbers(workspaceId);
+  const result = { added: 0, existing: 0 };
+
+  for (const item of owned) {
+    const phoneNumber = signalwireService.formatPhoneNumber(item.number);
+    const [number, created] = await db.PhoneNumber.findOrCreate({
+      where: { workspaceId, phoneNumber },
+      defaults: {
+        signalWireId: item.id,
+        friendlyName: item.name,
+        areaCode: getAreaCode(phoneNumber)
+      }
+    });
+
+    if (created) {
+      result.added++;
+    } else {
+      result.existing++;
+      if (!number.signalWireId) {
+        await number.update({ signalWireId: item.id });
+      }
+    }
+  }
+
+  logger.info(`Synced SignalWire numbers for workspace ${workspaceId}: ${result.added} added, ${result.existing} already pooled`);
+  return result;
+};
+
+module.exports = {
+  CALLER_ID_STRATEGIES,
+  getAreaCode,
+  isAvailable,
+  recordUsage,
+  selectCallerId,
+  listNumbers,
+  getNumberById,
+  addNumber,
+  updateNumber,
+  syncFromSignalWire
+};
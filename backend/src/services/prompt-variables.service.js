@@ -0,0 +1,232 @@
+/**
+ * Prompt Variables Service
+ * Fills an agent's prompt and first message with per-contact values ({{firstName}},
+ * {{customFields.policyNumber}}, {{campaignName}}, {{lastCallSummary}}) when a call starts, and finds
+ * the contacts of a campaign that lack the values the agent requires.
+ */
+
+const { Op } = require('sequelize');
+const db = require('../models');
+const logger = require('../utils/logger');
+
+// Variables every contact can fill; custom fields are addressed as customFields.<key>
+const CONTACT_VARIABLES = ['firstName', 'lastName', 'fullName', 'phone', 'email', 'timezone'];
+const CAMPAIGN_VARIABLES = ['campaignName'];
+const LAST_CALL_VARIABLES = ['lastCallSummary', 'lastCallOutcome', 'lastCallAt'];
+const KNOWN_VARIABLES = [...CONTACT_VARIABLES, ...CAMPAIGN_VARIABLES, ...LAST_CALL_VARIABLES];
+
+const CUSTOM_FIELD_PREFIX = 'customFields.';
+
+const PLACEHOLDER = /\{\{\s*([A-Za-z_][\w]*(?:\.[\w-]+)?)\s*\}\}/g;
+
+// Contacts listed per campaign check; the total is always counted
+const MAX_LISTED_CONTACTS = 100;
+
+const isKnownVariable = (name) => KNOWN_VARIABLES.includes(name) ||
+  (name.startsWith(CUSTOM_FIELD_PREFIX) && name.length > CUSTOM_FIELD_PREFIX.length);
+
+/**
+ * Names of the {{variables}} a template uses
+ * @param {string} template - Prompt or first message
+ * @returns {string[]} Variable names, each once
+ */
+const extractVariables = (template) => {
+  const names = new Set();
+  for (const match of String(template || '').matchAll(PLACEHOLDER)) {
+    names.add(match[1]);
+  }
+  return Array.from(names);
+};
+
+/**
+ * The templates an agent's promptSettings hold
+ * `greeting` is the older name of the first message.
+ */
+const getTemplates = (promptSettings = {}) => ({
+  prompt: promptSettings.prompt || '',
+  firstMessage: promptSettings.firstMessage || promptSettings.greeting || ''
+});
+
+/**
+ * Validate the templates and required variables of AgentConfig.promptSettings
+ * @param {Object} promptSettings
+ * @returns {string[]} Validation errors (empty when valid)
+ */
+const validatePromptSettings = (promptSettings = {}) => {
+  const errors = [];
+  const templates = getTemplates(promptSettings);
+
+  Object.entries(templates).forEach(([field, template]) => {
+    extractVariables(template)
+      .filter(name => !isKnownVariable(name))
+      .forEach(name => errors.push(`promptSettings.${field} uses unknown variable {{${name}}}`));
+  });
+
+  const required = promptSettings.requiredVariables;
+  if (required !== undefined) {
+    if (!Array.isArray(required)) {
+      errors.push('promptSettings.requiredVariables must be a list of variable names');
+    } else {
+      required
+        .filter(name => typeof name !== 'string' || !isKnownVariable(name))
+        .forEach(name => errors.push(`promptSettings.requiredVariables has unknown variable ${name}`));
+    }
+  }
+
+  return errors;
+};
+
+const toText = (value) => {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+};
+
+/**
+ * The latest earlier call with a contact, with its conversation summary
+ * @returns {Promise<Object|null>} { status, at, summary }
+ */
+const findLastCall = async (contactId, excludeCallSid = null) => {
+  const where = { contactId };
+  if (excludeCallSid) {
+    where.callSid = { [Op.ne]: excludeCallSid };
+  }
+
+  const callLog = await db.CallLog.findOne({ where, order: [['createdAt', 'DESC']] });
+  if (!callLog) {
+    return null;
+  }
+
+  const conversation = await db.Conversation.findOne({
+    where: { call_id: callLog.callSid },
+    attributes: ['summary']
+  });
+
+  return {
+    status: callLog.status,
+    at: callLog.startTime || callLog.createdAt,
+    summary: conversation ? conversation.summary : null
+  };
+};
+
+/**
+ * Variable values for one contact, flat as ElevenLabs dynamic variables expect
+ * Missing values are empty strings.
+ * @param {Object} contact - Contact record
+ * @param {Object} [campaign] - Campaign the call belongs to
+ * @param {Object} [lastCall] - From findLastCall
+ * @returns {Object} Variable name to text
+ */
+const buildVariables = (contact, campaign = null, lastCall = null) => {
+  const fullName = [contact.firstName, contact.lastName].filter(Boolean).join(' ');
+  const variables = {
+    firstName: toText(contact.firstName),
+    lastName: toText(contact.lastName),
+    fullName,
+    phone: toText(contact.phone),
+    email: toText(contact.email),
+    timezone: toText(contact.timezone),
+    campaignName: toText(campaign && campaign.name),
+    lastCallSummary: toText(lastCall && lastCall.summary),
+    lastCallOutcome: toText(contact.lastCallOutcome || (lastCall && lastCall.status)),
+    lastCallAt: toText(lastCall && lastCall.at)
+  };
+
+  Object.entries(contact.customFields || {}).forEach(([key, value]) => {
+    variables[`${CUSTOM_FIELD_PREFIX}${key}`] = toText(value);
+  });
+
+  return variables;
+};
+
+/**
+ * Replace {{variables}} in a template; unknown or empty ones become empty text
+ */
+const renderTemplate = (template, variables) => String(template || '')
+  .replace(PLACEHOLDER, (placeholder, name) => variables[name] || '');
+
+/**
+ * Required variables a contact has no value for
+ * @param {Object} variables - From buildVariables
+ * @param {Object} promptSettings - AgentConfig.promptSettings
+ * @returns {string[]}
+ */
+const findMissingVariables = (variables, promptSettings = {}) => (promptSettings.requiredVariables || [])
+  .filter(name => !variables[name] || !variables[name].trim());
+
+/**
+ * Resolve an agent's prompt and first message for the contact a call is going to
+ * @param {Object} options
+ * @param {Object} [options.agentConfig] - AgentConfig of the agent on the call
+ * @param {Object} options.contact - Contact record
+ * @param {Object} [options.campaign] - Campaign record
+ * @param {string} [options.callSid] - The call, left out of the last call lookup
+ * @returns {Promise<Object>} { dynamicVariables, prompt, firstMessage, missing }
+ */
+const resolveForCall = async ({ agentConfig, contact, campaign, callSid }) => {
+  const promptSettings = (agentConfig && agentConfig.promptSettings) || {};
+  const lastCall = await findLastCall(contact.id, callSid);
+  const dynamicVariables = buildVariables(contact, campaign, lastCall);
+  const templates = getTemplates(promptSettings);
+
+  return {
+    dynamicVariables,
+    prompt: renderTemplate(templates.prompt, dynamicVariables),
+    firstMessage: renderTemplate(templates.firstMessage, dynamicVariables),
+    missing: findMissingVariables(dynamicVariables, promptSettings)
+  };
+};
+
+/**
+ * Find the contacts a campaign would still dial that lack a required variable of its agent
+ * @param {Object} campaign - Campaign record
+ * @param {Object} [agentConfig] - Config the campaign's calls run (see agentConfigService.getConfigForCall)
+ * @returns {Promise<Object>} { requiredVariables, total, contacts: [{ contactId, phone, missing }] }
+ */
+const checkCampaignContacts = async (campaign, agentConfig) => {
+  const promptSettings = (agentConfig && agentConfig.promptSettings) || {};
+  const requiredVariables = promptSettings.requiredVariables || [];
+
+  if (requiredVariables.length === 0) {
+    return { requiredVariables, total: 0, contacts: [] };
+  }
+
+  const contacts = await db.Contact.findAll({
+    where: { campaignId: campaign.id, status: 'pending', optedOut: false },
+    order: [['id', 'ASC']]
+  });
+  const needsLastCall = requiredVariables.some(name => LAST_CALL_VARIABLES.includes(name));
+
+  const flagged = [];
+  for (const contact of contacts) {
+    const lastCall = needsLastCall ? await findLastCall(contact.id) : null;
+    const missing = findMissingVariables(buildVariables(contact, campaign, lastCall), promptSettings);
+    if (missing.length > 0) {
+      flagged.push({ contactId: contact.id, phone: contact.phone, missing });
+    }
+  }
+
+  if (flagged.length > 0) {
+    logger.info(`Campaign ${campaign.id}: ${flagged.length} contacts lack required prompt variables`);
+  }
+
+  return {
+    requiredVariables,
+    total: flagged.length,
+    contacts: flagged.slice(0, MAX_LISTED_CONTACTS)
+  };
+};
+
+module.exports = {
+  KNOWN_VARIABLES,
+  extractVariables,
+  validatePromptSettings,
+  buildVariables,
+  renderTemplate,
+  resolveForCall,
+  checkCampaignContacts
+};
@@ -7,6 +7,8 @@ const schedule = require('node-schedule');
 const db = require('../models');
 const logger = require('../utils/logger');
 const callQueueService = require('./call-queue.service');
+const callingWindowService = require('./calling-window.service');
+const schedulerStateService = require('./scheduler-state.service');
 const config = require('../config');
 
 // Active scheduler jobs
@@ -37,21 +39,17 @@ const DEFAULT_SETTINGS = {
 };
 
 /**
- * Check if current time is within quiet hours
+ * Check if current time is within quiet hours, in the scheduler's timezone
+ * Per-contact calling windows are enforced separately by processQueue.
  * @param {Object} settings - Settings to use
  * @returns {boolean} True if current time is within quiet hours
  */
 const isQuietHours = (settings = DEFAULT_SETTINGS) => {
-  const now = new Date();
-  const hour = now.getHours();
-  
-  if (settings.quietHoursStart < settings.quietHoursEnd) {
-    // Simple range (e.g., 22-6)
-    return hour >= settings.quietHoursStart || hour < settings.quietHoursEnd;
-  } else {
-    // Overnight range (e.g., 8-22)
-    return hour >= settings.quietHoursStart && hour < settings.quietHoursEnd;
-  }
+  return callingWindowService.isQuietTime(
+    settings.timezone,
+    settings.quietHoursStart,
+    settings.quietHoursEnd
+  );
 };
 
 /**
@@ -82,7 +80,7 @@ const startCampaignScheduler = async (campaignId, options = {}) => {
     // Get settings from campaign or use defaults
     const settings = {
       ...DEFAULT_SETTINGS,
-      ...(campaign.callSettings || {}),
+      ...(campaign.settings || {}),
       ...options
     };
     
@@ -113,6 +111,8 @@ const startCampaignScheduler = async (campaignId, options = {}) => {
         
         // Update campaign stats
         await updateCampaignStats(campaignId, results);
+        
+        await schedulerStateService.saveState('queue', campaignId, { lastBatchAt: new Date() });
       } catch (error) {
         logger.error(`Error in queue scheduler for campaign ${campaignId}: ${error.message}`);
       }
@@ -126,6 +126,15 @@ const startCampaignScheduler = async (campaignId, options = {}) => {
       campaignId
     });
     
+    // Only the options are saved, so a restored scheduler still follows later campaign settings changes
+    await schedulerStateService.saveState('queue', campaignId, {
+      campaignId,
+      workspaceId: campaign.workspaceId,
+      status: 'running',
+      settings: options,
+      startedAt: new Date()
+    });
+    
     logger.info(`Queue scheduler started for campaign ${campaignId}`);
     
     return {
@@ -161,6 +170,8 @@ const stopCampaignScheduler = (campaignId) => {
     // Remove from map
     schedulerJobs.delete(campaignId);
     
+    schedulerStateService.saveState('queue', campaignId, { status: 'stopped' });
+    
     logger.info(`Queue scheduler stopped for campaign ${campaignId}`);
     
     return {
@@ -272,6 +283,43 @@ const initializeDefaultSchedulers = async () => {
   }
 };
 
+/**
+ * Restart the queue schedulers that were running before the process stopped
+ * Schedulers that can no longer run (e.g. the campaign was paused) are marked stopped.
+ * @returns {Promise<Array>} Restored schedulers
+ */
+const restoreSchedulers = async () => {
+  const states = await schedulerStateService.getResumableStates('queue');
+  const results = [];
+  
+  for (const state of states) {
+    const name = state.schedulerKey;
+    
+    if (schedulerJobs.has(name)) {
+      continue;
+    }
+    
+    try {
+      const result = name === 'global'
+        ? await startGlobalScheduler(state.settings || {})
+        : await startCampaignScheduler(name, state.settings || {});
+      
+      await schedulerStateService.saveState('queue', name, { resumedAt: new Date() });
+      results.push(result);
+    } catch (error) {
+      logger.warn(`Not restoring queue scheduler ${name}: ${error.message}`);
+      await schedulerStateService.saveState('queue', name, { status: 'stopped' });
+      results.push({
+        name,
+        status: 'error',
+        error: error.message
+      });
+    }
+  }
+  
+  return results;
+};
+
 /**
  * Process global queue (not tied to specific campaigns)
  * @param {Object} [options] - Processing options
@@ -329,10 +377,19 @@ const startGlobalScheduler = async (options = {}) => {
       settings.minIntervalSeconds
     );
     
+    // Every worker may run the global scheduler; the lease makes one of them the leader
+    const leaseTtlMs = Math.max(config.worker.leaseSeconds * 1000, batchInterval * 3000);
+    
     // Create job to run at the calculated interval
     const job = schedule.scheduleJob(`*/${Math.ceil(batchInterval)} * * * * *`, async () => {
       try {
+        if (!await schedulerStateService.acquireLease('queue', 'global', leaseTtlMs)) {
+          logger.debug('Global queue scheduler is led by another worker');
+          return;
+        }
+        
         await processGlobalQueue(settings);
+        await schedulerStateService.saveState('queue', 'global', { lastBatchAt: new Date() });
       } catch (error) {
         logger.error(`Error in global queue scheduler: ${error.message}`);
       }
@@ -345,6 +402,12 @@ const startGlobalScheduler = async (options = {}) => {
       startTime: new Date()
     });
     
+    await schedulerStateService.saveState('queue', 'global', {
+      status: 'running',
+      settings: options,
+      startedAt: new Date()
+    });
+    
     logger.info('Global queue scheduler started');
     
     return {
@@ -379,6 +442,8 @@ const stopGlobalScheduler = () => {
     // Remove from map
     schedulerJobs.delete('global');
     
+    schedulerStateService.saveState('queue', 'global', { status: 'stopped', ownerId: null, leaseExpiresAt: null });
+    
     logger.info('Global queue scheduler stopped');
     
     return {
@@ -398,5 +463,6 @@ module.exports = {
   stopGlobalScheduler,
   getSchedulerStatuses,
   processGlobalQueue,
-  initializeDefaultSchedulers
+  initializeDefaultSchedulers,
+  restoreSchedulers
 };
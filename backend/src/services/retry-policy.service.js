@@ -0,0 +1,213 @@
+/**
+ * Retry Policy Service
+ * Decides whether and when an unsuccessful campaign call is dialed again, from the
+ * retry policy in Campaign.settings.retryPolicy
+ */
+
+const callingWindowService = require('./calling-window.service');
+
+// Call outcomes a policy can retry
+const RETRY_DISPOSITIONS = ['busy', 'no-answer', 'failed', 'voicemail'];
+
+const BACKOFF_TYPES = ['fixed', 'exponential'];
+
+// Matches the delays scheduleRetry used before policies were configurable
+const DEFAULT_RULE = {
+  maxAttempts: 3,
+  backoff: 'exponential',
+  delayMinutes: 60,
+  factor: 1.5,
+  maxDelayMinutes: 24 * 60
+};
+
+/**
+ * Map a call status (and AMD result) to a retry disposition
+ * @param {string} status - Final call status
+ * @param {Object} [details] - { answeredBy, machineDetection }
+ * @returns {string|null} One of RETRY_DISPOSITIONS, or null when the call reached someone
+ */
+const getDisposition = (status, details = {}) => {
+  const answeredBy = String(details.answeredBy || details.machineDetection || '');
+  if (['machine', 'voicemail'].includes(status) || answeredBy.startsWith('machine')) {
+    return 'voicemail';
+  }
+
+  switch (status) {
+    case 'busy':
+      return 'busy';
+    case 'no-answer':
+    case 'no_answer':
+    case 'timeout':
+      return 'no-answer';
+    case 'failed':
+    case 'canceled':
+      return 'failed';
+    default:
+      return null;
+  }
+};
+
+/**
+ * Normalize one disposition rule
+ * @param {Object} rule - Configured rule
+ * @param {Object} defaults - Rule defaults
+ * @returns {Object}
+ */
+const normalizeRule = (rule = {}, defaults) => {
+  const normalized = { ...defaults };
+
+  if (rule.maxAttempts !== undefined) {
+    normalized.maxAttempts = Math.max(1, parseInt(rule.maxAttempts, 10) || 1);
+  }
+  if (BACKOFF_TYPES.includes(rule.backoff)) {
+    normalized.backoff = rule.backoff;
+  }
+  // "Retry on voicemail after N hours" is written as afterHours
+  if (rule.afterHours !== undefined) {
+    normalized.delayMinutes = Math.max(0, parseFloat(rule.afterHours) || 0) * 60;
+  } else if (rule.delayMinutes !== undefined) {
+    normalized.delayMinutes = Math.max(0, parseFloat(rule.delayMinutes) || 0);
+  }
+  if (rule.factor !== undefined) {
+    normalized.factor = Math.max(1, parseFloat(rule.factor) || 1);
+  }
+  if (rule.maxDelayMinutes !== undefined) {
+    normalized.maxDelayMinutes = Math.max(normalized.delayMinutes, parseFloat(rule.maxDelayMinutes) || 0);
+  }
+  if (rule.enabled === false) {
+    normalized.maxAttempts = 1;
+  }
+
+  return normalized;
+};
+
+/**
+ * Resolve a campaign's retry policy
+ * Campaigns without settings.retryPolicy keep the old behavior: settings.retryCount retries
+ * of busy, unanswered and failed calls and of calls that reached a machine.
+ * @param {Object} [campaign] - Campaign (or plain object) with settings
+ * @returns {Object} { rules, allowedDays, allowedHours }
+ */
+const getRetryPolicy = (campaign) => {
+  const settings = (campaign && campaign.settings) || {};
+  const policy = settings.retryPolicy || {};
+  const retryCount = parseInt(settings.retryCount, 10);
+  const legacyDefaults = Number.isInteger(retryCount)
+    ? { ...DEFAULT_RULE, maxAttempts: Math.max(0, retryCount) + 1 }
+    : DEFAULT_RULE;
+
+  const rules = {};
+  RETRY_DISPOSITIONS.forEach(disposition => {
+    rules[disposition] = normalizeRule((policy.rules || {})[disposition], legacyDefaults);
+  });
+
+  const allowedDays = Array.isArray(policy.allowedDays)
+    ? policy.allowedDays.map(day => parseInt(day, 10)).filter(day => day >= 0 && day <= 6)
+    : [];
+
+  // Retries follow the campaign's calling hours unless the policy narrows them
+  const hours = policy.allowedHours || {};
+  const allowedHours = callingWindowService.getCallingWindow({
+    settings: {
+      callHoursStart: hours.start || settings.callHoursStart,
+      callHoursEnd: hours.end || settings.callHoursEnd
+    }
+  });
+
+  return { rules, allowedDays, allowedHours };
+};
+
+/**
+ * Delay before the next attempt under a rule
+ * @param {Object} rule - Normalized rule
+ * @param {number} attempts - Attempts made so far (1 after the first call)
+ * @returns {number} Delay in minutes
+ */
+const getRetryDelayMinutes = (rule, attempts) => {
+  if (rule.backoff === 'exponential') {
+    const delay = rule.delayMinutes * Math.pow(rule.factor, Math.max(0, attempts - 1));
+    return Math.min(delay, rule.maxDelayMinutes);
+  }
+  return rule.delayMinutes;
+};
+
+/**
+ * Decide whether a call is retried and when
+ * @param {Object} campaign - Campaign whose policy applies
+ * @param {Object} outcome - Call outcome
+ * @param {string} outcome.status - Final call status
+ * @param {Object} [outcome.details] - { answeredBy, machineDetection }
+ * @param {number} outcome.attempts - Attempts made so far, including this one
+ * @param {Object} [outcome.contact] - { timezone, phone } used to place the retry in local allowed hours
+ * @param {Date} [now] - Reference time
+ * @returns {Object} { retry, disposition, reason, retryAt, delayMinutes }
+ */
+const evaluateRetry = (campaign, outcome, now = new Date()) => {
+  const disposition = getDisposition(outcome.status, outcome.details);
+  if (!disposition) {
+    return { retry: false, disposition: null, reason: 'not_retryable' };
+  }
+
+  const policy = getRetryPolicy(campaign);
+  const rule = policy.rules[disposition];
+  if (outcome.attempts >= rule.maxAttempts) {
+    return { retry: false, disposition, reason: 'max_attempts' };
+  }
+
+  const delayMinutes = getRetryDelayMinutes(rule, outcome.attempts);
+  const earliest = new Date(now.getTime() + delayMinutes * 60000);
+  const timezone = callingWindowService.resolveTimezone(outcome.contact || {}, campaign);
+  const retryAt = callingWindowService.getNextAllowedSlot(timezone, policy.allowedHours, policy.allowedDays, earliest);
+
+  return { retry: true, disposition, reason: 'policy', retryAt, delayMinutes };
+};
+
+/**
+ * Validate a retry policy before it is stored on a campaign
+ * @param {Object} policy - settings.retryPolicy
+ * @returns {Array<string>} Problems found (empty when valid)
+ */
+const validateRetryPolicy = (policy) => {
+  const errors = [];
+  if (!policy || typeof policy !== 'object') {
+    return ['retryPolicy must be an object'];
+  }
+
+  Object.entries(policy.rules || {}).forEach(([disposition, rule]) => {
+    if (!RETRY_DISPOSITIONS.includes(disposition)) {
+      errors.push(`Unknown disposition: ${disposition}`);
+      return;
+    }
+    if (rule.backoff !== undefined && !BACKOFF_TYPES.includes(rule.backoff)) {
+      errors.push(`${disposition}.backoff must be one of ${BACKOFF_TYPES.join(', ')}`);
+    }
+    ['maxAttempts', 'delayMinutes', 'afterHours', 'factor', 'maxDelayMinutes'].forEach(field => {
+      if (rule[field] !== undefined && (isNaN(parseFloat(rule[field])) || parseFloat(rule[field]) < 0)) {
+        errors.push(`${disposition}.${field} must be a non-negative number`);
+      }
+    });
+  });
+
+  if (policy.allowedDays !== undefined &&
+      (!Array.isArray(policy.allowedDays) || policy.allowedDays.some(day => !/^[0-6]$/.test(String(day))))) {
+    errors.push('allowedDays must be a list of weekdays from 0 (Sunday) to 6 (Saturday)');
+  }
+
+  const hours = policy.allowedHours || {};
+  ['start', 'end'].forEach(field => {
+    if (hours[field] !== undefined && !/^\d{1,2}:\d{2}$/.test(String(hours[field]))) {
+      errors.push(`allowedHours.${field} must be HH:MM`);
+    }
+  });
+
+  return errors;
+};
+
+module.exports = {
+  RETRY_DISPOSITIONS,
+  getDisposition,
+  getRetryPolicy,
+  getRetryDelayMinutes,
+  evaluateRetry,
+  validateRetryPolicy
+};
@@ -5,6 +5,10 @@
 
 const logger = require('../utils/logger');
 const cleanupSttMappings = require('../scripts/cleanup-stt-mappings');
+const callerIdHealthService = require('./caller-id-health.service');
+const schedulerRecoveryService = require('./scheduler-recovery.service');
+const schedulerStateService = require('./scheduler-state.service');
+const config = require('../config');
 
 // Store job intervals for cleanup on shutdown
 const activeJobs = new Map();
@@ -25,6 +29,30 @@ const initScheduledJobs = () => {
     }
   }, 6 * 60 * 60 * 1000); // 6 hours interval
   
+  // Score caller IDs and retire burned numbers
+  scheduleJob('caller-id-health', async () => {
+    try {
+      const result = await callerIdHealthService.evaluateAll();
+      logger.info(`Caller ID health check completed: ${result.checked} scored, ${result.retired.length} retired`);
+    } catch (error) {
+      logger.error(`Caller ID health check failed: ${error.message}`);
+    }
+  }, config.callerIdHealth.checkIntervalMinutes * 60 * 1000);
+  
+  // Requeue items left behind by workers that stopped mid-call; one worker does this at a time
+  scheduleJob('queue-recovery', async () => {
+    try {
+      if (!await schedulerStateService.acquireLease('job', 'queue-recovery')) {
+        return;
+      }
+      
+      const result = await schedulerRecoveryService.recoverQueueItems();
+      logger.info(`Queue recovery completed: ${result.requeued} requeued, ${result.settled} settled`);
+    } catch (error) {
+      logger.error(`Queue recovery failed: ${error.message}`);
+    }
+  }, config.worker.claimTimeoutSeconds * 1000);
+  
   logger.info('Scheduled jobs initialized');
 };
 
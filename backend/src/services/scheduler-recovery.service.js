@@ -0,0 +1,160 @@
+/**
+ * Scheduler Recovery Service
+ * Reconciles persisted scheduler state on boot: resumes campaigns and queue schedulers that
+ * were running, and puts queue items orphaned mid-call back in the queue. The queue item
+ * recovery also runs periodically to pick up after workers that crashed.
+ */
+
+const db = require('../models');
+const logger = require('../utils/logger');
+const campaignScheduler = require('./campaign-scheduler.service');
+const callScheduler = require('./call-scheduler.service');
+const queueScheduler = require('./queue-scheduler.service');
+const schedulerStateService = require('./scheduler-state.service');
+const config = require('../config');
+
+// Call log statuses after which no further status webhook arrives
+const FINAL_CALL_STATUSES = ['completed', 'busy', 'failed', 'no-answer', 'canceled', 'blocked-dnc'];
+
+/**
+ * Resume campaign schedulers that were running or paused
+ * Campaigns left in_progress without any saved state (started before state was persisted)
+ * are resumed with their own settings.
+ * @returns {Promise<Array>} Per-campaign results
+ */
+const resumeCampaigns = async () => {
+  const states = await schedulerStateService.getResumableStates('campaign');
+  const resumedIds = new Set(states.map(state => state.schedulerKey));
+
+  const untracked = await db.Campaign.findAll({
+    where: { status: 'in_progress' },
+    attributes: ['id']
+  });
+  for (const campaign of untracked) {
+    if (!resumedIds.has(campaign.id) && !await schedulerStateService.getState('campaign', campaign.id)) {
+      states.push({ schedulerKey: campaign.id, status: 'running', settings: {}, counters: {} });
+    }
+  }
+
+  const results = [];
+  for (const state of states) {
+    const campaignId = state.schedulerKey;
+    try {
+      const result = await campaignScheduler.restoreCampaign(state);
+
+      if (!['resumed', 'already_running'].includes(result.status)) {
+        logger.warn(`Not resuming campaign ${campaignId}: ${result.message || result.status}`);
+        await schedulerStateService.saveState('campaign', campaignId, { status: 'stopped' });
+      }
+      results.push({ campaignId, status: result.status });
+    } catch (error) {
+      logger.error(`Error resuming campaign ${campaignId}: ${error.message}`);
+      await schedulerStateService.saveState('campaign', campaignId, { status: 'stopped' });
+      results.push({ campaignId, status: 'error', error: error.message });
+    }
+  }
+
+  return results;
+};
+
+/**
+ * Put queue items orphaned mid-call by a stopped or crashed worker back in the queue
+ * - Items with no call SID never reached the carrier. They are retried now once their claim
+ *   is older than claimTimeoutSeconds, or at boot when this worker claimed them.
+ * - Items whose call finished at least claimTimeoutSeconds ago without the outcome reaching
+ *   the queue get it now, so the campaign's retry policy applies as usual. The wait leaves
+ *   time for a status webhook being handled on another worker.
+ * - Items whose call has shown no final status for staleCallMinutes are retried now.
+ * Items with a recent live call are left alone; their status webhook settles them.
+ * @param {Date} [now] - Reference time
+ * @param {Object} [options]
+ * @param {boolean} [options.boot] - Running at startup, so nothing of this worker's is in flight
+ * @returns {Promise<Object>} { requeued, settled, live }
+ */
+const recoverQueueItems = async (now = new Date(), { boot = false } = {}) => {
+  const staleBefore = new Date(now.getTime() - config.schedulerRecovery.staleCallMinutes * 60000);
+  const claimedBefore = new Date(now.getTime() - config.worker.claimTimeoutSeconds * 1000);
+  const items = await db.CallQueue.findAll({ where: { status: 'processing' } });
+  const results = { requeued: 0, settled: 0, live: 0 };
+
+  for (const item of items) {
+    try {
+      const callLog = item.callSid
+        ? await db.CallLog.findOne({ where: { callSid: item.callSid } })
+        : null;
+
+      if (callLog && FINAL_CALL_STATUSES.includes(callLog.status)) {
+        if (new Date(callLog.updatedAt) > claimedBefore) {
+          results.live++;
+          continue;
+        }
+
+        await callScheduler.handleCallCompletion(item.callSid, callLog.status, {
+          duration: callLog.duration,
+          endTime: callLog.endTime,
+          machineDetection: callLog.machineDetection
+        });
+        results.settled++;
+        continue;
+      }
+
+      if (item.callSid) {
+        const lastAttempt = item.lastAttemptTime ? new Date(item.lastAttemptTime) : null;
+        if (lastAttempt && lastAttempt > staleBefore) {
+          results.live++;
+          continue;
+        }
+      } else {
+        // Another worker may be dialing the item right now
+        const claimedAt = item.claimedAt || item.lastAttemptTime;
+        const ownClaim = boot && item.claimedBy === config.worker.id;
+        if (!ownClaim && claimedAt && new Date(claimedAt) > claimedBefore) {
+          results.live++;
+          continue;
+        }
+      }
+
+      await item.update({
+        status: 'waiting',
+        scheduledTime: now,
+        callSid: null,
+        metadata: {
+          ...(item.metadata || {}),
+          recoveredAt: now.toISOString(),
+          recoveredReason: item.callSid ? 'call_status_lost' : 'interrupted_before_dial',
+          lostCallSid: item.callSid || undefined
+        }
+      });
+      results.requeued++;
+    } catch (error) {
+      logger.error(`Error recovering queue item ${item.id}: ${error.message}`);
+    }
+  }
+
+  return results;
+};
+
+/**
+ * Reconcile scheduler state after a restart
+ * Queue items are recovered before any scheduler resumes, so nothing dials them twice.
+ * @returns {Promise<Object>} { queueItems, campaigns, queueSchedulers }
+ */
+const reconcileOnBoot = async () => {
+  logger.info('Reconciling scheduler state');
+
+  const queueItems = await recoverQueueItems(new Date(), { boot: true });
+  const campaigns = await resumeCampaigns();
+  const queueSchedulers = await queueScheduler.restoreSchedulers();
+
+  logger.info(`Scheduler state reconciled: ${campaigns.filter(c => c.status === 'resumed').length} campaigns resumed, ` +
+    `${queueSchedulers.filter(s => s.status === 'started').length} queue schedulers restored, ` +
+    `${queueItems.requeued} queue items requeued, ${queueItems.settled} settled, ${queueItems.live} still live`);
+
+  return { queueItems, campaigns, queueSchedulers };
+};
+
+module.exports = {
+  resumeCampaigns,
+  recoverQueueItems,
+  reconcileOnBoot
+};
@@ -0,0 +1,128 @@
+/**
+ * Scheduler State Service
+ * Persists campaign and queue scheduler state so it survives restarts
+ */
+
+const { Op } = require('sequelize');
+const db = require('../models');
+const logger = require('../utils/logger');
+const config = require('../config');
+
+/**
+ * Save a scheduler's state, creating the row on first save
+ * Failures are logged and swallowed so a database hiccup never stops dialing.
+ * @param {string} schedulerType - 'campaign' or 'queue'
+ * @param {string} schedulerKey - Campaign ID, or 'global'
+ * @param {Object} fields - status, batchIndex, counters, settings, campaignId, workspaceId, ...
+ * @returns {Promise<Object|null>} Saved state
+ */
+const saveState = async (schedulerType, schedulerKey, fields) => {
+  try {
+    const [state, created] = await db.SchedulerState.findOrCreate({
+      where: { schedulerType, schedulerKey },
+      defaults: { schedulerType, schedulerKey, ...fields }
+    });
+
+    if (!created) {
+      await state.update(fields);
+    }
+
+    return state;
+  } catch (error) {
+    logger.error(`Error saving ${schedulerType} scheduler state for ${schedulerKey}: ${error.message}`);
+    return null;
+  }
+};
+
+/**
+ * Get a scheduler's saved state
+ * @param {string} schedulerType - 'campaign' or 'queue'
+ * @param {string} schedulerKey - Campaign ID, or 'global'
+ * @returns {Promise<Object|null>}
+ */
+const getState = (schedulerType, schedulerKey) => {
+  return db.SchedulerState.findOne({ where: { schedulerType, schedulerKey } });
+};
+
+/**
+ * Schedulers that were running or paused when the process last stopped
+ * @param {string} [schedulerType] - Only this type
+ * @returns {Promise<Array>}
+ */
+const getResumableStates = (schedulerType) => {
+  const where = { status: ['running', 'paused'] };
+  if (schedulerType) {
+    where.schedulerType = schedulerType;
+  }
+
+  return db.SchedulerState.findAll({ where, order: [['updatedAt', 'ASC']] });
+};
+
+/**
+ * Take or renew the leader lease on a scheduler
+ * One worker holds a lease at a time, and another can take it over once it lapses. Schedulers
+ * paused or stopped on any worker cannot be leased, so every other copy of them stays idle.
+ * @param {string} schedulerType - 'campaign', 'queue' or 'job'
+ * @param {string} schedulerKey - Campaign ID, 'global' or job name
+ * @param {number} [ttlMs] - How long the lease lasts without renewal
+ * @returns {Promise<boolean>} Whether this worker holds the lease
+ */
+const acquireLease = async (schedulerType, schedulerKey, ttlMs = config.worker.leaseSeconds * 1000) => {
+  const now = new Date();
+  const lease = {
+    ownerId: config.worker.id,
+    leaseExpiresAt: new Date(now.getTime() + ttlMs)
+  };
+
+  try {
+    const [updated] = await db.SchedulerState.update(lease, {
+      where: {
+        schedulerType,
+        schedulerKey,
+        status: 'running',
+        [Op.or]: [
+          { ownerId: null },
+          { ownerId: config.worker.id },
+          { leaseExpiresAt: { [Op.lt]: now } }
+        ]
+      }
+    });
+    if (updated > 0) {
+      return true;
+    }
+
+    // A scheduler with no saved state yet is leased by whoever creates it
+    const [, created] = await db.SchedulerState.findOrCreate({
+      where: { schedulerType, schedulerKey },
+      defaults: { schedulerType, schedulerKey, status: 'running', ...lease }
+    });
+    return created;
+  } catch (error) {
+    logger.error(`Error acquiring lease on ${schedulerType} scheduler ${schedulerKey}: ${error.message}`);
+    return false;
+  }
+};
+
+/**
+ * Give up this worker's lease so another worker can take over at once
+ * @param {string} schedulerType - 'campaign', 'queue' or 'job'
+ * @param {string} schedulerKey - Campaign ID, 'global' or job name
+ * @returns {Promise<void>}
+ */
+const releaseLease = async (schedulerType, schedulerKey) => {
+  try {
+    await db.SchedulerState.update({ ownerId: null, leaseExpiresAt: null }, {
+      where: { schedulerType, schedulerKey, ownerId: config.worker.id }
+    });
+  } catch (error) {
+    logger.error(`Error releasing lease on ${schedulerType} scheduler ${schedulerKey}: ${error.message}`);
+  }
+};
+
+module.exports = {
+  saveState,
+  getState,
+  getResumableStates,
+  acquireLease,
+  releaseLease
+};
@@ -5,8 +5,11 @@
 
 // Import the Voice client from the Realtime API
 const { Voice } = require('@signalwire/realtime-api');
+const axios = require('axios');
 const config = require('../config');
 const logger = require('../utils/logger');
+const workspaceService = require('./workspace.service');
+const callLimiterService = require('./call-limiter.service');
 
 // Environment check for mock mode
 const isMockMode = process.env.TEST_MOCK_MODE === 'true';
@@ -31,6 +34,107 @@ if (!isMockMode) {
   logger.info('SignalWire service running in MOCK MODE');
 }
 
+// Voice clients for workspaces that bring their own SignalWire project, keyed by workspace ID
+const workspaceClients = new Map();
+
+/**
+ * Get the Voice client a workspace should dial with
+ * Workspaces without their own credentials resolve to the global client only when
+ * they are the default workspace; anyone else gets null and cannot place calls.
+ * @param {string} [workspaceId] - Workspace ID (omit for the global client)
+ * @returns {Promise<Object|null>} Voice client
+ */
+const getVoiceClient = async (workspaceId) => {
+  if (!workspaceId) {
+    return voiceClient;
+  }
+
+  if (workspaceClients.has(workspaceId)) {
+    return workspaceClients.get(workspaceId);
+  }
+
+  const credentials = await workspaceService.getSignalWireCredentials(workspaceId);
+  if (!credentials || !credentials.projectId || !credentials.apiToken) {
+    return null;
+  }
+
+  // Same project as the environment config, so reuse the global connection
+  if (credentials.projectId === config.signalWire.projectId) {
+    return voiceClient;
+  }
+
+  const client = new Voice.Client({
+    project: credentials.projectId,
+    token: credentials.apiToken,
+    contexts: ['office'],
+    host: credentials.spaceUrl
+  });
+  workspaceClients.set(workspaceId, client);
+  logger.info(`SignalWire Voice client initialized for workspace ${workspaceId}`);
+
+  return client;
+};
+
+/**
+ * Get the Voice client for acting on a workspace's existing call
+ * @param {string} [workspaceId] - Workspace that owns the call
+ * @returns {Promise<Object>} Voice client
+ * @throws {Error} When the workspace has no SignalWire credentials
+ */
+const getCallClient = async (workspaceId) => {
+  const client = await getVoiceClient(workspaceId);
+  if (!client) {
+    throw new Error('SignalWire Voice client not initialized. Check your credentials.');
+  }
+  return client;
+};
+
+/**
+ * Forget a workspace's cached Voice client (call after its credentials change)
+ * @param {string} workspaceId - Workspace ID
+ */
+const resetVoiceClient = (workspaceId) => {
+  workspaceClients.delete(workspaceId);
+};
+
+/**
+ * List the phone numbers a workspace's SignalWire project owns
+ * @param {string} [workspaceId] - Workspace ID (omit for the default project)
+ * @returns {Promise<Array<Object>>} { id, number, name }
+ */
+const listOwnedPhoneNumbers = async (workspaceId) => {
+  if (isMockMode) {
+    return [
+      { id: 'mock-pn-1', number: '+12125550100', name: 'Mock NYC' },
+      { id: 'mock-pn-2', number: '+13105550100', name: 'Mock LA' }
+    ];
+  }
+
+  const credentials = await workspaceService.getSignalWireCredentials(workspaceId);
+  if (!credentials || !credentials.projectId || !credentials.apiToken || !credentials.spaceUrl) {
+    throw new Error('SignalWire is not configured for this workspace');
+  }
+
+  const numbers = [];
+  let url = `https://${credentials.spaceUrl}/api/relay/rest/phone_numbers?page_size=100`;
+
+  // Follow pagination links until every owned number has been read
+  while (url) {
+    const response = await axios.get(url, {
+      auth: { username: credentials.projectId, password: credentials.apiToken }
+    });
+    numbers.push(...(response.data.data || []).map(item => ({
+      id: item.id,
+      number: item.number,
+      name: item.name || null
+    })));
+    const next = response.data.links && response.data.links.next;
+    url = next && !next.startsWith('http') ? `https://${credentials.spaceUrl}${next}` : next || null;
+  }
+
+  return numbers;
+};
+
 /**
  * Make an outbound call
  * @param {string} to - Destination phone number
@@ -64,14 +168,50 @@ const formatPhoneNumber = (phoneNumber) => {
 
 /**
  * Make an outbound call
+ * Every outbound dial goes through here, so the account, campaign and caller ID limits of
+ * the call limiter always apply. The call holds its live call slots until its end is reported.
  * @param {string} to - Destination phone number
  * @param {string} from - Caller ID number
  * @param {string} webhookUrl - URL for call events and media streaming
- * @param {Object} metadata - Additional call metadata
+ * @param {Object} metadata - Additional call metadata (metadata.workspaceId selects the account)
  * @param {string} [phoneNumberId] - Optional phone number ID for trial accounts
  * @returns {Object} Call response
+ * @throws {CallLimitError} If the limits leave no room for the call in time
  */
 const makeOutboundCall = async (to, from, webhookUrl, metadata = {}, phoneNumberId = null) => {
+  const permit = await callLimiterService.acquire({
+    workspaceId: metadata && metadata.workspaceId,
+    campaignId: metadata && metadata.campaignId,
+    callerId: formatPhoneNumber(from)
+  });
+  
+  try {
+    const call = await placeOutboundCall(to, from, webhookUrl, metadata, phoneNumberId);
+    
+    // Mock calls never report an end, so they hold no line
+    if (isMockMode) {
+      await permit.release();
+    } else {
+      await permit.bind(call.id);
+    }
+    
+    return call;
+  } catch (error) {
+    await permit.release();
+    throw error;
+  }
+};
+
+/**
+ * Dial a call through SignalWire
+ * @param {string} to - Destination phone number
+ * @param {string} from - Caller ID number
+ * @param {string} webhookUrl - URL for call events and media streaming
+ * @param {Object} metadata - Additional call metadata
+ * @param {string} [phoneNumberId] - Optional phone number ID for trial accounts
+ * @returns {Object} Call response
+ */
+const placeOutboundCall = async (to, from, webhookUrl, metadata = {}, phoneNumberId = null) => {
   try {
     // Ensure phone numbers are formatted correctly
     const formattedTo = formatPhoneNumber(to);
@@ -100,8 +240,9 @@ const makeOutboundCall = async (to, from, webhookUrl, metadata = {}, phoneNumber
       };
     }
     
-    // Check if the client is initialized
-    if (!voiceClient) {
+    // Dial from the account that owns the call
+    const client = await getVoiceClient(metadata && metadata.workspaceId);
+    if (!client) {
       throw new Error('SignalWire Voice client not initialized. Check your credentials.');
     }
     
@@ -145,7 +286,7 @@ const makeOutboundCall = async (to, from, webhookUrl, metadata = {}, phoneNumber
     
     // First try with full options
     try {
-      const call = await voiceClient.dialPhone(callOptions);
+      const call = await client.dialPhone(callOptions);
       
       logger.info(`Call initiated successfully with ID: ${call.id}`);
       return {
@@ -173,7 +314,7 @@ const makeOutboundCall = async (to, from, webhookUrl, metadata = {}, phoneNumber
         minimalOptions.fromPhoneNumberId = usePhoneNumberId;
       }
       
-      const call = await voiceClient.dialPhone(minimalOptions);
+      const call = await client.dialPhone(minimalOptions);
       
       logger.info(`Call initiated on second attempt with ID: ${call.id}`);
       return {
@@ -204,9 +345,10 @@ const makeOutboundCall = async (to, from, webhookUrl, metadata = {}, phoneNumber
 /**
  * Get call details
  * @param {string} callSid - Call SID to fetch
+ * @param {string} [workspaceId] - Workspace that owns the call
  * @returns {Object} Call details
  */
-const getCallDetails = async (callSid) => {
+const getCallDetails = async (callSid, workspaceId) => {
   try {
     // Return mock call details in test mode
     if (isMockMode || !voiceClient) {
@@ -225,12 +367,8 @@ const getCallDetails = async (callSid) => {
       };
     }
     
-    // Check again before using client (defensive programming)
-    if (!voiceClient) {
-      throw new Error('SignalWire Voice client not initialized. Check your credentials.');
-    }
-    
-    const call = await voiceClient.calls(callSid).fetch();
+    const client = await getCallClient(workspaceId);
+    const call = await client.calls(callSid).fetch();
     return call;
   } catch (error) {
     logger.error(`Error fetching call details: ${error.message}`);
@@ -242,9 +380,10 @@ const getCallDetails = async (callSid) => {
  * Update call in progress
  * @param {string} callSid - Call SID to update
  * @param {Object} params - Parameters to update
+ * @param {string} [workspaceId] - Workspace that owns the call
  * @returns {Object} Updated call details
  */
-const updateCall = async (callSid, params) => {
+const updateCall = async (callSid, params, workspaceId) => {
   try {
     // Return mock update in test mode
     if (isMockMode) {
@@ -260,7 +399,8 @@ const updateCall = async (callSid, params) => {
       };
     }
     
-    const call = await voiceClient.calls(callSid).update(params);
+    const client = await getCallClient(workspaceId);
+    const call = await client.calls(callSid).update(params);
     return call;
   } catch (error) {
     logger.error(`Error updating call: ${error.message}`);
@@ -271,9 +411,10 @@ const updateCall = async (callSid, params) => {
 /**
  * End a call
  * @param {string} callSid - Call SID to end
+ * @param {string} [workspaceId] - Workspace that owns the call
  * @returns {Object} Call status
  */
-const endCall = async (callSid) => {
+const endCall = async (callSid, workspaceId) => {
   try {
     logger.info(`Ending call with SID: ${callSid}`);
     
@@ -292,7 +433,8 @@ const endCall = async (callSid) => {
       };
     }
     
-    const call = await voiceClient.calls(callSid).update({ 
+    const client = await getCallClient(workspaceId);
+    const call = await client.calls(callSid).update({ 
       status: 'completed'
     });
     return call;
@@ -505,9 +647,10 @@ const setupCallEventListeners = (call, eventCallback) => {
  * Start recording a call
  * @param {string} callSid - The SID of the call to record
  * @param {Object} options - Recording options
+ * @param {string} [workspaceId] - Workspace that owns the call
  * @returns {Object} Recording information
  */
-const startRecording = async (callSid, options = {}) => {
+const startRecording = async (callSid, options = {}, workspaceId) => {
   try {
     // Default recording options
     const recordingOptions = {
@@ -534,13 +677,9 @@ const startRecording = async (callSid, options = {}) => {
       };
     }
     
-    // Check if client is initialized
-    if (!voiceClient) {
-      throw new Error('SignalWire Voice client not initialized. Check your credentials.');
-    }
-    
-    // Get the call object
-    const call = await voiceClient.calls.get(callSid);
+    // Get the call object from the workspace's project
+    const client = await getCallClient(workspaceId);
+    const call = await client.calls.get(callSid);
     if (!call) {
       throw new Error(`Call ${callSid} not found`);
     }
@@ -567,9 +706,10 @@ const startRecording = async (callSid, options = {}) => {
 /**
  * Stop recording a call
  * @param {string} callSid - The SID of the call to stop recording
+ * @param {string} [workspaceId] - Workspace that owns the call
  * @returns {Object} Recording status
  */
-const stopRecording = async (callSid) => {
+const stopRecording = async (callSid, workspaceId) => {
   try {
     logger.info(`Stopping recording for call ${callSid}`);
     
@@ -585,13 +725,9 @@ const stopRecording = async (callSid) => {
       };
     }
     
-    // Check if client is initialized
-    if (!voiceClient) {
-      throw new Error('SignalWire Voice client not initialized. Check your credentials.');
-    }
-    
-    // Get the call object
-    const call = await voiceClient.calls.get(callSid);
+    // Get the call object from the workspace's project
+    const client = await getCallClient(workspaceId);
+    const call = await client.calls.get(callSid);
     if (!call) {
       throw new Error(`Call ${callSid} not found`);
     }
@@ -663,9 +799,10 @@ const getRecordingDetails = async (recordingSid) => {
  * @param {string} callSid - The SID of the call to transfer
  * @param {string} targetEndpoint - The phone number or SIP endpoint to transfer to
  * @param {Object} options - Additional transfer options
+ * @param {string} [workspaceId] - Workspace that owns the call
  * @returns {Promise<Object>} Transfer result
  */
-const transferCall = async (callSid, targetEndpoint, options = {}) => {
+const transferCall = async (callSid, targetEndpoint, options = {}, workspaceId) => {
   try {
     logger.info(`Transferring call ${callSid} to ${targetEndpoint}`);
     
@@ -682,13 +819,9 @@ const transferCall = async (callSid, targetEndpoint, options = {}) => {
       };
     }
     
-    // Check if client is initialized
-    if (!voiceClient) {
-      throw new Error('SignalWire Voice client not initialized. Check your credentials.');
-    }
-    
-    // Get the call object
-    const call = await voiceClient.calls.get(callSid);
+    // Get the call object from the workspace's project
+    const client = await getCallClient(workspaceId);
+    const call = await client.calls.get(callSid);
     if (!call) {
       throw new Error(`Call ${callSid} not found`);
     }
@@ -801,7 +934,11 @@ const generateTransferTwiML = (targetEndpoint, options = {}) => {
 };
 
 module.exports = {
+  formatPhoneNumber,
+  getVoiceClient,
+  resetVoiceClient,
   makeOutboundCall,
+  listOwnedPhoneNumbers,
   getCallDetails,
   updateCall,
   endCall,
@@ -0,0 +1,988 @@
+/**
+ * Stream Gateway Service
+ * The one WebSocket server for call media. Connections are routed by path to a protocol:
+ * - signalwire: SignalWire <Stream> media for a call, bridged to ElevenLabs
+ * - monitor: browsers watching the workspace's live streams
+ * - harness: a test client that sends audio and asks for agent speech
+ * - listen: a supervisor's browser hearing a live call
+ * Every connection is kept in one session registry, and the gateway keeps shared metrics for all of them.
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+const WebSocket = require('ws');
+const logger = require('../utils/logger');
+const config = require('../config');
+const db = require('../models');
+const authService = require('./auth.service');
+const elevenlabsService = require('./elevenlabs.service');
+const workspaceService = require('./workspace.service');
+const signalwireService = require('./signalwire.service');
+const audioBridgeService = require('./audio-bridge.service');
+const conversationalBridgeService = require('./conversational-bridge.service');
+const callListenService = require('./call-listen.service');
+const { roleHasPermission, PERMISSIONS } = require('../config/permissions');
+
+const PROTOCOLS = {
+  SIGNALWIRE: 'signalwire',
+  MONITOR: 'monitor',
+  HARNESS: 'harness',
+  LISTEN: 'listen'
+};
+
+// Checked in order; /api/stream is the path <Stream> URLs used before the gateway
+const ROUTES = [
+  { pattern: /^\/stream\/monitor\/?$/, protocol: PROTOCOLS.MONITOR },
+  { pattern: /^\/stream\/harness\/?$/, protocol: PROTOCOLS.HARNESS },
+  { pattern: /^\/stream\/listen\/[^/]+\/?$/, protocol: PROTOCOLS.LISTEN },
+  { pattern: /^\/(api\/)?stream(\/[^/]+)?\/?$/, protocol: PROTOCOLS.SIGNALWIRE }
+];
+
+const KEEPALIVE_INTERVAL = 30000;
+
+// Harness audio is acknowledged every few chunks
+const HARNESS_ACK_CHUNKS = 5;
+
+// Every open connection, by session ID
+const sessions = new Map();
+
+// Shared metrics for all protocols
+const gatewayMetrics = {
+  startedAt: Date.now(),
+  connections: { signalwire: 0, monitor: 0, harness: 0, listen: 0 },
+  rejected: { signalwire: 0, monitor: 0, harness: 0, listen: 0, unrouted: 0 },
+  messagesIn: 0,
+  bytesIn: 0,
+  mediaChunksIn: 0,
+  messagesOut: 0,
+  bytesOut: 0,
+  errors: 0
+};
+
+let wss = null;
+
+/**
+ * Error for connections the gateway refuses
+ */
+class StreamAuthError extends Error {
+  constructor(message, status = 401) {
+    super(message);
+    this.name = 'StreamAuthError';
+    this.code = 'STREAM_AUTH_FAILED';
+    this.status = status;
+  }
+}
+
+/**
+ * Signature of a stream token
+ * @param {string} callSid - Call the token is for
+ * @param {number} expiresAt - Unix time in seconds
+ * @param {string} secret - Signing secret
+ * @returns {string} Hex HMAC-SHA256 of `${callSid}.${expiresAt}`
+ */
+const signStreamToken = (callSid, expiresAt, secret) => crypto
+  .createHmac('sha256', secret)
+  .update(`${callSid}.${expiresAt}`)
+  .digest('hex');
+
+/**
+ * Create the token SignalWire presents when it opens a call's stream
+ * @param {string} callSid - Call SID
+ * @param {number} [now] - Current time in ms
+ * @returns {string|null} `<expiresAt>.<signature>`, or null when no secret is configured
+ */
+const createStreamToken = (callSid, now = Date.now()) => {
+  const { tokenSecret, tokenTtlSeconds } = config.streamGateway;
+  if (!tokenSecret) {
+    return null;
+  }
+
+  const expiresAt = Math.floor(now / 1000) + tokenTtlSeconds;
+  return `${expiresAt}.${signStreamToken(callSid, expiresAt, tokenSecret)}`;
+};
+
+/**
+ * Check a stream token
+ * Without a configured secret, streams are only accepted outside production.
+ * @param {string} callSid - Call SID the stream is for
+ * @param {string} token - Token from the stream URL
+ * @param {number} [now] - Current time in ms
+ * @returns {string|null} Why the token is refused, or null when it is valid
+ */
+const verifyStreamToken = (callSid, token, now = Date.now()) => {
+  const { tokenSecret } = config.streamGateway;
+  if (!tokenSecret) {
+    return process.env.NODE_ENV === 'production' ? 'no stream token secret configured' : null;
+  }
+
+  const [expiresAt, signature] = String(token || '').split('.');
+  if (!expiresAt || !signature) {
+    return 'stream token missing';
+  }
+  if (parseInt(expiresAt, 10) < Math.floor(now / 1000)) {
+    return 'stream token expired';
+  }
+
+  const expected = signStreamToken(callSid, expiresAt, tokenSecret);
+  const valid = signature.length === expected.length &&
+    crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+  return valid ? null : 'stream token mismatch';
+};
+
+/**
+ * Key that signs listen tokens
+ * Falls back to the JWT secret, so listen-in works without STREAM_TOKEN_SECRET.
+ * @returns {string}
+ */
+const listenTokenSecret = () => config.streamGateway.tokenSecret || config.security.jwtSecret;
+
+/**
+ * Signature of a listen token
+ * @returns {string} Hex HMAC-SHA256 of `listen.${callSid}.${userId}.${tokenVersion}.${expiresAt}.${tokenId}`
+ */
+const signListenToken = (callSid, userId, tokenVersion, expiresAt, tokenId) => crypto
+  .createHmac('sha256', listenTokenSecret())
+  .update(`listen.${callSid}.${userId}.${tokenVersion}.${expiresAt}.${tokenId}`)
+  .digest('hex');
+
+/**
+ * Create the token a supervisor's browser presents to listen to one call
+ * The browser fetches it over REST right before opening the listen socket, so the
+ * access token never goes in a URL. Each token opens one listen socket.
+ * @param {string} callSid - Call to listen to
+ * @param {Object} user - { id, tokenVersion } of the supervisor
+ * @param {number} [now] - Current time in ms
+ * @returns {Object} { token, expiresAt }
+ */
+const createListenToken = (callSid, user, now = Date.now()) => {
+  const tokenVersion = user.tokenVersion || 0;
+  const expiresAt = Math.floor(now / 1000) + config.streamGateway.listenTokenTtlSeconds;
+  const tokenId = crypto.randomBytes(16).toString('hex');
+  const signature = signListenToken(callSid, user.id, tokenVersion, expiresAt, tokenId);
+
+  return {
+    token: `${user.id}.${tokenVersion}.${expiresAt}.${tokenId}.${signature}`,
+    expiresAt: new Date(expiresAt * 1000)
+  };
+};
+
+/**
+ * Check a listen token
+ * @param {string} callSid - Call SID in the listen path
+ * @param {string} token - Token from the listen URL
+ * @param {number} [now] - Current time in ms
+ * @returns {Object} { userId, tokenVersion, tokenId }
+ * @throws {StreamAuthError}
+ */
+const verifyListenToken = (callSid, token, now = Date.now()) => {
+  const [userId, tokenVersion, expiresAt, tokenId, signature] = String(token || '').split('.');
+  if (!userId || !tokenVersion || !expiresAt || !tokenId || !signature) {
+    throw new StreamAuthError('Listen token required');
+  }
+  if (parseInt(expiresAt, 10) < Math.floor(now / 1000)) {
+    throw new StreamAuthError('Listen token expired');
+  }
+
+  const expected = signListenToken(callSid, userId, tokenVersion, expiresAt, tokenId);
+  const valid = signature.length === expected.length &&
+    crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+  if (!valid) {
+    throw new StreamAuthError('Invalid listen token');
+  }
+
+  return { userId, tokenVersion: parseInt(tokenVersion, 10), tokenId };
+};
+
+/**
+ * The <Stream> URL for a call, with its token
+ * The call SID goes in the path so the URL has a single query parameter and needs no XML escaping.
+ * @param {string} callSid - Call SID
+ * @param {string} [hostname] - Public base URL of this server
+ * @returns {string} ws:// or wss:// URL
+ */
+const buildStreamUrl = (callSid, hostname = process.env.PUBLIC_HOSTNAME || `http://localhost:${config.port}`) => {
+  const base = /^https?:\/\//.test(hostname) ? hostname.replace(/^http/, 'ws') : `wss://${hostname}`;
+  const token = createStreamToken(callSid);
+  const url = `${base.replace(/\/$/, '')}/stream/${encodeURIComponent(callSid)}`;
+  return token ? `${url}?token=${token}` : url;
+};
+
+/**
+ * Create a streaming TwiML for SignalWire
+ * @param {string} callSid - Call SID
+ * @param {Object} [customParameters] - <Parameter> values for the stream's start event
+ * @returns {string} TwiML with streaming instructions
+ */
+const createStreamingTwiML = (callSid, customParameters = {}) => {
+  return signalwireService.generateTwiML({
+    stream: {
+      url: buildStreamUrl(callSid),
+      track: 'both',
+      customParameters: { callSid, ...customParameters }
+    }
+  });
+};
+
+/**
+ * Find the route for an upgrade request
+ * @param {string} pathname - Request path
+ * @returns {string|null} Protocol, or null when no route matches
+ */
+const routeFor = (pathname) => {
+  const route = ROUTES.find(({ pattern }) => pattern.test(pathname));
+  return route ? route.protocol : null;
+};
+
+/**
+ * Call SID of a SignalWire stream, from the path (/stream/:callSid) or the callSid query parameter
+ * @param {URL} url - Request URL
+ * @returns {string|null}
+ */
+const callSidFromUrl = (url) => {
+  const pathMatch = url.pathname.match(/\/stream\/([^/]+)/);
+  if (pathMatch && pathMatch[1]) {
+    return decodeURIComponent(pathMatch[1]);
+  }
+  return url.searchParams.get('callSid');
+};
+
+/**
+ * The active user behind a browser's access token
+ * Browsers cannot set headers on a WebSocket, so the token comes as the `token` query parameter.
+ * @param {string} token - JWT access token
+ * @returns {Promise<Object>} { id, role, workspaceId }
+ * @throws {StreamAuthError}
+ */
+const authenticateUser = async (token) => {
+  if (!token) {
+    throw new StreamAuthError('Authentication required');
+  }
+
+  let payload;
+  try {
+    payload = authService.verifyAccessToken(token);
+  } catch (error) {
+    throw new StreamAuthError('Invalid token');
+  }
+
+  const user = await db.User.findByPk(payload.sub);
+  if (!authService.isTokenCurrent(payload, user)) {
+    throw new StreamAuthError('Invalid token');
+  }
+  if (!user.workspaceId) {
+    throw new StreamAuthError('No workspace assigned to this account', 403);
+  }
+
+  return { id: user.id, role: user.role, workspaceId: user.workspaceId };
+};
+
+/**
+ * The supervisor behind a listen token that has not been used yet
+ * The audit record of a listen keeps the token's ID, so a token is spent on every worker.
+ * @param {string} callSid - Call SID in the listen path
+ * @param {string} token - Listen token
+ * @returns {Promise<Object>} { id, role, workspaceId, listenTokenId }
+ * @throws {StreamAuthError}
+ */
+const authenticateListener = async (callSid, token) => {
+  const { userId, tokenVersion, tokenId } = verifyListenToken(callSid, token);
+
+  const user = await db.User.findByPk(userId);
+  if (!authService.isTokenCurrent({ ver: tokenVersion }, user)) {
+    throw new StreamAuthError('Invalid listen token');
+  }
+  if (!user.workspaceId) {
+    throw new StreamAuthError('No workspace assigned to this account', 403);
+  }
+
+  const used = await db.CallListenSession.count({ where: { listenTokenId: tokenId } });
+  if (used > 0) {
+    throw new StreamAuthError('Listen token already used');
+  }
+
+  return { id: user.id, role: user.role, workspaceId: user.workspaceId, listenTokenId: tokenId };
+};
+
+/**
+ * Call SID of a listen connection, from its path
+ * @param {URL} url - /stream/listen/:callSid
+ * @returns {string}
+ */
+const listenCallSid = (url) => decodeURIComponent(url.pathname.match(/^\/stream\/listen\/([^/]+)/)[1]);
+
+/**
+ * Check a supervisor may listen to the call in the path
+ * @param {Object} user - From authenticateUser()
+ * @param {URL} url - /stream/listen/:callSid?track=mixed|inbound|outbound
+ * @returns {Promise<Object>} { callSid, callLogId, track }
+ * @throws {StreamAuthError}
+ */
+const authorizeListen = async (user, url) => {
+  if (!roleHasPermission(user.role, PERMISSIONS.CALLS_LISTEN)) {
+    throw new StreamAuthError('Insufficient permissions', 403);
+  }
+
+  const track = url.searchParams.get('track') || 'mixed';
+  if (!callListenService.LISTEN_TRACKS.includes(track)) {
+    throw new StreamAuthError(`track must be one of ${callListenService.LISTEN_TRACKS.join(', ')}`, 400);
+  }
+
+  const callSid = listenCallSid(url);
+  const callLog = await db.CallLog.findOne({
+    where: { callSid, workspaceId: user.workspaceId },
+    attributes: ['id']
+  });
+  if (!callLog) {
+    throw new StreamAuthError('Call not found', 404);
+  }
+  if (!getCallSession(callSid)) {
+    throw new StreamAuthError('Call is not streaming', 409);
+  }
+
+  return { callSid, callLogId: callLog.id, track };
+};
+
+/**
+ * Check who is connecting, before the upgrade is accepted
+ * @param {string} protocol - Routed protocol
+ * @param {URL} url - Request URL
+ * @returns {Promise<Object>} Session fields: { callSid, workspaceId, userId, role }, and callLogId, track and listenTokenId for listen
+ * @throws {StreamAuthError}
+ */
+const authenticate = async (protocol, url) => {
+  const token = url.searchParams.get('token');
+
+  if (protocol === PROTOCOLS.SIGNALWIRE) {
+    const callSid = callSidFromUrl(url);
+    if (!callSid) {
+      throw new StreamAuthError('Missing call SID', 400);
+    }
+    const refused = verifyStreamToken(callSid, token);
+    if (refused) {
+      throw new StreamAuthError(refused);
+    }
+
+    const callLog = await db.CallLog.findOne({ where: { callSid }, attributes: ['workspaceId'] });
+    return { callSid, workspaceId: callLog ? callLog.workspaceId : null };
+  }
+
+  if (protocol === PROTOCOLS.LISTEN) {
+    const user = await authenticateListener(listenCallSid(url), token);
+    return {
+      ...(await authorizeListen(user, url)),
+      workspaceId: user.workspaceId,
+      userId: user.id,
+      role: user.role,
+      listenTokenId: user.listenTokenId
+    };
+  }
+
+  const user = await authenticateUser(token);
+  // The harness speaks with an agent's voice, so it takes the right to change agents
+  if (protocol === PROTOCOLS.HARNESS && !roleHasPermission(user.role, PERMISSIONS.AGENTS_WRITE)) {
+    throw new StreamAuthError('Insufficient permissions', 403);
+  }
+
+  return {
+    callSid: url.searchParams.get('callSid') || null,
+    workspaceId: user.workspaceId,
+    userId: user.id,
+    role: user.role
+  };
+};
+
+/**
+ * Send a message to a connection and count it
+ * @param {Object} session - Gateway session
+ * @param {Object|Buffer} message - JSON message or binary audio
+ */
+const send = (session, message) => {
+  if (session.ws.readyState !== WebSocket.OPEN) {
+    return;
+  }
+
+  const data = Buffer.isBuffer(message) ? message : JSON.stringify(message);
+  session.ws.send(data);
+  gatewayMetrics.messagesOut++;
+  gatewayMetrics.bytesOut += data.length;
+};
+
+/**
+ * Public view of a session
+ * @param {Object} session - Gateway session
+ * @returns {Object}
+ */
+const describeSession = (session) => ({
+  id: session.id,
+  protocol: session.protocol,
+  callSid: session.callSid,
+  status: session.status,
+  startTime: session.startTime,
+  duration: Math.floor((Date.now() - session.startTime) / 1000),
+  bridge: session.bridge ? session.bridgeMode : null,
+  mediaFormat: session.mediaFormat,
+  messagesIn: session.messagesIn,
+  bytesIn: session.bytesIn
+});
+
+/**
+ * Tell a workspace's monitors about a change to one of its streams
+ * @param {Object} session - SignalWire session that changed
+ * @param {string} type - session_opened, session_updated or session_closed
+ */
+const notifyMonitors = (session, type) => {
+  sessions.forEach((monitor) => {
+    if (monitor.protocol === PROTOCOLS.MONITOR && monitor.workspaceId === session.workspaceId) {
+      send(monitor, { type, session: describeSession(session) });
+    }
+  });
+};
+
+/**
+ * Open the bridge that carries a call's audio to ElevenLabs
+ * In conversational mode the call talks to the agent over one Conversational AI socket;
+ * if that socket cannot open, the call falls back to the pipeline bridge.
+ * @param {Object} session - SignalWire session
+ * @param {string} voiceAgentId - ElevenLabs agent ID
+ * @param {Object} metadata - Custom parameters and streamSid
+ * @returns {Promise<Object>} The bridge session
+ */
+const openBridge = async (session, voiceAgentId, metadata) => {
+  const { ws, callSid, mediaFormat } = session;
+
+  if (config.elevenLabs.bridgeMode === 'conversational') {
+    const bridge = conversationalBridgeService.createConversationalBridge(callSid, voiceAgentId);
+    if (await bridge.initialize(ws, mediaFormat, metadata)) {
+      session.bridgeMode = 'conversational';
+      return bridge;
+    }
+    await conversationalBridgeService.closeConversationalBridge(callSid);
+    logger.warn(`Falling back to the pipeline bridge for call ${callSid}`);
+  }
+
+  const bridge = audioBridgeService.createAudioBridge(callSid, voiceAgentId);
+  await bridge.initialize(ws, mediaFormat, metadata);
+  session.bridgeMode = 'pipeline';
+  return bridge;
+};
+
+/**
+ * The bridge carrying a call's audio, including one still initializing
+ * @param {string} callSid - Call SID
+ * @returns {Object|null}
+ */
+const getBridge = (callSid) => audioBridgeService.getAudioBridge(callSid) ||
+  conversationalBridgeService.getConversationalBridge(callSid);
+
+/**
+ * Handle one SignalWire stream event
+ * @param {Object} session - SignalWire session
+ * @param {Object} message - Stream event
+ */
+const handleSignalWireMessage = async (session, message) => {
+  const { callSid } = session;
+
+  switch (message.event) {
+    case 'connected':
+      logger.debug(`Stream connected for call ${callSid}, protocol: ${message.protocol}, version: ${message.version}`);
+      break;
+
+    case 'start': {
+      session.mediaFormat = message.start?.mediaFormat || null;
+      session.streamSid = message.start?.streamSid || message.streamSid || null;
+      session.status = 'streaming';
+      logger.debug(`Stream started for call ${callSid}, format: ${JSON.stringify(session.mediaFormat)}`);
+
+      const customParameters = message.start?.customParameters || {};
+      const voiceAgentId = customParameters.voiceAgentId || 'default-voice-agent';
+      session.bridge = await openBridge(session, voiceAgentId, {
+        ...customParameters,
+        // Needed to send reply audio and to clear it when the caller barges in
+        streamSid: session.streamSid
+      });
+      notifyMonitors(session, 'session_updated');
+      break;
+    }
+
+    case 'media': {
+      gatewayMetrics.mediaChunksIn++;
+      // The agent's side is published by the bridge that produces it
+      const { track, payload } = message.media || {};
+      if (callListenService.hasListeners(callSid) && payload && (!track || track === 'inbound')) {
+        callListenService.publishAudio(callSid, 'inbound', Buffer.from(payload, 'base64'), callListenService.callAudioFormat(session.mediaFormat));
+      }
+      const bridge = getBridge(callSid);
+      if (bridge) {
+        await bridge.processSignalWireAudio(message.media);
+      }
+      break;
+    }
+
+    case 'stop':
+      logger.debug(`Stream stopped for call ${callSid}`);
+      await closeSession(session.id);
+      break;
+
+    case 'dtmf':
+      logger.debug(`DTMF received for call ${callSid}: ${message.dtmf?.digit}`);
+      break;
+
+    default:
+      logger.debug(`Unknown stream event for call ${callSid}: ${message.event}`);
+  }
+};
+
+/**
+ * Handle one message from a monitor
+ * @param {Object} session - Monitor session
+ * @param {Object} message - { type }
+ */
+const handleMonitorMessage = async (session, message) => {
+  switch (message.type) {
+    case 'get_sessions':
+      send(session, { type: 'sessions', sessions: listSessions(session.workspaceId) });
+      break;
+
+    case 'get_metrics':
+      send(session, { type: 'metrics', metrics: getMetrics(session.workspaceId) });
+      break;
+
+    default:
+      send(session, { type: 'error', error: `Unknown message type: ${message.type}` });
+  }
+};
+
+/**
+ * Speak text with an agent's voice to the harness
+ * Uses the ElevenLabs key of the harness user's workspace.
+ * @param {Object} session - Harness session
+ * @param {string} text - Text to speak
+ * @param {string} voiceId - Voice to use
+ */
+const streamHarnessSpeech = async (session, text, voiceId) => {
+  try {
+    const keyOverride = await workspaceService.getElevenLabsApiKey(session.workspaceId);
+    if (!keyOverride) {
+      throw new Error('No ElevenLabs API key configured for this workspace');
+    }
+
+    send(session, { type: 'stream_start', text });
+    await elevenlabsService.streamSpeechRealTime(
+      text,
+      voiceId,
+      (audioChunk) => send(session, Buffer.from(audioChunk)),
+      () => send(session, { type: 'stream_end', text }),
+      { keyOverride }
+    );
+  } catch (error) {
+    logger.error(`Harness speech error: ${error.message}`);
+    send(session, { type: 'stream_error', error: error.message });
+  }
+};
+
+/**
+ * Handle one message from the test harness
+ * Binary messages are caller audio; JSON messages control the session.
+ * @param {Object} session - Harness session
+ * @param {Object|Buffer} message - Control message, or audio
+ */
+const handleHarnessMessage = async (session, message) => {
+  if (Buffer.isBuffer(message)) {
+    session.audioChunks.push(message);
+    if (session.audioChunks.length >= HARNESS_ACK_CHUNKS) {
+      const bytesReceived = session.audioChunks.reduce((total, chunk) => total + chunk.length, 0);
+      session.audioChunks = [];
+      send(session, { type: 'audio_received', bytesReceived });
+    }
+    return;
+  }
+
+  switch (message.type) {
+    case 'generate_speech':
+      if (message.text) {
+        await streamHarnessSpeech(session, message.text, message.voiceId || session.voiceId);
+      }
+      break;
+
+    case 'update_voice':
+      if (message.voiceId) {
+        session.voiceId = message.voiceId;
+        send(session, { type: 'voice_updated', voiceId: message.voiceId });
+      }
+      break;
+
+    case 'end_stream':
+      send(session, { type: 'stream_terminated', message: 'Stream terminated by request' });
+      await closeSession(session.id);
+      break;
+
+    default:
+      send(session, { type: 'error', error: `Unknown message type: ${message.type}` });
+  }
+};
+
+/**
+ * Start sending a call's audio to a supervisor
+ * @param {Object} session - Listen session
+ */
+const startListen = async (session) => {
+  try {
+    const listener = await callListenService.startListening({
+      callSid: session.callSid,
+      callLogId: session.callLogId,
+      workspaceId: session.workspaceId,
+      userId: session.userId,
+      track: session.track,
+      listenTokenId: session.listenTokenId,
+      send: message => send(session, message)
+    });
+
+    // The browser left while the audit record was being written
+    if (session.status === 'closed') {
+      await callListenService.stopListening(listener);
+      return;
+    }
+    session.listener = listener;
+    session.status = 'listening';
+    send(session, {
+      type: 'listen_started',
+      callSid: session.callSid,
+      track: session.track,
+      encoding: 'pcm_s16le',
+      sampleRate: callListenService.LISTEN_SAMPLE_RATE,
+      channels: 1
+    });
+  } catch (error) {
+    gatewayMetrics.errors++;
+    logger.error(`Error starting listen on call ${session.callSid}: ${error.message}`);
+    send(session, { type: 'error', error: 'Failed to start listening' });
+    await closeSession(session.id);
+  }
+};
+
+/**
+ * Handle one message from a listening supervisor
+ * @param {Object} session - Listen session
+ * @param {Object} message - { type }
+ */
+const handleListenMessage = async (session, message) => {
+  if (message.type === 'stop') {
+    await closeSession(session.id);
+    return;
+  }
+  send(session, { type: 'error', error: `Unknown message type: ${message.type}` });
+};
+
+const MESSAGE_HANDLERS = {
+  [PROTOCOLS.SIGNALWIRE]: handleSignalWireMessage,
+  [PROTOCOLS.MONITOR]: handleMonitorMessage,
+  [PROTOCOLS.HARNESS]: handleHarnessMessage,
+  [PROTOCOLS.LISTEN]: handleListenMessage
+};
+
+/**
+ * Register an accepted connection and route its messages
+ * @param {WebSocket} ws - Accepted connection
+ * @param {string} protocol - Routed protocol
+ * @param {Object} identity - Fields from authenticate()
+ * @param {URL} url - Request URL
+ * @returns {Object} The session
+ */
+const openSession = (ws, protocol, identity, url) => {
+  const session = {
+    id: crypto.randomUUID(),
+    protocol,
+    ws,
+    ...identity,
+    startTime: Date.now(),
+    status: 'connected',
+    messagesIn: 0,
+    bytesIn: 0,
+    // SignalWire
+    mediaFormat: null,
+    streamSid: null,
+    bridge: null,
+    bridgeMode: null,
+    // Harness
+    voiceId: url.searchParams.get('voiceId'),
+    audioChunks: [],
+    // Listen
+    listener: null,
+    endReason: null
+  };
+  sessions.set(session.id, session);
+  gatewayMetrics.connections[protocol]++;
+  logger.info(`Stream gateway accepted ${protocol} connection ${session.id}${session.callSid ? ` for call ${session.callSid}` : ''}`);
+
+  ws.on('message', async (data, isBinary) => {
+    session.messagesIn++;
+    session.bytesIn += data.length;
+    gatewayMetrics.messagesIn++;
+    gatewayMetrics.bytesIn += data.length;
+
+    try {
+      const message = isBinary ? Buffer.from(data) : JSON.parse(data.toString());
+      await MESSAGE_HANDLERS[protocol](session, message);
+    } catch (error) {
+      gatewayMetrics.errors++;
+      logger.error(`Error processing ${protocol} message on ${session.id}: ${error.message}`);
+    }
+  });
+
+  ws.on('close', () => {
+    closeSession(session.id);
+  });
+
+  ws.on('error', (error) => {
+    gatewayMetrics.errors++;
+    logger.error(`Stream gateway ${protocol} connection ${session.id} error: ${error.message}`);
+    closeSession(session.id);
+  });
+
+  // Send a ping every 30 seconds to keep the connection alive
+  session.keepalive = setInterval(() => {
+    if (ws.readyState === WebSocket.OPEN) {
+      ws.ping();
+    }
+  }, KEEPALIVE_INTERVAL);
+
+  if (protocol === PROTOCOLS.SIGNALWIRE) {
+    notifyMonitors(session, 'session_opened');
+  } else {
+    send(session, { type: 'connection_established', sessionId: session.id, protocol });
+  }
+  if (protocol === PROTOCOLS.MONITOR) {
+    send(session, { type: 'sessions', sessions: listSessions(session.workspaceId) });
+  }
+  if (protocol === PROTOCOLS.LISTEN) {
+    startListen(session);
+  }
+
+  return session;
+};
+
+/**
+ * Close a connection and everything it opened
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<boolean>} Whether the session existed
+ */
+const closeSession = async (sessionId) => {
+  const session = sessions.get(sessionId);
+  if (!session) {
+    return false;
+  }
+  sessions.delete(sessionId);
+  clearInterval(session.keepalive);
+  session.status = 'closed';
+
+  try {
+    if (session.ws.readyState === WebSocket.OPEN) {
+      session.ws.close(1000);
+    }
+
+    if (session.protocol === PROTOCOLS.LISTEN && session.listener) {
+      await callListenService.stopListening(session.listener, session.endReason || 'stopped');
+    }
+
+    if (session.protocol === PROTOCOLS.SIGNALWIRE) {
+      // Supervisors listening to the call are disconnected with it
+      const callListens = Array.from(sessions.values())
+        .filter(listen => listen.protocol === PROTOCOLS.LISTEN && listen.callSid === session.callSid);
+      for (const listen of callListens) {
+        listen.endReason = 'call_ended';
+        send(listen, { type: 'listen_ended', reason: 'call_ended' });
+        await closeSession(listen.id);
+      }
+
+      // Close the bridge, including one still opening when the stream stopped
+      await audioBridgeService.closeAudioBridge(session.callSid);
+      await conversationalBridgeService.closeConversationalBridge(session.callSid);
+      notifyMonitors(session, 'session_closed');
+    }
+
+    logger.info(`Stream gateway closed ${session.protocol} connection ${sessionId}`);
+  } catch (error) {
+    logger.error(`Error closing stream session ${sessionId}: ${error.message}`);
+  }
+  return true;
+};
+
+/**
+ * Refuse an upgrade with an HTTP status
+ * @param {net.Socket} socket - Upgrade socket
+ * @param {number} status - HTTP status
+ * @param {string} message - Status text
+ */
+const rejectUpgrade = (socket, status, message) => {
+  socket.write(`HTTP/1.1 ${status} ${message}\r\nConnection: close\r\n\r\n`);
+  socket.destroy();
+};
+
+/**
+ * Route, authenticate and accept an upgrade request
+ * @param {http.IncomingMessage} req - Upgrade request
+ * @param {net.Socket} socket - Upgrade socket
+ * @param {Buffer} head - First packet of the upgraded stream
+ */
+const handleUpgrade = async (req, socket, head) => {
+  const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+
+  // Socket.IO handles its own upgrades
+  if (url.pathname.startsWith('/socket.io')) {
+    return;
+  }
+
+  const protocol = routeFor(url.pathname);
+  if (!protocol) {
+    gatewayMetrics.rejected.unrouted++;
+    rejectUpgrade(socket, 404, 'Not Found');
+    return;
+  }
+
+  let identity;
+  try {
+    identity = await authenticate(protocol, url);
+  } catch (error) {
+    gatewayMetrics.rejected[protocol]++;
+    logger.warn(`Stream gateway refused ${protocol} connection to ${url.pathname}: ${error.message}`);
+    const status = error instanceof StreamAuthError ? error.status : 500;
+    rejectUpgrade(socket, status, http.STATUS_CODES[status]);
+    return;
+  }
+
+  wss.handleUpgrade(req, socket, head, (ws) => {
+    openSession(ws, protocol, identity, url);
+  });
+};
+
+/**
+ * Attach the gateway to the HTTP server
+ * @param {http.Server} server - HTTP server instance
+ * @returns {WebSocket.Server}
+ */
+const initializeStreamGateway = (server) => {
+  wss = new WebSocket.Server({ noServer: true });
+  server.on('upgrade', (req, socket, head) => {
+    handleUpgrade(req, socket, head).catch((error) => {
+      logger.error(`Stream gateway upgrade error: ${error.message}`);
+      socket.destroy();
+    });
+  });
+
+  logger.info('Stream gateway initialized on /stream (SignalWire), /stream/monitor, /stream/harness and /stream/listen');
+  return wss;
+};
+
+/**
+ * Sessions a workspace can see
+ * @param {string} [workspaceId] - Workspace to filter by; all sessions when left out
+ * @returns {Array} SignalWire sessions, described
+ */
+const listSessions = (workspaceId) => Array.from(sessions.values())
+  .filter(session => session.protocol === PROTOCOLS.SIGNALWIRE)
+  .filter(session => workspaceId === undefined || session.workspaceId === workspaceId)
+  .map(describeSession);
+
+/**
+ * The SignalWire session streaming a call
+ * @param {string} callSid - Call SID
+ * @returns {Object|null}
+ */
+const getCallSession = (callSid) => Array.from(sessions.values())
+  .find(session => session.protocol === PROTOCOLS.SIGNALWIRE && session.callSid === callSid) || null;
+
+/**
+ * Shared gateway metrics
+ * With a workspace, only that workspace's live sessions are counted; the gateway-wide
+ * counters span every workspace, so they are left out.
+ * @param {string} [workspaceId] - Workspace to restrict to
+ * @returns {Object}
+ */
+const getMetrics = (workspaceId) => {
+  const active = { signalwire: 0, monitor: 0, harness: 0, listen: 0 };
+
+  if (workspaceId !== undefined) {
+    let messagesIn = 0;
+    let bytesIn = 0;
+    sessions.forEach((session) => {
+      if (session.workspaceId !== workspaceId) {
+        return;
+      }
+      active[session.protocol]++;
+      messagesIn += session.messagesIn;
+      bytesIn += session.bytesIn;
+    });
+    return { active, messagesIn, bytesIn };
+  }
+
+  sessions.forEach((session) => {
+    active[session.protocol]++;
+  });
+
+  return {
+    ...gatewayMetrics,
+    connections: { ...gatewayMetrics.connections },
+    rejected: { ...gatewayMetrics.rejected },
+    active,
+    uptimeSeconds: Math.floor((Date.now() - gatewayMetrics.startedAt) / 1000)
+  };
+};
+
+/**
+ * Clean up all sessions on server shutdown
+ * @returns {Promise<boolean>}
+ */
+const closeAllSessions = async () => {
+  logger.info(`Cleaning up ${sessions.size} stream gateway sessions on shutdown`);
+
+  try {
+    await Promise.all(Array.from(sessions.keys()).map((sessionId) => {
+      let timer;
+      return Promise.race([
+        closeSession(sessionId),
+        new Promise(resolve => { timer = setTimeout(resolve, 3000); }) // 3 second timeout
+      ]).finally(() => clearTimeout(timer));
+    }));
+
+    logger.info('All stream gateway sessions cleaned up successfully');
+    return true;
+  } catch (error) {
+    logger.error(`Error cleaning up stream gateway sessions: ${error.message}`);
+    return false;
+  }
+};
+
+/**
+ * Register graceful shutdown handlers
+ */
+const registerShutdownHandlers = () => {
+  ['SIGINT', 'SIGTERM', 'SIGQUIT'].forEach(signal => {
+    process.on(signal, async () => {
+      logger.info(`${signal} received. Cleaning up stream gateway sessions before exit...`);
+      await closeAllSessions();
+      logger.info('Stream gateway shutdown complete');
+    });
+  });
+};
+
+module.exports = {
+  PROTOCOLS,
+  StreamAuthError,
+  createStreamToken,
+  verifyStreamToken,
+  createListenToken,
+  verifyListenToken,
+  buildStreamUrl,
+  createStreamingTwiML,
+  routeFor,
+  authenticate,
+  handleUpgrade,
+  initializeStreamGateway,
+  openSession,
+  closeSession,
+  listSessions,
+  getCallSession,
+  getMetrics,
+  closeAllSessions,
+  registerShutdownHandlers
+};
@@ -0,0 +1,260 @@
+/**
+ * Workspace Service
+ * Manages tenants and resolves the SignalWire/ElevenLabs credentials each one calls with
+ */
+const db = require('../models');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+const DEFAULT_WORKSPACE_SLUG = 'default';
+
+// Models whose rows predate workspaces and get adopted by the default workspace
+const SCOPED_MODELS = ['User', 'Campaign', 'Contact', 'CallLog', 'CallQueue', 'CallRecording', 'AgentConfig'];
+
+// Credential fields an admin may set, per provider
+const SIGNALWIRE_FIELDS = ['projectId', 'spaceUrl', 'apiToken'];
+const ELEVENLABS_FIELDS = ['apiKey'];
+
+/**
+ * Turn a workspace name into a unique URL-safe slug
+ */
+const generateSlug = async (name) => {
+  const base = String(name)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 40) || 'workspace';
+
+  let slug = base;
+  let suffix = 1;
+  while (await db.Workspace.count({ where: { slug } })) {
+    suffix += 1;
+    slug = `${base}-${suffix}`;
+  }
+  return slug;
+};
+
+/**
+ * Copy only known credential fields, dropping blanks so a partial update keeps existing values
+ */
+const pickCredentials = (source, fields, existing = {}) => {
+  const result = { ...(existing || {}) };
+  fields.forEach(field => {
+    if (source[field] !== undefined && source[field] !== '') {
+      result[field] = source[field];
+    }
+  });
+  return result;
+};
+
+/**
+ * Get the default workspace, creating it on first boot
+ * @returns {Promise<Object>} Workspace instance
+ */
+const ensureDefaultWorkspace = async () => {
+  const [workspace, created] = await db.Workspace.findOrCreate({
+    where: { slug: DEFAULT_WORKSPACE_SLUG },
+    defaults: {
+      name: 'Default Workspace',
+      isDefault: true
+    }
+  });
+
+  if (created) {
+    logger.info(`Created default workspace ${workspace.id}`);
+  }
+
+  return workspace;
+};
+
+/**
+ * Assign rows created before workspaces existed to the default workspace
+ * @param {string} workspaceId - Default workspace ID
+ */
+const backfillWorkspace = async (workspaceId) => {
+  for (const modelName of SCOPED_MODELS) {
+    const [count] = await db[modelName].update(
+      { workspaceId },
+      { where: { workspaceId: null } }
+    );
+    if (count > 0) {
+      logger.info(`Assigned ${count} ${modelName} rows to default workspace`);
+    }
+  }
+
+  const [conversations] = await db.Conversation.update(
+    { workspace_id: workspaceId },
+    { where: { workspace_id: null } }
+  );
+  if (conversations > 0) {
+    logger.info(`Assigned ${conversations} Conversation rows to default workspace`);
+  }
+};
+
+/**
+ * Create a new workspace
+ * @param {Object} data - name plus optional credentials/settings
+ * @returns {Promise<Object>} Created workspace
+ */
+const createWorkspace = async (data) => {
+  const workspace = await db.Workspace.create({
+    name: data.name,
+    slug: await generateSlug(data.name),
+    signalWireCredentials: pickCredentials(data.signalWireCredentials || {}, SIGNALWIRE_FIELDS),
+    elevenLabsCredentials: pickCredentials(data.elevenLabsCredentials || {}, ELEVENLABS_FIELDS),
+    settings: data.settings || {}
+  });
+
+  logger.info(`Created workspace ${workspace.id} (${workspace.slug})`);
+  return workspace;
+};
+
+/**
+ * Get a workspace by ID
+ * @param {string} id - Workspace ID
+ * @returns {Promise<Object|null>} Workspace or null
+ */
+const getWorkspaceById = async (id) => {
+  if (!id) {
+    return null;
+  }
+  return db.Workspace.findByPk(id);
+};
+
+/**
+ * Check whether a workspace is the default one (which owns the global credentials)
+ * @param {string} workspaceId - Workspace ID
+ * @returns {Promise<boolean>}
+ */
+const isDefaultWorkspace = async (workspaceId) => {
+  const workspace = await getWorkspaceById(workspaceId);
+  return !!workspace && workspace.isDefault;
+};
+
+/**
+ * Work out which workspace a call belongs to, for webhooks that carry no user context
+ * @param {Object} ids - { callSid, campaignId }
+ * @returns {Promise<string|null>} Workspace ID or null if the call is unknown
+ */
+const resolveWorkspaceForCall = async ({ callSid, campaignId } = {}) => {
+  if (campaignId) {
+    const campaign = await db.Campaign.findByPk(campaignId, { attributes: ['id', 'workspaceId'] });
+    if (campaign && campaign.workspaceId) {
+      return campaign.workspaceId;
+    }
+  }
+
+  if (callSid) {
+    const callLog = await db.CallLog.findOne({
+      where: { callSid },
+      attributes: ['id', 'workspaceId']
+    });
+    if (callLog && callLog.workspaceId) {
+      return callLog.workspaceId;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Update a workspace's name, settings or credentials
+ * Credential objects are merged so secrets can be left out of the request
+ * @param {string} id - Workspace ID
+ * @param {Object} data - Fields to update
+ * @returns {Promise<Object|null>} Updated workspace or null if not found
+ */
+const updateWorkspace = async (id, data) => {
+  const workspace = await db.Workspace.findByPk(id);
+
+  if (!workspace) {
+    return null;
+  }
+
+  const updates = {};
+  if (data.name !== undefined) {
+    updates.name = data.name;
+  }
+  if (data.settings !== undefined) {
+    updates.settings = { ...workspace.settings, ...data.settings };
+  }
+  if (data.signalWireCredentials) {
+    updates.signalWireCredentials = pickCredentials(
+      data.signalWireCredentials, SIGNALWIRE_FIELDS, workspace.signalWireCredentials
+    );
+  }
+  if (data.elevenLabsCredentials) {
+    updates.elevenLabsCredentials = pickCredentials(
+      data.elevenLabsCredentials, ELEVENLABS_FIELDS, workspace.elevenLabsCredentials
+    );
+  }
+
+  await workspace.update(updates);
+
+  logger.info(`Updated workspace ${id}`);
+  return workspace;
+};
+
+/**
+ * Resolve the SignalWire credentials for a workspace
+ * Only the default workspace may fall back to the global environment config,
+ * so a tenant without credentials can never place calls on someone else's account.
+ * @param {string} workspaceId - Workspace ID (null means the default workspace)
+ * @returns {Promise<Object|null>} { projectId, spaceUrl, apiToken } or null
+ */
+const getSignalWireCredentials = async (workspaceId) => {
+  const workspace = workspaceId
+    ? await db.Workspace.findByPk(workspaceId)
+    : await ensureDefaultWorkspace();
+
+  if (!workspace) {
+    return null;
+  }
+
+  const own = workspace.signalWireCredentials || {};
+  if (own.projectId && own.apiToken) {
+    return pickCredentials(own, SIGNALWIRE_FIELDS);
+  }
+
+  if (workspace.isDefault) {
+    return pickCredentials(config.signalWire, SIGNALWIRE_FIELDS);
+  }
+
+  return null;
+};
+
+/**
+ * Resolve the ElevenLabs API key for a workspace
+ * Falls back to the global key for the default workspace only
+ * @param {string} workspaceId - Workspace ID (null means the default workspace)
+ * @returns {Promise<string|null>} API key or null
+ */
+const getElevenLabsApiKey = async (workspaceId) => {
+  const workspace = workspaceId
+    ? await db.Workspace.findByPk(workspaceId)
+    : await ensureDefaultWorkspace();
+
+  if (!workspace) {
+    return null;
+  }
+
+  const own = workspace.elevenLabsCredentials || {};
+  if (own.apiKey) {
+    return own.apiKey;
+  }
+
+  return workspace.isDefault ? config.elevenLabs.apiKey : null;
+};
+
+module.exports = {
+  DEFAULT_WORKSPACE_SLUG,
+  ensureDefaultWorkspace,
+  backfillWorkspace,
+  createWorkspace,
+  getWorkspaceById,
+  isDefaultWorkspace,
+  resolveWorkspaceForCall,
+  updateWorkspace,
+  getSignalWireCredentials,
+  getElevenLabsApiKey
+};
@@ -1,6 +1,7 @@
 /**
  * API Endpoints Integration Test
- * Tests the REST API endpoints for contacts, call logs, and agent configuration
+ * Tests the REST API endpoints for contacts, call logs, and agent configuration,
+ * and that another workspace's records stay out of reach
  */
 
 require('dotenv').config({ path: '.env.test' });
@@ -11,6 +12,7 @@ const db = require('../../models');
 const fs = require('fs');
 const path = require('path');
 const logger = require('../../utils/logger');
+const authService = require('../../services/auth.service');
 const cors = require('cors');
 const helmet = require('helmet');
 
@@ -53,6 +55,15 @@ app.use((req, res, next) => {
   next();
 });
 
+// Authenticate every request as the test admin created in beforeAll
+let authToken;
+app.use((req, res, next) => {
+  if (authToken && !req.headers.authorization) {
+    req.headers.authorization = `Bearer ${authToken}`;
+  }
+  next();
+});
+
 // Register routes
 app.use('/api', routes);
 
@@ -108,6 +119,7 @@ describe('API Endpoints', () => {
   };
 
   let contactId, agentId, callLogId, recordingId;
+  let workspaceId, otherContactId, otherCallLogId;
 
   // Before all tests, ensure DB is connected
   beforeAll(async () => {
@@ -139,6 +151,35 @@ describe('API Endpoints', () => {
         }
       }
       
+      // Create a test workspace with its admin, and issue an access token for the requests below
+      try {
+        await db.Workspace.sync();
+        await db.User.sync();
+        const [workspace] = await db.Workspace.findOrCreate({
+          where: { slug: 'api-test' },
+          defaults: { name: 'API Test' }
+        });
+        workspaceId = workspace.id;
+
+        const [admin] = await db.User.findOrCreate({
+          where: { email: 'api-test-admin@example.com' },
+          defaults: {
+            firstName: 'API',
+            lastName: 'Tester',
+            password: 'test-password-123',
+            role: 'admin',
+            workspaceId
+          }
+        });
+        if (admin.workspaceId !== workspaceId) {
+          await admin.update({ workspaceId });
+        }
+        authToken = authService.issueTokens(admin).token;
+        logger.info(`Authenticated as test admin ${admin.id} of workspace ${workspaceId}`);
+      } catch (e) {
+        logger.error(`Failed to create test admin: ${e.message}`);
+      }
+      
       // Clear test data with better error handling
       try {
         await db.Contact.destroy({ where: {} });
@@ -161,9 +202,40 @@ describe('API Endpoints', () => {
         logger.error(`Failed to clear CallLog data: ${e.message}`);
       }
       
+      // Create records in another workspace that the test admin must never see
+      try {
+        const [otherWorkspace] = await db.Workspace.findOrCreate({
+          where: { slug: 'api-test-other' },
+          defaults: { name: 'API Test Other' }
+        });
+        const otherContact = await db.Contact.create({
+          workspaceId: otherWorkspace.id,
+          firstName: 'Other',
+          lastName: 'Tenant',
+          phone: '+15550001111'
+        });
+        otherContactId = otherContact.id;
+        const otherCallLog = await db.CallLog.create({
+          workspaceId: otherWorkspace.id,
+          callSid: 'TEST-OTHER-WORKSPACE-CALL-SID',
+          from: '+15550001111',
+          to: '+15559876543',
+          direction: 'outbound',
+          status: 'completed',
+          duration: 30,
+          timestamp: new Date()
+        });
+        otherCallLogId = otherCallLog.id;
+        logger.info(`Created other workspace records: contact ${otherContactId}, call log ${otherCallLogId}`);
+      } catch (e) {
+        logger.error(`Failed to create other workspace records: ${e.message}`);
+        logger.error(e.stack);
+      }
+      
       // Create test agent for testing with better error handling
       try {
         const agent = await db.AgentConfig.create({
+          workspaceId,
           agentId: 'test-agent-id',
           name: 'Existing Test Agent',
           description: 'For testing',
@@ -179,12 +251,13 @@ describe('API Endpoints', () => {
       
       // Find existing call log or create a new one
       try {
-        // First try to find an existing call log
-        let callLog = await db.CallLog.findOne();
+        // First try to find an existing call log of the test workspace
+        let callLog = await db.CallLog.findOne({ where: { workspaceId } });
         
         // If no call log exists, create one
         if (!callLog) {
           callLog = await db.CallLog.create({
+            workspaceId,
             callSid: 'TEST-CALL-SID-12345',
             from: '+15551234567',
             to: '+15559876543',
@@ -209,7 +282,7 @@ describe('API Endpoints', () => {
       // Create test call recording with better error handling
       try {
         await db.CallRecording.sync({ force: false }); // Ensure table exists
-        const recording = await db.CallRecording.create(testCallRecording);
+        const recording = await db.CallRecording.create({ ...testCallRecording, workspaceId });
         recordingId = recording.id;
         logger.info(`Created test call recording with ID: ${recordingId}`);
       } catch (e) {
@@ -251,6 +324,15 @@ describe('API Endpoints', () => {
       expect(response.body.success).toBe(true);
       expect(Array.isArray(response.body.contacts)).toBe(true);
       expect(response.body.contacts.length).toBeGreaterThan(0);
+      expect(response.body.contacts.map(contact => contact.id)).not.toContain(otherContactId);
+    });
+
+    test('GET /api/contacts/:contactId - Hide another workspace\'s contact', async () => {
+      const response = await request(app)
+        .get(`/api/contacts/${otherContactId}`)
+        .set('Accept', 'application/json');
+
+      expect(response.status).toBe(404);
     });
 
     test('GET /api/contacts/:contactId - Get contact by ID', async () => {
@@ -303,6 +385,15 @@ describe('API Endpoints', () => {
       expect(response.body).toHaveProperty('calls');
       expect(response.body).toHaveProperty('count');
       expect(response.body).toHaveProperty('currentPage');
+      expect(response.body.calls.map(call => call.id)).not.toContain(otherCallLogId);
+    });
+
+    test('GET /api/calls/:id - Hide another workspace\'s call', async () => {
+      const response = await request(app)
+        .get(`/api/calls/${otherCallLogId}`)
+        .set('Accept', 'application/json');
+
+      expect(response.status).toBe(404);
     });
 
     test('GET /api/calls/:id - Get call details by ID', async () => {
@@ -474,6 +565,7 @@ describe('API Endpoints', () => {
         
         // Create test CallLog record
         const testCallLog = await db.CallLog.create({
+          workspaceId,
           callSid: 'TEST-NEW-CALL-SID',
           direction: 'outbound',
           from: '+15551234567',
@@ -544,6 +636,7 @@ describe('API Endpoints', () => {
         
         // Create the CallLog record first
         const testCallLog = await db.CallLog.create({
+          workspaceId,
           callSid: 'TEST-RECORDING-CALL-SID',
           direction: 'outbound',
           from: '+15551234567',
@@ -555,6 +648,7 @@ describe('API Endpoints', () => {
         
         // Then create our test recording
         const testStopRecording = await db.CallRecording.create({
+          workspaceId,
           callSid: 'TEST-RECORDING-CALL-SID',
           recordingSid: 'TEST-RECORDING-SID-STOP',
           status: 'in-progress',
@@ -577,7 +671,7 @@ describe('API Endpoints', () => {
       expect(response.status).toBe(200);
       expect(response.body.success).toBe(true);
       expect(response.body).toHaveProperty('message');
-      expect(mockStopRecording).toHaveBeenCalledWith('TEST-RECORDING-CALL-SID', 'TEST-RECORDING-SID-STOP');
+      expect(mockStopRecording).toHaveBeenCalledWith('TEST-RECORDING-CALL-SID', workspaceId);
 
       // Clean up test recording
       if (testStopRecordingId) {
@@ -590,6 +684,7 @@ describe('API Endpoints', () => {
       let deleteRecordingId;
       try {
         const recordingToDelete = await db.CallRecording.create({
+          workspaceId,
           callSid: 'TEST-DELETE-CALL-SID',
           recordingSid: 'TEST-DELETE-RECORDING-SID',
           status: 'completed',
@@ -22,7 +22,7 @@ if (process.env.TEST_MOCK_MODE === 'true') {
 } else {
   campaignSchedulerService = require('../../services/campaign-scheduler.service');
 }
-const mediaStreamService = require('../../services/media-stream.service');
+const streamGatewayService = require('../../services/stream-gateway.service');
 const callEventsService = require('../../services/call-events.service');
 const logger = require('../../utils/logger');
 
@@ -309,7 +309,7 @@ async function testCampaignScheduler() {
     
     // Wait a moment and get status
     await sleep(2000);
-    const statusResult = campaignSchedulerService.getCampaignStatus(config.testCampaignId);
+    const statusResult = await campaignSchedulerService.getCampaignStatus(config.testCampaignId);
     
     if (!statusResult.isRunning) {
       throw new Error('Campaign not running after start');
@@ -320,7 +320,7 @@ async function testCampaignScheduler() {
     console.log(`  - Batch size: ${statusResult.settings.batchSize}`);
     
     // Test pausing
-    const pauseResult = campaignSchedulerService.pauseCampaign(config.testCampaignId);
+    const pauseResult = await campaignSchedulerService.pauseCampaign(config.testCampaignId);
     
     if (pauseResult.status !== 'paused') {
       throw new Error(`Failed to pause campaign: ${pauseResult.status}`);
@@ -467,7 +467,7 @@ async function testMediaStreaming() {
     
     // Test TwiML generation for streaming
     const mockCallSid = `TEST${Date.now()}`;
-    const twiml = mediaStreamService.createStreamingTwiML(mockCallSid);
+    const twiml = streamGatewayService.createStreamingTwiML(mockCallSid);
     
     if (!twiml.includes('<Stream')) {
       throw new Error('Failed to generate streaming TwiML');
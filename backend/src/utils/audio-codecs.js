@@ -167,9 +167,63 @@ function decodeALaw(buffer) {
   return decoder.decode(buffer);
 }
 
+/**
+ * Encode 16-bit PCM to μ-law (G.711)
+ * @param {Buffer} buffer - 16-bit little-endian PCM audio buffer
+ * @returns {Buffer} - μ-law encoded audio buffer
+ */
+function encodeULaw(buffer) {
+  const BIAS = 0x84;
+  const CLIP = 32635;
+  const output = Buffer.alloc(buffer.length >> 1);
+  
+  for (let i = 0; i < output.length; i++) {
+    let sample = buffer.readInt16LE(i * 2);
+    const sign = sample < 0 ? 0x80 : 0;
+    if (sign) sample = -sample;
+    if (sample > CLIP) sample = CLIP;
+    sample += BIAS;
+    
+    let exponent = 7;
+    for (let mask = 0x4000; (sample & mask) === 0 && exponent > 0; mask >>= 1) {
+      exponent--;
+    }
+    const mantissa = (sample >> (exponent + 3)) & 0x0f;
+    output[i] = ~(sign | (exponent << 4) | mantissa) & 0xff;
+  }
+  
+  return output;
+}
+
+/**
+ * Resample 16-bit mono PCM (nearest neighbour)
+ * @param {Buffer} buffer - 16-bit little-endian PCM audio buffer
+ * @param {number} fromRate - Source sample rate
+ * @param {number} toRate - Target sample rate
+ * @returns {Buffer} - Resampled audio buffer
+ */
+function resamplePcm(buffer, fromRate, toRate) {
+  if (fromRate === toRate) {
+    return buffer;
+  }
+  
+  const inputSamples = buffer.length >> 1;
+  const outputSamples = Math.floor(inputSamples * toRate / fromRate);
+  const output = Buffer.alloc(outputSamples * 2);
+  
+  for (let i = 0; i < outputSamples; i++) {
+    const source = Math.min(inputSamples - 1, Math.floor(i * fromRate / toRate));
+    output.writeInt16LE(buffer.readInt16LE(source * 2), i * 2);
+  }
+  
+  return output;
+}
+
 module.exports = {
   ULawDecoder,
   ALawDecoder,
   decodeULaw,
-  decodeALaw
+  decodeALaw,
+  encodeULaw,
+  resamplePcm
 };
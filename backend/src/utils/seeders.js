@@ -4,11 +4,26 @@
 
 const db = require('../models');
 const logger = require('./logger');
+const workspaceService = require('../services/workspace.service');
+
+/**
+ * Make sure the default workspace exists and owns any pre-workspace data
+ */
+const seedDefaultWorkspace = async () => {
+  try {
+    const workspace = await workspaceService.ensureDefaultWorkspace();
+    await workspaceService.backfillWorkspace(workspace.id);
+    return workspace;
+  } catch (error) {
+    logger.error(`Error seeding default workspace: ${error.message}`);
+    return null;
+  }
+};
 
 /**
  * Seed a sample campaign for testing
  */
-const seedCampaigns = async () => {
+const seedCampaigns = async (workspace) => {
   try {
     const count = await db.Campaign.count();
     
@@ -22,6 +37,7 @@ const seedCampaigns = async () => {
       
       await db.Campaign.create({
         id: `camp-${Date.now()}`,
+        workspaceId: workspace ? workspace.id : null,
         name: 'Welcome Campaign',
         description: 'Initial welcome campaign for new contacts',
         status: 'active',
@@ -61,7 +77,8 @@ const seedCampaigns = async () => {
  */
 const runSeeders = async () => {
   try {
-    await seedCampaigns();
+    const workspace = await seedDefaultWorkspace();
+    await seedCampaigns(workspace);
     logger.info('All seeders completed successfully');
     return true;
   } catch (error) {
@@ -71,6 +88,7 @@ const runSeeders = async () => {
 };
 
 module.exports = {
+  seedDefaultWorkspace,
   seedCampaigns,
   runSeeders
 };
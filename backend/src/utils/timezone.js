@@ -0,0 +1,331 @@
+/**
+ * Timezone Utilities
+ * IANA timezone validation, local-time lookup and inference from phone numbers
+ */
+
+// NANP area codes (US, Canada, territories, Caribbean) grouped by timezone.
+// Area codes that straddle a boundary are listed under the zone most of their subscribers are in.
+const AREA_CODES_BY_TIMEZONE = {
+  'America/New_York': [
+    // CT, DE, DC, FL, GA, ME, MD, MA, NH, NJ, NY, NC, OH, PA, RI, SC, TN (east), VT, VA, WV
+    '203', '475', '860', '959', '302', '202', '771',
+    '239', '305', '321', '352', '386', '407', '561', '656', '689', '727', '754', '772', '786', '813',
+    '863', '904', '941', '954',
+    '229', '404', '470', '478', '678', '706', '762', '770', '912', '943',
+    '207', '227', '240', '301', '410', '443', '667',
+    '339', '351', '413', '508', '617', '774', '781', '857', '978',
+    '603', '201', '551', '609', '640', '732', '848', '856', '862', '908', '973',
+    '212', '315', '332', '347', '363', '516', '518', '585', '607', '631', '646', '680', '716', '718',
+    '838', '845', '914', '917', '929', '934',
+    '252', '336', '704', '743', '828', '910', '919', '980', '984',
+    '216', '220', '234', '326', '330', '380', '419', '436', '440', '513', '567', '614', '740', '937',
+    '215', '223', '267', '272', '412', '445', '484', '570', '582', '610', '717', '724', '814', '835', '878',
+    '401', '803', '839', '843', '854', '864', '423', '865', '802',
+    '276', '434', '540', '571', '703', '757', '804', '826', '948', '304', '681'
+  ],
+  'America/Detroit': [
+    '231', '248', '269', '313', '517', '586', '616', '679', '734', '810', '906', '947', '989'
+  ],
+  'America/Indiana/Indianapolis': ['260', '317', '463', '574', '765', '812', '930'],
+  'America/Kentucky/Louisville': ['502', '606', '859'],
+  'America/Toronto': [
+    // ON, QC
+    '226', '249', '289', '343', '365', '382', '416', '437', '519', '548', '613', '647', '683', '705',
+    '742', '753', '807', '905',
+    '263', '354', '367', '418', '438', '450', '468', '514', '579', '581', '819', '873'
+  ],
+  'America/Halifax': ['428', '506', '782', '902'],
+  'America/St_Johns': ['709', '879'],
+  'America/Puerto_Rico': ['787', '939'],
+  'America/St_Thomas': ['340'],
+  'America/Chicago': [
+    // AL, AR, IL, IA, KS, LA, MN, MS, MO, NE, ND, OK, SD, TN (west), TX, WI, KY (west), IN (northwest), FL (panhandle)
+    '205', '251', '256', '334', '659', '938',
+    '327', '479', '501', '870',
+    '217', '224', '309', '312', '331', '447', '464', '618', '630', '708', '730', '773', '779', '815',
+    '847', '861', '872',
+    '319', '515', '563', '641', '712', '316', '620', '785', '913',
+    '225', '318', '337', '457', '504', '985',
+    '218', '320', '507', '612', '651', '763', '924', '952',
+    '228', '601', '662', '769',
+    '235', '314', '417', '557', '573', '636', '660', '816', '975',
+    '308', '402', '531', '701', '405', '539', '572', '580', '918', '605',
+    '615', '629', '731', '901', '931',
+    '210', '214', '254', '281', '325', '346', '361', '409', '430', '432', '469', '512', '682', '713',
+    '726', '737', '806', '817', '830', '832', '903', '936', '940', '945', '956', '972', '979',
+    '262', '274', '353', '414', '534', '608', '715', '920',
+    '270', '364', '219', '448', '850'
+  ],
+  'America/Winnipeg': ['204', '431', '584'],
+  'America/Regina': ['306', '474', '639'],
+  'America/Denver': [
+    // CO, MT, NM, UT, WY, TX (El Paso)
+    '303', '719', '720', '970', '983', '406', '505', '575', '385', '435', '801', '307', '915'
+  ],
+  'America/Boise': ['208', '986'],
+  'America/Phoenix': ['480', '520', '602', '623', '928'],
+  'America/Edmonton': ['368', '403', '587', '780', '825'],
+  'America/Los_Angeles': [
+    // CA, NV, OR, WA
+    '209', '213', '279', '310', '323', '341', '350', '369', '408', '415', '424', '442', '510', '530',
+    '559', '562', '619', '626', '628', '650', '657', '661', '669', '707', '714', '747', '760', '805',
+    '818', '820', '831', '837', '840', '858', '909', '916', '925', '949', '951',
+    '702', '725', '775', '458', '503', '541', '971', '206', '253', '360', '425', '509', '564'
+  ],
+  'America/Vancouver': ['236', '250', '257', '604', '672', '778'],
+  'America/Anchorage': ['907'],
+  'Pacific/Honolulu': ['808'],
+  'Pacific/Guam': ['671'],
+  'Pacific/Saipan': ['670'],
+  'Pacific/Pago_Pago': ['684'],
+  'America/Nassau': ['242'],
+  'America/Barbados': ['246'],
+  'Atlantic/Bermuda': ['441'],
+  'America/Jamaica': ['658', '876'],
+  'America/Santo_Domingo': ['809', '829', '849'],
+  'America/Port_of_Spain': ['868']
+};
+
+// Non-NANP country calling codes. Countries spanning several zones map to their most populous one.
+const COUNTRY_CODE_TIMEZONES = {
+  '7': 'Europe/Moscow',
+  '27': 'Africa/Johannesburg',
+  '30': 'Europe/Athens',
+  '31': 'Europe/Amsterdam',
+  '32': 'Europe/Brussels',
+  '33': 'Europe/Paris',
+  '34': 'Europe/Madrid',
+  '39': 'Europe/Rome',
+  '41': 'Europe/Zurich',
+  '43': 'Europe/Vienna',
+  '44': 'Europe/London',
+  '45': 'Europe/Copenhagen',
+  '46': 'Europe/Stockholm',
+  '47': 'Europe/Oslo',
+  '48': 'Europe/Warsaw',
+  '49': 'Europe/Berlin',
+  '51': 'America/Lima',
+  '52': 'America/Mexico_City',
+  '54': 'America/Argentina/Buenos_Aires',
+  '55': 'America/Sao_Paulo',
+  '56': 'America/Santiago',
+  '57': 'America/Bogota',
+  '61': 'Australia/Sydney',
+  '63': 'Asia/Manila',
+  '64': 'Pacific/Auckland',
+  '65': 'Asia/Singapore',
+  '81': 'Asia/Tokyo',
+  '82': 'Asia/Seoul',
+  '86': 'Asia/Shanghai',
+  '91': 'Asia/Kolkata',
+  '234': 'Africa/Lagos',
+  '254': 'Africa/Nairobi',
+  '351': 'Europe/Lisbon',
+  '353': 'Europe/Dublin',
+  '358': 'Europe/Helsinki',
+  '852': 'Asia/Hong_Kong',
+  '971': 'Asia/Dubai',
+  '972': 'Asia/Jerusalem'
+};
+
+// Flatten to areaCode -> timezone once at load time
+const AREA_CODE_TIMEZONES = Object.entries(AREA_CODES_BY_TIMEZONE).reduce((acc, [timezone, codes]) => {
+  codes.forEach(code => {
+    acc[code] = timezone;
+  });
+  return acc;
+}, {});
+
+/**
+ * Check whether a string is a valid IANA timezone name
+ * @param {string} timezone - e.g. 'America/Chicago'
+ * @returns {boolean}
+ */
+const isValidTimezone = (timezone) => {
+  if (!timezone || typeof timezone !== 'string') {
+    return false;
+  }
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Minutes since local midnight for an instant in a timezone
+ * @param {Date} date - Instant to convert
+ * @param {string} timezone - IANA timezone
+ * @returns {number} 0-1439
+ */
+const getLocalMinutes = (date, timezone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+
+  const hour = parseInt(parts.find(part => part.type === 'hour').value, 10);
+  const minute = parseInt(parts.find(part => part.type === 'minute').value, 10);
+  return (hour % 24) * 60 + minute;
+};
+
+/**
+ * Local day of the week for an instant in a timezone
+ * @param {Date} date - Instant to convert
+ * @param {string} timezone - IANA timezone
+ * @returns {number} 0 (Sunday) - 6 (Saturday)
+ */
+const getLocalDay = (date, timezone) => {
+  const weekday = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    weekday: 'short'
+  }).format(date);
+
+  return ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(weekday);
+};
+
+/**
+ * Local calendar date for an instant in a timezone
+ * @param {Date} date - Instant to convert
+ * @param {string} timezone - IANA timezone
+ * @returns {string} 'YYYY-MM-DD'
+ */
+const getLocalDate = (date, timezone) => {
+  // en-CA formats dates as YYYY-MM-DD
+  return new Intl.DateTimeFormat('en-CA', {
+    timeZone: timezone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  }).format(date);
+};
+
+/**
+ * Instant at which a timezone's wall clock shows a local date and time
+ * Times skipped by a DST change resolve to the same wall time after it.
+ * @param {string} localDateTime - 'YYYY-MM-DDTHH:MM'
+ * @param {string} timezone - IANA timezone
+ * @returns {Date|null} Null when the value is not a local date and time
+ */
+const fromLocalDateTime = (localDateTime, timezone) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})$/.exec(String(localDateTime || '').trim());
+  if (!match) {
+    return null;
+  }
+
+  const [year, month, day, hour, minute] = match.slice(1).map(value => parseInt(value, 10));
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+  if (new Date(wallClock).getUTCDate() !== day || hour > 23 || minute > 59) {
+    return null;
+  }
+
+  // Offset of the zone at an instant, in ms, as shown by its wall clock
+  const offsetAt = (instant) => {
+    const parts = new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }).formatToParts(new Date(instant)).reduce((acc, part) => ({ ...acc, [part.type]: parseInt(part.value, 10) }), {});
+    return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour % 24, parts.minute) - instant;
+  };
+
+  // Guess with the offset at the wall time, then correct once for a DST change in between
+  const guess = wallClock - offsetAt(wallClock);
+  const corrected = wallClock - offsetAt(guess);
+  // In a skipped hour neither offset fits; the later candidate is that wall time after the change
+  return new Date(offsetAt(corrected) === offsetAt(guess) ? corrected : Math.max(guess, corrected));
+};
+
+/**
+ * Read a date and time given either on a zone's wall clock or with an explicit offset
+ * Local times ('2026-10-20T15:00') are in the timezone; times with an offset or Z are taken as is.
+ * @param {string} value - Date and time
+ * @param {string} timezone - IANA timezone of local times
+ * @returns {Date|null} Null when the value is not a date and time
+ */
+const parseDateTimeInZone = (value, timezone) => {
+  const local = fromLocalDateTime(value, timezone);
+  if (local) {
+    return local;
+  }
+
+  const text = String(value || '').trim();
+  if (!/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})$/.test(text)) {
+    return null;
+  }
+  const date = new Date(text);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * A time as a person reads it on their own clock, e.g. 'Tuesday, October 20 at 3:00 PM'
+ * @param {Date} date - Instant
+ * @param {string} timezone - IANA timezone
+ * @returns {string}
+ */
+const describeLocalTime = (date, timezone) => {
+  const day = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    weekday: 'long',
+    month: 'long',
+    day: 'numeric'
+  }).format(date);
+  const time = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hour: 'numeric',
+    minute: '2-digit'
+  }).format(date);
+  return `${day} at ${time}`;
+};
+
+/**
+ * Infer a timezone from a phone number's NANP area code or country calling code
+ * @param {string} phone - Phone number, ideally E.164 (+15551234567)
+ * @returns {string|null} IANA timezone, or null if unknown
+ */
+const inferTimezoneFromPhone = (phone) => {
+  if (!phone) {
+    return null;
+  }
+
+  const hasPlus = String(phone).trim().startsWith('+');
+  const digits = String(phone).replace(/\D/g, '');
+
+  // NANP: +1 NXX NXX XXXX, or a bare 10-digit national number
+  if ((digits.length === 11 && digits.startsWith('1')) || (!hasPlus && digits.length === 10)) {
+    const areaCode = digits.length === 11 ? digits.slice(1, 4) : digits.slice(0, 3);
+    return AREA_CODE_TIMEZONES[areaCode] || null;
+  }
+
+  if (!hasPlus) {
+    return null;
+  }
+
+  // Country codes are 1-3 digits and prefix-free, so the first match wins
+  for (const length of [1, 2, 3]) {
+    const timezone = COUNTRY_CODE_TIMEZONES[digits.slice(0, length)];
+    if (timezone) {
+      return timezone;
+    }
+  }
+
+  return null;
+};
+
+module.exports = {
+  isValidTimezone,
+  getLocalMinutes,
+  getLocalDay,
+  getLocalDate,
+  fromLocalDateTime,
+  parseDateTimeInZone,
+  describeLocalTime,
+  inferTimezoneFromPhone
+};
@@ -0,0 +1,128 @@
+/**
+ * Voice Activity Detector
+ * Energy-based endpointer for 16-bit PCM call audio: finds where the caller starts speaking
+ * and where an utterance ends, so a turn can be handed to speech-to-text without waiting.
+ */
+
+const DEFAULT_OPTIONS = {
+  sampleRate: 16000,
+  // Length of the frames energy is measured over
+  frameMs: 20,
+  // Voiced frames needed before speech counts as started (filters clicks and line noise)
+  speechStartMs: 60,
+  // Silence after speech that ends the utterance
+  endSilenceMs: 700,
+  // Utterances are cut here even if the caller keeps talking
+  maxUtteranceMs: 15000,
+  // A frame is voiced when its RMS is this many times the noise floor...
+  energyRatio: 3,
+  // ...and at least this loud (about -40 dBFS)
+  minRms: 300
+};
+
+// Barge-in presets: how long and how loud the caller must talk over the agent to cut it off
+const SENSITIVITY_PRESETS = {
+  low: { speechStartMs: 400, energyRatio: 5, minRms: 600, endSilenceMs: 300 },
+  medium: { speechStartMs: 200, energyRatio: 4, minRms: 400, endSilenceMs: 300 },
+  high: { speechStartMs: 100, energyRatio: 3, minRms: 300, endSilenceMs: 300 }
+};
+
+// How fast the noise floor follows quiet frames
+const NOISE_FLOOR_ADAPTATION = 0.05;
+const INITIAL_NOISE_FLOOR = 100;
+
+/**
+ * Root mean square of a run of 16-bit little-endian samples
+ * @param {Buffer} buffer - PCM audio
+ * @param {number} start - Byte offset
+ * @param {number} end - Byte offset (exclusive)
+ * @returns {number}
+ */
+const frameRms = (buffer, start, end) => {
+  let sum = 0;
+  let samples = 0;
+  for (let offset = start; offset + 1 < end; offset += 2) {
+    const sample = buffer.readInt16LE(offset);
+    sum += sample * sample;
+    samples++;
+  }
+  return samples ? Math.sqrt(sum / samples) : 0;
+};
+
+class VoiceActivityDetector {
+  /**
+   * @param {Object} [options] - Overrides of DEFAULT_OPTIONS
+   */
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.frameBytes = Math.round(this.options.sampleRate * this.options.frameMs / 1000) * 2;
+    this.reset();
+  }
+
+  /**
+   * Forget the current utterance and any partial frame; the noise floor is kept
+   */
+  reset() {
+    this.inSpeech = false;
+    this.voicedMs = 0;
+    this.silenceMs = 0;
+    this.utteranceMs = 0;
+    this.pending = Buffer.alloc(0);
+    this.elapsedMs = this.elapsedMs || 0;
+    this.noiseFloor = this.noiseFloor || INITIAL_NOISE_FLOOR;
+  }
+
+  /**
+   * Feed audio and collect the speech boundaries it contains
+   * @param {Buffer} pcm - 16-bit mono PCM at options.sampleRate
+   * @returns {Array<Object>} Events in order: { type: 'speech_start' | 'speech_end', atMs, durationMs, reason }
+   */
+  process(pcm) {
+    const events = [];
+    const audio = this.pending.length ? Buffer.concat([this.pending, pcm]) : pcm;
+    const { frameMs, speechStartMs, endSilenceMs, maxUtteranceMs, energyRatio, minRms } = this.options;
+
+    let offset = 0;
+    for (; offset + this.frameBytes <= audio.length; offset += this.frameBytes) {
+      const rms = frameRms(audio, offset, offset + this.frameBytes);
+      const voiced = rms >= minRms && rms >= this.noiseFloor * energyRatio;
+      this.elapsedMs += frameMs;
+
+      if (!voiced) {
+        this.noiseFloor += (rms - this.noiseFloor) * NOISE_FLOOR_ADAPTATION;
+      }
+
+      if (!this.inSpeech) {
+        this.voicedMs = voiced ? this.voicedMs + frameMs : 0;
+        if (this.voicedMs >= speechStartMs) {
+          this.inSpeech = true;
+          this.silenceMs = 0;
+          this.utteranceMs = this.voicedMs;
+          events.push({ type: 'speech_start', atMs: this.elapsedMs - this.voicedMs });
+        }
+        continue;
+      }
+
+      this.utteranceMs += frameMs;
+      this.silenceMs = voiced ? 0 : this.silenceMs + frameMs;
+
+      const reason = this.silenceMs >= endSilenceMs ? 'silence'
+        : this.utteranceMs >= maxUtteranceMs ? 'max_length'
+          : null;
+      if (reason) {
+        events.push({ type: 'speech_end', atMs: this.elapsedMs, durationMs: this.utteranceMs - this.silenceMs, reason });
+        this.inSpeech = false;
+        this.voicedMs = 0;
+      }
+    }
+
+    this.pending = Buffer.from(audio.subarray(offset));
+    return events;
+  }
+}
+
+module.exports = {
+  VoiceActivityDetector,
+  DEFAULT_OPTIONS,
+  SENSITIVITY_PRESETS
+};
@@ -0,0 +1,37 @@
+/**
+ * Workspace Scope Utilities
+ * Helpers for restricting queries to a single workspace
+ */
+
+/**
+ * Add a workspace condition to a where clause
+ * Internal callers (schedulers, webhooks) pass no workspace and get the clause back unchanged.
+ * @param {Object} where - Existing where clause
+ * @param {string} [workspaceId] - Workspace to restrict to
+ * @param {string} [field] - Attribute name (Conversation uses workspace_id)
+ * @returns {Object} Scoped where clause
+ */
+exports.scopeWhere = (where = {}, workspaceId, field = 'workspaceId') => {
+  if (!workspaceId) {
+    return where;
+  }
+  return { ...where, [field]: workspaceId };
+};
+
+/**
+ * Find a row by primary key, only if it belongs to the workspace
+ * @param {Object} model - Sequelize model
+ * @param {*} id - Primary key
+ * @param {string} [workspaceId] - Workspace to restrict to
+ * @param {Object} [options] - Extra findOne options (include, attributes...)
+ * @returns {Promise<Object|null>} Instance or null
+ */
+exports.findScopedByPk = (model, id, workspaceId, options = {}) => {
+  if (!workspaceId) {
+    return model.findByPk(id, options);
+  }
+  return model.findOne({
+    ...options,
+    where: { ...(options.where || {}), [model.primaryKeyAttribute]: id, workspaceId }
+  });
+};
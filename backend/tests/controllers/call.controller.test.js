@@ -0,0 +1,77 @@
+/**
+ * Call Controller Unit Tests
+ * Tests that live-call operations stay inside the caller's workspace
+ */
+
+const { CallLog, User } = require('../../src/models');
+const signalwireService = require('../../src/services/signalwire.service');
+const streamGatewayService = require('../../src/services/stream-gateway.service');
+const callController = require('../../src/controllers/call.controller');
+
+describe('Call Controller Tests', () => {
+  let req, res, statusStub, jsonStub;
+
+  beforeEach(() => {
+    req = {
+      params: { id: 'CA700' },
+      query: {},
+      body: {},
+      user: { id: 'user-1', role: 'admin', workspaceId: 'workspace-1' }
+    };
+
+    jsonStub = jest.fn();
+    statusStub = jest.fn().mockReturnValue({ json: jsonStub });
+    res = {
+      status: statusStub,
+      json: jsonStub
+    };
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('endCall', () => {
+    it('should not hang up calls this workspace has no log for', async () => {
+      const findOne = jest.spyOn(CallLog, 'findOne').mockResolvedValue(null);
+      const endCall = jest.spyOn(signalwireService, 'endCall');
+
+      await callController.endCall(req, res);
+
+      expect(findOne).toHaveBeenCalledWith({ where: { callSid: 'CA700', workspaceId: 'workspace-1' } });
+      expect(endCall).not.toHaveBeenCalled();
+      expect(statusStub).toHaveBeenCalledWith(404);
+    });
+
+    it("should end the call on the workspace's own SignalWire project", async () => {
+      jest.spyOn(CallLog, 'findOne').mockResolvedValue({ callSid: 'CA700', workspaceId: 'workspace-1' });
+      const endCall = jest.spyOn(signalwireService, 'endCall').mockResolvedValue({ status: 'completed' });
+
+      await callController.endCall(req, res);
+
+      expect(endCall).toHaveBeenCalledWith('CA700', 'workspace-1');
+      expect(statusStub).toHaveBeenCalledWith(200);
+    });
+  });
+
+  describe('createListenToken', () => {
+    it('should not issue listen tokens for calls of other workspaces', async () => {
+      jest.spyOn(CallLog, 'findOne').mockResolvedValue(null);
+
+      await callController.createListenToken(req, res);
+
+      expect(statusStub).toHaveBeenCalledWith(404);
+    });
+
+    it('should issue a listen token bound to the call and the user', async () => {
+      jest.spyOn(CallLog, 'findOne').mockResolvedValue({ callSid: 'CA700', workspaceId: 'workspace-1' });
+      jest.spyOn(User, 'findByPk').mockResolvedValue({ id: 'user-1', tokenVersion: 3 });
+
+      await callController.createListenToken(req, res);
+
+      expect(statusStub).toHaveBeenCalledWith(201);
+      const { token } = jsonStub.mock.calls[0][0];
+      expect(streamGatewayService.verifyListenToken('CA700', token)).toEqual(expect.objectContaining({ userId: 'user-1', tokenVersion: 3 }));
+    });
+  });
+});
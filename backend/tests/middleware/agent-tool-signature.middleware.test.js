@@ -0,0 +1,65 @@
+/**
+ * Agent Tool Signature Middleware Unit Tests
+ * Tests that agent tool requests are checked against the body exactly as it was signed
+ */
+
+const express = require('express');
+const request = require('supertest');
+const config = require('../../src/config');
+const { signPayload, captureRawBody, verifyAgentToolSignature } = require('../../src/middleware/agent-tool-signature.middleware');
+
+const SECRET = 'agent-tools-secret';
+
+const buildApp = () => {
+  const app = express();
+  app.use(express.json({ verify: captureRawBody }));
+  app.post('/api/agent-tools/test', verifyAgentToolSignature, (req, res) => res.json({ success: true, body: req.body }));
+  return app;
+};
+
+const send = (body, signature) => request(buildApp())
+  .post('/api/agent-tools/test')
+  .set('Content-Type', 'application/json')
+  .set('x-agent-tools-signature', signature)
+  .send(body);
+
+describe('Agent Tool Signature Middleware Tests', () => {
+  const originalAgentTools = config.agentTools;
+
+  beforeEach(() => {
+    config.agentTools = { ...originalAgentTools, signingSecret: SECRET, toleranceSeconds: 300 };
+  });
+
+  afterEach(() => {
+    config.agentTools = originalAgentTools;
+  });
+
+  it('should accept a body signed as sent, even when it does not re-serialize to the same JSON', async () => {
+    const body = '{ "call_sid": "CA1",  "amount": 1.50, "note": "caf\\u00e9" }';
+    const timestamp = Math.floor(Date.now() / 1000);
+
+    const response = await send(body, `t=${timestamp},v0=${signPayload(timestamp, body, SECRET)}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.body).toEqual({ call_sid: 'CA1', amount: 1.5, note: 'café' });
+  });
+
+  it('should refuse a body that differs from the one signed', async () => {
+    const timestamp = Math.floor(Date.now() / 1000);
+    const signature = signPayload(timestamp, '{"call_sid":"CA1"}', SECRET);
+
+    const response = await send('{"call_sid":"CA2"}', `t=${timestamp},v0=${signature}`);
+
+    expect(response.status).toBe(401);
+    expect(response.body.error).toBe('Invalid agent tool signature');
+  });
+
+  it('should refuse a signature older than the tolerance', async () => {
+    const body = '{"call_sid":"CA1"}';
+    const timestamp = Math.floor(Date.now() / 1000) - 301;
+
+    const response = await send(body, `t=${timestamp},v0=${signPayload(timestamp, body, SECRET)}`);
+
+    expect(response.status).toBe(401);
+  });
+});
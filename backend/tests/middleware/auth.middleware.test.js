@@ -0,0 +1,180 @@
+/**
+ * Auth Middleware Unit Tests
+ * Tests JWT validation and role-based permission checks
+ */
+
+const jwt = require('jsonwebtoken');
+const config = require('../../src/config');
+const { User } = require('../../src/models');
+const authService = require('../../src/services/auth.service');
+const workspaceService = require('../../src/services/workspace.service');
+const { validateToken, hasPermission, requireAdmin, requirePlatformAdmin } = require('../../src/middleware/auth');
+const { PERMISSIONS } = require('../../src/config/permissions');
+
+describe('Auth Middleware Tests', () => {
+  let req, res, next, statusStub, jsonStub;
+
+  const user = {
+    id: 'user-1',
+    email: 'jane@example.com',
+    role: 'manager',
+    status: 'active',
+    tokenVersion: 0,
+    workspaceId: 'workspace-1'
+  };
+
+  beforeEach(() => {
+    req = { headers: {} };
+    jsonStub = jest.fn();
+    statusStub = jest.fn().mockReturnValue({ json: jsonStub });
+    res = { status: statusStub, json: jsonStub };
+    next = jest.fn();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should reject requests without a bearer token', async () => {
+    await validateToken(req, res, next);
+
+    expect(statusStub).toHaveBeenCalledWith(401);
+    expect(jsonStub).toHaveBeenCalledWith(expect.objectContaining({ error: 'auth_required' }));
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  it('should reject tokens signed with another secret', async () => {
+    req.headers.authorization = `Bearer ${jwt.sign({ sub: user.id, type: 'access' }, 'wrong-secret')}`;
+
+    await validateToken(req, res, next);
+
+    expect(statusStub).toHaveBeenCalledWith(401);
+    expect(jsonStub).toHaveBeenCalledWith(expect.objectContaining({ error: 'jwt_invalid' }));
+  });
+
+  it('should reject expired tokens', async () => {
+    const token = jwt.sign({ sub: user.id, type: 'access', exp: Math.floor(Date.now() / 1000) - 60 },
+      config.security.jwtSecret);
+    req.headers.authorization = `Bearer ${token}`;
+
+    await validateToken(req, res, next);
+
+    expect(jsonStub).toHaveBeenCalledWith(expect.objectContaining({ error: 'jwt_expired' }));
+  });
+
+  it('should reject refresh tokens used as access tokens', async () => {
+    const { refreshToken } = authService.issueTokens(user);
+    req.headers.authorization = `Bearer ${refreshToken}`;
+
+    await validateToken(req, res, next);
+
+    expect(statusStub).toHaveBeenCalledWith(401);
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  it('should reject revoked tokens', async () => {
+    const { token } = authService.issueTokens(user);
+    jest.spyOn(User, 'findByPk').mockResolvedValue({ ...user, tokenVersion: 1 });
+    req.headers.authorization = `Bearer ${token}`;
+
+    await validateToken(req, res, next);
+
+    expect(statusStub).toHaveBeenCalledWith(401);
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  it('should attach the user for a valid token', async () => {
+    const { token } = authService.issueTokens(user);
+    jest.spyOn(User, 'findByPk').mockResolvedValue(user);
+    req.headers.authorization = `Bearer ${token}`;
+
+    await validateToken(req, res, next);
+
+    expect(next).toHaveBeenCalledWith();
+    expect(req.user).toEqual({
+      id: user.id,
+      role: 'manager',
+      email: user.email,
+      workspaceId: 'workspace-1'
+    });
+  });
+
+  it('should reject users without a workspace', async () => {
+    const { token } = authService.issueTokens(user);
+    jest.spyOn(User, 'findByPk').mockResolvedValue({ ...user, workspaceId: null });
+    req.headers.authorization = `Bearer ${token}`;
+
+    await validateToken(req, res, next);
+
+    expect(statusStub).toHaveBeenCalledWith(403);
+    expect(jsonStub).toHaveBeenCalledWith(expect.objectContaining({ error: 'workspace_required' }));
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  describe('hasPermission', () => {
+    it('should let managers start campaigns', () => {
+      req.user = { id: 'user-1', role: 'manager' };
+
+      hasPermission(PERMISSIONS.CAMPAIGNS_START)(req, res, next);
+
+      expect(next).toHaveBeenCalled();
+    });
+
+    it('should stop managers from deleting recordings', () => {
+      req.user = { id: 'user-1', role: 'manager' };
+
+      hasPermission(PERMISSIONS.RECORDINGS_DELETE)(req, res, next);
+
+      expect(statusStub).toHaveBeenCalledWith(403);
+      expect(jsonStub).toHaveBeenCalledWith({
+        success: false,
+        message: 'Insufficient permissions',
+        error: 'forbidden',
+        required: 'recordings:delete'
+      });
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('should give plain users read-only access', () => {
+      req.user = { id: 'user-1', role: 'user' };
+
+      hasPermission(PERMISSIONS.CAMPAIGNS_READ)(req, res, next);
+      hasPermission(PERMISSIONS.CONTACTS_IMPORT)(req, res, next);
+
+      expect(next).toHaveBeenCalledTimes(1);
+      expect(statusStub).toHaveBeenCalledWith(403);
+    });
+  });
+
+  describe('requireAdmin', () => {
+    it('should reject non-admin users', () => {
+      req.user = { id: 'user-1', role: 'manager' };
+
+      requireAdmin(req, res, next);
+
+      expect(statusStub).toHaveBeenCalledWith(403);
+      expect(next).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('requirePlatformAdmin', () => {
+    it('should only let admins of the default workspace through', async () => {
+      jest.spyOn(workspaceService, 'isDefaultWorkspace')
+        .mockImplementation(async workspaceId => workspaceId === 'default-workspace');
+
+      req.user = { id: 'user-1', role: 'admin', workspaceId: 'workspace-1' };
+      await requirePlatformAdmin(req, res, next);
+      req.user = { id: 'user-2', role: 'manager', workspaceId: 'default-workspace' };
+      await requirePlatformAdmin(req, res, next);
+
+      expect(statusStub).toHaveBeenCalledTimes(2);
+      expect(jsonStub).toHaveBeenCalledWith(expect.objectContaining({ required: 'role:platform-admin' }));
+      expect(next).not.toHaveBeenCalled();
+
+      req.user = { id: 'user-3', role: 'admin', workspaceId: 'default-workspace' };
+      await requirePlatformAdmin(req, res, next);
+
+      expect(next).toHaveBeenCalledWith();
+    });
+  });
+});
@@ -0,0 +1,59 @@
+/**
+ * Call Routes Tests
+ * Tests that read-only users cannot place, end or transfer calls
+ */
+
+const express = require('express');
+const request = require('supertest');
+const { CallLog, User } = require('../../src/models');
+const authService = require('../../src/services/auth.service');
+const callRoutes = require('../../src/routes/call.routes');
+
+describe('Call Routes Tests', () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/calls', callRoutes);
+
+  const user = {
+    id: 'user-1',
+    email: 'jane@example.com',
+    role: 'user',
+    status: 'active',
+    tokenVersion: 0,
+    workspaceId: 'workspace-1'
+  };
+  const { token } = authService.issueTokens(user);
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it.each([
+    ['post', '/api/calls/outbound'],
+    ['post', '/api/calls/campaign/1/process'],
+    ['put', '/api/calls/CA800/end'],
+    ['post', '/api/calls/CA800/amd/enable'],
+    ['post', '/api/calls/transfer'],
+    ['put', '/api/calls/transfer/CA800/complete'],
+    ['put', '/api/calls/transfer/CA800/reject']
+  ])('should refuse %s %s to read-only users', async (method, path) => {
+    jest.spyOn(User, 'findByPk').mockResolvedValue(user);
+
+    const response = await request(app)[method](path)
+      .set('Authorization', `Bearer ${token}`)
+      .send({});
+
+    expect(response.status).toBe(403);
+    expect(response.body).toEqual(expect.objectContaining({ error: 'forbidden', required: 'calls:write' }));
+  });
+
+  it('should let managers through to the call controller', async () => {
+    jest.spyOn(User, 'findByPk').mockResolvedValue({ ...user, role: 'manager' });
+    jest.spyOn(CallLog, 'findOne').mockResolvedValue(null);
+
+    const response = await request(app).put('/api/calls/CA800/end').set('Authorization', `Bearer ${token}`);
+
+    expect(response.status).toBe(404);
+    expect(CallLog.findOne).toHaveBeenCalledWith({ where: { callSid: 'CA800', workspaceId: 'workspace-1' } });
+  });
+});
@@ -0,0 +1,151 @@
+/**
+ * Agent Config Service Unit Tests
+ * Tests versioned saves, diffs, rollback and the version a call runs
+ */
+
+const { sequelize, AgentConfig, AgentConfigVersion } = require('../../src/models');
+const agentConfigService = require('../../src/services/agent-config.service');
+
+const buildConfig = (fields = {}) => ({
+  id: 4,
+  agentId: 'agent-1',
+  workspaceId: 'workspace-1',
+  isActive: true,
+  name: 'Renewals',
+  description: '',
+  settings: { voice: { stability: 0.5 } },
+  promptSettings: { prompt: 'Be brief' },
+  webhookUrl: null,
+  allowedTools: ['lookup_contact'],
+  latestVersion: 2,
+  update: jest.fn(async function (changes) { Object.assign(this, changes); }),
+  ...fields
+});
+
+describe('Agent Config Service Tests', () => {
+  let createVersion;
+
+  beforeEach(() => {
+    const transaction = { LOCK: { UPDATE: 'UPDATE' } };
+    jest.spyOn(sequelize, 'transaction').mockImplementation(async (work) => work(transaction));
+    createVersion = jest.spyOn(AgentConfigVersion, 'create').mockImplementation(async (fields) => ({ id: 30, ...fields }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('diffSnapshots', () => {
+    it('should list changed keys of JSON fields and whole lists', () => {
+      expect(agentConfigService.diffSnapshots(
+        { settings: { voice: { stability: 0.5, speed: 1 } }, allowedTools: ['lookup_contact'] },
+        { settings: { voice: { stability: 0.7, speed: 1 } }, allowedTools: ['lookup_contact', 'book_appointment'] }
+      )).toEqual([
+        { path: 'settings.voice.stability', before: 0.5, after: 0.7 },
+        { path: 'allowedTools', before: ['lookup_contact'], after: ['lookup_contact', 'book_appointment'] }
+      ]);
+    });
+  });
+
+  describe('saveConfig', () => {
+    it('should write the next version with its author and diff', async () => {
+      const config = buildConfig();
+      jest.spyOn(AgentConfig, 'findOne').mockResolvedValue(config);
+
+      const { version, created } = await agentConfigService.saveConfig(
+        { promptSettings: { prompt: 'Be brief and friendly' } },
+        { agentId: 'agent-1', workspaceId: 'workspace-1', userId: 'user-1', notes: 'Friendlier tone' }
+      );
+
+      expect(created).toBe(false);
+      expect(createVersion).toHaveBeenCalledWith(expect.objectContaining({
+        agentConfigId: 4,
+        version: 3,
+        createdBy: 'user-1',
+        notes: 'Friendlier tone',
+        diff: [{ path: 'promptSettings.prompt', before: 'Be brief', after: 'Be brief and friendly' }]
+      }), expect.anything());
+      expect(version.snapshot.promptSettings).toEqual({ prompt: 'Be brief and friendly' });
+      expect(config.latestVersion).toBe(3);
+    });
+
+    it('should not write a version when nothing versioned changed', async () => {
+      jest.spyOn(AgentConfig, 'findOne').mockResolvedValue(buildConfig());
+
+      const { version } = await agentConfigService.saveConfig(
+        { name: 'Renewals', isActive: false },
+        { agentId: 'agent-1', workspaceId: 'workspace-1' }
+      );
+
+      expect(version).toBeNull();
+      expect(createVersion).not.toHaveBeenCalled();
+    });
+
+    it('should reject unknown tools and prompt variables', async () => {
+      const error = await agentConfigService.saveConfig(
+        { allowedTools: ['send_email'], promptSettings: { prompt: 'Hi {{nickname}}' } },
+        { agentId: 'agent-1', workspaceId: 'workspace-1' }
+      ).catch(e => e);
+
+      expect(error).toBeInstanceOf(agentConfigService.InvalidAgentConfigError);
+      expect(error.errors).toHaveLength(2);
+    });
+
+    it('should reject unknown barge-in sensitivities', async () => {
+      const error = await agentConfigService.saveConfig(
+        { settings: { interruptible: 'yes', bargeInSensitivity: 'extreme' } },
+        { agentId: 'agent-1', workspaceId: 'workspace-1' }
+      ).catch(e => e);
+
+      expect(error.errors).toEqual([
+        'settings.interruptible must be true or false',
+        'settings.bargeInSensitivity must be one of low, medium, high'
+      ]);
+    });
+  });
+
+  describe('rollback', () => {
+    it('should save the old config again as a new version', async () => {
+      const config = buildConfig();
+      jest.spyOn(AgentConfig, 'findOne').mockResolvedValue(config);
+      jest.spyOn(AgentConfigVersion, 'findOne').mockResolvedValue({
+        version: 1,
+        snapshot: { ...buildConfig(), promptSettings: { prompt: 'Be formal' } }
+      });
+
+      const result = await agentConfigService.rollback(config, '1', 'user-1');
+
+      expect(result.restored.version).toBe(1);
+      expect(createVersion).toHaveBeenCalledWith(expect.objectContaining({
+        version: 3,
+        restoredFrom: 1,
+        notes: 'Rollback to version 1'
+      }), expect.anything());
+      expect(config.promptSettings).toEqual({ prompt: 'Be formal' });
+    });
+  });
+
+  describe('getConfigForCall', () => {
+    it('should run the pinned version over the latest', async () => {
+      jest.spyOn(AgentConfig, 'findOne').mockResolvedValue(buildConfig());
+      jest.spyOn(AgentConfigVersion, 'findOne').mockResolvedValue({
+        version: 1,
+        snapshot: { ...buildConfig(), allowedTools: [] }
+      });
+
+      const config = await agentConfigService.getConfigForCall('agent-1', 1);
+
+      expect(config).toEqual(expect.objectContaining({ agentId: 'agent-1', version: 1, allowedTools: [] }));
+    });
+
+    it('should run the latest version when the campaign is not pinned', async () => {
+      jest.spyOn(AgentConfig, 'findOne').mockResolvedValue(buildConfig());
+      const findVersion = jest.spyOn(AgentConfigVersion, 'findOne');
+
+      const config = await agentConfigService.getConfigForCall('agent-1', null);
+
+      expect(config).toEqual(expect.objectContaining({ version: 2, allowedTools: ['lookup_contact'] }));
+      expect(findVersion).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,165 @@
+/**
+ * Agent Tools Service Unit Tests
+ * Tests tool permissions, invocation logging, CRM write-back and appointment booking
+ */
+
+const { AgentConfig, AgentToolCall, Appointment, CallLog } = require('../../src/models');
+const agentToolsService = require('../../src/services/agent-tools.service');
+
+// Monday 2026-10-19, 10:00 in New York
+const NOW = new Date('2026-10-19T14:00:00Z');
+
+const buildContact = (fields = {}) => ({
+  id: 7,
+  firstName: 'Dana',
+  phone: '+13125550199',
+  timezone: 'America/Chicago',
+  status: 'called',
+  notes: 'Prefers afternoons',
+  customFields: { plan: 'basic' },
+  update: jest.fn(async function (changes) { Object.assign(this, changes); }),
+  ...fields
+});
+
+const mockCall = (contact = buildContact(), fields = {}) => jest.spyOn(CallLog, 'findOne').mockResolvedValue({
+  id: 10,
+  callSid: 'CA123',
+  workspaceId: 'workspace-1',
+  direction: 'outbound',
+  from: '+12125550100',
+  to: '+13125550199',
+  campaignId: null,
+  voiceAgentId: 'agent-1',
+  contact,
+  ...fields
+});
+
+const mockAgent = (allowedTools, settings = {}) => jest.spyOn(AgentConfig, 'findOne')
+  .mockResolvedValue({ agentId: 'agent-1', allowedTools, settings });
+
+describe('Agent Tools Service Tests', () => {
+  let recorded;
+
+  beforeEach(() => {
+    recorded = jest.spyOn(AgentToolCall, 'create').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('validateAllowedTools', () => {
+    it('should only accept known tool names', () => {
+      expect(agentToolsService.validateAllowedTools(['lookup_contact', 'book_appointment'])).toEqual([]);
+      expect(agentToolsService.validateAllowedTools('lookup_contact')).toEqual(['allowedTools must be a list of tool names']);
+      expect(agentToolsService.validateAllowedTools(['send_email'])[0]).toMatch(/unknown tool send_email/);
+    });
+  });
+
+  describe('invokeTool', () => {
+    it('should deny tools the agent does not allow, and record the denial', async () => {
+      mockCall();
+      mockAgent(['lookup_contact']);
+
+      const error = await agentToolsService.invokeTool('update_contact', {
+        call_sid: 'CA123',
+        conversation_id: 'conv-1',
+        status: 'completed'
+      }, NOW).catch(e => e);
+
+      expect(error).toBeInstanceOf(agentToolsService.AgentToolNotAllowedError);
+      expect(recorded).toHaveBeenCalledWith(expect.objectContaining({
+        tool: 'update_contact',
+        status: 'denied',
+        conversationId: 'conv-1',
+        callSid: 'CA123',
+        workspaceId: 'workspace-1',
+        agentId: 'agent-1'
+      }));
+    });
+
+    it('should deny every tool on calls placed without an agent, whatever agent the request names', async () => {
+      mockCall(buildContact(), { voiceAgentId: null });
+      const findAgent = mockAgent(['lookup_contact']);
+
+      const error = await agentToolsService.invokeTool('lookup_contact', { call_sid: 'CA123', agent_id: 'agent-1' }, NOW)
+        .catch(e => e);
+
+      expect(error).toBeInstanceOf(agentToolsService.AgentToolNotAllowedError);
+      expect(findAgent).not.toHaveBeenCalled();
+      expect(recorded).toHaveBeenCalledWith(expect.objectContaining({ status: 'denied', agentId: null }));
+    });
+
+    it('should return the contact and record the call against the conversation', async () => {
+      mockCall();
+      mockAgent(['lookup_contact']);
+
+      const data = await agentToolsService.invokeTool('lookup_contact', { call_sid: 'CA123', conversation_id: 'conv-1' }, NOW);
+
+      expect(data).toEqual(expect.objectContaining({ found: true, firstName: 'Dana', customFields: { plan: 'basic' } }));
+      expect(recorded).toHaveBeenCalledWith(expect.objectContaining({
+        tool: 'lookup_contact',
+        status: 'succeeded',
+        conversationId: 'conv-1',
+        callLogId: 10,
+        response: data
+      }));
+    });
+
+    it('should append notes rather than replace them', async () => {
+      const contact = buildContact();
+      mockCall(contact);
+      mockAgent(['update_contact']);
+
+      const data = await agentToolsService.invokeTool('update_contact', {
+        call_sid: 'CA123',
+        status: 'completed',
+        notes: 'Upgrading to premium'
+      }, NOW);
+
+      expect(contact.notes).toBe('Prefers afternoons\n[2026-10-19T14:00:00.000Z voice agent] Upgrading to premium');
+      expect(data).toEqual({ updated: ['status', 'notes'], status: 'completed' });
+    });
+  });
+
+  describe('book_appointment', () => {
+    it('should book the slot in the callee\'s timezone', async () => {
+      mockCall();
+      mockAgent(['book_appointment']);
+      jest.spyOn(Appointment, 'findOne').mockResolvedValue(null);
+      const create = jest.spyOn(Appointment, 'create').mockImplementation(async (fields) => ({ id: 12, ...fields }));
+
+      const data = await agentToolsService.invokeTool('book_appointment', {
+        call_sid: 'CA123',
+        start_time: '2026-10-20T15:00'
+      }, NOW);
+
+      expect(create).toHaveBeenCalledWith(expect.objectContaining({
+        contactId: 7,
+        callLogId: 10,
+        agentId: 'agent-1',
+        startTime: new Date('2026-10-20T20:00:00Z'),
+        endTime: new Date('2026-10-20T20:30:00Z'),
+        timezone: 'America/Chicago'
+      }));
+      expect(data.localTime).toBe('Tuesday, October 20 at 3:00 PM');
+    });
+
+    it('should refuse a slot that overlaps another appointment', async () => {
+      mockCall();
+      mockAgent(['book_appointment']);
+      jest.spyOn(Appointment, 'findOne').mockResolvedValue({ id: 3 });
+      const create = jest.spyOn(Appointment, 'create');
+
+      const error = await agentToolsService.invokeTool('book_appointment', {
+        call_sid: 'CA123',
+        start_time: '2026-10-20T15:00'
+      }, NOW).catch(e => e);
+
+      expect(error).toBeInstanceOf(agentToolsService.InvalidAgentToolRequestError);
+      expect(error.errors).toEqual(['Tuesday, October 20 at 3:00 PM is already booked']);
+      expect(create).not.toHaveBeenCalled();
+      expect(recorded).toHaveBeenCalledWith(expect.objectContaining({ status: 'failed' }));
+    });
+  });
+});
@@ -0,0 +1,109 @@
+/**
+ * Audio Bridge Service Unit Tests
+ * Tests barge-in: cutting off a reply when the caller talks over the agent
+ */
+
+const WebSocket = require('ws');
+const audioBridgeService = require('../../src/services/audio-bridge.service');
+const elevenlabsService = require('../../src/services/elevenlabs.service');
+
+const tone = (ms, amplitude = 8000) => {
+  const samples = 16 * ms;
+  const buffer = Buffer.alloc(samples * 2);
+  for (let i = 0; i < samples; i++) {
+    buffer.writeInt16LE(Math.round(amplitude * Math.sin(2 * Math.PI * 440 * i / 16000)), i * 2);
+  }
+  return buffer;
+};
+
+const buildBridge = (bargeIn = { enabled: true, sensitivity: 'medium' }) => {
+  const bridge = audioBridgeService.createAudioBridge('CA300', 'agent-1');
+  bridge.isActive = true;
+  bridge.streamSid = 'MZ300';
+  bridge.mediaFormat = { encoding: 'audio/x-mulaw', sampleRate: 8000 };
+  bridge.signalwireSocket = { readyState: WebSocket.OPEN, send: jest.fn() };
+  bridge.bargeIn = bargeIn;
+  bridge.initializeBargeIn();
+  return bridge;
+};
+
+describe('Audio Bridge Service Tests', () => {
+  let ttsSocket;
+  let sendChunk;
+  let now;
+
+  beforeEach(() => {
+    now = 1000000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    ttsSocket = { readyState: WebSocket.OPEN, close: jest.fn(), once: jest.fn() };
+    jest.spyOn(elevenlabsService, 'streamSpeechRealTime').mockImplementation(async (text, voiceId, onChunk) => {
+      sendChunk = onChunk;
+      return ttsSocket;
+    });
+  });
+
+  afterEach(async () => {
+    await audioBridgeService.closeAudioBridge('CA300');
+    jest.restoreAllMocks();
+  });
+
+  describe('barge-in', () => {
+    it('should clear queued audio, stop TTS and keep only the words the caller heard', async () => {
+      const bridge = buildBridge();
+      const reply = { role: 'assistant', content: 'Your renewal is due next month and the premium goes up by ten percent' };
+      bridge.conversationContext.push({ role: 'user', content: 'When is my renewal?' }, reply);
+
+      await bridge.streamResponseToCall(reply.content, reply);
+      // Two seconds of μ-law audio sent, one second played when the caller talks
+      sendChunk(Buffer.alloc(16000));
+      now += 1000;
+      bridge.detectBargeIn(tone(300));
+
+      expect(bridge.signalwireSocket.send).toHaveBeenLastCalledWith(JSON.stringify({ event: 'clear', streamSid: 'MZ300' }));
+      expect(ttsSocket.close).toHaveBeenCalled();
+      expect(reply.content).toBe('Your renewal is');
+      expect(bridge.isAgentSpeaking()).toBe(false);
+
+      // Audio still arriving for the cut-off reply is not played
+      const sent = bridge.signalwireSocket.send.mock.calls.length;
+      sendChunk(Buffer.alloc(800));
+      expect(bridge.signalwireSocket.send.mock.calls.length).toBe(sent);
+    });
+
+    it('should drop the assistant turn when the caller heard none of it', async () => {
+      const bridge = buildBridge();
+      const reply = { role: 'assistant', content: 'Thanks for calling' };
+      bridge.conversationContext.push(reply);
+
+      await bridge.streamResponseToCall(reply.content, reply);
+      bridge.detectBargeIn(tone(300));
+
+      expect(bridge.conversationContext).toEqual([]);
+    });
+
+    it('should let the agent finish when the agent is not interruptible', async () => {
+      const bridge = buildBridge({ enabled: false, sensitivity: 'medium' });
+
+      await bridge.streamResponseToCall('Please hold while I check', null);
+      sendChunk(Buffer.alloc(16000));
+      bridge.detectBargeIn(tone(300));
+
+      expect(ttsSocket.close).not.toHaveBeenCalled();
+      expect(bridge.isAgentSpeaking()).toBe(true);
+    });
+
+    it('should not speak a reply generated before the caller barged in', async () => {
+      const bridge = buildBridge();
+      jest.spyOn(elevenlabsService, 'generateConversationalResponse').mockImplementation(async () => {
+        bridge.interruptResponse();
+        return { text: 'Sure, let me explain' };
+      });
+      bridge.playback = { text: 'Hello', contextEntry: null, socket: null, bytesPerMs: 8, bytesSent: 0, firstChunkAt: null, done: false };
+
+      await bridge.generateAiResponse('What about pricing?');
+
+      expect(elevenlabsService.streamSpeechRealTime).not.toHaveBeenCalled();
+      expect(bridge.conversationContext).toEqual([]);
+    });
+  });
+});
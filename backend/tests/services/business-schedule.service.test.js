@@ -0,0 +1,122 @@
+/**
+ * Business Schedule Service Unit Tests
+ * Tests schedule validation, open hours with holiday exceptions and campaign holiday calendars
+ */
+
+const { BusinessSchedule } = require('../../src/models');
+const businessScheduleService = require('../../src/services/business-schedule.service');
+
+const NINE_TO_FIVE = [{ start: '09:00', end: '17:00' }];
+
+const buildSchedule = (fields = {}) => ({
+  id: 1,
+  workspaceId: 'workspace-1',
+  name: 'NYC office',
+  timezone: 'America/New_York',
+  weeklyHours: { 1: NINE_TO_FIVE, 2: NINE_TO_FIVE, 3: NINE_TO_FIVE, 4: NINE_TO_FIVE, 5: NINE_TO_FIVE },
+  holidays: [],
+  ...fields
+});
+
+// Monday 2026-10-19 in New York (UTC-4)
+const MONDAY_10AM = new Date('2026-10-19T14:00:00Z');
+const MONDAY_8PM = new Date('2026-10-20T00:00:00Z');
+const SATURDAY_10AM = new Date('2026-10-24T14:00:00Z');
+
+describe('Business Schedule Service Tests', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('isOpen', () => {
+    it('should be open within the weekday hours, in the schedule timezone', () => {
+      const schedule = buildSchedule();
+
+      expect(businessScheduleService.isOpen(schedule, MONDAY_10AM)).toBe(true);
+      expect(businessScheduleService.isOpen(schedule, MONDAY_8PM)).toBe(false);
+      expect(businessScheduleService.isOpen(schedule, SATURDAY_10AM)).toBe(false);
+    });
+
+    it('should keep ranges that end at 24:00 open until midnight', () => {
+      const schedule = buildSchedule({ weeklyHours: { 5: [{ start: '22:00', end: '24:00' }] } });
+
+      // Friday 23:59 and Saturday 00:00 in New York
+      expect(businessScheduleService.isOpen(schedule, new Date('2026-10-24T03:59:00Z'))).toBe(true);
+      expect(businessScheduleService.isOpen(schedule, new Date('2026-10-24T04:00:00Z'))).toBe(false);
+    });
+
+    it('should close on holidays, or use their hours when they have some', () => {
+      const closed = buildSchedule({ holidays: [{ date: '2026-10-19', name: 'Founders Day' }] });
+      const shortDay = buildSchedule({ holidays: [{ date: '2026-10-19', hours: [{ start: '12:00', end: '14:00' }] }] });
+
+      expect(businessScheduleService.isOpen(closed, MONDAY_10AM)).toBe(false);
+      expect(businessScheduleService.isOpen(shortDay, MONDAY_10AM)).toBe(false);
+      expect(businessScheduleService.isOpen(shortDay, new Date('2026-10-19T16:30:00Z'))).toBe(true);
+    });
+  });
+
+  describe('isScheduleOpen', () => {
+    it('should treat a missing schedule as always open', async () => {
+      const findByPk = jest.spyOn(BusinessSchedule, 'findByPk').mockResolvedValue(null);
+
+      await expect(businessScheduleService.isScheduleOpen(null, SATURDAY_10AM)).resolves.toBe(true);
+      expect(findByPk).not.toHaveBeenCalled();
+      await expect(businessScheduleService.isScheduleOpen(9, SATURDAY_10AM)).resolves.toBe(true);
+    });
+  });
+
+  describe('isClosedHoliday', () => {
+    it('should read the date in the given timezone', () => {
+      const schedule = buildSchedule({ holidays: [{ date: '2026-10-19' }] });
+      // Tuesday 02:00 UTC is still Monday in Los Angeles
+      const lateMonday = new Date('2026-10-20T02:00:00Z');
+
+      expect(businessScheduleService.isClosedHoliday(schedule, lateMonday, 'America/Los_Angeles')).toBe(true);
+      expect(businessScheduleService.isClosedHoliday(schedule, lateMonday, 'Europe/London')).toBe(false);
+      expect(businessScheduleService.isClosedHoliday(null, lateMonday, 'America/Los_Angeles')).toBe(false);
+    });
+  });
+
+  describe('createSchedule', () => {
+    it('should store trimmed hours and sorted holidays', async () => {
+      const create = jest.spyOn(BusinessSchedule, 'create').mockImplementation(async (fields) => fields);
+
+      await businessScheduleService.createSchedule({
+        name: ' NYC office ',
+        timezone: 'America/New_York',
+        weeklyHours: { 1: NINE_TO_FIVE, 6: [] },
+        holidays: [{ date: '2026-12-25', name: 'Christmas' }, { date: '2026-11-26', hours: null }]
+      }, 'workspace-1');
+
+      expect(create).toHaveBeenCalledWith({
+        workspaceId: 'workspace-1',
+        name: 'NYC office',
+        timezone: 'America/New_York',
+        weeklyHours: { 1: NINE_TO_FIVE },
+        holidays: [{ date: '2026-11-26' }, { date: '2026-12-25', name: 'Christmas' }]
+      });
+    });
+
+    it('should report every invalid field', async () => {
+      const create = jest.spyOn(BusinessSchedule, 'create');
+
+      const error = await businessScheduleService.createSchedule({
+        name: '',
+        timezone: 'Mars/Olympus',
+        weeklyHours: { 7: NINE_TO_FIVE, 1: [{ start: '22:00', end: '06:00' }] },
+        holidays: [{ date: '2026-13-01' }, { date: '2026-12-25' }, { date: '2026-12-25' }]
+      }, 'workspace-1').catch(e => e);
+
+      expect(error).toBeInstanceOf(businessScheduleService.InvalidScheduleError);
+      expect(error.errors).toEqual([
+        'name is required',
+        'timezone is not a valid timezone: Mars/Olympus',
+        'weeklyHours.1[0] must end after it starts; split overnight hours at 24:00',
+        'weeklyHours has unknown weekday 7; use 0 (Sunday) to 6 (Saturday)',
+        'holidays[0].date must be YYYY-MM-DD',
+        'holidays lists 2026-12-25 more than once'
+      ]);
+      expect(create).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,138 @@
+/**
+ * Call Flow Service Unit Tests
+ * Tests flow definition validation and interpreting flows into SignalWire XML
+ */
+
+const axios = require('axios');
+const config = require('../../src/config');
+const { CallFlow, CallFlowVersion, CallLog, PhoneNumber } = require('../../src/models');
+const callFlowService = require('../../src/services/call-flow.service');
+const callFlowInterpreter = require('../../src/services/call-flow-interpreter.service');
+const optOutService = require('../../src/services/opt-out.service');
+const streamGateway = require('../../src/services/stream-gateway.service');
+
+const MENU = {
+  startNodeId: 'welcome',
+  nodes: [
+    { id: 'welcome', type: 'say', text: 'Thanks for calling Acme & Sons.', next: 'menu' },
+    { id: 'menu', type: 'gather', text: 'Press 1 for sales.', branches: { 1: 'route' } },
+    { id: 'route', type: 'webhook', url: 'https://crm.example.com/route', branches: { vip: 'sales' }, next: 'agent' },
+    { id: 'sales', type: 'transfer', number: '+12125550100', next: 'voicemail' },
+    { id: 'agent', type: 'agent', agentId: 'agent-1' },
+    { id: 'voicemail', type: 'voicemail' }
+  ]
+};
+
+const context = { flowId: 7, version: 3, workspaceId: 'workspace-1', definition: MENU };
+
+describe('Call Flow Service Tests', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('validateDefinition', () => {
+    it('should accept a connected flow', () => {
+      expect(callFlowService.validateDefinition(MENU)).toEqual([]);
+    });
+
+    it('should report missing fields, unknown types and dangling edges', () => {
+      const errors = callFlowService.validateDefinition({
+        startNodeId: 'missing',
+        nodes: [
+          { id: 'a', type: 'say', next: 'b' },
+          { id: 'b', type: 'gather', branches: { one: 'a' } },
+          { id: 'c', type: 'fax' }
+        ]
+      });
+
+      expect(errors).toEqual([
+        'startNodeId must be the id of a node',
+        'Node a: text is required',
+        'Node b: branch key one must be keypad digits',
+        'Node c: unknown type fax'
+      ]);
+    });
+
+    it('should refuse to create an invalid flow', async () => {
+      const create = jest.spyOn(CallFlow, 'create');
+
+      await expect(callFlowService.createFlow({ name: 'Main', definition: { nodes: [] } }, 'workspace-1'))
+        .rejects.toBeInstanceOf(callFlowService.InvalidCallFlowError);
+      expect(create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('interpreter', () => {
+    it('should run the active version of the flow assigned to the dialed number', async () => {
+      jest.spyOn(PhoneNumber, 'findOne').mockResolvedValue({
+        callFlow: { id: 7, workspaceId: 'workspace-1', activeVersion: 3 }
+      });
+      jest.spyOn(CallFlowVersion, 'findOne').mockResolvedValue({ version: 3, definition: MENU });
+
+      const xml = await callFlowInterpreter.renderFlowForNumber({ CallSid: 'CA1', To: '+12125550000' });
+
+      expect(xml).toContain('Thanks for calling Acme &amp; Sons.');
+      expect(xml).toContain('/api/calls/inbound/flows/7/versions/3/nodes/menu</Redirect>');
+      expect(xml).not.toContain('<Hangup />');
+    });
+
+    it('should return null for numbers without a flow', async () => {
+      jest.spyOn(PhoneNumber, 'findOne').mockResolvedValue(null);
+
+      await expect(callFlowInterpreter.renderFlowForNumber({ To: '+12125550000' })).resolves.toBeNull();
+    });
+
+    it('should follow the webhook branch chosen for the keys pressed', async () => {
+      const request = jest.spyOn(axios, 'request').mockResolvedValue({ data: { branch: 'vip' } });
+
+      const xml = await callFlowInterpreter.handleNodeResult(context, 'menu', { CallSid: 'CA1', Digits: '1' });
+
+      expect(request).toHaveBeenCalledWith(expect.objectContaining({
+        url: 'https://crm.example.com/route',
+        data: expect.objectContaining({ callSid: 'CA1', digits: '1' })
+      }));
+      expect(xml).toContain('>+12125550100</Dial>');
+      expect(xml).toContain('action="http://localhost:3000/api/calls/inbound/flows/7/versions/3/nodes/sales/result"');
+    });
+
+    it('should take the fallback when the webhook fails', async () => {
+      jest.spyOn(axios, 'request').mockRejectedValue(new Error('timeout'));
+
+      const xml = await callFlowInterpreter.renderNode(context, 'route', { CallSid: 'CA1' });
+
+      expect(xml).toContain('<Parameter name="voiceAgentId" value="agent-1" />');
+    });
+
+    it('should stream agent nodes to a URL the gateway accepts for the call', async () => {
+      const originalStreamGateway = config.streamGateway;
+      config.streamGateway = { ...originalStreamGateway, tokenSecret: 'stream-secret', tokenTtlSeconds: 60 };
+      jest.spyOn(CallLog, 'findOne').mockResolvedValue({ workspaceId: 'workspace-1' });
+
+      try {
+        const xml = await callFlowInterpreter.renderNode(context, 'agent', { CallSid: 'CA1' });
+        const streamUrl = new URL(xml.match(/<Stream url="([^"]+)"/)[1]);
+
+        expect(streamGateway.routeFor(streamUrl.pathname)).toBe(streamGateway.PROTOCOLS.SIGNALWIRE);
+        await expect(streamGateway.authenticate(streamGateway.PROTOCOLS.SIGNALWIRE, streamUrl))
+          .resolves.toEqual({ callSid: 'CA1', workspaceId: 'workspace-1' });
+      } finally {
+        config.streamGateway = originalStreamGateway;
+      }
+    });
+
+    it('should opt the caller out on the opt-out digit', async () => {
+      const optOut = jest.spyOn(optOutService, 'recordOptOut').mockResolvedValue({});
+
+      const xml = await callFlowInterpreter.handleNodeResult(context, 'menu', { CallSid: 'CA1', From: '+13125550123', Digits: '9' });
+
+      expect(optOut).toHaveBeenCalledWith(expect.objectContaining({ source: 'dtmf', workspaceId: 'workspace-1' }));
+      expect(xml).toContain('removed from our call list');
+    });
+
+    it('should go to the fallback when a transfer is not answered', async () => {
+      const xml = await callFlowInterpreter.handleNodeResult(context, 'sales', { DialCallStatus: 'no-answer' });
+
+      expect(xml).toContain('<Record action="http://localhost:3000/api/calls/inbound/flows/7/versions/3/nodes/voicemail/result"');
+    });
+  });
+});
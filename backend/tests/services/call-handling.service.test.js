@@ -0,0 +1,52 @@
+/**
+ * Call Handling Service Unit Tests
+ * Tests how caller input on the gather webhook is handled
+ */
+
+const { CallLog } = require('../../src/models');
+const config = require('../../src/config');
+const callHandlingService = require('../../src/services/call-handling.service');
+const optOutService = require('../../src/services/opt-out.service');
+
+describe('Call Handling Service Tests', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('handleGather', () => {
+    it('should opt the callee out in the call workspace on the opt-out digit', async () => {
+      jest.spyOn(CallLog, 'findOne').mockResolvedValue({ workspaceId: 'workspace-1' });
+      const optOut = jest.spyOn(optOutService, 'recordOptOut').mockResolvedValue({});
+
+      const twiml = await callHandlingService.handleGather({
+        CallSid: 'CA-no-session',
+        From: '+12125550000',
+        Digits: config.optOut.dtmfDigit
+      });
+
+      expect(optOut).toHaveBeenCalledWith({
+        source: 'dtmf',
+        callSid: 'CA-no-session',
+        phoneNumber: undefined,
+        workspaceId: 'workspace-1',
+        digit: config.optOut.dtmfDigit
+      });
+      expect(twiml).toContain('removed from our call list');
+      expect(twiml).toContain('<Hangup');
+    });
+
+    it('should confirm the opt-out even when it cannot be recorded', async () => {
+      jest.spyOn(CallLog, 'findOne').mockResolvedValue(null);
+      const optOut = jest.spyOn(optOutService, 'recordOptOut').mockRejectedValue(new Error('database unavailable'));
+
+      const twiml = await callHandlingService.handleGather({
+        CallSid: 'CA-unknown',
+        From: '+13125550123',
+        Digits: config.optOut.dtmfDigit
+      });
+
+      expect(optOut).toHaveBeenCalledWith(expect.objectContaining({ phoneNumber: '+13125550123', workspaceId: null }));
+      expect(twiml).toContain('removed from our call list');
+    });
+  });
+});
@@ -0,0 +1,174 @@
+/**
+ * Call Limiter Service Unit Tests
+ * Tests the per account, campaign and caller ID dial rate and concurrency limits
+ */
+
+const { Op } = require('sequelize');
+const db = require('../../src/models');
+const config = require('../../src/config');
+const callLimiterService = require('../../src/services/call-limiter.service');
+
+const { Workspace, Campaign, CallLimitBucket, CallLimitSlot } = db;
+const { CallLimitError, createCallLimiter } = callLimiterService;
+
+const mockSettings = (workspaceLimits, campaignLimits) => {
+  jest.spyOn(Workspace, 'findByPk').mockResolvedValue({ settings: { callLimits: workspaceLimits } });
+  jest.spyOn(Campaign, 'findByPk').mockResolvedValue({ settings: { callLimits: campaignLimits } });
+};
+
+// Match a row against the where clauses the limiter uses
+const matches = (row, where = {}) => Object.entries(where).every(([field, condition]) => {
+  if (Array.isArray(condition)) {
+    return condition.includes(row[field]);
+  }
+  if (condition && condition[Op.gt]) {
+    return row[field] > condition[Op.gt];
+  }
+  if (condition && condition[Op.lte]) {
+    return row[field] <= condition[Op.lte];
+  }
+  return row[field] === condition;
+});
+
+// Back the bucket and slot tables with arrays, as one database every limiter shares
+const mockStorage = () => {
+  const buckets = [];
+  let slots = [];
+
+  jest.spyOn(db.sequelize, 'transaction').mockImplementation(fn => fn({ LOCK: { UPDATE: 'UPDATE' } }));
+
+  jest.spyOn(CallLimitBucket, 'bulkCreate').mockImplementation(async (rows) => {
+    rows.filter(row => !buckets.some(bucket => bucket.id === row.id)).forEach(row => buckets.push({
+      ...row,
+      totalDials: 0,
+      update: jest.fn(async function (values) {
+        return Object.assign(this, values);
+      })
+    }));
+  });
+  jest.spyOn(CallLimitBucket, 'findAll').mockImplementation(async ({ where }) => buckets
+    .filter(bucket => matches(bucket, where))
+    .sort((a, b) => a.id.localeCompare(b.id)));
+
+  jest.spyOn(CallLimitSlot, 'bulkCreate').mockImplementation(async (rows) => {
+    slots.push(...rows.map(row => ({ ...row, callSid: null })));
+  });
+  jest.spyOn(CallLimitSlot, 'count').mockImplementation(async ({ where }) => {
+    const counts = new Map();
+    slots.filter(slot => matches(slot, where)).forEach(slot => {
+      counts.set(slot.bucketId, (counts.get(slot.bucketId) || 0) + 1);
+    });
+    return [...counts].map(([bucketId, count]) => ({ bucketId, count }));
+  });
+  jest.spyOn(CallLimitSlot, 'update').mockImplementation(async (values, { where }) => {
+    const updated = slots.filter(slot => matches(slot, where));
+    updated.forEach(slot => Object.assign(slot, values));
+    return [updated.length];
+  });
+  jest.spyOn(CallLimitSlot, 'destroy').mockImplementation(async ({ where }) => {
+    const before = slots.length;
+    slots = slots.filter(slot => !matches(slot, where));
+    return before - slots.length;
+  });
+};
+
+const limitOf = async (workspaceId, scope) => (await callLimiterService.getUtilization(workspaceId)).limits
+  .find(limit => limit.scope === scope);
+
+describe('Call Limiter Service Tests', () => {
+  const { maxWaitSeconds, callTimeoutMinutes } = config.callLimits;
+
+  beforeEach(() => {
+    // Refuse at once instead of waiting for room
+    config.callLimits.maxWaitSeconds = 0;
+    mockStorage();
+  });
+
+  afterEach(() => {
+    config.callLimits.maxWaitSeconds = maxWaitSeconds;
+    config.callLimits.callTimeoutMinutes = callTimeoutMinutes;
+    jest.restoreAllMocks();
+  });
+
+  it('should let campaign limits override workspace limits and defaults', async () => {
+    mockSettings(
+      { maxConcurrent: 20, campaign: { cps: 3, maxConcurrent: 8 } },
+      { maxConcurrent: 4, callerId: { cps: 0 } }
+    );
+
+    await callLimiterService.acquire({ workspaceId: 'ws-override', campaignId: 'c-override', callerId: '+12125550100' });
+
+    expect(await limitOf('ws-override', 'account')).toEqual(expect.objectContaining({
+      cps: config.callLimits.account.cps,
+      maxConcurrent: 20,
+      activeCalls: 1
+    }));
+    expect(await limitOf('ws-override', 'campaign')).toEqual(expect.objectContaining({ cps: 3, maxConcurrent: 4 }));
+    expect(await limitOf('ws-override', 'callerId')).toEqual(expect.objectContaining({ cps: null }));
+  });
+
+  it('should refuse a dial once a scope is at its concurrent call limit', async () => {
+    mockSettings({}, { cps: 0, maxConcurrent: 2, callerId: { cps: 0 } });
+    const target = { workspaceId: 'ws-concurrency', campaignId: 'c-concurrency', callerId: '+12125550101' };
+
+    await callLimiterService.acquire(target);
+    await callLimiterService.acquire(target);
+
+    await expect(callLimiterService.acquire(target)).rejects.toEqual(expect.objectContaining({
+      name: 'CallLimitError',
+      scope: 'campaign',
+      key: 'c-concurrency'
+    }));
+    expect((await limitOf('ws-concurrency', 'campaign')).utilization).toBe(1);
+  });
+
+  it('should free live call slots when the call ends', async () => {
+    mockSettings({}, { cps: 0, maxConcurrent: 1, callerId: { cps: 0 } });
+    const target = { workspaceId: 'ws-release', campaignId: 'c-release', callerId: '+12125550102' };
+
+    const permit = await callLimiterService.acquire(target);
+    await permit.bind('CA-release');
+    expect(await callLimiterService.recordCallStatus('CA-release', 'ringing')).toBe(false);
+
+    expect(await callLimiterService.recordCallStatus('CA-release', 'completed')).toBe(true);
+    await expect(callLimiterService.acquire(target)).resolves.toBeDefined();
+  });
+
+  it('should stop counting slots of calls whose end is never reported', async () => {
+    mockSettings({}, { cps: 0, maxConcurrent: 1, callerId: { cps: 0 } });
+    config.callLimits.callTimeoutMinutes = 0;
+    const target = { workspaceId: 'ws-expiry', campaignId: 'c-expiry', callerId: '+12125550105' };
+
+    await (await callLimiterService.acquire(target)).bind('CA-expiry');
+
+    await expect(callLimiterService.acquire(target)).resolves.toBeDefined();
+  });
+
+  it('should hold each caller ID to its calls per second', async () => {
+    mockSettings({}, { cps: 0, maxConcurrent: 0, callerId: { cps: 1 } });
+    const target = { workspaceId: 'ws-cps', campaignId: 'c-cps', callerId: '+12125550103' };
+
+    await (await callLimiterService.acquire(target)).release();
+
+    await expect(callLimiterService.acquire(target)).rejects.toBeInstanceOf(CallLimitError);
+    await expect(callLimiterService.acquire({ ...target, callerId: '+12125550104' })).resolves.toBeDefined();
+  });
+
+  it('should enforce the same limits across limiters sharing storage', async () => {
+    mockSettings({}, { cps: 0, maxConcurrent: 2, callerId: { cps: 0 } });
+    const target = { workspaceId: 'ws-shared', campaignId: 'c-shared', callerId: '+12125550106' };
+    const workerA = createCallLimiter();
+    const workerB = createCallLimiter();
+
+    await (await workerA.acquire(target)).bind('CA-shared-1');
+    await (await workerB.acquire(target)).bind('CA-shared-2');
+
+    await expect(workerA.acquire(target)).rejects.toBeInstanceOf(CallLimitError);
+    await expect(workerB.acquire(target)).rejects.toBeInstanceOf(CallLimitError);
+
+    // The end of a call placed by one worker may be reported to the other
+    expect(await workerB.recordCallStatus('CA-shared-1', 'completed')).toBe(true);
+    await expect(workerA.acquire(target)).resolves.toBeDefined();
+    expect((await workerB.getUtilization('ws-shared')).liveCalls).toBe(2);
+  });
+});
@@ -0,0 +1,113 @@
+/**
+ * Call Listen Service Unit Tests
+ * Tests forking call audio to supervisors: per-track and mixed audio, barge-in and the audit trail
+ */
+
+const { CallListenSession } = require('../../src/models');
+const callListenService = require('../../src/services/call-listen.service');
+
+// 16-bit PCM at 8 kHz holding one sample value
+const pcm = (ms, value) => {
+  const buffer = Buffer.alloc(16 * ms);
+  for (let offset = 0; offset < buffer.length; offset += 2) {
+    buffer.writeInt16LE(value, offset);
+  }
+  return buffer;
+};
+
+const samples = buffer => Array.from(new Set(
+  Array.from({ length: buffer.length / 2 }, (_, i) => buffer.readInt16LE(i * 2))
+));
+
+describe('Call Listen Service Tests', () => {
+  let audit;
+  let listeners;
+
+  const listen = async (track) => {
+    const send = jest.fn();
+    const listener = await callListenService.startListening({
+      callSid: 'CA600', callLogId: 60, workspaceId: 'ws-1', userId: 'user-1', track, send
+    });
+    listeners.push(listener);
+    return send;
+  };
+
+  beforeEach(() => {
+    listeners = [];
+    audit = { id: 9, update: jest.fn() };
+    jest.spyOn(CallListenSession, 'create').mockResolvedValue(audit);
+  });
+
+  afterEach(async () => {
+    await Promise.all(listeners.map(listener => callListenService.stopListening(listener)));
+    jest.restoreAllMocks();
+  });
+
+  it('should send each listener the track it asked for', async () => {
+    const caller = await listen('inbound');
+    const agent = await listen('outbound');
+
+    callListenService.publishAudio('CA600', 'inbound', pcm(20, 1000), 'pcm_8000');
+    callListenService.publishAudio('CA600', 'outbound', pcm(20, 2000), 'pcm_8000');
+
+    expect(caller).toHaveBeenCalledTimes(1);
+    expect(samples(caller.mock.calls[0][0])).toEqual([1000]);
+    expect(samples(agent.mock.calls[0][0])).toEqual([2000]);
+  });
+
+  it('should mix queued agent audio into caller frames', async () => {
+    const send = await listen('mixed');
+
+    // A 30 ms burst of agent audio is played out over two 20 ms caller frames
+    callListenService.publishAudio('CA600', 'outbound', pcm(30, 2000), 'pcm_8000');
+    expect(send).not.toHaveBeenCalled();
+
+    callListenService.publishAudio('CA600', 'inbound', pcm(20, 1000), 'pcm_8000');
+    callListenService.publishAudio('CA600', 'inbound', pcm(20, 32000), 'pcm_8000');
+
+    expect(samples(send.mock.calls[0][0])).toEqual([3000]);
+    // The second frame has 10 ms of agent audio left, and clips at the 16-bit limit
+    expect(samples(send.mock.calls[1][0].subarray(0, 160))).toEqual([32767]);
+    expect(samples(send.mock.calls[1][0].subarray(160))).toEqual([32000]);
+  });
+
+  it('should decode μ-law and resample 16 kHz agent audio to 8 kHz PCM', async () => {
+    const send = await listen('outbound');
+
+    // 20 ms of each; MP3 replies cannot be decoded and are not heard
+    callListenService.publishAudio('CA600', 'outbound', Buffer.alloc(160, 0xff), 'pcm_mulaw');
+    callListenService.publishAudio('CA600', 'outbound', Buffer.alloc(640), 'pcm_16000');
+    callListenService.publishAudio('CA600', 'outbound', Buffer.alloc(100), 'mp3_44100');
+
+    expect(send.mock.calls.map(([audio]) => audio.length)).toEqual([320, 320]);
+  });
+
+  it('should drop queued agent audio when the caller barges in', async () => {
+    const mixed = await listen('mixed');
+    const agent = await listen('outbound');
+
+    callListenService.publishAudio('CA600', 'outbound', pcm(20, 2000), 'pcm_8000');
+    callListenService.clearOutbound('CA600');
+    callListenService.publishAudio('CA600', 'inbound', pcm(20, 1000), 'pcm_8000');
+
+    expect(samples(mixed.mock.calls[0][0])).toEqual([1000]);
+    expect(agent).toHaveBeenLastCalledWith({ type: 'clear' });
+  });
+
+  it('should audit who listened, for how long and how much audio was sent', async () => {
+    await listen('inbound');
+    callListenService.publishAudio('CA600', 'inbound', pcm(20, 1000), 'pcm_8000');
+
+    expect(CallListenSession.create).toHaveBeenCalledWith(expect.objectContaining({
+      workspaceId: 'ws-1', callSid: 'CA600', callLogId: 60, userId: 'user-1', track: 'inbound'
+    }));
+
+    await callListenService.stopListening(listeners[0], 'call_ended');
+
+    expect(audit.update).toHaveBeenCalledWith(expect.objectContaining({
+      endedAt: expect.any(Date), bytesSent: 320, endReason: 'call_ended'
+    }));
+    expect(callListenService.hasListeners('CA600')).toBe(false);
+    expect(await callListenService.stopListening(listeners[0])).toBe(false);
+  });
+});
@@ -0,0 +1,51 @@
+/**
+ * Call Queue Service Unit Tests
+ * Tests claiming queue items so concurrent workers never dial the same item
+ */
+
+const { sequelize, CallQueue } = require('../../src/models');
+const config = require('../../src/config');
+const callQueueService = require('../../src/services/call-queue.service');
+
+describe('Call Queue Service Tests', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('claimQueueItems', () => {
+    const transaction = { LOCK: { UPDATE: 'UPDATE' } };
+
+    beforeEach(() => {
+      jest.spyOn(sequelize, 'transaction').mockImplementation(async (work) => work(transaction));
+    });
+
+    it('should lock waiting rows, skipping rows other workers hold, and flip them to processing', async () => {
+      const items = [CallQueue.build({ id: 1, status: 'waiting' }), CallQueue.build({ id: 2, status: 'waiting' })];
+      const findAll = jest.spyOn(CallQueue, 'findAll').mockResolvedValue(items);
+      const update = jest.spyOn(CallQueue, 'update').mockResolvedValue([2]);
+
+      const claimed = await callQueueService.claimQueueItems({ campaignId: 'campaign-1' }, [['priority', 'DESC']], 2);
+
+      expect(findAll).toHaveBeenCalledWith(expect.objectContaining({
+        where: { campaignId: 'campaign-1', status: 'waiting' },
+        limit: 2,
+        transaction,
+        lock: 'UPDATE',
+        skipLocked: true
+      }));
+      expect(update).toHaveBeenCalledWith(
+        expect.objectContaining({ status: 'processing', claimedBy: config.worker.id }),
+        { where: { id: [1, 2] }, transaction }
+      );
+      expect(claimed.map(item => item.status)).toEqual(['processing', 'processing']);
+    });
+
+    it('should claim nothing when every due row is taken', async () => {
+      jest.spyOn(CallQueue, 'findAll').mockResolvedValue([]);
+      const update = jest.spyOn(CallQueue, 'update');
+
+      expect(await callQueueService.claimQueueItems({}, [], 5)).toEqual([]);
+      expect(update).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,119 @@
+/**
+ * Callback Service Unit Tests
+ * Tests callback times read in the callee's timezone and how callbacks are queued
+ */
+
+const { CallLog, CallQueue } = require('../../src/models');
+const callQueueService = require('../../src/services/call-queue.service');
+const callbackService = require('../../src/services/callback.service');
+
+// Monday 2026-10-19, 10:00 in New York
+const NOW = new Date('2026-10-19T14:00:00Z');
+
+const buildCallLog = (fields = {}) => ({
+  id: 10,
+  callSid: 'CA123',
+  workspaceId: 'workspace-1',
+  direction: 'outbound',
+  from: '+12125550100',
+  to: '+13125550199',
+  campaignId: null,
+  voiceAgentId: 'agent-1',
+  callData: {},
+  contact: { id: 7, phone: '+13125550199', timezone: 'America/Chicago' },
+  update: jest.fn().mockResolvedValue(null),
+  ...fields
+});
+
+describe('Callback Service Tests', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('parseCallbackTime', () => {
+    it('should read local times in the given timezone', () => {
+      expect(callbackService.parseCallbackTime('2026-10-20T15:00', 'America/Chicago').toISOString())
+        .toBe('2026-10-20T20:00:00.000Z');
+      expect(callbackService.parseCallbackTime('2026-10-20T15:00', 'Europe/London').toISOString())
+        .toBe('2026-10-20T14:00:00.000Z');
+    });
+
+    it('should take times with an offset as is and reject anything else', () => {
+      expect(callbackService.parseCallbackTime('2026-10-20T20:00:00Z', 'America/Chicago').toISOString())
+        .toBe('2026-10-20T20:00:00.000Z');
+      expect(callbackService.parseCallbackTime('tomorrow at 3', 'America/Chicago')).toBeNull();
+      expect(callbackService.parseCallbackTime('2026-10-20', 'America/Chicago')).toBeNull();
+    });
+  });
+
+  describe('scheduleCallback', () => {
+    it('should queue a callback ahead of fresh leads, linked to the call', async () => {
+      const callLog = buildCallLog();
+      jest.spyOn(CallLog, 'findOne').mockResolvedValue(callLog);
+      jest.spyOn(CallQueue, 'findOne').mockResolvedValue(null);
+      const addToQueue = jest.spyOn(callQueueService, 'addToQueue')
+        .mockImplementation(async (fields) => ({ id: 57, ...fields }));
+
+      const result = await callbackService.scheduleCallback({
+        callSid: 'CA123',
+        callbackTime: '2026-10-20T15:00',
+        note: 'Pricing'
+      }, NOW);
+
+      expect(addToQueue).toHaveBeenCalledWith(expect.objectContaining({
+        type: 'callback',
+        callLogId: 10,
+        contactId: 7,
+        toNumber: '+13125550199',
+        fromNumber: '+12125550100',
+        priority: callbackService.CALLBACK_PRIORITY,
+        scheduledTime: new Date('2026-10-20T20:00:00Z'),
+        metadata: expect.objectContaining({ timezone: 'America/Chicago', note: 'Pricing' })
+      }));
+      expect(result.localTime).toBe('Tuesday, October 20 at 3:00 PM');
+      expect(callLog.update).toHaveBeenCalledWith({
+        callData: { callback: { queueId: 57, scheduledTime: '2026-10-20T20:00:00.000Z', timezone: 'America/Chicago' } }
+      });
+    });
+
+    it('should move a waiting callback rather than add a second one', async () => {
+      jest.spyOn(CallLog, 'findOne').mockResolvedValue(buildCallLog());
+      const existing = { id: 41, update: jest.fn(async function (fields) { return { ...this, ...fields }; }) };
+      jest.spyOn(CallQueue, 'findOne').mockResolvedValue(existing);
+      const addToQueue = jest.spyOn(callQueueService, 'addToQueue');
+
+      const { queueItem } = await callbackService.scheduleCallback({
+        callSid: 'CA123',
+        callbackTime: '2026-10-21T09:30'
+      }, NOW);
+
+      expect(addToQueue).not.toHaveBeenCalled();
+      expect(existing.update).toHaveBeenCalledWith(expect.objectContaining({
+        scheduledTime: new Date('2026-10-21T14:30:00Z')
+      }));
+      expect(queueItem.id).toBe(41);
+    });
+
+    it('should reject past times and unknown calls', async () => {
+      const findOne = jest.spyOn(CallLog, 'findOne').mockResolvedValue(buildCallLog());
+      const addToQueue = jest.spyOn(callQueueService, 'addToQueue');
+
+      const past = await callbackService.scheduleCallback({
+        callSid: 'CA123',
+        callbackTime: '2026-10-19T08:00'
+      }, NOW).catch(e => e);
+
+      expect(past).toBeInstanceOf(callbackService.InvalidCallbackError);
+      expect(past.errors).toEqual(['callbackTime is in the past']);
+
+      findOne.mockResolvedValue(null);
+      const unknown = await callbackService.scheduleCallback({
+        callSid: 'CA999',
+        callbackTime: '2026-10-20T15:00'
+      }, NOW).catch(e => e);
+
+      expect(unknown.errors).toEqual(['Call CA999 not found']);
+      expect(addToQueue).not.toHaveBeenCalled();
+    });
+  });
+});
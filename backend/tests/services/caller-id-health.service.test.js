@@ -0,0 +1,119 @@
+/**
+ * Caller ID Health Service Unit Tests
+ * Tests scoring of call outcomes and automatic retirement
+ */
+
+const { Op } = require('sequelize');
+const { PhoneNumber, CallLog } = require('../../src/models');
+const callerIdHealthService = require('../../src/services/caller-id-health.service');
+
+const SETTINGS = {
+  windowDays: 7,
+  minCalls: 10,
+  retireThreshold: 40,
+  expectedAnswerRate: 0.25,
+  shortCallSeconds: 6
+};
+
+// Build `count` call logs with the same outcome
+const calls = (count, fields) => Array.from({ length: count }, () => ({ callData: {}, duration: 0, ...fields }));
+
+const buildNumber = (fields = {}) => {
+  const number = PhoneNumber.build({
+    id: 1,
+    workspaceId: 'workspace-1',
+    phoneNumber: '+12125550100',
+    status: 'active',
+    ...fields
+  });
+  jest.spyOn(number, 'update').mockImplementation(async (values) => Object.assign(number, values));
+  return number;
+};
+
+describe('Caller ID Health Service Tests', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('summarizeCalls', () => {
+    it('should count answers, short hangups and carrier failures', () => {
+      const stats = callerIdHealthService.summarizeCalls([
+        ...calls(3, { status: 'completed', duration: 45 }),
+        ...calls(1, { status: 'completed', duration: 2 }),
+        ...calls(2, { status: 'failed' }),
+        ...calls(1, { status: 'busy', callData: { sipResponseCode: 608 } }),
+        ...calls(3, { status: 'no-answer' })
+      ], SETTINGS);
+
+      expect(stats.calls).toBe(10);
+      expect(stats.answered).toBe(4);
+      expect(stats.shortHangups).toBe(1);
+      expect(stats.carrierFailures).toBe(3);
+      expect(stats.answerRate).toBeCloseTo(0.4);
+      expect(stats.shortHangupRate).toBeCloseTo(0.25);
+    });
+  });
+
+  describe('computeScore', () => {
+    it('should not score numbers with too few calls', () => {
+      const stats = callerIdHealthService.summarizeCalls(calls(5, { status: 'no-answer' }), SETTINGS);
+      expect(callerIdHealthService.computeScore(stats, SETTINGS)).toBeNull();
+    });
+
+    it('should give full marks at the expected answer rate with clean outcomes', () => {
+      const stats = callerIdHealthService.summarizeCalls([
+        ...calls(3, { status: 'completed', duration: 60 }),
+        ...calls(7, { status: 'no-answer' })
+      ], SETTINGS);
+      expect(callerIdHealthService.computeScore(stats, SETTINGS)).toBe(100);
+    });
+
+    it('should score a blocked number low', () => {
+      const stats = callerIdHealthService.summarizeCalls([
+        ...calls(1, { status: 'completed', duration: 3 }),
+        ...calls(9, { status: 'failed', callData: { sipResponseCode: 603 } })
+      ], SETTINGS);
+      expect(callerIdHealthService.computeScore(stats, SETTINGS)).toBeLessThan(SETTINGS.retireThreshold);
+    });
+  });
+
+  describe('evaluateNumber', () => {
+    it('should retire an active number below the threshold', async () => {
+      const number = buildNumber();
+      jest.spyOn(CallLog, 'findAll').mockResolvedValue(calls(12, { status: 'failed' }));
+
+      const result = await callerIdHealthService.evaluateNumber(number, SETTINGS);
+
+      expect(result.retired).toBe(true);
+      expect(number.status).toBe('retired');
+      expect(number.retiredReason).toMatch(/below 40/);
+    });
+
+    it('should keep a healthy number dialing', async () => {
+      const number = buildNumber();
+      jest.spyOn(CallLog, 'findAll').mockResolvedValue([
+        ...calls(4, { status: 'completed', duration: 90 }),
+        ...calls(8, { status: 'no-answer' })
+      ]);
+
+      const result = await callerIdHealthService.evaluateNumber(number, SETTINGS);
+
+      expect(result.retired).toBe(false);
+      expect(number.status).toBe('active');
+      expect(number.healthScore).toBe(100);
+    });
+
+    it('should only count calls since the number was reactivated', async () => {
+      const resetAt = new Date(Date.now() - 60 * 60 * 1000);
+      const number = buildNumber({ healthResetAt: resetAt });
+      const findSpy = jest.spyOn(CallLog, 'findAll').mockResolvedValue([]);
+
+      const result = await callerIdHealthService.evaluateNumber(number, SETTINGS);
+
+      const where = findSpy.mock.calls[0][0].where;
+      expect(where.createdAt[Op.gte]).toEqual(resetAt);
+      expect(result.score).toBeNull();
+      expect(result.retired).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,112 @@
+/**
+ * Calling Window Service Unit Tests
+ * Tests timezone inference and local calling-window checks
+ */
+
+const { inferTimezoneFromPhone } = require('../../src/utils/timezone');
+const callingWindowService = require('../../src/services/calling-window.service');
+
+describe('Calling Window Service Tests', () => {
+  const campaign = {
+    settings: {
+      callHoursStart: '09:00',
+      callHoursEnd: '17:00'
+    }
+  };
+
+  describe('inferTimezoneFromPhone', () => {
+    it('should map NANP area codes to their timezone', () => {
+      expect(inferTimezoneFromPhone('+12125551234')).toBe('America/New_York');
+      expect(inferTimezoneFromPhone('+13125551234')).toBe('America/Chicago');
+      expect(inferTimezoneFromPhone('(415) 555-1234')).toBe('America/Los_Angeles');
+      expect(inferTimezoneFromPhone('+16025551234')).toBe('America/Phoenix');
+    });
+
+    it('should fall back to the country calling code', () => {
+      expect(inferTimezoneFromPhone('+442071234567')).toBe('Europe/London');
+      expect(inferTimezoneFromPhone('+35312345678')).toBe('Europe/Dublin');
+    });
+
+    it('should return null for unknown numbers', () => {
+      expect(inferTimezoneFromPhone('+15555551234')).toBeNull();
+      expect(inferTimezoneFromPhone('12345')).toBeNull();
+      expect(inferTimezoneFromPhone(null)).toBeNull();
+    });
+  });
+
+  describe('checkCallingWindow', () => {
+    // 2024-01-15 14:00 UTC = 09:00 in New York, 06:00 in Los Angeles
+    const now = new Date('2024-01-15T14:00:00Z');
+
+    it('should allow contacts inside their local window', () => {
+      const result = callingWindowService.checkCallingWindow({ phone: '+12125551234' }, campaign, now);
+
+      expect(result.allowed).toBe(true);
+      expect(result.timezone).toBe('America/New_York');
+      expect(result.nextSlot).toBeNull();
+    });
+
+    it('should defer contacts to the start of their local window', () => {
+      const result = callingWindowService.checkCallingWindow({ phone: '+14155551234' }, campaign, now);
+
+      expect(result.allowed).toBe(false);
+      expect(result.timezone).toBe('America/Los_Angeles');
+      // 09:00 Pacific = 17:00 UTC
+      expect(result.nextSlot.toISOString()).toBe('2024-01-15T17:00:00.000Z');
+    });
+
+    it('should defer to the next day once the window has closed', () => {
+      const evening = new Date('2024-01-15T23:30:00Z'); // 18:30 in New York
+      const result = callingWindowService.checkCallingWindow({ phone: '+12125551234' }, campaign, evening);
+
+      expect(result.allowed).toBe(false);
+      expect(result.nextSlot.toISOString()).toBe('2024-01-16T14:00:00.000Z');
+    });
+
+    it('should prefer the stored contact timezone over the area code', () => {
+      const result = callingWindowService.checkCallingWindow(
+        { phone: '+14155551234', timezone: 'America/New_York' },
+        campaign,
+        now
+      );
+
+      expect(result.allowed).toBe(true);
+      expect(result.timezone).toBe('America/New_York');
+    });
+
+    it('should land on the window start across a DST change', () => {
+      // 2024-03-10 02:00 local New York clocks jump forward; 22:00 UTC the day before is 17:00 EST
+      const beforeDst = new Date('2024-03-09T22:00:00Z');
+      const result = callingWindowService.checkCallingWindow({ phone: '+12125551234' }, campaign, beforeDst);
+
+      // 09:00 EDT = 13:00 UTC
+      expect(result.nextSlot.toISOString()).toBe('2024-03-10T13:00:00.000Z');
+    });
+
+    it('should skip holidays of the campaign calendar in the contact local date', () => {
+      const schedule = {
+        timezone: 'America/New_York',
+        holidays: [{ date: '2024-01-15' }, { date: '2024-01-16' }, { date: '2024-01-17', hours: [{ start: '10:00', end: '12:00' }] }]
+      };
+      const result = callingWindowService.checkCallingWindow({ phone: '+12125551234' }, campaign, now, schedule);
+
+      expect(result.allowed).toBe(false);
+      expect(result.holiday).toBe(true);
+      // Holidays with hours of their own do not stop dialing
+      expect(result.nextSlot.toISOString()).toBe('2024-01-17T14:00:00.000Z');
+
+      // 2024-01-16 01:00 UTC is still the 15th in Los Angeles
+      const evening = new Date('2024-01-16T01:00:00Z');
+      expect(callingWindowService.checkCallingWindow({ phone: '+14155551234' }, campaign, evening, schedule).holiday).toBe(true);
+    });
+  });
+
+  describe('isQuietTime', () => {
+    it('should evaluate quiet hours in the given timezone', () => {
+      const now = new Date('2024-01-15T02:00:00Z'); // 21:00 New York, 18:00 Los Angeles
+
+      expect(callingWindowService.isQuietTime('America/New_York', 20, 8, now)).toBe(true);
+      expect(callingWindowService.isQuietTime('America/Los_Angeles', 20, 8, now)).toBe(false);
+    });
+  });
+});
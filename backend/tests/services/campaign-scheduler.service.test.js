@@ -0,0 +1,101 @@
+/**
+ * Campaign Scheduler Service Unit Tests
+ * Tests that due callbacks and fresh contacts share the campaign's concurrent call limit,
+ * and that a line is held until its call ends
+ */
+
+const { CallLog, CallQueue } = require('../../src/models');
+const callLimiterService = require('../../src/services/call-limiter.service');
+const callQueueService = require('../../src/services/call-queue.service');
+const callSchedulerService = require('../../src/services/call-scheduler.service');
+const callingWindowService = require('../../src/services/calling-window.service');
+const pacingService = require('../../src/services/pacing.service');
+const { CampaignScheduler } = require('../../src/services/campaign-scheduler.service');
+
+describe('Campaign Scheduler Service Tests', () => {
+  let scheduler;
+  // Campaign lines as the database holds them
+  let lines;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+
+    lines = new Set();
+    jest.spyOn(pacingService, 'trackCall').mockImplementation(async (campaignId, callSid) => lines.add(callSid));
+    jest.spyOn(pacingService, 'countLiveLines').mockImplementation(async () => lines.size);
+    jest.spyOn(pacingService, 'getLiveCallSids').mockImplementation(async () => Array.from(lines));
+    jest.spyOn(pacingService, 'recordCallEnded').mockImplementation(async (callSid) => lines.delete(callSid));
+
+    scheduler = new CampaignScheduler('campaign-1', { maxConcurrentCalls: 3, callDelayMs: 100 });
+    scheduler.isRunning = true;
+    scheduler.campaignData = { workspaceId: 'workspace-1', update: jest.fn().mockResolvedValue(null) };
+
+    jest.spyOn(scheduler, 'holdsLease').mockResolvedValue(true);
+    jest.spyOn(scheduler, 'persistState').mockResolvedValue(null);
+    jest.spyOn(callingWindowService, 'checkCallingWindow').mockReturnValue({ allowed: true });
+  });
+
+  afterEach(() => {
+    jest.clearAllTimers();
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  it('should never dial more callbacks and contacts in one tick than maxConcurrentCalls', async () => {
+    jest.spyOn(CallQueue, 'count').mockResolvedValue(2);
+    const processQueue = jest.spyOn(callQueueService, 'processQueue').mockResolvedValue({
+      processed: 2,
+      success: 2,
+      calls: [
+        { queueId: 1, callSid: 'CA-callback-1', status: 'success' },
+        { queueId: 2, callSid: 'CA-callback-2', status: 'success' }
+      ]
+    });
+    jest.spyOn(scheduler, 'getContactBatch').mockResolvedValue(
+      [1, 2, 3, 4, 5].map(id => ({ id, phone: `+1212555010${id}` }))
+    );
+
+    let peakCalls = 0;
+    const makeCall = jest.spyOn(scheduler, 'makeCall').mockImplementation(async (contact) => {
+      peakCalls = Math.max(peakCalls, lines.size + scheduler.pendingDials);
+      await scheduler.trackActiveCall(`CA-contact-${contact.id}`);
+      return { callSid: `CA-contact-${contact.id}` };
+    });
+
+    const batch = scheduler.processBatch();
+    await jest.advanceTimersByTimeAsync(10000);
+    scheduler.isRunning = false;
+    await jest.advanceTimersByTimeAsync(1000);
+    await batch;
+
+    expect(processQueue).toHaveBeenCalledWith(2, { campaignId: 'campaign-1', type: 'callback' });
+    expect(makeCall).toHaveBeenCalledTimes(1);
+    expect(peakCalls).toBeLessThanOrEqual(3);
+  });
+
+  it('should leave no room for callbacks while contacts fill every line', async () => {
+    await scheduler.trackActiveCall('CA-contact-1');
+    await scheduler.trackActiveCall('CA-contact-2');
+    scheduler.pendingDials = 1;
+    const count = jest.spyOn(CallQueue, 'count');
+
+    await expect(scheduler.dialDueCallbacks()).resolves.toBe(0);
+    expect(count).not.toHaveBeenCalled();
+  });
+
+  it('should hold an unpaced line until the call ends, however long it lasts', async () => {
+    await scheduler.trackActiveCall('CA-contact-1');
+    expect(pacingService.trackCall).toHaveBeenCalledWith('campaign-1', 'CA-contact-1', null);
+
+    await jest.advanceTimersByTimeAsync(10 * 60 * 1000);
+    expect(await scheduler.hasDialCapacity()).toBe(true);
+    jest.spyOn(callLimiterService, 'releaseCall').mockResolvedValue(0);
+    jest.spyOn(CallQueue, 'findOne').mockResolvedValue(null);
+    jest.spyOn(CallLog, 'findOne').mockResolvedValue(null);
+    expect((await scheduler.getStatus()).activeCallCount).toBe(1);
+
+    await callSchedulerService.handleCallCompletion('CA-contact-1', 'completed', { duration: 600 });
+    expect(pacingService.recordCallEnded).toHaveBeenCalledWith('CA-contact-1', 'completed', { duration: 600 });
+    expect((await scheduler.getStatus()).activeCallCount).toBe(0);
+  });
+});
@@ -0,0 +1,135 @@
+/**
+ * Conversational Bridge Service Unit Tests
+ * Tests the agent socket handshake, audio relay and forwarding of agent events
+ */
+
+const WebSocket = require('ws');
+const { CallLog } = require('../../src/models');
+const conversationalBridgeService = require('../../src/services/conversational-bridge.service');
+const elevenlabsService = require('../../src/services/elevenlabs.service');
+const callEventsService = require('../../src/services/call-events.service');
+const agentToolsService = require('../../src/services/agent-tools.service');
+
+const fakeSocket = () => ({ readyState: WebSocket.OPEN, send: jest.fn(), close: jest.fn() });
+const sentMessages = (socket) => socket.send.mock.calls.map(([message]) => JSON.parse(message));
+
+describe('Conversational Bridge Service Tests', () => {
+  let session;
+  let agentSocket;
+  let signalwireSocket;
+
+  beforeEach(async () => {
+    agentSocket = fakeSocket();
+    signalwireSocket = fakeSocket();
+    jest.spyOn(CallLog, 'findOne').mockResolvedValue({
+      workspaceId: 'workspace-1',
+      callData: { agentVariables: { dynamicVariables: { firstName: 'Dana' } } },
+      update: jest.fn()
+    });
+    jest.spyOn(elevenlabsService, 'getConversationSignedUrl').mockResolvedValue('wss://example.test/convai');
+    jest.spyOn(callEventsService, 'processTranscriptUpdate').mockImplementation(() => {});
+    jest.spyOn(callEventsService, 'createCustomEvent').mockImplementation(() => {});
+
+    session = conversationalBridgeService.createConversationalBridge('CA400', 'agent-1');
+    jest.spyOn(session, 'openAgentSocket').mockResolvedValue(agentSocket);
+    await session.initialize(signalwireSocket, { encoding: 'audio/x-mulaw', sampleRate: 8000 }, { streamSid: 'MZ400' });
+  });
+
+  afterEach(async () => {
+    await conversationalBridgeService.closeConversationalBridge('CA400');
+    jest.restoreAllMocks();
+  });
+
+  it('should start the conversation with the contact variables and the call SID', () => {
+    expect(sentMessages(agentSocket)).toEqual([{
+      type: 'conversation_initiation_client_data',
+      dynamic_variables: { firstName: 'Dana', call_sid: 'CA400' }
+    }]);
+  });
+
+  it("should sign the agent socket with the call's workspace key", () => {
+    expect(elevenlabsService.getConversationSignedUrl).toHaveBeenCalledWith('agent-1', 'workspace-1');
+  });
+
+  it('should relay μ-law audio unchanged when the agent speaks telephony audio', async () => {
+    await session.handleAgentMessage({
+      type: 'conversation_initiation_metadata',
+      conversation_initiation_metadata_event: {
+        conversation_id: 'conv-1',
+        user_input_audio_format: 'ulaw_8000',
+        agent_output_audio_format: 'ulaw_8000'
+      }
+    });
+
+    await session.processSignalWireAudio({ track: 'inbound', payload: 'AAEC' });
+    await session.handleAgentMessage({ type: 'audio', audio_event: { audio_base_64: '/w==', event_id: 1 } });
+
+    expect(sentMessages(agentSocket)).toContainEqual({ user_audio_chunk: 'AAEC' });
+    expect(sentMessages(signalwireSocket)).toEqual([
+      { event: 'media', streamSid: 'MZ400', media: { payload: '/w==' } }
+    ]);
+  });
+
+  it('should convert caller audio for agents that take 16 kHz PCM', async () => {
+    await session.handleAgentMessage({
+      type: 'conversation_initiation_metadata',
+      conversation_initiation_metadata_event: {
+        conversation_id: 'conv-1',
+        user_input_audio_format: 'pcm_16000',
+        agent_output_audio_format: 'pcm_16000'
+      }
+    });
+
+    await session.processSignalWireAudio({ track: 'inbound', payload: Buffer.alloc(160, 0xff).toString('base64') });
+    await session.handleAgentMessage({ type: 'audio', audio_event: { audio_base_64: Buffer.alloc(640).toString('base64') } });
+
+    const audio = sentMessages(agentSocket).find(message => message.user_audio_chunk);
+    // 20 ms of 8 kHz μ-law becomes 20 ms of 16 kHz 16-bit PCM, and back
+    expect(Buffer.from(audio.user_audio_chunk, 'base64')).toHaveLength(640);
+    expect(Buffer.from(sentMessages(signalwireSocket)[0].media.payload, 'base64')).toHaveLength(160);
+  });
+
+  it('should clear queued audio when the agent is interrupted', async () => {
+    await session.handleAgentMessage({ type: 'interruption', interruption_event: { event_id: 7 } });
+
+    expect(sentMessages(signalwireSocket)).toEqual([{ event: 'clear', streamSid: 'MZ400' }]);
+    expect(callEventsService.createCustomEvent).toHaveBeenCalledWith('CA400', 'agent_interruption', expect.any(Object));
+  });
+
+  it('should forward transcripts and answer pings', async () => {
+    await session.handleAgentMessage({ type: 'user_transcript', user_transcription_event: { user_transcript: 'Is it due soon?' } });
+    await session.handleAgentMessage({ type: 'agent_response', agent_response_event: { agent_response: 'Next month.' } });
+    await session.handleAgentMessage({ type: 'ping', ping_event: { event_id: 3, ping_ms: 40 } });
+
+    expect(callEventsService.processTranscriptUpdate.mock.calls.map(([, transcript]) => [transcript.role, transcript.text]))
+      .toEqual([['user', 'Is it due soon?'], ['assistant', 'Next month.']]);
+    expect(sentMessages(agentSocket)).toContainEqual({ type: 'pong', event_id: 3 });
+  });
+
+  it('should run client tool calls as agent tools on the call', async () => {
+    const invokeTool = jest.spyOn(agentToolsService, 'invokeTool').mockResolvedValue({ found: true, firstName: 'Dana' });
+
+    await session.handleAgentMessage({
+      type: 'client_tool_call',
+      client_tool_call: { tool_name: 'lookup_contact', tool_call_id: 'tool-1', parameters: {} }
+    });
+    await session.handleAgentMessage({
+      type: 'client_tool_call',
+      client_tool_call: { tool_name: 'send_email', tool_call_id: 'tool-2', parameters: {} }
+    });
+
+    expect(invokeTool).toHaveBeenCalledTimes(1);
+    expect(invokeTool).toHaveBeenCalledWith('lookup_contact', expect.objectContaining({ call_sid: 'CA400' }));
+    expect(sentMessages(agentSocket).filter(message => message.type === 'client_tool_result')).toEqual([
+      { type: 'client_tool_result', tool_call_id: 'tool-1', result: '{"found":true,"firstName":"Dana"}', is_error: false },
+      { type: 'client_tool_result', tool_call_id: 'tool-2', result: 'Unknown tool send_email', is_error: true }
+    ]);
+  });
+
+  it('should close the agent socket when the call stops', async () => {
+    await conversationalBridgeService.closeConversationalBridge('CA400');
+
+    expect(agentSocket.close).toHaveBeenCalledWith(1000, 'Call ended');
+    expect(conversationalBridgeService.getConversationalBridge('CA400')).toBeNull();
+  });
+});
@@ -0,0 +1,66 @@
+/**
+ * Do-Not-Call Service Unit Tests
+ * Tests number normalization and outbound call screening
+ */
+
+const { DncEntry, CallLog } = require('../../src/models');
+const dncService = require('../../src/services/dnc.service');
+
+describe('DNC Service Tests', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('normalizePhoneNumber', () => {
+    it('should store numbers in the format they are dialed', () => {
+      expect(dncService.normalizePhoneNumber('(212) 555-1234')).toBe('+12125551234');
+      expect(dncService.normalizePhoneNumber('1-212-555-1234')).toBe('+12125551234');
+      expect(dncService.normalizePhoneNumber('+442071234567')).toBe('+442071234567');
+    });
+
+    it('should return null for empty input', () => {
+      expect(dncService.normalizePhoneNumber('')).toBeNull();
+      expect(dncService.normalizePhoneNumber('n/a')).toBeNull();
+      expect(dncService.normalizePhoneNumber(null)).toBeNull();
+    });
+  });
+
+  describe('screenOutboundCall', () => {
+    const call = {
+      to: '(212) 555-1234',
+      from: '+13125550000',
+      workspaceId: 'workspace-1',
+      campaignId: 3,
+      contactId: 7
+    };
+
+    it('should allow numbers that are not listed', async () => {
+      jest.spyOn(DncEntry, 'findOne').mockResolvedValue(null);
+      const createSpy = jest.spyOn(CallLog, 'create').mockResolvedValue({});
+
+      const entry = await dncService.screenOutboundCall(call);
+
+      expect(entry).toBeNull();
+      expect(createSpy).not.toHaveBeenCalled();
+      expect(DncEntry.findOne.mock.calls[0][0].where.phoneNumber).toBe('+12125551234');
+    });
+
+    it('should log a blocked attempt when the number is listed', async () => {
+      const listed = { id: 12, workspaceId: null, reason: 'Litigator' };
+      jest.spyOn(DncEntry, 'findOne').mockResolvedValue(listed);
+      const createSpy = jest.spyOn(CallLog, 'create').mockResolvedValue({});
+
+      const entry = await dncService.screenOutboundCall(call);
+
+      expect(entry).toBe(listed);
+      expect(createSpy).toHaveBeenCalledWith(expect.objectContaining({
+        status: dncService.BLOCKED_CALL_STATUS,
+        direction: 'outbound',
+        workspaceId: 'workspace-1',
+        campaignId: 3,
+        contactId: 7,
+        callData: { dncEntryId: 12, dncScope: 'global', dncReason: 'Litigator' }
+      }));
+    });
+  });
+});
@@ -0,0 +1,188 @@
+/**
+ * Inbound Route Service Unit Tests
+ * Tests routing table validation and how routed calls are answered in and out of hours
+ */
+
+const { InboundRoute, BusinessSchedule, Campaign, PhoneNumber } = require('../../src/models');
+const inboundRouteService = require('../../src/services/inbound-route.service');
+const inboundRoutingService = require('../../src/services/inbound-routing.service');
+const callFlowService = require('../../src/services/call-flow.service');
+const callFlowInterpreter = require('../../src/services/call-flow-interpreter.service');
+const callHandlingService = require('../../src/services/call-handling.service');
+const campaignService = require('../../src/services/campaign.service');
+
+const NINE_TO_FIVE = [{ start: '09:00', end: '17:00' }];
+const WEEKDAYS = {
+  id: 1,
+  timezone: 'America/New_York',
+  weeklyHours: { 1: NINE_TO_FIVE, 2: NINE_TO_FIVE, 3: NINE_TO_FIVE, 4: NINE_TO_FIVE, 5: NINE_TO_FIVE },
+  holidays: []
+};
+
+// Monday 2026-10-19 in New York (UTC-4)
+const MONDAY_10AM = new Date('2026-10-19T14:00:00Z');
+const SATURDAY_10AM = new Date('2026-10-24T14:00:00Z');
+
+const buildRoute = (fields = {}) => ({
+  id: 4,
+  workspaceId: 'workspace-1',
+  phoneNumber: '+12125550000',
+  voiceAgentId: null,
+  callFlowId: null,
+  campaignId: null,
+  scheduleId: 1,
+  afterHours: { action: 'voicemail' },
+  fallback: { action: 'message', message: 'Please call back later.' },
+  isActive: true,
+  ...fields
+});
+
+const callData = { CallSid: 'CA123', From: '+13125550123', To: '(212) 555-0000' };
+
+describe('Inbound Route Service Tests', () => {
+  beforeEach(() => {
+    jest.spyOn(BusinessSchedule, 'findByPk').mockResolvedValue(WEEKDAYS);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('createRoute', () => {
+    it('should normalize the number and store only the fields a behavior uses', async () => {
+      jest.spyOn(InboundRoute, 'findOne').mockResolvedValue(null);
+      const create = jest.spyOn(InboundRoute, 'create').mockImplementation(async (fields) => fields);
+
+      await inboundRouteService.createRoute({
+        phoneNumber: '(212) 555-0000',
+        voiceAgentId: 'agent-1',
+        scheduleId: 1,
+        afterHours: { action: 'forward', forwardTo: '212-555-0100', voiceAgentId: 'ignored' }
+      }, 'workspace-1');
+
+      expect(create).toHaveBeenCalledWith(expect.objectContaining({
+        workspaceId: 'workspace-1',
+        phoneNumber: '+12125550000',
+        scheduleId: 1,
+        afterHours: { action: 'forward', forwardTo: '+12125550100' }
+      }));
+    });
+
+    it('should report every invalid field', async () => {
+      const create = jest.spyOn(InboundRoute, 'create');
+
+      const error = await inboundRouteService.createRoute({
+        phoneNumber: '+12125550000',
+        afterHours: { action: 'forward' },
+        fallback: { action: 'agent' }
+      }, 'workspace-1').catch(e => e);
+
+      expect(error).toBeInstanceOf(inboundRouteService.InvalidInboundRouteError);
+      expect(error.errors).toEqual([
+        'afterHours.forwardTo is required to forward calls',
+        'fallback.action must be one of voicemail, message, forward'
+      ]);
+      expect(create).not.toHaveBeenCalled();
+    });
+
+    it('should refuse a number that already has a route', async () => {
+      jest.spyOn(InboundRoute, 'findOne').mockResolvedValue({ id: 9 });
+
+      await expect(inboundRouteService.createRoute({ phoneNumber: '+12125550000' }, 'workspace-1'))
+        .rejects.toThrow('+12125550000 already has a route');
+    });
+  });
+
+  describe('renderInboundCall', () => {
+    it('should leave numbers without a route to the flow assigned in the pool', async () => {
+      jest.spyOn(InboundRoute, 'findOne').mockResolvedValue(null);
+      const getFlowForNumber = jest.spyOn(callFlowService, 'getFlowForNumber').mockResolvedValue(null);
+
+      await expect(inboundRoutingService.renderInboundCall(callData, MONDAY_10AM)).resolves.toBeNull();
+      expect(getFlowForNumber).toHaveBeenCalledWith(callData.To);
+    });
+
+    it('should run the route call flow during business hours', async () => {
+      jest.spyOn(InboundRoute, 'findOne').mockResolvedValue(buildRoute({ callFlowId: 2, voiceAgentId: 'agent-1' }));
+      const active = { flow: { id: 2, scheduleId: null }, version: { version: 1 } };
+      jest.spyOn(callFlowService, 'getActiveFlow').mockResolvedValue(active);
+      const startFlow = jest.spyOn(callFlowInterpreter, 'startFlow').mockResolvedValue('<Response/>');
+
+      await expect(inboundRoutingService.renderInboundCall(callData, MONDAY_10AM)).resolves.toBe('<Response/>');
+      expect(startFlow).toHaveBeenCalledWith(active, callData);
+    });
+
+    it('should hand the call to the route voice agent when it has no flow', async () => {
+      jest.spyOn(InboundRoute, 'findOne').mockResolvedValue(buildRoute({ voiceAgentId: 'agent-1' }));
+      const handleInboundCall = jest.spyOn(callHandlingService, 'handleInboundCall').mockResolvedValue('<Response/>');
+
+      await inboundRoutingService.renderInboundCall(callData, MONDAY_10AM);
+
+      expect(handleInboundCall).toHaveBeenCalledWith(callData, { voiceAgentId: 'agent-1' });
+    });
+
+    it('should take voicemail after hours', async () => {
+      jest.spyOn(InboundRoute, 'findOne').mockResolvedValue(buildRoute({ voiceAgentId: 'agent-1' }));
+      const handleInboundCall = jest.spyOn(callHandlingService, 'handleInboundCall');
+
+      const xml = await inboundRoutingService.renderInboundCall(callData, SATURDAY_10AM);
+
+      expect(handleInboundCall).not.toHaveBeenCalled();
+      expect(xml).toContain('<Record action="http://localhost:3000/api/calls/inbound/voicemail"');
+    });
+
+    it('should be closed on a holiday without hours', async () => {
+      BusinessSchedule.findByPk.mockResolvedValue({
+        ...WEEKDAYS,
+        holidays: [{ date: '2026-10-19', name: 'Founders Day' }]
+      });
+      jest.spyOn(InboundRoute, 'findOne').mockResolvedValue(buildRoute({
+        voiceAgentId: 'agent-1',
+        afterHours: { action: 'message', message: 'Closed for the holiday.' }
+      }));
+      const handleInboundCall = jest.spyOn(callHandlingService, 'handleInboundCall');
+
+      const xml = await inboundRoutingService.renderInboundCall(callData, MONDAY_10AM);
+
+      expect(handleInboundCall).not.toHaveBeenCalled();
+      expect(xml).toContain('Closed for the holiday.');
+    });
+
+    it('should apply the schedule of a flow reached without a route', async () => {
+      jest.spyOn(InboundRoute, 'findOne').mockResolvedValue(null);
+      jest.spyOn(callFlowService, 'getFlowForNumber').mockResolvedValue({
+        flow: { id: 2, scheduleId: 1, afterHours: { action: 'agent', voiceAgentId: 'night-agent' } },
+        version: { version: 1 }
+      });
+      const startFlow = jest.spyOn(callFlowInterpreter, 'startFlow');
+      const handleInboundCall = jest.spyOn(callHandlingService, 'handleInboundCall').mockResolvedValue('<Response/>');
+
+      await inboundRoutingService.renderInboundCall(callData, SATURDAY_10AM);
+
+      expect(startFlow).not.toHaveBeenCalled();
+      expect(handleInboundCall).toHaveBeenCalledWith(callData, { voiceAgentId: 'night-agent' });
+    });
+
+    it('should use the fallback when the route flow cannot run and it has no agent', async () => {
+      jest.spyOn(InboundRoute, 'findOne').mockResolvedValue(buildRoute({ callFlowId: 2 }));
+      jest.spyOn(callFlowService, 'getActiveFlow').mockResolvedValue(null);
+
+      const xml = await inboundRoutingService.renderInboundCall(callData, MONDAY_10AM);
+
+      expect(xml).toContain('Please call back later.');
+      expect(xml).toContain('<Hangup');
+    });
+  });
+
+  describe('findCampaignByPhoneNumber', () => {
+    it('should prefer the route campaign over a dedicated pool number', async () => {
+      jest.spyOn(InboundRoute, 'findOne').mockResolvedValue(buildRoute({ campaignId: 'camp-1' }));
+      const poolLookup = jest.spyOn(PhoneNumber, 'findOne');
+      const campaignLookup = jest.spyOn(Campaign, 'findOne').mockResolvedValue({ id: 'camp-1' });
+
+      await expect(campaignService.findCampaignByPhoneNumber('+12125550000')).resolves.toEqual({ id: 'camp-1' });
+      expect(campaignLookup).toHaveBeenCalledWith({ where: { id: 'camp-1', workspaceId: 'workspace-1' } });
+      expect(poolLookup).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,68 @@
+/**
+ * Opt-Out Service Unit Tests
+ * Tests opt-out phrase detection in call transcripts
+ */
+
+const optOutService = require('../../src/services/opt-out.service');
+
+describe('Opt-Out Service Tests', () => {
+  describe('detectOptOut', () => {
+    it('should detect common opt-out requests', () => {
+      expect(optOutService.detectOptOut('Please take me off your list.')).not.toBeNull();
+      expect(optOutService.detectOptOut('remove me from the calling list')).not.toBeNull();
+      expect(optOutService.detectOptOut('Stop calling me!')).not.toBeNull();
+      expect(optOutService.detectOptOut("Don't call me again")).not.toBeNull();
+      expect(optOutService.detectOptOut('Put me on your do not call list')).not.toBeNull();
+      expect(optOutService.detectOptOut('Please add my number to the do-not-call list')).not.toBeNull();
+    });
+
+    it('should ignore ordinary conversation', () => {
+      expect(optOutService.detectOptOut('Can you call me back tomorrow?')).toBeNull();
+      expect(optOutService.detectOptOut('Yes, I am interested in the offer')).toBeNull();
+      expect(optOutService.detectOptOut('')).toBeNull();
+    });
+
+    it('should not treat questions about the do not call list as opt-outs', () => {
+      expect(optOutService.detectOptOut('Am I on your do not call list?')).toBeNull();
+      expect(optOutService.detectOptOut('What is a do not call list anyway?')).toBeNull();
+      expect(optOutService.detectOptOut('I thought I was on the national do-not-call list')).toBeNull();
+    });
+
+    it('should not treat negated requests as opt-outs', () => {
+      expect(optOutService.detectOptOut("Please don't take me off your list")).toBeNull();
+      expect(optOutService.detectOptOut('I never said stop calling me')).toBeNull();
+      expect(optOutService.detectOptOut('I never said stop calling me. Actually, stop calling me.')).not.toBeNull();
+    });
+
+    it('should not treat requests limited to a time or channel as opt-outs', () => {
+      expect(optOutService.detectOptOut("Don't call me before 5pm")).toBeNull();
+      expect(optOutService.detectOptOut('Can I unsubscribe from emails only?')).toBeNull();
+      expect(optOutService.detectOptOut("Don't call me at all")).not.toBeNull();
+    });
+  });
+
+  describe('findOptOutInTranscript', () => {
+    it('should only consider what the callee said', () => {
+      const messages = [
+        { role: 'agent', content: 'If you like, I can take you off our list.' },
+        { role: 'user', content: 'Sure, tell me more about it.' },
+        { role: 'agent', content: 'Happy to. Should I remove you from our list?' }
+      ];
+
+      expect(optOutService.findOptOutInTranscript(messages)).toBeNull();
+    });
+
+    it('should return the snippet and position of the request', () => {
+      const messages = [
+        { role: 'agent', content: 'Hi, this is Alex from Acme.', time_in_call_secs: 0 },
+        { role: 'user', content: 'No thanks, take me off your list.', time_in_call_secs: 4 }
+      ];
+
+      expect(optOutService.findOptOutInTranscript(messages)).toEqual({
+        snippet: 'No thanks, take me off your list.',
+        messageIndex: 1,
+        timeInCallSecs: 4
+      });
+    });
+  });
+});
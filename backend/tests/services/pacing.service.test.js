@@ -0,0 +1,194 @@
+/**
+ * Pacing Service Unit Tests
+ * Tests dial capacity in each pacing mode, the abandon-rate cap and campaign lines shared through the database
+ */
+
+const { Op } = require('sequelize');
+const db = require('../../src/models');
+const pacingService = require('../../src/services/pacing.service');
+
+const { CampaignLine } = db;
+
+// Match a row against the where clauses the pacing service uses
+const matches = (row, where = {}) => Object.entries(where).every(([field, condition]) => {
+  if (Array.isArray(condition)) {
+    return condition.includes(row[field]);
+  }
+  if (condition && condition[Op.gt]) {
+    return row[field] > condition[Op.gt];
+  }
+  if (condition && Object.getOwnPropertySymbols(condition).includes(Op.ne)) {
+    return row[field] !== condition[Op.ne];
+  }
+  return row[field] === condition;
+});
+
+// Back the campaign_lines table with an array, as one database every worker shares
+const mockStorage = () => {
+  let rows = [];
+
+  jest.spyOn(db.sequelize, 'transaction').mockImplementation(fn => fn({ LOCK: { UPDATE: 'UPDATE' } }));
+
+  jest.spyOn(CampaignLine, 'create').mockImplementation(async (values) => {
+    const row = {
+      state: 'ringing',
+      abandoned: false,
+      connectedAt: null,
+      endedAt: null,
+      human: null,
+      machine: null,
+      handleTimeSec: null,
+      ...values,
+      update: jest.fn(async function (changes) {
+        return Object.assign(this, changes);
+      })
+    };
+    rows.push(row);
+    return row;
+  });
+  jest.spyOn(CampaignLine, 'findAll').mockImplementation(async ({ where, order, limit, offset = 0 }) => {
+    const found = rows.filter(row => matches(row, where));
+    if (order) {
+      const [[field, direction]] = order;
+      found.sort((a, b) => (a[field] < b[field] ? -1 : a[field] > b[field] ? 1 : 0) * (direction === 'DESC' ? -1 : 1));
+    }
+    return found.slice(offset, limit === undefined ? undefined : offset + limit);
+  });
+  jest.spyOn(CampaignLine, 'findOne').mockImplementation(async ({ where }) => rows.find(row => matches(row, where)) || null);
+  jest.spyOn(CampaignLine, 'count').mockImplementation(async ({ where }) => rows.filter(row => matches(row, where)).length);
+  jest.spyOn(CampaignLine, 'update').mockImplementation(async (values, { where }) => {
+    const updated = rows.filter(row => matches(row, where));
+    updated.forEach(row => Object.assign(row, values));
+    return [updated.length];
+  });
+  jest.spyOn(CampaignLine, 'destroy').mockImplementation(async ({ where }) => {
+    const before = rows.length;
+    rows = rows.filter(row => !matches(row, where));
+    return before - rows.length;
+  });
+
+  return { rows: () => rows };
+};
+
+describe('Pacing Service Tests', () => {
+  let storage;
+
+  beforeEach(() => {
+    storage = mockStorage();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const createController = (settings) => new pacingService.PacingController('campaign-1', {
+    ...pacingService.getPacingSettings({ settings }),
+    statsWindow: 100
+  });
+
+  const dial = (controller, callSid) => pacingService.trackCall(controller.campaignId, callSid, controller.settings);
+
+  // Finish `count` calls, `answered` of them reached by a person, optionally abandoned
+  const simulateCalls = async (controller, count, answered, abandoned = 0) => {
+    for (let i = 0; i < count; i++) {
+      const callSid = `sim-${i}`;
+      const line = await dial(controller, callSid);
+      if (i < answered) {
+        await pacingService.recordCallAnswered(callSid);
+        line.abandoned = i < abandoned;
+      }
+      await pacingService.recordCallEnded(callSid, i < answered ? 'completed' : 'no-answer', { duration: i < answered ? 60 : 0 });
+    }
+  };
+
+  describe('getPacingSettings', () => {
+    it('should leave pacing off unless a known mode is chosen', () => {
+      expect(pacingService.getPacingSettings({ settings: {} }).mode).toBeNull();
+      expect(pacingService.getPacingSettings({ settings: { pacingMode: 'turbo' } }).mode).toBeNull();
+      expect(pacingService.getPacingSettings({ settings: { pacingMode: 'predictive' } }).mode).toBe('predictive');
+    });
+  });
+
+  describe('getDialCapacity', () => {
+    it('should dial one call at a time in preview mode', async () => {
+      const controller = createController({ pacingMode: 'preview', transferAgents: 3 });
+
+      expect(await controller.getDialCapacity()).toBe(1);
+      await dial(controller, 'call-1');
+      expect(await controller.getDialCapacity()).toBe(0);
+    });
+
+    it('should dial one line per free agent in progressive mode', async () => {
+      const controller = createController({ pacingMode: 'progressive', transferAgents: 3 });
+      await dial(controller, 'call-1');
+      await dial(controller, 'call-2');
+      await pacingService.recordCallAnswered('call-2');
+
+      // 2 free agents, 1 line already ringing
+      expect(await controller.getDialCapacity()).toBe(1);
+    });
+
+    it('should overdial by the inverse answer rate in predictive mode', async () => {
+      const controller = createController({ pacingMode: 'predictive', transferAgents: 2, maxDialRatio: 5 });
+      await simulateCalls(controller, 40, 10);
+
+      expect((await controller.getStats()).answerRate).toBe(0.25);
+      // 2 free agents at a 1:4 ratio
+      expect(await controller.getDialCapacity()).toBe(8);
+    });
+
+    it('should fall back to progressive once the abandon rate reaches the cap', async () => {
+      const controller = createController({ pacingMode: 'predictive', transferAgents: 2, maxAbandonRate: 5 });
+      await simulateCalls(controller, 40, 20, 1);
+
+      expect((await controller.getStats()).abandonRate).toBe(5);
+      expect(await controller.getDialCapacity()).toBe(2);
+    });
+  });
+
+  describe('recordCallAnswered', () => {
+    it('should count a person answering while all agents are busy as abandoned', async () => {
+      const controller = createController({ pacingMode: 'predictive', transferAgents: 1 });
+      await dial(controller, 'call-1');
+      await dial(controller, 'call-2');
+      await pacingService.recordCallAnswered('call-1');
+      await pacingService.recordCallAnswered('call-2');
+      await pacingService.recordCallEnded('call-1', 'completed', { duration: 30 });
+      await pacingService.recordCallEnded('call-2', 'completed', { duration: 5 });
+
+      expect((await controller.getStats()).abandonRate).toBe(50);
+    });
+  });
+
+  describe('campaign lines', () => {
+    it('should free a line ended through any worker once, and stop counting it', async () => {
+      const controller = createController({ pacingMode: 'progressive', transferAgents: 1 });
+      await dial(controller, 'call-1');
+      expect(await pacingService.countLiveLines('campaign-1')).toBe(1);
+      expect(await controller.getDialCapacity()).toBe(0);
+
+      // The status webhook and the call.ended event both report the end
+      expect(await pacingService.recordCallStatus('call-1', 'ringing')).toBe(false);
+      expect(await pacingService.recordCallStatus('call-1', 'no-answer')).toBe(true);
+      expect(await pacingService.recordCallEnded('call-1', 'no-answer')).toBe(false);
+
+      expect(await pacingService.countLiveLines('campaign-1')).toBe(0);
+      expect((await controller.getStats()).sampleSize).toBe(1);
+      expect(await controller.getDialCapacity()).toBe(1);
+    });
+
+    it('should stop counting lines whose end is never reported', async () => {
+      await pacingService.trackCall('campaign-1', 'call-lost');
+      storage.rows()[0].expiresAt = new Date(Date.now() - 1000);
+
+      expect(await pacingService.getLiveCallSids('campaign-1')).toEqual([]);
+    });
+
+    it('should keep only the outcomes of the stats window', async () => {
+      const controller = createController({ pacingMode: 'predictive', transferAgents: 1 });
+      await simulateCalls(controller, 105, 0);
+
+      expect(storage.rows()).toHaveLength(100);
+    });
+  });
+});
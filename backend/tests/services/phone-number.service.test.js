@@ -0,0 +1,214 @@
+/**
+ * Phone Number Service Unit Tests
+ * Tests caller ID availability and local presence selection
+ */
+
+const { PhoneNumber } = require('../../src/models');
+const phoneNumberService = require('../../src/services/phone-number.service');
+const { CallLimitError } = require('../../src/services/call-limiter.service');
+
+const NOW = new Date('2023-08-01T15:00:00Z');
+
+const buildNumber = (fields) => {
+  const number = PhoneNumber.build({
+    workspaceId: 'workspace-1',
+    status: 'active',
+    dailyCap: 100,
+    cooldownSeconds: 30,
+    callsToday: 0,
+    totalCalls: 0,
+    ...fields
+  });
+  jest.spyOn(number, 'update').mockImplementation(async (values) => Object.assign(number, values));
+  return number;
+};
+
+describe('Phone Number Service Tests', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('getAreaCode', () => {
+    it('should read the area code of NANP numbers', () => {
+      expect(phoneNumberService.getAreaCode('(212) 555-1234')).toBe('212');
+      expect(phoneNumberService.getAreaCode('+13125550000')).toBe('312');
+    });
+
+    it('should return null for other numbers', () => {
+      expect(phoneNumberService.getAreaCode('+442071234567')).toBeNull();
+      expect(phoneNumberService.getAreaCode(null)).toBeNull();
+    });
+  });
+
+  describe('isAvailable', () => {
+    it('should skip numbers at their daily cap', () => {
+      const number = buildNumber({ dailyCap: 5, callsToday: 5, usageDate: '2023-08-01' });
+      expect(phoneNumberService.isAvailable(number, NOW)).toBe(false);
+    });
+
+    it('should reset the daily count on a new day', () => {
+      const number = buildNumber({ dailyCap: 5, callsToday: 5, usageDate: '2023-07-31' });
+      expect(phoneNumberService.isAvailable(number, NOW)).toBe(true);
+    });
+
+    it('should skip numbers that are cooling down', () => {
+      const number = buildNumber({ lastUsedAt: new Date(NOW.getTime() - 10000) });
+      expect(phoneNumberService.isAvailable(number, NOW)).toBe(false);
+
+      number.lastUsedAt = new Date(NOW.getTime() - 60000);
+      expect(phoneNumberService.isAvailable(number, NOW)).toBe(true);
+    });
+
+    it('should skip paused numbers', () => {
+      expect(phoneNumberService.isAvailable(buildNumber({ status: 'paused' }), NOW)).toBe(false);
+    });
+  });
+
+  describe('selectCallerId', () => {
+    it('should prefer a number with the callee area code', async () => {
+      const chicago = buildNumber({ id: 1, phoneNumber: '+13125550000', areaCode: '312', state: 'IL' });
+      const newYork = buildNumber({ id: 2, phoneNumber: '+12125550000', areaCode: '212', state: 'NY' });
+      jest.spyOn(PhoneNumber, 'findAll').mockResolvedValue([chicago, newYork]);
+
+      const result = await phoneNumberService.selectCallerId({
+        to: '(212) 555-1234',
+        workspaceId: 'workspace-1',
+        campaignId: 'campaign-1'
+      });
+
+      expect(result.from).toBe('+12125550000');
+      expect(result.match).toBe('area-code');
+      // Usage is recorded by the dialer once the call is placed
+      expect(newYork.update).not.toHaveBeenCalled();
+    });
+
+    it('should fall back to the callee state', async () => {
+      const chicago = buildNumber({ id: 1, phoneNumber: '+13125550000', areaCode: '312', state: 'IL' });
+      const buffalo = buildNumber({ id: 2, phoneNumber: '+17165550000', areaCode: '716', state: 'NY' });
+      jest.spyOn(PhoneNumber, 'findAll').mockResolvedValue([chicago, buffalo]);
+
+      const result = await phoneNumberService.selectCallerId({
+        to: '+12125551234',
+        workspaceId: 'workspace-1',
+        calleeState: 'ny'
+      });
+
+      expect(result.number).toBe(buffalo);
+      expect(result.match).toBe('state');
+    });
+
+    it('should use the least recently used number under round-robin', async () => {
+      const first = buildNumber({ id: 1, phoneNumber: '+13125550000', areaCode: '312' });
+      const second = buildNumber({ id: 2, phoneNumber: '+12125550000', areaCode: '212' });
+      jest.spyOn(PhoneNumber, 'findAll').mockResolvedValue([first, second]);
+
+      const result = await phoneNumberService.selectCallerId({
+        to: '+12125551234',
+        workspaceId: 'workspace-1',
+        strategy: 'round-robin'
+      });
+
+      expect(result.number).toBe(first);
+      expect(result.match).toBe('round-robin');
+    });
+
+    it('should only use campaign numbers when the campaign has any', async () => {
+      const shared = buildNumber({ id: 1, phoneNumber: '+12125550000', areaCode: '212', campaignId: null });
+      const dedicated = buildNumber({ id: 2, phoneNumber: '+13125550000', areaCode: '312', campaignId: 'campaign-1' });
+      jest.spyOn(PhoneNumber, 'findAll').mockResolvedValue([shared, dedicated]);
+
+      const result = await phoneNumberService.selectCallerId({
+        to: '+12125551234',
+        workspaceId: 'workspace-1',
+        campaignId: 'campaign-1'
+      });
+
+      expect(result.number).toBe(dedicated);
+    });
+
+    it('should refuse the dial when every number is unavailable', async () => {
+      const capped = buildNumber({ id: 1, phoneNumber: '+12125550000', dailyCap: 1, callsToday: 1, usageDate: new Date().toISOString().slice(0, 10) });
+      jest.spyOn(PhoneNumber, 'findAll').mockResolvedValue([capped]);
+
+      await expect(phoneNumberService.selectCallerId({ to: '+12125551234', from: '+12125550000', workspaceId: 'workspace-1' }))
+        .rejects.toThrow(CallLimitError);
+      expect(capped.update).not.toHaveBeenCalled();
+    });
+
+    it('should dial with the given number when the workspace has no pool', async () => {
+      jest.spyOn(PhoneNumber, 'findAll').mockResolvedValue([]);
+
+      expect(await phoneNumberService.selectCallerId({ to: '+12125551234', from: '+15555550000', workspaceId: 'workspace-1', strategy: 'local' }))
+        .toEqual({ from: '+15555550000', number: null, match: 'unpooled' });
+      expect(await phoneNumberService.selectCallerId({ to: '+12125551234', workspaceId: 'workspace-1' })).toBeNull();
+    });
+
+    it('should keep the requested number under the fixed strategy', async () => {
+      const requested = buildNumber({ id: 1, phoneNumber: '+15555550000', areaCode: '555' });
+      jest.spyOn(PhoneNumber, 'findOne').mockResolvedValue(requested);
+      const findAll = jest.spyOn(PhoneNumber, 'findAll');
+
+      const result = await phoneNumberService.selectCallerId({
+        to: '+12125551234',
+        from: '+15555550000',
+        workspaceId: 'workspace-1'
+      });
+
+      expect(result).toEqual({ from: '+15555550000', number: requested, match: 'fixed' });
+      expect(findAll).not.toHaveBeenCalled();
+    });
+
+    it('should not dial with a requested number outside the pool when the workspace has one', async () => {
+      const spare = buildNumber({ id: 2, phoneNumber: '+13125550000', areaCode: '312' });
+      jest.spyOn(PhoneNumber, 'findOne').mockResolvedValue(null);
+      jest.spyOn(PhoneNumber, 'findAll').mockResolvedValue([spare]);
+
+      const result = await phoneNumberService.selectCallerId({
+        to: '+12125551234',
+        from: '+15555550000',
+        workspaceId: 'workspace-1'
+      });
+
+      expect(result).toEqual({ from: '+13125550000', number: spare, match: 'round-robin' });
+    });
+
+    it('should keep a requested number outside the pool when the workspace has no pool', async () => {
+      jest.spyOn(PhoneNumber, 'findOne').mockResolvedValue(null);
+      jest.spyOn(PhoneNumber, 'findAll').mockResolvedValue([]);
+
+      const result = await phoneNumberService.selectCallerId({
+        to: '+12125551234',
+        from: '+15555550000',
+        workspaceId: 'workspace-1'
+      });
+
+      expect(result).toEqual({ from: '+15555550000', number: null, match: 'unpooled' });
+    });
+
+    it('should swap a requested number that is retired or capped for one from the pool', async () => {
+      const retired = buildNumber({ id: 1, phoneNumber: '+12125550000', areaCode: '212', status: 'retired' });
+      const spare = buildNumber({ id: 2, phoneNumber: '+13125550000', areaCode: '312' });
+      jest.spyOn(PhoneNumber, 'findOne').mockResolvedValue(retired);
+      jest.spyOn(PhoneNumber, 'findAll').mockResolvedValue([spare]);
+
+      const result = await phoneNumberService.selectCallerId({
+        to: '+12125551234',
+        from: '+12125550000',
+        workspaceId: 'workspace-1'
+      });
+
+      expect(result.number).toBe(spare);
+      expect(retired.update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('recordUsage', () => {
+    it('should count the call and restart the cooldown', async () => {
+      const number = buildNumber({ id: 1, phoneNumber: '+12125550000', callsToday: 2, usageDate: NOW.toISOString().slice(0, 10), totalCalls: 5 });
+
+      await phoneNumberService.recordUsage(number, NOW);
+
+      expect(number.update).toHaveBeenCalledWith(expect.objectContaining({ callsToday: 3, totalCalls: 6, lastUsedAt: NOW }));
+    });
+  });
+});
@@ -0,0 +1,118 @@
+/**
+ * Prompt Variables Service Unit Tests
+ * Tests template validation, per-contact rendering and the pre-start campaign check
+ */
+
+const { CallLog, Contact, Conversation } = require('../../src/models');
+const promptVariablesService = require('../../src/services/prompt-variables.service');
+
+const buildContact = (fields = {}) => ({
+  id: 7,
+  firstName: 'Dana',
+  lastName: 'Reyes',
+  phone: '+13125550199',
+  email: null,
+  timezone: 'America/Chicago',
+  customFields: { policyNumber: 'PN-1001' },
+  ...fields
+});
+
+describe('Prompt Variables Service Tests', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('validatePromptSettings', () => {
+    it('should accept known and custom field variables', () => {
+      expect(promptVariablesService.validatePromptSettings({
+        prompt: 'Call {{ firstName }} about {{customFields.policyNumber}} for {{campaignName}}',
+        firstMessage: 'Hi {{firstName}}',
+        requiredVariables: ['firstName', 'customFields.policyNumber']
+      })).toEqual([]);
+    });
+
+    it('should reject unknown variables in templates and required variables', () => {
+      const errors = promptVariablesService.validatePromptSettings({
+        greeting: 'Hi {{nickname}}',
+        requiredVariables: ['customFields.']
+      });
+
+      expect(errors).toEqual([
+        'promptSettings.firstMessage uses unknown variable {{nickname}}',
+        'promptSettings.requiredVariables has unknown variable customFields.'
+      ]);
+      expect(promptVariablesService.validatePromptSettings({ requiredVariables: 'firstName' }))
+        .toEqual(['promptSettings.requiredVariables must be a list of variable names']);
+    });
+  });
+
+  describe('resolveForCall', () => {
+    it('should render the prompt and first message for the contact', async () => {
+      jest.spyOn(CallLog, 'findOne').mockResolvedValue({
+        callSid: 'CA100',
+        status: 'completed',
+        startTime: new Date('2026-10-12T15:00:00Z')
+      });
+      jest.spyOn(Conversation, 'findOne').mockResolvedValue({ summary: 'Asked about renewal pricing' });
+
+      const resolved = await promptVariablesService.resolveForCall({
+        agentConfig: {
+          promptSettings: {
+            prompt: 'Policy {{customFields.policyNumber}} for {{campaignName}}. Last time: {{lastCallSummary}}',
+            greeting: 'Hi {{firstName}}{{email}}',
+            requiredVariables: ['firstName', 'email']
+          }
+        },
+        contact: buildContact(),
+        campaign: { name: 'Renewals' },
+        callSid: 'CA200'
+      });
+
+      expect(CallLog.findOne).toHaveBeenCalledWith(expect.objectContaining({
+        where: expect.objectContaining({ contactId: 7 })
+      }));
+      expect(resolved.prompt).toBe('Policy PN-1001 for Renewals. Last time: Asked about renewal pricing');
+      expect(resolved.firstMessage).toBe('Hi Dana');
+      expect(resolved.dynamicVariables).toEqual(expect.objectContaining({
+        fullName: 'Dana Reyes',
+        'customFields.policyNumber': 'PN-1001',
+        lastCallAt: '2026-10-12T15:00:00.000Z'
+      }));
+      expect(resolved.missing).toEqual(['email']);
+    });
+  });
+
+  describe('checkCampaignContacts', () => {
+    it('should flag pending contacts missing required variables', async () => {
+      const agentConfig = {
+        promptSettings: { requiredVariables: ['firstName', 'customFields.policyNumber'] }
+      };
+      const findAll = jest.spyOn(Contact, 'findAll').mockResolvedValue([
+        buildContact(),
+        buildContact({ id: 8, firstName: '', customFields: {} })
+      ]);
+      const lastCall = jest.spyOn(CallLog, 'findOne');
+
+      const check = await promptVariablesService.checkCampaignContacts({ id: 3, voiceAgentId: 'agent-1' }, agentConfig);
+
+      expect(findAll).toHaveBeenCalledWith(expect.objectContaining({
+        where: { campaignId: 3, status: 'pending', optedOut: false }
+      }));
+      expect(lastCall).not.toHaveBeenCalled();
+      expect(check).toEqual({
+        requiredVariables: ['firstName', 'customFields.policyNumber'],
+        total: 1,
+        contacts: [{ contactId: 8, phone: '+13125550199', missing: ['firstName', 'customFields.policyNumber'] }]
+      });
+    });
+
+    it('should not load contacts when the agent requires nothing', async () => {
+      const findAll = jest.spyOn(Contact, 'findAll');
+
+      const check = await promptVariablesService.checkCampaignContacts({ id: 3, voiceAgentId: 'agent-1' }, { promptSettings: {} });
+
+      expect(check.total).toBe(0);
+      expect(findAll).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,122 @@
+/**
+ * Retry Policy Service Unit Tests
+ * Tests per-disposition retry rules, delays and allowed retry slots
+ */
+
+const retryPolicyService = require('../../src/services/retry-policy.service');
+
+// Contact in New York
+const contact = { phone: '+12125551234' };
+
+const campaignWith = (settings) => ({ settings: { callHoursStart: '09:00', callHoursEnd: '17:00', ...settings } });
+
+describe('Retry Policy Service Tests', () => {
+  describe('getDisposition', () => {
+    it('should map call statuses to retry rules', () => {
+      expect(retryPolicyService.getDisposition('busy')).toBe('busy');
+      expect(retryPolicyService.getDisposition('no_answer')).toBe('no-answer');
+      expect(retryPolicyService.getDisposition('failed')).toBe('failed');
+      expect(retryPolicyService.getDisposition('completed', { answeredBy: 'machine_end_beep' })).toBe('voicemail');
+    });
+
+    it('should not retry answered calls', () => {
+      expect(retryPolicyService.getDisposition('completed', { answeredBy: 'human' })).toBeNull();
+    });
+  });
+
+  describe('getRetryPolicy', () => {
+    it('should fall back to settings.retryCount without a policy', () => {
+      const policy = retryPolicyService.getRetryPolicy(campaignWith({ retryCount: 1 }));
+
+      expect(policy.rules.busy.maxAttempts).toBe(2);
+      expect(policy.rules['no-answer'].maxAttempts).toBe(2);
+      expect(policy.rules.voicemail.maxAttempts).toBe(2);
+    });
+
+    it('should retry calls that reached a machine unless the policy turns it off', () => {
+      const outcome = { status: 'completed', details: { answeredBy: 'machine_end_beep' }, attempts: 1, contact };
+
+      expect(retryPolicyService.evaluateRetry(campaignWith({}), outcome).retry).toBe(true);
+      expect(retryPolicyService.evaluateRetry(campaignWith({
+        retryPolicy: { rules: { voicemail: { enabled: false } } }
+      }), outcome)).toEqual(expect.objectContaining({ retry: false, reason: 'max_attempts' }));
+    });
+
+    it('should read voicemail delays in hours', () => {
+      const policy = retryPolicyService.getRetryPolicy(campaignWith({
+        retryPolicy: { rules: { voicemail: { maxAttempts: 2, afterHours: 4 } } }
+      }));
+
+      expect(policy.rules.voicemail).toEqual(expect.objectContaining({ maxAttempts: 2, delayMinutes: 240 }));
+    });
+  });
+
+  describe('getRetryDelayMinutes', () => {
+    it('should grow exponential delays up to the cap', () => {
+      const rule = { backoff: 'exponential', delayMinutes: 30, factor: 2, maxDelayMinutes: 100 };
+
+      expect(retryPolicyService.getRetryDelayMinutes(rule, 1)).toBe(30);
+      expect(retryPolicyService.getRetryDelayMinutes(rule, 2)).toBe(60);
+      expect(retryPolicyService.getRetryDelayMinutes(rule, 3)).toBe(100);
+    });
+  });
+
+  describe('evaluateRetry', () => {
+    const campaign = campaignWith({
+      retryPolicy: {
+        rules: {
+          busy: { maxAttempts: 3, delayMinutes: 15, backoff: 'fixed' },
+          voicemail: { maxAttempts: 2, afterHours: 4 }
+        },
+        allowedDays: [1, 2, 3, 4, 5]
+      }
+    });
+
+    it('should retry after the rule delay inside allowed hours', () => {
+      // Tuesday 10:00 in New York
+      const decision = retryPolicyService.evaluateRetry(campaign, { status: 'busy', attempts: 1, contact },
+        new Date('2023-08-01T14:00:00Z'));
+
+      expect(decision.retry).toBe(true);
+      expect(decision.retryAt).toEqual(new Date('2023-08-01T14:15:00Z'));
+    });
+
+    it('should stop at the rule max attempts', () => {
+      const decision = retryPolicyService.evaluateRetry(campaign, { status: 'busy', attempts: 3, contact });
+
+      expect(decision).toEqual(expect.objectContaining({ retry: false, reason: 'max_attempts' }));
+    });
+
+    it('should move retries past closed hours and days', () => {
+      // Friday 16:00 in New York; four hours later is after hours, and the weekend is not allowed
+      const decision = retryPolicyService.evaluateRetry(campaign, {
+        status: 'completed',
+        details: { answeredBy: 'machine_end_beep' },
+        attempts: 1,
+        contact
+      }, new Date('2023-08-04T20:00:00Z'));
+
+      expect(decision.disposition).toBe('voicemail');
+      expect(decision.retryAt).toEqual(new Date('2023-08-07T13:00:00Z'));
+    });
+  });
+
+  describe('validateRetryPolicy', () => {
+    it('should accept a valid policy', () => {
+      expect(retryPolicyService.validateRetryPolicy({
+        rules: { 'no-answer': { maxAttempts: 3, backoff: 'exponential' } },
+        allowedDays: [1, 2, 3],
+        allowedHours: { start: '10:00', end: '16:00' }
+      })).toEqual([]);
+    });
+
+    it('should report unknown dispositions and bad fields', () => {
+      const errors = retryPolicyService.validateRetryPolicy({
+        rules: { hangup: {}, busy: { backoff: 'linear', delayMinutes: -5 } },
+        allowedDays: [7]
+      });
+
+      expect(errors).toHaveLength(4);
+    });
+  });
+});
@@ -0,0 +1,121 @@
+/**
+ * Scheduler Recovery Service Unit Tests
+ * Tests resuming persisted schedulers and requeueing orphaned queue items on boot
+ */
+
+const { CallQueue, CallLog, Campaign } = require('../../src/models');
+const config = require('../../src/config');
+const campaignScheduler = require('../../src/services/campaign-scheduler.service');
+const callScheduler = require('../../src/services/call-scheduler.service');
+const schedulerStateService = require('../../src/services/scheduler-state.service');
+const schedulerRecoveryService = require('../../src/services/scheduler-recovery.service');
+
+const NOW = new Date('2023-08-01T14:00:00Z');
+const minutesAgo = (minutes) => new Date(NOW.getTime() - minutes * 60000);
+
+const buildItem = (fields = {}) => {
+  const item = CallQueue.build({
+    id: 1,
+    toNumber: '+12125551234',
+    fromNumber: '+12125550100',
+    status: 'processing',
+    attempts: 1,
+    metadata: {},
+    ...fields
+  });
+  jest.spyOn(item, 'update').mockImplementation(async (values) => Object.assign(item, values));
+  return item;
+};
+
+describe('Scheduler Recovery Service Tests', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('recoverQueueItems', () => {
+    it('should requeue items this worker claimed before restarting', async () => {
+      const item = buildItem({ callSid: null, claimedBy: config.worker.id, claimedAt: minutesAgo(1) });
+      jest.spyOn(CallQueue, 'findAll').mockResolvedValue([item]);
+
+      const results = await schedulerRecoveryService.recoverQueueItems(NOW, { boot: true });
+
+      expect(results).toEqual({ requeued: 1, settled: 0, live: 0 });
+      expect(item.update).toHaveBeenCalledWith(expect.objectContaining({
+        status: 'waiting',
+        scheduledTime: NOW,
+        metadata: expect.objectContaining({ recoveredReason: 'interrupted_before_dial' })
+      }));
+    });
+
+    it('should leave fresh claims of other workers alone', async () => {
+      const fresh = buildItem({ id: 1, callSid: null, claimedBy: 'other-worker', claimedAt: minutesAgo(1) });
+      const abandoned = buildItem({ id: 2, callSid: null, claimedBy: 'other-worker', claimedAt: minutesAgo(30) });
+      jest.spyOn(CallQueue, 'findAll').mockResolvedValue([fresh, abandoned]);
+
+      const results = await schedulerRecoveryService.recoverQueueItems(NOW, { boot: true });
+
+      expect(results).toEqual({ requeued: 1, settled: 0, live: 1 });
+      expect(fresh.update).not.toHaveBeenCalled();
+      expect(abandoned.status).toBe('waiting');
+    });
+
+    it('should replay the outcome of calls that finished while down', async () => {
+      const item = buildItem({ callSid: 'CA1', lastAttemptTime: minutesAgo(30) });
+      jest.spyOn(CallQueue, 'findAll').mockResolvedValue([item]);
+      jest.spyOn(CallLog, 'findOne').mockResolvedValue({ status: 'busy', duration: 0, updatedAt: minutesAgo(20) });
+      const completion = jest.spyOn(callScheduler, 'handleCallCompletion').mockResolvedValue({ success: true });
+
+      const results = await schedulerRecoveryService.recoverQueueItems(NOW);
+
+      expect(results.settled).toBe(1);
+      expect(completion).toHaveBeenCalledWith('CA1', 'busy', expect.any(Object));
+      expect(item.update).not.toHaveBeenCalled();
+    });
+
+    it('should leave recent live calls to their status webhook', async () => {
+      const live = buildItem({ id: 1, callSid: 'CA1', lastAttemptTime: minutesAgo(5) });
+      const stale = buildItem({ id: 2, callSid: 'CA2', lastAttemptTime: minutesAgo(120) });
+      jest.spyOn(CallQueue, 'findAll').mockResolvedValue([live, stale]);
+      jest.spyOn(CallLog, 'findOne').mockResolvedValue({ status: 'in-progress' });
+
+      const results = await schedulerRecoveryService.recoverQueueItems(NOW);
+
+      expect(results).toEqual({ requeued: 1, settled: 0, live: 1 });
+      expect(live.update).not.toHaveBeenCalled();
+      expect(stale.metadata).toEqual(expect.objectContaining({ recoveredReason: 'call_status_lost', lostCallSid: 'CA2' }));
+    });
+  });
+
+  describe('resumeCampaigns', () => {
+    beforeEach(() => {
+      jest.spyOn(schedulerStateService, 'saveState').mockResolvedValue(null);
+      jest.spyOn(schedulerStateService, 'getState').mockResolvedValue(null);
+    });
+
+    it('should resume saved schedulers and campaigns left in progress', async () => {
+      jest.spyOn(schedulerStateService, 'getResumableStates').mockResolvedValue([
+        { schedulerKey: 'campaign-1', status: 'paused', settings: { batchSize: 3 }, counters: { processed: 12 } }
+      ]);
+      jest.spyOn(Campaign, 'findAll').mockResolvedValue([{ id: 'campaign-1' }, { id: 'campaign-2' }]);
+      const restore = jest.spyOn(campaignScheduler, 'restoreCampaign').mockResolvedValue({ status: 'resumed' });
+
+      const results = await schedulerRecoveryService.resumeCampaigns();
+
+      expect(results.map(r => r.campaignId)).toEqual(['campaign-1', 'campaign-2']);
+      expect(restore).toHaveBeenCalledWith(expect.objectContaining({ schedulerKey: 'campaign-1', status: 'paused' }));
+      expect(restore).toHaveBeenCalledWith(expect.objectContaining({ schedulerKey: 'campaign-2', status: 'running' }));
+    });
+
+    it('should mark schedulers stopped when their campaign can no longer run', async () => {
+      jest.spyOn(schedulerStateService, 'getResumableStates').mockResolvedValue([
+        { schedulerKey: 'campaign-1', status: 'running', settings: {}, counters: {} }
+      ]);
+      jest.spyOn(Campaign, 'findAll').mockResolvedValue([]);
+      jest.spyOn(campaignScheduler, 'restoreCampaign').mockResolvedValue({ status: 'not_active' });
+
+      await schedulerRecoveryService.resumeCampaigns();
+
+      expect(schedulerStateService.saveState).toHaveBeenCalledWith('campaign', 'campaign-1', { status: 'stopped' });
+    });
+  });
+});
@@ -0,0 +1,42 @@
+/**
+ * Scheduler State Service Unit Tests
+ * Tests leader leases that keep one worker in charge of each scheduler
+ */
+
+const { SchedulerState } = require('../../src/models');
+const config = require('../../src/config');
+const schedulerStateService = require('../../src/services/scheduler-state.service');
+
+describe('Scheduler State Service Tests', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('acquireLease', () => {
+    it('should take a free, own or lapsed lease on a running scheduler', async () => {
+      const update = jest.spyOn(SchedulerState, 'update').mockResolvedValue([1]);
+
+      const leader = await schedulerStateService.acquireLease('queue', 'global', 60000);
+
+      expect(leader).toBe(true);
+      const [values, { where }] = update.mock.calls[0];
+      expect(values.ownerId).toBe(config.worker.id);
+      expect(where).toEqual(expect.objectContaining({ schedulerType: 'queue', schedulerKey: 'global', status: 'running' }));
+    });
+
+    it('should not take a lease another worker holds', async () => {
+      jest.spyOn(SchedulerState, 'update').mockResolvedValue([0]);
+      jest.spyOn(SchedulerState, 'findOrCreate').mockResolvedValue([{}, false]);
+
+      expect(await schedulerStateService.acquireLease('campaign', 'campaign-1')).toBe(false);
+    });
+
+    it('should lease a scheduler that has no saved state yet', async () => {
+      jest.spyOn(SchedulerState, 'update').mockResolvedValue([0]);
+      const create = jest.spyOn(SchedulerState, 'findOrCreate').mockResolvedValue([{}, true]);
+
+      expect(await schedulerStateService.acquireLease('job', 'queue-recovery')).toBe(true);
+      expect(create.mock.calls[0][0].defaults).toEqual(expect.objectContaining({ status: 'running', ownerId: config.worker.id }));
+    });
+  });
+});
@@ -0,0 +1,241 @@
+/**
+ * Stream Gateway Service Unit Tests
+ * Tests stream tokens, routing and authentication of upgrades, the shared session registry and listen-in
+ */
+
+const http = require('http');
+const WebSocket = require('ws');
+const config = require('../../src/config');
+const { CallLog, CallListenSession, User } = require('../../src/models');
+const authService = require('../../src/services/auth.service');
+const callListenService = require('../../src/services/call-listen.service');
+const elevenlabsService = require('../../src/services/elevenlabs.service');
+const workspaceService = require('../../src/services/workspace.service');
+const streamGateway = require('../../src/services/stream-gateway.service');
+
+const connect = (port, path) => new Promise((resolve, reject) => {
+  const ws = new WebSocket(`ws://localhost:${port}${path}`);
+  const messages = [];
+  ws.on('message', (data, isBinary) => messages.push(isBinary ? data : JSON.parse(data.toString())));
+  ws.on('open', () => resolve({ ws, messages }));
+  ws.on('unexpected-response', (req, res) => reject(new Error(`${res.statusCode}`)));
+  ws.on('error', reject);
+});
+
+const waitFor = async (condition) => {
+  for (let i = 0; i < 50 && !condition(); i++) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+};
+
+describe('Stream Gateway Service Tests', () => {
+  const originalStreamGateway = config.streamGateway;
+
+  beforeEach(() => {
+    config.streamGateway = { tokenSecret: 'stream-secret', tokenTtlSeconds: 60, listenTokenTtlSeconds: 60 };
+  });
+
+  afterEach(() => {
+    config.streamGateway = originalStreamGateway;
+    jest.restoreAllMocks();
+  });
+
+  describe('stream tokens', () => {
+    it('should accept a token for the call it was made for until it expires', () => {
+      const now = Date.now();
+      const token = streamGateway.createStreamToken('CA500', now);
+
+      expect(streamGateway.verifyStreamToken('CA500', token, now)).toBeNull();
+      expect(streamGateway.verifyStreamToken('CA501', token, now)).toBe('stream token mismatch');
+      expect(streamGateway.verifyStreamToken('CA500', token, now + 61000)).toBe('stream token expired');
+      expect(streamGateway.verifyStreamToken('CA500', undefined, now)).toBe('stream token missing');
+    });
+
+    it('should only accept untokened streams outside production when no secret is set', () => {
+      config.streamGateway = { tokenSecret: '', tokenTtlSeconds: 60 };
+      const nodeEnv = process.env.NODE_ENV;
+
+      try {
+        expect(streamGateway.verifyStreamToken('CA500', undefined)).toBeNull();
+        process.env.NODE_ENV = 'production';
+        expect(streamGateway.verifyStreamToken('CA500', undefined)).toBe('no stream token secret configured');
+      } finally {
+        process.env.NODE_ENV = nodeEnv;
+      }
+    });
+
+    it('should bind listen tokens to the call and refuse them once expired', () => {
+      const now = Date.now();
+      const { token } = streamGateway.createListenToken('CA500', { id: 'user-1', tokenVersion: 2 }, now);
+
+      expect(streamGateway.verifyListenToken('CA500', token, now)).toEqual(expect.objectContaining({ userId: 'user-1', tokenVersion: 2 }));
+      expect(() => streamGateway.verifyListenToken('CA501', token, now)).toThrow('Invalid listen token');
+      expect(() => streamGateway.verifyListenToken('CA500', token, now + 61000)).toThrow('Listen token expired');
+      expect(() => streamGateway.verifyListenToken('CA500', 'good-token', now)).toThrow('Listen token required');
+    });
+
+    it('should put the call SID and token in the stream URL', () => {
+      const url = streamGateway.buildStreamUrl('CA500', 'https://calls.example.com');
+
+      expect(url).toMatch(/^wss:\/\/calls\.example\.com\/stream\/CA500\?token=\d+\.[0-9a-f]{64}$/);
+      expect(streamGateway.createStreamingTwiML('CA500')).toContain('<Stream url="');
+    });
+  });
+
+  describe('routing', () => {
+    it('should route paths to protocols', () => {
+      expect(streamGateway.routeFor('/stream/CA500')).toBe('signalwire');
+      expect(streamGateway.routeFor('/stream')).toBe('signalwire');
+      expect(streamGateway.routeFor('/api/stream')).toBe('signalwire');
+      expect(streamGateway.routeFor('/stream/monitor')).toBe('monitor');
+      expect(streamGateway.routeFor('/stream/harness')).toBe('harness');
+      expect(streamGateway.routeFor('/stream/listen/CA500')).toBe('listen');
+      expect(streamGateway.routeFor('/api/calls')).toBeNull();
+    });
+  });
+
+  describe('connections', () => {
+    let server;
+    let port;
+
+    beforeEach(async () => {
+      server = http.createServer();
+      streamGateway.initializeStreamGateway(server);
+      await new Promise(resolve => server.listen(0, resolve));
+      port = server.address().port;
+
+      jest.spyOn(CallLog, 'findOne').mockResolvedValue({ workspaceId: 'ws-1' });
+      jest.spyOn(authService, 'verifyAccessToken').mockImplementation((token) => {
+        if (token !== 'good-token') throw new Error('invalid');
+        return { sub: 'user-1' };
+      });
+      jest.spyOn(authService, 'isTokenCurrent').mockReturnValue(true);
+      jest.spyOn(User, 'findByPk').mockResolvedValue({ id: 'user-1', role: 'user', workspaceId: 'ws-1' });
+    });
+
+    afterEach(async () => {
+      await streamGateway.closeAllSessions();
+      await new Promise(resolve => server.close(resolve));
+    });
+
+    it('should refuse SignalWire streams without a valid token', async () => {
+      const before = streamGateway.getMetrics().rejected.signalwire;
+
+      await expect(connect(port, '/stream/CA500')).rejects.toThrow('401');
+      await expect(connect(port, '/stream/CA500?token=1.abc')).rejects.toThrow('401');
+      await expect(connect(port, '/elsewhere')).rejects.toThrow('404');
+
+      expect(streamGateway.getMetrics().rejected.signalwire).toBe(before + 2);
+    });
+
+    it('should refuse monitors without an access token and harness users who cannot edit agents', async () => {
+      await expect(connect(port, '/stream/monitor')).rejects.toThrow('401');
+      await expect(connect(port, '/stream/monitor?token=bad-token')).rejects.toThrow('401');
+      await expect(connect(port, '/stream/harness?token=good-token')).rejects.toThrow('403');
+    });
+
+    it('should keep every connection in one registry and tell monitors about their workspace calls', async () => {
+      const monitor = await connect(port, '/stream/monitor?token=good-token');
+      await waitFor(() => monitor.messages.length >= 2);
+
+      const token = streamGateway.createStreamToken('CA500');
+      const call = await connect(port, `/stream/CA500?token=${token}`);
+      await waitFor(() => monitor.messages.length >= 3);
+
+      expect(monitor.messages.map(message => message.type)).toEqual(['connection_established', 'sessions', 'session_opened']);
+      expect(monitor.messages[2].session).toEqual(expect.objectContaining({ protocol: 'signalwire', callSid: 'CA500' }));
+      expect(streamGateway.getCallSession('CA500')).toEqual(expect.objectContaining({ workspaceId: 'ws-1' }));
+      expect(streamGateway.listSessions('ws-2')).toEqual([]);
+      expect(streamGateway.getMetrics().active).toEqual({ signalwire: 1, monitor: 1, harness: 0, listen: 0 });
+
+      call.ws.close();
+      await waitFor(() => monitor.messages.length >= 4);
+
+      expect(monitor.messages[3]).toEqual(expect.objectContaining({ type: 'session_closed' }));
+      expect(streamGateway.getCallSession('CA500')).toBeNull();
+      monitor.ws.close();
+    });
+
+    it("should only report the monitor's own workspace in its metrics", async () => {
+      const call = await connect(port, `/stream/CA500?token=${streamGateway.createStreamToken('CA500')}`);
+      User.findByPk.mockResolvedValue({ id: 'user-2', role: 'user', workspaceId: 'ws-2' });
+      const monitor = await connect(port, '/stream/monitor?token=good-token');
+      await waitFor(() => monitor.messages.length >= 2);
+
+      monitor.ws.send(JSON.stringify({ type: 'get_metrics' }));
+      await waitFor(() => monitor.messages.some(message => message.type === 'metrics'));
+
+      const { metrics } = monitor.messages.find(message => message.type === 'metrics');
+      expect(metrics.active).toEqual({ signalwire: 0, monitor: 1, harness: 0, listen: 0 });
+      expect(metrics).not.toHaveProperty('connections');
+      expect(streamGateway.getMetrics('ws-1').active).toEqual(expect.objectContaining({ signalwire: 1 }));
+
+      call.ws.close();
+      monitor.ws.close();
+    });
+
+    it("should speak to the harness with the ElevenLabs key of the user's workspace", async () => {
+      User.findByPk.mockResolvedValue({ id: 'user-1', role: 'admin', workspaceId: 'ws-1' });
+      const getKey = jest.spyOn(workspaceService, 'getElevenLabsApiKey').mockResolvedValue('ws-1-key');
+      const stream = jest.spyOn(elevenlabsService, 'streamSpeechRealTime')
+        .mockImplementation(async (text, voiceId, onChunk, onDone) => onDone());
+
+      const harness = await connect(port, '/stream/harness?token=good-token');
+      harness.ws.send(JSON.stringify({ type: 'generate_speech', text: 'Hello', voiceId: 'voice-1' }));
+      await waitFor(() => harness.messages.some(message => message.type === 'stream_end'));
+
+      expect(getKey).toHaveBeenCalledWith('ws-1');
+      expect(stream).toHaveBeenCalledWith('Hello', 'voice-1', expect.any(Function), expect.any(Function), { keyOverride: 'ws-1-key' });
+      harness.ws.close();
+    });
+
+    it('should let supervisors listen to a live call in their workspace and audit it', async () => {
+      User.findByPk.mockResolvedValue({ id: 'user-1', role: 'manager', workspaceId: 'ws-1' });
+      CallLog.findOne.mockResolvedValue({ id: 42, workspaceId: 'ws-1' });
+      const audit = { id: 7, update: jest.fn() };
+      const create = jest.spyOn(CallListenSession, 'create').mockResolvedValue(audit);
+      jest.spyOn(CallListenSession, 'count').mockResolvedValue(0);
+      const listenToken = () => streamGateway.createListenToken('CA500', { id: 'user-1' }).token;
+
+      await expect(connect(port, `/stream/listen/CA500?token=${listenToken()}`)).rejects.toThrow('409');
+      await expect(connect(port, `/stream/listen/CA500?token=${listenToken()}&track=stereo`)).rejects.toThrow('400');
+
+      const call = await connect(port, `/stream/CA500?token=${streamGateway.createStreamToken('CA500')}`);
+      const listen = await connect(port, `/stream/listen/CA500?token=${listenToken()}&track=inbound`);
+      await waitFor(() => listen.messages.length >= 2);
+
+      expect(listen.messages[1]).toEqual(expect.objectContaining({ type: 'listen_started', track: 'inbound', sampleRate: 8000 }));
+      expect(create).toHaveBeenCalledWith(expect.objectContaining({ callSid: 'CA500', callLogId: 42, userId: 'user-1', track: 'inbound', listenTokenId: expect.any(String) }));
+
+      // 20 ms of caller audio reaches the supervisor as 16-bit PCM
+      call.ws.send(JSON.stringify({ event: 'media', media: { track: 'inbound', payload: Buffer.alloc(160, 0xff).toString('base64') } }));
+      await waitFor(() => listen.messages.length >= 3);
+      expect(listen.messages[2]).toHaveLength(320);
+
+      call.ws.close();
+      await waitFor(() => audit.update.mock.calls.length > 0);
+
+      expect(listen.messages[3]).toEqual({ type: 'listen_ended', reason: 'call_ended' });
+      expect(audit.update).toHaveBeenCalledWith(expect.objectContaining({ bytesSent: 320, endReason: 'call_ended' }));
+      expect(callListenService.hasListeners('CA500')).toBe(false);
+    });
+
+    it('should not let plain users listen in', async () => {
+      jest.spyOn(CallListenSession, 'count').mockResolvedValue(0);
+      const { token } = streamGateway.createListenToken('CA500', { id: 'user-1' });
+
+      await expect(connect(port, `/stream/listen/CA500?token=${token}`)).rejects.toThrow('403');
+    });
+
+    it('should only open listen sockets with an unused listen token', async () => {
+      User.findByPk.mockResolvedValue({ id: 'user-1', role: 'manager', status: 'active', workspaceId: 'ws-1' });
+      const count = jest.spyOn(CallListenSession, 'count').mockResolvedValue(1);
+      const { token } = streamGateway.createListenToken('CA500', { id: 'user-1' });
+
+      // The user's access token is not a listen token
+      await expect(connect(port, '/stream/listen/CA500?token=good-token')).rejects.toThrow('401');
+      await expect(connect(port, `/stream/listen/CA500?token=${token}`)).rejects.toThrow('401');
+      expect(count).toHaveBeenCalledWith({ where: { listenTokenId: token.split('.')[3] } });
+    });
+  });
+});
@@ -0,0 +1,77 @@
+/**
+ * Voice Activity Detector Unit Tests
+ * Tests speech start and end detection on synthetic 16 kHz PCM
+ */
+
+const { VoiceActivityDetector } = require('../../src/utils/voice-activity-detector');
+
+const SAMPLE_RATE = 16000;
+
+const silence = (ms) => Buffer.alloc(SAMPLE_RATE * ms / 1000 * 2);
+
+const tone = (ms, amplitude = 8000) => {
+  const samples = SAMPLE_RATE * ms / 1000;
+  const buffer = Buffer.alloc(samples * 2);
+  for (let i = 0; i < samples; i++) {
+    buffer.writeInt16LE(Math.round(amplitude * Math.sin(2 * Math.PI * 440 * i / SAMPLE_RATE)), i * 2);
+  }
+  return buffer;
+};
+
+describe('Voice Activity Detector Tests', () => {
+  it('should find the start and end of an utterance', () => {
+    const vad = new VoiceActivityDetector();
+
+    const events = [
+      ...vad.process(silence(500)),
+      ...vad.process(tone(1000)),
+      ...vad.process(silence(1000))
+    ];
+
+    expect(events).toEqual([
+      { type: 'speech_start', atMs: 500 },
+      { type: 'speech_end', atMs: 2200, durationMs: 1000, reason: 'silence' }
+    ]);
+    expect(vad.inSpeech).toBe(false);
+  });
+
+  it('should keep the utterance open through pauses shorter than the end silence', () => {
+    const vad = new VoiceActivityDetector({ endSilenceMs: 500 });
+
+    const events = [
+      ...vad.process(tone(400)),
+      ...vad.process(silence(300)),
+      ...vad.process(tone(400))
+    ];
+
+    expect(events.map(event => event.type)).toEqual(['speech_start']);
+    expect(vad.inSpeech).toBe(true);
+  });
+
+  it('should ignore clicks shorter than the speech start time', () => {
+    const vad = new VoiceActivityDetector();
+
+    expect(vad.process(Buffer.concat([silence(200), tone(20), silence(200)]))).toEqual([]);
+  });
+
+  it('should cut utterances at the maximum length', () => {
+    const vad = new VoiceActivityDetector({ maxUtteranceMs: 1000 });
+
+    const events = vad.process(tone(1500));
+
+    expect(events[1]).toEqual(expect.objectContaining({ type: 'speech_end', reason: 'max_length', durationMs: 1000 }));
+  });
+
+  it('should carry partial frames over to the next chunk', () => {
+    const vad = new VoiceActivityDetector();
+    const audio = tone(200);
+
+    // 10 ms chunks are half a frame each
+    const events = [];
+    for (let offset = 0; offset < audio.length; offset += 320) {
+      events.push(...vad.process(audio.subarray(offset, offset + 320)));
+    }
+
+    expect(events).toEqual([{ type: 'speech_start', atMs: 0 }]);
+  });
+});
@@ -16,6 +16,7 @@ import Contacts from './pages/Contacts';
 import CallLogs from './pages/CallLogs';
 import VoiceAgents from './pages/VoiceAgents';
 import Campaigns from './pages/Campaigns';
+import CallFlows from './pages/CallFlows';
 import Settings from './pages/Settings';
 import LoginPage from './pages/auth/LoginPage';
 import NotFound from './pages/NotFound';
@@ -36,6 +37,7 @@ function App() {
             <Route path="call-logs" element={<CallLogs />} />
             <Route path="voice-agents" element={<VoiceAgents />} />
             <Route path="campaigns" element={<Campaigns />} />
+            <Route path="call-flows" element={<CallFlows />} />
             <Route path="settings" element={<Settings />} />
           </Route>
         </Route>
@@ -0,0 +1,255 @@
+import React, { useRef } from 'react';
+import PropTypes from 'prop-types';
+
+// Node types offered in the palette, with the badge color of each
+export const NODE_TYPES = [
+  { type: 'say', label: 'Say', color: 'blue', description: 'Speak a message' },
+  { type: 'play', label: 'Play', color: 'blue', description: 'Play an audio file' },
+  { type: 'gather', label: 'Menu', color: 'purple', description: 'Collect keypad input' },
+  { type: 'agent', label: 'AI Agent', color: 'green', description: 'Hand off to a voice agent' },
+  { type: 'transfer', label: 'Transfer', color: 'yellow', description: 'Dial another number' },
+  { type: 'voicemail', label: 'Voicemail', color: 'red', description: 'Record a message' },
+  { type: 'webhook', label: 'Webhook', color: 'gray', description: 'Branch on an HTTP response' }
+];
+
+const NODE_WIDTH = 176;
+const NODE_HEIGHT = 64;
+
+// dataTransfer keys, so drops can tell what is being dragged
+const DRAG_TYPE = 'application/x-flow-node-type';
+const DRAG_NODE = 'application/x-flow-node-id';
+const DRAG_EDGE = 'application/x-flow-edge-from';
+
+const typeInfo = (type) => NODE_TYPES.find((item) => item.type === type) || NODE_TYPES[0];
+
+/**
+ * Edges leaving a node: `next` plus one per branch
+ */
+const edgesOf = (node) => {
+  const edges = [];
+  Object.entries(node.branches || {}).forEach(([value, target]) => {
+    if (target) edges.push({ target, label: value });
+  });
+  if (node.next) {
+    edges.push({ target: node.next, label: edges.length > 0 ? 'else' : '' });
+  }
+  return edges;
+};
+
+/**
+ * One-line summary shown on a node
+ */
+const summaryOf = (node) => {
+  switch (node.type) {
+    case 'say':
+    case 'gather':
+    case 'voicemail':
+      return node.text || '';
+    case 'play':
+    case 'webhook':
+      return node.url || '';
+    case 'agent':
+      return node.agentId || '';
+    case 'transfer':
+      return node.number || '';
+    default:
+      return '';
+  }
+};
+
+/**
+ * Call Flow Canvas component
+ *
+ * Drag node types from the palette onto the canvas, drag nodes to arrange them, and drag
+ * a node's handle onto another node to make that node its next step
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.definition - Flow definition being edited
+ * @param {string} props.selectedNodeId - Node open in the inspector
+ * @param {Function} props.onSelectNode - Called with a node ID, or null
+ * @param {Function} props.onAddNode - Called with (type, position)
+ * @param {Function} props.onMoveNode - Called with (nodeId, position)
+ * @param {Function} props.onConnect - Called with (fromNodeId, toNodeId)
+ */
+const CallFlowCanvas = ({ definition, selectedNodeId, onSelectNode, onAddNode, onMoveNode, onConnect }) => {
+  const canvasRef = useRef(null);
+  const grabOffset = useRef({ x: 0, y: 0 });
+  const nodes = definition.nodes || [];
+
+  const positionOf = (node) => node.position || { x: 20, y: 20 };
+
+  // Drop position relative to the canvas, including its scroll
+  const dropPosition = (e, offset = { x: 0, y: 0 }) => {
+    const canvas = canvasRef.current;
+    const rect = canvas.getBoundingClientRect();
+    return {
+      x: Math.max(0, Math.round(e.clientX - rect.left + canvas.scrollLeft - offset.x)),
+      y: Math.max(0, Math.round(e.clientY - rect.top + canvas.scrollTop - offset.y))
+    };
+  };
+
+  const handleCanvasDrop = (e) => {
+    e.preventDefault();
+    const type = e.dataTransfer.getData(DRAG_TYPE);
+    const nodeId = e.dataTransfer.getData(DRAG_NODE);
+
+    if (type) {
+      onAddNode(type, dropPosition(e, { x: NODE_WIDTH / 2, y: NODE_HEIGHT / 2 }));
+    } else if (nodeId) {
+      onMoveNode(nodeId, dropPosition(e, grabOffset.current));
+    }
+  };
+
+  const handleNodeDragStart = (e, node) => {
+    const rect = e.currentTarget.getBoundingClientRect();
+    grabOffset.current = { x: e.clientX - rect.left, y: e.clientY - rect.top };
+    e.dataTransfer.setData(DRAG_NODE, node.id);
+    e.dataTransfer.effectAllowed = 'move';
+  };
+
+  const handleHandleDragStart = (e, node) => {
+    e.stopPropagation();
+    e.dataTransfer.setData(DRAG_EDGE, node.id);
+    e.dataTransfer.effectAllowed = 'link';
+  };
+
+  const handleNodeDrop = (e, node) => {
+    const from = e.dataTransfer.getData(DRAG_EDGE);
+    if (from) {
+      e.preventDefault();
+      e.stopPropagation();
+      if (from !== node.id) {
+        onConnect(from, node.id);
+      }
+    }
+  };
+
+  // Size the canvas to fit every node
+  const width = Math.max(900, ...nodes.map((node) => positionOf(node).x + NODE_WIDTH + 40));
+  const height = Math.max(560, ...nodes.map((node) => positionOf(node).y + NODE_HEIGHT + 40));
+
+  return (
+    <div className="flex border border-gray-200 dark:border-gray-700 rounded-lg overflow-hidden">
+      {/* Palette */}
+      <div className="w-44 flex-shrink-0 border-r border-gray-200 dark:border-gray-700 bg-gray-50 dark:bg-gray-800 p-3 space-y-2">
+        <p className="text-xs font-medium uppercase text-gray-500 dark:text-gray-400">Drag onto the canvas</p>
+        {NODE_TYPES.map((item) => (
+          <div
+            key={item.type}
+            draggable
+            onDragStart={(e) => e.dataTransfer.setData(DRAG_TYPE, item.type)}
+            className="cursor-grab rounded-md border border-gray-200 dark:border-gray-600 bg-white dark:bg-gray-900 px-2 py-1.5"
+            title={item.description}
+          >
+            <span className={`inline-flex px-2 text-xs font-semibold leading-5 rounded-full text-${item.color}-800 bg-${item.color}-100`}>
+              {item.label}
+            </span>
+            <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">{item.description}</p>
+          </div>
+        ))}
+      </div>
+
+      {/* Canvas */}
+      <div
+        ref={canvasRef}
+        className="relative flex-1 overflow-auto bg-white dark:bg-gray-900"
+        style={{ height: 560 }}
+        onDragOver={(e) => e.preventDefault()}
+        onDrop={handleCanvasDrop}
+        onClick={() => onSelectNode(null)}
+      >
+        <svg className="absolute top-0 left-0 pointer-events-none" width={width} height={height}>
+          <defs>
+            <marker id="flow-arrow" markerWidth="8" markerHeight="8" refX="7" refY="4" orient="auto">
+              <path d="M0,0 L8,4 L0,8 z" fill="#9CA3AF" />
+            </marker>
+          </defs>
+          {nodes.map((node) => edgesOf(node).map((edge) => {
+            const target = nodes.find((item) => item.id === edge.target);
+            if (!target) return null;
+            const from = positionOf(node);
+            const to = positionOf(target);
+            const x1 = from.x + NODE_WIDTH / 2;
+            const y1 = from.y + NODE_HEIGHT;
+            const x2 = to.x + NODE_WIDTH / 2;
+            const y2 = to.y;
+            return (
+              <g key={`${node.id}-${edge.label}-${edge.target}`}>
+                <path
+                  d={`M${x1},${y1} C${x1},${y1 + 60} ${x2},${y2 - 60} ${x2},${y2}`}
+                  fill="none"
+                  stroke="#9CA3AF"
+                  strokeWidth="1.5"
+                  markerEnd="url(#flow-arrow)"
+                />
+                {edge.label && (
+                  <text x={(x1 + x2) / 2 + 4} y={(y1 + y2) / 2} fontSize="11" fill="#6B7280">{edge.label}</text>
+                )}
+              </g>
+            );
+          }))}
+        </svg>
+
+        {nodes.map((node) => {
+          const info = typeInfo(node.type);
+          const { x, y } = positionOf(node);
+          const isSelected = node.id === selectedNodeId;
+          const isStart = node.id === definition.startNodeId;
+          return (
+            <div
+              key={node.id}
+              draggable
+              onDragStart={(e) => handleNodeDragStart(e, node)}
+              onDragOver={(e) => e.preventDefault()}
+              onDrop={(e) => handleNodeDrop(e, node)}
+              onClick={(e) => {
+                e.stopPropagation();
+                onSelectNode(node.id);
+              }}
+              className={`absolute cursor-move rounded-md border bg-white dark:bg-gray-800 px-3 py-2 shadow-sm ${
+                isSelected ? 'border-primary-500 ring-2 ring-primary-500' : 'border-gray-300 dark:border-gray-600'
+              }`}
+              style={{ left: x, top: y, width: NODE_WIDTH, height: NODE_HEIGHT }}
+            >
+              <div className="flex items-center justify-between">
+                <span className={`inline-flex px-2 text-xs font-semibold leading-5 rounded-full text-${info.color}-800 bg-${info.color}-100`}>
+                  {info.label}
+                </span>
+                {isStart && <span className="text-xs font-medium text-primary-600">Start</span>}
+              </div>
+              <p className="mt-1 text-xs text-gray-600 dark:text-gray-300 truncate" title={summaryOf(node)}>
+                {summaryOf(node) || node.id}
+              </p>
+              <div
+                draggable
+                onDragStart={(e) => handleHandleDragStart(e, node)}
+                className="absolute -bottom-2 left-1/2 -ml-2 h-4 w-4 cursor-crosshair rounded-full border-2 border-white bg-primary-500"
+                title="Drag onto another node to connect"
+              />
+            </div>
+          );
+        })}
+
+        {nodes.length === 0 && (
+          <div className="absolute inset-0 flex items-center justify-center text-sm text-gray-400">
+            Drag a node here to start the flow
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+CallFlowCanvas.propTypes = {
+  definition: PropTypes.shape({
+    startNodeId: PropTypes.string,
+    nodes: PropTypes.arrayOf(PropTypes.object)
+  }).isRequired,
+  selectedNodeId: PropTypes.string,
+  onSelectNode: PropTypes.func.isRequired,
+  onAddNode: PropTypes.func.isRequired,
+  onMoveNode: PropTypes.func.isRequired,
+  onConnect: PropTypes.func.isRequired
+};
+
+export default CallFlowCanvas;
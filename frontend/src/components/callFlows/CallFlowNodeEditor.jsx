@@ -0,0 +1,217 @@
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+import { TrashIcon, PlusIcon, FlagIcon } from '@heroicons/react/24/outline';
+
+// Fields each node type shows, in order
+const FIELDS = {
+  say: [
+    { key: 'text', label: 'Message', multiline: true },
+    { key: 'voice', label: 'Voice', placeholder: 'alice' },
+    { key: 'language', label: 'Language', placeholder: 'en-US' }
+  ],
+  play: [{ key: 'url', label: 'Audio URL', placeholder: 'https://' }],
+  gather: [
+    { key: 'text', label: 'Menu prompt', multiline: true },
+    { key: 'numDigits', label: 'Digits to collect', number: true, placeholder: '1' },
+    { key: 'timeout', label: 'Seconds to wait', number: true, placeholder: '5' }
+  ],
+  agent: [
+    { key: 'agentId', label: 'Voice agent ID' },
+    { key: 'text', label: 'Message before handoff', multiline: true }
+  ],
+  transfer: [
+    { key: 'number', label: 'Number to dial', placeholder: '+12125550100' },
+    { key: 'callerId', label: 'Caller ID' },
+    { key: 'timeout', label: 'Ring seconds', number: true, placeholder: '30' },
+    { key: 'text', label: 'Message before dialing', multiline: true }
+  ],
+  voicemail: [
+    { key: 'text', label: 'Greeting', multiline: true, placeholder: 'Please leave a message after the tone.' },
+    { key: 'maxLength', label: 'Max length (seconds)', number: true, placeholder: '120' }
+  ],
+  webhook: [
+    { key: 'url', label: 'URL', placeholder: 'https://' },
+    { key: 'method', label: 'Method', options: ['POST', 'GET'] },
+    { key: 'field', label: 'Response field', placeholder: 'branch' }
+  ]
+};
+
+// Label of the fallback edge of each node type
+const NEXT_LABELS = {
+  gather: 'No match or no input',
+  webhook: 'No matching branch',
+  transfer: 'If not answered',
+  voicemail: 'After the message',
+  agent: null
+};
+
+/**
+ * Call Flow Node Editor component
+ *
+ * Edits the fields, next step and branches of the selected node
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.node - Selected node
+ * @param {Array} props.nodes - All nodes of the flow, for the next-step pickers
+ * @param {boolean} props.isStart - Whether the node starts the flow
+ * @param {Function} props.onChange - Called with the updated node
+ * @param {Function} props.onDelete - Called to remove the node
+ * @param {Function} props.onMakeStart - Called to make the node the start of the flow
+ */
+const CallFlowNodeEditor = ({ node, nodes, isStart, onChange, onDelete, onMakeStart }) => {
+  const [branchKey, setBranchKey] = useState('');
+
+  const setField = (key, value) => {
+    const updated = { ...node };
+    if (value === '' || value === null) {
+      delete updated[key];
+    } else {
+      updated[key] = value;
+    }
+    onChange(updated);
+  };
+
+  const setBranch = (key, target) => {
+    const branches = { ...(node.branches || {}) };
+    if (target === null) {
+      delete branches[key];
+    } else {
+      branches[key] = target;
+    }
+    setField('branches', Object.keys(branches).length > 0 ? branches : null);
+  };
+
+  const addBranch = () => {
+    const key = branchKey.trim();
+    if (!key || (node.branches && node.branches[key])) return;
+    const target = nodes.find((item) => item.id !== node.id);
+    setBranch(key, target ? target.id : '');
+    setBranchKey('');
+  };
+
+  const targetOptions = nodes.filter((item) => item.id !== node.id);
+  const canBranch = node.type === 'gather' || node.type === 'webhook';
+  const nextLabel = NEXT_LABELS[node.type] === undefined ? 'Then go to' : NEXT_LABELS[node.type];
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between">
+        <div>
+          <h4 className="text-sm font-medium text-gray-900 dark:text-white">{node.id}</h4>
+          <p className="text-xs text-gray-500 dark:text-gray-400 capitalize">{node.type} node</p>
+        </div>
+        <div className="flex space-x-1">
+          {!isStart && (
+            <button type="button" className="btn-outline py-1 px-2" onClick={onMakeStart} title="Start the flow here">
+              <FlagIcon className="h-4 w-4" />
+            </button>
+          )}
+          <button type="button" className="btn-danger py-1 px-2" onClick={onDelete} title="Delete node">
+            <TrashIcon className="h-4 w-4" />
+          </button>
+        </div>
+      </div>
+
+      {(FIELDS[node.type] || []).map((field) => (
+        <div key={field.key}>
+          <label className="form-label">{field.label}</label>
+          {field.multiline && (
+            <textarea
+              className="form-input"
+              rows={3}
+              placeholder={field.placeholder}
+              value={node[field.key] || ''}
+              onChange={(e) => setField(field.key, e.target.value)}
+            />
+          )}
+          {field.options && (
+            <select
+              className="form-select block w-full rounded-md border-gray-300 sm:text-sm"
+              value={node[field.key] || field.options[0]}
+              onChange={(e) => setField(field.key, e.target.value)}
+            >
+              {field.options.map((option) => <option key={option} value={option}>{option}</option>)}
+            </select>
+          )}
+          {!field.multiline && !field.options && (
+            <input
+              type={field.number ? 'number' : 'text'}
+              min={field.number ? 1 : undefined}
+              className="form-input"
+              placeholder={field.placeholder}
+              value={node[field.key] === undefined ? '' : node[field.key]}
+              onChange={(e) => setField(field.key, field.number
+                ? (e.target.value === '' ? '' : parseInt(e.target.value, 10))
+                : e.target.value)}
+            />
+          )}
+        </div>
+      ))}
+
+      {canBranch && (
+        <div>
+          <label className="form-label">{node.type === 'gather' ? 'Keys pressed' : 'Response values'}</label>
+          <div className="space-y-2">
+            {Object.entries(node.branches || {}).map(([key, target]) => (
+              <div key={key} className="flex items-center space-x-2">
+                <span className="w-12 text-sm font-mono text-gray-700 dark:text-gray-300">{key}</span>
+                <select
+                  className="form-select flex-1 rounded-md border-gray-300 sm:text-sm"
+                  value={target}
+                  onChange={(e) => setBranch(key, e.target.value)}
+                >
+                  {targetOptions.map((item) => <option key={item.id} value={item.id}>{item.id}</option>)}
+                </select>
+                <button type="button" className="text-gray-400 hover:text-red-600" onClick={() => setBranch(key, null)}>
+                  <TrashIcon className="h-4 w-4" />
+                </button>
+              </div>
+            ))}
+            <div className="flex items-center space-x-2">
+              <input
+                type="text"
+                className="form-input flex-1"
+                placeholder={node.type === 'gather' ? 'Digit, e.g. 1' : 'Value, e.g. vip'}
+                value={branchKey}
+                onChange={(e) => setBranchKey(e.target.value)}
+              />
+              <button type="button" className="btn-outline py-1 px-2" onClick={addBranch} disabled={targetOptions.length === 0}>
+                <PlusIcon className="h-4 w-4" />
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {nextLabel && (
+        <div>
+          <label className="form-label">{nextLabel}</label>
+          <select
+            className="form-select block w-full rounded-md border-gray-300 sm:text-sm"
+            value={node.next || ''}
+            onChange={(e) => setField('next', e.target.value)}
+          >
+            <option value="">{node.type === 'gather' ? 'Repeat the menu' : 'End the call'}</option>
+            {targetOptions.map((item) => <option key={item.id} value={item.id}>{item.id}</option>)}
+          </select>
+        </div>
+      )}
+    </div>
+  );
+};
+
+CallFlowNodeEditor.propTypes = {
+  node: PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    type: PropTypes.string.isRequired,
+    next: PropTypes.string,
+    branches: PropTypes.object
+  }).isRequired,
+  nodes: PropTypes.arrayOf(PropTypes.object).isRequired,
+  isStart: PropTypes.bool,
+  onChange: PropTypes.func.isRequired,
+  onDelete: PropTypes.func.isRequired,
+  onMakeStart: PropTypes.func.isRequired
+};
+
+export default CallFlowNodeEditor;
@@ -13,6 +13,8 @@ import {
 } from '@heroicons/react/24/outline';
 import { toast } from 'react-hot-toast';
 import io from 'socket.io-client';
+import ListenButton from './ListenButton';
+import apiClient from '../../services/apiClient';
 
 /**
  * Call Detail View Component
@@ -83,12 +85,7 @@ const CallDetailView = ({
     setLoading(true);
     
     try {
-      const response = await fetch(`/api/calls/${callSid}`);
-      const data = await response.json();
-      
-      if (!response.ok) {
-        throw new Error(data.error || 'Failed to fetch call details');
-      }
+      const data = await apiClient.get(`/calls/${callSid}`);
       
       setCallData(data);
       
@@ -222,15 +219,7 @@ const CallDetailView = ({
   // Handle call actions
   const handleEndCall = async () => {
     try {
-      const response = await fetch(`/api/calls/${callSid}/end`, {
-        method: 'PUT'
-      });
-      
-      const data = await response.json();
-      
-      if (!response.ok) {
-        throw new Error(data.error || 'Failed to end call');
-      }
+      await apiClient.put(`/calls/${callSid}/end`);
       
       toast.success('Call ended successfully');
       
@@ -377,6 +366,10 @@ const CallDetailView = ({
       {showControls && (
         <div className="px-6 py-3 bg-gray-50 dark:bg-gray-700 border-t border-b border-gray-200 dark:border-gray-600">
           <div className="flex items-center justify-center space-x-4">
+            {callData.status === 'in-progress' && (
+              <ListenButton callSid={callSid} />
+            )}
+            
             {isActiveCall && (
               <button 
                 onClick={handleEndCall}
@@ -0,0 +1,126 @@
+import React, { useState, useEffect, useRef } from 'react';
+import PropTypes from 'prop-types';
+import { SpeakerWaveIcon, SpeakerXMarkIcon } from '@heroicons/react/24/outline';
+import { toast } from 'react-toastify';
+import { useAuth } from '../../context/AuthContext';
+import { listenToCall } from '../../services/listenService';
+
+// Roles granted calls:listen by the backend
+const LISTEN_ROLES = ['admin', 'manager'];
+
+const TRACK_OPTIONS = [
+  { value: 'mixed', label: 'Both sides' },
+  { value: 'inbound', label: 'Caller only' },
+  { value: 'outbound', label: 'Agent only' }
+];
+
+/**
+ * Listen Button Component
+ *
+ * Lets a supervisor listen in to a live call in the browser.
+ * Each listen is recorded on the backend with who listened and for how long.
+ */
+const ListenButton = ({ callSid, compact = false, className = '' }) => {
+  const { user } = useAuth();
+  const [track, setTrack] = useState('mixed');
+  const [status, setStatus] = useState('idle');
+  const sessionRef = useRef(null);
+
+  // Stop listening when the call changes or the component unmounts
+  useEffect(() => {
+    return () => {
+      if (sessionRef.current) {
+        sessionRef.current.stop();
+        sessionRef.current = null;
+      }
+    };
+  }, [callSid]);
+
+  if (!user || !LISTEN_ROLES.includes(user.role)) {
+    return null;
+  }
+
+  const startListening = () => {
+    setStatus('connecting');
+    sessionRef.current = listenToCall(callSid, {
+      track,
+      onStart: () => setStatus('listening'),
+      onEnd: (reason) => {
+        sessionRef.current = null;
+        setStatus('idle');
+        if (reason === 'call_ended') {
+          toast.info('The call has ended');
+        }
+      },
+      onError: (error) => {
+        console.error('Error listening to call:', error);
+        toast.error(error.message);
+      }
+    });
+  };
+
+  const stopListening = () => {
+    if (sessionRef.current) {
+      sessionRef.current.stop();
+    }
+  };
+
+  const isListening = status !== 'idle';
+  const label = status === 'connecting' ? 'Connecting...' : isListening ? 'Stop Listening' : 'Listen';
+  const Icon = isListening ? SpeakerXMarkIcon : SpeakerWaveIcon;
+
+  if (compact) {
+    return (
+      <button
+        onClick={(e) => {
+          e.stopPropagation();
+          if (isListening) {
+            stopListening();
+          } else {
+            startListening();
+          }
+        }}
+        className={`${isListening ? 'text-red-600 hover:text-red-900 dark:text-red-400 dark:hover:text-red-300' : 'text-purple-600 hover:text-purple-900 dark:text-purple-400 dark:hover:text-purple-300'} ${className}`}
+        title={label}
+      >
+        <Icon className="h-5 w-5" />
+      </button>
+    );
+  }
+
+  return (
+    <div className={`flex items-center space-x-2 ${className}`}>
+      <select
+        value={track}
+        onChange={(e) => setTrack(e.target.value)}
+        disabled={isListening}
+        className="bg-white border border-gray-300 text-gray-900 text-sm rounded-md focus:ring-primary-500 focus:border-primary-500 p-2 dark:bg-gray-800 dark:border-gray-600 dark:text-white disabled:opacity-50"
+      >
+        {TRACK_OPTIONS.map(option => (
+          <option key={option.value} value={option.value}>
+            {option.label}
+          </option>
+        ))}
+      </select>
+      <button
+        onClick={isListening ? stopListening : startListening}
+        className={`inline-flex items-center px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white focus:outline-none focus:ring-2 focus:ring-offset-2 transition-colors ${
+          isListening
+            ? 'bg-gray-600 hover:bg-gray-700 focus:ring-gray-500'
+            : 'bg-primary-600 hover:bg-primary-700 focus:ring-primary-500'
+        }`}
+      >
+        <Icon className="h-5 w-5 mr-2" />
+        {label}
+      </button>
+    </div>
+  );
+};
+
+ListenButton.propTypes = {
+  callSid: PropTypes.string.isRequired,
+  compact: PropTypes.bool,
+  className: PropTypes.string
+};
+
+export default ListenButton;
@@ -8,6 +8,7 @@ import {
 } from '@heroicons/react/24/outline';
 import { toast } from 'react-hot-toast';
 import PropTypes from 'prop-types';
+import apiClient from '../../services/apiClient';
 
 /**
  * CampaignControls component - Provides UI controls for campaign scheduler operations
@@ -49,19 +50,7 @@ const CampaignControls = ({
     setLoading(true);
     
     try {
-      const response = await fetch(`/api/campaigns/${campaignId}/scheduler/${action}`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify(payload),
-      });
-      
-      const data = await response.json();
-      
-      if (!response.ok) {
-        throw new Error(data.error || 'Failed to perform campaign action');
-      }
+      const data = await apiClient.post(`/campaigns/${campaignId}/scheduler/${action}`, payload);
       
       // Update local status
       const newStatus = action === 'start' ? 'active' : 
@@ -127,20 +116,7 @@ const CampaignControls = ({
     setLoading(true);
     
     try {
-      const response = await fetch(`/api/campaigns/${campaignId}/scheduler/status`, {
-        method: 'GET',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-      });
-      
-      const data = await response.json();
-      
-      if (!response.ok) {
-        throw new Error(data.error || 'Failed to get campaign status');
-      }
-      
-      return data;
+      return await apiClient.get(`/campaigns/${campaignId}/scheduler/status`);
     } catch (error) {
       console.error('Error getting campaign status:', error);
       toast.error(error.message || 'Failed to get campaign status');
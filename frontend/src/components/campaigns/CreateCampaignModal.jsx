@@ -8,6 +8,22 @@ import {
   ArrowPathIcon,
 } from '@heroicons/react/24/outline';
 import elevenLabsApi from '../../services/elevenLabsApi';
+import { getBusinessSchedules } from '../../services/businessScheduleService';
+
+// Outcomes with their own retry rule; voicemail is configured separately
+const RETRY_DISPOSITIONS = [
+  { key: 'busy', label: 'Busy' },
+  { key: 'no-answer', label: 'No Answer' },
+  { key: 'failed', label: 'Failed' }
+];
+
+const DEFAULT_RETRY_RULES = {
+  busy: { maxAttempts: 3, delayMinutes: 15, backoff: 'fixed' },
+  'no-answer': { maxAttempts: 3, delayMinutes: 60, backoff: 'exponential' },
+  failed: { maxAttempts: 2, delayMinutes: 30, backoff: 'fixed' }
+};
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
 
 /**
  * Modal component for creating a new outbound calling campaign
@@ -22,14 +38,23 @@ function CreateCampaignModal({ isOpen, onClose, onCreateCampaign }) {
   const [voiceAgentId, setVoiceAgentId] = useState('');
   const [scriptId, setScriptId] = useState('');
   const [callsPerDay, setCallsPerDay] = useState(50);
-  const [retryCount, setRetryCount] = useState(2);
+  const [retryRules, setRetryRules] = useState(DEFAULT_RETRY_RULES);
+  const [retryVoicemail, setRetryVoicemail] = useState(false);
+  const [voicemailAfterHours, setVoicemailAfterHours] = useState(4);
+  const [retryDays, setRetryDays] = useState([1, 2, 3, 4, 5]);
   const [callHoursStart, setCallHoursStart] = useState('09:00');
   const [callHoursEnd, setCallHoursEnd] = useState('17:00');
+  const [pacingMode, setPacingMode] = useState('');
+  const [transferAgents, setTransferAgents] = useState(1);
+  const [maxAbandonRate, setMaxAbandonRate] = useState(3);
+  const [callerIdStrategy, setCallerIdStrategy] = useState('local');
+  const [holidayScheduleId, setHolidayScheduleId] = useState('');
   
   // Data states
   const [contacts, setContacts] = useState([]);
   const [voiceAgents, setVoiceAgents] = useState([]);
   const [scripts, setScripts] = useState([]);
+  const [schedules, setSchedules] = useState([]);
   const [loadingContacts, setLoadingContacts] = useState(false);
   const [loadingAgents, setLoadingAgents] = useState(false);
   const [loadingScripts, setLoadingScripts] = useState(false);
@@ -49,6 +74,18 @@ function CreateCampaignModal({ isOpen, onClose, onCreateCampaign }) {
   const fetchFormData = async () => {
     fetchContacts();
     fetchVoiceAgents();
+    fetchSchedules();
+  };
+  
+  // Fetch the holiday calendars a campaign can skip
+  const fetchSchedules = async () => {
+    try {
+      const response = await getBusinessSchedules();
+      setSchedules(response.data || []);
+    } catch (error) {
+      console.error('Error fetching business schedules:', error);
+      setSchedules([]);
+    }
   };
   
   // Fetch contacts
@@ -129,12 +166,32 @@ function CreateCampaignModal({ isOpen, onClose, onCreateCampaign }) {
     setVoiceAgentId('');
     setScriptId('');
     setCallsPerDay(50);
-    setRetryCount(2);
+    setRetryRules(DEFAULT_RETRY_RULES);
+    setRetryVoicemail(false);
+    setVoicemailAfterHours(4);
+    setRetryDays([1, 2, 3, 4, 5]);
     setCallHoursStart('09:00');
     setCallHoursEnd('17:00');
+    setPacingMode('');
+    setTransferAgents(1);
+    setMaxAbandonRate(3);
+    setCallerIdStrategy('local');
+    setHolidayScheduleId('');
     setFormErrors({});
   };
   
+  // Update one field of a disposition's retry rule
+  const updateRetryRule = (disposition, field, value) => {
+    setRetryRules(rules => ({
+      ...rules,
+      [disposition]: { ...rules[disposition], [field]: value }
+    }));
+  };
+  
+  const toggleRetryDay = (day) => {
+    setRetryDays(days => (days.includes(day) ? days.filter(d => d !== day) : [...days, day].sort()));
+  };
+  
   // Validate form
   const validateForm = () => {
     const errors = {};
@@ -170,9 +227,20 @@ function CreateCampaignModal({ isOpen, onClose, onCreateCampaign }) {
       scriptId,
       settings: {
         callsPerDay,
-        retryCount,
+        retryPolicy: {
+          rules: {
+            ...retryRules,
+            voicemail: retryVoicemail
+              ? { maxAttempts: 2, backoff: 'fixed', afterHours: voicemailAfterHours }
+              : { enabled: false }
+          },
+          allowedDays: retryDays
+        },
         callHoursStart,
-        callHoursEnd
+        callHoursEnd,
+        callerIdStrategy,
+        ...(holidayScheduleId ? { scheduleId: parseInt(holidayScheduleId, 10) } : {}),
+        ...(pacingMode ? { pacingMode, transferAgents, maxAbandonRate } : {})
       },
       createdAt: new Date().toISOString()
     };
@@ -422,23 +490,87 @@ function CreateCampaignModal({ isOpen, onClose, onCreateCampaign }) {
                   </div>
                 </div>
                 
-                {/* Retry Count */}
-                <div>
-                  <label htmlFor="retryCount" className="block text-sm font-medium text-gray-700 dark:text-gray-300">
-                    Retry Count
-                  </label>
-                  <div className="mt-1">
-                    <input
-                      type="number"
-                      id="retryCount"
-                      className="form-input block w-full"
-                      min="0"
-                      max="5"
-                      value={retryCount}
-                      onChange={(e) => setRetryCount(parseInt(e.target.value) || 0)}
-                    />
-                    <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
-                      Number of times to retry if call fails or no answer
+                {/* Retry Policy */}
+                <div className="sm:col-span-2">
+                  <span className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+                    Retry Policy
+                  </span>
+                  <div className="mt-1 space-y-2">
+                    {RETRY_DISPOSITIONS.map(({ key, label }) => (
+                      <div key={key} className="grid grid-cols-4 gap-2 items-center">
+                        <span className="text-sm text-gray-700 dark:text-gray-300">{label}</span>
+                        <input
+                          type="number"
+                          aria-label={`${label} max attempts`}
+                          className="form-input block w-full"
+                          min="1"
+                          max="10"
+                          value={retryRules[key].maxAttempts}
+                          onChange={(e) => updateRetryRule(key, 'maxAttempts', parseInt(e.target.value) || 1)}
+                        />
+                        <input
+                          type="number"
+                          aria-label={`${label} delay in minutes`}
+                          className="form-input block w-full"
+                          min="1"
+                          value={retryRules[key].delayMinutes}
+                          onChange={(e) => updateRetryRule(key, 'delayMinutes', parseInt(e.target.value) || 1)}
+                        />
+                        <select
+                          aria-label={`${label} backoff`}
+                          className="form-select block w-full"
+                          value={retryRules[key].backoff}
+                          onChange={(e) => updateRetryRule(key, 'backoff', e.target.value)}
+                        >
+                          <option value="fixed">Fixed delay</option>
+                          <option value="exponential">Exponential</option>
+                        </select>
+                      </div>
+                    ))}
+                    <p className="text-xs text-gray-500 dark:text-gray-400">
+                      Max attempts (including the first call), delay in minutes before the next attempt, and whether the delay grows with each attempt
+                    </p>
+                    
+                    <div className="flex items-center">
+                      <input
+                        type="checkbox"
+                        id="retryVoicemail"
+                        className="form-checkbox"
+                        checked={retryVoicemail}
+                        onChange={(e) => setRetryVoicemail(e.target.checked)}
+                      />
+                      <label htmlFor="retryVoicemail" className="ml-2 text-sm text-gray-700 dark:text-gray-300">
+                        Retry calls that reach voicemail after
+                      </label>
+                      <input
+                        type="number"
+                        aria-label="Voicemail retry delay in hours"
+                        className="form-input ml-2 w-20"
+                        min="1"
+                        max="72"
+                        disabled={!retryVoicemail}
+                        value={voicemailAfterHours}
+                        onChange={(e) => setVoicemailAfterHours(parseInt(e.target.value) || 1)}
+                      />
+                      <span className="ml-2 text-sm text-gray-700 dark:text-gray-300">hours</span>
+                    </div>
+                    
+                    <div className="flex flex-wrap items-center gap-3">
+                      <span className="text-sm text-gray-700 dark:text-gray-300">Retry on</span>
+                      {WEEKDAYS.map((day, index) => (
+                        <label key={day} className="inline-flex items-center text-sm text-gray-700 dark:text-gray-300">
+                          <input
+                            type="checkbox"
+                            className="form-checkbox"
+                            checked={retryDays.includes(index)}
+                            onChange={() => toggleRetryDay(index)}
+                          />
+                          <span className="ml-1">{day}</span>
+                        </label>
+                      ))}
+                    </div>
+                    <p className="text-xs text-gray-500 dark:text-gray-400">
+                      Retries are placed within the call hours below, in the contact's local time
                     </p>
                   </div>
                 </div>
@@ -473,6 +605,115 @@ function CreateCampaignModal({ isOpen, onClose, onCreateCampaign }) {
                     />
                   </div>
                 </div>
+                
+                {/* Holidays */}
+                <div>
+                  <label htmlFor="holidayScheduleId" className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+                    Holiday Calendar
+                  </label>
+                  <div className="mt-1">
+                    <select
+                      id="holidayScheduleId"
+                      className="form-select block w-full"
+                      value={holidayScheduleId}
+                      onChange={(e) => setHolidayScheduleId(e.target.value)}
+                    >
+                      <option value="">Dial on holidays</option>
+                      {schedules.map((schedule) => (
+                        <option key={schedule.id} value={schedule.id}>{schedule.name}</option>
+                      ))}
+                    </select>
+                  </div>
+                  <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+                    Contacts are not called on this schedule's holidays, in their local time
+                  </p>
+                </div>
+                
+                {/* Caller ID */}
+                <div>
+                  <label htmlFor="callerIdStrategy" className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+                    Caller ID
+                  </label>
+                  <div className="mt-1">
+                    <select
+                      id="callerIdStrategy"
+                      className="form-select block w-full"
+                      value={callerIdStrategy}
+                      onChange={(e) => setCallerIdStrategy(e.target.value)}
+                    >
+                      <option value="local">Local presence</option>
+                      <option value="round-robin">Round robin</option>
+                    </select>
+                    <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+                      Local presence calls from a number matching the contact's area code or state when the pool has one
+                    </p>
+                  </div>
+                </div>
+                
+                {/* Dialing Pace */}
+                <div>
+                  <label htmlFor="pacingMode" className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+                    Dialing Mode
+                  </label>
+                  <div className="mt-1">
+                    <select
+                      id="pacingMode"
+                      className="form-select block w-full"
+                      value={pacingMode}
+                      onChange={(e) => setPacingMode(e.target.value)}
+                    >
+                      <option value="">Fixed batches</option>
+                      <option value="preview">Preview</option>
+                      <option value="progressive">Progressive</option>
+                      <option value="predictive">Predictive</option>
+                    </select>
+                    <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+                      Progressive and predictive modes adjust the dial rate to answer rate and agent availability
+                    </p>
+                  </div>
+                </div>
+                
+                {pacingMode && (
+                  <div>
+                    <label htmlFor="transferAgents" className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+                      Available Agents
+                    </label>
+                    <div className="mt-1">
+                      <input
+                        type="number"
+                        id="transferAgents"
+                        className="form-input block w-full"
+                        min="1"
+                        max="500"
+                        value={transferAgents}
+                        onChange={(e) => setTransferAgents(parseInt(e.target.value) || 1)}
+                      />
+                    </div>
+                  </div>
+                )}
+                
+                {pacingMode === 'predictive' && (
+                  <div>
+                    <label htmlFor="maxAbandonRate" className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+                      Max Abandon Rate (%)
+                    </label>
+                    <div className="mt-1">
+                      <input
+                        type="number"
+                        id="maxAbandonRate"
+                        className="form-input block w-full"
+                        min="0.5"
+                        max="20"
+                        step="0.5"
+                        value={maxAbandonRate}
+                        onChange={(e) => setMaxAbandonRate(parseFloat(e.target.value) || 3)}
+                      />
+                      <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+                        Dialing slows down as answered calls without a free agent approach this share
+                      </p>
+                    </div>
+                  </div>
+                )}
               </div>
             </div>
             
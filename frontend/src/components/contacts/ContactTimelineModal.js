@@ -0,0 +1,121 @@
+import React, { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import { contactService } from '../../services/contactService';
+
+// Icon and label of each kind of timeline event
+const EVENT_TYPES = {
+  call: { icon: 'fa-phone', label: 'Call', color: 'text-blue-500' },
+  callback: { icon: 'fa-phone-volume', label: 'Callback requested', color: 'text-green-500' },
+  appointment: { icon: 'fa-calendar-check', label: 'Appointment', color: 'text-purple-500' },
+  opt_out: { icon: 'fa-ban', label: 'Opted out', color: 'text-red-500' }
+};
+
+/**
+ * One line of detail for a timeline event
+ */
+const describeEvent = (event) => {
+  if (event.type === 'call') {
+    const duration = event.duration ? `, ${event.duration}s` : '';
+    return `${event.direction || 'outbound'} call, ${event.status || 'unknown'}${duration}`;
+  }
+  if (event.type === 'callback') {
+    const when = event.localTime ? `${event.localTime} (${event.timezone})` : new Date(event.at).toLocaleString();
+    return `${when}, ${event.status}${event.note ? ` - ${event.note}` : ''}`;
+  }
+  if (event.type === 'appointment') {
+    const minutes = Math.round((new Date(event.endTime) - new Date(event.at)) / 60000);
+    return `${minutes} minutes, ${event.status}${event.note ? ` - ${event.note}` : ''}`;
+  }
+  return 'Will not be called again';
+};
+
+/**
+ * Contact Timeline Modal
+ *
+ * Shows a contact's calls, the callbacks and appointments they asked for and their opt-out, newest first
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.contact - Contact to show
+ * @param {Function} props.onClose - Function to close the modal
+ */
+const ContactTimelineModal = ({ contact, onClose }) => {
+  const [events, setEvents] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const fetchTimeline = async () => {
+      try {
+        setLoading(true);
+        const response = await contactService.getContactTimeline(contact.id);
+        setEvents(response.data || []);
+      } catch (err) {
+        console.error('Error fetching contact timeline:', err);
+        setError('Failed to load the timeline. Please try again.');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchTimeline();
+  }, [contact.id]);
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center overflow-y-auto bg-black bg-opacity-50">
+      <div className="relative w-full max-w-2xl p-6 mx-4 bg-white rounded-lg shadow dark:bg-gray-800">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-xl font-semibold text-gray-900 dark:text-white">
+            Timeline: {contact.name || contact.phone}
+          </h3>
+          <button
+            onClick={onClose}
+            className="text-gray-400 bg-transparent hover:bg-gray-200 hover:text-gray-900 rounded-lg text-sm p-1.5 ml-auto inline-flex items-center dark:hover:bg-gray-600 dark:hover:text-white"
+          >
+            <i className="fas fa-times"></i>
+          </button>
+        </div>
+
+        {error && (
+          <div className="p-4 mb-4 text-sm text-red-700 bg-red-100 rounded-lg dark:bg-red-200 dark:text-red-800">
+            {error}
+          </div>
+        )}
+
+        {loading ? (
+          <p className="text-sm text-gray-500 dark:text-gray-400">Loading...</p>
+        ) : events.length === 0 ? (
+          <p className="text-sm text-gray-500 dark:text-gray-400">No calls or callbacks yet.</p>
+        ) : (
+          <ol className="relative max-h-96 overflow-y-auto border-l border-gray-200 dark:border-gray-700">
+            {events.map((event, index) => {
+              const type = EVENT_TYPES[event.type] || EVENT_TYPES.call;
+              return (
+                <li key={`${event.type}-${event.queueId || event.callLogId || index}`} className="mb-4 ml-6">
+                  <span className="absolute flex items-center justify-center w-6 h-6 -left-3 bg-white rounded-full dark:bg-gray-800">
+                    <i className={`fas ${type.icon} ${type.color}`}></i>
+                  </span>
+                  <div className="text-sm font-medium text-gray-900 dark:text-white">
+                    {type.label}
+                    <span className="ml-2 text-xs font-normal text-gray-500 dark:text-gray-400">
+                      {new Date(event.at).toLocaleString()}
+                    </span>
+                  </div>
+                  <div className="text-sm text-gray-600 dark:text-gray-300">
+                    {describeEvent(event)}
+                  </div>
+                </li>
+              );
+            })}
+          </ol>
+        )}
+      </div>
+    </div>
+  );
+};
+
+ContactTimelineModal.propTypes = {
+  contact: PropTypes.object.isRequired,
+  onClose: PropTypes.func.isRequired
+};
+
+export default ContactTimelineModal;
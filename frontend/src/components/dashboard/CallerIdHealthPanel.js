@@ -0,0 +1,167 @@
+import React, { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import DataTable from '../common/DataTable';
+import { getNumberHealth, checkNumberHealth } from '../../services/phoneNumberService';
+
+/**
+ * Caller ID Health Panel component
+ *
+ * Shows each pool number's health score, lowest first, so burned numbers are visible
+ * before connect rates fall
+ *
+ * @param {Object} props - Component props
+ * @param {number} props.limit - Most numbers to list
+ */
+const CallerIdHealthPanel = ({ limit = 8 }) => {
+  const [loading, setLoading] = useState(true);
+  const [checking, setChecking] = useState(false);
+  const [report, setReport] = useState(null);
+
+  useEffect(() => {
+    const fetchHealth = async () => {
+      try {
+        setLoading(true);
+        const response = await getNumberHealth();
+        setReport(response.data);
+      } catch (error) {
+        console.error('Error fetching caller ID health:', error);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchHealth();
+  }, []);
+
+  // Rescore now instead of waiting for the scheduled check
+  const handleCheck = async () => {
+    try {
+      setChecking(true);
+      const response = await checkNumberHealth();
+      setReport(response.data);
+    } catch (error) {
+      console.error('Error checking caller ID health:', error);
+    } finally {
+      setChecking(false);
+    }
+  };
+
+  const scoreColor = (number) => {
+    if (number.status === 'retired') return 'gray';
+    if (number.healthScore === null) return 'blue';
+    if (number.healthScore < report.threshold) return 'red';
+    if (number.healthScore < report.atRiskBelow) return 'yellow';
+    return 'green';
+  };
+
+  const formatRate = (rate) => `${Math.round((rate || 0) * 100)}%`;
+
+  const columns = [
+    {
+      key: 'phoneNumber',
+      header: 'Number',
+      render: (row) => (
+        <div>
+          <div className="text-sm font-medium text-gray-900 dark:text-white">{row.phoneNumber}</div>
+          <div className="text-sm text-gray-500 dark:text-gray-400">
+            {[row.friendlyName, row.state].filter(Boolean).join(' · ')}
+          </div>
+        </div>
+      )
+    },
+    {
+      key: 'healthScore',
+      header: 'Score',
+      render: (row) => {
+        const color = scoreColor(row);
+        return (
+          <span className={`inline-flex px-2 text-xs font-semibold leading-5 text-${color}-800 bg-${color}-100 rounded-full dark:bg-${color}-900 dark:text-${color}-200`}>
+            {row.healthScore === null ? 'Not scored' : row.healthScore}
+          </span>
+        );
+      }
+    },
+    {
+      key: 'answerRate',
+      header: 'Answered',
+      render: (row) => (
+        <div className="text-sm text-gray-900 dark:text-white">
+          {row.healthStats ? formatRate(row.healthStats.answerRate) : '-'}
+        </div>
+      )
+    },
+    {
+      key: 'carrierFailureRate',
+      header: 'Carrier Failures',
+      render: (row) => (
+        <div className="text-sm text-gray-900 dark:text-white">
+          {row.healthStats ? formatRate(row.healthStats.carrierFailureRate) : '-'}
+        </div>
+      )
+    },
+    {
+      key: 'status',
+      header: 'Status',
+      render: (row) => (
+        <div>
+          <div className="text-sm text-gray-900 dark:text-white capitalize">{row.status}</div>
+          {row.retiredReason && (
+            <div className="text-xs text-gray-500 dark:text-gray-400">{row.retiredReason}</div>
+          )}
+        </div>
+      )
+    }
+  ];
+
+  const summary = report?.summary || {};
+  const summaryItems = [
+    { label: 'Healthy', value: summary.healthy || 0, color: 'green' },
+    { label: 'At Risk', value: summary.atRisk || 0, color: 'yellow' },
+    { label: 'Retired', value: summary.retired || 0, color: 'red' },
+    { label: 'Not Scored', value: summary.unscored || 0, color: 'blue' }
+  ];
+
+  return (
+    <div className="p-6 bg-white rounded-lg shadow dark:bg-gray-800 fade-in mb-6">
+      <div className="flex items-center justify-between mb-4">
+        <div>
+          <h2 className="text-lg font-semibold text-gray-900 dark:text-white">Caller ID Health</h2>
+          {report && (
+            <p className="text-xs text-gray-500 dark:text-gray-400">
+              Last {report.windowDays} days · numbers scoring below {report.threshold} are retired
+            </p>
+          )}
+        </div>
+        <button
+          type="button"
+          onClick={handleCheck}
+          disabled={checking || loading}
+          className="px-3 py-1 text-xs font-medium rounded-md bg-primary-100 text-primary-800 dark:bg-primary-900 dark:text-primary-200 disabled:opacity-50"
+        >
+          {checking ? 'Checking...' : 'Check Now'}
+        </button>
+      </div>
+
+      <div className="grid grid-cols-2 gap-4 mb-4 md:grid-cols-4">
+        {summaryItems.map((item) => (
+          <div key={item.label} className={`p-3 rounded-md bg-${item.color}-50 dark:bg-${item.color}-900`}>
+            <p className={`text-xs font-medium text-${item.color}-700 dark:text-${item.color}-200`}>{item.label}</p>
+            <p className="text-lg font-semibold text-gray-900 dark:text-white">{item.value}</p>
+          </div>
+        ))}
+      </div>
+
+      <DataTable
+        columns={columns}
+        data={(report?.numbers || []).slice(0, limit)}
+        loading={loading}
+      />
+    </div>
+  );
+};
+
+CallerIdHealthPanel.propTypes = {
+  limit: PropTypes.number
+};
+
+export default CallerIdHealthPanel;
@@ -13,7 +13,8 @@ import {
   ArrowRightOnRectangleIcon,
   BellIcon,
   MoonIcon,
-  SunIcon
+  SunIcon,
+  ShareIcon
 } from '@heroicons/react/24/outline';
 
 const navigation = [
@@ -21,6 +22,7 @@ const navigation = [
   { name: 'Contacts', href: '/contacts', icon: UserGroupIcon },
   { name: 'Call Logs', href: '/call-logs', icon: PhoneIcon },
   { name: 'Voice Agents', href: '/voice-agents', icon: SpeakerWaveIcon },
+  { name: 'Call Flows', href: '/call-flows', icon: ShareIcon },
   { name: 'Settings', href: '/settings', icon: Cog6ToothIcon },
 ];
 
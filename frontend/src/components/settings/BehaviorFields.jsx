@@ -0,0 +1,60 @@
+import React from 'react';
+
+export const AFTER_HOURS_ACTIONS = [
+  { value: 'voicemail', label: 'Take a voicemail' },
+  { value: 'message', label: 'Play a closed message' },
+  { value: 'agent', label: 'AI agent answers' },
+  { value: 'forward', label: 'Forward to a number' }
+];
+
+export const FALLBACK_ACTIONS = AFTER_HOURS_ACTIONS.filter((action) => action.value !== 'agent');
+
+export const labelOf = (actions, value) => (actions.find((action) => action.value === value) || { label: value }).label;
+
+/**
+ * Behavior Fields component
+ *
+ * Edits what a caller gets after hours or on fallback: the action,
+ * and the message, voice agent or forwarding number it uses
+ */
+const BehaviorFields = ({ behavior, actions, onChange, agentListId, agentPlaceholder = 'Voice agent ID' }) => (
+  <div className="space-y-3">
+    <select
+      className="form-select block w-full rounded-md border-gray-300 sm:text-sm"
+      value={behavior.action}
+      onChange={(e) => onChange('action', e.target.value)}
+    >
+      {actions.map((action) => <option key={action.value} value={action.value}>{action.label}</option>)}
+    </select>
+    {behavior.action === 'agent' && (
+      <input
+        type="text"
+        className="form-input"
+        list={agentListId}
+        placeholder={agentPlaceholder}
+        value={behavior.voiceAgentId || ''}
+        onChange={(e) => onChange('voiceAgentId', e.target.value)}
+      />
+    )}
+    {behavior.action === 'forward' && (
+      <input
+        type="tel"
+        className="form-input"
+        placeholder="+12125550100"
+        value={behavior.forwardTo || ''}
+        onChange={(e) => onChange('forwardTo', e.target.value)}
+      />
+    )}
+    {behavior.action !== 'agent' && (
+      <textarea
+        className="form-input"
+        rows={2}
+        placeholder="Message played to the caller"
+        value={behavior.message || ''}
+        onChange={(e) => onChange('message', e.target.value)}
+      />
+    )}
+  </div>
+);
+
+export default BehaviorFields;
@@ -0,0 +1,380 @@
+import React, { useState, useEffect } from 'react';
+import {
+  CalendarDaysIcon,
+  PlusIcon,
+  PencilSquareIcon,
+  TrashIcon,
+  XMarkIcon
+} from '@heroicons/react/24/outline';
+import {
+  getBusinessSchedules,
+  createBusinessSchedule,
+  updateBusinessSchedule,
+  deleteBusinessSchedule
+} from '../../services/businessScheduleService';
+
+const DAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const TIMEZONES = [
+  { value: 'America/New_York', label: 'Eastern Time (ET)' },
+  { value: 'America/Chicago', label: 'Central Time (CT)' },
+  { value: 'America/Denver', label: 'Mountain Time (MT)' },
+  { value: 'America/Phoenix', label: 'Arizona (MST)' },
+  { value: 'America/Los_Angeles', label: 'Pacific Time (PT)' },
+  { value: 'America/Anchorage', label: 'Alaska Time (AKT)' },
+  { value: 'Pacific/Honolulu', label: 'Hawaii Time (HT)' },
+  { value: 'UTC', label: 'UTC' }
+];
+
+const NINE_TO_FIVE = () => [{ start: '09:00', end: '17:00' }];
+
+// Form state for a new schedule: weekdays 9-5
+const emptyForm = () => ({
+  id: null,
+  name: '',
+  timezone: 'America/New_York',
+  weeklyHours: { 1: NINE_TO_FIVE(), 2: NINE_TO_FIVE(), 3: NINE_TO_FIVE(), 4: NINE_TO_FIVE(), 5: NINE_TO_FIVE() },
+  holidays: []
+});
+
+// Time inputs cannot show 24:00, so a range closing at midnight is edited as 00:00
+const toInput = (time) => (time === '24:00' ? '00:00' : time);
+const fromInput = (range) => ({ start: range.start, end: range.end === '00:00' ? '24:00' : range.end });
+
+/**
+ * Short description of a schedule's weekly hours
+ */
+const describeHours = (weeklyHours) => {
+  const openDays = DAYS.filter((label, day) => (weeklyHours[day] || []).length > 0);
+  return openDays.length > 0 ? openDays.join(', ') : 'Closed every day';
+};
+
+/**
+ * Business Schedules Settings component
+ *
+ * Manages named weekly hours and holiday calendars. Inbound routes and call flows
+ * answer by them, and campaigns skip their holidays.
+ */
+const BusinessSchedulesSettings = () => {
+  const [schedules, setSchedules] = useState([]);
+  const [form, setForm] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [message, setMessage] = useState({ type: '', text: '', errors: [] });
+
+  const loadSchedules = async () => {
+    try {
+      setLoading(true);
+      const response = await getBusinessSchedules();
+      setSchedules(response.data || []);
+    } catch (error) {
+      console.error('Error fetching business schedules:', error);
+      setMessage({ type: 'error', text: 'Failed to load business schedules', errors: [] });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadSchedules();
+  }, []);
+
+  const editSchedule = (schedule) => {
+    setForm({
+      id: schedule.id,
+      name: schedule.name,
+      timezone: schedule.timezone,
+      weeklyHours: schedule.weeklyHours || {},
+      holidays: (schedule.holidays || []).map((holiday) => ({ name: '', ...holiday }))
+    });
+    setMessage({ type: '', text: '', errors: [] });
+  };
+
+  const setField = (key, value) => setForm((current) => ({ ...current, [key]: value }));
+
+  const setDayRanges = (day, ranges) => setForm((current) => ({
+    ...current,
+    weeklyHours: { ...current.weeklyHours, [day]: ranges }
+  }));
+
+  const setRange = (day, index, field, value) => {
+    const ranges = (form.weeklyHours[day] || []).map((range, i) => (i === index ? { ...range, [field]: value } : range));
+    setDayRanges(day, ranges);
+  };
+
+  const setHoliday = (index, changes) => setForm((current) => ({
+    ...current,
+    holidays: current.holidays.map((holiday, i) => (i === index ? { ...holiday, ...changes } : holiday))
+  }));
+
+  const addHoliday = () => setField('holidays', [...form.holidays, { date: '', name: '', hours: null }]);
+
+  const removeHoliday = (index) => setField('holidays', form.holidays.filter((holiday, i) => i !== index));
+
+  const handleSave = async () => {
+    const payload = {
+      name: form.name,
+      timezone: form.timezone,
+      weeklyHours: Object.fromEntries(
+        Object.entries(form.weeklyHours).map(([day, ranges]) => [day, ranges.map(fromInput)])
+      ),
+      holidays: form.holidays.map((holiday) => ({
+        date: holiday.date,
+        name: holiday.name || undefined,
+        hours: holiday.hours ? holiday.hours.map(fromInput) : undefined
+      }))
+    };
+
+    try {
+      setSaving(true);
+      if (form.id) {
+        await updateBusinessSchedule(form.id, payload);
+      } else {
+        await createBusinessSchedule(payload);
+      }
+      setForm(null);
+      await loadSchedules();
+      setMessage({ type: 'success', text: `Saved ${payload.name}`, errors: [] });
+    } catch (error) {
+      const response = error.originalError && error.originalError.response;
+      const errors = (response && response.data && response.data.errors) || [];
+      setMessage({ type: 'error', text: errors.length > 0 ? 'The schedule has problems' : (error.message || 'Failed to save schedule'), errors });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (schedule) => {
+    if (!window.confirm(`Delete ${schedule.name}? Routes and call flows using it become always open.`)) return;
+    try {
+      await deleteBusinessSchedule(schedule.id);
+      await loadSchedules();
+    } catch (error) {
+      setMessage({ type: 'error', text: 'Failed to delete schedule', errors: [] });
+    }
+  };
+
+  // Start and end inputs of one open range
+  const renderRange = (range, onChange, onRemove) => (
+    <div className="flex items-center space-x-2">
+      <input
+        type="time"
+        className="form-input w-32"
+        value={toInput(range.start)}
+        onChange={(e) => onChange('start', e.target.value)}
+      />
+      <span className="text-sm text-gray-500">to</span>
+      <input
+        type="time"
+        className="form-input w-32"
+        value={toInput(range.end)}
+        onChange={(e) => onChange('end', e.target.value)}
+      />
+      {onRemove && (
+        <button type="button" className="text-gray-400 hover:text-red-600" onClick={onRemove} title="Remove hours">
+          <XMarkIcon className="h-5 w-5" />
+        </button>
+      )}
+    </div>
+  );
+
+  return (
+    <div className="card p-6">
+      <div className="flex items-center justify-between mb-4">
+        <div className="flex items-center">
+          <CalendarDaysIcon className="h-6 w-6 text-primary-500 mr-2" />
+          <h3 className="text-xl font-semibold text-gray-900 dark:text-white">Business Hours</h3>
+        </div>
+        {!form && (
+          <button type="button" className="btn-outline" onClick={() => setForm(emptyForm())}>
+            <PlusIcon className="h-5 w-5 mr-1" />
+            Add Schedule
+          </button>
+        )}
+      </div>
+      <p className="mb-4 text-sm text-gray-500 dark:text-gray-400">
+        Opening hours and holidays for your inbound routes and call flows. Campaigns can also skip these holidays.
+      </p>
+
+      {message.text && (
+        <div className={`mb-4 rounded-md p-4 ${message.type === 'error' ? 'bg-red-50 text-red-800' : 'bg-green-50 text-green-800'}`}>
+          <p className="text-sm font-medium">{message.text}</p>
+          {message.errors.length > 0 && (
+            <ul className="mt-2 list-disc pl-5 text-sm">
+              {message.errors.map((error) => <li key={error}>{error}</li>)}
+            </ul>
+          )}
+        </div>
+      )}
+
+      {form ? (
+        <div className="space-y-6">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="form-label">Name</label>
+              <input
+                type="text"
+                className="form-input"
+                placeholder="NYC office"
+                value={form.name}
+                onChange={(e) => setField('name', e.target.value)}
+              />
+            </div>
+            <div>
+              <label className="form-label">Timezone</label>
+              <select
+                className="form-select block w-full rounded-md border-gray-300 sm:text-sm"
+                value={form.timezone}
+                onChange={(e) => setField('timezone', e.target.value)}
+              >
+                {TIMEZONES.map((zone) => <option key={zone.value} value={zone.value}>{zone.label}</option>)}
+              </select>
+            </div>
+          </div>
+
+          <div>
+            <h4 className="text-lg font-medium text-gray-900 dark:text-white mb-1">Weekly hours</h4>
+            <p className="mb-3 text-xs text-gray-500 dark:text-gray-400">
+              A range closing at 00:00 runs until midnight. For overnight hours, continue on the next day from 00:00.
+            </p>
+            <div className="space-y-3">
+              {DAYS.map((label, day) => {
+                const ranges = form.weeklyHours[day] || [];
+                return (
+                  <div key={label} className="flex flex-wrap items-start gap-4">
+                    <label className="inline-flex w-24 items-center pt-2 text-sm text-gray-700 dark:text-gray-300">
+                      <input
+                        type="checkbox"
+                        className="mr-2"
+                        checked={ranges.length > 0}
+                        onChange={(e) => setDayRanges(day, e.target.checked ? NINE_TO_FIVE() : [])}
+                      />
+                      {label}
+                    </label>
+                    {ranges.length === 0 ? (
+                      <span className="pt-2 text-sm text-gray-500">Closed</span>
+                    ) : (
+                      <div className="space-y-2">
+                        {ranges.map((range, index) => (
+                          <div key={index}>
+                            {renderRange(
+                              range,
+                              (field, value) => setRange(day, index, field, value),
+                              ranges.length > 1 ? () => setDayRanges(day, ranges.filter((item, i) => i !== index)) : null
+                            )}
+                          </div>
+                        ))}
+                        <button
+                          type="button"
+                          className="text-xs font-medium text-primary-600 hover:text-primary-800"
+                          onClick={() => setDayRanges(day, [...ranges, { start: '13:00', end: '17:00' }])}
+                        >
+                          Add hours
+                        </button>
+                      </div>
+                    )}
+                  </div>
+                );
+              })}
+            </div>
+          </div>
+
+          <div>
+            <div className="flex items-center justify-between mb-3">
+              <h4 className="text-lg font-medium text-gray-900 dark:text-white">Holidays</h4>
+              <button type="button" className="btn-outline py-1 px-3" onClick={addHoliday}>
+                <PlusIcon className="h-4 w-4 mr-1" />
+                Add Holiday
+              </button>
+            </div>
+            {form.holidays.length === 0 && <p className="text-sm text-gray-500">No holidays</p>}
+            <div className="space-y-3">
+              {form.holidays.map((holiday, index) => (
+                <div key={index} className="flex flex-wrap items-center gap-4">
+                  <input
+                    type="date"
+                    className="form-input w-44"
+                    value={holiday.date}
+                    onChange={(e) => setHoliday(index, { date: e.target.value })}
+                  />
+                  <input
+                    type="text"
+                    className="form-input w-48"
+                    placeholder="Name"
+                    value={holiday.name}
+                    onChange={(e) => setHoliday(index, { name: e.target.value })}
+                  />
+                  <label className="inline-flex items-center text-sm text-gray-700 dark:text-gray-300">
+                    <input
+                      type="checkbox"
+                      className="mr-2"
+                      checked={!holiday.hours}
+                      onChange={(e) => setHoliday(index, { hours: e.target.checked ? null : [{ start: '09:00', end: '13:00' }] })}
+                    />
+                    Closed all day
+                  </label>
+                  {holiday.hours && renderRange(
+                    holiday.hours[0],
+                    (field, value) => setHoliday(index, { hours: [{ ...holiday.hours[0], [field]: value }] })
+                  )}
+                  <button type="button" className="text-gray-400 hover:text-red-600" onClick={() => removeHoliday(index)} title="Remove holiday">
+                    <TrashIcon className="h-5 w-5" />
+                  </button>
+                </div>
+              ))}
+            </div>
+          </div>
+
+          <div className="flex justify-end space-x-2">
+            <button type="button" className="btn-outline" onClick={() => setForm(null)}>Cancel</button>
+            <button type="button" className="btn-primary" onClick={handleSave} disabled={saving || !form.name}>
+              {saving ? 'Saving...' : 'Save Schedule'}
+            </button>
+          </div>
+        </div>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700">
+            <thead>
+              <tr>
+                <th className="px-4 py-2 text-left text-xs font-medium uppercase text-gray-500">Name</th>
+                <th className="px-4 py-2 text-left text-xs font-medium uppercase text-gray-500">Open days</th>
+                <th className="px-4 py-2 text-left text-xs font-medium uppercase text-gray-500">Holidays</th>
+                <th className="px-4 py-2" />
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+              {schedules.map((schedule) => (
+                <tr key={schedule.id}>
+                  <td className="px-4 py-2 text-sm text-gray-900 dark:text-white">
+                    <div>{schedule.name}</div>
+                    <div className="text-xs text-gray-500">{schedule.timezone}</div>
+                  </td>
+                  <td className="px-4 py-2 text-sm text-gray-700 dark:text-gray-300">{describeHours(schedule.weeklyHours || {})}</td>
+                  <td className="px-4 py-2 text-sm text-gray-700 dark:text-gray-300">{(schedule.holidays || []).length}</td>
+                  <td className="px-4 py-2 text-right whitespace-nowrap">
+                    <button type="button" className="text-gray-400 hover:text-primary-600 mr-2" onClick={() => editSchedule(schedule)} title="Edit schedule">
+                      <PencilSquareIcon className="h-5 w-5" />
+                    </button>
+                    <button type="button" className="text-gray-400 hover:text-red-600" onClick={() => handleDelete(schedule)} title="Delete schedule">
+                      <TrashIcon className="h-5 w-5" />
+                    </button>
+                  </td>
+                </tr>
+              ))}
+              {!loading && schedules.length === 0 && (
+                <tr>
+                  <td colSpan={4} className="px-4 py-6 text-center text-sm text-gray-500 dark:text-gray-400">
+                    No schedules yet. Routes and call flows without one are always open.
+                  </td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BusinessSchedulesSettings;
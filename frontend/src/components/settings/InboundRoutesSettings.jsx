@@ -0,0 +1,362 @@
+import React, { useState, useEffect } from 'react';
+import {
+  PhoneArrowDownLeftIcon,
+  PlusIcon,
+  PencilSquareIcon,
+  TrashIcon
+} from '@heroicons/react/24/outline';
+import {
+  getInboundRoutes,
+  createInboundRoute,
+  updateInboundRoute,
+  deleteInboundRoute
+} from '../../services/inboundRouteService';
+import { getCallFlows } from '../../services/callFlowService';
+import { getCampaigns } from '../../services/campaignService';
+import { getConfiguredAgents } from '../../services/agentService';
+import { getPhoneNumbers } from '../../services/phoneNumberService';
+import { getBusinessSchedules } from '../../services/businessScheduleService';
+import BehaviorFields, { AFTER_HOURS_ACTIONS, FALLBACK_ACTIONS, labelOf } from './BehaviorFields';
+
+// Form state for a new route
+const emptyForm = () => ({
+  id: null,
+  phoneNumber: '',
+  name: '',
+  voiceAgentId: '',
+  callFlowId: '',
+  campaignId: '',
+  scheduleId: '',
+  afterHours: { action: 'voicemail', message: '' },
+  fallback: { action: 'message', message: '' },
+  isActive: true
+});
+
+/**
+ * Inbound Routes Settings component
+ *
+ * Manages the routing table: which AI agent or call flow answers each number,
+ * its business schedule, what callers get after hours, and the fallback
+ */
+const InboundRoutesSettings = () => {
+  const [routes, setRoutes] = useState([]);
+  const [flows, setFlows] = useState([]);
+  const [campaigns, setCampaigns] = useState([]);
+  const [agents, setAgents] = useState([]);
+  const [numbers, setNumbers] = useState([]);
+  const [schedules, setSchedules] = useState([]);
+  const [form, setForm] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [message, setMessage] = useState({ type: '', text: '', errors: [] });
+
+  const loadRoutes = async () => {
+    try {
+      setLoading(true);
+      const response = await getInboundRoutes();
+      setRoutes(response.data || []);
+    } catch (error) {
+      console.error('Error fetching inbound routes:', error);
+      setMessage({ type: 'error', text: 'Failed to load inbound routes', errors: [] });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Choices for the form; each list is optional, so one failing does not block the others
+  const loadOptions = async () => {
+    const [flowResponse, campaignResponse, agentResponse, numberResponse, scheduleResponse] = await Promise.all([
+      getCallFlows().catch(() => ({})),
+      getCampaigns().catch(() => ({})),
+      getConfiguredAgents().catch(() => ({})),
+      getPhoneNumbers().catch(() => ({})),
+      getBusinessSchedules().catch(() => ({}))
+    ]);
+    setFlows(flowResponse.data || []);
+    setCampaigns(campaignResponse.data || []);
+    setAgents(agentResponse.agents || []);
+    setNumbers(numberResponse.data || []);
+    setSchedules(scheduleResponse.data || []);
+  };
+
+  useEffect(() => {
+    loadRoutes();
+    loadOptions();
+  }, []);
+
+  const editRoute = (route) => {
+    setForm({
+      id: route.id,
+      phoneNumber: route.phoneNumber,
+      name: route.name || '',
+      voiceAgentId: route.voiceAgentId || '',
+      callFlowId: route.callFlowId ? String(route.callFlowId) : '',
+      campaignId: route.campaignId || '',
+      scheduleId: route.scheduleId ? String(route.scheduleId) : '',
+      afterHours: { message: '', ...route.afterHours },
+      fallback: { message: '', ...route.fallback },
+      isActive: route.isActive
+    });
+    setMessage({ type: '', text: '', errors: [] });
+  };
+
+  const setField = (key, value) => setForm((current) => ({ ...current, [key]: value }));
+
+  const setNested = (key, field, value) => setForm((current) => ({
+    ...current,
+    [key]: { ...current[key], [field]: value }
+  }));
+
+  const handleSave = async () => {
+    const payload = {
+      phoneNumber: form.phoneNumber,
+      name: form.name,
+      voiceAgentId: form.voiceAgentId || null,
+      callFlowId: form.callFlowId ? parseInt(form.callFlowId, 10) : null,
+      campaignId: form.campaignId || null,
+      scheduleId: form.scheduleId ? parseInt(form.scheduleId, 10) : null,
+      afterHours: form.afterHours,
+      fallback: form.fallback,
+      isActive: form.isActive
+    };
+
+    try {
+      setSaving(true);
+      if (form.id) {
+        await updateInboundRoute(form.id, payload);
+      } else {
+        await createInboundRoute(payload);
+      }
+      setForm(null);
+      await loadRoutes();
+      setMessage({ type: 'success', text: `Saved the route for ${form.phoneNumber}`, errors: [] });
+    } catch (error) {
+      const response = error.originalError && error.originalError.response;
+      const errors = (response && response.data && response.data.errors) || [];
+      setMessage({ type: 'error', text: errors.length > 0 ? 'The route has problems' : (error.message || 'Failed to save route'), errors });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (route) => {
+    if (!window.confirm(`Delete the route for ${route.phoneNumber}? The number goes back to the default inbound handling.`)) return;
+    try {
+      await deleteInboundRoute(route.id);
+      await loadRoutes();
+    } catch (error) {
+      setMessage({ type: 'error', text: 'Failed to delete route', errors: [] });
+    }
+  };
+
+  return (
+    <div className="card p-6">
+      <div className="flex items-center justify-between mb-4">
+        <div className="flex items-center">
+          <PhoneArrowDownLeftIcon className="h-6 w-6 text-primary-500 mr-2" />
+          <h3 className="text-xl font-semibold text-gray-900 dark:text-white">Inbound Routing</h3>
+        </div>
+        {!form && (
+          <button type="button" className="btn-outline" onClick={() => setForm(emptyForm())}>
+            <PlusIcon className="h-5 w-5 mr-1" />
+            Add Route
+          </button>
+        )}
+      </div>
+      <p className="mb-4 text-sm text-gray-500 dark:text-gray-400">
+        Choose who answers each of your numbers, when, and what callers get after hours or when nobody can answer.
+      </p>
+
+      {message.text && (
+        <div className={`mb-4 rounded-md p-4 ${message.type === 'error' ? 'bg-red-50 text-red-800' : 'bg-green-50 text-green-800'}`}>
+          <p className="text-sm font-medium">{message.text}</p>
+          {message.errors.length > 0 && (
+            <ul className="mt-2 list-disc pl-5 text-sm">
+              {message.errors.map((error) => <li key={error}>{error}</li>)}
+            </ul>
+          )}
+        </div>
+      )}
+
+      <datalist id="inbound-route-agents">
+        {agents.map((agent) => <option key={agent.agentId} value={agent.agentId}>{agent.name}</option>)}
+      </datalist>
+
+      {form ? (
+        <div className="space-y-6">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="form-label">Phone number</label>
+              <input
+                type="tel"
+                className="form-input"
+                list="inbound-route-numbers"
+                placeholder="+12125550000"
+                value={form.phoneNumber}
+                onChange={(e) => setField('phoneNumber', e.target.value)}
+              />
+              <datalist id="inbound-route-numbers">
+                {numbers.map((number) => (
+                  <option key={number.id} value={number.phoneNumber}>{number.friendlyName}</option>
+                ))}
+              </datalist>
+            </div>
+            <div>
+              <label className="form-label">Name</label>
+              <input
+                type="text"
+                className="form-input"
+                placeholder="Main line"
+                value={form.name}
+                onChange={(e) => setField('name', e.target.value)}
+              />
+            </div>
+            <div>
+              <label className="form-label">Call flow</label>
+              <select
+                className="form-select block w-full rounded-md border-gray-300 sm:text-sm"
+                value={form.callFlowId}
+                onChange={(e) => setField('callFlowId', e.target.value)}
+              >
+                <option value="">None — the voice agent answers</option>
+                {flows.map((flow) => <option key={flow.id} value={flow.id}>{flow.name}</option>)}
+              </select>
+            </div>
+            <div>
+              <label className="form-label">Voice agent</label>
+              <input
+                type="text"
+                className="form-input"
+                list="inbound-route-agents"
+                placeholder="Voice agent ID"
+                value={form.voiceAgentId}
+                onChange={(e) => setField('voiceAgentId', e.target.value)}
+              />
+            </div>
+            <div>
+              <label className="form-label">Campaign</label>
+              <select
+                className="form-select block w-full rounded-md border-gray-300 sm:text-sm"
+                value={form.campaignId}
+                onChange={(e) => setField('campaignId', e.target.value)}
+              >
+                <option value="">None</option>
+                {campaigns.map((campaign) => <option key={campaign.id} value={campaign.id}>{campaign.name}</option>)}
+              </select>
+            </div>
+            <div className="flex items-end">
+              <label className="inline-flex items-center text-sm text-gray-700 dark:text-gray-300">
+                <input
+                  type="checkbox"
+                  className="mr-2"
+                  checked={form.isActive}
+                  onChange={(e) => setField('isActive', e.target.checked)}
+                />
+                Route is active
+              </label>
+            </div>
+          </div>
+
+          <div>
+            <h4 className="text-lg font-medium text-gray-900 dark:text-white mb-2">Business hours</h4>
+            <select
+              className="form-select block w-full md:w-1/2 rounded-md border-gray-300 sm:text-sm"
+              value={form.scheduleId}
+              onChange={(e) => setField('scheduleId', e.target.value)}
+            >
+              <option value="">Always open</option>
+              {schedules.map((schedule) => (
+                <option key={schedule.id} value={schedule.id}>{schedule.name} ({schedule.timezone})</option>
+              ))}
+            </select>
+            <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+              Schedules, with their holidays, are managed under Business Hours
+            </p>
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+            <div>
+              <h4 className="text-lg font-medium text-gray-900 dark:text-white mb-2">After hours</h4>
+              <BehaviorFields
+                behavior={form.afterHours}
+                actions={AFTER_HOURS_ACTIONS}
+                onChange={(field, value) => setNested('afterHours', field, value)}
+                agentListId="inbound-route-agents"
+                agentPlaceholder="Voice agent ID (defaults to the route's agent)"
+              />
+            </div>
+            <div>
+              <h4 className="text-lg font-medium text-gray-900 dark:text-white mb-1">Fallback</h4>
+              <p className="mb-2 text-xs text-gray-500 dark:text-gray-400">
+                Used when the route has no flow or agent that can answer
+              </p>
+              <BehaviorFields
+                behavior={form.fallback}
+                actions={FALLBACK_ACTIONS}
+                onChange={(field, value) => setNested('fallback', field, value)}
+              />
+            </div>
+          </div>
+
+          <div className="flex justify-end space-x-2">
+            <button type="button" className="btn-outline" onClick={() => setForm(null)}>Cancel</button>
+            <button type="button" className="btn-primary" onClick={handleSave} disabled={saving || !form.phoneNumber}>
+              {saving ? 'Saving...' : 'Save Route'}
+            </button>
+          </div>
+        </div>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700">
+            <thead>
+              <tr>
+                <th className="px-4 py-2 text-left text-xs font-medium uppercase text-gray-500">Number</th>
+                <th className="px-4 py-2 text-left text-xs font-medium uppercase text-gray-500">Answered by</th>
+                <th className="px-4 py-2 text-left text-xs font-medium uppercase text-gray-500">Hours</th>
+                <th className="px-4 py-2 text-left text-xs font-medium uppercase text-gray-500">After hours</th>
+                <th className="px-4 py-2" />
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+              {routes.map((route) => (
+                <tr key={route.id} className={route.isActive ? '' : 'opacity-50'}>
+                  <td className="px-4 py-2 text-sm text-gray-900 dark:text-white">
+                    <div className="font-mono">{route.phoneNumber}</div>
+                    {route.name && <div className="text-xs text-gray-500">{route.name}</div>}
+                  </td>
+                  <td className="px-4 py-2 text-sm text-gray-700 dark:text-gray-300">
+                    {route.callFlow ? `Flow: ${route.callFlow.name}` : (route.voiceAgentId ? `Agent: ${route.voiceAgentId}` : 'Fallback only')}
+                    {route.campaign && <div className="text-xs text-gray-500">{route.campaign.name}</div>}
+                  </td>
+                  <td className="px-4 py-2 text-sm text-gray-700 dark:text-gray-300">
+                    {route.schedule ? route.schedule.name : 'Always open'}
+                  </td>
+                  <td className="px-4 py-2 text-sm text-gray-700 dark:text-gray-300">
+                    {route.scheduleId ? labelOf(AFTER_HOURS_ACTIONS, route.afterHours.action) : '—'}
+                  </td>
+                  <td className="px-4 py-2 text-right whitespace-nowrap">
+                    <button type="button" className="text-gray-400 hover:text-primary-600 mr-2" onClick={() => editRoute(route)} title="Edit route">
+                      <PencilSquareIcon className="h-5 w-5" />
+                    </button>
+                    <button type="button" className="text-gray-400 hover:text-red-600" onClick={() => handleDelete(route)} title="Delete route">
+                      <TrashIcon className="h-5 w-5" />
+                    </button>
+                  </td>
+                </tr>
+              ))}
+              {!loading && routes.length === 0 && (
+                <tr>
+                  <td colSpan={5} className="px-4 py-6 text-center text-sm text-gray-500 dark:text-gray-400">
+                    No routes yet. Unrouted numbers are answered by the default voice agent.
+                  </td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default InboundRoutesSettings;
@@ -0,0 +1,502 @@
+import React, { useState, useEffect } from 'react';
+import {
+  PlusIcon,
+  TrashIcon,
+  CheckIcon,
+  ArrowPathIcon
+} from '@heroicons/react/24/outline';
+import CallFlowCanvas from '../components/callFlows/CallFlowCanvas';
+import CallFlowNodeEditor from '../components/callFlows/CallFlowNodeEditor';
+import {
+  getCallFlows,
+  getCallFlow,
+  createCallFlow,
+  updateCallFlow,
+  deleteCallFlow,
+  getCallFlowVersions,
+  getCallFlowVersion,
+  activateCallFlowVersion,
+  assignCallFlow
+} from '../services/callFlowService';
+import { getPhoneNumbers } from '../services/phoneNumberService';
+import { getBusinessSchedules } from '../services/businessScheduleService';
+import BehaviorFields, { AFTER_HOURS_ACTIONS } from '../components/settings/BehaviorFields';
+
+const DEFAULT_AFTER_HOURS = { action: 'message', message: '' };
+
+// Starting point for a new flow
+const newDraft = () => ({
+  id: null,
+  name: 'New call flow',
+  description: '',
+  scheduleId: '',
+  afterHours: { ...DEFAULT_AFTER_HOURS },
+  definition: {
+    startNodeId: 'welcome',
+    nodes: [
+      { id: 'welcome', type: 'say', text: 'Thank you for calling.', position: { x: 320, y: 40 } }
+    ]
+  }
+});
+
+/**
+ * Call Flows page component
+ *
+ * Builds inbound IVR flows on a drag-and-drop canvas, saves them as versions,
+ * and assigns them to the numbers whose calls they answer
+ */
+function CallFlows() {
+  const [flows, setFlows] = useState([]);
+  const [numbers, setNumbers] = useState([]);
+  const [schedules, setSchedules] = useState([]);
+  const [draft, setDraft] = useState(null);
+  const [versions, setVersions] = useState([]);
+  const [viewingVersion, setViewingVersion] = useState(null);
+  const [selectedNodeId, setSelectedNodeId] = useState(null);
+  const [notes, setNotes] = useState('');
+  const [dirty, setDirty] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [message, setMessage] = useState({ type: '', text: '', errors: [] });
+
+  const loadFlows = async () => {
+    try {
+      setLoading(true);
+      const [flowResponse, numberResponse, scheduleResponse] = await Promise.all([
+        getCallFlows(),
+        getPhoneNumbers(),
+        getBusinessSchedules().catch(() => ({}))
+      ]);
+      setFlows(flowResponse.data || []);
+      setNumbers(numberResponse.data || []);
+      setSchedules(scheduleResponse.data || []);
+    } catch (error) {
+      console.error('Error fetching call flows:', error);
+      setMessage({ type: 'error', text: 'Failed to load call flows', errors: [] });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadFlows();
+  }, []);
+
+  const openFlow = async (flowId) => {
+    if (dirty && !window.confirm('Discard unsaved changes?')) return;
+    try {
+      const [flowResponse, versionResponse] = await Promise.all([getCallFlow(flowId), getCallFlowVersions(flowId)]);
+      const flow = flowResponse.data;
+      setDraft({
+        id: flow.id,
+        name: flow.name,
+        description: flow.description || '',
+        scheduleId: flow.scheduleId ? String(flow.scheduleId) : '',
+        afterHours: { ...DEFAULT_AFTER_HOURS, ...flow.afterHours },
+        activeVersion: flow.activeVersion,
+        definition: flow.definition || newDraft().definition
+      });
+      setVersions(versionResponse.data || []);
+      setViewingVersion(flow.version);
+      setSelectedNodeId(null);
+      setDirty(false);
+      setMessage({ type: '', text: '', errors: [] });
+    } catch (error) {
+      console.error('Error fetching call flow:', error);
+      setMessage({ type: 'error', text: 'Failed to load call flow', errors: [] });
+    }
+  };
+
+  const startNewFlow = () => {
+    if (dirty && !window.confirm('Discard unsaved changes?')) return;
+    setDraft(newDraft());
+    setVersions([]);
+    setViewingVersion(null);
+    setSelectedNodeId('welcome');
+    setDirty(true);
+  };
+
+  // Apply a change to the draft definition
+  const updateDefinition = (change) => {
+    setDraft((current) => ({ ...current, definition: change(current.definition) }));
+    setDirty(true);
+  };
+
+  const updateNodes = (change) => updateDefinition((definition) => ({ ...definition, nodes: change(definition.nodes) }));
+
+  const handleAddNode = (type, position) => {
+    const ids = new Set(draft.definition.nodes.map((node) => node.id));
+    let index = 1;
+    while (ids.has(`${type}-${index}`)) index++;
+    const node = { id: `${type}-${index}`, type, position };
+
+    updateDefinition((definition) => ({
+      ...definition,
+      startNodeId: definition.nodes.length === 0 ? node.id : definition.startNodeId,
+      nodes: [...definition.nodes, node]
+    }));
+    setSelectedNodeId(node.id);
+  };
+
+  const handleMoveNode = (nodeId, position) => {
+    updateNodes((nodes) => nodes.map((node) => (node.id === nodeId ? { ...node, position } : node)));
+  };
+
+  const handleConnect = (fromId, toId) => {
+    updateNodes((nodes) => nodes.map((node) => (node.id === fromId ? { ...node, next: toId } : node)));
+  };
+
+  const handleNodeChange = (updated) => {
+    updateNodes((nodes) => nodes.map((node) => (node.id === updated.id ? updated : node)));
+  };
+
+  // Remove a node and every edge that pointed to it
+  const handleDeleteNode = (nodeId) => {
+    updateDefinition((definition) => {
+      const nodes = definition.nodes
+        .filter((node) => node.id !== nodeId)
+        .map((node) => {
+          const cleaned = { ...node };
+          if (cleaned.next === nodeId) delete cleaned.next;
+          if (cleaned.branches) {
+            cleaned.branches = Object.fromEntries(Object.entries(cleaned.branches).filter(([, target]) => target !== nodeId));
+            if (Object.keys(cleaned.branches).length === 0) delete cleaned.branches;
+          }
+          return cleaned;
+        });
+      return {
+        ...definition,
+        nodes,
+        startNodeId: definition.startNodeId === nodeId ? (nodes[0] || {}).id : definition.startNodeId
+      };
+    });
+    setSelectedNodeId(null);
+  };
+
+  // Reload the flow without the unsaved-changes prompt
+  const openFlowAfterSave = async (flowId) => {
+    const [flowResponse, versionResponse] = await Promise.all([getCallFlow(flowId), getCallFlowVersions(flowId)]);
+    const flow = flowResponse.data;
+    setDraft((current) => ({ ...current, id: flow.id, activeVersion: flow.activeVersion }));
+    setVersions(versionResponse.data || []);
+    setViewingVersion(flow.version);
+  };
+
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      const payload = {
+        name: draft.name,
+        description: draft.description,
+        scheduleId: draft.scheduleId ? parseInt(draft.scheduleId, 10) : null,
+        afterHours: draft.scheduleId ? draft.afterHours : null,
+        definition: draft.definition,
+        notes: notes || undefined
+      };
+      const response = draft.id ? await updateCallFlow(draft.id, payload) : await createCallFlow(payload);
+      const flow = response.data;
+
+      setDirty(false);
+      setNotes('');
+      await openFlowAfterSave(flow.id);
+      await loadFlows();
+      setMessage({ type: 'success', text: `Saved version ${flow.version}`, errors: [] });
+    } catch (error) {
+      // Validation problems come back as a list, one per node
+      const response = error.originalError && error.originalError.response;
+      const errors = (response && response.data && response.data.errors) || [];
+      setMessage({ type: 'error', text: errors.length > 0 ? 'The flow has problems' : (error.message || 'Failed to save call flow'), errors });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDeleteFlow = async () => {
+    if (!draft.id || !window.confirm(`Delete ${draft.name}? Its numbers go back to the default inbound handling.`)) return;
+    try {
+      await deleteCallFlow(draft.id);
+      setDraft(null);
+      setDirty(false);
+      await loadFlows();
+    } catch (error) {
+      setMessage({ type: 'error', text: 'Failed to delete call flow', errors: [] });
+    }
+  };
+
+  // Load an older version into the editor; saving it makes a new version
+  const handleViewVersion = async (version) => {
+    if (dirty && !window.confirm('Discard unsaved changes?')) return;
+    try {
+      const response = await getCallFlowVersion(draft.id, version);
+      setDraft((current) => ({ ...current, definition: response.data.definition }));
+      setViewingVersion(version);
+      setSelectedNodeId(null);
+      setDirty(false);
+    } catch (error) {
+      setMessage({ type: 'error', text: `Failed to load version ${version}`, errors: [] });
+    }
+  };
+
+  const handleActivateVersion = async (version) => {
+    try {
+      await activateCallFlowVersion(draft.id, version);
+      setDraft((current) => ({ ...current, activeVersion: version }));
+      await loadFlows();
+      setMessage({ type: 'success', text: `New calls now run version ${version}`, errors: [] });
+    } catch (error) {
+      setMessage({ type: 'error', text: 'Failed to activate version', errors: [] });
+    }
+  };
+
+  const handleAssign = async (numberId, flowId) => {
+    try {
+      await assignCallFlow(numberId, flowId ? parseInt(flowId, 10) : null);
+      await loadFlows();
+    } catch (error) {
+      setMessage({ type: 'error', text: 'Failed to assign call flow', errors: [] });
+    }
+  };
+
+  const selectedNode = draft && draft.definition.nodes.find((node) => node.id === selectedNodeId);
+
+  return (
+    <div className="space-y-6">
+      {/* Header section */}
+      <div className="flex items-center justify-between">
+        <div>
+          <h2 className="text-3xl font-bold text-gray-900 dark:text-white">Call Flows</h2>
+          <p className="mt-1 text-sm text-gray-500 dark:text-gray-400">
+            Build the menus that answer your inbound numbers
+          </p>
+        </div>
+        <div className="flex space-x-2">
+          <button type="button" className="btn-outline" onClick={loadFlows}>
+            <ArrowPathIcon className="h-5 w-5" />
+          </button>
+          <button type="button" className="btn-primary" onClick={startNewFlow}>
+            <PlusIcon className="h-5 w-5 mr-2" />
+            New Flow
+          </button>
+        </div>
+      </div>
+
+      {message.text && (
+        <div className={`rounded-md p-4 ${message.type === 'error' ? 'bg-red-50 text-red-800' : 'bg-green-50 text-green-800'}`}>
+          <p className="text-sm font-medium">{message.text}</p>
+          {message.errors.length > 0 && (
+            <ul className="mt-2 list-disc pl-5 text-sm">
+              {message.errors.map((error) => <li key={error}>{error}</li>)}
+            </ul>
+          )}
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 gap-6 lg:grid-cols-4">
+        {/* Flow list and number assignment */}
+        <div className="space-y-6">
+          <div className="card p-4">
+            <h3 className="text-sm font-medium text-gray-900 dark:text-white mb-3">Flows</h3>
+            {loading && <p className="text-sm text-gray-500">Loading...</p>}
+            {!loading && flows.length === 0 && <p className="text-sm text-gray-500">No call flows yet</p>}
+            <ul className="space-y-1">
+              {flows.map((flow) => (
+                <li key={flow.id}>
+                  <button
+                    type="button"
+                    onClick={() => openFlow(flow.id)}
+                    className={`w-full text-left rounded-md px-2 py-1.5 text-sm ${
+                      draft && draft.id === flow.id
+                        ? 'bg-gray-100 text-gray-900 dark:bg-gray-800 dark:text-white'
+                        : 'text-gray-600 hover:bg-gray-50 dark:text-gray-300 dark:hover:bg-gray-700'
+                    }`}
+                  >
+                    <div className="font-medium">{flow.name}</div>
+                    <div className="text-xs text-gray-500 dark:text-gray-400">
+                      v{flow.activeVersion} · {(flow.phoneNumbers || []).length} numbers
+                    </div>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          </div>
+
+          <div className="card p-4">
+            <h3 className="text-sm font-medium text-gray-900 dark:text-white mb-3">Numbers</h3>
+            {numbers.length === 0 && <p className="text-sm text-gray-500">No numbers in the pool</p>}
+            <div className="space-y-3">
+              {numbers.map((number) => (
+                <div key={number.id}>
+                  <label className="form-label">{number.friendlyName || number.phoneNumber}</label>
+                  <select
+                    className="form-select block w-full rounded-md border-gray-300 sm:text-sm"
+                    value={number.callFlowId || ''}
+                    onChange={(e) => handleAssign(number.id, e.target.value)}
+                  >
+                    <option value="">Default inbound handling</option>
+                    {flows.map((flow) => <option key={flow.id} value={flow.id}>{flow.name}</option>)}
+                  </select>
+                </div>
+              ))}
+            </div>
+          </div>
+        </div>
+
+        {/* Editor */}
+        <div className="lg:col-span-3 space-y-4">
+          {!draft && (
+            <div className="card p-12 text-center text-sm text-gray-500 dark:text-gray-400">
+              Pick a flow to edit, or create a new one
+            </div>
+          )}
+
+          {draft && (
+            <>
+              <div className="card p-4">
+                <div className="grid grid-cols-1 gap-4 md:grid-cols-3">
+                  <div>
+                    <label className="form-label">Name</label>
+                    <input
+                      type="text"
+                      className="form-input"
+                      value={draft.name}
+                      onChange={(e) => { setDraft({ ...draft, name: e.target.value }); setDirty(true); }}
+                    />
+                  </div>
+                  <div>
+                    <label className="form-label">Description</label>
+                    <input
+                      type="text"
+                      className="form-input"
+                      value={draft.description}
+                      onChange={(e) => { setDraft({ ...draft, description: e.target.value }); setDirty(true); }}
+                    />
+                  </div>
+                  <div>
+                    <label className="form-label">What changed</label>
+                    <input
+                      type="text"
+                      className="form-input"
+                      placeholder="Optional version notes"
+                      value={notes}
+                      onChange={(e) => setNotes(e.target.value)}
+                    />
+                  </div>
+                </div>
+                <div className="mt-4 grid grid-cols-1 gap-4 md:grid-cols-3">
+                  <div>
+                    <label className="form-label">Business hours</label>
+                    <select
+                      className="form-select block w-full rounded-md border-gray-300 sm:text-sm"
+                      value={draft.scheduleId}
+                      onChange={(e) => { setDraft({ ...draft, scheduleId: e.target.value }); setDirty(true); }}
+                    >
+                      <option value="">Always open</option>
+                      {schedules.map((schedule) => <option key={schedule.id} value={schedule.id}>{schedule.name}</option>)}
+                    </select>
+                  </div>
+                  {draft.scheduleId && (
+                    <div className="md:col-span-2">
+                      <label className="form-label">After hours</label>
+                      <BehaviorFields
+                        behavior={draft.afterHours}
+                        actions={AFTER_HOURS_ACTIONS}
+                        onChange={(field, value) => {
+                          setDraft({ ...draft, afterHours: { ...draft.afterHours, [field]: value } });
+                          setDirty(true);
+                        }}
+                      />
+                    </div>
+                  )}
+                </div>
+                <div className="mt-4 flex items-center justify-between">
+                  <p className="text-xs text-gray-500 dark:text-gray-400">
+                    {viewingVersion ? `Editing from version ${viewingVersion}` : 'Not saved yet'}
+                    {dirty && ' · unsaved changes'}
+                  </p>
+                  <div className="flex space-x-2">
+                    {draft.id && (
+                      <button type="button" className="btn-danger" onClick={handleDeleteFlow}>
+                        <TrashIcon className="h-5 w-5 mr-2" />
+                        Delete
+                      </button>
+                    )}
+                    <button type="button" className="btn-primary" onClick={handleSave} disabled={saving}>
+                      <CheckIcon className="h-5 w-5 mr-2" />
+                      {saving ? 'Saving...' : 'Save Version'}
+                    </button>
+                  </div>
+                </div>
+              </div>
+
+              <div className="grid grid-cols-1 gap-4 xl:grid-cols-4">
+                <div className="xl:col-span-3">
+                  <CallFlowCanvas
+                    definition={draft.definition}
+                    selectedNodeId={selectedNodeId}
+                    onSelectNode={setSelectedNodeId}
+                    onAddNode={handleAddNode}
+                    onMoveNode={handleMoveNode}
+                    onConnect={handleConnect}
+                  />
+                </div>
+
+                <div className="space-y-4">
+                  <div className="card p-4">
+                    {selectedNode ? (
+                      <CallFlowNodeEditor
+                        node={selectedNode}
+                        nodes={draft.definition.nodes}
+                        isStart={selectedNode.id === draft.definition.startNodeId}
+                        onChange={handleNodeChange}
+                        onDelete={() => handleDeleteNode(selectedNode.id)}
+                        onMakeStart={() => updateDefinition((definition) => ({ ...definition, startNodeId: selectedNode.id }))}
+                      />
+                    ) : (
+                      <p className="text-sm text-gray-500 dark:text-gray-400">Select a node to edit it</p>
+                    )}
+                  </div>
+
+                  {versions.length > 0 && (
+                    <div className="card p-4">
+                      <h3 className="text-sm font-medium text-gray-900 dark:text-white mb-3">Versions</h3>
+                      <ul className="space-y-2">
+                        {versions.map((version) => (
+                          <li key={version.id} className="flex items-center justify-between text-sm">
+                            <button
+                              type="button"
+                              className="text-left text-gray-700 hover:text-primary-600 dark:text-gray-300"
+                              onClick={() => handleViewVersion(version.version)}
+                              title={version.notes || ''}
+                            >
+                              v{version.version}
+                              <span className="ml-2 text-xs text-gray-500">
+                                {new Date(version.createdAt).toLocaleDateString()}
+                              </span>
+                            </button>
+                            {version.version === draft.activeVersion ? (
+                              <span className="badge-success">Active</span>
+                            ) : (
+                              <button
+                                type="button"
+                                className="text-xs font-medium text-primary-600 hover:text-primary-800"
+                                onClick={() => handleActivateVersion(version.version)}
+                              >
+                                Activate
+                              </button>
+                            )}
+                          </li>
+                        ))}
+                      </ul>
+                    </div>
+                  )}
+                </div>
+              </div>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default CallFlows;
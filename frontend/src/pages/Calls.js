@@ -2,6 +2,7 @@ import React, { useState, useEffect } from 'react';
 import Layout from '../components/layout/Layout';
 import DataTable from '../components/common/DataTable';
 import CallDetailsModal from '../components/calls/CallDetailsModal';
+import ListenButton from '../components/calls/ListenButton';
 import callService, { callLogs, callRecordings } from '../services/callService';
 
 /**
@@ -257,6 +258,9 @@ const Calls = () => {
           >
             <i className="fas fa-eye"></i>
           </button>
+          {row.status === 'in-progress' && row.callSid && (
+            <ListenButton callSid={row.callSid} compact />
+          )}
           {row.recordingUrl && (
             <button
               onClick={(e) => {
@@ -3,6 +3,7 @@ import { Link } from 'react-router-dom';
 import Layout from '../components/layout/Layout';
 import DataTable from '../components/common/DataTable';
 import ContactImportModal from '../components/contacts/ContactImportModal';
+import ContactTimelineModal from '../components/contacts/ContactTimelineModal';
 import { contactService } from '../services/contactService';
 
 /**
@@ -16,6 +17,7 @@ const Contacts = () => {
   const [loading, setLoading] = useState(true);
   const [searchQuery, setSearchQuery] = useState('');
   const [showImportModal, setShowImportModal] = useState(false);
+  const [timelineContact, setTimelineContact] = useState(null);
   const [currentPage, setCurrentPage] = useState(1);
   const [totalContacts, setTotalContacts] = useState(0);
   const [selectedContacts, setSelectedContacts] = useState([]);
@@ -151,6 +153,16 @@ const Contacts = () => {
       sortable: false,
       render: (row) => (
         <div className="flex space-x-2">
+          <button
+            onClick={(e) => {
+              e.stopPropagation();
+              setTimelineContact(row);
+            }}
+            title="Timeline"
+            className="text-gray-600 hover:text-gray-900 dark:text-gray-400 dark:hover:text-gray-300"
+          >
+            <i className="fas fa-history"></i>
+          </button>
           <button
             onClick={(e) => {
               e.stopPropagation();
@@ -360,6 +372,14 @@ const Contacts = () => {
           campaigns={campaigns}
         />
       )}
+
+      {/* Timeline modal */}
+      {timelineContact && (
+        <ContactTimelineModal
+          contact={timelineContact}
+          onClose={() => setTimelineContact(null)}
+        />
+      )}
     </Layout>
   );
 };
@@ -4,6 +4,7 @@ import Layout from '../components/layout/Layout';
 import StatsCard from '../components/dashboard/StatsCard';
 import CallActivityChart from '../components/dashboard/CallActivityChart';
 import CampaignPerformanceChart from '../components/dashboard/CampaignPerformanceChart';
+import CallerIdHealthPanel from '../components/dashboard/CallerIdHealthPanel';
 import DataTable from '../components/common/DataTable';
 import { statisticsService } from '../services/statisticsService';
 
@@ -211,6 +212,9 @@ const Dashboard = () => {
         <CampaignPerformanceChart campaigns={campaigns} loading={loading} />
       </div>
       
+      {/* Caller ID Health */}
+      <CallerIdHealthPanel />
+      
       {/* Recent Calls */}
       <div className="p-6 bg-white rounded-lg shadow dark:bg-gray-800 fade-in mb-6">
         <div className="flex items-center justify-between mb-4">
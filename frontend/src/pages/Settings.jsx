@@ -10,6 +10,8 @@ import {
   ArrowPathIcon
 } from '@heroicons/react/24/outline';
 import elevenLabsApi from '../services/elevenLabsApi';
+import InboundRoutesSettings from '../components/settings/InboundRoutesSettings';
+import BusinessSchedulesSettings from '../components/settings/BusinessSchedulesSettings';
 
 /**
  * Settings page component for managing API keys, integration settings,
@@ -306,6 +308,12 @@ function Settings() {
           </div>
         </div>
         
+        {/* Inbound Routing */}
+        <InboundRoutesSettings />
+        
+        {/* Business hours and holidays */}
+        <BusinessSchedulesSettings />
+        
         {/* General Settings */}
         <div className="card p-6">
           <h3 className="text-xl font-semibold text-gray-900 dark:text-white mb-4">General Settings</h3>
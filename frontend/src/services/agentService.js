@@ -80,6 +80,50 @@ export const getAgentMetrics = async (agentId, params = {}) => {
   return await apiClient.get(`/agents/${agentId}/metrics`, { params });
 };
 
+/**
+ * Get the saved versions of an agent configuration, newest first
+ * 
+ * @param {string} agentId - Agent ID
+ * @returns {Promise<Object>} - Versions with their authors and diffs
+ */
+export const getAgentVersions = async (agentId) => {
+  return await apiClient.get(`/agents/${agentId}/versions`);
+};
+
+/**
+ * Get one version of an agent configuration
+ * 
+ * @param {string} agentId - Agent ID
+ * @param {number} version - Version number
+ * @returns {Promise<Object>} - Version with its snapshot
+ */
+export const getAgentVersion = async (agentId, version) => {
+  return await apiClient.get(`/agents/${agentId}/versions/${version}`);
+};
+
+/**
+ * Roll an agent configuration back to a version
+ * 
+ * @param {string} agentId - Agent ID
+ * @param {number} version - Version to restore
+ * @returns {Promise<Object>} - Restored configuration and the version it was saved as
+ */
+export const rollbackAgentConfig = async (agentId, version) => {
+  return await apiClient.post(`/agents/${agentId}/versions/${version}/rollback`);
+};
+
+/**
+ * Assign an agent to a campaign
+ * 
+ * @param {string} agentId - Agent ID
+ * @param {number} campaignId - Campaign ID
+ * @param {number|null} version - Version to pin the campaign to; null follows the latest
+ * @returns {Promise<Object>} - Updated campaign
+ */
+export const assignAgentToCampaign = async (agentId, campaignId, version = null) => {
+  return await apiClient.post(`/agents/${agentId}/assign/${campaignId}`, { version });
+};
+
 /**
  * Get list of available ElevenLabs voices
  * 
@@ -188,6 +232,10 @@ export default {
   updateAgentConfig,
   deleteAgentConfig,
   getAgentMetrics,
+  getAgentVersions,
+  getAgentVersion,
+  rollbackAgentConfig,
+  assignAgentToCampaign,
   getAvailableVoices,
   testAgentVoice,
   cloneAgentConfig,
@@ -0,0 +1,56 @@
+/**
+ * Business Schedule Service
+ *
+ * Provides methods for interacting with the business schedule backend API.
+ * Handles the named weekly hours and holiday calendars shared by inbound routes,
+ * call flows and campaigns.
+ */
+
+import apiClient from './apiClient';
+
+/**
+ * Get the workspace's business schedules
+ *
+ * @returns {Promise<Object>} - Schedules with their hours and holidays
+ */
+export const getBusinessSchedules = async () => {
+  return await apiClient.get('/business-schedules');
+};
+
+/**
+ * Create a business schedule
+ *
+ * @param {Object} scheduleData - { name, timezone, weeklyHours, holidays }
+ * @returns {Promise<Object>} - Created schedule
+ */
+export const createBusinessSchedule = async (scheduleData) => {
+  return await apiClient.post('/business-schedules', scheduleData);
+};
+
+/**
+ * Update a business schedule
+ *
+ * @param {number} scheduleId - Schedule ID
+ * @param {Object} scheduleData - Fields to update
+ * @returns {Promise<Object>} - Updated schedule
+ */
+export const updateBusinessSchedule = async (scheduleId, scheduleData) => {
+  return await apiClient.put(`/business-schedules/${scheduleId}`, scheduleData);
+};
+
+/**
+ * Delete a business schedule; routes and call flows using it become always open
+ *
+ * @param {number} scheduleId - Schedule ID
+ * @returns {Promise<Object>} - Deletion result
+ */
+export const deleteBusinessSchedule = async (scheduleId) => {
+  return await apiClient.delete(`/business-schedules/${scheduleId}`);
+};
+
+export default {
+  getBusinessSchedules,
+  createBusinessSchedule,
+  updateBusinessSchedule,
+  deleteBusinessSchedule
+};
@@ -0,0 +1,114 @@
+/**
+ * Call Flow Service
+ *
+ * Provides methods for interacting with the call flow backend API.
+ * Handles inbound IVR flows, their versions and the numbers they answer.
+ */
+
+import apiClient from './apiClient';
+import { updatePhoneNumber } from './phoneNumberService';
+
+/**
+ * Get the workspace's call flows
+ *
+ * @returns {Promise<Object>} - Call flows with their assigned numbers
+ */
+export const getCallFlows = async () => {
+  return await apiClient.get('/call-flows');
+};
+
+/**
+ * Get a call flow with the definition of its active version
+ *
+ * @param {number} flowId - Call flow ID
+ * @returns {Promise<Object>} - Call flow
+ */
+export const getCallFlow = async (flowId) => {
+  return await apiClient.get(`/call-flows/${flowId}`);
+};
+
+/**
+ * Create a call flow; its definition becomes version 1
+ *
+ * @param {Object} flowData - { name, description, definition, notes }
+ * @returns {Promise<Object>} - Created call flow
+ */
+export const createCallFlow = async (flowData) => {
+  return await apiClient.post('/call-flows', flowData);
+};
+
+/**
+ * Rename a call flow, or save a new version when a definition is included
+ *
+ * @param {number} flowId - Call flow ID
+ * @param {Object} flowData - { name, description, definition, notes, activate }
+ * @returns {Promise<Object>} - Updated call flow
+ */
+export const updateCallFlow = async (flowId, flowData) => {
+  return await apiClient.put(`/call-flows/${flowId}`, flowData);
+};
+
+/**
+ * Delete a call flow
+ *
+ * @param {number} flowId - Call flow ID
+ * @returns {Promise<Object>} - Deletion result
+ */
+export const deleteCallFlow = async (flowId) => {
+  return await apiClient.delete(`/call-flows/${flowId}`);
+};
+
+/**
+ * Get a call flow's saved versions, newest first
+ *
+ * @param {number} flowId - Call flow ID
+ * @returns {Promise<Object>} - Versions without their definitions
+ */
+export const getCallFlowVersions = async (flowId) => {
+  return await apiClient.get(`/call-flows/${flowId}/versions`);
+};
+
+/**
+ * Get one saved version of a call flow
+ *
+ * @param {number} flowId - Call flow ID
+ * @param {number} version - Version number
+ * @returns {Promise<Object>} - Version with its definition
+ */
+export const getCallFlowVersion = async (flowId, version) => {
+  return await apiClient.get(`/call-flows/${flowId}/versions/${version}`);
+};
+
+/**
+ * Make a saved version the one new calls run
+ *
+ * @param {number} flowId - Call flow ID
+ * @param {number} version - Version number
+ * @returns {Promise<Object>} - Updated call flow
+ */
+export const activateCallFlowVersion = async (flowId, version) => {
+  return await apiClient.post(`/call-flows/${flowId}/versions/${version}/activate`);
+};
+
+/**
+ * Answer a number's inbound calls with a call flow
+ *
+ * @param {number} numberId - Phone number ID
+ * @param {number|null} flowId - Call flow ID, or null for the default inbound handling
+ * @returns {Promise<Object>} - Updated number
+ */
+export const assignCallFlow = async (numberId, flowId) => {
+  return await updatePhoneNumber(numberId, { callFlowId: flowId });
+};
+
+export default {
+  getCallFlows,
+  getCallFlow,
+  createCallFlow,
+  updateCallFlow,
+  deleteCallFlow,
+  getCallFlowVersions,
+  getCallFlowVersion,
+  activateCallFlowVersion,
+  assignCallFlow
+};
@@ -82,6 +82,16 @@ export const getContactCallHistory = async (contactId, params = {}) => {
   return await apiClient.get(`/contacts/${contactId}/calls`, { params });
 };
 
+/**
+ * Get a contact's timeline of calls, requested callbacks and opt-out, newest first
+ * 
+ * @param {string|number} contactId - Contact ID
+ * @returns {Promise<Object>} - Timeline events
+ */
+export const getContactTimeline = async (contactId) => {
+  return await apiClient.get(`/contacts/${contactId}/timeline`);
+};
+
 /**
  * Get contact conversations
  * 
@@ -202,6 +212,7 @@ export const contactService = {
   updateContact,
   deleteContact,
   getContactCallHistory,
+  getContactTimeline,
   getContactConversations,
   addContactTag,
   removeContactTag,
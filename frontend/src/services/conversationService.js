@@ -3,10 +3,9 @@
  * Provides methods for interacting with conversation API endpoints
  */
 
-import axios from 'axios';
-import { API_BASE_URL } from '../config';
+import apiClient from './apiClient';
 
-const CONVERSATION_API = `${API_BASE_URL}/conversations`;
+const CONVERSATION_API = '/conversations';
 
 /**
  * Get conversations with filtering and pagination
@@ -15,8 +14,7 @@ const CONVERSATION_API = `${API_BASE_URL}/conversations`;
  */
 export const getConversations = async (params = {}) => {
   try {
-    const response = await axios.get(CONVERSATION_API, { params });
-    return response.data;
+    return await apiClient.get(CONVERSATION_API, { params });
   } catch (error) {
     console.error('Error fetching conversations:', error);
     throw error;
@@ -30,8 +28,7 @@ export const getConversations = async (params = {}) => {
  */
 export const getConversationById = async (id) => {
   try {
-    const response = await axios.get(`${CONVERSATION_API}/${id}`);
-    return response.data;
+    return await apiClient.get(`${CONVERSATION_API}/${id}`);
   } catch (error) {
     console.error(`Error fetching conversation ${id}:`, error);
     throw error;
@@ -46,8 +43,7 @@ export const getConversationById = async (id) => {
  */
 export const updateConversationMetadata = async (id, metadata) => {
   try {
-    const response = await axios.put(`${CONVERSATION_API}/${id}/metadata`, { metadata });
-    return response.data;
+    return await apiClient.put(`${CONVERSATION_API}/${id}/metadata`, { metadata });
   } catch (error) {
     console.error(`Error updating conversation metadata for ${id}:`, error);
     throw error;
@@ -61,8 +57,7 @@ export const updateConversationMetadata = async (id, metadata) => {
  */
 export const getConversationStats = async (params = {}) => {
   try {
-    const response = await axios.get(`${CONVERSATION_API}/stats`, { params });
-    return response.data;
+    return await apiClient.get(`${CONVERSATION_API}/stats`, { params });
   } catch (error) {
     console.error('Error fetching conversation statistics:', error);
     throw error;
@@ -0,0 +1,56 @@
+/**
+ * Inbound Route Service
+ *
+ * Provides methods for interacting with the inbound routing table backend API.
+ * Handles which agent or call flow answers each number, its business schedule,
+ * after-hours behavior and fallback.
+ */
+
+import apiClient from './apiClient';
+
+/**
+ * Get the workspace's inbound routes
+ *
+ * @returns {Promise<Object>} - Routes with their call flow, campaign and schedule
+ */
+export const getInboundRoutes = async () => {
+  return await apiClient.get('/inbound-routes');
+};
+
+/**
+ * Route a number
+ *
+ * @param {Object} routeData - { phoneNumber, name, voiceAgentId, callFlowId, campaignId, scheduleId, afterHours, fallback }
+ * @returns {Promise<Object>} - Created route
+ */
+export const createInboundRoute = async (routeData) => {
+  return await apiClient.post('/inbound-routes', routeData);
+};
+
+/**
+ * Update a route
+ *
+ * @param {number} routeId - Route ID
+ * @param {Object} routeData - Fields to update
+ * @returns {Promise<Object>} - Updated route
+ */
+export const updateInboundRoute = async (routeId, routeData) => {
+  return await apiClient.put(`/inbound-routes/${routeId}`, routeData);
+};
+
+/**
+ * Delete a route; the number goes back to the default inbound handling
+ *
+ * @param {number} routeId - Route ID
+ * @returns {Promise<Object>} - Deletion result
+ */
+export const deleteInboundRoute = async (routeId) => {
+  return await apiClient.delete(`/inbound-routes/${routeId}`);
+};
+
+export default {
+  getInboundRoutes,
+  createInboundRoute,
+  updateInboundRoute,
+  deleteInboundRoute
+};
@@ -0,0 +1,155 @@
+/**
+ * Listen Service
+ *
+ * Plays a live call in the browser so supervisors can listen in.
+ * Audio comes from the backend stream gateway (/stream/listen/:callSid) as
+ * 16-bit PCM frames and is scheduled back to back with the Web Audio API.
+ * The socket is opened with a single-use listen token fetched from the API.
+ */
+
+import apiClient from './apiClient';
+
+const API_BASE_URL = process.env.REACT_APP_API_BASE_URL || 'http://localhost:3001/api';
+
+// Audio is played this far behind real time so network jitter does not leave gaps
+const JITTER_BUFFER_SECONDS = 0.2;
+
+/**
+ * Build the listen WebSocket URL for a call
+ * Browsers cannot set headers on a WebSocket, so a single-use listen token from the API
+ * goes in the query string; the access token never does.
+ *
+ * @param {string} callSid - Call SID
+ * @param {string} track - mixed, inbound (caller) or outbound (agent)
+ * @param {string} token - Listen token for the call
+ * @returns {string} - ws:// or wss:// URL
+ */
+const buildListenUrl = (callSid, track, token) => {
+  const base = API_BASE_URL.replace(/\/api\/?$/, '').replace(/^http/, 'ws');
+  return `${base}/stream/listen/${encodeURIComponent(callSid)}?track=${track}&token=${encodeURIComponent(token)}`;
+};
+
+/**
+ * Start listening to a live call
+ *
+ * @param {string} callSid - Call SID
+ * @param {Object} options - Listen options
+ * @param {string} options.track - mixed (default), inbound (caller) or outbound (agent)
+ * @param {Function} options.onStart - Called once audio is about to flow
+ * @param {Function} options.onEnd - Called with stopped or call_ended when listening ends
+ * @param {Function} options.onError - Called with an Error when the call cannot be heard
+ * @returns {Object} - { stop } to stop listening
+ */
+export const listenToCall = (callSid, { track = 'mixed', onStart, onEnd, onError } = {}) => {
+  const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+  const audioContext = new AudioContextClass();
+
+  let socket = null;
+  let stopped = false;
+  let sampleRate = 8000;
+  let playAt = 0;
+  let sources = [];
+  let endReason = 'stopped';
+
+  // Queue one PCM frame after the previous one
+  const playFrame = (data) => {
+    const pcm = new Int16Array(data);
+    if (pcm.length === 0) return;
+
+    const buffer = audioContext.createBuffer(1, pcm.length, sampleRate);
+    const channel = buffer.getChannelData(0);
+    for (let i = 0; i < pcm.length; i++) {
+      channel[i] = pcm[i] / 32768;
+    }
+
+    const source = audioContext.createBufferSource();
+    source.buffer = buffer;
+    source.connect(audioContext.destination);
+    playAt = Math.max(playAt, audioContext.currentTime + JITTER_BUFFER_SECONDS);
+    source.start(playAt);
+    playAt += buffer.duration;
+
+    sources.push(source);
+    source.onended = () => {
+      sources = sources.filter(s => s !== source);
+    };
+  };
+
+  // Drop audio already queued, when the caller cuts the agent off
+  const clearQueuedAudio = () => {
+    sources.forEach(source => source.stop());
+    sources = [];
+    playAt = 0;
+  };
+
+  // Open the listen socket with a fresh listen token
+  const connect = (token) => {
+    socket = new WebSocket(buildListenUrl(callSid, track, token));
+    socket.binaryType = 'arraybuffer';
+
+    socket.onmessage = (event) => {
+      if (typeof event.data !== 'string') {
+        playFrame(event.data);
+        return;
+      }
+
+      const message = JSON.parse(event.data);
+      switch (message.type) {
+        case 'listen_started':
+          sampleRate = message.sampleRate;
+          if (onStart) onStart(message);
+          break;
+        case 'clear':
+          clearQueuedAudio();
+          break;
+        case 'listen_ended':
+          endReason = message.reason;
+          break;
+        case 'error':
+          if (onError) onError(new Error(message.error));
+          break;
+        default:
+          break;
+      }
+    };
+
+    socket.onerror = () => {
+      if (onError) onError(new Error('Could not connect to the call audio'));
+    };
+
+    socket.onclose = () => {
+      audioContext.close();
+      if (onEnd) onEnd(endReason);
+    };
+  };
+
+  apiClient.post(`/calls/${encodeURIComponent(callSid)}/listen-token`)
+    .then(({ token }) => {
+      if (stopped) {
+        audioContext.close();
+        if (onEnd) onEnd('stopped');
+        return;
+      }
+      connect(token);
+    })
+    .catch(() => {
+      audioContext.close();
+      if (onError) onError(new Error('Could not get access to the call audio'));
+      if (onEnd) onEnd('stopped');
+    });
+
+  return {
+    stop: () => {
+      stopped = true;
+      if (!socket) return;
+      if (socket.readyState === WebSocket.OPEN) {
+        socket.send(JSON.stringify({ type: 'stop' }));
+      }
+      socket.close();
+    }
+  };
+};
+
+export default {
+  listenToCall
+};
@@ -0,0 +1,68 @@
+/**
+ * Phone Number Service
+ *
+ * Provides methods for interacting with the caller ID pool backend API.
+ * Handles pool numbers, SignalWire sync and number health.
+ */
+
+import apiClient from './apiClient';
+
+/**
+ * Get pool numbers
+ *
+ * @param {Object} params - Query parameters
+ * @param {string} params.status - Filter by status (active, paused, retired)
+ * @param {string} params.campaignId - Filter by dedicated campaign
+ * @param {string} params.areaCode - Filter by area code
+ * @param {string} params.state - Filter by two-letter state
+ * @returns {Promise<Object>} - Pool numbers
+ */
+export const getPhoneNumbers = async (params = {}) => {
+  return await apiClient.get('/phone-numbers', { params });
+};
+
+/**
+ * Update a pool number's tags, limits or status
+ *
+ * @param {number} numberId - Phone number ID
+ * @param {Object} numberData - Fields to update
+ * @returns {Promise<Object>} - Updated number
+ */
+export const updatePhoneNumber = async (numberId, numberData) => {
+  return await apiClient.put(`/phone-numbers/${numberId}`, numberData);
+};
+
+/**
+ * Import the numbers owned in SignalWire into the pool
+ *
+ * @returns {Promise<Object>} - Counts of added and existing numbers
+ */
+export const syncPhoneNumbers = async () => {
+  return await apiClient.post('/phone-numbers/sync');
+};
+
+/**
+ * Get health scores for the pool
+ *
+ * @returns {Promise<Object>} - Threshold, summary counts and scored numbers
+ */
+export const getNumberHealth = async () => {
+  return await apiClient.get('/phone-numbers/health');
+};
+
+/**
+ * Rescore the pool now, retiring numbers below the threshold
+ *
+ * @returns {Promise<Object>} - Updated health report and retired numbers
+ */
+export const checkNumberHealth = async () => {
+  return await apiClient.post('/phone-numbers/health/check');
+};
+
+export default {
+  getPhoneNumbers,
+  updatePhoneNumber,
+  syncPhoneNumbers,
+  getNumberHealth,
+  checkNumberHealth
+};